@@ -1,13 +1,30 @@
 // frontend/client/src/AdminChat.js - COMPLETE AND UPDATED for UI/UX improvements
 
-import React, { useEffect, useState, useCallback, useRef } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import React, { useEffect, useState, useCallback, useRef, useMemo } from 'react';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
 import Toast from './Toast';
 import './AdminChat.css'; // Ensure this CSS file exists and is correctly linked
-import { connectSocket, disconnectSocket, sendMessage, uploadChatAttachment } from './ChatService';
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { connectSocket, disconnectSocket } from './ChatService';
+import useChatPresence from './chat/useChatPresence';
+import useChatOutbox from './chat/useChatOutbox';
+import OutboxActions from './chat/OutboxActions';
+import useMessageFocus from './chat/useMessageFocus';
+import { getFocusMessageId } from './chat/messageSearch';
+import './chat/ChatSearch.css';
+import TypingIndicator from './chat/TypingIndicator';
+import ReadReceipt from './chat/ReadReceipt';
+import useMessageActions from './chat/useMessageActions';
+import ChatMessageText from './chat/ChatMessageText';
+import MessageActionButtons from './chat/MessageActionButtons';
+import ReplyQuote from './chat/ReplyQuote';
+import useChatHistoryScroll from './chat/useChatHistoryScroll';
+import { CHAT_PAGE_SIZE, mergeMessages } from './chat/chatHistory';
+import './chat/ChatHistory.css';
+import { isAbortError, getBackendFileUrl } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminChatMessages } from './api/chat';
+import { getAdminUser } from './api/admin';
 const MAX_CHAT_FILE_SIZE_MB = 500; // Max file size for chat attachments
 
 // Helper function to format timestamp robustly for display
@@ -29,6 +46,7 @@ const formatDisplayTimestamp = (isoTimestamp) => {
 
 const AdminChat = () => {
     const { userId } = useParams();
+    const location = useLocation();
     const { user, isAuthReady, logout } = useAuth();
     const navigate = useNavigate();
     const [targetUser, setTargetUser] = useState(null);
@@ -37,10 +55,13 @@ const AdminChat = () => {
     const [loading, setLoading] = useState(true); // eslint-disable-line no-unused-vars
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
 
+    const [olderCursor, setOlderCursor] = useState(null); // next_cursor of the oldest page loaded
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const getSignal = useAbortSignal();
+    const historyLoadedRef = useRef(false);
+
     const [selectedFile, setSelectedFile] = useState(null);
-    const [isUploadingFile, setIsUploadingFile] = useState(false);
 
-    const messagesEndRef = useRef(null);
     const fileInputRef = useRef(null);
     const audioRef = useRef(null);
     const textareaRef = useRef(null); // Ref for the textarea to manage height
@@ -77,73 +98,89 @@ const AdminChat = () => {
                 return;
             }
 
-            const token = localStorage.getItem('token');
-            if (!token) { logout(); return; }
-
             console.log(`AdminChat: Attempting to fetch details for target user ID: ${userId}`);
             try {
-                const response = await fetch(`${BACKEND_API_URL}/api/admin/users/${userId}`, {
-                    headers: { 'Authorization': `Bearer ${token}` }
-                });
-                const data = await response.json();
+                const data = await getAdminUser(userId, { signal: getSignal() });
                 if (isMounted) {
-                    if (response.ok && data.user) {
+                    if (data.user) {
                         setTargetUser(data.user);
                         console.log(`AdminChat: Successfully fetched details for user ${userId}.`, data.user);
                     } else {
-                        console.error(`AdminChat: Failed to fetch user details for ${userId}. Response not OK or missing user data.`, data);
-                        showToast(data.error || 'Failed to fetch user details for chat.', 'error');
+                        console.error(`AdminChat: Failed to fetch user details for ${userId}. Missing user data.`, data);
+                        showToast('Failed to fetch user details for chat.', 'error');
                         navigate('/admin/users');
                     }
                 }
             } catch (error) {
-                if (isMounted) {
-                    console.error('AdminChat: Network error fetching target user details:', error);
-                    showToast('Network error fetching user details for chat.', 'error');
+                if (isMounted && !isAbortError(error)) {
+                    console.error('AdminChat: Error fetching target user details:', error);
+                    showToast(error.isNetworkError ? 'Network error fetching user details for chat.' : error.message || 'Failed to fetch user details for chat.', 'error');
                     navigate('/admin/users');
                 }
             }
         };
         fetchDetails();
         return () => { isMounted = false; };
-    }, [isAuthReady, user, userId, navigate, logout, showToast]);
+    }, [isAuthReady, user, userId, navigate, getSignal, showToast]);
 
 
+    // Each conversation starts from its own newest page
+    useEffect(() => {
+        historyLoadedRef.current = false;
+        setMessages([]);
+        setOlderCursor(null);
+    }, [userId]);
+
+    const formatChatMessage = useCallback((msg) => ({
+        ...msg,
+        sender_name: (msg.sender_id === user.id) ? user.full_name : targetUser?.full_name || 'User',
+        text: msg.content,
+        sent_at: msg.timestamp, // Raw time, used to order pages and for the edit window
+        timestamp: formatDisplayTimestamp(msg.timestamp),
+    }), [user, targetUser]);
+
+    const fetchMessagePage = useCallback((before) => (
+        getAdminChatMessages(userId, { params: { limit: CHAT_PAGE_SIZE, before: before || undefined }, signal: getSignal() })
+    ), [userId, getSignal]);
+
+    // Newest page only; older pages load as the admin scrolls up
     const fetchChatMessages = useCallback(async () => {
         if (!user || !targetUser) {
             console.warn('AdminChat: fetchChatMessages called before user or targetUser are available.');
             return;
         }
 
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         console.log(`AdminChat: Fetching chat messages for admin ${user.id} and user ${targetUser.id}.`);
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/chat/messages/${targetUser.id}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && data.messages) {
-                const formattedMessages = data.messages.map(msg => ({
-                    ...msg,
-                    sender_name: (msg.sender_id === user.id) ? user.full_name : targetUser.full_name || 'User',
-                    text: msg.content,
-                    timestamp: formatDisplayTimestamp(msg.timestamp),
-                    file_url: msg.file_url,
-                    file_name: msg.file_name
-                }));
-                setMessages(formattedMessages);
-                console.log(`AdminChat: Successfully fetched ${formattedMessages.length} messages.`);
-            } else {
-                console.error('AdminChat: Failed to fetch chat messages. Response not OK or missing messages data.', data);
-                showToast(data.error || 'Failed to fetch chat messages.', 'error');
+            const data = await fetchMessagePage(null);
+            // Merge rather than replace: this also runs on reconnect, after older pages or socket messages are shown
+            setMessages((prevMessages) => mergeMessages(prevMessages, (data.messages || []).map(formatChatMessage)));
+            if (!historyLoadedRef.current) {
+                historyLoadedRef.current = true;
+                setOlderCursor(data.next_cursor ?? null);
             }
         } catch (error) {
-            console.error('AdminChat: Network error fetching chat messages:', error);
-            showToast('Network error fetching chat messages.', 'error');
+            if (isAbortError(error)) return;
+            console.error('AdminChat: Error fetching chat messages:', error);
+            showToast(error.isNetworkError ? 'Network error fetching chat messages.' : error.message || 'Failed to fetch chat messages.', 'error');
+        }
+    }, [user, targetUser, fetchMessagePage, formatChatMessage, showToast]);
+
+    const loadOlderMessages = useCallback(async () => {
+        if (!olderCursor || loadingOlder) return;
+        setLoadingOlder(true);
+        try {
+            const data = await fetchMessagePage(olderCursor);
+            setMessages((prevMessages) => mergeMessages(prevMessages, (data.messages || []).map(formatChatMessage)));
+            setOlderCursor(data.next_cursor ?? null);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('AdminChat: Error fetching earlier chat messages:', error);
+            showToast(error.isNetworkError ? 'Network error loading earlier messages.' : error.message || 'Failed to load earlier messages.', 'error');
+        } finally {
+            setLoadingOlder(false);
         }
-    }, [logout, showToast, user, targetUser]);
+    }, [olderCursor, loadingOlder, fetchMessagePage, formatChatMessage, showToast]);
 
 
     const handleNewChatMessage = useCallback((msg) => {
@@ -163,37 +200,14 @@ const AdminChat = () => {
                 return prevMessages;
             }
 
-            if (prevMessages.some(m => m.id === msg.id)) {
-                console.log('AdminChat: Received duplicate message, ignoring. ', msg);
-                return prevMessages;
-            }
-            const updatedMessages = prevMessages.map(m =>
-                m.isOptimistic && m.sender_id === msg.sender_id && m.content === msg.content &&
-                m.receiver_id === msg.receiver_id && (m.file_url === msg.file_url || (!m.file_url && !msg.file_url))
-                    ? { ...msg, isOptimistic: false, timestamp: formatDisplayTimestamp(msg.timestamp) }
-                    : m
-            );
-
-            if (!updatedMessages.some(m => m.id === msg.id && !m.isOptimistic)) {
-                if (msg.sender_id !== currentLoggedInUser.id) {
-                    playNotificationSound();
-                }
-                const newMessageObj = {
-                    id: msg.id,
-                    sender_id: msg.sender_id,
-                    receiver_id: msg.receiver_id,
-                    content: msg.content,
-                    timestamp: formatDisplayTimestamp(msg.timestamp),
-                    file_url: msg.file_url,
-                    file_name: msg.file_name,
-                    sender_name: (msg.sender_id === currentLoggedInUser.id) ? currentLoggedInUser.full_name : targetUser?.full_name || 'User',
-                };
-                console.log('AdminChat: Adding new message to chat: ', newMessageObj);
-                return [...updatedMessages, newMessageObj];
+            // Merge by ID: drops duplicates, replaces the matching optimistic message and keeps send order
+            const mergedMessages = mergeMessages(prevMessages, [formatChatMessage(msg)]);
+            if (mergedMessages !== prevMessages && msg.sender_id !== currentLoggedInUser.id) {
+                playNotificationSound();
             }
-            return updatedMessages;
+            return mergedMessages;
         });
-    }, [userId, user, targetUser, playNotificationSound]);
+    }, [userId, user, targetUser, formatChatMessage, playNotificationSound]);
 
 
     useEffect(() => {
@@ -235,10 +249,29 @@ const AdminChat = () => {
         };
     }, [isAuthReady, user, targetUser, userId, fetchChatMessages, handleNewChatMessage]);
 
+    const chatTarget = useMemo(() => (targetUser ? { partnerId: userId } : null), [targetUser, userId]);
+    const { isPartnerTyping, notifyTyping, stopTyping } = useChatPresence({ target: chatTarget, userId: user?.id, messages, setMessages });
+    const {
+        pendingMessages, queue: queueOutgoingMessage, resend: resendMessage, discard: discardMessage,
+    } = useChatOutbox({ target: chatTarget, userId: user?.id, messages });
+    const {
+        replyTo, startReply, cancelReply, editingId, startEdit, cancelEdit, saveEdit, savingEdit, deleteMessage,
+    } = useMessageActions({ target: chatTarget, setMessages, showToast });
+    // Queued messages follow the delivered ones until the server copy arrives
+    const threadMessages = useMemo(
+        () => (pendingMessages.length ? [...messages, ...pendingMessages.map((msg) => ({ ...msg, sender_name: user.full_name }))] : messages),
+        [messages, pendingMessages, user]
+    );
+
 
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    const { containerRef: messagesDisplayRef, handleScroll: handleMessagesScroll } = useChatHistoryScroll({
+        messages: threadMessages, canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages,
+    });
+    // Opened from a search result: bring the matching message into view
+    const focusedMessageId = useMessageFocus({
+        messageId: getFocusMessageId(location.search), messages: threadMessages, containerRef: messagesDisplayRef,
+        canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages,
+    });
 
 
     const triggerFileInput = useCallback(() => {
@@ -250,6 +283,7 @@ const AdminChat = () => {
         const file = fileToUpload || selectedFile;
 
         if (messageToSend === '' && !file) return;
+        stopTyping();
 
         if (!user) {
             console.error('AdminChat: Attempted to send message before user object is available.');
@@ -257,69 +291,22 @@ const AdminChat = () => {
             return;
         }
 
-        let fileUrl = null;
-        let fileName = null;
-        let tempMessageId;
-
-        if (file) {
-            setIsUploadingFile(true);
-            try {
-                const uploadResponse = await uploadChatAttachment(file, user.id);
-                fileUrl = uploadResponse.fileUrl;
-                fileName = file.name;
-                showToast('File uploaded successfully!', 'success');
-            } catch (error) {
-                console.error('AdminChat: Error uploading file:', error);
-                showToast(`Failed to upload file: ${error.message || 'Network error.'}`, 'error');
-                setIsUploadingFile(false);
-                setSelectedFile(null);
-                if (fileInputRef.current) fileInputRef.current.value = '';
-                return;
-            } finally {
-                setIsUploadingFile(false);
-            }
-        }
-
-        try {
-            tempMessageId = `temp-${Date.now()}`;
-            const optimisticMessage = {
-                id: tempMessageId,
-                sender_id: user.id,
-                receiver_id: userId,
-                content: messageToSend,
-                timestamp: formatDisplayTimestamp(new Date().toISOString()), // Format optimistic message timestamp
-                sender_name: user.full_name,
-                file_url: fileUrl ? `${fileUrl}` : null,
-                file_name: fileName,
-                isOptimistic: true,
-            };
-            setMessages((prevMessages) => [...prevMessages, optimisticMessage]);
-
-
-            await sendMessage({
-                senderId: user.id,
-                receiverId: userId,
-                negotiationId: null,
-                messageText: messageToSend,
-                timestamp: new Date().toISOString(), // Send ISO string to backend
-                senderUserType: user.user_type,
-                fileUrl: fileUrl,
-                fileName: fileName,
-            });
-
-            setNewMessage('');
-            setSelectedFile(null);
-            if (fileInputRef.current) fileInputRef.current.value = '';
-            console.log('AdminChat: Message sent successfully via ChatService.');
-
-        } catch (error) {
-            console.error('AdminChat: Error sending message:', error);
-            showToast(error.message || 'Network error sending message.', 'error');
-            if (tempMessageId) {
-                setMessages((prevMessages) => prevMessages.filter(msg => msg.id !== tempMessageId));
-            }
-        }
-    }, [newMessage, selectedFile, user, userId, showToast]);
+        // The outbox uploads any attachment, sends and retries until the message is delivered
+        await queueOutgoingMessage({
+            senderId: user.id,
+            receiverId: userId,
+            negotiationId: null,
+            messageText: messageToSend,
+            timestamp: new Date().toISOString(), // Send ISO string to backend
+            senderUserType: user.user_type,
+            replyTo,
+        }, file);
+
+        setNewMessage('');
+        setSelectedFile(null);
+        cancelReply();
+        if (fileInputRef.current) fileInputRef.current.value = '';
+    }, [newMessage, selectedFile, user, userId, showToast, stopTyping, queueOutgoingMessage, replyTo, cancelReply]);
 
 
     const handleFileChange = useCallback((e) => {
@@ -354,7 +341,7 @@ const AdminChat = () => {
 
     const renderFileAttachment = (fileUrl, fileName) => {
         if (!fileUrl) return null;
-        const fullFileUrl = `${BACKEND_API_URL}${fileUrl}`;
+        const fullFileUrl = getBackendFileUrl(fileUrl);
         const fileExtension = fileName ? fileName.split('.').pop().toLowerCase() : '';
 
         if (['jpg', 'jpeg', 'png', 'gif'].includes(fileExtension)) {
@@ -388,34 +375,53 @@ const AdminChat = () => {
                 <div className="admin-content-section">
                     <h2>Conversation with {targetUser?.full_name} ({targetUser?.email})</h2>
                     <div className="chat-window">
-                        <div className="messages-display">
-                            {messages.length === 0 ? (
+                        <div className="messages-display chat-history" ref={messagesDisplayRef} onScroll={handleMessagesScroll}>
+                            {loadingOlder && <p className="chat-history-status">Loading earlier messages...</p>}
+                            {!olderCursor && messages.length > 0 && <p className="chat-history-status">Start of the conversation</p>}
+                            {threadMessages.length === 0 ? (
                                 <p className="no-data-message">Start chat by typing a message below!</p>
                             ) : (
-                                messages.map(msg => (
-                                    <div key={msg.id} className={`chat-message ${msg.sender_id === user.id ? 'admin-message' : 'user-message'}`}>
+                                threadMessages.map(msg => (
+                                    <div
+                                        key={msg.id}
+                                        data-message-id={msg.id}
+                                        className={`chat-message ${msg.sender_id === user.id ? 'admin-message' : 'user-message'}${msg.id === focusedMessageId ? ' search-focus' : ''}`}
+                                    >
                                         <div className="message-header">
                                             <strong>{msg.sender_id === user.id ? 'Admin' : targetUser?.full_name}</strong>
-                                            <span>{formatDisplayTimestamp(msg.timestamp)}</span> {/* Use pre-formatted timestamp */}
+                                            <span>
+                                                {formatDisplayTimestamp(msg.timestamp)} {/* Use pre-formatted timestamp */}
+                                                <ReadReceipt message={msg} userId={user.id} />
+                                            </span>
                                         </div>
                                         {/* Adjusted message content rendering for block format */}
-                                        {msg.content && <p className="message-content-text">{msg.content}</p>}
+                                        <ChatMessageText
+                                            message={msg}
+                                            userId={user.id}
+                                            className="message-content-text"
+                                            isEditing={msg.id === editingId}
+                                            saving={savingEdit}
+                                            onSave={saveEdit}
+                                            onCancel={cancelEdit}
+                                        />
                                         {msg.file_url && renderFileAttachment(msg.file_url, msg.file_name)}
+                                        <OutboxActions message={msg} onResend={resendMessage} onDiscard={discardMessage} />
+                                        <MessageActionButtons message={msg} userId={user.id} onReply={startReply} onEdit={startEdit} onDelete={deleteMessage} />
                                     </div>
                                 ))
                             )}
-                            <div ref={messagesEndRef} />
+                            <TypingIndicator isTyping={isPartnerTyping} name={targetUser?.full_name} />
                         </div>
                         <div className="message-input-area">
+                            {replyTo && <ReplyQuote reply={replyTo} userId={user.id} onCancel={cancelReply} />}
                             <div className="input-controls">
                                 <textarea
                                     ref={textareaRef} // Attach ref to textarea
                                     value={newMessage}
-                                    onChange={(e) => setNewMessage(e.target.value)}
+                                    onChange={(e) => { setNewMessage(e.target.value); notifyTyping(); }}
                                     onKeyPress={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSendMessage(); } }}
                                     placeholder="Type your message..."
                                     rows="1" // Start with 1 row, let CSS handle expandability
-                                    disabled={isUploadingFile}
                                 ></textarea>
                                 <div className="message-actions">
                                     <input
@@ -428,7 +434,6 @@ const AdminChat = () => {
                                     <button
                                         onClick={triggerFileInput}
                                         className="attach-file-btn"
-                                        disabled={isUploadingFile}
                                         title="Attach File"
                                     >
                                         📎
@@ -442,9 +447,9 @@ const AdminChat = () => {
                                     <button
                                         onClick={() => handleSendMessage()}
                                         className="send-message-btn"
-                                        disabled={isUploadingFile || (newMessage.trim() === '' && !selectedFile)}
+                                        disabled={newMessage.trim() === '' && !selectedFile}
                                     >
-                                        {isUploadingFile ? 'Uploading...' : 'Send'}
+                                        Send
                                     </button>
                                 </div>
                             </div>
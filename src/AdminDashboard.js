@@ -7,13 +7,15 @@ import './AdminDashboard.css';
 import Toast from './Toast';
 // FIXED: Removed direct 'io' import, use ChatService for socket management
 import { connectSocket, disconnectSocket } from './ChatService'; // REMOVED: getSocketInstance
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import useUnreadMessageCount from './chat/useUnreadMessageCount';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getPendingTestsCount, getActiveJobsCount, getDisputesCount, getTotalUsersCount } from './api/admin';
 
 const AdminDashboard = () => {
     const { user, isAuthReady, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [loading, setLoading] = useState(true);
     const [adminStats, setAdminStats] = useState({
         pendingTranscriberTests: 0,
@@ -23,7 +25,7 @@ const AdminDashboard = () => {
         disputes: 0,
         totalUsers: 0,
     });
-    const [unreadMessageCount, setUnreadMessageCount] = useState(0);
+    const unreadMessageCount = useUnreadMessageCount(user?.id);
     const [toast, setToast] = useState({
         isVisible: false,
         message: '',
@@ -42,76 +44,40 @@ const AdminDashboard = () => {
     }, []);
 
 
-    // Fetch unread message count for the admin
-    const fetchUnreadMessageCount = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) return;
-
-        try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/user/chat/unread-count`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && typeof data.count === 'number') {
-                setUnreadMessageCount(data.count);
-            } else {
-                console.error('Failed to fetch unread message count:', data.error);
-            }
-        } catch (error) {
-            console.error('Network error fetching unread message count:', error);
-        }
-    }, [user]);
-
-
     // Function to fetch admin dashboard statistics
     const fetchAdminStats = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         console.log('AdminDashboard: Fetching admin stats.');
         try {
-            const headers = { 'Authorization': `Bearer ${token}` };
-
-            const [
-                testsResponse,
-                jobsCountResponse, // UPDATED: Renamed to reflect it's for counts
-                disputesResponse,
-                usersResponse
-            ] = await Promise.all([
-                // FIXED: Use BACKEND_API_URL constant for all fetch calls
-                fetch(`${BACKEND_API_URL}/api/admin/stats/pending-tests`, { headers }),
-                fetch(`${BACKEND_API_URL}/api/admin/stats/active-jobs`, { headers }), // This now returns separate counts
-                fetch(`${BACKEND_API_URL}/api/admin/stats/disputes`, { headers }),
-                fetch(`${BACKEND_API_URL}/api/admin/stats/total-users`, { headers })
-            ]);
+            const signal = getSignal();
+            // A stat that fails to load shows as 0 rather than hiding the others
+            const orEmpty = (request) => request.catch(error => {
+                if (isAbortError(error)) throw error;
+                console.error('AdminDashboard: Failed to fetch a stat:', error);
+                return {};
+            });
 
-            const [testsData, jobsCountData, disputesData, usersData] = await Promise.all([ // UPDATED: Renamed
-                testsResponse.json(),
-                jobsCountResponse.json(), // UPDATED: Renamed
-                disputesResponse.json(),
-                usersResponse.json()
+            const [testsData, jobsCountData, disputesData, usersData] = await Promise.all([
+                orEmpty(getPendingTestsCount({ signal })),
+                orEmpty(getActiveJobsCount({ signal })), // This now returns separate counts
+                orEmpty(getDisputesCount({ signal })),
+                orEmpty(getTotalUsersCount({ signal }))
             ]);
 
             setAdminStats({
-                pendingTranscriberTests: testsResponse.ok ? testsData.count : 0,
-                negotiationJobsCount: jobsCountResponse.ok ? jobsCountData.negotiationJobsCount : 0, // UPDATED: Set negotiationJobsCount
-                directUploadJobsCount: jobsCountResponse.ok ? jobsCountData.directUploadJobsCount : 0, // UPDATED: Set directUploadJobsCount
-                totalActiveJobs: jobsCountResponse.ok ? jobsCountData.totalActiveJobs : 0, // Keep total for overall dashboard stat
-                disputes: disputesResponse.ok ? disputesData.count : 0,
-                totalUsers: usersResponse.ok ? usersData.count : 0,
+                pendingTranscriberTests: testsData.count || 0,
+                negotiationJobsCount: jobsCountData.negotiationJobsCount || 0, // UPDATED: Set negotiationJobsCount
+                directUploadJobsCount: jobsCountData.directUploadJobsCount || 0, // UPDATED: Set directUploadJobsCount
+                totalActiveJobs: jobsCountData.totalActiveJobs || 0, // Keep total for overall dashboard stat
+                disputes: disputesData.count || 0,
+                totalUsers: usersData.count || 0,
             });
 
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching admin stats:', error);
             showToast('Failed to fetch admin statistics.ᐟ', 'error');
-        } finally {
-            // setLoading(false); // Will be set by the main useEffect after all promises settle
         }
-    }, [logout, showToast]);
+    }, [showToast, getSignal]);
 
 
     // Main useEffect for authentication, data fetching, and socket setup
@@ -134,17 +100,7 @@ const AdminDashboard = () => {
 
         setLoading(true);
 
-        const token = localStorage.getItem('token');
-        if (!token) {
-            console.warn("AdminDashboard: Token missing from localStorage despite isAuthenticated being true. Forcing logout.");
-            logout();
-            return;
-        }
-
-        Promise.all([
-            fetchAdminStats(),
-            fetchUnreadMessageCount()
-        ]).finally(() => {
+        fetchAdminStats().finally(() => {
             setLoading(false);
         });
 
@@ -172,22 +128,10 @@ const AdminDashboard = () => {
             fetchAdminStats();
         };
 
-        const handleUnreadMessageCountUpdate = (data) => {
-            if (data.userId === user.id) {
-                console.log('AdminDashboard Real-time: Unread message count update received!ᐟ', data);
-                fetchUnreadMessageCount();
-                showToast('You have a new message!ᐟ', 'info');
-                if (data.change > 0) {
-                    playNotificationSound();
-                }
-            }
-        };
-
         const handleNewChatMessage = (data) => {
             console.log('AdminDashboard Real-time: New chat message received!ᐟ', data);
             if (data.sender_id !== user.id) {
-                showToast(`New message from ${data.sender_name || 'User'}!`, 'info');
-                fetchUnreadMessageCount();
+                showToast(`New message from ${data.sender_name || 'User'}!`, 'info'); // The badge follows via useUnreadMessageCount
                 playNotificationSound();
             }
         };
@@ -197,7 +141,6 @@ const AdminDashboard = () => {
         socket.on('negotiation_rejected', handleNegotiationUpdate);
         socket.on('negotiation_countered', handleNegotiationUpdate);
         socket.on('negotiation_cancelled', handleNegotiationUpdate);
-        socket.on('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
         socket.on('newChatMessage', handleNewChatMessage);
 
         return () => {
@@ -207,13 +150,12 @@ const AdminDashboard = () => {
             socket.off('negotiation_rejected', handleNegotiationUpdate);
             socket.off('negotiation_countered', handleNegotiationUpdate);
             socket.off('negotiation_cancelled', handleNegotiationUpdate);
-            socket.off('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
             socket.off('newChatMessage', handleNewChatMessage);
             socket.off('connect', handleSocketConnect); // Detach the connect listener
             disconnectSocket(); // Disconnect via ChatService
         };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [isAuthReady, user, authLoading, navigate, logout, showToast, fetchAdminStats, fetchUnreadMessageCount, playNotificationSound]);
+    }, [isAuthReady, user, authLoading, navigate, showToast, fetchAdminStats, playNotificationSound]);
 
 
     if (loading || authLoading) {
@@ -280,6 +222,18 @@ const AdminDashboard = () => {
                             <p>Review and approve submitted transcriber tests.</p>
                         </Link>
 
+                        <Link to="/admin/assessment-questions" className="admin-card">
+                            <div className="card-icon">🗂️</div>
+                            <h3>Assessment Question Bank</h3>
+                            <p>Manage the grammar questions and audio clips tests are drawn from.</p>
+                        </Link>
+
+                        <Link to="/admin/transcriber-levels" className="admin-card">
+                            <div className="card-icon">🏅</div>
+                            <h3>Transcriber Levels</h3>
+                            <p>Set promotion criteria and which jobs each level can take.</p>
+                        </Link>
+
                         <Link to="/admin/users" className="admin-card">
                             <div className="card-icon">👤</div>
                             <h3>Manage Users ({adminStats.totalUsers})</h3>
@@ -7,8 +7,10 @@ import Toast from './Toast'; // Import Toast component
 import Modal from './Modal'; // Import Modal component for delete confirmation
 import './AdminManagement.css'; // Assuming common admin styles
 import './AdminDirectUploadJobs.css'; // Specific styling for direct upload job table
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminDirectUploadJobs, deleteAdminDirectUploadJob, getQaSettings, updateQaSettings, skipQaReview } from './api/admin';
+import { QA_STATUSES, isQaStatus } from './qa/qaReview';
 
 // Helper function to format timestamp robustly for display (ensuring consistency across components)
 const formatDisplayTimestamp = (isoTimestamp) => {
@@ -36,6 +38,9 @@ const formatStatusDisplay = (status) => {
             return 'Taken';
         case 'in_progress':
             return 'In Progress';
+        case 'awaiting_qa':
+        case 'qa_in_progress':
+            return QA_STATUSES[status];
         case 'completed':
             return 'Completed by Transcriber';
         case 'client_completed':
@@ -50,6 +55,7 @@ const formatStatusDisplay = (status) => {
 const AdminDirectUploadJobs = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate(); // Use useNavigate
+    const getSignal = useAbortSignal();
     const [directUploadJobs, setDirectUploadJobs] = useState([]); // UPDATED: State to store fetched direct upload jobs
     const [loading, setLoading] = useState(true);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
@@ -59,6 +65,12 @@ const AdminDirectUploadJobs = () => {
     const [jobToDelete, setJobToDelete] = useState(null); // Store entire job object for deletion
     const [modalLoading, setModalLoading] = useState(false);
 
+    // Proofreading (QA) stage
+    const [qaEnabled, setQaEnabled] = useState(false);
+    const [qaSettingsSaving, setQaSettingsSaving] = useState(false);
+    const [jobToSkipQa, setJobToSkipQa] = useState(null);
+    const [skipQaLoading, setSkipQaLoading] = useState(false);
+
 
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
@@ -72,31 +84,71 @@ const AdminDirectUploadJobs = () => {
         }
 
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/direct-upload-jobs`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                }
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to fetch direct upload jobs.ᐟ');
-            }
-
-            const data = await response.json();
-            setDirectUploadJobs(data.jobs); // UPDATED: Set directUploadJobs
+            const data = await getAdminDirectUploadJobs({ signal: getSignal() });
+            setDirectUploadJobs(data.jobs || []); // UPDATED: Set directUploadJobs
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Error fetching all direct upload jobs:', err);
             setError(err.message || 'Failed to load direct upload jobs.ᐟ');
         } finally {
             setLoading(false);
         }
-    }, [user]);
+    }, [user, getSignal]);
 
     useEffect(() => {
         fetchAllDirectUploadJobs();
     }, [fetchAllDirectUploadJobs]);
 
+    useEffect(() => {
+        const fetchQaSettings = async () => {
+            try {
+                const data = await getQaSettings({ signal: getSignal() });
+                setQaEnabled(Boolean(data.settings?.qa_enabled));
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error('Error fetching QA settings:', err);
+                showToast(err.message || 'Failed to load the QA setting.', 'error');
+            }
+        };
+        fetchQaSettings();
+    }, [getSignal, showToast]);
+
+    const handleToggleQa = useCallback(async (event) => {
+        const enabled = event.target.checked;
+        setQaSettingsSaving(true);
+        try {
+            await updateQaSettings({ qa_enabled: enabled }, { signal: getSignal() });
+            setQaEnabled(enabled);
+            showToast(enabled
+                ? 'QA review is on. Jobs completed from now on go to proofreaders first.'
+                : 'QA review is off. Jobs in review stay there until released.', 'success');
+        } catch (err) {
+            if (isAbortError(err)) return;
+            showToast(err.isNetworkError ? 'Network error while saving the QA setting.' : err.message || 'Failed to save the QA setting.', 'error');
+        } finally {
+            setQaSettingsSaving(false);
+        }
+    }, [getSignal, showToast]);
+
+    const handleSkipQa = useCallback(async () => {
+        if (!jobToSkipQa) return;
+        setSkipQaLoading(true);
+        try {
+            const data = await skipQaReview(jobToSkipQa.id, { signal: getSignal() });
+            showToast(data.message || 'Job released to the client without QA.', 'success');
+            setJobToSkipQa(null);
+            fetchAllDirectUploadJobs();
+        } catch (err) {
+            if (isAbortError(err)) return;
+            showToast(err.isNetworkError ? 'Network error while releasing the job.' : err.message || 'Failed to release the job.', 'error');
+        } finally {
+            setSkipQaLoading(false);
+        }
+    }, [jobToSkipQa, getSignal, showToast, fetchAllDirectUploadJobs]);
+
+    const qaQueueCount = directUploadJobs.filter((job) => job.status === 'awaiting_qa').length;
+    const qaInReviewCount = directUploadJobs.filter((job) => job.status === 'qa_in_progress').length;
+
 
     const openDeleteModal = useCallback((job) => { // Now accepts full job object
         console.log("openDeleteModal called with job:", job); // NEW LOG
@@ -122,40 +174,20 @@ const AdminDirectUploadJobs = () => {
         }
 
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            setModalLoading(false); // Ensure loading is reset
-            return;
-        }
-
         try {
-            const apiUrl = `${BACKEND_API_URL}/api/admin/direct-jobs/${jobToDelete.id}`; // Direct upload delete endpoint
-            console.log("handleDeleteJob: Deleting direct upload job with URL:", apiUrl); // NEW LOG
-
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Direct upload job deleted successfully!ᐟ', 'success');
-                closeDeleteModal();
-                fetchAllDirectUploadJobs(); // Refresh the list of direct upload jobs
-            } else {
-                console.error("handleDeleteJob: Backend error response:", data); // NEW LOG
-                showToast(data.error || 'Failed to delete direct upload job.ᐟ', 'error');
-            }
+            console.log("handleDeleteJob: Deleting direct upload job:", jobToDelete.id);
+            const data = await deleteAdminDirectUploadJob(jobToDelete.id, { signal: getSignal() });
+            showToast(data.message || 'Direct upload job deleted successfully!ᐟ', 'success');
+            closeDeleteModal();
+            fetchAllDirectUploadJobs(); // Refresh the list of direct upload jobs
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error deleting direct upload job:', error);
-            showToast('Network error deleting direct upload job.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error deleting direct upload job.ᐟ' : error.message || 'Failed to delete direct upload job.ᐟ', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [jobToDelete, logout, showToast, fetchAllDirectUploadJobs, closeDeleteModal]);
+    }, [jobToDelete, getSignal, showToast, fetchAllDirectUploadJobs, closeDeleteModal]);
 
     // Handle viewing job details
     const handleViewJobDetails = useCallback((jobId, jobType) => { 
@@ -188,6 +220,15 @@ const AdminDirectUploadJobs = () => {
                     <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
                 </div>
 
+                <div className="admin-content-section qa-settings-section">
+                    <h2>Proofreading (QA) Stage</h2>
+                    <label className="qa-toggle">
+                        <input type="checkbox" checked={qaEnabled} onChange={handleToggleQa} disabled={qaSettingsSaving} />
+                        Send completed jobs to a proofreader before the client receives them
+                    </label>
+                    <p>{qaQueueCount} awaiting QA · {qaInReviewCount} in review</p>
+                </div>
+
                 <div className="admin-content-section">
                     <h2>All Direct Upload Jobs (Admin View)</h2>
                     {directUploadJobs.length === 0 ? ( // UPDATED: Check directUploadJobs
@@ -207,6 +248,7 @@ const AdminDirectUploadJobs = () => {
                                         <th>Created At</th>
                                         <th>Taken At</th>
                                         <th>Completed At</th>
+                                        <th>QA</th>
                                         <th>Actions</th> {/* NEW: Actions column */}
                                     </tr>
                                 </thead>
@@ -223,6 +265,15 @@ const AdminDirectUploadJobs = () => {
                                             <td>{formatDisplayTimestamp(job.created_at)}</td>
                                             <td>{job.taken_at ? formatDisplayTimestamp(job.taken_at) : 'N/A'}</td>
                                             <td>{job.completed_at ? formatDisplayTimestamp(job.completed_at) : 'N/A'}</td>
+                                            <td>
+                                                {job.qa_reviewer ? (
+                                                    <>
+                                                        {job.qa_reviewer.full_name}
+                                                        {job.qa_score ? ` · ${job.qa_score}/5` : ''}
+                                                        {job.qa_notes && <div className="qa-notes">{job.qa_notes}</div>}
+                                                    </>
+                                                ) : isQaStatus(job.status) ? 'Unclaimed' : 'N/A'}
+                                            </td>
                                             <td>
                                                 <button 
                                                     onClick={(e) => {
@@ -233,6 +284,17 @@ const AdminDirectUploadJobs = () => {
                                                 >
                                                     View
                                                 </button>
+                                                {isQaStatus(job.status) && (
+                                                    <button
+                                                        onClick={(e) => {
+                                                            e.stopPropagation();
+                                                            setJobToSkipQa(job);
+                                                        }}
+                                                        className="action-btn skip-qa-btn"
+                                                    >
+                                                        Skip QA
+                                                    </button>
+                                                )}
                                                 <button 
                                                     onClick={(e) => {
                                                         e.stopPropagation(); 
@@ -273,6 +335,22 @@ const AdminDirectUploadJobs = () => {
                     <p className="modal-warning">This action is irreversible.ᐟ</p>
                 </Modal>
             )}
+
+            {jobToSkipQa && (
+                <Modal
+                    show={Boolean(jobToSkipQa)}
+                    title="Release Without QA?"
+                    onClose={() => setJobToSkipQa(null)}
+                    onSubmit={handleSkipQa}
+                    submitText="Release to Client"
+                    loading={skipQaLoading}
+                >
+                    <p>Job {jobToSkipQa.id.substring(0, 8)}... will go to the client with the transcriber's original transcript.</p>
+                    {jobToSkipQa.status === 'qa_in_progress' && (
+                        <p className="modal-warning">{jobToSkipQa.qa_reviewer?.full_name || 'A proofreader'} is reviewing this job; their unreleased edits will be discarded.</p>
+                    )}
+                </Modal>
+            )}
         </div>
     );
 };
@@ -4,17 +4,24 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from './contexts/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast'; // Import Toast component
+import Modal from './Modal';
+import DisputeChatLog from './chat/DisputeChatLog';
+import { getAllDisputes, getDisputeMessages } from './api/admin';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
 import './AdminManagement.css';
 
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const AdminDisputes = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
     const [disputes, setDisputes] = useState([]); // State to store fetched disputes
     const [loading, setLoading] = useState(true);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+    const getSignal = useAbortSignal();
+    // Dispute whose job chat is open, with its full edit history
+    const [selectedDispute, setSelectedDispute] = useState(null);
+    const [disputeMessages, setDisputeMessages] = useState([]);
+    const [loadingMessages, setLoadingMessages] = useState(false);
 
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
@@ -22,29 +29,17 @@ const AdminDisputes = () => {
     // Function to fetch all disputes for admin
     const fetchAllDisputes = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/disputes/all`, { // NEW: Admin API endpoint for all disputes
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && data.disputes) {
-                setDisputes(data.disputes);
-            } else {
-                showToast(data.error || 'Failed to fetch disputes.', 'error');
-            }
+            const data = await getAllDisputes({ signal: getSignal() });
+            setDisputes(data.disputes || []);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching disputes:', error);
-            showToast('Network error fetching disputes.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching disputes.' : error.message || 'Failed to fetch disputes.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
 
     useEffect(() => {
         // Basic role check (ProtectedRoute already handles main access)
@@ -55,6 +50,23 @@ const AdminDisputes = () => {
         fetchAllDisputes();
     }, [user, navigate, fetchAllDisputes]);
 
+    const openDisputeDetails = useCallback(async (dispute) => {
+        setSelectedDispute(dispute);
+        setDisputeMessages([]);
+        setLoadingMessages(true);
+        try {
+            const data = await getDisputeMessages(dispute.id, { signal: getSignal() });
+            setDisputeMessages(data.messages || []);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error fetching the job chat.' : error.message || 'Failed to fetch the job chat.', 'error');
+        } finally {
+            setLoadingMessages(false);
+        }
+    }, [getSignal, showToast]);
+
+    const closeDisputeDetails = useCallback(() => setSelectedDispute(null), []);
+
 
     if (loading) {
         return (
@@ -113,7 +125,7 @@ const AdminDisputes = () => {
                                             <td>{new Date(dispute.created_at).toLocaleDateString()}</td>
                                             <td>
                                                 {/* Add action buttons here, e.g., View Details, Resolve */}
-                                                <button className="action-btn view-details-btn">View Details</button>
+                                                <button className="action-btn view-details-btn" onClick={() => openDisputeDetails(dispute)}>View Details</button>
                                             </td>
                                         </tr>
                                     ))}
@@ -123,6 +135,28 @@ const AdminDisputes = () => {
                     )}
                 </div>
             </main>
+            <Modal
+                show={Boolean(selectedDispute)}
+                title="Job Chat"
+                onClose={closeDisputeDetails}
+            >
+                {selectedDispute && (
+                    <>
+                        <p><strong>Reason:</strong> {selectedDispute.reason}</p>
+                        {loadingMessages ? (
+                            <p>Loading chat...</p>
+                        ) : (
+                            <DisputeChatLog
+                                messages={disputeMessages}
+                                senderNames={{
+                                    [selectedDispute.client_id]: `${selectedDispute.client?.full_name || 'Client'} (client)`,
+                                    [selectedDispute.transcriber_id]: `${selectedDispute.transcriber?.full_name || 'Transcriber'} (transcriber)`,
+                                }}
+                            />
+                        )}
+                    </>
+                )}
+            </Modal>
             <Toast
                 message={toast.message}
                 type={toast.type}
@@ -5,14 +5,18 @@ import { useParams, Link, useNavigate, useLocation } from 'react-router-dom'; //
 import { useAuth } from './contexts/AuthContext';
 import Toast from './Toast';
 import './AdminManagement.css'; // Assuming common admin styles
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminNegotiationJob, getAdminDirectUploadJob } from './api/admin';
+import { downloadNegotiationFile } from './api/negotiations';
+import { downloadDirectUploadFile } from './api/directUploads';
 
 const AdminJobDetails = () => {
     const { jobId } = useParams();
     const { user, logout } = useAuth();
     const navigate = useNavigate();
     const location = useLocation(); // Use useLocation to get query params
+    const getSignal = useAbortSignal();
 
     const [jobData, setJobData] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -72,21 +76,16 @@ const AdminJobDetails = () => {
 
     const fetchJobDetails = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
 
         // Get jobType from URL query parameters
         const query = new URLSearchParams(location.search);
         const jobType = query.get('type');
 
-        let apiUrl;
+        let getJob;
         if (jobType === 'negotiation') {
-            apiUrl = `${BACKEND_API_URL}/api/admin/jobs/${jobId}`; // Endpoint for negotiation job details
+            getJob = getAdminNegotiationJob; // Endpoint for negotiation job details
         } else if (jobType === 'direct_upload') {
-            apiUrl = `${BACKEND_API_URL}/api/admin/direct-upload-jobs/${jobId}`; // Endpoint for direct upload job details
+            getJob = getAdminDirectUploadJob; // Endpoint for direct upload job details
         } else {
             showToast('Invalid job type provided for details.ᐟ', 'error');
             navigate('/admin/jobs'); // Redirect back if jobType is missing or invalid
@@ -94,25 +93,28 @@ const AdminJobDetails = () => {
         }
 
         try {
-            const response = await fetch(apiUrl, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok && data) {
-                setJobData({ ...data, jobType: jobType }); // Store jobType with data
-            } else {
-                showToast(data.error || 'Failed to fetch job details.ᐟ', 'error');
-                navigate('/admin/jobs'); // Redirect back to all jobs if not found or error
-            }
+            const data = await getJob(jobId, { signal: getSignal() });
+            setJobData({ ...data, jobType: jobType }); // Store jobType with data
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching job details: ', error);
-            showToast('Network error fetching job details.ᐟ', 'error');
-            navigate('/admin/jobs'); // Redirect back to all jobs on network error
+            showToast(error.isNetworkError ? 'Network error fetching job details.ᐟ' : error.message || 'Failed to fetch job details.ᐟ', 'error');
+            navigate('/admin/jobs'); // Redirect back to all jobs if not found or error
         } finally {
             setLoading(false);
         }
-    }, [jobId, logout, navigate, showToast, location.search]);
+    }, [jobId, getSignal, navigate, showToast, location.search]);
+
+    // The download endpoints need the session token, so files are fetched through the API client
+    const handleDownloadFile = useCallback(async (download, fileName) => {
+        try {
+            await download(jobId, fileName, { signal: getSignal() });
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error downloading file:', error);
+            showToast(error.message || `Failed to download ${fileName}.`, 'error');
+        }
+    }, [jobId, getSignal, showToast]);
 
     useEffect(() => {
         // Basic role check (ProtectedRoute already handles main access)
@@ -192,14 +194,13 @@ const AdminJobDetails = () => {
                                     <div className="detail-row">
                                         <span>Attached File:</span>
                                         <strong>
-                                            <a
-                                                href={`${BACKEND_API_URL}/api/negotiations/${jobData.id}/download/${jobData.negotiation_files}`}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                className="file-link"
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDownloadFile(downloadNegotiationFile, jobData.negotiation_files)}
+                                                className="file-link-button"
                                             >
                                                 📄 {jobData.negotiation_files}
-                                            </a>
+                                            </button>
                                         </strong>
                                     </div>
                                 )}
@@ -220,17 +221,27 @@ const AdminJobDetails = () => {
                                     <span>Audio Length:</span>
                                     <strong>{jobData.audio_length_minutes?.toFixed(2)} minutes</strong>
                                 </div>
+                                {/* The pricing rule version in effect when the job was quoted (see Pricing Version History in AdminSettings) */}
+                                <div className="detail-row">
+                                    <span>Priced Under:</span>
+                                    <strong>
+                                        {jobData.pricing_version_number
+                                            ? <Link to="/admin/settings">Pricing v{jobData.pricing_version_number}</Link>
+                                            : 'Unversioned (before pricing history)'}
+                                        {jobData.pricing_rule_name && ` · ${jobData.pricing_rule_name}`}
+                                        {jobData.price_per_minute_usd && ` · USD ${Number(jobData.price_per_minute_usd).toFixed(2)}/min`}
+                                    </strong>
+                                </div>
                                 <div className="detail-row">
                                     <span>Main File:</span>
                                     <strong>
-                                        <a
-                                            href={`${BACKEND_API_URL}/api/direct-jobs/${jobData.id}/download/${jobData.file_name}`}
-                                            target="_blank"
-                                            rel="noopener noreferrer"
-                                            className="file-link"
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDownloadFile(downloadDirectUploadFile, jobData.file_name)}
+                                            className="file-link-button"
                                         >
                                             📄 {jobData.file_name}
-                                        </a>
+                                        </button>
                                     </strong>
                                 </div>
                                 {jobData.instruction_files && (
@@ -238,16 +249,15 @@ const AdminJobDetails = () => {
                                         <span>Instruction Files:</span>
                                         <strong>
                                             {jobData.instruction_files.split(',').map((file, index) => (
-                                                <a
+                                                <button
                                                     key={index}
-                                                    href={`${BACKEND_API_URL}/api/direct-jobs/${jobData.id}/download/${file}`}
-                                                    target="_blank"
-                                                    rel="noopener noreferrer"
-                                                    className="file-link"
+                                                    type="button"
+                                                    onClick={() => handleDownloadFile(downloadDirectUploadFile, file)}
+                                                    className="file-link-button"
                                                     style={{ display: 'block' }}
                                                 >
                                                     📄 {file}
-                                                </a>
+                                                </button>
                                             ))}
                                         </strong>
                                     </div>
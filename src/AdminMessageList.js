@@ -8,13 +8,16 @@ import './AdminManagement.css';
 import './AdminMessageList.css';
 // FIXED: Import connectSocket, disconnectSocket from ChatService
 import { connectSocket, disconnectSocket } from './ChatService'; 
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { getUnreadCountChange } from './chat/chatPresence';
+import ChatSearch from './chat/ChatSearch';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminChatList } from './api/chat';
 
 const AdminMessageList = () => {
     const { user, isAuthReady, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [loading, setLoading] = useState(true);
     const [chatList, setChatList] = useState([]);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
@@ -23,32 +26,20 @@ const AdminMessageList = () => {
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
     const fetchAdminChatList = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            logout();
-            return;
-        }
+        if (!user?.id) return;
 
         console.log('AdminMessageList: Fetching admin chat list.');
         try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/chat/list`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok && data.chatList) {
-                setChatList(data.chatList);
-            } else {
-                showToast(data.error || 'Failed to fetch chat list.', 'error');
-            }
+            const data = await getAdminChatList({ signal: getSignal() });
+            setChatList(data.chatList || []);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching admin chat list:', error);
-            showToast('Network error fetching admin chat list.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching admin chat list.' : error.message || 'Failed to fetch chat list.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [user, logout, showToast]);
+    }, [user, getSignal, showToast]);
 
 
     useEffect(() => {
@@ -88,21 +79,25 @@ const AdminMessageList = () => {
             showToast(`New message from ${msg.sender_name || 'User'}!`, 'info');
         };
 
-        const handleUnreadMessageCountUpdate = (data) => {
-            if (data.userId === user.id) {
-                console.log('Real-time: Unread message count update received!', data);
-                fetchAdminChatList(); 
-            }
+        // Reading a conversation (here or on another device) clears its badge without a re-fetch
+        const handleMessagesRead = (data) => {
+            const change = getUnreadCountChange('messagesRead', data, user.id);
+            if (change === 0) return;
+            setChatList(prevList => prevList.map(chat => (
+                chat.partner_id === data.senderId
+                    ? { ...chat, unread_count: Math.max(0, (chat.unread_count || 0) + change) }
+                    : chat
+            )));
         };
 
         // FIXED: Attach listeners to the global socket instance from ChatService
         socket.on('newChatMessage', handleNewChatMessage);
-        socket.on('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
+        socket.on('messagesRead', handleMessagesRead);
         
         return () => {
             console.log('AdminMessageList: Cleaning up socket listeners on unmount.');
             socket.off('newChatMessage', handleNewChatMessage);
-            socket.off('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
+            socket.off('messagesRead', handleMessagesRead);
             socket.off('connect', handleSocketConnect); // Detach the connect listener
             disconnectSocket(); // Disconnect via ChatService
         };
@@ -138,6 +133,12 @@ const AdminMessageList = () => {
                     <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
                 </div>
 
+                <div className="admin-message-list-section">
+                    <h2>Search Messages</h2>
+                    <p>Search every user's direct, job and training-room chats.</p>
+                    <ChatSearch user={user} allUsers />
+                </div>
+
                 <div className="admin-message-list-section">
                     <h2>Conversations</h2>
                     <p>Select a user to view chat history and send messages.</p>
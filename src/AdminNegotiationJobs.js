@@ -7,13 +7,15 @@ import Toast from './Toast'; // Import Toast component
 import Modal from './Modal'; // Import Modal component for delete confirmation
 import './AdminManagement.css'; // Assuming common admin styles
 import './AdminJobs.css'; // Assuming styling for job tables
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminNegotiationJobs } from './api/admin';
+import { deleteNegotiation } from './api/negotiations';
 
 const AdminNegotiationJobs = () => { // UPDATED: Component name
     const { user, logout } = useAuth();
     const navigate = useNavigate(); // Use useNavigate
+    const getSignal = useAbortSignal();
     const [negotiationJobs, setNegotiationJobs] = useState([]); // UPDATED: State to store fetched negotiation jobs
     const [loading, setLoading] = useState(true);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
@@ -71,39 +73,31 @@ const AdminNegotiationJobs = () => { // UPDATED: Component name
     // Function to fetch all negotiation jobs for admin
     const fetchNegotiationJobs = useCallback(async () => { // UPDATED: Function name
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
             // Fetch negotiation jobs only
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/jobs`, { 
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
+            const data = await getAdminNegotiationJobs({ signal: getSignal() });
 
-            if (response.ok && Array.isArray(data)) { 
+            if (Array.isArray(data)) { 
                 const typedNegotiations = data.map(job => ({ ...job, jobType: 'negotiation' }));
                 setNegotiationJobs(typedNegotiations); // UPDATED: Set negotiationJobs
-            } else if (response.ok && data && Array.isArray(data.jobs)) { 
+            } else if (data && Array.isArray(data.jobs)) { 
                 const typedNegotiations = data.jobs.map(job => ({ ...job, jobType: 'negotiation' }));
                 setNegotiationJobs(typedNegotiations); // UPDATED: Set negotiationJobs
             }
             else {
-                showToast(data.error || 'Failed to fetch negotiation jobs.ᐟ', 'error');
+                showToast('Failed to fetch negotiation jobs.ᐟ', 'error');
                 setNegotiationJobs([]); // UPDATED: Ensure negotiationJobs is an empty array on error
             }
 
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching negotiation jobs:', error);
-            showToast('Network error fetching negotiation jobs.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching negotiation jobs.ᐟ' : error.message || 'Failed to fetch negotiation jobs.ᐟ', 'error');
             setNegotiationJobs([]); // UPDATED: Ensure negotiationJobs is an empty array on error
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
 
     useEffect(() => {
         // Basic role check (ProtectedRoute already handles main access)
@@ -130,37 +124,19 @@ const AdminNegotiationJobs = () => { // UPDATED: Component name
         if (!jobToDelete?.id || jobToDelete.jobType !== 'negotiation') return; // Ensure it's a negotiation job
 
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobToDelete.id}`; // Always negotiation delete endpoint
-
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Negotiation job deleted successfully!ᐟ', 'success');
-                closeDeleteModal();
-                fetchNegotiationJobs(); // Refresh the list of negotiation jobs
-            } else {
-                showToast(data.error || 'Failed to delete negotiation job.ᐟ', 'error');
-            }
+            const data = await deleteNegotiation(jobToDelete.id, { signal: getSignal() }); // Always negotiation delete endpoint
+            showToast(data.message || 'Negotiation job deleted successfully!ᐟ', 'success');
+            closeDeleteModal();
+            fetchNegotiationJobs(); // Refresh the list of negotiation jobs
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error deleting negotiation job:', error);
-            showToast('Network error deleting negotiation job.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error deleting negotiation job.ᐟ' : error.message || 'Failed to delete negotiation job.ᐟ', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [jobToDelete, logout, showToast, fetchNegotiationJobs, closeDeleteModal]);
+    }, [jobToDelete, getSignal, showToast, fetchNegotiationJobs, closeDeleteModal]);
 
     // Handle viewing job details
     const handleViewJobDetails = useCallback((jobId, jobType) => { 
@@ -3,13 +3,16 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from './contexts/AuthContext';
-import { BACKEND_API_URL } from './config';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminPayments } from './api/admin';
 import './AdminPaymentHistory.css';
 import { Link, useNavigate } from 'react-router-dom';
 
 const AdminPaymentHistory = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [allPayments, setAllPayments] = useState([]);
     const [transcriberPayoutSummary, setTranscriberPayoutSummary] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -45,27 +48,17 @@ const AdminPaymentHistory = () => {
         }
 
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/payments`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                }
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to fetch payment history.');
-            }
-
-            const data = await response.json();
+            const data = await getAdminPayments({ signal: getSignal() });
             setAllPayments(data);
             setTranscriberPayoutSummary(calculateTranscriberUpcomingPayouts(data));
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Error fetching all payment history:', err);
             setError(err.message || 'Failed to load payment history.');
         } finally {
             setLoading(false);
         }
-    }, [user, navigate]);
+    }, [user, navigate, getSignal]);
 
     useEffect(() => {
         fetchAllPaymentHistory();
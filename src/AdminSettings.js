@@ -1,99 +1,174 @@
 // frontend/client/src/AdminSettings.js - COMPLETE AND UPDATED with dynamic pricing rules display and USD currency
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAuth } from './contexts/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast'; // Import Toast component
+import { validatePricingRules } from './pricing/pricingRuleValidation';
+import PricingSimulator from './pricing/PricingSimulator';
+import PricingVersionHistory from './pricing/PricingVersionHistory';
+import {
+    getAdminSettings,
+    updateAdminSettings,
+    getPricingRuleVersions,
+    rollbackPricingRuleVersion,
+    cancelScheduledPricingRuleVersion,
+} from './api/admin';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
 import './AdminManagement.css'; // Assuming common admin styles
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import './AdminSettings.css';
 
 const AdminSettings = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
     const [settingsId, setSettingsId] = useState(null); // To store the ID of the settings row for updates
     const [pricingRules, setPricingRules] = useState([]); // Array to store dynamic pricing rules
+    const [savedPricingRules, setSavedPricingRules] = useState([]); // Last fetched rules, for the simulator's draft vs saved comparison
+    const [transcriberSharePercent, setTranscriberSharePercent] = useState(null); // Starting share for the simulator's pay split
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
 
+    // Version history: each save publishes a new version, optionally scheduled for a later date
+    const [liveVersionNumber, setLiveVersionNumber] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [versionsLoading, setVersionsLoading] = useState(true);
+    const [changeNote, setChangeNote] = useState('');
+    const [effectiveFrom, setEffectiveFrom] = useState(''); // datetime-local value; empty = immediately
+    const getSignal = useAbortSignal();
+
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
+    // Re-validated on every edit; errors block saving, warnings are informational
+    const ruleValidation = useMemo(() => validatePricingRules(pricingRules), [pricingRules]);
+    const ruleIdsWithErrors = useMemo(
+        () => new Set(ruleValidation.errors.flatMap(issue => issue.ruleIds)),
+        [ruleValidation]
+    );
+    const ruleIdsWithWarnings = useMemo(
+        () => new Set(ruleValidation.warnings.flatMap(issue => issue.ruleIds)),
+        [ruleValidation]
+    );
+
     // Function to fetch settings from the backend
     const fetchSettings = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/settings`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && data.settings) {
-                setSettingsId(data.settings.id); // Store the ID
-                // Ensure pricing_rules is an array, default to empty if null/undefined
-                // Also ensure each rule has special_requirements as an array
-                setPricingRules(data.settings.pricing_rules?.map(rule => ({
-                    ...rule,
-                    special_requirements: rule.special_requirements || [] // Default to empty array
-                })) || []); 
-                console.log("Fetched Pricing Rules:", data.settings.pricing_rules || []); // Debugging log
-            } else {
-                showToast(data.error || 'Failed to fetch settings.', 'error');
-                setPricingRules([]); // Default to empty array on error
-            }
+            const data = await getAdminSettings({ signal: getSignal() });
+            setSettingsId(data.settings?.id); // Store the ID
+            // Ensure pricing_rules is an array, default to empty if null/undefined
+            // Also ensure each rule has special_requirements as an array
+            const fetchedRules = data.settings?.pricing_rules?.map(rule => ({
+                ...rule,
+                special_requirements: rule.special_requirements || [] // Default to empty array
+            })) || [];
+            setPricingRules(fetchedRules);
+            setSavedPricingRules(fetchedRules);
+            setLiveVersionNumber(data.settings?.pricing_version?.version_number ?? null);
+            setTranscriberSharePercent(data.settings?.transcriber_share_percent ?? null);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching settings: ', error);
-            showToast('Network error fetching settings.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching settings.' : error.message || 'Failed to fetch settings.', 'error');
             setPricingRules([]); // Default to empty array on error
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
+
+    const fetchVersions = useCallback(async () => {
+        setVersionsLoading(true);
+        try {
+            const data = await getPricingRuleVersions({ signal: getSignal() });
+            setVersions(data.versions || []);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error fetching pricing versions: ', error);
+            showToast(error.message || 'Failed to load pricing version history.', 'error');
+        } finally {
+            setVersionsLoading(false);
+        }
+    }, [getSignal, showToast]);
 
     // Function to save settings to the backend
     const saveSettings = useCallback(async (e) => {
         e.preventDefault();
-        setSaving(true);
-        hideToast();
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
+        if (ruleValidation.errors.length > 0) {
+            showToast(`Fix the ${ruleValidation.errors.length} pricing rule error(s) listed above before saving.`, 'error');
             return;
         }
-
+        const effectiveFromIso = effectiveFrom ? new Date(effectiveFrom).toISOString() : undefined;
+        if (effectiveFromIso && new Date(effectiveFromIso) <= new Date()) {
+            showToast('The scheduled date must be in the future. Leave it empty to apply the rules now.', 'error');
+            return;
+        }
+        setSaving(true);
+        hideToast();
         try {
-            const payload = {
+            const data = await updateAdminSettings({
                 id: settingsId, // Include ID if updating an existing row
                 pricing_rules: pricingRules,
-            };
-
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/settings`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-                body: JSON.stringify(payload)
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Settings saved successfully!', 'success');
-                setSettingsId(data.settings.id); // Ensure ID is updated if it was an insert
-                fetchSettings(); // CRITICAL FIX: Re-fetch settings to update UI with latest saved data
-            } else {
-                showToast(data.error || 'Failed to save settings.', 'error');
-            }
+                change_note: changeNote.trim() || undefined,
+                effective_from: effectiveFromIso,
+            }, { signal: getSignal() });
+            showToast(
+                effectiveFromIso
+                    ? `Pricing rules scheduled to take effect ${new Date(effectiveFromIso).toLocaleString()}.`
+                    : data.message || 'Settings saved successfully!',
+                'success'
+            );
+            setSettingsId(data.settings?.id ?? settingsId); // Ensure ID is updated if it was an insert
+            setChangeNote('');
+            setEffectiveFrom('');
+            fetchSettings(); // CRITICAL FIX: Re-fetch settings to update UI with latest saved data
+            fetchVersions();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error saving settings: ', error);
-            showToast('Network error saving settings.', 'error');
+            showToast(error.isNetworkError ? 'Network error saving settings.' : error.message || 'Failed to save settings.', 'error');
         } finally {
             setSaving(false);
         }
-    }, [settingsId, pricingRules, logout, hideToast, showToast, fetchSettings]); // Added fetchSettings to dependencies
+    }, [settingsId, pricingRules, ruleValidation, changeNote, effectiveFrom, getSignal, hideToast, showToast, fetchSettings, fetchVersions]);
+
+    const handleRollback = useCallback(async (version, rollbackEffectiveFrom) => {
+        if (rollbackEffectiveFrom && new Date(rollbackEffectiveFrom) <= new Date()) {
+            showToast('The scheduled date must be in the future.', 'error');
+            return false;
+        }
+        try {
+            await rollbackPricingRuleVersion(version.id, { effective_from: rollbackEffectiveFrom }, { signal: getSignal() });
+            showToast(
+                rollbackEffectiveFrom
+                    ? `Rollback to v${version.version_number} scheduled for ${new Date(rollbackEffectiveFrom).toLocaleString()}.`
+                    : `Rolled back to the rules from v${version.version_number}.`,
+                'success'
+            );
+            fetchSettings();
+            fetchVersions();
+            return true;
+        } catch (error) {
+            if (isAbortError(error)) return false;
+            showToast(error.message || 'Failed to roll back pricing rules.', 'error');
+            return false;
+        }
+    }, [getSignal, showToast, fetchSettings, fetchVersions]);
+
+    const handleCancelScheduled = useCallback(async (version) => {
+        if (!window.confirm(`Cancel scheduled version v${version.version_number}? The current rules will stay in effect.`)) {
+            return;
+        }
+        try {
+            await cancelScheduledPricingRuleVersion(version.id, { signal: getSignal() });
+            showToast(`Scheduled version v${version.version_number} cancelled.`, 'success');
+            fetchVersions();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(error.message || 'Failed to cancel the scheduled version.', 'error');
+        }
+    }, [getSignal, showToast, fetchVersions]);
 
     // Handler for changes within a specific pricing rule
     const handleRuleChange = useCallback((index, field, value) => {
@@ -106,11 +181,13 @@ const AdminSettings = () => {
     const handleRuleSpecialRequirementsChange = useCallback((index, value, checked) => {
         const updatedRules = [...pricingRules];
         const currentRequirements = updatedRules[index].special_requirements || [];
-        if (checked) {
-            updatedRules[index].special_requirements = [...currentRequirements, value];
-        } else {
-            updatedRules[index].special_requirements = currentRequirements.filter(req => req !== value);
-        }
+        // Replace the rule object rather than mutating it: savedPricingRules shares the fetched objects
+        updatedRules[index] = {
+            ...updatedRules[index],
+            special_requirements: checked
+                ? [...currentRequirements, value]
+                : currentRequirements.filter(req => req !== value),
+        };
         setPricingRules(updatedRules);
     }, [pricingRules]);
 
@@ -145,7 +222,8 @@ const AdminSettings = () => {
             return;
         }
         fetchSettings();
-    }, [user, navigate, fetchSettings]);
+        fetchVersions();
+    }, [user, navigate, fetchSettings, fetchVersions]);
 
 
     if (loading) {
@@ -177,7 +255,7 @@ const AdminSettings = () => {
                     <p>Adjust core settings for your transcription platform, including dynamic pricing rules.</p>
                     
                     <form onSubmit={saveSettings} className="settings-form">
-                        <h3>Dynamic Pricing Rules (USD)</h3>
+                        <h3>Dynamic Pricing Rules (USD){liveVersionNumber !== null && <span className="live-version-badge">Live: v{liveVersionNumber}</span>}</h3>
                         <p>Define different prices per minute based on audio quality, deadline type, and job duration.</p>
 
                         {/* Display existing rules */}
@@ -186,7 +264,10 @@ const AdminSettings = () => {
                         )}
 
                         {pricingRules.map((rule, index) => (
-                            <div key={rule.id} className="pricing-rule-card">
+                            <div
+                                key={rule.id}
+                                className={`pricing-rule-card ${ruleIdsWithErrors.has(rule.id) ? 'has-error' : ruleIdsWithWarnings.has(rule.id) ? 'has-warning' : ''}`}
+                            >
                                 <h4>Rule: {rule.name || `New Rule ${index + 1}`}</h4>
                                 <div className="form-group">
                                     <label>Rule Name:</label>
@@ -292,11 +373,71 @@ const AdminSettings = () => {
                         <button type="button" onClick={addRule} className="add-rule-btn">
                             + Add New Pricing Rule
                         </button>
-                        
-                        <button type="submit" disabled={saving || pricingRules.length === 0} className="save-settings-btn">
-                            {saving ? 'Saving...' : 'Save All Settings'}
+
+                        {pricingRules.length > 0 && (
+                            <div className="pricing-validation">
+                                {ruleValidation.errors.length === 0 && ruleValidation.warnings.length === 0 && (
+                                    <p className="validation-ok">✓ No overlaps, gaps or invalid prices found.</p>
+                                )}
+                                {ruleValidation.errors.length > 0 && (
+                                    <div className="validation-list validation-errors">
+                                        <h4>Errors ({ruleValidation.errors.length}) - must be fixed before saving</h4>
+                                        <ul>
+                                            {ruleValidation.errors.map((issue, index) => (
+                                                <li key={`error-${index}`}>{issue.message}</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                                {ruleValidation.warnings.length > 0 && (
+                                    <div className="validation-list validation-warnings">
+                                        <h4>Warnings ({ruleValidation.warnings.length})</h4>
+                                        <ul>
+                                            {ruleValidation.warnings.map((issue, index) => (
+                                                <li key={`warning-${index}`}>{issue.message}</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="publish-options">
+                            <div className="form-group">
+                                <label htmlFor="pricing-change-note">Change Note (optional):</label>
+                                <input
+                                    id="pricing-change-note"
+                                    type="text"
+                                    value={changeNote}
+                                    onChange={(e) => setChangeNote(e.target.value)}
+                                    placeholder="e.g., Raised urgent prices for difficult audio"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="pricing-effective-from">Take Effect On (optional):</label>
+                                <input
+                                    id="pricing-effective-from"
+                                    type="datetime-local"
+                                    value={effectiveFrom}
+                                    onChange={(e) => setEffectiveFrom(e.target.value)}
+                                />
+                                <small className="help-text">Leave empty to apply the new rules immediately.</small>
+                            </div>
+                        </div>
+
+                        <button type="submit" disabled={saving || pricingRules.length === 0 || ruleValidation.errors.length > 0} className="save-settings-btn">
+                            {saving ? 'Saving...' : effectiveFrom ? 'Schedule New Version' : 'Save All Settings'}
                         </button>
                     </form>
+
+                    <PricingSimulator draftRules={pricingRules} savedRules={savedPricingRules} transcriberSharePercent={transcriberSharePercent} />
+
+                    <PricingVersionHistory
+                        versions={versions}
+                        loading={versionsLoading}
+                        onRollback={handleRollback}
+                        onCancelScheduled={handleCancelScheduled}
+                    />
                 </div>
             </main>
             <Toast
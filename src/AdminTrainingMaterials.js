@@ -5,13 +5,16 @@ import { useAuth } from './contexts/AuthContext';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTraineeMaterials } from './api/trainee';
+import { createTrainingMaterial, updateTrainingMaterial, deleteTrainingMaterial } from './api/admin';
 import './AdminManagement.css'; // Reusing the admin management CSS
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const AdminTrainingMaterials = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [loading, setLoading] = useState(true);
     const [materials, setMaterials] = useState([]);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
@@ -37,31 +40,18 @@ const AdminTrainingMaterials = () => {
 
     const fetchMaterials = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/trainee/materials`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                setMaterials(data.materials || []);
-            } else {
-                console.error('[AdminTrainingMaterials.js] Error data received from backend:', data);
-                showToast(data.error || 'Failed to fetch training materials.', 'error');
-            }
+            // Admins see the same list trainees get
+            const data = await getTraineeMaterials({ signal: getSignal() });
+            setMaterials(data.materials || []);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching training materials:', error);
-            showToast('Network error fetching training materials.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching training materials.' : error.message || 'Failed to fetch training materials.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
 
     useEffect(() => {
         if (user?.user_type !== 'admin') {
@@ -106,13 +96,6 @@ const AdminTrainingMaterials = () => {
         }
 
         setMaterialModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         const payload = {
             title: materialTitle,
             description: materialDescription,
@@ -121,35 +104,21 @@ const AdminTrainingMaterials = () => {
         };
 
         try {
-            const method = isEditing ? 'PUT' : 'POST';
-            const url = isEditing 
-                ? `${BACKEND_API_URL}/api/admin/training-materials/${currentMaterial.id}`
-                : `${BACKEND_API_URL}/api/admin/training-materials`;
-
-            const response = await fetch(url, {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(payload)
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message, 'success');
-                closeMaterialModal();
-                fetchMaterials(); // Refresh materials list
-            } else {
-                showToast(data.error || `Failed to ${isEditing ? 'update' : 'create'} material.`, 'error');
-            }
+            const options = { signal: getSignal() };
+            const data = isEditing
+                ? await updateTrainingMaterial(currentMaterial.id, payload, options)
+                : await createTrainingMaterial(payload, options);
+            showToast(data.message, 'success');
+            closeMaterialModal();
+            fetchMaterials(); // Refresh materials list
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error(`Error ${isEditing ? 'updating' : 'creating'} training material:`, error);
-            showToast('Network error.', 'error');
+            showToast(error.isNetworkError ? 'Network error.' : error.message || `Failed to ${isEditing ? 'update' : 'create'} material.`, 'error');
         } finally {
             setMaterialModalLoading(false);
         }
-    }, [materialTitle, materialDescription, materialLink, materialOrderIndex, isEditing, currentMaterial, showToast, logout, closeMaterialModal, fetchMaterials]);
+    }, [materialTitle, materialDescription, materialLink, materialOrderIndex, isEditing, currentMaterial, showToast, getSignal, closeMaterialModal, fetchMaterials]);
 
     // --- Delete Material Handlers ---
     const openDeleteModal = useCallback((material) => {
@@ -170,36 +139,19 @@ const AdminTrainingMaterials = () => {
         }
 
         setDeleteModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/training-materials/${materialToDelete.id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Training material deleted successfully.', 'success');
-                closeDeleteModal();
-                fetchMaterials(); // Refresh materials list
-            } else {
-                showToast(data.error || 'Failed to delete training material.', 'error');
-            }
+            const data = await deleteTrainingMaterial(materialToDelete.id, { signal: getSignal() });
+            showToast(data.message || 'Training material deleted successfully.', 'success');
+            closeDeleteModal();
+            fetchMaterials(); // Refresh materials list
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error deleting training material:', error);
-            showToast('Network error.', 'error');
+            showToast(error.isNetworkError ? 'Network error.' : error.message || 'Failed to delete training material.', 'error');
         } finally {
             setDeleteModalLoading(false);
         }
-    }, [materialToDelete, showToast, logout, closeDeleteModal, fetchMaterials]);
+    }, [materialToDelete, showToast, getSignal, closeDeleteModal, fetchMaterials]);
 
 
     if (loading) {
@@ -4,13 +4,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from './contexts/AuthContext';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAdminUsers } from './api/admin';
 import './AdminManagement.css'; // Reusing the admin management CSS
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const AdminTrainingRoom = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [loading, setLoading] = useState(true);
     const [trainees, setTrainees] = useState([]);
     const [searchTerm, setSearchTerm] = useState('');
@@ -21,34 +23,20 @@ const AdminTrainingRoom = () => {
 
     const fetchTrainees = useCallback(async (currentSearchTerm) => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
             // We'll reuse the getAllUsersForAdmin endpoint and filter for trainees
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/users?search=${encodeURIComponent(currentSearchTerm)}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                // Filter for users with user_type 'trainee'
-                const filteredTrainees = data.users.filter(u => u.user_type === 'trainee');
-                setTrainees(filteredTrainees);
-            } else {
-                console.error('[AdminTrainingRoom.js] Error data received from backend:', data);
-                showToast(data.error || 'Failed to fetch trainees.', 'error');
-            }
+            const data = await getAdminUsers(currentSearchTerm, { signal: getSignal() });
+            // Filter for users with user_type 'trainee'
+            const filteredTrainees = (data.users || []).filter(u => u.user_type === 'trainee');
+            setTrainees(filteredTrainees);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching trainees:', error);
-            showToast('Network error fetching trainees.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching trainees.' : error.message || 'Failed to fetch trainees.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
 
     useEffect(() => {
         if (user?.user_type !== 'admin') {
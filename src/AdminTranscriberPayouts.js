@@ -5,13 +5,16 @@ import Toast from './Toast';
 import Modal from './Modal';
 import './AdminManagement.css';
 import './TranscriberPaymentHistory.css';
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getUser } from './api/users';
+import { getTranscriberUpcomingPayouts, markPaymentPaid } from './api/admin';
 
 const AdminTranscriberPayouts = () => {
     const { transcriberId } = useParams();
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [transcriberName, setTranscriberName] = useState('Loading...');
     const [upcomingPayouts, setUpcomingPayouts] = useState([]);
@@ -41,42 +44,39 @@ const AdminTranscriberPayouts = () => {
         }
 
         setLoading(true);
+        const signal = getSignal();
         try {
             // Fetch transcriber details
-            const transcriberResponse = await fetch(`${BACKEND_API_URL}/api/users/${transcriberId}`, {
-                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-            });
-            // FIX: Corrected typo from 'transcriscriberResponse' to 'transcriberResponse'
-            const transcriberData = await transcriberResponse.json(); 
-            if (transcriberResponse.ok && transcriberData.user) {
-                setTranscriberName(transcriberData.user.full_name);
-            } else {
-                showToast(transcriberData.error || 'Failed to fetch transcriber details.', 'error');
+            const transcriberData = await getUser(transcriberId, { signal });
+            if (!transcriberData.user) {
+                showToast('Failed to fetch transcriber details.', 'error');
                 setError('Failed to load transcriber details.');
-                setLoading(false);
                 return;
             }
+            setTranscriberName(transcriberData.user.full_name);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Error fetching transcriber details:', err);
+            showToast(err.isNetworkError ? 'Network error fetching transcriber details.' : err.message || 'Failed to fetch transcriber details.', 'error');
+            setError('Failed to load transcriber details.');
+            setLoading(false);
+            return;
+        }
 
+        try {
             // Fetch upcoming payouts
-            const paymentsResponse = await fetch(`${BACKEND_API_URL}/api/admin/transcriber/${transcriberId}/upcoming-payouts`, {
-                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-            });
-            const paymentsData = await paymentsResponse.json();
-
-            if (paymentsResponse.ok) {
-                setUpcomingPayouts(paymentsData.upcomingPayouts || []);
-                setTotalUpcomingPayouts(paymentsData.totalUpcomingPayouts || 0);
-            } else {
-                showToast(paymentsData.error || 'Failed to load upcoming payouts.', 'error');
-                setError('Failed to load upcoming payouts.');
-            }
+            const paymentsData = await getTranscriberUpcomingPayouts(transcriberId, { signal });
+            setUpcomingPayouts(paymentsData.upcomingPayouts || []);
+            setTotalUpcomingPayouts(paymentsData.totalUpcomingPayouts || 0);
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Error fetching transcriber payouts:', err);
-            setError(err.message || 'Failed to load payouts.');
+            showToast(err.isNetworkError ? 'Network error loading upcoming payouts.' : err.message || 'Failed to load upcoming payouts.', 'error');
+            setError('Failed to load upcoming payouts.');
         } finally {
             setLoading(false);
         }
-    }, [user, transcriberId, navigate, showToast]);
+    }, [user, transcriberId, navigate, showToast, getSignal]);
 
     useEffect(() => {
         fetchTranscriberPayouts();
@@ -101,29 +101,18 @@ const AdminTranscriberPayouts = () => {
 
         setModalLoading(true);
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/payments/${paymentToMarkPaid.id}/mark-paid`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Payment marked as paid successfully!', 'success');
-                closeMarkPaidModal();
-                fetchTranscriberPayouts(); // Refresh the list
-            } else {
-                showToast(data.error || 'Failed to mark payment as paid.', 'error');
-            }
+            const data = await markPaymentPaid(paymentToMarkPaid.id, { signal: getSignal() });
+            showToast(data.message || 'Payment marked as paid successfully!', 'success');
+            closeMarkPaidModal();
+            fetchTranscriberPayouts(); // Refresh the list
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Error marking payment as paid:', err);
-            showToast('Network error marking payment as paid.', 'error');
+            showToast(err.isNetworkError ? 'Network error marking payment as paid.' : err.message || 'Failed to mark payment as paid.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [paymentToMarkPaid, showToast, closeMarkPaidModal, fetchTranscriberPayouts]);
+    }, [paymentToMarkPaid, showToast, closeMarkPaidModal, fetchTranscriberPayouts, getSignal]);
 
 
     if (loading) {
@@ -1,13 +1,24 @@
 // frontend/client/src/AdminTranscriberTestDetails.js - COMPLETE AND UPDATED for Vercel deployment
 
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
 import Toast from './Toast';
+import TranscriptionScoreReport from './assessment/TranscriptionScoreReport';
+import { scoreTranscription } from './assessment/transcriptScoring';
+import { formatDuration } from './assessment/assessmentTimer';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTranscriberTestSubmission } from './api/admin';
 import './AdminManagement.css';
 
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+// Total from the server's start and submit times when the session was timed, otherwise the section sum
+const getTotalSeconds = (submission) => {
+    if (submission.started_at) {
+        return (Date.parse(submission.created_at) - Date.parse(submission.started_at)) / 1000;
+    }
+    return Object.values(submission.section_seconds || {}).reduce((sum, seconds) => sum + seconds, 0);
+};
 
 // Helper function to convert simple markdown to HTML (bold and italics)
 const formatTranscriptionText = (text) => {
@@ -26,6 +37,7 @@ const AdminTranscriberTestDetails = () => {
     const { submissionId } = useParams();
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [submissionDetails, setSubmissionDetails] = useState(null);
     const [loading, setLoading] = useState(true);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
@@ -35,32 +47,18 @@ const AdminTranscriberTestDetails = () => {
 
     const fetchSubmissionDetails = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/transcriber-tests/${submissionId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok) {
-                setSubmissionDetails(data.submission);
-            } else {
-                showToast(data.error || 'Failed to fetch submission details.', 'error');
-                navigate('/admin/transcriber-tests');
-            }
+            const data = await getTranscriberTestSubmission(submissionId, { signal: getSignal() });
+            setSubmissionDetails(data.submission);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching submission details:', error);
-            showToast('Network error fetching submission details.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching submission details.' : error.message || 'Failed to fetch submission details.', 'error');
             navigate('/admin/transcriber-tests');
         } finally {
             setLoading(false);
         }
-    }, [submissionId, logout, navigate, showToast]);
+    }, [submissionId, getSignal, navigate, showToast]);
 
     useEffect(() => {
         if (!user || user.user_type !== 'admin') {
@@ -70,6 +68,13 @@ const AdminTranscriberTestDetails = () => {
         fetchSubmissionDetails();
     }, [user, fetchSubmissionDetails, navigate]);
 
+    // Scored here rather than on submit so the reference never has to reach the transcriber's browser
+    const transcriptionScore = useMemo(() => (
+        submissionDetails?.reference_transcript
+            ? scoreTranscription(submissionDetails.reference_transcript, submissionDetails.transcription_text)
+            : null
+    ), [submissionDetails]);
+
     if (loading) {
         return (
             <div className="admin-management-container">
@@ -109,10 +114,27 @@ const AdminTranscriberTestDetails = () => {
                     <p><strong>Grammar Score:</strong> {submissionDetails.grammar_score.toFixed(2)}%</p>
                     <p><strong>Status:</strong> <span className={`status-badge ${submissionDetails.status}`}>{submissionDetails.status.replace('_', ' ')}</span></p>
                     <p><strong>Submitted On:</strong> {new Date(submissionDetails.created_at).toLocaleString()}</p>
+                    {submissionDetails.section_seconds && (
+                        <p>
+                            <strong>Time Taken:</strong>{' '}
+                            Grammar {formatDuration(submissionDetails.section_seconds.grammar)},
+                            {' '}Transcription {formatDuration(submissionDetails.section_seconds.transcription)},
+                            {' '}Total {formatDuration(getTotalSeconds(submissionDetails))}
+                            {submissionDetails.time_limit_minutes > 0 && ` of ${submissionDetails.time_limit_minutes} min allowed`}
+                            {submissionDetails.auto_submitted && <em> (submitted automatically when time ran out)</em>}
+                        </p>
+                    )}
                     {submissionDetails.status === 'rejected' && submissionDetails.rejection_reason && (
                         <p><strong>Rejection Reason:</strong> {submissionDetails.rejection_reason}</p>
                     )}
 
+                    <h3>Automatic Transcription Score:</h3>
+                    {transcriptionScore ? (
+                        <TranscriptionScoreReport score={transcriptionScore} />
+                    ) : (
+                        <p className="no-data-message">No reference transcript is available for this test, so it cannot be scored automatically.</p>
+                    )}
+
                     <h3>Transcription Text:</h3>
                     <div className="transcription-display">
                         {/* Render formatted text using dangerouslySetInnerHTML */}
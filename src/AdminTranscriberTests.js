@@ -1,15 +1,22 @@
 // frontend/client/src/AdminTranscriberTests.js - COMPLETE AND UPDATED for Vercel deployment
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAuth } from './contexts/AuthContext';
 import { Link } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal';
+import {
+    getTranscriberTestSubmissions,
+    approveTranscriberTest,
+    rejectTranscriberTest,
+    getAssessmentSettings,
+    updateAssessmentSettings,
+} from './api/admin';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { DEFAULT_RETAKE_POLICY, getRetakeDate, hasAttemptsLeft, groupAttemptsByApplicant } from './assessment/retakePolicy';
 import './AdminManagement.css';
 
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const AdminTranscriberTests = () => {
     const { user, logout } = useAuth();
     const [loading, setLoading] = useState(true);
@@ -20,93 +27,116 @@ const AdminTranscriberTests = () => {
     const [rejectionReason, setRejectionReason] = useState('');
     const [modalLoading, setModalLoading] = useState(false);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+    const [retakePolicy, setRetakePolicy] = useState(DEFAULT_RETAKE_POLICY);
+    const [savedRetakePolicy, setSavedRetakePolicy] = useState(DEFAULT_RETAKE_POLICY);
+    const [policySaving, setPolicySaving] = useState(false);
+    const [expandedApplicants, setExpandedApplicants] = useState({});
+    const getSignal = useAbortSignal();
 
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
     const fetchSubmissions = useCallback(async () => {
         setLoading(true);
-        const token = localStorage.getItem('token');
         try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/transcriber-tests`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok) {
-                setSubmissions(data.submissions);
-            } else {
-                showToast(data.error || 'Failed to fetch test submissions.', 'error');
-            }
+            const data = await getTranscriberTestSubmissions({ signal: getSignal() });
+            setSubmissions(data.submissions || []);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching test submissions:', error);
-            showToast('Network error fetching test submissions.', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching test submissions.' : error.message || 'Failed to fetch test submissions.', 'error');
         } finally {
             setLoading(false);
         }
+    }, [getSignal, showToast]);
+
+    const fetchRetakePolicy = useCallback(async () => {
+        try {
+            const { settings } = await getAssessmentSettings();
+            const policy = {
+                retake_cooldown_days: settings?.retake_cooldown_days ?? DEFAULT_RETAKE_POLICY.retake_cooldown_days,
+                max_attempts: settings?.max_attempts ?? DEFAULT_RETAKE_POLICY.max_attempts,
+            };
+            setRetakePolicy(policy);
+            setSavedRetakePolicy(policy);
+        } catch (error) {
+            console.error('Error fetching retake policy:', error);
+            showToast(error.isNetworkError ? 'Network error fetching the retake policy.' : error.message || 'Failed to fetch the retake policy.', 'error');
+        }
     }, [showToast]);
 
+    const saveRetakePolicy = useCallback(async () => {
+        const policy = {
+            retake_cooldown_days: Number(retakePolicy.retake_cooldown_days),
+            max_attempts: Number(retakePolicy.max_attempts),
+        };
+        if (!Number.isInteger(policy.retake_cooldown_days) || policy.retake_cooldown_days < 0
+            || !Number.isInteger(policy.max_attempts) || policy.max_attempts < 0) {
+            showToast('Cooldown and attempts must be whole numbers of 0 or more.', 'error');
+            return;
+        }
+        setPolicySaving(true);
+        try {
+            await updateAssessmentSettings(policy);
+            setRetakePolicy(policy);
+            setSavedRetakePolicy(policy);
+            showToast('Retake policy saved. It applies to rejections from now on.', 'success');
+        } catch (error) {
+            console.error('Error saving retake policy:', error);
+            showToast(error.isNetworkError ? 'Network error saving the retake policy.' : error.message || 'Failed to save the retake policy.', 'error');
+        } finally {
+            setPolicySaving(false);
+        }
+    }, [retakePolicy, showToast]);
+
+    const applicants = useMemo(() => groupAttemptsByApplicant(submissions), [submissions]);
+
+    const toggleHistory = useCallback((userId) => {
+        setExpandedApplicants((prev) => ({ ...prev, [userId]: !prev[userId] }));
+    }, []);
+
     const approveSubmission = useCallback(async () => {
         if (!selectedSubmission) return;
         setModalLoading(true);
-        const token = localStorage.getItem('token');
         try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/transcriber-tests/${selectedSubmission.id}/approve`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-                body: JSON.stringify({ transcriberId: selectedSubmission.user_id })
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Test approved successfully!', 'success');
-                fetchSubmissions();
-                setShowApproveModal(false);
-                setSelectedSubmission(null);
-            } else {
-                showToast(data.error || 'Failed to approve test.', 'error');
-            }
+            await approveTranscriberTest(selectedSubmission.id, selectedSubmission.user_id, { signal: getSignal() });
+            showToast('Test approved successfully!', 'success');
+            fetchSubmissions();
+            setShowApproveModal(false);
+            setSelectedSubmission(null);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error approving test:', error);
-            showToast('Network error approving test.', 'error');
+            showToast(error.isNetworkError ? 'Network error approving test.' : error.message || 'Failed to approve test.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedSubmission, fetchSubmissions, showToast]);
+    }, [selectedSubmission, fetchSubmissions, getSignal, showToast]);
 
     const rejectSubmission = useCallback(async () => {
         if (!selectedSubmission) return;
         setModalLoading(true);
-        const token = localStorage.getItem('token');
         try {
-            // FIXED: Use BACKEND_API_URL constant
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/transcriber-tests/${selectedSubmission.id}/reject`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-                body: JSON.stringify({ transcriberId: selectedSubmission.user_id, reason: rejectionReason })
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Test rejected successfully!', 'success');
-                fetchSubmissions();
-                setShowRejectModal(false);
-                setSelectedSubmission(null);
-                setRejectionReason('');
-            } else {
-                showToast(data.error || 'Failed to reject test.', 'error');
-            }
+            await rejectTranscriberTest(selectedSubmission.id, selectedSubmission.user_id, rejectionReason, { signal: getSignal() });
+            showToast('Test rejected successfully!', 'success');
+            fetchSubmissions();
+            setShowRejectModal(false);
+            setSelectedSubmission(null);
+            setRejectionReason('');
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error rejecting test:', error);
-            showToast('Network error rejecting test.', 'error');
+            showToast(error.isNetworkError ? 'Network error rejecting test.' : error.message || 'Failed to reject test.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedSubmission, rejectionReason, fetchSubmissions, showToast]);
+    }, [selectedSubmission, rejectionReason, fetchSubmissions, getSignal, showToast]);
 
 
     useEffect(() => {
         fetchSubmissions();
-    }, [fetchSubmissions]);
+        fetchRetakePolicy();
+    }, [fetchSubmissions, fetchRetakePolicy]);
 
 
     if (loading) {
@@ -135,23 +165,62 @@ const AdminTranscriberTests = () => {
                     <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
                 </div>
 
+                <div className="admin-content-section">
+                    <h2>Retake Policy</h2>
+                    <p>Rejected applicants can take a fresh test once the cooldown has passed, up to the attempt limit.</p>
+                    <div className="retake-policy-form">
+                        <label htmlFor="retakeCooldownDays">Cooldown after rejection (days):</label>
+                        <input
+                            id="retakeCooldownDays"
+                            type="number"
+                            min="0"
+                            value={retakePolicy.retake_cooldown_days}
+                            onChange={(e) => setRetakePolicy((prev) => ({ ...prev, retake_cooldown_days: e.target.value }))}
+                        />
+                        <label htmlFor="maxAttempts">Attempts per applicant (0 = no limit):</label>
+                        <input
+                            id="maxAttempts"
+                            type="number"
+                            min="0"
+                            value={retakePolicy.max_attempts}
+                            onChange={(e) => setRetakePolicy((prev) => ({ ...prev, max_attempts: e.target.value }))}
+                        />
+                        <button
+                            onClick={saveRetakePolicy}
+                            disabled={policySaving
+                                || (Number(retakePolicy.retake_cooldown_days) === savedRetakePolicy.retake_cooldown_days
+                                    && Number(retakePolicy.max_attempts) === savedRetakePolicy.max_attempts)}
+                        >
+                            {policySaving ? 'Saving...' : 'Save Policy'}
+                        </button>
+                    </div>
+                </div>
+
                 <div className="admin-content-section">
                     <h2>Pending & Reviewed Submissions</h2>
-                    <p>Review submitted tests and manage transcriber statuses.</p>
+                    <p>Review submitted tests and manage transcriber statuses. Each applicant is listed once with their latest attempt.</p>
 
-                    {submissions.length === 0 ? (
+                    {applicants.length === 0 ? (
                         <p className="no-data-message">No transcriber test submissions found.</p>
                     ) : (
                         <div className="submissions-list">
-                            {submissions.map(submission => (
-                                <div key={submission.id} className={`submission-card ${submission.status}`}>
+                            {applicants.map(({ userId, user: applicant, latest: submission, attempts }) => (
+                                <div key={userId} className={`submission-card ${submission.status}`}>
                                     <div className="submission-header">
-                                        <h3>{submission.users?.full_name || 'Unknown User'}</h3>
+                                        <h3>{applicant?.full_name || 'Unknown User'}</h3>
                                         <span className={`status-badge ${submission.status}`}>{submission.status.replace('_', ' ')}</span>
                                     </div>
-                                    <p>Email: {submission.users?.email}</p>
+                                    <p>Email: {applicant?.email}</p>
+                                    <p>Attempt: {submission.attempt_number || attempts.length}</p>
                                     <p>Grammar Score: {submission.grammar_score.toFixed(2)}%</p>
                                     <p>Submitted: {new Date(submission.created_at).toLocaleString()}</p>
+                                    {submission.status === 'rejected' && (
+                                        <p>
+                                            Retake: {submission.retake_available_at
+                                                ? `from ${new Date(submission.retake_available_at).toLocaleDateString()}`
+                                                : 'no attempts left'}
+                                        </p>
+                                    )}
                                     <div className="submission-actions">
                                         <Link to={`/admin/transcriber-tests/${submission.id}`} className="view-details-btn">
                                             View Details
@@ -166,6 +235,39 @@ const AdminTranscriberTests = () => {
                                             <p className="rejection-reason">Reason: {submission.rejection_reason}</p>
                                         )}
                                     </div>
+                                    {attempts.length > 1 && (
+                                        <div className="attempt-history">
+                                            <button onClick={() => toggleHistory(userId)} className="attempt-history-toggle">
+                                                {expandedApplicants[userId] ? 'Hide' : 'Show'} attempt history ({attempts.length})
+                                            </button>
+                                            {expandedApplicants[userId] && (
+                                                <table>
+                                                    <thead>
+                                                        <tr>
+                                                            <th>Attempt</th>
+                                                            <th>Submitted</th>
+                                                            <th>Grammar</th>
+                                                            <th>Status</th>
+                                                            <th>Feedback</th>
+                                                            <th></th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {attempts.map((attempt, index) => (
+                                                            <tr key={attempt.id}>
+                                                                <td>{attempt.attempt_number || attempts.length - index}</td>
+                                                                <td>{new Date(attempt.created_at).toLocaleDateString()}</td>
+                                                                <td>{attempt.grammar_score.toFixed(1)}%</td>
+                                                                <td><span className={`status-badge ${attempt.status}`}>{attempt.status.replace('_', ' ')}</span></td>
+                                                                <td>{attempt.rejection_reason || '—'}</td>
+                                                                <td><Link to={`/admin/transcriber-tests/${attempt.id}`}>Details</Link></td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            )}
+                                        </div>
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -205,8 +307,13 @@ const AdminTranscriberTests = () => {
                     <div>
                         <p>Are you sure you want to reject the test for <strong>{selectedSubmission.users?.full_name}</strong>?</p>
                         <p>This will set their status to 'rejected'.</p>
+                        <p>
+                            {hasAttemptsLeft(selectedSubmission.attempt_number || 1, savedRetakePolicy.max_attempts)
+                                ? `They can retake the test from ${getRetakeDate(new Date().toISOString(), savedRetakePolicy.retake_cooldown_days).toLocaleDateString()}.`
+                                : 'This was their last allowed attempt, so they will not be able to retake the test.'}
+                        </p>
                         <div className="form-group">
-                            <label htmlFor="rejectionReason">Reason for Rejection (Optional):</label>
+                            <label htmlFor="rejectionReason">Feedback for the applicant (Optional, shown to them):</label>
                             <textarea
                                 id="rejectionReason"
                                 value={rejectionReason}
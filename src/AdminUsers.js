@@ -1,18 +1,29 @@
 // frontend/client/src/AdminUsers.js - COMPLETE AND UPDATED for Vercel deployment and Admin Client Rating
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAuth } from './contexts/AuthContext';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal'; // Import Modal component for rating
 import './AdminManagement.css'; // Reusing the admin management CSS
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import {
+    getAdminUsers,
+    rateUser,
+    completeTraineeTraining,
+    deleteAdminUser,
+    getTranscriberLevelStats,
+    getTranscriberLevelSettings,
+    setTranscriberLevel,
+} from './api/admin';
+import LevelSuggestions from './levels/LevelSuggestions';
+import { TRANSCRIBER_LEVELS, DEFAULT_LEVEL_CRITERIA, getLevelLabel, getLevelRank, getLevelSuggestion } from './levels/transcriberLevels';
 
 const AdminUsers = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     const [loading, setLoading] = useState(true);
     const [users, setUsers] = useState([]);
     const [searchTerm, setSearchTerm] = useState('');
@@ -35,41 +46,34 @@ const AdminUsers = () => {
     const [selectedUserForDeletion, setSelectedUserForDeletion] = useState(null);
     const [deleteUserModalLoading, setDeleteUserModalLoading] = useState(false);
 
+    // Transcriber levels: stats for promotion suggestions and the Change Level modal
+    const [levelRecords, setLevelRecords] = useState([]);
+    const [levelCriteria, setLevelCriteria] = useState(DEFAULT_LEVEL_CRITERIA);
+    const [selectedUserForLevel, setSelectedUserForLevel] = useState(null);
+    const [newLevel, setNewLevel] = useState('');
+    const [levelReason, setLevelReason] = useState('');
+    const [levelModalLoading, setLevelModalLoading] = useState(false);
+
 
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
     const fetchUsers = useCallback(async (currentSearchTerm) => {
         setLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/users?search=${encodeURIComponent(currentSearchTerm)}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                // The backend now sends 'average_rating' directly on the user object
-                setUsers(data.users); 
-                // NEW LOG: Check what data is received by the frontend
-                console.log('[AdminUsers.js] Users data received from backend:', data.users.map(u => ({ id: u.id, name: u.full_name, type: u.user_type, rating: u.average_rating })));
-            } else {
-                // NEW LOG: Log error data if response is not ok
-                console.error('[AdminUsers.js] Error data received from backend:', data);
-                showToast(data.error || 'Failed to fetch users.', 'error');
-            }
+            const data = await getAdminUsers(currentSearchTerm, { signal: getSignal() });
+            // The backend now sends 'average_rating' directly on the user object
+            setUsers(data.users);
+            // NEW LOG: Check what data is received by the frontend
+            console.log('[AdminUsers.js] Users data received from backend:', data.users.map(u => ({ id: u.id, name: u.full_name, type: u.user_type, rating: u.average_rating })));
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching users:', error);
-            showToast('Network error fetching users.', 'error');
+            showToast(error.message || 'Failed to fetch users.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [logout, showToast]);
+    }, [getSignal, showToast]);
 
     useEffect(() => {
         const handler = setTimeout(() => {
@@ -81,6 +85,36 @@ const AdminUsers = () => {
         };
     }, [searchTerm, fetchUsers]);
 
+    const fetchLevelData = useCallback(async () => {
+        try {
+            const [statsData, settingsData] = await Promise.all([
+                getTranscriberLevelStats({ signal: getSignal() }),
+                getTranscriberLevelSettings({ signal: getSignal() }),
+            ]);
+            setLevelRecords(statsData.transcribers || []);
+            setLevelCriteria({ ...DEFAULT_LEVEL_CRITERIA, ...settingsData.settings?.criteria });
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error fetching transcriber level stats:', error);
+            showToast(error.message || 'Failed to load level suggestions.', 'error');
+        }
+    }, [getSignal, showToast]);
+
+    useEffect(() => {
+        fetchLevelData();
+    }, [fetchLevelData]);
+
+    // Promotions first, then demotions, each alphabetically
+    const levelSuggestions = useMemo(() => levelRecords
+        .map((transcriber) => ({
+            transcriber,
+            suggestion: getLevelSuggestion(transcriber.transcriber_user_level, transcriber.stats, levelCriteria),
+        }))
+        .filter(({ suggestion }) => suggestion)
+        .sort((a, b) => (a.suggestion.direction === 'promote' ? 0 : 1) - (b.suggestion.direction === 'promote' ? 0 : 1)
+            || (a.transcriber.full_name || '').localeCompare(b.transcriber.full_name || '')),
+    [levelRecords, levelCriteria]);
+
     const handleSearchChange = (e) => {
         setSearchTerm(e.target.value);
     };
@@ -120,43 +154,24 @@ const AdminUsers = () => {
         }
 
         setRatingModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/ratings`, { // UPDATED: New generic admin rating endpoint
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    ratedUserId: selectedUserForRating.id, // Use generic ratedUserId
-                    ratedUserType: selectedUserForRating.user_type, // Send user type
-                    score: ratingScore,
-                    comment: ratingComment
-                })
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || `${selectedUserForRating.user_type} rated successfully!`, 'success');
-                closeRateUserModal();
-                fetchUsers(searchTerm); // Refresh user list to show updated rating
-            } else {
-                showToast(data.error || 'Failed to submit rating.', 'error');
-            }
+            const data = await rateUser({
+                ratedUserId: selectedUserForRating.id, // Use generic ratedUserId
+                ratedUserType: selectedUserForRating.user_type, // Send user type
+                score: ratingScore,
+                comment: ratingComment
+            }, { signal: getSignal() });
+            showToast(data.message || `${selectedUserForRating.user_type} rated successfully!`, 'success');
+            closeRateUserModal();
+            fetchUsers(searchTerm); // Refresh user list to show updated rating
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error submitting user rating:', error);
-            showToast('Network error while submitting rating.', 'error');
+            showToast(error.message || 'Failed to submit rating.', 'error');
         } finally {
             setRatingModalLoading(false);
         }
-    }, [selectedUserForRating, ratingScore, ratingComment, showToast, logout, closeRateUserModal, fetchUsers, searchTerm]);
+    }, [selectedUserForRating, ratingScore, ratingComment, showToast, getSignal, closeRateUserModal, fetchUsers, searchTerm]);
 
     // NEW: Complete Training Modal Handlers
     const openCompleteTrainingModal = useCallback((traineeToComplete) => {
@@ -177,36 +192,19 @@ const AdminUsers = () => {
         }
 
         setCompleteTrainingModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/trainee/${selectedTrainee.id}/complete-training`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || `${selectedTrainee.full_name} successfully transitioned to an active transcriber.`, 'success');
-                closeCompleteTrainingModal();
-                fetchUsers(searchTerm); // Refresh user list to show updated status
-            } else {
-                showToast(data.error || 'Failed to complete training.', 'error');
-            }
+            const data = await completeTraineeTraining(selectedTrainee.id, { signal: getSignal() });
+            showToast(data.message || `${selectedTrainee.full_name} successfully transitioned to an active transcriber.`, 'success');
+            closeCompleteTrainingModal();
+            fetchUsers(searchTerm); // Refresh user list to show updated status
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error completing training for trainee:', error);
-            showToast('Network error while completing training.', 'error');
+            showToast(error.message || 'Failed to complete training.', 'error');
         } finally {
             setCompleteTrainingModalLoading(false);
         }
-    }, [selectedTrainee, showToast, logout, closeCompleteTrainingModal, fetchUsers, searchTerm]);
+    }, [selectedTrainee, showToast, getSignal, closeCompleteTrainingModal, fetchUsers, searchTerm]);
 
     // NEW: Delete User Modal Handlers
     const openDeleteUserModal = useCallback((userToDelete) => {
@@ -227,36 +225,53 @@ const AdminUsers = () => {
         }
 
         setDeleteUserModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/admin/users/${selectedUserForDeletion.id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || `User '${selectedUserForDeletion.full_name}' deleted successfully!`, 'success');
-                closeDeleteUserModal();
-                fetchUsers(searchTerm); // Refresh user list
-            } else {
-                showToast(data.error || 'Failed to delete user.', 'error');
-            }
+            const data = await deleteAdminUser(selectedUserForDeletion.id, { signal: getSignal() });
+            showToast(data.message || `User '${selectedUserForDeletion.full_name}' deleted successfully!`, 'success');
+            closeDeleteUserModal();
+            fetchUsers(searchTerm); // Refresh user list
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error deleting user:', error);
-            showToast('Network error while deleting user.', 'error');
+            showToast(error.message || 'Failed to delete user.', 'error');
         } finally {
             setDeleteUserModalLoading(false);
         }
-    }, [selectedUserForDeletion, showToast, logout, closeDeleteUserModal, fetchUsers, searchTerm]);
+    }, [selectedUserForDeletion, showToast, getSignal, closeDeleteUserModal, fetchUsers, searchTerm]);
+
+    // Change Level Modal Handlers
+    const openLevelModal = useCallback((transcriber, suggestedLevel) => {
+        setSelectedUserForLevel(transcriber);
+        setNewLevel(suggestedLevel || transcriber.transcriber_user_level || TRANSCRIBER_LEVELS[0].value);
+        setLevelReason('');
+    }, []);
+
+    const closeLevelModal = useCallback(() => {
+        setSelectedUserForLevel(null);
+        setLevelModalLoading(false);
+    }, []);
+
+    const submitLevelChange = useCallback(async () => {
+        if (!selectedUserForLevel?.id) return;
+        if (getLevelRank(newLevel) === getLevelRank(selectedUserForLevel.transcriber_user_level)) {
+            showToast(`${selectedUserForLevel.full_name} is already at that level.`, 'error');
+            return;
+        }
+
+        setLevelModalLoading(true);
+        try {
+            const data = await setTranscriberLevel(selectedUserForLevel.id, { level: newLevel, reason: levelReason.trim() }, { signal: getSignal() });
+            showToast(data.message || `${selectedUserForLevel.full_name} is now a ${getLevelLabel(newLevel)}.`, 'success');
+            closeLevelModal();
+            fetchUsers(searchTerm);
+            fetchLevelData();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error changing transcriber level:', error);
+            showToast(error.message || 'Failed to change the level.', 'error');
+            setLevelModalLoading(false);
+        }
+    }, [selectedUserForLevel, newLevel, levelReason, showToast, getSignal, closeLevelModal, fetchUsers, searchTerm, fetchLevelData]);
 
 
     if (loading) {
@@ -283,6 +298,12 @@ const AdminUsers = () => {
                     <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
                 </div>
 
+                <div className="admin-content-section">
+                    <h2>Level Suggestions ({levelSuggestions.length})</h2>
+                    <p>Transcribers whose completed jobs, rating and dispute rate call for a level change. Criteria are set on the <Link to="/admin/transcriber-levels">Transcriber Levels</Link> page.</p>
+                    <LevelSuggestions suggestions={levelSuggestions} onReview={openLevelModal} />
+                </div>
+
                 <div className="admin-content-section">
                     <h2>All Clients, Transcribers & Trainees</h2> {/* UPDATED: Title to include Trainees */}
                     <p>View, search, or initiate chats with platform users. Admins can also rate clients and transcribers, and manage trainee statuses here.</p> {/* UPDATED text */}
@@ -331,6 +352,8 @@ const AdminUsers = () => {
                                                 {/* NEW: Display specific status for trainees */}
                                                 {u.user_type === 'trainee' ? (
                                                     <span className={`status-badge ${u.transcriber_status || 'unknown'}`}>{u.transcriber_status?.replace('_', ' ') || 'N/A'}</span>
+                                                ) : u.user_type === 'transcriber' ? (
+                                                    <span className={`status-badge ${u.transcriber_user_level || 'transcriber'}`}>{getLevelLabel(u.transcriber_user_level)}</span>
                                                 ) : 'N/A'}
                                             </td>
                                             <td>
@@ -365,6 +388,18 @@ const AdminUsers = () => {
                                                         Rate {u.user_type === 'client' ? 'Client' : 'Transcriber'}
                                                     </button>
                                                 )}
+                                                {u.user_type === 'transcriber' && (
+                                                    <button
+                                                        onClick={(e) => {
+                                                            e.stopPropagation();
+                                                            openLevelModal(u);
+                                                        }}
+                                                        className="rate-btn"
+                                                        style={{ marginLeft: '10px' }}
+                                                    >
+                                                        Change Level
+                                                    </button>
+                                                )}
                                                 {/* NEW: Complete Training button for trainees */}
                                                 {u.user_type === 'trainee' && u.transcriber_status === 'paid_training_fee' && (
                                                     <button
@@ -475,6 +510,35 @@ const AdminUsers = () => {
                 </Modal>
             )}
 
+            {selectedUserForLevel && (
+                <Modal
+                    show={Boolean(selectedUserForLevel)}
+                    title={`Change Level: ${selectedUserForLevel.full_name}`}
+                    onClose={closeLevelModal}
+                    onSubmit={submitLevelChange}
+                    submitText="Confirm Level Change"
+                    loading={levelModalLoading}
+                >
+                    <p>Current level: <strong>{getLevelLabel(selectedUserForLevel.transcriber_user_level)}</strong>. The transcriber is notified straight away and their job feed follows the new level.</p>
+                    <div className="form-group">
+                        <label htmlFor="newLevel">New Level:</label>
+                        <select id="newLevel" value={newLevel} onChange={(e) => setNewLevel(e.target.value)}>
+                            {TRANSCRIBER_LEVELS.map((level) => <option key={level.value} value={level.value}>{level.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="levelReason">Note to the Transcriber (Optional):</label>
+                        <textarea
+                            id="levelReason"
+                            value={levelReason}
+                            onChange={(e) => setLevelReason(e.target.value)}
+                            placeholder="e.g., 'Consistently accurate work over the last 50 jobs.'"
+                            rows="3"
+                        ></textarea>
+                    </div>
+                </Modal>
+            )}
+
             <Toast
                 message={toast.message}
                 type={toast.type}
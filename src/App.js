@@ -8,6 +8,8 @@ import './App.css'; // Keep your global App styles
 import AppRoutes from './routes/AppRoutes';
 // Import the AuthProvider from your new contexts folder
 import { AuthProvider } from './contexts/AuthContext';
+// Logs inactive users out after a warning; needs both Router and AuthProvider above it
+import IdleSessionTimeout from './IdleSessionTimeout';
 
 function App() {
   return (
@@ -16,6 +18,7 @@ function App() {
       <Router>
         <AuthProvider>
           <AppRoutes />
+          <IdleSessionTimeout />
         </AuthProvider>
       </Router>
     </div>
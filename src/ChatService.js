@@ -1,7 +1,11 @@
 import io from 'socket.io-client';
-
-// Use environment variable for backend URL, fallback to localhost:5000
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import {
+  sendJobMessage,
+  sendUserChatMessage,
+  sendAdminChatMessage,
+  uploadChatAttachment as postChatAttachment
+} from './api/chat';
+import { BACKEND_API_URL } from './config';
 
 let globalSocketInstance = null; // Initialize as null, will be created in connectSocket
 let activeSocketState = {
@@ -88,79 +92,47 @@ export const connectSocket = (userId) => {
  * @param {object} messageData - The message object.
  *   Expected format: { senderId: string, receiverId: string, messageText?: string, negotiationId?: string, directUploadJobId?: string, trainingRoomId?: string, senderUserType?: string, fileUrl?: string, fileName?: string, timestamp: string }
  * @returns {Promise<object>} The response data from the server.
- * @throws {Error} If authentication token is missing or network error occurs.
+ * @throws {ApiError} If authentication token is missing, the server rejects the message or a network error occurs.
  */
 export const sendMessage = async (messageData) => {
-  const token = localStorage.getItem('token');
-  if (!token) {
-    console.error('ChatService: No token found. Cannot send message via HTTP.');
-    throw new Error('Authentication token missing.');
-  }
-
-  let endpoint = '';
+  let send;
   let payload = { // Base payload structure
     messageText: messageData.messageText,
     fileUrl: messageData.fileUrl,
     fileName: messageData.fileName,
-    timestamp: messageData.timestamp // Include timestamp if provided
+    timestamp: messageData.timestamp, // Include timestamp if provided
+    receiverId: messageData.receiverId,
+    clientMessageId: messageData.clientMessageId, // Outbox entry ID; lets the backend drop a resent duplicate
+    replyToMessageId: messageData.replyTo?.id, // Message being replied to; the backend stores its preview
   };
 
   // Determine the correct backend endpoint and payload structure
   if (messageData.negotiationId || messageData.directUploadJobId) { // Handles both negotiation and direct upload jobs
-    endpoint = `${BACKEND_API_URL}/api/messages/job/send`; // Use the new generic job message endpoint
+    send = sendJobMessage; // Use the new generic job message endpoint
     payload = {
       ...payload, // Spread base payload
-      receiverId: messageData.receiverId,
       jobId: messageData.negotiationId || messageData.directUploadJobId, // Pass the relevant job ID
     };
   } else if (messageData.trainingRoomId) { // NEW: Handle training room messages
     // Both admin and trainee use the generic send-message endpoints for training room
     // The backend will differentiate based on senderUserType and trainingRoomId
-    if (messageData.senderUserType === 'admin') {
-      endpoint = `${BACKEND_API_URL}/api/admin/chat/send-message`;
-    } else {
-      endpoint = `${BACKEND_API_URL}/api/user/chat/send-message`;
-    }
+    send = messageData.senderUserType === 'admin' ? sendAdminChatMessage : sendUserChatMessage;
     payload = {
       ...payload,
-      receiverId: messageData.receiverId,
       trainingRoomId: messageData.trainingRoomId, // NEW: Include trainingRoomId
     };
-  }
-  else if (messageData.senderUserType === 'admin') { // Direct chat for admin
-    endpoint = `${BACKEND_API_URL}/api/admin/chat/send-message`;
-    payload = {
-      ...payload,
-      receiverId: messageData.receiverId,
-    };
+  } else if (messageData.senderUserType === 'admin') { // Direct chat for admin
+    send = sendAdminChatMessage;
   } else { // Direct chat for non-admin users
-    endpoint = `${BACKEND_API_URL}/api/user/chat/send-message`;
-    payload = {
-      ...payload,
-      receiverId: messageData.receiverId,
-    };
+    send = sendUserChatMessage;
   }
 
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}` // Include auth token
-      },
-      body: JSON.stringify(payload) // Stringify the payload
-    });
-
-    const data = await response.json();
-    // Handle non-successful HTTP responses
-    if (!response.ok) {
-      console.error('ChatService: Failed to send message via HTTP:', data.error || 'Unknown error');
-      throw new Error(data.error || 'Failed to send message.');
-    }
+    const data = await send(payload);
     console.log('ChatService: Message sent successfully via HTTP POST: ', data);
     return data; // Return server response data
   } catch (error) {
-    console.error('ChatService: Network error sending message via HTTP POST:', '', error);
+    console.error('ChatService: Failed to send message via HTTP POST:', error.message);
     throw error; // Re-throw error for handling upstream
   }
 };
@@ -169,42 +141,52 @@ export const sendMessage = async (messageData) => {
  * Uploads a file attachment to the server for chat.
  * @param {File} file - The file to upload.
  * @returns {Promise<object>} The response data from the server, including file URL and name.
- * @throws {Error} If authentication token is missing or upload fails.
+ * @throws {ApiError} If authentication token is missing or upload fails.
  */
 export const uploadChatAttachment = async (file) => {
-  const token = localStorage.getItem('token');
-  if (!token) {
-    console.error('ChatService: No token found. Cannot upload attachment.');
-    throw new Error('Authentication token missing.');
-  }
-
-  // Prepare FormData to send the file
-  const formData = new FormData();
-  formData.append('chatAttachment', file); // Append file with the key expected by the backend
-
   try {
-    const response = await fetch(`${BACKEND_API_URL}/api/chat/upload-attachment`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}` // Include auth token
-      },
-      body: formData // Send FormData
-    });
-
-    const data = await response.json();
-    // Handle non-successful HTTP responses
-    if (!response.ok) {
-      console.error('ChatService: Failed to upload attachment via HTTP:', data.error || 'Unknown error');
-      throw new Error(data.error || 'Failed to upload attachment.');
-    }
+    const data = await postChatAttachment(file);
     console.log('ChatService: Attachment uploaded successfully:', data);
     return data; // Return server response data
   } catch (error) {
-    console.error('ChatService: Network error uploading attachment:', error);
+    console.error('ChatService: Failed to upload attachment:', error.message);
     throw error; // Re-throw error for handling upstream
   }
 };
 
+// Typing and read events identify the chat the same way messages do: by job, by training room or,
+// for direct chats, by the other participant. The backend takes the sender from the socket itself.
+const toChatEventPayload = (target) => ({
+  receiverId: target.partnerId,
+  jobId: target.jobId || null,
+  trainingRoomId: target.trainingRoomId || null,
+});
+
+/**
+ * Tells the other participant that the user started or stopped typing. The backend relays it as
+ * 'userTyping' ({ userId, jobId, trainingRoomId, isTyping }). Dropped silently while offline.
+ * @param {import('./chat/chatPresence').ChatTarget} target
+ * @param {boolean} isTyping
+ */
+export const sendTypingState = (target, isTyping) => {
+  if (!globalSocketInstance?.connected || !target?.partnerId) return;
+  globalSocketInstance.emit(isTyping ? 'typingStart' : 'typingStop', toChatEventPayload(target));
+};
+
+/**
+ * Acknowledges that the user has read the given messages. The backend stores read_at and emits
+ * 'messagesRead' ({ readerId, senderId, messageIds, readAt, jobId, trainingRoomId }) to both users,
+ * which drives the sender's "seen" ticks and both users' unread badges.
+ * @param {import('./chat/chatPresence').ChatTarget} target
+ * @param {string[]} messageIds
+ * @returns {boolean} False when the socket is offline and the receipt was not sent.
+ */
+export const sendReadReceipt = (target, messageIds) => {
+  if (!globalSocketInstance?.connected || !target?.partnerId || messageIds.length === 0) return false;
+  globalSocketInstance.emit('markMessagesRead', { ...toChatEventPayload(target), messageIds });
+  return true;
+};
+
 /**
  * Disconnects the Socket.IO client.
  */
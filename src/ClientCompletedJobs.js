@@ -4,10 +4,13 @@ import Toast from './Toast';
 // import NegotiationCard from './NegotiationCard'; // We will no longer directly use NegotiationCard here
 import { useAuth } from './contexts/AuthContext';
 import { connectSocket, disconnectSocket } from './ChatService';
+import TranscriptDownloadMenu from './transcription/TranscriptDownloadMenu';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getClientNegotiations, deleteNegotiation, downloadNegotiationFile } from './api/negotiations';
+import { getClientDirectUploadJobs, downloadDirectUploadFile } from './api/directUploads';
 import './ClientCompletedJobs.css'; // You'll need to create/update this CSS file
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 // Helper function to format timestamp robustly for display
 const formatDisplayTimestamp = (isoTimestamp) => {
     if (!isoTimestamp) return 'N/A';
@@ -26,6 +29,7 @@ const formatDisplayTimestamp = (isoTimestamp) => {
 const ClientCompletedJobs = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [completedJobs, setCompletedJobs] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -35,31 +39,22 @@ const ClientCompletedJobs = () => {
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
     const fetchClientCompletedJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("ClientCompletedJobs: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
+        // A failed list counts as empty so the other job type still shows
+        const orEmpty = (empty) => (error) => {
+            if (isAbortError(error) || error.isNetworkError) throw error;
+            return empty;
+        };
 
         setLoading(true);
         try {
+            const signal = getSignal();
             // Fetch completed negotiation jobs
-            const negotiationResponse = await fetch(`${BACKEND_API_URL}/api/negotiations/client`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const negotiationData = await (negotiationResponse.ok ? negotiationResponse.json() : Promise.resolve({ negotiations: [] }));
+            const negotiationData = await getClientNegotiations({ signal }).catch(orEmpty({ negotiations: [] }));
             const fetchedNegotiations = negotiationData.negotiations || [];
             const completedNegotiationJobs = fetchedNegotiations.filter(n => n.status === 'completed' || n.status === 'client_completed'); // Include client_completed for consistency
 
             // Fetch client-completed direct upload jobs
-            const directUploadResponse = await fetch(`${BACKEND_API_URL}/api/client/direct-jobs`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const directUploadData = await (directUploadResponse.ok ? directUploadResponse.json() : Promise.resolve({ jobs: [] }));
+            const directUploadData = await getClientDirectUploadJobs({ signal }).catch(orEmpty({ jobs: [] }));
             const fetchedDirectUploadJobs = directUploadData.jobs || [];
             const clientCompletedDirectUploadJobs = fetchedDirectUploadJobs.filter(j => j.status === 'client_completed');
 
@@ -131,12 +126,13 @@ const ClientCompletedJobs = () => {
                 showToast('No completed jobs found yet.', 'info');
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Network error fetching client completed jobs:', error);
             showToast('Network error while fetching completed jobs.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [getSignal, showToast]);
 
 
     const handleJobUpdate = useCallback((data) => {
@@ -202,84 +198,36 @@ const ClientCompletedJobs = () => {
             return;
         }
 
-        try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
-                return;
-            }
-
-            let apiUrl;
-            if (jobType === 'negotiation') {
-                apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}`;
-            } else if (jobType === 'direct_upload') {
-                // Assuming a delete endpoint for direct upload jobs if needed
-                showToast('Direct upload jobs cannot be deleted from this view.', 'error');
-                return; // Prevent deletion for now
-            } else {
-                showToast('Unknown job type for deletion.', 'error');
-                return;
-            }
-
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+        if (jobType === 'direct_upload') {
+            // Assuming a delete endpoint for direct upload jobs if needed
+            showToast('Direct upload jobs cannot be deleted from this view.', 'error');
+            return; // Prevent deletion for now
+        } else if (jobType !== 'negotiation') {
+            showToast('Unknown job type for deletion.', 'error');
+            return;
+        }
 
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Completed job deleted successfully!', 'success');
-                fetchClientCompletedJobs();
-            } else {
-                showToast(data.error || 'Failed to delete completed job', 'error');
-            }
+        try {
+            await deleteNegotiation(jobId, { signal: getSignal() });
+            showToast('Completed job deleted successfully!', 'success');
+            fetchClientCompletedJobs();
         } catch (error) {
-            showToast('Network error. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to delete completed job', 'error');
         }
-    }, [showToast, logout, fetchClientCompletedJobs]);
+    }, [showToast, getSignal, fetchClientCompletedJobs]);
 
     const handleDownloadFile = useCallback(async (jobId, fileName, jobType) => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const downloadUrl = jobType === 'direct_upload'
-                ? `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`
-                : `${BACKEND_API_URL}/api/negotiations/${jobId}/download/${fileName}`;
-
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            const download = jobType === 'direct_upload' ? downloadDirectUploadFile : downloadNegotiationFile;
+            await download(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
     if (loading) {
@@ -383,6 +331,12 @@ const ClientCompletedJobs = () => {
                                                         ⬇️
                                                     </button>
                                                 )}
+                                                <TranscriptDownloadMenu
+                                                    jobType={job.jobType}
+                                                    jobId={job.id}
+                                                    showToast={showToast}
+                                                    label="📄"
+                                                />
                                                 <button
                                                     onClick={(e) => {
                                                         e.stopPropagation();
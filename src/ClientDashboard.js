@@ -8,7 +8,12 @@ import './ClientDashboard.css'; // Ensure this CSS file exists and has styles fo
 
 import { useAuth } from './contexts/AuthContext';
 import { connectSocket, disconnectSocket } from './ChatService'; // Removed getSocketInstance
-import { BACKEND_API_URL } from './config';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getClientNegotiations } from './api/negotiations';
+import { getClientDirectUploadJobs } from './api/directUploads';
+import { getClientPayments } from './api/users';
+import useUnreadMessageCount from './chat/useUnreadMessageCount';
 
 // --- Component Definition ---
 const ClientDashboard = () => {
@@ -21,7 +26,7 @@ const ClientDashboard = () => {
     completedJobs: 0, // Initialized to 0
     clientRating: 5.0 // This will be updated from user.client_average_rating
   });
-  const [unreadMessageCount, setUnreadMessageCount] = useState(0);
+  const unreadMessageCount = useUnreadMessageCount(user?.id);
   const [totalClientPayments, setTotalClientPayments] = useState(0);
   const [toast, setToast] = useState({
     isVisible: false,
@@ -29,6 +34,7 @@ const ClientDashboard = () => {
     type: 'success'
   });
   const navigate = useNavigate();
+  const getSignal = useAbortSignal();
 
   const audioRef = useRef(null);
 
@@ -54,81 +60,52 @@ const ClientDashboard = () => {
     }));
   }, []);
 
-  const fetchUnreadMessageCount = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
 
-    try {
-      const response = await fetch(`${BACKEND_API_URL}/api/user/chat/unread-count`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && typeof data.count === 'number') {
-        setUnreadMessageCount(data.count);
-      } else {
-        console.error('Failed to fetch unread message count:', data.error);
-      }
-    } catch (error) {
-      console.error('Network error fetching unread message count:', error);
-    }
-  }, [user]);
-
-
-  const fetchClientStats = useCallback(async (clientId, token) => {
-    if (!clientId || !token) {
+  const fetchClientStats = useCallback(async (clientId) => {
+    if (!clientId) {
         setLoading(false);
         return;
     }
+    // Each list falls back to null on failure so the other still counts towards the stats
+    const orNull = (label) => (error) => {
+      if (isAbortError(error)) throw error;
+      console.error(`Failed to fetch ${label}:`, error);
+      showToast(error.isNetworkError ? 'Network error while fetching dashboard data.' : error.message || `Failed to load ${label}.`, 'error');
+      return null;
+    };
     try {
       const clientRating = user.client_average_rating || 5.0; 
+      const signal = getSignal();
 
-      const [negotiationsResponse, directUploadJobsResponse] = await Promise.all([
-        fetch(`${BACKEND_API_URL}/api/negotiations/client`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }),
-        // FIX: Changed the API endpoint to match the backend route
-        fetch(`${BACKEND_API_URL}/api/client/direct-jobs`, { 
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        })
+      const [negotiationsData, directUploadJobsData] = await Promise.all([
+        getClientNegotiations({ signal }).catch(orNull('negotiations')),
+        getClientDirectUploadJobs({ signal }).catch(orNull('direct upload jobs'))
       ]);
-      
-      const negotiationsData = await negotiationsResponse.json();
-      const directUploadJobsData = await directUploadJobsResponse.json(); // NEW: Parse direct upload jobs data
 
       let pendingNegotiations = 0;
       let activeJobs = 0;
       let completedJobsCount = 0; // Renamed to avoid conflict with state variable
 
-      if (negotiationsResponse.ok) {
-        pendingNegotiations = negotiationsData.negotiations.filter(n => 
+      if (negotiationsData) {
+        pendingNegotiations = (negotiationsData.negotiations || []).filter(n => 
             n.status === 'pending' || 
             n.status === 'transcriber_counter' || 
             n.status === 'client_counter' ||
             n.status === 'accepted_awaiting_payment' 
         ).length; 
-        activeJobs += negotiationsData.negotiations.filter(n => n.status === 'hired').length;
-        completedJobsCount += negotiationsData.negotiations.filter(n => n.status === 'completed').length;
-      } else {
-        console.error('Failed to fetch negotiations:', negotiationsData.error);
-        showToast(negotiationsData.error || 'Failed to load negotiations.', 'error');
+        activeJobs += (negotiationsData.negotiations || []).filter(n => n.status === 'hired').length;
+        completedJobsCount += (negotiationsData.negotiations || []).filter(n => n.status === 'completed').length;
       }
 
       // NEW: Process direct upload jobs
-      if (directUploadJobsResponse.ok) {
-          activeJobs += directUploadJobsData.jobs.filter(d => 
+      if (directUploadJobsData) {
+          activeJobs += (directUploadJobsData.jobs || []).filter(d => 
               d.status === 'available_for_transcriber' || // New status after payment
               d.status === 'taken' || 
               d.status === 'in_progress'
           ).length;
           // CHANGED: Also count direct upload jobs that are 'client_completed'
-          completedJobsCount += directUploadJobsData.jobs.filter(d => d.status === 'client_completed').length;
-      } else {
-          console.error('Failed to fetch direct upload jobs:', directUploadJobsData.error);
-          showToast(directUploadJobsData.error || 'Failed to load direct upload jobs.', 'error');
+          completedJobsCount += (directUploadJobsData.jobs || []).filter(d => d.status === 'client_completed').length;
       }
 
       setClientStats({
@@ -138,32 +115,28 @@ const ClientDashboard = () => {
         clientRating 
       });
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Failed to fetch client stats:', error);
       showToast('Network error while fetching dashboard data.', 'error');
     } finally {
       // setLoading(false); // This will be set by the main useEffect after all data is fetched
     }
-  }, [showToast, user]); 
+  }, [getSignal, showToast, user]); 
 
   // NEW: Fetch Client Payment History
   const fetchClientPaymentHistory = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
+    if (!user?.id) return;
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/client/payments`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && data.summary) {
+      const data = await getClientPayments({ signal: getSignal() });
+      if (data.summary) {
         setTotalClientPayments(data.summary.totalPayments || 0);
-      } else {
-        console.error('Failed to fetch client payment history:', data.error);
       }
     } catch (error) {
-      console.error('Network error fetching client payment history:', error);
+      if (isAbortError(error)) return;
+      console.error('Failed to fetch client payment history:', error);
     }
-  }, [user]); 
+  }, [getSignal, user]); 
 
 
   // --- Main Data Management and Socket Setup useEffect ---
@@ -186,16 +159,8 @@ const ClientDashboard = () => {
 
     setLoading(true);
 
-    const token = localStorage.getItem('token');
-    if (!token) {
-        console.warn("ClientDashboard: Token missing from localStorage despite isAuthenticated being true. Forcing logout.");
-        logout();
-        return;
-    }
-
     Promise.all([
-        fetchClientStats(user.id, token),
-        fetchUnreadMessageCount(),
+        fetchClientStats(user.id),
         fetchClientPaymentHistory()
     ]).finally(() => {
         setLoading(false);
@@ -209,27 +174,14 @@ const ClientDashboard = () => {
     const handleNegotiationUpdate = (data) => {
         console.log('ClientDashboard Real-time: Negotiation update received!', data);
         showToast(`Negotiation ${data.negotiationId} was updated!`, 'info');
-        // Use the current user ID and token from closure, or re-fetch token if necessary
-        fetchClientStats(user.id, localStorage.getItem('token')); 
+        fetchClientStats(user.id); 
         fetchClientPaymentHistory();
     };
 
-    const handleUnreadMessageCountUpdate = (data) => {
-        if (data.userId === user.id) {
-            console.log('ClientDashboard Real-time: Unread message count update received!', data);
-            setUnreadMessageCount(prevCount => prevCount + data.change);
-            showToast('You have a new message!', 'info');
-            if (data.change > 0) {
-                playNotificationSound();
-            }
-        }
-    };
-
     const handleNewChatMessage = (data) => {
         console.log('ClientDashboard Real-time: New chat message received!', data);
         if (data.sender_id !== user.id) { // Only show toast/play sound if message is from someone else
-            showToast(`New message from ${data.sender_name || 'Admin'}!`, 'info');
-            fetchUnreadMessageCount(); // Re-fetch unread count to update badge
+            showToast(`New message from ${data.sender_name || 'Admin'}!`, 'info'); // The badge follows via useUnreadMessageCount
             playNotificationSound();
         }
     };
@@ -237,21 +189,21 @@ const ClientDashboard = () => {
     const handleJobCompleted = (data) => {
         console.log('ClientDashboard Real-time: Job completed event received!', data);
         showToast(data.message || `Job ${data.negotiationId || data.directUploadJobId} was completed!`, 'success'); // Updated to handle directUploadJobId
-        fetchClientStats(user.id, localStorage.getItem('token')); // Refresh stats to update completed jobs count
+        fetchClientStats(user.id); // Refresh stats to update completed jobs count
         fetchClientPaymentHistory();
     };
 
     const handlePaymentSuccessful = (data) => {
         console.log('ClientDashboard Real-time: Payment successful event received!', data);
         showToast(data.message || `Payment for job ${data.relatedJobId} was successful!`, 'success'); // Updated to use relatedJobId
-        fetchClientStats(user.id, localStorage.getItem('token'));
+        fetchClientStats(user.id);
         fetchClientPaymentHistory();
     };
 
     const handleJobTaken = (data) => { // NEW: Handler for 'job_taken' event
         console.log('ClientDashboard Real-time: Job taken event received!', data);
         showToast(data.message || `Your direct upload job ${data.jobId} has been taken by a transcriber!`, 'info');
-        fetchClientStats(user.id, localStorage.getItem('token'));
+        fetchClientStats(user.id);
     };
 
     // Attach listeners directly to the socket instance
@@ -259,7 +211,6 @@ const ClientDashboard = () => {
     socket.on('negotiation_rejected', handleNegotiationUpdate);
     socket.on('negotiation_countered', handleNegotiationUpdate);
     socket.on('negotiation_cancelled', handleNegotiationUpdate);
-    socket.on('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
     socket.on('newChatMessage', handleNewChatMessage);
     socket.on('job_completed', handleJobCompleted);
     socket.on('payment_successful', handlePaymentSuccessful);
@@ -271,7 +222,7 @@ const ClientDashboard = () => {
       disconnectSocket(); // Ensure disconnectSocket is called only when the component unmounts
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAuthReady, user, navigate, logout, showToast, fetchClientStats, fetchUnreadMessageCount, fetchClientPaymentHistory, playNotificationSound, isAuthenticated]);
+  }, [isAuthReady, user, navigate, showToast, fetchClientStats, fetchClientPaymentHistory, playNotificationSound, isAuthenticated]);
 
 
   // Display a loading indicator if client-specific data is still being fetched.
@@ -368,6 +319,12 @@ const ClientDashboard = () => {
               <h3>Messages {unreadMessageCount > 0 && <span className="unread-badge">{unreadMessageCount}</span>}</h3>
               <p>Chat with Support.</p>
             </Link>
+
+            <Link to="/messages/search" className="dashboard-card">
+              <div className="card-icon">🔎</div>
+              <h3>Search Messages</h3>
+              <p>Find an instruction or file in any of your chats.</p>
+            </Link>
           </div>
 
           {/* NEW: Combined Client Stats Card */}
@@ -1,15 +1,34 @@
 // src/ClientDirectUpload.js - FINALIZED for Dynamic Pricing Rules, Audio Quality, Deadline Values, and USD Currency
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import Toast from './Toast';
 import { useAuth } from './contexts/AuthContext';
 import Modal from './Modal';
+import usePayment from './payments/usePayment';
+import PaymentMethodModal from './payments/PaymentMethodModal';
+import MediaFileUpload from './uploads/MediaFileUpload';
+import { createUploadPool } from './uploads/uploadPool';
+import { estimateQuote, compareQuoteToEstimate, roundUsd } from './pricing/pricingRules';
+import { formatUsd } from './payments/PaymentMethodModal';
+import {
+    getDirectUploadQuote,
+    createDirectUploadJob,
+    getDirectUploadPricingRules,
+    getDirectUploadOrderQuote,
+    createDirectUploadOrder,
+    downloadDirectUploadFile
+} from './api/directUploads';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
 import './ClientDirectUpload.css'; // Assuming you have a CSS file for styling
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 // eslint-disable-next-line no-unused-vars
 const PAYSTACK_PUBLIC_KEY = process.env.REACT_APP_PAYSTACK_PUBLIC_KEY;
 
+const MAX_FILE_SIZE_BYTES = 500 * 1024 * 1024;
+const MAX_FILES_PER_ORDER = 50;
+
+const getMediaFileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
 const ClientDirectUpload = () => {
     const { user, isAuthenticated, authLoading, logout, updateUser, checkAuth } = useAuth();
     const navigate = useNavigate();
@@ -18,62 +37,49 @@ const ClientDirectUpload = () => {
     const [loading, setLoading] = useState(false);
     const [quoteLoading, setQuoteLoading] = useState(false);
     const [showQuoteModal, setShowQuoteModal] = useState(false);
-    const [quoteDetails, setQuoteDetails] = useState(null);
+    const [quoteDetails, setQuoteDetails] = useState(null); // single-file quote
+    const [orderQuote, setOrderQuote] = useState(null); // multi-file quote: { items, total_amount }
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
 
-    const [audioVideoFile, setAudioVideoFile] = useState(null);
+    // Main media files. One file is quoted and bought as a single job; several become an order with
+    // one job per file and a single payment. Each file uploads in resumable chunks and has its
+    // duration read locally (see MediaFileUpload), reporting into mediaFileStates by file key. The
+    // quote and job endpoints receive upload IDs instead of the files themselves.
+    const [mediaFiles, setMediaFiles] = useState([]); // [{ key, file }]
+    const [mediaFileStates, setMediaFileStates] = useState({}); // key -> { uploadId, durationSeconds, probing }
+    // Only a few files upload at once; the rest wait and start as earlier ones finish
+    const uploadPool = useMemo(() => createUploadPool(), []);
     const [instructionFiles, setInstructionFiles] = useState([]);
     const [clientInstructions, setClientInstructions] = useState('');
     const [audioQualityParam, setAudioQualityParam] = useState('standard');
     const [deadlineTypeParam, setDeadlineTypeParam] = useState('standard');
     const [specialRequirements, setSpecialRequirements] = useState([]);
 
+    // Instant estimate: durations are priced with the active rules while the uploads are still
+    // running. The server quote remains the price charged.
+    const [pricingRules, setPricingRules] = useState([]);
+    const getSignal = useAbortSignal();
+
     const fileInputRef = useRef(null);
     const instructionFileInputRef = useRef(null);
 
-    const [showPaymentSelectionModal, setShowPaymentSelectionModal] = useState(false);
-    const [jobToPayFor, setJobToPayFor] = useState(null);
-    const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('paystack'); // Default to Paystack
-    const [paymentModalLoading, setPaymentModalLoading] = useState(false);
-    const [mobileNumber, setMobileNumber] = useState(''); // Re-introduced mobileNumber state for KoraPay
-    const [korapayScriptLoaded, setKorapayScriptLoaded] = useState(false); // Re-introduced KoraPay script loading state
-
-    // NEW REF: To prevent multiple KoraPay verification calls from onSuccess
-    const korapayVerificationInitiated = useRef(false);
-
-
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
-    // Load KoraPay SDK dynamically
-    useEffect(() => {
-        const existingScript = document.getElementById('korapay-sdk');
-        if (existingScript) {
-            setKorapayScriptLoaded(true);
-            return;
-        }
-
-        const script = document.createElement('script');
-        script.id = 'korapay-sdk';
-        script.src = 'https://korablobstorage.blob.core.windows.net/modal-bucket/korapay-collections.min.js';
-        script.async = true;
-        script.onload = () => {
-            console.log('[ClientDirectUpload] KoraPay SDK loaded successfully');
-            setKorapayScriptLoaded(true);
-        };
-        script.onerror = () => {
-            console.error('[ClientDirectUpload] Failed to load KoraPay SDK');
-            showToast('Failed to load KoraPay payment system. Please refresh the page.', 'error');
-        };
-        document.body.appendChild(script);
-
-        return () => {
-            const scriptToRemove = document.getElementById('korapay-sdk');
-            if (scriptToRemove) {
-                document.body.removeChild(scriptToRemove);
-            }
-        };
-    }, [showToast]);
+    // Inline (KoraPay) payments are verified here; Paystack redirects through PaymentCallback instead.
+    const handlePaymentVerified = useCallback(async (target) => {
+        const isOrderPayment = target.jobType === 'direct_upload_order';
+        showToast(isOrderPayment ? 'Payment verified! The jobs in your order are now active.' : 'Payment verified! Your job is now active.', 'success');
+        await updateUser(); // Update AuthContext user state
+        await checkAuth(); // Re-fetch auth status
+        setTimeout(() => {
+            // Orders land on their jobs in ClientJobs; single jobs go back to the dashboard
+            navigate(isOrderPayment ? `/client-jobs?order=${encodeURIComponent(target.relatedJobId)}` : '/client-dashboard');
+        }, 2000);
+    }, [showToast, updateUser, checkAuth, navigate]);
+
+    const payment = usePayment({ user, showToast, onVerified: handlePaymentVerified });
+    const { openPayment } = payment;
 
     useEffect(() => {
         if (authLoading) return;
@@ -85,6 +91,54 @@ const ClientDirectUpload = () => {
         }
     }, [isAuthenticated, authLoading, user, navigate]);
 
+    useEffect(() => {
+        if (authLoading || !isAuthenticated) return;
+
+        getDirectUploadPricingRules({ signal: getSignal() })
+            .then((data) => setPricingRules(data.pricing_rules || []))
+            .catch((error) => {
+                if (isAbortError(error)) return;
+                // Without rules the page simply skips the estimate; the server quote still works.
+                console.warn('ClientDirectUpload: Could not load pricing rules for the instant estimate:', error.message);
+            });
+    }, [authLoading, isAuthenticated, getSignal]);
+
+    const isOrder = mediaFiles.length > 1;
+
+    const uploadIds = useMemo(
+        () => mediaFiles.map(({ key }) => mediaFileStates[key]?.uploadId).filter(Boolean),
+        [mediaFiles, mediaFileStates]
+    );
+    const allFilesUploaded = mediaFiles.length > 0 && uploadIds.length === mediaFiles.length;
+    const anyDurationProbing = mediaFiles.some(({ key }) => mediaFileStates[key]?.probing);
+
+    // fileKey -> estimate (null when the duration is unknown or no rule covers the selections)
+    const fileEstimates = useMemo(() => Object.fromEntries(mediaFiles.map(({ key }) => [
+        key,
+        estimateQuote(pricingRules, {
+            audioQuality: audioQualityParam,
+            deadlineType: deadlineTypeParam,
+            specialRequirements,
+            durationMinutes: mediaFileStates[key]?.durationSeconds / 60,
+        }),
+    ])), [mediaFiles, mediaFileStates, pricingRules, audioQualityParam, deadlineTypeParam, specialRequirements]);
+
+    // A combined estimate is only meaningful once every file has one.
+    const totalEstimate = mediaFiles.length > 0 && mediaFiles.every(({ key }) => fileEstimates[key])
+        ? roundUsd(mediaFiles.reduce((sum, { key }) => sum + fileEstimates[key].amount, 0))
+        : null;
+
+    const fileKeyByUploadId = useMemo(() => Object.fromEntries(
+        Object.entries(mediaFileStates).filter(([, state]) => state.uploadId).map(([key, state]) => [state.uploadId, key])
+    ), [mediaFileStates]);
+
+    const singleFileEstimate = !isOrder && mediaFiles.length === 1 ? fileEstimates[mediaFiles[0].key] : null;
+    const quoteComparison = quoteDetails && singleFileEstimate
+        ? compareQuoteToEstimate(quoteDetails.quote_amount, singleFileEstimate.amount)
+        : orderQuote && totalEstimate !== null
+            ? compareQuoteToEstimate(orderQuote.total_amount, totalEstimate)
+            : null;
+
     // NEW: Handle URL parameters for payment status after redirect from PaymentCallback
     useEffect(() => {
         const paymentStatusParam = searchParams.get('paymentStatus');
@@ -106,20 +160,35 @@ const ClientDirectUpload = () => {
     }, [searchParams, navigate, showToast]);
 
 
-    const handleAudioVideoFileChange = useCallback((e) => {
-        const file = e.target.files[0];
-        if (file) {
-            if (file.size > 500 * 1024 * 1024) {
-                showToast(`Main audio/video file must be smaller than 500MB`, 'error');
-                e.target.value = null;
-                setAudioVideoFile(null);
-                return;
+    // Picked files are added to the list, so an order can be built up over several selections.
+    const handleAudioVideoFilesChange = useCallback((e) => {
+        const selectedFiles = Array.from(e.target.files);
+        e.target.value = null; // allows picking a removed file again
+
+        const knownKeys = new Set(mediaFiles.map(({ key }) => key));
+        const addedFiles = [];
+        selectedFiles.forEach((file) => {
+            const key = getMediaFileKey(file);
+            if (file.size > MAX_FILE_SIZE_BYTES) {
+                showToast(`${file.name} is too large. Each audio/video file must be smaller than 500MB.`, 'error');
+            } else if (!knownKeys.has(key)) {
+                knownKeys.add(key);
+                addedFiles.push({ key, file });
             }
-            setAudioVideoFile(file);
-        } else {
-            setAudioVideoFile(null);
+        });
+
+        const room = MAX_FILES_PER_ORDER - mediaFiles.length;
+        if (addedFiles.length > room) {
+            showToast(`An order can contain at most ${MAX_FILES_PER_ORDER} files. Only the first ${Math.max(room, 0)} new files were added.`, 'error');
         }
-    }, [showToast]);
+        if (room > 0 && addedFiles.length > 0) {
+            setMediaFiles((prevFiles) => [...prevFiles, ...addedFiles.slice(0, room)]);
+        }
+    }, [mediaFiles, showToast]);
+
+    const handleMediaFileStateChange = useCallback((key, changes) => {
+        setMediaFileStates((prevStates) => ({ ...prevStates, [key]: { ...prevStates[key], ...changes } }));
+    }, []);
 
     const handleInstructionFilesChange = useCallback((e) => {
         const files = Array.from(e.target.files); // Corrected from e.files
@@ -133,9 +202,13 @@ const ClientDirectUpload = () => {
         setInstructionFiles(validFiles);
     }, [showToast]);
 
-    const removeAudioVideoFile = useCallback(() => {
-        setAudioVideoFile(null);
-        if (fileInputRef.current) fileInputRef.current.value = null;
+    // MediaFileUpload discards the server-side upload before calling this.
+    const removeAudioVideoFile = useCallback((keyToRemove) => {
+        setMediaFiles((prevFiles) => prevFiles.filter(({ key }) => key !== keyToRemove));
+        setMediaFileStates((prevStates) => {
+            const { [keyToRemove]: removed, ...remainingStates } = prevStates;
+            return remainingStates;
+        });
     }, []);
 
     const removeInstructionFile = useCallback((indexToRemove) => {
@@ -150,22 +223,14 @@ const ClientDirectUpload = () => {
     }, []);
 
 
-    const getQuote = useCallback(async () => {
-        if (!audioVideoFile) {
-            showToast('Please upload your main audio/video file first.', 'error');
-            return;
-        }
-
-        setQuoteLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout(); // Redirect to login if token is missing
-            return;
-        }
-
+    // Fields shared by the quote and creation requests, for a single job or an order.
+    const buildJobFormData = useCallback(() => {
         const formData = new FormData();
-        formData.append('audioVideoFile', audioVideoFile);
+        if (isOrder) {
+            uploadIds.forEach((uploadId) => formData.append('uploadIds', uploadId));
+        } else {
+            formData.append('uploadId', uploadIds[0]);
+        }
         formData.append('clientInstructions', clientInstructions);
         formData.append('audioQualityParam', audioQualityParam);
         formData.append('deadlineTypeParam', deadlineTypeParam);
@@ -174,128 +239,48 @@ const ClientDirectUpload = () => {
         instructionFiles.forEach((file) => {
             formData.append(`instructionFiles`, file);
         });
+        return formData;
+    }, [isOrder, uploadIds, clientInstructions, audioQualityParam, deadlineTypeParam, specialRequirements, instructionFiles]);
 
-        try {
-            const response = await fetch(`${BACKEND_API_URL}/api/direct-upload/job/quote`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                body: formData
-            });
-            const data = await response.json();
+    const getQuote = useCallback(async () => {
+        if (mediaFiles.length === 0) {
+            showToast('Please upload your main audio/video file first.', 'error');
+            return;
+        }
+        if (!allFilesUploaded) {
+            showToast('Please wait for your audio/video files to finish uploading.', 'error');
+            return;
+        }
 
-            if (response.ok) {
-                setQuoteDetails(data.quoteDetails);
-                setShowQuoteModal(true);
+        setQuoteLoading(true);
+        try {
+            if (isOrder) {
+                const data = await getDirectUploadOrderQuote(buildJobFormData());
+                setOrderQuote(data.orderQuote);
             } else {
-                showToast(data.error || 'Failed to calculate quote.', 'error');
+                const data = await getDirectUploadQuote(buildJobFormData());
+                setQuoteDetails(data.quoteDetails);
             }
+            setShowQuoteModal(true);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error calculating quote:', error);
-            showToast('Network error while calculating quote. Please try again.', 'error');
+            showToast(error.isNetworkError ? 'Network error while calculating quote. Please try again.' : error.message || 'Failed to calculate quote.', 'error');
         } finally {
             setQuoteLoading(false);
         }
-    }, [audioVideoFile, clientInstructions, audioQualityParam, deadlineTypeParam, specialRequirements, instructionFiles, showToast, logout]);
+    }, [mediaFiles, allFilesUploaded, isOrder, buildJobFormData, showToast]);
 
 
     const closeQuoteModal = useCallback(() => {
         setShowQuoteModal(false);
         setQuoteDetails(null);
+        setOrderQuote(null);
     }, []);
 
 
-    // KoraPay Payment Handler
-    const handleKorapayPayment = useCallback(async (korapayData, jobId) => {
-        if (!window.Korapay) {
-            showToast('KoraPay is not loaded. Please refresh the page and try again.', 'error');
-            setPaymentModalLoading(false);
-            setShowPaymentSelectionModal(false);
-            return;
-        }
-
-        try {
-            window.Korapay.initialize({
-                ...korapayData,
-                onClose: function () {
-                    console.log('[ClientDirectUpload] KoraPay modal closed by user');
-                    showToast('Payment cancelled. You can try again when ready.', 'info');
-                    setPaymentModalLoading(false);
-                    setShowPaymentSelectionModal(false);
-                    korapayVerificationInitiated.current = false; // Reset flag on close
-                },
-                onSuccess: async function (data) {
-                    // Prevent duplicate verification calls from onSuccess
-                    if (korapayVerificationInitiated.current) {
-                        console.warn('[ClientDirectUpload] KoraPay onSuccess triggered multiple times. Ignoring duplicate verification attempt.');
-                        return; 
-                    }
-                    korapayVerificationInitiated.current = true; // Set flag to true
-
-                    console.log('[ClientDirectUpload] KoraPay payment successful:', data);
-                    showToast('Payment successful! Verifying...', 'success');
-
-                    try {
-                        const token = localStorage.getItem('token');
-                        
-                        // UPDATED: Use POST method and body for KoraPay direct upload verification
-                        const verifyResponse = await fetch(
-                            `${BACKEND_API_URL}/api/direct-uploads/payment/verify-korapay`, // Dedicated POST endpoint
-                            {
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Authorization': `Bearer ${token}`
-                                },
-                                body: JSON.stringify({ reference: data.reference, relatedJobId: jobId, paymentMethod: 'korapay' })
-                            }
-                        );
-
-                        const verifyData = await verifyResponse.json();
-
-                        if (verifyResponse.ok && verifyData.message && verifyData.message.includes('Payment verified')) {
-                            showToast('Payment verified! Your job is now active.', 'success');
-                            await updateUser(); // Update AuthContext user state
-                            await checkAuth(); // Re-fetch auth status
-                            korapayVerificationInitiated.current = false; // Reset flag after successful verification
-                            setTimeout(() => {
-                                navigate('/client-dashboard'); // Redirect to dashboard
-                            }, 2000);
-                        } else {
-                            showToast(verifyData.error || 'Payment verification failed. Please contact support.', 'error');
-                            setPaymentModalLoading(false);
-                            setShowPaymentSelectionModal(false);
-                            korapayVerificationInitiated.current = false; // Reset flag on verification failure
-                        }
-                    } catch (verifyError) {
-                        console.error('[ClientDirectUpload] Error verifying KoraPay payment:', verifyError);
-                        showToast('Error verifying payment. Please contact support with your transaction reference.', 'error');
-                        setPaymentModalLoading(false);
-                        setShowPaymentSelectionModal(false);
-                        korapayVerificationInitiated.current = false; // Reset flag on error
-                    }
-                },
-                onFailed: function (data) {
-                    console.error('[ClientDirectUpload] KoraPay payment failed:', data);
-                    showToast('Payment failed. Please try again or contact support.', 'error');
-                    setPaymentModalLoading(false);
-                    setShowPaymentSelectionModal(false);
-                    korapayVerificationInitiated.current = false; // Reset flag on failure
-                }
-            });
-        } catch (error) {
-            console.error('[ClientDirectUpload] Error initializing KoraPay:', error);
-            showToast('Failed to initialize payment. Please try again.', 'error');
-            setPaymentModalLoading(false);
-            setShowPaymentSelectionModal(false);
-            korapayVerificationInitiated.current = false; // Reset flag on error
-        }
-    }, [showToast, navigate, updateUser, checkAuth]);
-
-
     const createAndPayForJob = useCallback(async () => {
-        if (!quoteDetails || !audioVideoFile) {
+        if (!quoteDetails || !allFilesUploaded) {
             showToast('Quote not calculated or file missing. Please re-calculate quote.', 'error');
             return;
         }
@@ -310,49 +295,25 @@ const ClientDirectUpload = () => {
         }
 
         setLoading(true);
-        const token = localStorage.getItem('token');
 
-        const formData = new FormData();
-        formData.append('audioVideoFile', audioVideoFile);
-        formData.append('clientInstructions', clientInstructions);
-        formData.append('audioQualityParam', audioQualityParam);
-        formData.append('deadlineTypeParam', deadlineTypeParam);
-        formData.append('specialRequirements', JSON.stringify(specialRequirements));
+        const formData = buildJobFormData();
         formData.append('quote_amount', quoteDetails.quote_amount);
         formData.append('pricePerMinuteUsd', quoteDetails.price_per_minute_usd);
         formData.append('agreedDeadlineHours', quoteDetails.agreed_deadline_hours);
         formData.append('jobType', 'direct_upload');
 
-        instructionFiles.forEach((file) => {
-            formData.append(`instructionFiles`, file);
-        });
-
         try {
-            const createJobResponse = await fetch(`${BACKEND_API_URL}/api/direct-upload/job`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                body: formData
-            });
-            const createJobData = await createJobResponse.json();
+            const createJobData = await createDirectUploadJob(formData);
 
-            if (!createJobResponse.ok || !createJobData.job) {
-                showToast(createJobData.error || 'Failed to create job entry. Please try again.', 'error');
+            if (!createJobData.job) {
+                showToast('Failed to create job entry. Please try again.', 'error');
                 setLoading(false);
                 return;
             }
 
             const jobId = createJobData.job.id;
 
-            setJobToPayFor({
-                id: jobId,
-                jobType: 'direct_upload',
-                quote_amount: quoteDetails.quote_amount,
-                agreed_price_usd: quoteDetails.quote_amount // Use quote_amount for direct upload agreed price
-            });
-            setSelectedPaymentMethod('paystack'); // Default to Paystack for the modal
-            setShowPaymentSelectionModal(true);
+            openPayment({ jobType: 'direct_upload', relatedJobId: jobId, amount: quoteDetails.quote_amount });
             closeQuoteModal();
             setLoading(false); // Set loading to false after job creation, payment handled by modal
             showToast('Job created successfully! Please select a payment method.', 'success');
@@ -360,92 +321,67 @@ const ClientDirectUpload = () => {
 
         } catch (error) {
             console.error('Error creating job or initiating payment:', error);
-            showToast('Network error creating job or initiating payment. Please try again.', 'error');
+            showToast(error.isNetworkError ? 'Network error creating job or initiating payment. Please try again.' : error.message || 'Failed to create job entry. Please try again.', 'error');
             setLoading(false);
         }
-    }, [audioVideoFile, clientInstructions, audioQualityParam, deadlineTypeParam, specialRequirements, instructionFiles, quoteDetails, user, showToast, closeQuoteModal]);
+    }, [allFilesUploaded, buildJobFormData, quoteDetails, user, showToast, closeQuoteModal, openPayment]);
 
-    const initiatePayment = useCallback(async () => {
-        if (!jobToPayFor?.id || !selectedPaymentMethod) {
-            showToast('Job or payment method not selected.', 'error');
+    // Creates one job per file under a new order ID, then takes a single payment for the order.
+    const createAndPayForOrder = useCallback(async () => {
+        if (!orderQuote || !allFilesUploaded) {
+            showToast('Quote not calculated or files missing. Please re-calculate quote.', 'error');
             return;
         }
-        // Validate mobile number if KoraPay is selected
-        if (selectedPaymentMethod === 'korapay' && !mobileNumber.trim()) {
-            showToast('Please enter your mobile number for KoraPay payment.', 'error');
+        if (typeof orderQuote.total_amount !== 'number' || orderQuote.total_amount <= 0) {
+            showToast('Invalid quote amount for payment. Please re-calculate quote.', 'error');
             return;
         }
-
-        setPaymentModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error'); // Corrected typo
-            logout();
+        if (!user?.email) {
+            showToast('User email missing. Please contact support.', 'error');
+            console.error('User email is not set.');
             return;
         }
 
-        let paymentApiUrl;
-        let amountToSend;
-        const jobType = jobToPayFor.jobType; // Use the explicitly set jobType
+        setLoading(true);
 
-        if (jobType === 'negotiation') {
-            paymentApiUrl = `${BACKEND_API_URL}/api/negotiations/${jobToPayFor.id}/payment/initialize`;
-            amountToSend = jobToPayFor.agreed_price_usd;
-        } else if (jobType === 'direct_upload') {
-            paymentApiUrl = `${BACKEND_API_URL}/api/direct-uploads/${jobToPayFor.id}/payment/initialize`;
-            amountToSend = jobToPayFor.quote_amount;
-        } else {
-            showToast('Unknown job type for payment initiation.', 'error');
-            setPaymentModalLoading(false);
-            return;
-        }
+        const formData = buildJobFormData();
+        formData.append('total_amount', orderQuote.total_amount);
+        formData.append('jobType', 'direct_upload');
 
         try {
-            const payload = {
-                jobId: jobToPayFor.id,
-                amount: amountToSend,
-                email: user.email,
-                paymentMethod: selectedPaymentMethod,
-                fullName: user.full_name, // Include full name
-            };
-            // Conditionally add mobileNumber to payload for KoraPay
-            if (selectedPaymentMethod === 'korapay' && mobileNumber.trim()) {
-                payload.mobileNumber = mobileNumber.trim();
-            }
-
-            const response = await fetch(paymentApiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(payload)
+            const { order } = await createDirectUploadOrder(formData);
+            const jobCount = order.jobs?.length || uploadIds.length;
+
+            openPayment({
+                jobType: 'direct_upload_order',
+                relatedJobId: order.id,
+                amount: order.total_amount,
+                title: `Choose Payment Method for Order: ${order.id.substring(0, 8)}... (${jobCount} files)`,
             });
-            const data = await response.json();
-
-            if (response.ok) {
-                if (selectedPaymentMethod === 'paystack' && data.data?.authorization_url) {
-                    showToast('Redirecting to Paystack...', 'info');
-                    window.location.href = data.data.authorization_url;
-                } else if (selectedPaymentMethod === 'korapay' && data.korapayData) {
-                    showToast('Opening KoraPay payment modal...', 'info');
-                    await handleKorapayPayment(data.korapayData, jobToPayFor.id); // Pass job ID for verification
-                } else {
-                    showToast(data.error || 'Failed to initiate KoraPay payment. Missing data or script not loaded.', 'error');
-                    setPaymentModalLoading(false);
-                }
-            } else {
-                showToast(data.error || 'Failed to initiate payment. Please try again.', 'error');
-            }
+            closeQuoteModal();
+            showToast(`Order created with ${jobCount} jobs! Please select a payment method.`, 'success');
         } catch (error) {
-            console.error('Error initiating payment:', error);
-            showToast('Network error while initiating payment. Please try again.', 'error');
-            setPaymentModalLoading(false);
+            console.error('Error creating order:', error);
+            showToast(error.isNetworkError ? 'Network error creating your order. Please try again.' : error.message || 'Failed to create order. Please try again.', 'error');
         } finally {
-            // No need to setPaymentModalLoading(false) here, as it's handled by callbacks or redirects
+            setLoading(false);
         }
-    }, [jobToPayFor, selectedPaymentMethod, mobileNumber, user, showToast, logout, handleKorapayPayment]);
+    }, [orderQuote, allFilesUploaded, buildJobFormData, uploadIds, user, showToast, closeQuoteModal, openPayment]);
 
+    const describeFileEstimate = (key) => {
+        const state = mediaFileStates[key] || {};
+        if (state.probing) {
+            return 'Reading duration...';
+        }
+        if (!state.durationSeconds) {
+            return "Duration couldn't be read in your browser; it will be measured after the upload.";
+        }
+        const minutes = (state.durationSeconds / 60).toFixed(1);
+        const estimate = fileEstimates[key];
+        return estimate
+            ? `${minutes} minutes · estimated USD ${formatUsd(estimate.amount)} at USD ${formatUsd(estimate.pricePerMinuteUsd)}/min`
+            : `${minutes} minutes · no instant estimate for these options`;
+    };
 
     // eslint-disable-next-line no-unused-vars
     const handleDownloadFile = useCallback(async (jobId, jobType, fileName) => {
@@ -453,67 +389,26 @@ const ClientDirectUpload = () => {
             showToast('This action is only for direct upload files.', 'error');
             return;
         }
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            let downloadUrl;
-            if (jobType === 'negotiation') {
-                downloadUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}/download/${fileName}`;
-            } else if (jobType === 'direct_upload') {
-                downloadUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`;
-            } else {
-                showToast('Unknown job type for download.', 'error');
-                return;
-            }
-
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await downloadDirectUploadFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
-    if (authLoading || !isAuthenticated || !user || loading) {
+    // Job creation keeps the form mounted (the quote modal shows its own loading state): unmounting
+    // it would restart the MediaFileUpload components and upload every file again.
+    if (authLoading || !isAuthenticated || !user) {
         return (
             <div className="client-direct-upload-container">
                 <div className="loading-spinner">Loading authentication...</div>
             </div>
         );
     }
-    if (loading) {
-        return (
-            <div className="client-direct-upload-container">
-                <div className="loading-spinner">Processing your request...</div>
-            </div>
-        );
-    }
 
     return (
         <div className="client-direct-upload-container">
@@ -543,23 +438,33 @@ const ClientDirectUpload = () => {
 
                     <form className="upload-form" onSubmit={(e) => { e.preventDefault(); getQuote(); }}>
                         <div className="form-group">
-                            <label htmlFor="audioVideoFile">Main Audio/Video File:</label>
+                            <label htmlFor="audioVideoFile">Main Audio/Video Files:</label>
                             <input
                                 type="file"
                                 id="audioVideoFile"
                                 name="audioVideoFile"
                                 accept="audio/*,video/*"
-                                onChange={handleAudioVideoFileChange}
+                                onChange={handleAudioVideoFilesChange}
                                 ref={fileInputRef}
-                                required
+                                multiple
                             />
-                            {audioVideoFile && (
-                                <div className="attached-file-info">
-                                    <span>📄 {audioVideoFile.name}</span>
-                                    <button type="button" onClick={removeAudioVideoFile} className="remove-file-btn">✕</button>
-                                </div>
-                            )}
-                            <small className="help-text">Mandatory: Max 500MB. Supported formats: MP3, WAV, MP4, etc.</small>
+                            {mediaFiles.map(({ key, file }) => (
+                                <MediaFileUpload
+                                    key={key}
+                                    fileKey={key}
+                                    file={file}
+                                    purpose="direct_upload"
+                                    pool={uploadPool}
+                                    onChange={handleMediaFileStateChange}
+                                    onRemove={removeAudioVideoFile}
+                                >
+                                    <small className="file-estimate">{describeFileEstimate(key)}</small>
+                                </MediaFileUpload>
+                            ))}
+                            <small className="help-text">
+                                Mandatory: Max 500MB per file. Supported formats: MP3, WAV, MP4, etc. Uploads continue automatically when a dropped connection returns.
+                                Select several files (up to {MAX_FILES_PER_ORDER}) to order them together: each file becomes its own job, all paid for in one payment.
+                            </small>
                         </div>
 
                         <div className="form-group">
@@ -644,8 +549,29 @@ const ClientDirectUpload = () => {
                             <small className="help-text">Select additional services like timestamps or specific verbatim styles.</small>
                         </div>
 
-                        <button type="submit" className="get-quote-btn" disabled={quoteLoading || !audioVideoFile}>
-                            {quoteLoading ? 'Calculating Quote...' : 'Get Instant Quote'}
+                        {mediaFiles.length > 0 && (
+                            <div className="instant-estimate">
+                                {totalEstimate !== null ? (
+                                    <>
+                                        <span>
+                                            {isOrder ? `Estimated total for ${mediaFiles.length} files` : 'Estimated price'}: <strong>USD {formatUsd(totalEstimate)}</strong>
+                                        </span>
+                                        <small className="help-text">Your final quote is confirmed after the upload.</small>
+                                    </>
+                                ) : anyDurationProbing ? (
+                                    <span>Reading file duration...</span>
+                                ) : (
+                                    <span>No instant estimate is available for {isOrder ? 'every file' : 'this file'} with these options. Your quote will be calculated once the upload finishes.</span>
+                                )}
+                            </div>
+                        )}
+
+                        <button type="submit" className="get-quote-btn" disabled={quoteLoading || !allFilesUploaded}>
+                            {quoteLoading
+                                ? 'Calculating Quote...'
+                                : mediaFiles.length > 0 && !allFilesUploaded
+                                    ? 'Waiting for Upload...'
+                                    : isOrder ? `Get Instant Quote for ${mediaFiles.length} Files` : 'Get Instant Quote'}
                         </button>
                     </form>
                 </div>
@@ -684,6 +610,12 @@ const ClientDirectUpload = () => {
                                 &nbsp;
                             </strong>
                         </div>
+                        {singleFileEstimate && (
+                            <div className="quote-item">
+                                <span>Instant Estimate:</span>
+                                <strong>USD {formatUsd(singleFileEstimate.amount)}</strong>
+                            </div>
+                        )}
                         <div className="quote-item total-quote">
                             <span>Total Quote:</span>
                             <strong>USD {quoteDetails.quote_amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>
@@ -693,84 +625,82 @@ const ClientDirectUpload = () => {
                             <strong>{quoteDetails.agreed_deadline_hours} hours</strong>
                         </div>
                     </div>
+                    {quoteComparison?.differs && (
+                        <p className="quote-difference-notice">
+                            This quote is USD {formatUsd(Math.abs(quoteComparison.difference))} {quoteComparison.difference > 0 ? 'higher' : 'lower'} than
+                            the instant estimate, usually because the server measured a different duration or pricing changed. The quote above is the amount you will pay.
+                        </p>
+                    )}
                     <p>Click "Proceed to Payment" to finalize your order.</p>
                 </Modal>
             )}
 
-            {/* NEW: Payment Selection Modal */}
-            {showPaymentSelectionModal && jobToPayFor && (
+            {/* Order Quote Modal (several files) */}
+            {showQuoteModal && orderQuote && (
                 <Modal
-                    show={showPaymentSelectionModal}
-                    title={`Choose Payment Method for Job: ${jobToPayFor.id?.substring(0, 8)}...`}
-                    onClose={() => {setShowPaymentSelectionModal(false); setPaymentModalLoading(false);}}
-                    onSubmit={initiatePayment}
-                    submitText={paymentModalLoading ? 'Processing...' : `Pay Now (USD ${((jobToPayFor.jobType === 'negotiation' ? jobToPayFor.agreed_price_usd : jobToPayFor.quote_amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`}
-                    loading={paymentModalLoading}
+                    show={showQuoteModal}
+                    title={`Your Instant Quote (${orderQuote.items.length} files)`}
+                    onClose={closeQuoteModal}
+                    onSubmit={createAndPayForOrder}
+                    submitText={`Proceed to Payment (USD ${formatUsd(orderQuote.total_amount)})`}
+                    loading={loading}
                 >
-                    <p className="modal-intro-text">Select your preferred payment method to complete your order securely.</p>
-                    <div className="payment-method-selection-modal">
-                        <div className="payment-options">
-                            <label className={`payment-option ${selectedPaymentMethod === 'paystack' ? 'selected' : ''}`}>
-                                <input
-                                    type="radio"
-                                    value="paystack"
-                                    checked={selectedPaymentMethod === 'paystack'}
-                                    onChange={() => setSelectedPaymentMethod('paystack')}
-                                    disabled={paymentModalLoading}
-                                />
-                                <div className="option-content">
-                                    <div className="option-header">
-                                        <span className="option-icon">💳</span>
-                                        <span className="option-name">Paystack</span>
-                                    </div>
-                                    <span className="option-description">
-                                        Card, Mobile Money, Bank Transfer, Pesalink
+                    <p>Each file becomes its own job. One payment covers the whole order:</p>
+                    <div className="quote-summary">
+                        {orderQuote.items.map((item) => {
+                            const fileEstimate = fileEstimates[fileKeyByUploadId[item.upload_id]];
+                            const lineComparison = fileEstimate ? compareQuoteToEstimate(item.quote_amount, fileEstimate.amount) : null;
+                            return (
+                                <div className="quote-item order-quote-line" key={item.upload_id}>
+                                    <span>
+                                        {item.file_name} ({item.audio_length_minutes?.toFixed(1)} min)
+                                        {lineComparison?.differs && (
+                                            <small className="quote-line-flag">Estimated USD {formatUsd(fileEstimate.amount)}</small>
+                                        )}
                                     </span>
+                                    <strong>USD {formatUsd(item.quote_amount)}</strong>
                                 </div>
-                            </label>
-                            <label className={`payment-option ${selectedPaymentMethod === 'korapay' ? 'selected' : ''}`}>
-                                <input
-                                    type="radio"
-                                    value="korapay"
-                                    checked={selectedPaymentMethod === 'korapay'}
-                                    onChange={() => setSelectedPaymentMethod('korapay')}
-                                    disabled={paymentModalLoading || !korapayScriptLoaded}
-                                />
-                                <div className="option-content">
-                                    <div className="option-header">
-                                        <span className="option-icon">📱</span>
-                                        <span className="option-name">KoraPay</span>
-                                    </div>
-                                    <span className="option-description">
-                                        Mobile Money, Card, Bank Transfer
-                                    </span>
-                                    </div>
-                                </label>
-                            </div>
+                            );
+                        })}
+                        <div className="quote-item">
+                            <span>Audio Quality Selected:</span>
+                            <strong>{audioQualityParam}</strong>
                         </div>
-
-                        {/* Mobile Number Input for KoraPay */}
-                        {selectedPaymentMethod === 'korapay' && (
-                            <div className="mobile-input-section-modal">
-                                <label htmlFor="mobileNumberModal" className="input-label">
-                                    📱 Mobile Number (Optional for KoraPay)
-                                </label>
-                                <input
-                                    type="tel"
-                                    id="mobileNumberModal"
-                                    className="mobile-input"
-                                    placeholder="e.g., +254712345678"
-                                    value={mobileNumber}
-                                    onChange={(e) => setMobileNumber(e.target.value)}
-                                    disabled={paymentModalLoading}
-                                />
-                                <small className="input-hint">
-                                    Enter your mobile number for faster mobile money payments
-                                </small>
+                        <div className="quote-item">
+                            <span>Deadline Preference:</span>
+                            <strong>{deadlineTypeParam}</strong>
+                        </div>
+                        <div className="quote-item">
+                            <span>Special Requirements:</span>
+                            <strong>{specialRequirements.length > 0 ? specialRequirements.join(', ') : 'None'}</strong>
+                        </div>
+                        {totalEstimate !== null && (
+                            <div className="quote-item">
+                                <span>Instant Estimate:</span>
+                                <strong>USD {formatUsd(totalEstimate)}</strong>
                             </div>
                         )}
-                    </Modal>
-                )}
+                        <div className="quote-item total-quote">
+                            <span>Order Total:</span>
+                            <strong>USD {formatUsd(orderQuote.total_amount)}</strong>
+                        </div>
+                        <div className="quote-item total-quote">
+                            <span>Estimated Delivery:</span>
+                            <strong>up to {Math.max(...orderQuote.items.map((item) => item.agreed_deadline_hours || 0))} hours</strong>
+                        </div>
+                    </div>
+                    {quoteComparison?.differs && (
+                        <p className="quote-difference-notice">
+                            This total is USD {formatUsd(Math.abs(quoteComparison.difference))} {quoteComparison.difference > 0 ? 'higher' : 'lower'} than
+                            the instant estimate, usually because the server measured different durations or pricing changed. The total above is the amount you will pay.
+                        </p>
+                    )}
+                    <p>Click "Proceed to Payment" to create the order's jobs and pay for them.</p>
+                </Modal>
+            )}
+
+            {/* Payment Selection Modal */}
+            <PaymentMethodModal {...payment.paymentModalProps} />
 
             <Toast
                 message={toast.message}
@@ -1,6 +1,6 @@
 // src/ClientJobs.js
-import React, { useState, useEffect, useCallback, Fragment } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useMemo, Fragment } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import Toast from './Toast';
 import NegotiationCard from './NegotiationCard';
 import DirectUploadJobCard from './DirectUploadJobCard';
@@ -8,13 +8,31 @@ import Modal from './Modal';
 import { useAuth } from './contexts/AuthContext';
 // eslint-disable-next-line no-unused-vars
 import { connectSocket, disconnectSocket } from './ChatService';
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import {
+    getClientNegotiations,
+    deleteNegotiation,
+    completeNegotiation,
+    downloadNegotiationFile
+} from './api/negotiations';
+import {
+    getClientDirectUploadJobs,
+    completeClientDirectUploadJob,
+    downloadDirectUploadFile
+} from './api/directUploads';
+import usePayment from './payments/usePayment';
+import PaymentMethodModal from './payments/PaymentMethodModal';
 
 const ClientJobs = () => {
     // eslint-disable-next-line no-unused-vars
     const { user, isAuthenticated, authLoading, logout, updateUser, checkAuth } = useAuth();
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const getSignal = useAbortSignal();
+
+    // Multi-file direct-upload orders share an order_id; ?order=<id> limits the list to one order.
+    const orderFilter = searchParams.get('order') || '';
 
     const [activeJobs, setActiveJobs] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -27,48 +45,10 @@ const ClientJobs = () => {
     const [clientFeedbackRating, setClientFeedbackRating] = useState(5);
     const [completeJobModalLoading, setCompleteJobModalLoading] = useState(false);
 
-    // State for Payment Method selection in the payment modal
-    const [showPaymentSelectionModal, setShowPaymentSelectionModal] = useState(false);
-    const [jobToPayFor, setJobToPayFor] = useState(null);
-    const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('paystack');
-    const [mobileNumber, setMobileNumber] = useState(''); // NEW: Mobile number state for KoraPay
-    const [modalLoading, setModalLoading] = useState(false);
-    const [korapayScriptLoaded, setKorapayScriptLoaded] = useState(false); // NEW: KoraPay script loading state
-
 
     const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
     const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
 
-    // NEW: Load KoraPay SDK dynamically
-    useEffect(() => {
-        const existingScript = document.getElementById('korapay-sdk');
-        if (existingScript) {
-            setKorapayScriptLoaded(true);
-            return;
-        }
-
-        const script = document.createElement('script');
-        script.id = 'korapay-sdk';
-        script.src = 'https://korablobstorage.blob.core.windows.net/modal-bucket/korapay-collections.min.js';
-        script.async = true;
-        script.onload = () => {
-            console.log('[ClientJobs] KoraPay SDK loaded successfully');
-            setKorapayScriptLoaded(true);
-        };
-        script.onerror = () => {
-            console.error('[ClientJobs] Failed to load KoraPay SDK');
-            showToast('Failed to load KoraPay payment system. Please refresh the page.', 'error');
-        };
-        document.body.appendChild(script);
-
-        return () => {
-            const scriptToRemove = document.getElementById('korapay-sdk');
-            if (scriptToRemove) {
-                document.body.removeChild(scriptToRemove);
-            }
-        };
-    }, [showToast]);
-
     const getStatusColor = useCallback((status) => {
         const colors = {
             'pending': '#007bff',
@@ -79,6 +59,8 @@ const ClientJobs = () => {
             'available_for_transcriber': '#17a2b8',
             'taken': '#6c757d',
             'in_progress': '#6c757d',
+            'awaiting_qa': '#8e44ad',
+            'qa_in_progress': '#8e44ad',
             'cancelled': '#dc3545',
             'completed': '#6f42c1',
             'client_completed': '#6f42c1'
@@ -97,6 +79,9 @@ const ClientJobs = () => {
             'available_for_transcriber': 'Available for Transcriber',
             'taken': 'Taken by Transcriber',
             'in_progress': 'In Progress',
+            // Clients see one status for the whole proofreading stage
+            'awaiting_qa': 'In Quality Review',
+            'qa_in_progress': 'In Quality Review',
             'cancelled': 'Cancelled',
             'completed': 'Client Reviewed & Completed', // Corrected text for clarity for negotiation jobs
             'client_completed': 'Completed By Client'
@@ -105,57 +90,47 @@ const ClientJobs = () => {
     }, []);
 
     const fetchClientJobs = useCallback(async (showNoJobsToast = true) => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("ClientJobs: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
-            const [negotiationsResponse, directUploadJobsResponse] = await Promise.all([
-                fetch(`${BACKEND_API_URL}/api/negotiations/client`, {
-                    headers: { 'Authorization': `Bearer ${token}` }
-                }),
-                fetch(`${BACKEND_API_URL}/api/client/direct-jobs`, {
-                    headers: { 'Authorization': `Bearer ${token}` }
-                })
+            const signal = getSignal();
+            const [negotiationsResult, directUploadJobsResult] = await Promise.allSettled([
+                getClientNegotiations({ signal }),
+                getClientDirectUploadJobs({ signal })
             ]);
 
-            const negotiationsData = await (negotiationsResponse.ok ? negotiationsResponse.json() : Promise.resolve({ negotiations: [] }));
-            const directUploadJobsData = await (directUploadJobsResponse.ok ? directUploadJobsResponse.json() : Promise.resolve({ jobs: [] }));
+            if ([negotiationsResult, directUploadJobsResult].some(result => result.status === 'rejected' && isAbortError(result.reason))) {
+                return;
+            }
 
             let combinedActiveJobs = [];
 
-            if (negotiationsResponse.ok) {
-                const fetchedNegotiations = negotiationsData.negotiations || [];
+            if (negotiationsResult.status === 'fulfilled') {
+                const fetchedNegotiations = negotiationsResult.value.negotiations || [];
                 // UPDATED: Exclude 'completed' status from active negotiations
                 const activeNegotiations = fetchedNegotiations.filter(n => 
                     ['pending', 'transcriber_counter', 'client_counter', 'accepted_awaiting_payment', 'hired'].includes(n.status)
                 );
                 combinedActiveJobs = [...combinedActiveJobs, ...activeNegotiations];
             } else {
-                console.error('Failed to fetch negotiations:', negotiationsData.error);
-                showToast(negotiationsData.error || 'Failed to load negotiations.', 'error');
+                console.error('Failed to fetch negotiations:', negotiationsResult.reason);
+                showToast(negotiationsResult.reason.message || 'Failed to load negotiations.', 'error');
             }
 
-            if (directUploadJobsResponse.ok) {
-                const fetchedDirectUploadJobs = directUploadJobsData.jobs || [];
+            if (directUploadJobsResult.status === 'fulfilled') {
+                const fetchedDirectUploadJobs = directUploadJobsResult.value.jobs || [];
                 // Exclude 'client_completed' jobs from the active list
                 const activeDirectUploadJobs = fetchedDirectUploadJobs.filter(d =>
                     d.status === 'available_for_transcriber' ||
                     d.status === 'taken' ||
                     d.status === 'in_progress' ||
+                    d.status === 'awaiting_qa' ||
+                    d.status === 'qa_in_progress' ||
                     d.status === 'completed' 
                 );
                 combinedActiveJobs = [...combinedActiveJobs, ...activeDirectUploadJobs];
             } else {
-                console.error('Failed to fetch direct upload jobs::', directUploadJobsData.error);
-                showToast(directUploadJobsData.error || 'Failed to load direct upload jobs.', 'error');
+                console.error('Failed to fetch direct upload jobs::', directUploadJobsResult.reason);
+                showToast(directUploadJobsResult.reason.message || 'Failed to load direct upload jobs.', 'error');
             }
 
             console.log("ClientJobs: Combined Active Jobs:", combinedActiveJobs.map(j => ({
@@ -174,7 +149,24 @@ const ClientJobs = () => {
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [getSignal, showToast]);
+
+    // Inline (KoraPay) payments are verified here; Paystack redirects through PaymentCallback instead.
+    const handlePaymentVerified = useCallback(async (target) => {
+        showToast('Payment verified! Your job is now active.', 'success');
+        if (target.jobType === 'negotiation') {
+            await updateUser();
+            await checkAuth();
+            setTimeout(() => {
+                navigate('/client-dashboard');
+            }, 2000);
+        } else {
+            fetchClientJobs();
+        }
+    }, [showToast, updateUser, checkAuth, navigate, fetchClientJobs]);
+
+    const payment = usePayment({ user, showToast, onVerified: handlePaymentVerified });
+    const { openPayment } = payment;
 
 
     const handleJobUpdate = useCallback((data) => {
@@ -258,89 +250,44 @@ const ClientJobs = () => {
             return;
         }
 
-        try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
-                return;
-            }
-
-            let apiUrl;
-            if (jobType === 'negotiation') {
-                apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}`;
-            } else if (jobType === 'direct_upload') {
-                showToast('Direct upload jobs cannot be deleted from this view.', 'error');
-                return;
-            } else {
-                showToast('Unknown job type for deletion.', 'error');
-                return;
-            }
-
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+        if (jobType === 'direct_upload') {
+            showToast('Direct upload jobs cannot be deleted from this view.', 'error');
+            return;
+        } else if (jobType !== 'negotiation') {
+            showToast('Unknown job type for deletion.', 'error');
+            return;
+        }
 
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Job cancelled/deleted successfully!', 'success');
-                fetchClientJobs();
-            } else {
-                showToast(data.error || 'Failed to cancel/delete job', 'error');
-            }
+        try {
+            await deleteNegotiation(jobId, { signal: getSignal() });
+            showToast('Job cancelled/deleted successfully!', 'success');
+            fetchClientJobs();
         } catch (error) {
-            showToast('Network error. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            showToast(error.message || 'Failed to cancel/delete job', 'error');
         }
-    }, [showToast, fetchClientJobs, logout]);
+    }, [showToast, fetchClientJobs, getSignal]);
 
     const handleDownloadFile = useCallback(async (jobId, fileName, jobType) => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
+        let download;
+        if (jobType === 'negotiation') {
+            download = downloadNegotiationFile;
+        } else if (jobType === 'direct_upload') {
+            download = downloadDirectUploadFile;
+        } else {
+            showToast('Unknown job type for download.', 'error');
             return;
         }
 
         try {
-            let downloadUrl;
-            if (jobType === 'negotiation') {
-                downloadUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}/download/${fileName}`;
-            } else if (jobType === 'direct_upload') {
-                downloadUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`;
-            } else {
-                showToast('Unknown job type for download.', 'error');
-                return;
-            }
-
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await download(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [showToast, getSignal]);
 
 
     const openMarkJobCompleteModal = useCallback((job) => {
@@ -387,152 +334,33 @@ const ClientJobs = () => {
             return;
         }
 
-        setCompleteJobModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
+        let completeJob;
+        if (jobToComplete.jobType === 'negotiation') {
+            completeJob = completeNegotiation;
+        } else if (jobToComplete.jobType === 'direct_upload') {
+            completeJob = completeClientDirectUploadJob;
+        } else {
+            showToast('Unknown job type for completion.', 'error');
             return;
         }
 
+        setCompleteJobModalLoading(true);
         try {
-            let apiUrl;
-            if (jobToComplete.jobType === 'negotiation') {
-                apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobToComplete.id}/complete`;
-            } else if (jobToComplete.jobType === 'direct_upload') {
-                apiUrl = `${BACKEND_API_URL}/api/client/direct-jobs/${jobToComplete.id}/complete`;
-            } else {
-                showToast('Unknown job type for completion.', 'error');
-                setCompleteJobModalLoading(false);
-                return;
-            }
-
-            const response = await fetch(apiUrl, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    clientFeedbackComment: clientFeedbackComment,
-                    clientFeedbackRating: clientFeedbackRating
-                })
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Job marked as complete successfully! Thank you for your feedback.', 'success');
-                closeMarkJobCompleteModal();
-                fetchClientJobs(false);
-            } else {
-                showToast(data.error || 'Failed to mark job as complete.', 'error');
-            }
+            await completeJob(jobToComplete.id, {
+                clientFeedbackComment: clientFeedbackComment,
+                clientFeedbackRating: clientFeedbackRating
+            }, { signal: getSignal() });
+            showToast('Job marked as complete successfully! Thank you for your feedback.', 'success');
+            closeMarkJobCompleteModal();
+            fetchClientJobs(false);
         } catch (error) {
-            console.error('Network error marking job as complete: ', error);
-            showToast('Network error while marking job as complete. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error marking job as complete: ', error);
+            showToast(error.message || 'Failed to mark job as complete.', 'error');
         } finally {
             setCompleteJobModalLoading(false);
         }
-    }, [jobToComplete, clientFeedbackComment, clientFeedbackRating, showToast, logout, closeMarkJobCompleteModal, fetchClientJobs]);
-
-    // NEW: KoraPay Payment Handler
-    const handleKorapayPayment = useCallback(async (korapayData, jobId, jobType) => {
-        if (!window.Korapay) {
-            showToast('KoraPay is not loaded. Please refresh the page and try again.', 'error');
-            setModalLoading(false);
-            setShowPaymentSelectionModal(false);
-            return;
-        }
-
-        try {
-            window.Korapay.initialize({
-                ...korapayData,
-                onClose: function () {
-                    console.log('[ClientJobs] KoraPay modal closed by user');
-                    showToast('Payment cancelled. You can try again when ready.', 'info');
-                    setModalLoading(false);
-                    setShowPaymentSelectionModal(false);
-                },
-                onSuccess: async function (data) {
-                    console.log('[ClientJobs] KoraPay payment successful:', data);
-                    showToast('Payment successful! Verifying...', 'success');
-
-                    try {
-                        const token = localStorage.getItem('token');
-                        let verifyEndpoint;
-                        // UPDATED: Use POST method for KoraPay direct upload verification
-                        if (jobType === 'negotiation') {
-                            verifyEndpoint = `${BACKEND_API_URL}/api/negotiations/${jobId}/payment/verify/${data.reference}?paymentMethod=korapay`;
-                            // Fallback for negotiation KoraPay verification (if still GET)
-                            const verifyResponse = await fetch(verifyEndpoint, {
-                                method: 'GET',
-                                headers: {
-                                    'Authorization': `Bearer ${token}`
-                                }
-                            });
-                            const verifyData = await verifyResponse.json();
-                            if (verifyResponse.ok && verifyData.message.includes('Payment verified')) {
-                                showToast('Payment verified! Your job is now active.', 'success');
-                                await updateUser();
-                                await checkAuth();
-                                setTimeout(() => {
-                                    navigate('/client-dashboard');
-                                }, 2000);
-                            } else {
-                                showToast(verifyData.error || 'Payment verification failed. Please contact support.', 'error');
-                                setModalLoading(false);
-                                setShowPaymentSelectionModal(false);
-                            }
-                        } else if (jobType === 'direct_upload') {
-                            // This endpoint expects a POST request
-                            const verifyResponse = await fetch(`${BACKEND_API_URL}/api/direct-uploads/payment/verify-korapay`, {
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Authorization': `Bearer ${token}`
-                                },
-                                body: JSON.stringify({ reference: data.reference, relatedJobId: jobId, paymentMethod: 'korapay' })
-                            });
-
-                            const verifyData = await verifyResponse.json();
-
-                            if (verifyResponse.ok && verifyData.message && verifyData.message.includes('Payment verified')) {
-                                showToast('Payment verified! Your job is now active.', 'success');
-                                fetchClientJobs();
-                                setModalLoading(false);
-                                setShowPaymentSelectionModal(false);
-                            } else {
-                                showToast(verifyData.error || 'Payment verification failed. Please contact support.', 'error');
-                                setModalLoading(false);
-                                setShowPaymentSelectionModal(false);
-                            }
-                        } else {
-                            showToast('Unknown job type for KoraPay verification.', 'error');
-                            setModalLoading(false);
-                            setShowPaymentSelectionModal(false);
-                            return;
-                        }
-                    } catch (verifyError) {
-                        console.error('[ClientJobs] Error verifying KoraPay payment:', verifyError);
-                        showToast('Error verifying payment. Please contact support with your transaction reference.', 'error');
-                        setModalLoading(false);
-                        setShowPaymentSelectionModal(false);
-                    }
-                },
-                onFailed: function (data) {
-                    console.error('[ClientJobs] KoraPay payment failed:', data);
-                    showToast('Payment failed. Please try again or contact support.', 'error');
-                    setModalLoading(false);
-                    setShowPaymentSelectionModal(false);
-                }
-            });
-        } catch (error) {
-            console.error('[ClientJobs] Error initializing KoraPay:', error);
-            showToast('Failed to initialize payment. Please try again.', 'error');
-            setModalLoading(false);
-            setShowPaymentSelectionModal(false);
-        }
-    }, [showToast, navigate, updateUser, checkAuth, fetchClientJobs]);
-
+    }, [jobToComplete, clientFeedbackComment, clientFeedbackRating, showToast, getSignal, closeMarkJobCompleteModal, fetchClientJobs]);
 
     const handleProceedToPayment = useCallback(async (job) => {
         if (!user?.email || !job?.id || (!job?.agreed_price_usd && !job?.quote_amount)) {
@@ -542,89 +370,29 @@ const ClientJobs = () => {
 
         const jobType = job.jobType || (job.file_name ? 'direct_upload' : (job.id && !job.file_name ? 'negotiation' : 'unknown'));
 
-        setJobToPayFor({ ...job, jobType: jobType });
-        setSelectedPaymentMethod('paystack');
-        setMobileNumber('');
-        setShowPaymentSelectionModal(true);
-    }, [showToast, user]);
-
-    const initiatePayment = useCallback(async () => {
-        if (!jobToPayFor?.id || !selectedPaymentMethod) {
-            showToast('Job or payment method not selected.', 'error');
-            return;
-        }
-        if (selectedPaymentMethod === 'korapay' && !mobileNumber.trim()) {
-            showToast('Please enter your mobile number for KoraPay payment.ᐟ', 'error');
-            return;
-        }
-
-        setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
+        openPayment({
+            jobType,
+            relatedJobId: job.id,
+            amount: jobType === 'negotiation' ? job.agreed_price_usd : job.quote_amount,
+        });
+    }, [showToast, user, openPayment]);
 
-        let paymentApiUrl;
-        let amountToSend;
-        const jobType = jobToPayFor.jobType;
 
-        if (jobType === 'negotiation') {
-            paymentApiUrl = `${BACKEND_API_URL}/api/negotiations/${jobToPayFor.id}/payment/initialize`;
-            amountToSend = jobToPayFor.agreed_price_usd;
-        } else if (jobType === 'direct_upload') {
-            paymentApiUrl = `${BACKEND_API_URL}/api/direct-uploads/${jobToPayFor.id}/payment/initialize`;
-            amountToSend = jobToPayFor.quote_amount;
-        } else {
-            showToast('Unknown job type for payment initiation.ᐟ', 'error');
-            setModalLoading(false);
-            return;
-        }
-
-        try {
-            const payload = {
-                jobId: jobToPayFor.id,
-                amount: amountToSend,
-                email: user.email,
-                paymentMethod: selectedPaymentMethod,
-                fullName: user.full_name,
-            };
-            if (selectedPaymentMethod === 'korapay' && mobileNumber.trim()) {
-                payload.mobileNumber = mobileNumber.trim();
+    const orders = useMemo(() => {
+        const jobCountByOrder = {};
+        activeJobs.forEach((job) => {
+            if (job.order_id) {
+                jobCountByOrder[job.order_id] = (jobCountByOrder[job.order_id] || 0) + 1;
             }
+        });
+        return Object.entries(jobCountByOrder).map(([id, jobCount]) => ({ id, jobCount }));
+    }, [activeJobs]);
 
-            const response = await fetch(paymentApiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(payload)
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                if (selectedPaymentMethod === 'paystack' && data.data?.authorization_url) {
-                    showToast('Redirecting to Paystack...ᐟ', 'info');
-                    window.location.href = data.data.authorization_url;
-                } else if (selectedPaymentMethod === 'korapay' && data.korapayData) {
-                    showToast('Opening KoraPay payment modal...ᐟ', 'info');
-                    await handleKorapayPayment(data.korapayData, jobToPayFor.id, jobType);
-                } else {
-                    showToast(data.error || 'Failed to initiate KoraPay payment. Missing data or script not loaded.ᐟ', 'error');
-                    setModalLoading(false);
-                }
-            } else {
-                showToast(data.error || 'Failed to initiate payment. Please try again.ᐟ', 'error');
-            }
-        } catch (error) {
-            console.error('Error initiating payment:', error);
-            showToast('Network error while initiating payment. Please try again.ᐟ', 'error');
-            setModalLoading(false);
-        } finally {
-            // Handled within callbacks
-        }
-    }, [jobToPayFor, selectedPaymentMethod, mobileNumber, user, showToast, logout, handleKorapayPayment]);
+    const visibleJobs = orderFilter ? activeJobs.filter(job => job.order_id === orderFilter) : activeJobs;
+
+    const handleOrderFilterChange = useCallback((orderId) => {
+        setSearchParams(orderId ? { order: orderId } : {}, { replace: true });
+    }, [setSearchParams]);
 
 
     if (authLoading || !isAuthenticated || !user || loading) {
@@ -668,12 +436,34 @@ const ClientJobs = () => {
                             </Link>
                         </div>
 
-                        <h3>Active Jobs ({activeJobs.length})</h3>
+                        <h3>Active Jobs ({visibleJobs.length})</h3>
+                        {(orders.length > 0 || orderFilter) && (
+                            <div className="order-filter">
+                                <label htmlFor="orderFilter">Show:</label>
+                                <select
+                                    id="orderFilter"
+                                    value={orderFilter}
+                                    onChange={(e) => handleOrderFilterChange(e.target.value)}
+                                >
+                                    <option value="">All active jobs</option>
+                                    {orderFilter && !orders.some(order => order.id === orderFilter) && (
+                                        <option value={orderFilter}>Order #{orderFilter.substring(0, 8)}</option>
+                                    )}
+                                    {orders.map(order => (
+                                        <option key={order.id} value={order.id}>
+                                            Order #{order.id.substring(0, 8)} ({order.jobCount} {order.jobCount === 1 ? 'file' : 'files'})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
                         <div className="active-jobs-list">
-                            {activeJobs.length === 0 ? (
-                                <p className="no-data-message">You currently have no active jobs.</p>
+                            {visibleJobs.length === 0 ? (
+                                <p className="no-data-message">
+                                    {orderFilter ? 'This order has no active jobs yet. Jobs appear here once the order is paid.' : 'You currently have no active jobs.'}
+                                </p>
                             ) : (
-                                activeJobs.map((job) => {
+                                visibleJobs.map((job) => {
                                     const jobType = job.jobType || (job.file_name ? 'direct_upload' : (job.id && !job.file_name ? 'negotiation' : 'unknown'));
                                     
                                     if (jobType === 'direct_upload') {
@@ -721,6 +511,7 @@ const ClientJobs = () => {
                                                 currentUserType={user.user_type}
                                                 openCompleteJobModal={openMarkJobCompleteModal}
                                                 onDownloadFile={handleDownloadFile}
+                                                onOrderSelect={handleOrderFilterChange}
                                                 clientAverageRating={parseFloat(user.client_average_rating) || 0}
                                                 clientCompletedJobs={parseFloat(user.client_completed_jobs) || 0}
                                             />
@@ -774,79 +565,7 @@ const ClientJobs = () => {
                 )}
 
                 {/* Payment Selection Modal */}
-                {showPaymentSelectionModal && jobToPayFor && (
-                    <Modal
-                        show={showPaymentSelectionModal}
-                        title={`Choose Payment Method for Job: ${jobToPayFor.id?.substring(0, 8)}...`}
-                        onClose={() => {setShowPaymentSelectionModal(false); setModalLoading(false);}}
-                        onSubmit={initiatePayment}
-                        submitText={modalLoading ? 'Processing...' : `Pay Now (USD ${((jobToPayFor.jobType === 'negotiation' ? jobToPayFor.agreed_price_usd : jobToPayFor.quote_amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`}
-                        loading={modalLoading}
-                    >
-                        <p className="modal-intro-text">Select your preferred payment method to complete your order securely.</p>
-                        <div className="payment-method-selection-modal">
-                            <div className="payment-options">
-                                <label className={`payment-option ${selectedPaymentMethod === 'paystack' ? 'selected' : ''}`}>
-                                    <input
-                                        type="radio"
-                                        value="paystack"
-                                        checked={selectedPaymentMethod === 'paystack'}
-                                        onChange={() => setSelectedPaymentMethod('paystack')}
-                                        disabled={modalLoading}
-                                    />
-                                    <div className="option-content">
-                                        <div className="option-header">
-                                            <span className="option-icon">💳</span>
-                                            <span className="option-name">Paystack</span>
-                                        </div>
-                                        <span className="option-description">
-                                            Card, Mobile Money, Bank Transfer, Pesalink
-                                        </span>
-                                    </div>
-                                </label>
-                                <label className={`payment-option ${selectedPaymentMethod === 'korapay' ? 'selected' : ''}`}>
-                                    <input
-                                        type="radio"
-                                        value="korapay"
-                                        checked={selectedPaymentMethod === 'korapay'}
-                                        onChange={() => setSelectedPaymentMethod('korapay')}
-                                        disabled={modalLoading || !korapayScriptLoaded}
-                                    />
-                                    <div className="option-content">
-                                        <div className="option-header">
-                                            <span className="option-icon">📱</span>
-                                            <span className="option-name">KoraPay</span>
-                                        </div>
-                                        <span className="option-description">
-                                            Mobile Money, Card, Bank Transfer
-                                        </span>
-                                    </div>
-                                </label>
-                            </div>
-                        </div>
-
-                        {/* Mobile Number Input for KoraPay */}
-                        {selectedPaymentMethod === 'korapay' && (
-                            <div className="mobile-input-section-modal">
-                                <label htmlFor="mobileNumberModal" className="input-label">
-                                    📱 Mobile Number (Optional for KoraPay)
-                                </label>
-                                <input
-                                    type="tel"
-                                    id="mobileNumberModal"
-                                    className="mobile-input"
-                                    placeholder="e.g., +254712345678"
-                                    value={mobileNumber}
-                                    onChange={(e) => setMobileNumber(e.target.value)}
-                                    disabled={modalLoading}
-                                />
-                                <small className="input-hint">
-                                    Enter your mobile number for faster mobile money payments
-                                </small>
-                            </div>
-                        )}
-                    </Modal>
-                )}
+                <PaymentMethodModal {...payment.paymentModalProps} />
 
 
                 <Toast
@@ -7,6 +7,7 @@
 // UPDATED: KoraPay onSuccess/onClose callbacks to handle modal closure more gracefully and ensure verification params are logged.
 // FIXED: KoraPay TypeError by explicitly calling Korapay.close() and adding a small delay for modal cleanup.
 // UPDATED: Added client-side 'Mark as Complete' functionality for negotiation jobs.
+// UPDATED: Payment method selection, KoraPay checkout and verification moved to the shared src/payments module.
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import Toast from './Toast';
@@ -14,15 +15,27 @@ import Modal from './Modal';
 import NegotiationCard from './NegotiationCard';
 import { connectSocket, disconnectSocket } from './ChatService';
 import { useAuth } from './contexts/AuthContext';
+import usePayment from './payments/usePayment';
+import PaymentMethodModal from './payments/PaymentMethodModal';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import {
+    getClientNegotiations,
+    clientAcceptCounter,
+    clientRejectCounter,
+    clientCounterBack,
+    deleteNegotiation,
+    downloadNegotiationFile,
+    completeNegotiation
+} from './api/negotiations';
 import './ClientNegotiations.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const ClientNegotiations = () => {
     // eslint-disable-next-line no-unused-vars
     const { user, isAuthenticated, authLoading, logout, updateUser, checkAuth } = useAuth();
     const location = useLocation();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [negotiations, setNegotiations] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -43,12 +56,6 @@ const ClientNegotiations = () => {
     const [rejectReason, setRejectReason] = useState('');
     const [modalLoading, setModalLoading] = useState(false);
 
-    const [showPaymentSelectionModal, setShowPaymentSelectionModal] = useState(false);
-    const [negotiationToPayFor, setNegotiationToPayFor] = useState(null);
-    const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('paystack');
-    const [mobileNumber, setMobileNumber] = useState(''); // RE-INTRODUCED: Mobile number state for KoraPay
-    const [korapayScriptLoaded, setKorapayScriptLoaded] = useState(false); // RE-INTRODUCED: KoraPay script loading state
-
 
     // NEW: State for Mark Job Complete Modal (Client's action for Negotiation Jobs)
     const [showCompleteJobModal, setShowCompleteJobModal] = useState(false);
@@ -73,56 +80,15 @@ const ClientNegotiations = () => {
         }));
     }, []);
 
-    // NEW: Load KoraPay SDK dynamically
-    useEffect(() => {
-        const existingScript = document.getElementById('korapay-sdk');
-        if (existingScript) {
-            setKorapayScriptLoaded(true);
-            return;
-        }
-
-        const script = document.createElement('script');
-        script.id = 'korapay-sdk';
-        script.src = 'https://korablobstorage.blob.core.windows.net/modal-bucket/korapay-collections.min.js';
-        script.async = true;
-        script.onload = () => {
-            console.log('[ClientNegotiations] KoraPay SDK loaded successfully');
-            setKorapayScriptLoaded(true);
-        };
-        script.onerror = () => {
-            console.error('[ClientNegotiations] Failed to load KoraPay SDK');
-            showToast('Failed to load KoraPay payment system. Please refresh the page.', 'error');
-        };
-        document.body.appendChild(script);
-
-        return () => {
-            const scriptToRemove = document.getElementById('korapay-sdk');
-            if (scriptToRemove) {
-                document.body.removeChild(scriptToRemove);
-            }
-        };
-    }, [showToast]);
-
     const fetchNegotiationJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token && isAuthenticated) {
-            console.warn("ClientNegotiations: Token missing for API call despite authenticated state. Forcing logout.");
-            logout();
-            return;
-        }
-        if (!token) {
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
-            const negotiationResponse = await fetch(`${BACKEND_API_URL}/api/negotiations/client`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            // A failed response shows an empty list rather than an error
+            const negotiationData = await getClientNegotiations({ signal: getSignal() }).catch(error => {
+                if (isAbortError(error) || error.isNetworkError) throw error;
+                return { negotiations: [] };
             });
 
-            const negotiationData = await (negotiationResponse.ok ? negotiationResponse.json() : Promise.resolve({ negotiations: [] }));
-
             const fetchedNegotiations = negotiationData.negotiations || [];
 
             const typedNegotiations = fetchedNegotiations.map(job => ({ ...job, jobType: 'negotiation' }));
@@ -142,12 +108,28 @@ const ClientNegotiations = () => {
                 showToast('No negotiations found.', 'info');
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Network error while fetching client negotiations:", error);
             showToast('Network error while fetching negotiations.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [getSignal, showToast]);
+
+    // Inline (KoraPay) payments are verified here; Paystack redirects through PaymentCallback instead.
+    const handlePaymentVerified = useCallback(() => {
+        showToast('Payment successfully verified. Redirecting to dashboard!', 'success');
+        fetchNegotiationJobs();
+        navigate('/client-dashboard');
+    }, [showToast, fetchNegotiationJobs, navigate]);
+
+    const payment = usePayment({
+        user,
+        showToast,
+        onVerified: handlePaymentVerified,
+        onCancelled: fetchNegotiationJobs,
+    });
+    const { openPayment } = payment;
 
 
     useEffect(() => {
@@ -258,62 +240,35 @@ const ClientNegotiations = () => {
 
     const confirmAcceptCounter = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/client/accept-counter`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Counter-offer accepted! Proceed to payment.', 'success');
-                closeAcceptCounterModal();
-                fetchNegotiationJobs();
-            } else {
-                showToast(data.error || 'Failed to accept counter-offer.', 'error');
-            }
+            const data = await clientAcceptCounter(selectedNegotiationId, { signal: getSignal() });
+            showToast(data.message || 'Counter-offer accepted! Proceed to payment.', 'success');
+            closeAcceptCounterModal();
+            fetchNegotiationJobs();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error accepting counter-offer:', error);
-            showToast('Network error while accepting counter-offer.', 'error');
+            showToast(error.isNetworkError ? 'Network error while accepting counter-offer.' : error.message || 'Failed to accept counter-offer.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, showToast, closeAcceptCounterModal, fetchNegotiationJobs, logout]);
+    }, [selectedNegotiationId, showToast, closeAcceptCounterModal, fetchNegotiationJobs, getSignal]);
 
     const confirmRejectCounter = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/client/reject-counter`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({ client_response: rejectReason })
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Counter-offer rejected!', 'success');
-                closeRejectCounterModal();
-                fetchNegotiationJobs();
-            } else {
-                showToast(data.error || 'Failed to reject counter-offer.', 'error');
-            }
+            const data = await clientRejectCounter(selectedNegotiationId, { client_response: rejectReason }, { signal: getSignal() });
+            showToast(data.message || 'Counter-offer rejected!', 'success');
+            closeRejectCounterModal();
+            fetchNegotiationJobs();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error rejecting counter-offer:', error);
-            showToast('Network error while rejecting counter-offer.', 'error');
+            showToast(error.isNetworkError ? 'Network error while rejecting counter-offer.' : error.message || 'Failed to reject counter-offer.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, rejectReason, showToast, closeRejectCounterModal, fetchNegotiationJobs, logout]);
+    }, [selectedNegotiationId, rejectReason, showToast, closeRejectCounterModal, fetchNegotiationJobs, getSignal]);
 
     const confirmCounterBack = useCallback(async () => {
         setModalLoading(true);
@@ -323,36 +278,22 @@ const ClientNegotiations = () => {
             return;
         }
 
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/client/counter-back`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    proposed_price_usd: parseFloat(counterOfferData.proposedPrice),
-                    client_response: counterOfferData.clientResponse
-                })
-            });
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Counter-offer sent successfully!', 'success');
-                closeCounterBackModal();
-                fetchNegotiationJobs();
-            } else {
-                showToast(data.error || 'Failed to send counter-offer.', 'error');
-            }
+            const data = await clientCounterBack(selectedNegotiationId, {
+                proposed_price_usd: parseFloat(counterOfferData.proposedPrice),
+                client_response: counterOfferData.clientResponse
+            }, { signal: getSignal() });
+            showToast(data.message || 'Counter-offer sent successfully!', 'success');
+            closeCounterBackModal();
+            fetchNegotiationJobs();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error sending counter-offer back:', error);
-            showToast('Network error while sending counter-offer.', 'error');
+            showToast(error.isNetworkError ? 'Network error while sending counter-offer.' : error.message || 'Failed to send counter-offer.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, counterOfferData, showToast, closeCounterBackModal, fetchNegotiationJobs, logout]);
+    }, [selectedNegotiationId, counterOfferData, showToast, closeCounterBackModal, fetchNegotiationJobs, getSignal]);
 
     const handleProceedToPayment = useCallback(async (negotiation) => {
         if (!user?.email || !negotiation?.id || !negotiation?.agreed_price_usd) {
@@ -360,165 +301,13 @@ const ClientNegotiations = () => {
             return;
         }
 
-        setNegotiationToPayFor(negotiation);
-        setSelectedPaymentMethod('paystack'); // Default to Paystack for the modal
-        setMobileNumber(''); // Clear mobile number
-        setShowPaymentSelectionModal(true);
-    }, [showToast, user]);
-
-    const initiatePayment = useCallback(async () => {
-        if (!negotiationToPayFor?.id || !selectedPaymentMethod) {
-            showToast('Negotiation or payment method not selected.', 'error');
-            return;
-        }
-        // Validate mobile number if KoraPay is selected
-        if (selectedPaymentMethod === 'korapay' && !mobileNumber.trim()) {
-            showToast('Please enter your mobile number for KoraPay payment.', 'error');
-            return;
-        }
-
-        setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
-        let paymentApiUrl = `${BACKEND_API_URL}/api/negotiations/${negotiationToPayFor.id}/payment/initialize`;
-        let amountToSend = negotiationToPayFor.agreed_price_usd;
-
-
-        try {
-            const payload = {
-                negotiationId: negotiationToPayFor.id,
-                amount: amountToSend,
-                email: user.email,
-                paymentMethod: selectedPaymentMethod,
-                fullName: user.full_name, // Include full name
-            };
-
-            // Conditionally add mobileNumber to payload for KoraPay
-            if (selectedPaymentMethod === 'korapay' && mobileNumber.trim()) {
-                payload.mobileNumber = mobileNumber.trim();
-            }
-
-            const response = await fetch(paymentApiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(payload)
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                if (selectedPaymentMethod === 'paystack' && data.data?.authorization_url) {
-                    showToast('Redirecting to Paystack...', 'info');
-                    window.location.href = data.data.authorization_url;
-                } else if (selectedPaymentMethod === 'korapay' && data.korapayData) {
-                    console.log('KoraPay Data from Backend:', data.korapayData);
-
-                    if (window.Korapay) {
-                        const { key, reference, amount, currency, customer, notification_url } = data.korapayData;
-
-                        const finalCustomer = {
-                            name: customer?.name || user.full_name,
-                            email: customer?.email || user.email
-                        };
-
-                        window.Korapay.initialize({
-                            key: key,
-                            reference: reference,
-                            amount: amount,
-                            currency: currency || "KES",
-                            customer: finalCustomer,
-                            notification_url: notification_url,
-                            onClose: () => {
-                                console.log("KoraPay modal closed for negotiation. Attempting to close payment selection modal and re-fetch jobs.");
-                                if (window.Korapay && typeof window.Korapay.close === 'function') {
-                                    try {
-                                        window.Korapay.close();
-                                    } catch (e) {
-                                        console.error("Error explicitly closing KoraPay modal on close:", e);
-                                    }
-                                }
-                                setTimeout(() => { // Add a slight delay before closing React modal
-                                    showToast("Payment cancelled by user.", "info");
-                                    setModalLoading(false);
-                                    setShowPaymentSelectionModal(false);
-                                    fetchNegotiationJobs();
-                                }, 500); // 500ms delay
-                            },
-                            onSuccess: async (korapayResponse) => {
-                                console.log("KoraPay payment successful for negotiation:", korapayResponse);
-                                console.log("Verifying with backend. Negotiation ID:", negotiationToPayFor?.id, "Reference:", korapayResponse?.reference);
-
-                                showToast("Payment successful! Verifying...", "success");
-                                if (window.Korapay && typeof window.Korapay.close === 'function') {
-                                    try {
-                                        window.Korapay.close();
-                                    } catch (e) {
-                                        console.error("Error explicitly closing KoraPay modal on success:", e);
-                                    }
-                                }
-                                
-                                setTimeout(async () => {
-                                    try {
-                                        const verifyResponse = await fetch(`${BACKEND_API_URL}/api/negotiations/${negotiationToPayFor.id}/payment/verify/${korapayResponse.reference}?paymentMethod=korapay`, {
-                                            method: 'GET',
-                                            headers: { 'Authorization': `Bearer ${token}` },
-                                        });
-                                        const verifyData = await verifyResponse.json();
-
-                                        if (verifyResponse.ok) {
-                                            showToast("Payment successfully verified. Redirecting to dashboard!", "success");
-                                            setShowPaymentSelectionModal(false);
-                                            fetchNegotiationJobs();
-                                            navigate('/client-dashboard');
-                                        } else {
-                                            console.error("KoraPay verification failed with backend:", verifyData.error);
-                                            showToast(verifyData.error || "Payment verification failed. Please contact support.", "error");
-                                            setModalLoading(false);
-                                            setShowPaymentSelectionModal(false);
-                                        }
-                                    } catch (verifyError) {
-                                        console.error('Error during KoraPay verification for negotiation:', verifyError);
-                                        showToast('Network error during payment verification. Please contact support.', 'error');
-                                        setModalLoading(false);
-                                        setShowPaymentSelectionModal(false);
-                                    }
-                                }, 500); // 500ms delay for cleanup
-                            },
-                            onFailed: (korapayResponse) => {
-                                console.error("KoraPay payment failed for negotiation:", korapayResponse);
-                                showToast("Payment failed. Please try again.", "error");
-                                setModalLoading(false);
-                                setShowPaymentSelectionModal(false);
-                                fetchNegotiationJobs();
-                            }
-                        });
-                    } else {
-                        showToast('Failed to load KoraPay script. Please try again or contact support.', 'error');
-                        setModalLoading(false);
-                        setShowPaymentSelectionModal(false);
-                    }
-                } else {
-                    showToast(data.error || 'Failed to initiate KoraPay payment. Missing data from server.', 'error');
-                    setModalLoading(false);
-                }
-            } else {
-                showToast(data.error || 'Failed to initiate payment. Please try again.', 'error');
-                setModalLoading(false);
-            }
-        } catch (error) {
-            console.error('Error initiating payment:', error);
-            showToast('Network error while initiating payment. Please try again.', 'error');
-            setModalLoading(false);
-        } finally {
-            // Handled within callbacks
-        }
-    }, [negotiationToPayFor, selectedPaymentMethod, mobileNumber, user, showToast, logout, fetchNegotiationJobs, navigate]);
+        openPayment({
+            jobType: 'negotiation',
+            relatedJobId: negotiation.id,
+            amount: negotiation.agreed_price_usd,
+            title: `Choose Payment Method for Negotiation: ${negotiation.id.substring(0, 8)}...`,
+        });
+    }, [showToast, user, openPayment]);
 
 
     const handleDeleteJob = useCallback(async (jobId, jobType) => {
@@ -531,75 +320,29 @@ const ClientNegotiations = () => {
         }
 
         try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
-                return;
-            }
-
-            const apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Negotiation cancelled/deleted successfully!', 'success');
-                fetchNegotiationJobs();
-            } else {
-                showToast(data.error || 'Failed to cancel/delete negotiation', 'error');
-            }
+            await deleteNegotiation(jobId, { signal: getSignal() });
+            showToast('Negotiation cancelled/deleted successfully!', 'success');
+            fetchNegotiationJobs();
         } catch (error) {
-            showToast('Network error. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to cancel/delete negotiation', 'error');
         }
-    }, [showToast, fetchNegotiationJobs, logout]);
+    }, [showToast, fetchNegotiationJobs, getSignal]);
 
     const handleDownloadFile = useCallback(async (jobId, jobType, fileName) => {
         if (jobType !== 'negotiation') {
             showToast('This action is only for negotiation files.', 'error');
             return;
         }
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const downloadUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}/download/${fileName}`;
-
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await downloadNegotiationFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
     const getStatusColor = useCallback((status) => {
@@ -671,42 +414,22 @@ const ClientNegotiations = () => {
         }
 
         setCompleteJobModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            let apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobToComplete.id}/complete`;
-
-            const response = await fetch(apiUrl, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    clientFeedbackComment: clientFeedbackComment,
-                    clientFeedbackRating: clientFeedbackRating
-                })
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Job marked as complete successfully! Thank you for your feedback.', 'success');
-                closeMarkJobCompleteModal();
-                fetchNegotiationJobs(); // Re-fetch negotiations to update status
-            } else {
-                showToast(data.error || 'Failed to mark job as complete.', 'error');
-            }
+            await completeNegotiation(jobToComplete.id, {
+                clientFeedbackComment: clientFeedbackComment,
+                clientFeedbackRating: clientFeedbackRating
+            }, { signal: getSignal() });
+            showToast('Job marked as complete successfully! Thank you for your feedback.', 'success');
+            closeMarkJobCompleteModal();
+            fetchNegotiationJobs(); // Re-fetch negotiations to update status
         } catch (error) {
-            console.error('Network error marking job as complete: ', error);
-            showToast('Network error while marking job as complete. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error marking job as complete: ', error);
+            showToast(error.isNetworkError ? 'Network error while marking job as complete. Please try again.' : error.message || 'Failed to mark job as complete.', 'error');
         } finally {
             setCompleteJobModalLoading(false);
         }
-    }, [jobToComplete, clientFeedbackComment, clientFeedbackRating, showToast, logout, closeMarkJobCompleteModal, fetchNegotiationJobs]);
+    }, [jobToComplete, clientFeedbackComment, clientFeedbackRating, showToast, getSignal, closeMarkJobCompleteModal, fetchNegotiationJobs]);
 
 
     if (authLoading || !isAuthenticated || !user) {
@@ -893,80 +616,8 @@ const ClientNegotiations = () => {
                 </Modal>
             )}
 
-            {/* NEW: Payment Selection Modal */}
-            {showPaymentSelectionModal && negotiationToPayFor && (
-                <Modal
-                    show={showPaymentSelectionModal}
-                    title={`Choose Payment Method for Negotiation: ${negotiationToPayFor.id?.substring(0, 8)}...`}
-                    onClose={() => {setShowPaymentSelectionModal(false); setModalLoading(false);}}
-                    onSubmit={initiatePayment}
-                    submitText={modalLoading ? 'Processing...' : `Pay Now (USD ${((negotiationToPayFor.agreed_price_usd || 0)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`}
-                    loading={modalLoading}
-                >
-                    <p className="modal-intro-text">Select your preferred payment method to complete your order securely.</p>
-                    <div className="payment-method-selection-modal">
-                        <div className="payment-options">
-                            <label className={`payment-option ${selectedPaymentMethod === 'paystack' ? 'selected' : ''}`}>
-                                <input
-                                    type="radio"
-                                    value="paystack"
-                                    checked={selectedPaymentMethod === 'paystack'}
-                                    onChange={() => setSelectedPaymentMethod('paystack')}
-                                    disabled={modalLoading}
-                                />
-                                <div className="option-content">
-                                    <div className="option-header">
-                                        <span className="option-icon">💳</span>
-                                        <span className="option-name">Paystack</span>
-                                    </div>
-                                    <span className="option-description">
-                                        Card, Mobile Money, Bank Transfer, Pesalink
-                                    </span>
-                                </div>
-                            </label>
-                            <label className={`payment-option ${selectedPaymentMethod === 'korapay' ? 'selected' : ''}`}>
-                                <input
-                                    type="radio"
-                                    value="korapay"
-                                    checked={selectedPaymentMethod === 'korapay'}
-                                    onChange={() => setSelectedPaymentMethod('korapay')}
-                                    disabled={modalLoading || !korapayScriptLoaded}
-                                />
-                                <div className="option-content">
-                                    <div className="option-header">
-                                        <span className="option-icon">📱</span>
-                                        <span className="option-name">KoraPay</span>
-                                    </div>
-                                    <span className="option-description">
-                                        Mobile Money, Card, Bank Transfer
-                                    </span>
-                                </div>
-                            </label>
-                        </div>
-                    </div>
-
-                    {/* Mobile Number Input for KoraPay */}
-                    {selectedPaymentMethod === 'korapay' && (
-                        <div className="mobile-input-section-modal">
-                            <label htmlFor="mobileNumberModal" className="input-label">
-                                📱 Mobile Number (Optional for KoraPay)
-                            </label>
-                            <input
-                                type="tel"
-                                id="mobileNumberModal"
-                                className="mobile-input"
-                                placeholder="e.g., +254712345678"
-                                value={mobileNumber}
-                                onChange={(e) => setMobileNumber(e.target.value)}
-                                disabled={modalLoading}
-                            />
-                            <small className="input-hint">
-                                Enter your mobile number for faster mobile money payments
-                            </small>
-                        </div>
-                    )}
-                </Modal>
-            )}
+            {/* Payment Selection Modal */}
+            <PaymentMethodModal {...payment.paymentModalProps} />
 
             {/* NEW: Mark Job Complete with Feedback Modal (Client's action for Negotiation Jobs) */}
             {showCompleteJobModal && jobToComplete && (
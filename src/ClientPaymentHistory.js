@@ -3,13 +3,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast'; 
 import { useAuth } from './contexts/AuthContext';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getClientPayments } from './api/users';
 import './ClientPaymentHistory.css'; 
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const ClientPaymentHistory = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [totalPayments, setTotalPayments] = useState(0); 
     const [thisMonthsPayments, setThisMonthsPayments] = useState(0); 
@@ -25,47 +27,25 @@ const ClientPaymentHistory = () => {
     }, []);
 
     const fetchPaymentHistory = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("ClientPaymentHistory: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/client/payments`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                setTotalPayments(data.summary?.totalPayments || 0);
-                setThisMonthsPayments(data.summary?.thisMonthsPayments || 0); 
-                if ((data.summary?.totalPayments || 0) === 0 && (data.summary?.thisMonthsPayments || 0) === 0) { // Robust check
-                    showToast('No payment history found yet.', 'info');
-                }
-            } else {
-                showToast(data.error || 'Failed to load payment history.', 'error');
-                // Ensure state is reset to default on error to prevent TypeError
-                setTotalPayments(0); 
-                setThisMonthsPayments(0);
+            const data = await getClientPayments({ signal: getSignal() });
+            setTotalPayments(data.summary?.totalPayments || 0);
+            setThisMonthsPayments(data.summary?.thisMonthsPayments || 0); 
+            if ((data.summary?.totalPayments || 0) === 0 && (data.summary?.thisMonthsPayments || 0) === 0) { // Robust check
+                showToast('No payment history found yet.', 'info');
             }
         } catch (error) {
-            console.error('Network error fetching client payment history:', error);
-            showToast('Network error while fetching payment history.', 'error');
-            // Ensure state is reset to default on network error
+            if (isAbortError(error)) return;
+            console.error('Error fetching client payment history:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching payment history.' : error.message || 'Failed to load payment history.', 'error');
+            // Ensure state is reset to default on error to prevent TypeError
             setTotalPayments(0);
             setThisMonthsPayments(0);
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [showToast, getSignal]);
 
     useEffect(() => {
         if (authLoading) return;
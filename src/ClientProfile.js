@@ -5,14 +5,16 @@ import { Link, useNavigate, useParams } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal';
 import { useAuth } from './contexts/AuthContext';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getUser, getUserRatings, updateClientProfile } from './api/users';
 import './ClientProfile.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const ClientProfile = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
     const { clientId: profileId } = useParams();
+    const getSignal = useAbortSignal();
 
     const [profileData, setProfileData] = useState(null);
     const [ratings, setRatings] = useState([]);
@@ -34,36 +36,24 @@ const ClientProfile = () => {
     }, []);
 
     const fetchClientProfile = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("ClientProfile: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
-            const userResponse = await fetch(`${BACKEND_API_URL}/api/users/${profileId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const userData = await userResponse.json();
+            const signal = getSignal();
+            const userData = await getUser(profileId, { signal });
 
-            if (!userResponse.ok || !userData.user) {
-                showToast(userData.error || 'Failed to load client profile.', 'error');
+            if (!userData.user) {
+                showToast('Failed to load client profile.', 'error');
                 navigate('/client-dashboard');
                 return;
             }
 
             // Fetch ratings separately if needed, but client_average_rating is on the user object now
-            const ratingsResponse = await fetch(`${BACKEND_API_URL}/api/ratings/client/${profileId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            const ratingsData = await getUserRatings('client', profileId, { signal }).catch(error => {
+                if (isAbortError(error)) throw error;
+                return { error: error.message };
             });
-            const ratingsData = await ratingsResponse.json();
 
-            if (ratingsResponse.ok) {
+            if (!ratingsData.error) {
                 setProfileData({
                     ...userData.user,
                     // Use client_average_rating directly from the user object
@@ -88,13 +78,14 @@ const ClientProfile = () => {
             }
 
         } catch (error) {
-            console.error('Network error fetching client profile/ratings:', error);
-            showToast('Network error while fetching profile data.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error fetching client profile/ratings:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching profile data.' : error.message || 'Failed to load client profile.', 'error');
             navigate('/client-dashboard');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, navigate, profileId, showToast, user?.id]);
+    }, [getSignal, navigate, profileId, showToast, user?.id]);
 
     useEffect(() => {
         if (authLoading) return;
@@ -141,42 +132,23 @@ const ClientProfile = () => {
 
     const submitEditProfile = useCallback(async () => {
         setEditModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/client-profile/${profileId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    full_name: editFullName,
-                    phone: editPhone // Send phone directly as it's a top-level field in users table
-                })
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Profile updated successfully!', 'success');
-                closeEditProfileModal();
-                // After successful update, re-fetch profile data to ensure UI reflects latest changes
-                fetchClientProfile(); 
-            } else {
-                showToast(data.error || 'Failed to update profile.', 'error');
-            }
+            const data = await updateClientProfile(profileId, {
+                full_name: editFullName,
+                phone: editPhone // Send phone directly as it's a top-level field in users table
+            }, { signal: getSignal() });
+            showToast(data.message || 'Profile updated successfully!', 'success');
+            closeEditProfileModal();
+            // After successful update, re-fetch profile data to ensure UI reflects latest changes
+            fetchClientProfile(); 
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error submitting profile update:', error);
-            showToast('Network error while updating profile.', 'error');
+            showToast(error.isNetworkError ? 'Network error while updating profile.' : error.message || 'Failed to update profile.', 'error');
         } finally {
             setEditModalLoading(false);
         }
-    }, [profileId, editFullName, editPhone, showToast, logout, closeEditProfileModal, fetchClientProfile]);
+    }, [profileId, editFullName, editPhone, showToast, getSignal, closeEditProfileModal, fetchClientProfile]);
 
 
     if (authLoading || !isAuthenticated || !user || loading || !profileData) {
@@ -1,10 +1,9 @@
 import React, { useState, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
+import { registerUser } from './api/auth';
 import './Register.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const ClientRegister = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -51,31 +50,20 @@ const ClientRegister = () => {
     console.log('ClientRegister: Attempting to submit registration with data:', formData);
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/register`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
-
-      console.log('ClientRegister: Received response from backend:', response);
-      const data = await response.json();
+      const data = await registerUser(formData);
       console.log('ClientRegister: Parsed response data:', data);
 
-      if (response.ok) {
-        showToast('Registration successful! Redirecting to login...', 'success');
-        setFormData({ email: '', password: '', full_name: '', phone: '', user_type: 'client' });
+      showToast('Registration successful! Redirecting to login...', 'success');
+      setFormData({ email: '', password: '', full_name: '', phone: '', user_type: 'client' });
 
-        setTimeout(() => {
-          navigate('/login');
-        }, 2000);
-      } else {
-        showToast(data.error || 'Registration failed', 'error');
-      }
+      setTimeout(() => {
+        navigate('/login');
+      }, 2000);
     } catch (error) {
-      console.error('ClientRegister: Network error during client registration:', error);
-      showToast('Network error. Please try again. If this persists, check your network connection or try again later.', 'error');
+      console.error('ClientRegister: Error during client registration:', error);
+      showToast(error.isNetworkError
+        ? 'Network error. Please try again. If this persists, check your network connection or try again later.'
+        : error.message || 'Registration failed', 'error');
     } finally {
       setLoading(false);
     }
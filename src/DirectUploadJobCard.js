@@ -1,4 +1,5 @@
 import React from 'react';
+import TranscriptDownloadMenu from './transcription/TranscriptDownloadMenu';
 import './DirectUploadJobCard.css';
 
 // Helper function to format timestamp robustly for display (copied from TranscriberDirectUploadJobs.js for consistency)
@@ -32,6 +33,7 @@ const DirectUploadJobCard = ({
   canCancelDirectJob, // Specific to transcriber cancelling a direct job
   openCompleteJobModal, // Specific to client marking a direct job complete
   onDownloadFile,
+  onOrderSelect, // Optional: filters the parent list to this job's order
   clientAverageRating, // Client's own average rating (for client view)
   clientCompletedJobs // Client's own completed jobs (for client view)
 }) => {
@@ -57,7 +59,8 @@ const DirectUploadJobCard = ({
     client_feedback_comment, // Client's feedback comment
     client_feedback_rating, // Client's feedback rating
     last_message_text,
-    last_message_timestamp
+    last_message_timestamp,
+    order_id // Set for jobs created together in a multi-file order
   } = job;
 
   // Determine the price to display
@@ -101,6 +104,18 @@ const DirectUploadJobCard = ({
 
       <div className="job-card-body">
         <p><strong>File:</strong> {file_name || 'N/A'}</p>
+        {order_id && (
+          <p>
+            <strong>Order:</strong>{' '}
+            {onOrderSelect ? (
+              <button type="button" className="order-link-btn" onClick={() => onOrderSelect(order_id)} title="Show only this order's jobs">
+                #{order_id.substring(0, 8)}
+              </button>
+            ) : (
+              `#${order_id.substring(0, 8)}`
+            )}
+          </p>
+        )}
         {isClient && (
           <p>
             <strong>Transcriber:</strong> {assignedTranscriberName || 'Awaiting Assignment'}
@@ -189,6 +204,10 @@ const DirectUploadJobCard = ({
             </button>
         )}
 
+        {(job.status === 'completed' || job.status === 'client_completed') && (
+          <TranscriptDownloadMenu jobType="direct_upload" jobId={id} showToast={showToast} />
+        )}
+
         {/* Transcriber Actions */}
         {isTranscriber && job.status === 'available_for_transcriber' && (
           <button
@@ -199,6 +218,16 @@ const DirectUploadJobCard = ({
           </button>
         )}
 
+        {isTranscriber && (job.status === 'taken' || job.status === 'in_progress') && (
+          <button
+            onClick={() => { window.location.href = `/transcriber/workspace/direct_upload/${id}`; }}
+            className="action-btn workspace-btn"
+            title="Transcribe in the browser"
+          >
+            Open Workspace
+          </button>
+        )}
+
         {isTranscriber && (job.status === 'taken' || job.status === 'in_progress') && canSubmitDirectJob && (
           <button
             onClick={() => openSubmitDirectJobModal(id)}
@@ -0,0 +1,163 @@
+// src/IdleSessionTimeout.js
+// Logs authenticated users out after a period of inactivity, warning them first with the shared Modal.
+// Activity is mirrored to localStorage so every open tab shares one idle clock: the storage event
+// keeps background tabs alive, and the token removal on logout signs every other tab out through
+// AuthContext's own storage listener.
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Modal from './Modal';
+import { useAuth } from './contexts/AuthContext';
+
+const DEFAULT_TIMEOUT_MINUTES = Number(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES) || 30;
+const DEFAULT_WARNING_MINUTES = Number(process.env.REACT_APP_IDLE_WARNING_MINUTES) || 2;
+
+// Shared with other tabs through the storage event.
+const ACTIVITY_STORAGE_KEY = 'lastActivityAt';
+// Activity fires constantly (mousemove, scroll); only write it to localStorage this often.
+const ACTIVITY_WRITE_INTERVAL_MS = 5 * 1000;
+const CHECK_INTERVAL_MS = 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Inactivity tracker. Mount it inside AuthProvider and Router, next to AppRoutes.
+ * @param {object} props
+ * @param {number} [props.timeoutMinutes] - Minutes without activity before logout (REACT_APP_IDLE_TIMEOUT_MINUTES, default 30).
+ * @param {number} [props.warningMinutes] - Minutes before logout to show the warning (REACT_APP_IDLE_WARNING_MINUTES, default 2).
+ */
+const IdleSessionTimeout = ({
+    timeoutMinutes = DEFAULT_TIMEOUT_MINUTES,
+    warningMinutes = DEFAULT_WARNING_MINUTES,
+}) => {
+    const { isAuthenticated, logout } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const [showWarning, setShowWarning] = useState(false);
+    const [remainingMs, setRemainingMs] = useState(0);
+    const lastActivityRef = useRef(Date.now());
+    const lastWriteRef = useRef(0);
+    const showWarningRef = useRef(false);
+    const loggingOutRef = useRef(false);
+    const locationRef = useRef(location);
+
+    const timeoutMs = timeoutMinutes * 60 * 1000;
+    const warningMs = Math.min(warningMinutes * 60 * 1000, timeoutMs);
+
+    useEffect(() => {
+        locationRef.current = location;
+    }, [location]);
+
+    const closeWarning = useCallback(() => {
+        showWarningRef.current = false;
+        setShowWarning(false);
+    }, []);
+
+    const recordActivity = useCallback((force = false) => {
+        const now = Date.now();
+        lastActivityRef.current = now;
+        if (force || now - lastWriteRef.current >= ACTIVITY_WRITE_INTERVAL_MS) {
+            lastWriteRef.current = now;
+            localStorage.setItem(ACTIVITY_STORAGE_KEY, String(now));
+        }
+    }, []);
+
+    const handleStaySignedIn = useCallback(() => {
+        recordActivity(true);
+        closeWarning();
+    }, [recordActivity, closeWarning]);
+
+    const handleIdleLogout = useCallback(async () => {
+        if (loggingOutRef.current) return;
+        loggingOutRef.current = true;
+        console.warn('IdleSessionTimeout: No activity for', timeoutMinutes, 'minutes. Logging out.');
+        closeWarning();
+        const from = locationRef.current; // Read before logout, since ProtectedRoute may redirect first
+        try {
+            await logout(); // Also sets transcribers offline
+        } finally {
+            loggingOutRef.current = false;
+        }
+        navigate('/login', { replace: true, state: { from, sessionExpired: true } });
+    }, [logout, navigate, closeWarning, timeoutMinutes]);
+
+    // logout() changes identity whenever the user object does; keep the idle clock effect below from restarting.
+    const handleIdleLogoutRef = useRef(handleIdleLogout);
+    useEffect(() => {
+        handleIdleLogoutRef.current = handleIdleLogout;
+    }, [handleIdleLogout]);
+
+    // Start a fresh idle clock whenever a session begins (login or page load with a stored session).
+    useEffect(() => {
+        if (!isAuthenticated) {
+            closeWarning();
+            return undefined;
+        }
+
+        recordActivity(true);
+
+        // Local activity only counts while the warning is hidden; once shown, the user has to confirm.
+        const handleActivity = () => {
+            if (!showWarningRef.current) {
+                recordActivity();
+            }
+        };
+
+        // Activity in another tab keeps this one alive too.
+        const handleStorageChange = (event) => {
+            if (event.key !== ACTIVITY_STORAGE_KEY || !event.newValue) return;
+            const otherTabActivity = Number(event.newValue);
+            if (otherTabActivity > lastActivityRef.current) {
+                lastActivityRef.current = otherTabActivity;
+                lastWriteRef.current = otherTabActivity;
+                closeWarning();
+            }
+        };
+
+        ACTIVITY_EVENTS.forEach((eventName) => window.addEventListener(eventName, handleActivity, { passive: true }));
+        window.addEventListener('storage', handleStorageChange);
+
+        const interval = setInterval(() => {
+            const remaining = lastActivityRef.current + timeoutMs - Date.now();
+            if (remaining <= 0) {
+                handleIdleLogoutRef.current();
+            } else if (remaining <= warningMs) {
+                showWarningRef.current = true;
+                setShowWarning(true);
+                setRemainingMs(remaining);
+            } else if (showWarningRef.current) {
+                closeWarning();
+            }
+        }, CHECK_INTERVAL_MS);
+
+        return () => {
+            ACTIVITY_EVENTS.forEach((eventName) => window.removeEventListener(eventName, handleActivity));
+            window.removeEventListener('storage', handleStorageChange);
+            clearInterval(interval);
+        };
+    }, [isAuthenticated, timeoutMs, warningMs, recordActivity, closeWarning]);
+
+    return (
+        <Modal
+            show={isAuthenticated && showWarning}
+            title="Are you still there?"
+            onClose={handleStaySignedIn}
+            onSubmit={handleStaySignedIn}
+            submitText="Stay Signed In"
+            showCancel={false}
+            type="info"
+        >
+            <p>You have been inactive for a while. For your security you will be logged out in <strong>{formatCountdown(remainingMs)}</strong>.</p>
+            <p>Select "Stay Signed In" to continue your session.</p>
+        </Modal>
+    );
+};
+
+export default IdleSessionTimeout;
@@ -1,14 +1,12 @@
 // frontend/client/src/Login.js - COMPLETE AND UPDATED with Forgot Password functionality
 
-import React, { useState, useCallback } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useCallback, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal'; // Import the Modal component
 import './Register.css';
 import { useAuth } from './contexts/AuthContext';
-
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { loginUser, requestPasswordReset } from './api/auth';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -22,8 +20,15 @@ const Login = () => {
     type: 'success'
   });
   const navigate = useNavigate();
+  const location = useLocation();
   const { login } = useAuth();
 
+  // Set by ProtectedRoute when an unauthenticated (or expired) session hit a protected page
+  const returnPath = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}${location.state.from.hash || ''}`
+    : null;
+  const sessionExpired = Boolean(location.state?.sessionExpired);
+
   // NEW: State for Forgot Password Modal
   const [showForgotPasswordModal, setShowForgotPasswordModal] = useState(false);
   const [resetEmail, setResetEmail] = useState('');
@@ -51,6 +56,12 @@ const Login = () => {
     }));
   }, []);
 
+  useEffect(() => {
+    if (sessionExpired) {
+      showToast('Your session has expired. Please log in again to continue.', 'info');
+    }
+  }, [sessionExpired, showToast]);
+
   const handleTranscriberRedirect = useCallback(async (token, userToRedirect) => {
     try {
       // The transcriber status should already be in the user object from login API response
@@ -75,9 +86,9 @@ const Login = () => {
             console.log('Redirecting to /transcriber-dashboard (Active/Proofreader)');
             navigate('/transcriber-dashboard');
         } else if (user_status === 'rejected') {
-            console.log('Redirecting to / (Transcriber application rejected)');
-            showToast('Your transcriber application was not approved. Please contact support.', 'error');
-            setTimeout(() => navigate('/'), 3000);
+            // The waiting page shows the assessment feedback and when a retake opens
+            console.log('Redirecting to /transcriber-waiting (Transcriber assessment rejected)');
+            navigate('/transcriber-waiting');
         } else {
             console.log('Unknown transcriber status, redirecting to /');
             navigate('/');
@@ -115,50 +126,40 @@ const Login = () => {
     hideToast();
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await response.json();
+      const data = await loginUser(formData);
       console.log('API Response data:', data);
-      console.log('Response status OK:', response.ok);
-
-      if (response.ok) {
-        login(data.token, data.user);
 
-        showToast('Login successful! Redirecting...', 'success');
+      login(data.token, data.user, data.refreshToken);
 
-        setTimeout(async () => {
-          console.log('Login.js: setTimeout executing. User from API response:', data.user);
-          if (data.user.user_type === 'client') {
-            navigate('/client-dashboard');
-          } else if (data.user.user_type === 'transcriber') {
-            await handleTranscriberRedirect(data.token, data.user);
-          } else if (data.user.user_type === 'admin') {
-            console.log('Login.js: Redirecting admin to /admin-dashboard.');
-            navigate('/admin-dashboard');
-          } else if (data.user.user_type === 'trainee') { // NEW: Handle trainee user type
-            await handleTraineeRedirect(data.user);
-          } else {
-            console.warn('Login.js: Unknown user type from API response. Redirecting to /.');
-            navigate('/');
-          }
-        }, 1000);
+      showToast('Login successful! Redirecting...', 'success');
 
-      } else {
-        showToast(data.error || 'Login failed', 'error');
-      }
+      setTimeout(async () => {
+        console.log('Login.js: setTimeout executing. User from API response:', data.user);
+        if (returnPath) {
+          // Back to the page the user was on when they were sent here; ProtectedRoute re-checks access.
+          console.log(`Login.js: Returning to ${returnPath}.`);
+          navigate(returnPath, { replace: true });
+        } else if (data.user.user_type === 'client') {
+          navigate('/client-dashboard');
+        } else if (data.user.user_type === 'transcriber') {
+          await handleTranscriberRedirect(data.token, data.user);
+        } else if (data.user.user_type === 'admin') {
+          console.log('Login.js: Redirecting admin to /admin-dashboard.');
+          navigate('/admin-dashboard');
+        } else if (data.user.user_type === 'trainee') { // NEW: Handle trainee user type
+          await handleTraineeRedirect(data.user);
+        } else {
+          console.warn('Login.js: Unknown user type from API response. Redirecting to /.');
+          navigate('/');
+        }
+      }, 1000);
     } catch (error) {
-      console.error('Network or parsing error during login: ' + error.message, error);
-      showToast('Network error. Please try again.', 'error');
+      console.error('Error during login: ' + error.message, error);
+      showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Login failed', 'error');
     } finally {
       setLoading(false);
     }
-  }, [formData, hideToast, login, navigate, showToast, handleTranscriberRedirect, handleTraineeRedirect]); // Added handleTraineeRedirect to dependencies
+  }, [formData, hideToast, login, navigate, showToast, handleTranscriberRedirect, handleTraineeRedirect, returnPath]); // Added handleTraineeRedirect to dependencies
 
   // NEW: Handle Forgot Password Request
   const handleForgotPasswordRequest = useCallback(async (e) => {
@@ -167,25 +168,13 @@ const Login = () => {
     hideToast();
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/forgot-password`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: resetEmail }),
-      });
-
-      const data = await response.json();
-      if (response.ok) {
-        showToast(data.message || 'Password reset link sent to your email!', 'success');
-        setShowForgotPasswordModal(false);
-        setResetEmail('');
-      } else {
-        showToast(data.error || 'Failed to send password reset link.', 'error');
-      }
+      const data = await requestPasswordReset(resetEmail);
+      showToast(data.message || 'Password reset link sent to your email!', 'success');
+      setShowForgotPasswordModal(false);
+      setResetEmail('');
     } catch (error) {
       console.error('Error requesting password reset:', error);
-      showToast('Network error. Please try again.', 'error');
+      showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to send password reset link.', 'error');
     } finally {
       setResetLoading(false);
     }
@@ -1,10 +1,22 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { getSocketInstance, sendMessage, uploadChatAttachment } from './ChatService';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import { getSocketInstance } from './ChatService';
+import useChatPresence from './chat/useChatPresence';
+import useChatOutbox from './chat/useChatOutbox';
+import OutboxActions from './chat/OutboxActions';
+import TypingIndicator from './chat/TypingIndicator';
+import ReadReceipt from './chat/ReadReceipt';
+import useMessageFocus from './chat/useMessageFocus';
+import { getNegotiationFocusMessageId } from './chat/messageSearch';
+import './chat/ChatSearch.css';
+import useChatHistoryScroll from './chat/useChatHistoryScroll';
+import { CHAT_PAGE_SIZE, mergeMessages } from './chat/chatHistory';
+import './chat/ChatHistory.css';
+import { isAbortError, getBackendFileUrl } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getJobMessages } from './api/chat';
 import { useAuth } from './contexts/AuthContext'; 
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-const STATIC_FILES_URL = BACKEND_API_URL; // Base URL for static files
-
 // Helper function to format timestamp robustly for display
 const formatDisplayTimestamp = (isoTimestamp) => {
     if (!isoTimestamp) return 'N/A';
@@ -21,6 +33,13 @@ const formatDisplayTimestamp = (isoTimestamp) => {
     }
 };
 
+// Keeps the raw time as sent_at, used to order pages and socket arrivals
+const formatCardMessage = (msg) => ({
+  ...msg,
+  sent_at: msg.timestamp,
+  timestamp: formatDisplayTimestamp(msg.timestamp)
+});
+
 // Custom comparison function for React.memo - now assumes only negotiation jobs
 const arePropsEqual = (prevProps, nextProps) => {
     if (JSON.stringify(prevProps.job) !== JSON.stringify(nextProps.job)) {
@@ -81,6 +100,7 @@ const NegotiationCard = React.memo(({
   // Removed direct upload specific props
 }) => { 
   const { user } = useAuth(); 
+  const location = useLocation();
   const jobId = job.id; 
 
   // Removed isDirectUploadJob as this component now only handles negotiation jobs.
@@ -102,9 +122,10 @@ const NegotiationCard = React.memo(({
 
   const [cardMessages, setCardMessages] = useState([]);
   const [cardNewMessage, setCardNewMessage] = useState('');
-  const [isSendingFile, setIsSendingFile] = useState(false);
+  const [olderCursor, setOlderCursor] = useState(null); // next_cursor of the oldest page loaded
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const getSignal = useAbortSignal();
   const fileInputRef = useRef(null);
-  const chatWindowRef = useRef(null);
   const [timeLeft, setTimeLeft] = useState(null); 
 
   const calculateTimeLeft = useCallback(() => {
@@ -183,25 +204,8 @@ const NegotiationCard = React.memo(({
     const isMessageForThisJob = (data.negotiation_id === jobId); 
 
     if (isMessageForThisJob) {
-      setCardMessages(prevMessages => {
-        const updatedMessages = prevMessages.map(m =>
-            m.isOptimistic && m.sender_id === data.sender_id && m.content === data.content &&
-            m.receiver_id === data.receiver_id && (m.file_url === data.file_url || (!m.file_url && !data.file_url))
-                ? { ...data, isOptimistic: false, timestamp: formatDisplayTimestamp(data.timestamp) }
-                : m
-        );
-
-        if (!updatedMessages.some(m => m.id === data.id && !m.isOptimistic)) {
-            const formattedData = {
-                ...data,
-                timestamp: formatDisplayTimestamp(data.timestamp)
-            };
-            if (!prevMessages.find(m => m.id === data.id && !m.isOptimistic)) {
-                 return [...updatedMessages, formattedData];
-            }
-        }
-        return updatedMessages;
-      });
+      // Merge by ID: drops duplicates, replaces the matching optimistic message and keeps send order
+      setCardMessages(prevMessages => mergeMessages(prevMessages, [formatCardMessage(data)]));
       console.log(`NegotiationCard: Message for ${jobId} received:`, data);
     } else {
         console.log(`NegotiationCard: Received message not for this card (${jobId}) or is a direct message. Data:`, data);
@@ -224,150 +228,79 @@ const NegotiationCard = React.memo(({
     };
   }, [jobId, handleReceiveMessageForCard]); 
 
+  // Newest page of the job chat; older pages load as the reader scrolls up
   useEffect(() => {
     const fetchMessages = async () => {
       try {
-        const token = localStorage.getItem('token');
-        if (!token) {
-          console.warn("NegotiationCard: Token missing, not fetching messages.");
-          return;
-        }
-
-        const response = await fetch(`${BACKEND_API_URL}/api/messages/${jobId}`, { 
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}` 
-          }
-        });
-        const data = await response.json();
-        if (response.ok) {
-          const formattedMessages = (data.messages || []).map(msg => ({
-            ...msg,
-            timestamp: formatDisplayTimestamp(msg.timestamp)
-          }));
-          setCardMessages(formattedMessages);
-          console.log(`NegotiationCard: Fetched ${formattedMessages.length} messages for ${jobId}`);
-        } else {
-          console.error('Failed to fetch messages:', data.error);
-          showToast(data.error || 'Failed to load messages.', 'error');
-        }
+        const data = await getJobMessages(jobId, { params: { limit: CHAT_PAGE_SIZE }, signal: getSignal() });
+        setCardMessages(prevMessages => mergeMessages(prevMessages, (data.messages || []).map(formatCardMessage)));
+        setOlderCursor(data.next_cursor ?? null);
+        console.log(`NegotiationCard: Fetched ${(data.messages || []).length} messages for ${jobId}`);
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error('Error fetching messages:', error);
-        showToast('Network error while fetching messages.', 'error');
+        showToast(error.isNetworkError ? 'Network error while fetching messages.' : error.message || 'Failed to load messages.', 'error');
       }
     };
 
     fetchMessages();
-  }, [jobId, showToast]);
+  }, [jobId, getSignal, showToast]);
 
-  useEffect(() => {
-    if (chatWindowRef.current) {
-      chatWindowRef.current.scrollTop = chatWindowRef.current.scrollHeight;
+  const loadOlderMessages = useCallback(async () => {
+    if (!olderCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const data = await getJobMessages(jobId, { params: { limit: CHAT_PAGE_SIZE, before: olderCursor }, signal: getSignal() });
+      setCardMessages(prevMessages => mergeMessages(prevMessages, (data.messages || []).map(formatCardMessage)));
+      setOlderCursor(data.next_cursor ?? null);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('Error fetching earlier messages:', error);
+      showToast(error.isNetworkError ? 'Network error loading earlier messages.' : error.message || 'Failed to load earlier messages.', 'error');
+    } finally {
+      setLoadingOlder(false);
     }
-  }, [cardMessages]);
+  }, [jobId, olderCursor, loadingOlder, getSignal, showToast]);
 
   const handleSendMessageForCard = async () => {
     if (!cardNewMessage.trim()) {
       showToast('Please enter a message.', 'error');
       return;
     }
+    stopTyping();
     if (!currentUserId || !jobId || !otherPartyId) {
       showToast('Cannot send message: missing required info (user, job, or recipient).', 'error');
       console.error('Missing info for sending message:', { currentUserId, jobId, otherPartyId });
       return;
     }
 
-    const messageData = {
+    // The outbox sends the message and retries until it is delivered
+    await queueOutgoingMessage({
       senderId: currentUserId,
       receiverId: otherPartyId,
+      negotiationId: jobId,
       messageText: cardNewMessage,
       timestamp: new Date().toISOString(),
       senderUserType: currentUserType
-    };
-
-    messageData.negotiationId = jobId; 
-
-    let tempMessageId; 
-    try {
-      tempMessageId = `temp-${Date.now()}`;
-      const optimisticMessage = {
-          id: tempMessageId,
-          sender_id: currentUserId,
-          receiver_id: otherPartyId,
-          negotiation_id: jobId, 
-          content: cardNewMessage,
-          timestamp: formatDisplayTimestamp(new Date().toISOString()),
-          sender_name: currentUserType === 'client' ? user.full_name : otherPartyName,
-          isOptimistic: true,
-      };
-      setCardMessages(prevMessages => [...prevMessages, optimisticMessage]);
-
-
-      await sendMessage(messageData); 
-      
-      setCardNewMessage(''); 
-    } catch (error) {
-      showToast(error.message || 'Failed to send message.', 'error');
-      if (tempMessageId) { 
-        setCardMessages(prevMessages => prevMessages.filter(msg => !msg.isOptimistic || msg.id !== tempMessageId));
-      }
-    }
+    });
+    setCardNewMessage('');
   };
 
   const handleFileChange = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
-    setIsSendingFile(true);
-    showToast('Uploading file...! Attention: Only send transcription files here.', 'info');
-
-    let tempMessageId; 
-    try {
-      const uploadResponse = await uploadChatAttachment(file);
-      if (uploadResponse.fileUrl) {
-        const messageData = {
-          senderId: currentUserId,
-          receiverId: otherPartyId,
-          messageText: `Attached file: ${uploadResponse.fileName}`,
-          fileUrl: uploadResponse.fileUrl,
-          fileName: uploadResponse.fileName,
-          timestamp: new Date().toISOString(),
-          senderUserType: currentUserType
-        };
-
-        messageData.negotiationId = jobId; 
-
-        tempMessageId = `temp-${Date.now()}`;
-        const optimisticMessage = {
-            id: tempMessageId,
-            sender_id: currentUserId,
-            receiver_id: otherPartyId,
-            negotiation_id: jobId, 
-            content: messageData.messageText,
-            timestamp: formatDisplayTimestamp(new Date().toISOString()),
-            sender_name: currentUserType === 'client' ? user.full_name : otherPartyName,
-            file_url: messageData.fileUrl,
-            file_name: messageData.fileName,
-            isOptimistic: true,
-        };
-        setCardMessages(prevMessages => [...prevMessages, optimisticMessage]);
-
-        await sendMessage(messageData); 
-
-        showToast('File sent successfully! Transcriber will review.', 'success');
-      } else {
-        showToast('File upload failed: No URL returned.', 'error');
-      }
-    } catch (error) {
-      console.error('Error uploading or sending file:', error);
-      showToast(error.message || 'Failed to upload and send file.', 'error');
-      if (tempMessageId) { 
-        setCardMessages(prevMessages => prevMessages.filter(msg => !msg.isOptimistic || msg.id !== tempMessageId));
-      }
-    } finally {
-      setIsSendingFile(false);
-      event.target.value = null; 
-    }
+    showToast('Sending file...! Attention: Only send transcription files here.', 'info');
+    // Queued with the file: the outbox uploads it before sending and keeps it if the connection drops
+    await queueOutgoingMessage({
+      senderId: currentUserId,
+      receiverId: otherPartyId,
+      negotiationId: jobId,
+      messageText: `Attached file: ${file.name}`,
+      timestamp: new Date().toISOString(),
+      senderUserType: currentUserType
+    }, file);
+    event.target.value = null; 
   };
 
   const triggerFileInput = () => {
@@ -380,6 +313,33 @@ const NegotiationCard = React.memo(({
     (currentUserType === 'transcriber' && (job.status === 'hired' || job.status === 'in_progress')) 
   );
 
+  const chatTarget = useMemo(() => (
+    shouldDisplayChat && otherPartyId ? { partnerId: otherPartyId, jobId } : null
+  ), [shouldDisplayChat, otherPartyId, jobId]);
+  const { isPartnerTyping, notifyTyping, stopTyping } = useChatPresence({
+    target: chatTarget, userId: currentUserId, messages: cardMessages, setMessages: setCardMessages
+  });
+  const {
+    pendingMessages, queue: queueOutgoingMessage, resend: resendMessage, discard: discardMessage,
+  } = useChatOutbox({ target: chatTarget, userId: currentUserId, messages: cardMessages });
+  // Queued messages follow the delivered ones until the server copy arrives
+  const threadMessages = useMemo(() => (
+    pendingMessages.length
+      ? [...cardMessages, ...pendingMessages.map((msg) => ({
+        ...msg, sender_name: user?.full_name, timestamp: formatDisplayTimestamp(msg.timestamp)
+      }))]
+      : cardMessages
+  ), [cardMessages, pendingMessages, user]);
+
+  const { containerRef: chatWindowRef, handleScroll: handleChatScroll } = useChatHistoryScroll({
+    messages: threadMessages, canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages
+  });
+  // Opened from a search result: only the linked negotiation's card looks for the message and scrolls to it
+  const focusedMessageId = useMessageFocus({
+    messageId: getNegotiationFocusMessageId(location.search, jobId), messages: threadMessages, containerRef: chatWindowRef,
+    canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages
+  });
+
 
   return (
     <div className="negotiation-card">
@@ -526,7 +486,7 @@ const NegotiationCard = React.memo(({
       {shouldDisplayChat && ( 
       <div className="chat-section" style={{ marginTop: '20px', borderTop: '1px solid #eee', paddingTop: '15px' }}>
         <h4 style={{ marginBottom: '10px' }}>Chat with {otherPartyName}</h4>
-        <div ref={chatWindowRef} className="chat-window-content" style={{
+        <div ref={chatWindowRef} onScroll={handleChatScroll} className="chat-window-content" style={{
             height: '200px',
             overflowY: 'auto',
             border: '1px solid #e0e0e0',
@@ -535,16 +495,17 @@ const NegotiationCard = React.memo(({
             backgroundColor: '#f9f9f9',
             borderRadius: '5px'
         }}>
-            {cardMessages.length === 0 ? (
+            {loadingOlder && <p className="chat-history-status">Loading earlier messages...</p>}
+            {threadMessages.length === 0 ? (
               <p style={{ textAlign: 'center', color: '#999' }}>No messages yet.</p>
             ) : (
-              cardMessages.map((msg) => (
-                <div key={msg.id} className={`message-bubble ${msg.sender_id === currentUserId ? 'sent' : 'received'}`} style={{
+              threadMessages.map((msg) => (
+                <div key={msg.id} data-message-id={msg.id} className={`message-bubble ${msg.sender_id === currentUserId ? 'sent' : 'received'}`} style={{
                     display: 'flex',
                     justifyContent: msg.sender_id === currentUserId ? 'flex-end' : 'flex-start',
                     marginBottom: '8px'
                 }}>
-                    <div style={{
+                    <div className={msg.id === focusedMessageId ? 'search-focus' : undefined} style={{
                         background: msg.sender_id === currentUserId ? '#dcf8c6' : '#e5e5ea',
                         padding: '8px 12px',
                         borderRadius: '15px',
@@ -556,7 +517,7 @@ const NegotiationCard = React.memo(({
                         {msg.file_url && (
                             <div style={{ marginTop: msg.content ? '5px' : '0' }}>
                                 <a 
-                                    href={`${STATIC_FILES_URL}${msg.file_url}`} 
+                                    href={getBackendFileUrl(msg.file_url)} 
                                     target="_blank" 
                                     rel="noopener noreferrer" 
                                     style={{ color: '#007bff', textDecoration: 'underline', display: 'flex', alignItems: 'center', gap: '5px' }}
@@ -572,11 +533,14 @@ const NegotiationCard = React.memo(({
                             textAlign: msg.sender_id === currentUserId ? 'right' : 'left'
                         }}>
                             {msg.timestamp}
+                            <ReadReceipt message={msg} userId={currentUserId} />
                         </div>
+                        <OutboxActions message={msg} onResend={resendMessage} onDiscard={discardMessage} />
                     </div>
                 </div>
               ))
             )}
+            <TypingIndicator isTyping={isPartnerTyping} name={otherPartyName} />
         </div>
         <div style={{ display: 'flex', alignItems: 'center' }}>
             <input
@@ -585,7 +549,6 @@ const NegotiationCard = React.memo(({
                 style={{ display: 'none' }}
                 onChange={handleFileChange}
                 accept="application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,image/jpeg,image/jpg,image/png,image/gif,audio/*,video/*"
-                disabled={isSendingFile}
             />
             <button
                 onClick={triggerFileInput}
@@ -599,7 +562,6 @@ const NegotiationCard = React.memo(({
                     fontSize: '0.9em',
                     marginRight: '5px'
                 }}
-                disabled={isSendingFile}
                 title="Attach File (Docs, PDFs, Images, Audio, Video)"
             >
                 📎
@@ -607,7 +569,7 @@ const NegotiationCard = React.memo(({
             <input
                 type="text"
                 value={cardNewMessage}
-                onChange={(e) => setCardNewMessage(e.target.value)}
+                onChange={(e) => { setCardNewMessage(e.target.value); notifyTyping(); }}
                 placeholder="Type your message..."
                 style={{
                     flexGrow: 1,
@@ -618,7 +580,6 @@ const NegotiationCard = React.memo(({
                     fontSize: '0.9em'
                 }}
                 onKeyPress={(e) => e.key === 'Enter' && handleSendMessageForCard()}
-                disabled={isSendingFile}
             />
             <button
                 onClick={handleSendMessageForCard}
@@ -631,7 +592,7 @@ const NegotiationCard = React.memo(({
                     cursor: 'pointer',
                     fontSize: '0.9em'
                 }}
-                disabled={isSendingFile || !cardNewMessage.trim()}
+                disabled={!cardNewMessage.trim()}
             >
                 Send
             </button>
@@ -755,6 +716,12 @@ const NegotiationCard = React.memo(({
             {(job.status === 'hired' || job.status === 'in_progress') && ( 
                 <div className="transcriber-active-actions">
                     <span className="success-text">✅ Job Active!</span>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); window.location.href = `/transcriber/workspace/negotiation/${jobId}`; }}
+                      className="action-btn workspace-btn"
+                    >
+                      Open Workspace
+                    </button>
                 </div>
             )}
             {job.status === 'client_counter' && (
@@ -4,12 +4,14 @@ import { useSearchParams, useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast'; // Assuming you have a Toast component
 import { useAuth } from './contexts/AuthContext';
 import './PaymentCallback.css'; // You'll need to create this CSS file
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { verifyPayment, isPaymentJobType } from './payments/paymentRequests';
 
 const PaymentCallback = () => {
     const [searchParams] = useSearchParams();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
     // Removed 'updateUser' and 'checkAuth' as they are not directly used in this component
     const { user, isAuthenticated, authLoading, logout } = useAuth(); 
 
@@ -44,7 +46,7 @@ const PaymentCallback = () => {
         let redirectPathOnFailure = '/client-dashboard'; // Default redirect
         if (jobType === 'training') {
             redirectPathOnFailure = '/training-payment';
-        } else if (jobType === 'direct_upload') {
+        } else if (jobType === 'direct_upload' || jobType === 'direct_upload_order') {
             redirectPathOnFailure = '/client-direct-upload';
         } else if (jobType === 'negotiation') {
             redirectPathOnFailure = '/client-negotiations';
@@ -59,100 +61,63 @@ const PaymentCallback = () => {
             return; // Stop further execution in this useEffect
         }
 
-        const verifyPayment = async () => {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                showToast('Authentication token missing. Please log in again.', 'error');
-                logout(); // Log out if token is missing despite isAuthenticated
-                return;
-            }
-
-            let verificationApiUrl;
-            let method = 'GET'; // Default for Paystack verification and KoraPay GET verification
-            let body = null;
-
-            // Dynamically construct the verification URL and method based on jobType and paymentMethod
-            if (jobType === 'training') {
-                if (paymentMethod === 'korapay') {
-                    verificationApiUrl = `${BACKEND_API_URL}/api/training/payment/verify-korapay`;
-                    method = 'POST'; // KoraPay training verification is a POST request
-                    body = JSON.stringify({ reference: reference });
-                } else { // Assume Paystack for training
-                    verificationApiUrl = `${BACKEND_API_URL}/api/training/payment/verify/${reference}?relatedJobId=${relatedJobId}&paymentMethod=${paymentMethod}`;
-                }
-            } else if (jobType === 'negotiation') {
-                // Backend's verifyNegotiationPayment expects GET with reference in params
-                verificationApiUrl = `${BACKEND_API_URL}/api/negotiations/${relatedJobId}/payment/verify/${reference}?paymentMethod=${paymentMethod}`;
-            } else if (jobType === 'direct_upload') {
-                if (paymentMethod === 'korapay') {
-                    // KoraPay direct upload verification should use POST and a dedicated endpoint or handle POST at unified endpoint
-                    // Assuming a similar pattern to training payment verification for KoraPay
-                    verificationApiUrl = `${BACKEND_API_URL}/api/direct-uploads/payment/verify-korapay`;
-                    method = 'POST';
-                    body = JSON.stringify({ reference: reference, relatedJobId: relatedJobId }); // Include relatedJobId in body for KoraPay POST
-                } else { // Assume Paystack for direct upload, which expects GET
-                    verificationApiUrl = `${BACKEND_API_URL}/api/direct-uploads/${relatedJobId}/payment/verify/${reference}?paymentMethod=${paymentMethod}`;
-                }
-            } else {
-                setPaymentStatus('failed');
-                setMessage('Unknown job type for payment verification. Redirecting...');
-                showToast('Unknown job type for verification.', 'error');
-                setTimeout(() => navigate(redirectPathOnFailure), 3000);
-                return;
-            }
+        if (!isPaymentJobType(jobType)) {
+            setPaymentStatus('failed');
+            setMessage('Unknown job type for payment verification. Redirecting...');
+            showToast('Unknown job type for verification.', 'error');
+            setTimeout(() => navigate(redirectPathOnFailure), 3000);
+            return;
+        }
 
+        const verifyRedirectedPayment = async () => {
             try {
-                const response = await fetch(verificationApiUrl, {
-                    method: method,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${token}`
-                    },
-                    body: body
-                });
-                const data = await response.json();
-
-                if (response.ok) {
-                    setPaymentStatus('success');
-
-                    if (jobType === 'training') {
-                        const successMessage = 'Training payment successful! You will now be logged out and redirected to login to access your training dashboard.';
-                        setMessage(successMessage);
-                        showToast(successMessage, 'success');
-
-                        console.log("Payment successful. Redirecting to login...");
-
-                        // Logout user and redirect to login page for training payments
+                // Same routine the pages use after an inline (KoraPay) checkout
+                await verifyPayment({ jobType, relatedJobId, reference, paymentMethod }, { signal: getSignal() });
+                setPaymentStatus('success');
+
+                if (jobType === 'training') {
+                    const successMessage = 'Training payment successful! You will now be logged out and redirected to login to access your training dashboard.';
+                    setMessage(successMessage);
+                    showToast(successMessage, 'success');
+
+                    console.log("Payment successful. Redirecting to login...");
+
+                    // Logout user and redirect to login page for training payments
+                    setTimeout(() => {
+                        logout(); // Clear local storage and reset auth context
                         setTimeout(() => {
-                            logout(); // Clear local storage and reset auth context
-                            setTimeout(() => {
-                                navigate('/login');
-                            }, 500); // Small delay to ensure logout completes before navigation
-                        }, 3000);
-                    } else {
-                        const successMessage = 'Payment successful! You will be redirected to your dashboard.';
-                        setMessage(successMessage);
-                        showToast(successMessage, 'success');
-                        // For other job types, assume user remains logged in and goes to dashboard
-                        setTimeout(() => navigate('/client-dashboard'), 3000);
-                    }
+                            navigate('/login');
+                        }, 500); // Small delay to ensure logout completes before navigation
+                    }, 3000);
+                } else if (jobType === 'direct_upload_order') {
+                    const successMessage = 'Payment successful! Your order\'s jobs are now active. Redirecting you to them...';
+                    setMessage(successMessage);
+                    showToast(successMessage, 'success');
+                    setTimeout(() => navigate(`/client-jobs?order=${encodeURIComponent(relatedJobId)}`), 3000);
                 } else {
-                    setPaymentStatus('failed');
-                    setMessage(data.error || 'Payment verification failed. Please try again.');
-                    showToast(data.error || 'Payment failed!', 'error');
-                    setTimeout(() => navigate(redirectPathOnFailure), 3000); // Redirect on failed verification
+                    const successMessage = 'Payment successful! You will be redirected to your dashboard.';
+                    setMessage(successMessage);
+                    showToast(successMessage, 'success');
+                    // For other job types, assume user remains logged in and goes to dashboard
+                    setTimeout(() => navigate('/client-dashboard'), 3000);
                 }
             } catch (error) {
+                if (isAbortError(error)) return;
                 console.error('Error verifying payment:', error);
                 setPaymentStatus('failed');
-                setMessage('Network error during payment verification. Please check your internet connection and try again.');
-                showToast('Network error during payment verification.', 'error');
-                setTimeout(() => navigate(redirectPathOnFailure), 3000); // Redirect on network error
+                if (error.isNetworkError) {
+                    setMessage('Network error during payment verification. Please check your internet connection and try again.');
+                    showToast('Network error during payment verification.', 'error');
+                } else {
+                    setMessage(error.message || 'Payment verification failed. Please try again.');
+                    showToast(error.message || 'Payment failed!', 'error');
+                }
+                setTimeout(() => navigate(redirectPathOnFailure), 3000); // Redirect on failed verification
             }
         };
 
-        verifyPayment();
-    }, [searchParams, isAuthenticated, authLoading, navigate, logout, showToast]);
+        verifyRedirectedPayment();
+    }, [searchParams, isAuthenticated, authLoading, navigate, logout, showToast, getSignal]);
 
     const getStatusIcon = () => {
         if (paymentStatus === 'verifying') return '⏳';
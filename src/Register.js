@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { registerUser } from './api/auth';
 import './Register.css';
 
 const Register = () => {
@@ -24,24 +25,11 @@ const Register = () => {
     setMessage('');
 
     try {
-      const response = await fetch('http://localhost:5000/api/auth/register', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setMessage('Registration successful!');
-        setFormData({ email: '', password: '', full_name: '', user_type: 'client' });
-      } else {
-        setMessage(data.error || 'Registration failed');
-      }
+      await registerUser(formData);
+      setMessage('Registration successful!');
+      setFormData({ email: '', password: '', full_name: '', user_type: 'client' });
     } catch (error) {
-      setMessage('Network error. Please try again.');
+      setMessage(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Registration failed');
     } finally {
       setLoading(false);
     }
@@ -3,11 +3,9 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import Toast from './Toast';
+import { resetPassword } from './api/auth';
 import './Register.css'; // Re-using styling from register/login
 
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const ResetPassword = () => {
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -68,24 +66,12 @@ const ResetPassword = () => {
     }
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/reset-password`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ token, newPassword: password }),
-      });
-
-      const data = await response.json();
-      if (response.ok) {
-        showToast(data.message || 'Password has been reset successfully!', 'success');
-        setTimeout(() => navigate('/login'), 2000);
-      } else {
-        showToast(data.error || 'Failed to reset password. Token might be invalid or expired.', 'error');
-      }
+      const data = await resetPassword({ token, newPassword: password });
+      showToast(data.message || 'Password has been reset successfully!', 'success');
+      setTimeout(() => navigate('/login'), 2000);
     } catch (error) {
-      console.error('Network or parsing error during password reset:', error);
-      showToast('Network error. Please try again.', 'error');
+      console.error('Error during password reset:', error);
+      showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to reset password. Token might be invalid or expired.', 'error');
     } finally {
       setLoading(false);
     }
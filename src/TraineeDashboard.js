@@ -3,12 +3,15 @@ import { useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast';
 import { useAuth } from './contexts/AuthContext';
 import { connectSocket, disconnectSocket } from './ChatService'; // Assuming ChatService is used for general socket management
-import { BACKEND_API_URL } from './config'; // Assuming you have a config for backend URL
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTraineeStatus } from './api/trainee';
 import './TraineeDashboard.css'; // You'll need to create this CSS file
 
 const TraineeDashboard = () => {
     const { user, isAuthenticated, authLoading, isAuthReady, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [loading, setLoading] = useState(true);
     const [traineeStatus, setTraineeStatus] = useState(null);
@@ -32,34 +35,25 @@ const TraineeDashboard = () => {
 
     // Function to fetch trainee-specific status from the backend
     const fetchTraineeStatus = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            console.warn("fetchTraineeStatus: Token missing or user ID unavailable.");
+        if (!user?.id) {
+            console.warn("fetchTraineeStatus: User ID unavailable.");
             return;
         }
 
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/trainee/status`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                setTraineeStatus(data);
-                // Redirect if status changes unexpectedly (e.g., admin marks them active transcriber)
-                if (data.user_level === 'transcriber' && data.status === 'active_transcriber') {
-                    showToast('Congratulations! You are now an active transcriber. Redirecting...', 'success');
-                    setTimeout(() => navigate('/transcriber-dashboard'), 2000);
-                }
-            } else {
-                showToast(data.error || 'Failed to fetch training status.', 'error');
-                console.error('Failed to fetch training status:', data.error);
+            const data = await getTraineeStatus({ signal: getSignal() });
+            setTraineeStatus(data);
+            // Redirect if status changes unexpectedly (e.g., admin marks them active transcriber)
+            if (data.user_level === 'transcriber' && data.status === 'active_transcriber') {
+                showToast('Congratulations! You are now an active transcriber. Redirecting...', 'success');
+                setTimeout(() => navigate('/transcriber-dashboard'), 2000);
             }
         } catch (error) {
-            console.error('Network error fetching training status:', error);
-            showToast('Network error while fetching training status.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Failed to fetch training status:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching training status.' : error.message || 'Failed to fetch training status.', 'error');
         }
-    }, [user?.id, showToast, navigate]);
+    }, [user?.id, showToast, navigate, getSignal]);
 
 
     useEffect(() => {
@@ -167,6 +161,12 @@ const TraineeDashboard = () => {
                             <p>Chat with your trainer and exchange files.</p>
                         </Link>
 
+                        <Link to="/messages/search" className="dashboard-card">
+                            <div className="card-icon">🔎</div>
+                            <h3>Search Messages</h3>
+                            <p>Find earlier messages from your training room.</p>
+                        </Link>
+
                         <Link to="/trainee/materials" className="dashboard-card">
                             <div className="card-icon">📚</div>
                             <h3>Training Materials</h3>
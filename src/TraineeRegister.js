@@ -2,7 +2,7 @@ import React, { useState, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast'; // Assuming you have a Toast component
 import { useAuth } from './contexts/AuthContext'; // Only for login context, not for registerUser function
-import { BACKEND_API_URL } from './config'; // Assuming you have a config for backend URL
+import { registerUser } from './api/auth';
 import './Register.css'; // Re-using existing register/login styling
 
 const TraineeRegister = () => {
@@ -46,37 +46,24 @@ const TraineeRegister = () => {
     }
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/register`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email,
-          password,
-          full_name: fullName,
-          user_type: 'trainee', // Specify user_type as 'trainee'
-        }),
+      const data = await registerUser({
+        email,
+        password,
+        full_name: fullName,
+        user_type: 'trainee', // Specify user_type as 'trainee'
       });
 
-      const data = await response.json();
-
-      if (response.ok) {
-        // If registration is successful, automatically log the user in
-        // The backend returns a token and user object on successful registration
-        login(data.token, data.user); 
-        showToast('Registration successful! Redirecting to payment for training access...', 'success');
-        setTimeout(() => {
-          navigate('/training-payment');
-        }, 2000);
-      } else {
-        // Handle registration failure from the backend (e.g., user already exists)
-        showToast(data.error || 'Registration failed. Please try again.', 'error');
-      }
-
+      // If registration is successful, automatically log the user in
+      // The backend returns a token and user object on successful registration
+      login(data.token, data.user); 
+      showToast('Registration successful! Redirecting to payment for training access...', 'success');
+      setTimeout(() => {
+        navigate('/training-payment');
+      }, 2000);
     } catch (error) {
+      // Registration failures from the backend (e.g., user already exists) carry its message
       console.error('Trainee registration error:', error);
-      showToast(error.message || 'Network error during registration. Please try again.', 'error');
+      showToast(error.isNetworkError ? 'Network error during registration. Please try again.' : error.message || 'Registration failed. Please try again.', 'error');
     } finally {
       setLoading(false);
     }
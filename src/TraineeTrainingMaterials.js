@@ -2,12 +2,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import Toast from './Toast';
 import { useAuth } from './contexts/AuthContext';
-import { BACKEND_API_URL } from './config';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTraineeMaterials } from './api/trainee';
 import './TraineeTrainingMaterials.css'; // You'll need to create this CSS file
 
 const TraineeTrainingMaterials = () => {
     const { user, isAuthenticated, authLoading, isAuthReady, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [materials, setMaterials] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -23,34 +26,25 @@ const TraineeTrainingMaterials = () => {
 
     // Function to fetch training materials from the backend
     const fetchTrainingMaterials = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            console.warn("fetchTrainingMaterials: Token missing or user ID unavailable.");
+        if (!user?.id) {
+            console.warn("fetchTrainingMaterials: User ID unavailable.");
             return;
         }
 
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/trainee/materials`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                setMaterials(data.materials || []);
-                if (data.materials?.length === 0) {
-                    showToast('No training materials found yet.', 'info');
-                }
-            } else {
-                showToast(data.error || 'Failed to fetch training materials.', 'error');
-                console.error('Failed to fetch training materials:', data.error);
+            const data = await getTraineeMaterials({ signal: getSignal() });
+            setMaterials(data.materials || []);
+            if (data.materials?.length === 0) {
+                showToast('No training materials found yet.', 'info');
             }
         } catch (error) {
-            console.error('Network error fetching training materials:', error);
-            showToast('Network error while fetching training materials.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Failed to fetch training materials:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching training materials.' : error.message || 'Failed to fetch training materials.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [user?.id, showToast]);
+    }, [user?.id, showToast, getSignal]);
 
 
     useEffect(() => {
@@ -1,9 +1,26 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useNavigate, Link, useParams } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useNavigate, Link, useParams, useLocation } from 'react-router-dom';
 import Toast from './Toast';
 import { useAuth } from './contexts/AuthContext';
-import { connectSocket, disconnectSocket, sendMessage } from './ChatService'; 
-import { BACKEND_API_URL } from './config';
+import { connectSocket, disconnectSocket } from './ChatService'; 
+import useChatPresence from './chat/useChatPresence';
+import useChatOutbox from './chat/useChatOutbox';
+import OutboxActions from './chat/OutboxActions';
+import TypingIndicator from './chat/TypingIndicator';
+import ReadReceipt from './chat/ReadReceipt';
+import useChatHistoryScroll from './chat/useChatHistoryScroll';
+import {
+    CHAT_PAGE_SIZE, mergeMessages, getOldestSentTime, getCompleteSince, trimToCompleteHistory,
+} from './chat/chatHistory';
+import { isAbortError, getBackendFileUrl } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTrainingRoomMessages, getTraineeStatus, uploadTrainingRoomAttachment } from './api/trainee';
+import { getUser } from './api/users';
+import { getUserChatMessages } from './api/chat';
+import './chat/ChatHistory.css';
+import useMessageFocus from './chat/useMessageFocus';
+import { getFocusMessageId } from './chat/messageSearch';
+import './chat/ChatSearch.css';
 import './TraineeTrainingRoom.css';
 
 const MAX_TRAINING_FILE_SIZE_MB = 500; 
@@ -24,8 +41,12 @@ const formatDisplayTimestamp = (isoTimestamp) => {
     }
 };
 
+// Room and direct messages are paged separately; null cursors mean neither has older pages
+const NO_MORE_HISTORY = { room: { cursor: null, oldestSentAt: null }, direct: { cursor: null, oldestSentAt: null } };
+
 const TraineeTrainingRoom = () => {
     const { chatId: trainingRoomId } = useParams(); 
+    const location = useLocation();
     const { user, isAuthenticated, authLoading, isAuthReady, logout } = useAuth();
     const navigate = useNavigate();
 
@@ -38,8 +59,11 @@ const TraineeTrainingRoom = () => {
     const [selectedFile, setSelectedFile] = useState(null);
     const [isUploadingFile, setIsUploadingFile] = useState(false);
     const [adminId, setAdminId] = useState(null);
+    const [historySources, setHistorySources] = useState(NO_MORE_HISTORY); // Paging state per message source
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const getSignal = useAbortSignal();
+    const historyLoadedRef = useRef(false);
 
-    const messagesEndRef = useRef(null);
     const fileInputRef = useRef(null);
     const audioRef = useRef(null); 
     const textareaRef = useRef(null); 
@@ -68,26 +92,20 @@ const TraineeTrainingRoom = () => {
             return;
         }
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(`${BACKEND_API_URL}/api/users/${trainerIdToFetch}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && data.user) {
-                setTrainerUser(data.user);
-                // IMPORTANT: Store the admin/trainer ID for message filtering
-                setAdminId(data.user.id);
-            } else {
-                showToast('Failed to fetch trainer details.', 'error');
-                console.error('Failed to fetch trainer details:', data.error);
-                navigate('/trainee-dashboard');
+            const data = await getUser(trainerIdToFetch, { signal: getSignal() });
+            if (!data.user) {
+                throw new Error('Failed to fetch trainer details.');
             }
+            setTrainerUser(data.user);
+            // IMPORTANT: Store the admin/trainer ID for message filtering
+            setAdminId(data.user.id);
         } catch (error) {
-            console.error('Network error fetching trainer details:', error);
-            showToast('Network error fetching trainer details.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error fetching trainer details:', error);
+            showToast(error.isNetworkError ? 'Network error fetching trainer details.' : 'Failed to fetch trainer details.', 'error');
             navigate('/trainee-dashboard');
         }
-    }, [navigate, showToast]);
+    }, [getSignal, navigate, showToast]);
 
 
     useEffect(() => {
@@ -116,122 +134,139 @@ const TraineeTrainingRoom = () => {
             setAdminId(user.id); // IMPORTANT: Store admin ID
         } else if (user.user_type === 'trainee') {
             const fetchTraineeTrainer = async () => {
-                const token = localStorage.getItem('token');
-                if (!token) { logout(); return; }
-
                 try {
-                    const response = await fetch(`${BACKEND_API_URL}/api/trainee/status`, {
-                        headers: { 'Authorization': `Bearer ${token}` }
-                    });
-                    const data = await response.json();
-                    if (response.ok && data.trainer_id) { 
+                    const data = await getTraineeStatus({ signal: getSignal() });
+                    if (data.trainer_id) { 
                         fetchTrainerDetails(data.trainer_id);
                     } else {
-                        console.error('Failed to fetch trainee status or trainer ID:', data.error);
-                        showToast(data.error || 'Failed to determine trainer for training room.', 'error');
+                        console.error('Trainee status has no trainer ID:', data);
+                        showToast('Failed to determine trainer for training room.', 'error');
                         navigate('/trainee-dashboard');
                     }
                 } catch (error) {
-                    console.error('Network error fetching trainee status:', error);
-                    showToast('Network error while determining trainer.', 'error');
+                    if (isAbortError(error)) return;
+                    console.error('Error fetching trainee status:', error);
+                    showToast(error.isNetworkError ? 'Network error while determining trainer.' : error.message || 'Failed to determine trainer for training room.', 'error');
                     navigate('/trainee-dashboard');
                 }
             };
             fetchTraineeTrainer();
         }
 
-    }, [isAuthReady, user, authLoading, navigate, showToast, trainingRoomId, logout, fetchTrainerDetails]);
+    }, [isAuthReady, user, authLoading, navigate, showToast, trainingRoomId, getSignal, fetchTrainerDetails]);
 
 
-    // CRITICAL FIX: Fetch both training room messages AND direct messages between trainee and admin
+    // History restarts from the newest pages for a new room, and once the trainer is known (their direct messages join in)
+    useEffect(() => {
+        historyLoadedRef.current = false;
+        setMessages([]);
+        setHistorySources(NO_MORE_HISTORY);
+    }, [trainingRoomId, adminId]);
+
+    const formatChatMessage = useCallback((msg) => {
+        // Determine correct sender name
+        let senderName;
+        if (user.user_type === 'trainee') {
+            senderName = msg.sender_id === user.id ? 'Test Trainee' : 'Admin User';
+        } else { // admin
+            senderName = msg.sender_id === user.id ? 'Admin User' : 'Test Trainee';
+        }
+        return {
+            ...msg,
+            sender_name: senderName,
+            text: msg.content,
+            sent_at: msg.timestamp, // Raw time, used to order pages and socket arrivals
+            timestamp: formatDisplayTimestamp(msg.timestamp),
+        };
+    }, [user]);
+
+    // CRITICAL FIX: Fetch both training room messages AND direct messages between trainee and admin.
+    // Each is paged separately; a null cursor in `cursors` means that source has no page to fetch, and
+    // a source that was not fetched comes back as null in `sources`.
+    const fetchMessagePages = useCallback(async (cursors) => {
+        const signal = getSignal();
+        const pageParams = (cursor) => ({ limit: CHAT_PAGE_SIZE, before: cursor || undefined });
+        const [roomPage, directPage] = await Promise.all([
+            cursors.room === null ? null : getTrainingRoomMessages(trainingRoomId, { params: pageParams(cursors.room), signal }),
+            cursors.direct === null || !adminId
+                ? null
+                : getUserChatMessages(adminId, { params: pageParams(cursors.direct), signal }).catch((error) => {
+                    if (isAbortError(error)) throw error;
+                    console.error('Error fetching direct messages with admin:', error);
+                    return null;
+                }),
+        ]);
+        const roomMessages = (roomPage?.messages || []).map(formatChatMessage);
+        const directMessages = (directPage?.messages || []).map(formatChatMessage);
+        const toSource = (page, pageMessages) => (
+            page ? { cursor: page.next_cursor ?? null, oldestSentAt: getOldestSentTime(pageMessages) } : null
+        );
+        return {
+            messages: [...roomMessages, ...directMessages],
+            sources: { room: toSource(roomPage, roomMessages), direct: toSource(directPage, directMessages) },
+        };
+    }, [trainingRoomId, adminId, getSignal, formatChatMessage]);
+
     const fetchAllRelevantMessages = useCallback(async () => {
         if (!user || !trainingRoomId) {
             console.warn('fetchAllRelevantMessages: User or trainingRoomId not available. Skipping fetch.');
             return;
         }
 
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
-        console.log(`TraineeTrainingRoom: Fetching all relevant messages for training room ID: ${trainingRoomId}`);
-        setLoading(true);
-        
+        console.log(`TraineeTrainingRoom: Fetching latest messages for training room ID: ${trainingRoomId}`);
         try {
-            // 1. First fetch training room messages
-            const trainingRoomResponse = await fetch(`${BACKEND_API_URL}/api/trainee/training-room/messages/${trainingRoomId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const trainingRoomData = await trainingRoomResponse.json();
-            
-            // 2. Then fetch direct messages between user and admin (if we know admin ID)
-            let directMessages = [];
-            if (adminId) {
-                try {
-                    const directMessageResponse = await fetch(`${BACKEND_API_URL}/api/user/chat/messages/${adminId}`, {
-                        headers: { 'Authorization': `Bearer ${token}` }
-                    });
-                    const directMessageData = await directMessageResponse.json();
-                    if (directMessageResponse.ok && directMessageData.messages) {
-                        directMessages = directMessageData.messages;
-                        console.log(`TraineeTrainingRoom: Fetched ${directMessages.length} direct messages with admin`, directMessages);
-                    }
-                } catch (error) {
-                    console.error('Error fetching direct messages with admin:', error);
-                }
-            }
-
-            // 3. Combine and deduplicate messages
-            let allMessages = [];
-            
-            if (trainingRoomResponse.ok && trainingRoomData.messages) {
-                allMessages = [...trainingRoomData.messages];
-                console.log(`TraineeTrainingRoom: Fetched ${allMessages.length} training room messages`, allMessages);
+            // undefined cursors request the newest page of both sources
+            const page = await fetchMessagePages({ room: undefined, direct: undefined });
+            // Merge rather than replace: this also runs on reconnect, after older pages or socket messages are shown
+            setMessages((prevMessages) => mergeMessages(prevMessages, page.messages));
+            if (!historyLoadedRef.current) {
+                historyLoadedRef.current = true;
+                setHistorySources({
+                    room: page.sources.room || NO_MORE_HISTORY.room,
+                    direct: page.sources.direct || NO_MORE_HISTORY.direct,
+                });
             }
-            
-            // Add direct messages that aren't duplicates
-            directMessages.forEach(directMsg => {
-                if (!allMessages.some(msg => msg.id === directMsg.id)) {
-                    allMessages.push(directMsg);
-                }
-            });
-            
-            console.log(`TraineeTrainingRoom: Combined ${allMessages.length} total messages`);
-            
-            // Process each message to ensure correct display
-            const formattedMessages = allMessages.map(msg => {
-                // Determine correct sender name
-                let senderName;
-                if (user.user_type === 'trainee') {
-                    senderName = msg.sender_id === user.id ? 'Test Trainee' : 'Admin User';
-                } else { // admin
-                    senderName = msg.sender_id === user.id ? 'Admin User' : 'Test Trainee';
-                }
-                
-                return {
-                    ...msg,
-                    sender_name: senderName,
-                    text: msg.content,
-                    timestamp: formatDisplayTimestamp(msg.timestamp),
-                };
-            });
-            
-            // Sort messages by timestamp
-            formattedMessages.sort((a, b) => {
-                const timeA = new Date(a.timestamp).getTime();
-                const timeB = new Date(b.timestamp).getTime();
-                return timeA - timeB;
-            });
-            
-            setMessages(formattedMessages);
-            console.log(`TraineeTrainingRoom: Successfully processed ${formattedMessages.length} messages`);
-            
+            console.log(`TraineeTrainingRoom: Successfully processed ${page.messages.length} messages`);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('TraineeTrainingRoom: Error fetching messages:', error);
             showToast('Error fetching messages.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [user, trainingRoomId, adminId, logout, showToast]);
+    }, [user, trainingRoomId, fetchMessagePages, showToast]);
+
+    const canLoadOlder = historySources.room.cursor !== null || historySources.direct.cursor !== null;
+    // Messages before this point are held back until every source has loaded that far
+    const completeSince = getCompleteSince([historySources.room, historySources.direct]);
+
+    const loadOlderMessages = useCallback(async () => {
+        if (!canLoadOlder || loadingOlder) return;
+        setLoadingOlder(true);
+        // Only the sources that have not loaded back to the complete point yet
+        const needsPage = (source) => source.cursor !== null && (source.oldestSentAt === null || source.oldestSentAt >= completeSince);
+        try {
+            const page = await fetchMessagePages({
+                room: needsPage(historySources.room) ? historySources.room.cursor : null,
+                direct: needsPage(historySources.direct) ? historySources.direct.cursor : null,
+            });
+            setMessages((prevMessages) => mergeMessages(prevMessages, page.messages));
+            const advance = (previous, fetched) => (fetched ? {
+                cursor: fetched.cursor,
+                oldestSentAt: fetched.oldestSentAt === null ? previous.oldestSentAt : Math.min(previous.oldestSentAt ?? Infinity, fetched.oldestSentAt),
+            } : previous);
+            setHistorySources((prevSources) => ({
+                room: advance(prevSources.room, page.sources.room),
+                direct: advance(prevSources.direct, page.sources.direct),
+            }));
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('TraineeTrainingRoom: Error fetching earlier messages:', error);
+            showToast('Error loading earlier messages.', 'error');
+        } finally {
+            setLoadingOlder(false);
+        }
+    }, [canLoadOlder, loadingOlder, historySources, completeSince, fetchMessagePages, showToast]);
 
 
     const handleNewChatMessage = useCallback((msg) => {
@@ -269,45 +304,14 @@ const TraineeTrainingRoom = () => {
         }
 
         setMessages((prevMessages) => {
-            // Check for duplicates
-            if (prevMessages.some(m => m.id === msg.id && !m.isOptimistic)) {
-                console.log('TraineeTrainingRoom: Received duplicate message, ignoring.', msg);
-                return prevMessages;
+            // Merge by ID: drops duplicates, replaces the matching optimistic message and keeps send order
+            const mergedMessages = mergeMessages(prevMessages, [formatChatMessage(msg)]);
+            if (mergedMessages !== prevMessages && msg.sender_id !== user.id) {
+                playNotificationSound();
             }
-
-            // Update optimistic messages if they match
-            const updatedMessages = prevMessages.map(m =>
-                m.isOptimistic && m.sender_id === msg.sender_id && m.content === msg.content
-                    ? { ...msg, isOptimistic: false, timestamp: formatDisplayTimestamp(msg.timestamp) }
-                    : m
-            );
-
-            // Add new message if not already present
-            if (!updatedMessages.some(m => m.id === msg.id && !m.isOptimistic)) {
-                if (msg.sender_id !== user.id) {
-                    playNotificationSound();
-                }
-                
-                // Determine the sender name
-                let senderName;
-                if (user.user_type === 'trainee') {
-                    senderName = msg.sender_id === user.id ? 'Test Trainee' : 'Admin User';
-                } else { // admin
-                    senderName = msg.sender_id === user.id ? 'Admin User' : 'Test Trainee';
-                }
-                
-                const newMessageObj = {
-                    ...msg,
-                    sender_name: senderName,
-                    text: msg.content,
-                    timestamp: formatDisplayTimestamp(msg.timestamp),
-                };
-                console.log('TraineeTrainingRoom: Adding new message to chat:', newMessageObj);
-                return [...updatedMessages, newMessageObj];
-            }
-            return updatedMessages;
+            return mergedMessages;
         });
-    }, [user, trainingRoomId, adminId, playNotificationSound]);
+    }, [user, trainingRoomId, adminId, formatChatMessage, playNotificationSound]);
 
 
     useEffect(() => {
@@ -357,10 +361,31 @@ const TraineeTrainingRoom = () => {
         };
     }, [isAuthReady, user, adminId, trainingRoomId, fetchAllRelevantMessages, handleNewChatMessage]);
 
+    // The trainee talks to the trainer; the admin talks to the trainee whose ID names the room
+    const partnerId = user?.user_type === 'trainee' ? adminId : trainingRoomId;
+    const chatTarget = useMemo(() => (partnerId ? { partnerId, trainingRoomId } : null), [partnerId, trainingRoomId]);
+    const { isPartnerTyping, notifyTyping, stopTyping } = useChatPresence({ target: chatTarget, userId: user?.id, messages, setMessages });
+    const {
+        pendingMessages, queue: queueOutgoingMessage, resend: resendMessage, discard: discardMessage,
+    } = useChatOutbox({ target: chatTarget, userId: user?.id, messages });
+    // Queued messages follow the delivered ones until the server copy arrives
+    const threadMessages = useMemo(
+        () => {
+            const shownMessages = trimToCompleteHistory(messages, completeSince);
+            return pendingMessages.length ? [...shownMessages, ...pendingMessages.map(formatChatMessage)] : shownMessages;
+        },
+        [messages, completeSince, pendingMessages, formatChatMessage]
+    );
 
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+
+    const { containerRef: messagesDisplayRef, handleScroll: handleMessagesScroll } = useChatHistoryScroll({
+        messages: threadMessages, canLoadOlder: canLoadOlder && !loadingOlder, loadOlder: loadOlderMessages,
+    });
+    // Opened from a search result: bring the matching message into view
+    const focusedMessageId = useMessageFocus({
+        messageId: getFocusMessageId(location.search), messages: threadMessages, containerRef: messagesDisplayRef,
+        canLoadOlder: canLoadOlder && !loadingOlder, loadOlder: loadOlderMessages,
+    });
 
 
     const triggerFileInput = useCallback(() => {
@@ -372,6 +397,7 @@ const TraineeTrainingRoom = () => {
         const file = fileToUpload || selectedFile;
 
         if (messageToSend === '' && !file) return;
+        stopTyping();
 
         if (!user) {
             console.error('TraineeTrainingRoom: Attempted to send message before user object is available.');
@@ -381,7 +407,6 @@ const TraineeTrainingRoom = () => {
 
         let fileUrl = null;
         let fileName = null;
-        let tempMessageId;
 
         if (file) {
             setIsUploadingFile(true);
@@ -389,23 +414,9 @@ const TraineeTrainingRoom = () => {
                 const formData = new FormData();
                 formData.append('trainingRoomAttachment', file);
 
-                const token = localStorage.getItem('token');
-                if (!token) {
-                    showToast('Authentication token missing. Please log in again.', 'error');
-                    setIsUploadingFile(false);
-                    return;
-                }
-
-                const uploadResponse = await fetch(`${BACKEND_API_URL}/api/trainee/training-room/upload-attachment`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    body: formData
-                });
-                const uploadData = await uploadResponse.json();
+                const uploadData = await uploadTrainingRoomAttachment(formData, { signal: getSignal() });
 
-                if (uploadResponse.ok && uploadData.fileUrl) {
+                if (uploadData.fileUrl) {
                     fileUrl = uploadData.fileUrl;
                     fileName = file.name;
                     showToast('File uploaded successfully!', 'success');
@@ -413,6 +424,7 @@ const TraineeTrainingRoom = () => {
                     throw new Error(uploadData.error || 'Failed to upload file to training room.');
                 }
             } catch (error) {
+                if (isAbortError(error)) return;
                 console.error('TraineeTrainingRoom: Error uploading file:', error);
                 showToast(`Failed to upload file: ${error.message || 'Network error.'}`, 'error');
                 setIsUploadingFile(false);
@@ -424,61 +436,32 @@ const TraineeTrainingRoom = () => {
             }
         }
 
-        try {
-            tempMessageId = `temp-${Date.now()}`;
-            
-            // Determine proper receiver based on user type
-            const receiverId = user.user_type === 'trainee' 
-                ? (adminId || null) 
-                : trainingRoomId;
-            
-            // Set the correct sender name based on user type
-            const senderName = user.user_type === 'trainee' ? 'Test Trainee' : 'Admin User';
-            
-            const optimisticMessage = {
-                id: tempMessageId,
-                sender_id: user.id,
-                receiver_id: receiverId,
-                content: messageToSend,
-                timestamp: formatDisplayTimestamp(new Date().toISOString()),
-                sender_name: senderName,
-                file_url: fileUrl ? `${fileUrl}` : null,
-                file_name: fileName,
-                training_room_id: user.user_type === 'trainee' ? trainingRoomId : null,
-                isOptimistic: true,
-            };
-            setMessages((prevMessages) => [...prevMessages, optimisticMessage]);
-
-            const messageDataForService = {
-                senderId: user.id,
-                receiverId: receiverId,
-                negotiationId: null,
-                trainingRoomId: user.user_type === 'trainee' ? trainingRoomId : null,
-                messageText: messageToSend,
-                timestamp: new Date().toISOString(),
-                senderUserType: user.user_type,
-                fileUrl: fileUrl,
-                fileName: fileName,
-                senderName: senderName
-            };
-
-            console.log("[handleSendMessage] Calling ChatService.sendMessage with:", messageDataForService);
-
-            await sendMessage(messageDataForService);
-
-            setNewMessage('');
-            setSelectedFile(null);
-            if (fileInputRef.current) fileInputRef.current.value = '';
-            console.log('TraineeTrainingRoom: Message sent successfully via ChatService.');
+        // Determine proper receiver based on user type
+        const receiverId = user.user_type === 'trainee' 
+            ? (adminId || null) 
+            : trainingRoomId;
+
+        // Set the correct sender name based on user type
+        const senderName = user.user_type === 'trainee' ? 'Test Trainee' : 'Admin User';
+
+        // The attachment is already uploaded; the outbox sends the message and retries until it is delivered
+        await queueOutgoingMessage({
+            senderId: user.id,
+            receiverId: receiverId,
+            negotiationId: null,
+            trainingRoomId: user.user_type === 'trainee' ? trainingRoomId : null,
+            messageText: messageToSend,
+            timestamp: new Date().toISOString(),
+            senderUserType: user.user_type,
+            fileUrl: fileUrl,
+            fileName: fileName,
+            senderName: senderName
+        });
 
-        } catch (error) {
-            console.error('TraineeTrainingRoom: Error sending message:', error);
-            showToast(error.message || 'Network error sending message.', 'error');
-            if (tempMessageId) {
-                setMessages((prevMessages) => prevMessages.filter(msg => msg.id !== tempMessageId));
-            }
-        }
-    }, [newMessage, selectedFile, user, adminId, trainingRoomId, showToast]);
+        setNewMessage('');
+        setSelectedFile(null);
+        if (fileInputRef.current) fileInputRef.current.value = '';
+    }, [newMessage, selectedFile, user, adminId, trainingRoomId, showToast, stopTyping, queueOutgoingMessage, getSignal]);
 
 
     const handleFileChange = useCallback(async (e) => {
@@ -512,7 +495,7 @@ const TraineeTrainingRoom = () => {
 
     const renderFileAttachment = (fileUrl, fileName) => {
         if (!fileUrl) return null;
-        const fullFileUrl = `${BACKEND_API_URL}${fileUrl}`; 
+        const fullFileUrl = getBackendFileUrl(fileUrl); 
         const fileExtension = fileName ? fileName.split('.').pop().toLowerCase() : '';
 
         if (['jpg', 'jpeg', 'png', 'gif'].includes(fileExtension)) {
@@ -556,29 +539,39 @@ const TraineeTrainingRoom = () => {
 
                 <div className="training-room-content">
                     <div className="chat-window">
-                        <div className="messages-display">
-                            {messages.length === 0 ? (
+                        <div className="messages-display chat-history" ref={messagesDisplayRef} onScroll={handleMessagesScroll}>
+                            {loadingOlder && <p className="chat-history-status">Loading earlier messages...</p>}
+                            {!canLoadOlder && messages.length > 0 && <p className="chat-history-status">Start of the conversation</p>}
+                            {threadMessages.length === 0 ? (
                                 <p className="no-data-message">Start your training chat! Your trainer will be here to guide you.</p>
                             ) : (
-                                messages.map(msg => (
-                                    <div key={msg.id} className={`chat-message ${msg.sender_id === user.id ? 'self-message' : 'other-message'}`}>
+                                threadMessages.map(msg => (
+                                    <div
+                                        key={msg.id}
+                                        data-message-id={msg.id}
+                                        className={`chat-message ${msg.sender_id === user.id ? 'self-message' : 'other-message'}${msg.id === focusedMessageId ? ' search-focus' : ''}`}
+                                    >
                                         <div className="message-header">
                                             <strong>{msg.sender_name}</strong>
-                                            <span>{msg.timestamp}</span>
+                                            <span>
+                                                {msg.timestamp}
+                                                <ReadReceipt message={msg} userId={user.id} />
+                                            </span>
                                         </div>
                                         {msg.content && <p className="message-content-text">{msg.content}</p>}
                                         {msg.file_url && renderFileAttachment(msg.file_url, msg.file_name)}
+                                        <OutboxActions message={msg} onResend={resendMessage} onDiscard={discardMessage} />
                                     </div>
                                 ))
                             )}
-                            <div ref={messagesEndRef} />
+                            <TypingIndicator isTyping={isPartnerTyping} name={user.user_type === 'trainee' ? trainerUser?.full_name : 'The trainee'} />
                         </div>
                         <div className="message-input-area">
                             <div className="input-controls">
                                 <textarea
                                     ref={textareaRef}
                                     value={newMessage}
-                                    onChange={(e) => setNewMessage(e.target.value)}
+                                    onChange={(e) => { setNewMessage(e.target.value); notifyTyping(); }}
                                     onKeyPress={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSendMessage(); } }}
                                     placeholder="Type your message..."
                                     rows="1"
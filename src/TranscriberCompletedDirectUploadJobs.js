@@ -7,7 +7,10 @@ import Toast from './Toast';
 
 import { connectSocket, disconnectSocket } from './ChatService';
 import { useAuth } from './contexts/AuthContext';
-import { BACKEND_API_URL } from './config';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getDirectUploadJobHistory, downloadDirectUploadFile } from './api/directUploads';
+import { QA_STATUSES, isQaStatus } from './qa/qaReview';
 
 // Helper function to format timestamp robustly for display
 const formatDisplayTimestamp = (isoTimestamp) => {
@@ -36,6 +39,7 @@ const getStarRating = (rating) => {
 const TranscriberCompletedDirectUploadJobs = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [completedDirectUploadJobs, setCompletedDirectUploadJobs] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -62,32 +66,21 @@ const TranscriberCompletedDirectUploadJobs = () => {
 
     // Fetch ALL direct upload jobs for the current transcriber and filter for completed
     const fetchCompletedDirectUploadJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            if (isAuthenticated) {
-                console.warn("TranscriberCompletedDirectUploadJobs: Token or userId missing for API call despite authenticated state. Forcing logout.");
-                logout();
-            }
-            return Promise.reject(new Error('Authentication token or userId missing.'));
-        }
+        if (!user?.id) return;
 
         setLoading(true);
         try {
-            // Call the history endpoint to get all direct upload jobs
-            const directUploadResponse = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/history`, { 
-                headers: { 'Authorization': `Bearer ${token}` }
+            // Call the history endpoint to get all direct upload jobs; a failed response shows an empty list
+            const directUploadData = await getDirectUploadJobHistory({ signal: getSignal() }).catch(error => {
+                if (isAbortError(error) || error.isNetworkError) throw error;
+                return { jobs: [] };
             });
-            
-            let directUploadData = { jobs: [] };
-            if (directUploadResponse.ok) {
-                directUploadData = await directUploadResponse.json();
-            }
 
             const fetchedAllDirectUploadJobs = directUploadData.jobs || [];
             
-            // Filter for completed or client_completed jobs
+            // Filter for completed or client_completed jobs, including those still with a proofreader
             const completedJobs = fetchedAllDirectUploadJobs.filter(job => 
-                job.status === 'completed' || job.status === 'client_completed'
+                job.status === 'completed' || job.status === 'client_completed' || isQaStatus(job.status)
             );
             
             const typedCompletedJobs = completedJobs.map(job => {
@@ -114,12 +107,13 @@ const TranscriberCompletedDirectUploadJobs = () => {
                 showToast('No completed direct upload jobs found.', 'info');
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Network error while fetching completed direct upload jobs:", error);
             showToast('Network error while fetching completed direct upload jobs.ᐟ', 'error');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast, user?.id]); 
+    }, [getSignal, showToast, user?.id]); 
 
 
     useEffect(() => {
@@ -210,6 +204,8 @@ const TranscriberCompletedDirectUploadJobs = () => {
     // Utility functions (can be shared or defined here)
     const getStatusColor = useCallback((status) => { 
         const colors = {
+            'awaiting_qa': '#e67e22',
+            'qa_in_progress': '#8e44ad',
             'completed': '#6f42c1', 
             'client_completed': '#6f42c1',
         };
@@ -218,6 +214,7 @@ const TranscriberCompletedDirectUploadJobs = () => {
 
     const getStatusText = useCallback((status) => { 
         const texts = {
+            ...QA_STATUSES,
             'completed': 'Submitted for Review', 
             'client_completed': 'Completed by Client', 
         };
@@ -225,12 +222,6 @@ const TranscriberCompletedDirectUploadJobs = () => {
     }, []);
 
     const handleDownloadFile = useCallback(async (jobId, fileName, jobType) => { 
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
         // Direct Upload jobs will have jobType 'direct_upload'
         if (jobType !== 'direct_upload') { 
             showToast('Only direct upload job files can be downloaded from this view.', 'error');
@@ -238,35 +229,14 @@ const TranscriberCompletedDirectUploadJobs = () => {
         }
 
         try {
-            const downloadUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`;
-            
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await downloadDirectUploadFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
     if (authLoading || !isAuthenticated || !user) {
@@ -5,7 +5,14 @@ import './TranscriberDashboard.css';
 
 import { useAuth } from './contexts/AuthContext';
 import { connectSocket, disconnectSocket } from './ChatService';
-import { BACKEND_API_URL } from './config';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getUser, getTranscriberPayments } from './api/users';
+import { getTranscriberNegotiations } from './api/negotiations';
+import { getDirectUploadJobHistory, getAvailableDirectUploadJobs } from './api/directUploads';
+import { describeLevelChange } from './levels/transcriberLevels';
+import { isProofreader } from './qa/qaReview';
+import useUnreadMessageCount from './chat/useUnreadMessageCount';
 
 const TranscriberDashboard = () => {
   const { user, isAuthenticated, authLoading, isAuthReady, logout, updateUser } = useAuth();
@@ -13,7 +20,7 @@ const TranscriberDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [negotiations, setNegotiations] = useState([]); 
   // const [directUploadJobs, setDirectUploadJobs] = useState([]); // No longer needed as separate state
-  const [unreadMessageCount, setUnreadMessageCount] = useState(0);
+  const unreadMessageCount = useUnreadMessageCount(user?.id);
   const [availableDirectJobsCount, setAvailableDirectJobsCount] = useState(0);
   const [activeDirectUploadJobsCount, setActiveDirectUploadJobsCount] = useState(0);
   const [completedDirectUploadJobsCount, setCompletedDirectUploadJobsCount] = useState(0); // NEW: State for completed DU jobs count
@@ -23,6 +30,7 @@ const TranscriberDashboard = () => {
     type: 'success'
   });
   const navigate = useNavigate();
+  const getSignal = useAbortSignal();
 
   const audioRef = useRef(null);
 
@@ -49,70 +57,42 @@ const TranscriberDashboard = () => {
   }, []);
 
   const fetchTranscriberStatus = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
+    if (!user?.id) return;
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/users/${user.id}`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && data.user) {
+      const data = await getUser(user.id, { signal: getSignal() });
+      if (data.user) {
         updateUser(data.user);
-        return data.user;
-      } else {
-        console.error('Failed to fetch transcriber status:', data.error);
-        return Promise.reject(new Error(data.error || 'Failed to fetch transcriber status.'));
       }
+      return data.user;
     } catch (error) {
-      console.error('Network error fetching transcriber status:', error);
+      if (isAbortError(error)) return;
+      console.error('Error fetching transcriber status:', error);
       return Promise.reject(error);
     }
-  }, [user?.id, updateUser]); 
-
-  const fetchUnreadMessageCount = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
-
-    try {
-      const response = await fetch(`${BACKEND_API_URL}/api/user/chat/unread-count`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && typeof data.count === 'number') {
-        setUnreadMessageCount(data.count);
-      } else {
-        console.error('Failed to fetch unread message count:', data.error);
-      }
-    } catch (error) {
-      console.error('Network error fetching unread message count:', error);
-    }
-  }, [user?.id]);
+  }, [user?.id, updateUser, getSignal]); 
 
   const fetchAllTranscriberJobsForCounts = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) {
-        if (isAuthenticated) {
-            console.warn("TranscriberDashboard: Token or userId missing for API call despite authenticated state. Forcing logout.");
-            logout();
-        }
-        return Promise.reject(new Error('Authentication token or userId missing.'));
+    if (!user?.id) {
+        return Promise.reject(new Error('User ID missing.'));
     }
 
     try {
-      const [negotiationResponse, directUploadResponse] = await Promise.all([
-        fetch(`${BACKEND_API_URL}/api/transcriber/negotiations`, {
-          headers: { 'Authorization': `Bearer ${token}` }
+      const signal = getSignal();
+      const [negotiationData, directUploadData] = await Promise.all([
+        getTranscriberNegotiations({ signal }).catch(error => {
+          if (isAbortError(error)) throw error;
+          console.error('Failed to fetch transcriber negotiations:', error);
+          return { negotiations: [] };
         }),
         // UPDATED: Call the history endpoint to get all direct upload jobs
-        fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/history`, { 
-          headers: { 'Authorization': `Bearer ${token}` }
+        getDirectUploadJobHistory({ signal }).catch(error => {
+          if (isAbortError(error)) throw error;
+          console.error('Failed to fetch direct upload job history:', error);
+          return { jobs: [] };
         })
       ]);
 
-      const negotiationData = await (negotiationResponse.ok ? negotiationResponse.json() : Promise.resolve({ negotiations: [] }));
-      const directUploadData = await (directUploadResponse.ok ? directUploadResponse.json() : Promise.resolve({ jobs: [] }));
-
       setNegotiations(negotiationData.negotiations || []);
       // setDirectUploadJobs(directUploadData.jobs || []); // No longer needed as separate state
 
@@ -125,54 +105,39 @@ const TranscriberDashboard = () => {
       setCompletedDirectUploadJobsCount(completedJobs.length);
 
     } catch (error) {
-      console.error('Network error while fetching all transcriber jobs for counts:', error);
-      showToast('Network error while fetching dashboard data.', 'error');
+      if (isAbortError(error)) return;
+      console.error('Error while fetching all transcriber jobs for counts:', error);
+      showToast(error.message || 'Network error while fetching dashboard data.', 'error');
       return Promise.reject(error);
     }
-  }, [isAuthenticated, logout, showToast, user?.id]);
+  }, [showToast, user?.id, getSignal]);
 
 
   const fetchTranscriberPaymentHistory = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
+    if (!user?.id) return;
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/transcriber/payments`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && data.summary) {
-        // Data fetched, but not directly used in this component's state
-      } else {
-        console.error('Failed to fetch transcriber payment history:', data.error);
-        return Promise.reject(new Error(data.error || 'Failed to fetch transcriber payment history.'));
-      }
+      // Data fetched, but not directly used in this component's state
+      await getTranscriberPayments({ signal: getSignal() });
     } catch (error) {
-      console.error('Network error fetching transcriber payment history:', error);
+      if (isAbortError(error)) return;
+      console.error('Failed to fetch transcriber payment history:', error);
       return Promise.reject(error);
     }
-  }, [user?.id]);
+  }, [user?.id, getSignal]);
 
   const fetchAvailableDirectJobsCount = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token || !user?.id) return;
+    if (!user?.id) return;
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/available`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const data = await response.json();
-      if (response.ok && data.jobs) {
-        setAvailableDirectJobsCount(data.jobs.length);
-      } else {
-        console.warn('TranscriberDashboard: Failed to fetch available direct jobs or user not eligible: ', data.error);
-        setAvailableDirectJobsCount(0);
-      }
+      const data = await getAvailableDirectUploadJobs({ signal: getSignal() });
+      setAvailableDirectJobsCount(data.jobs ? data.jobs.length : 0);
     } catch (error) {
-      console.error('Network error fetching available direct jobs count:', error);
+      if (isAbortError(error)) return;
+      console.warn('TranscriberDashboard: Failed to fetch available direct jobs or user not eligible: ', error.message);
       setAvailableDirectJobsCount(0);
     }
-  }, [user?.id, setAvailableDirectJobsCount]);
+  }, [user?.id, setAvailableDirectJobsCount, getSignal]);
 
   // REMOVED: fetchActiveDirectUploadJobsCount as it's now handled by fetchAllTranscriberJobsForCounts
 
@@ -201,25 +166,13 @@ const TranscriberDashboard = () => {
   }, [showToast, fetchAllTranscriberJobsForCounts, fetchTranscriberStatus, fetchTranscriberPaymentHistory, fetchAvailableDirectJobsCount]); // REMOVED fetchActiveDirectUploadJobsCount from dependencies
 
 
-  const handleUnreadMessageCountUpdate = useCallback((data) => {
-      if (data.userId === user.id) {
-          console.log('TranscriberDashboard Real-time: Unread message count update received!', data);
-          setUnreadMessageCount(prevCount => prevCount + data.change);
-          showToast('You have a new message!', 'info');
-          if (data.change > 0) {
-              playNotificationSound();
-          }
-      }
-  }, [user?.id, showToast, playNotificationSound, setUnreadMessageCount]);
-
   const handleNewChatMessage = useCallback((data) => {
       console.log('TranscriberDashboard Real-time: New chat message received!', data);
       if (data.sender_id !== user.id) {
-          showToast(`New message from ${data.sender_name || 'Admin'}!`, 'info');
-          fetchUnreadMessageCount();
+          showToast(`New message from ${data.sender_name || 'Admin'}!`, 'info'); // The badge follows via useUnreadMessageCount
           playNotificationSound();
       }
-  }, [user?.id, showToast, fetchUnreadMessageCount, playNotificationSound]);
+  }, [user?.id, showToast, playNotificationSound]);
 
   const handleJobCompleted = useCallback((data) => {
       console.log('TranscriberDashboard Real-time: Job completed! (Negotiation)', data); 
@@ -268,6 +221,15 @@ const TranscriberDashboard = () => {
     // fetchActiveDirectUploadJobsCount(); // REMOVED
   }, [showToast, fetchAllTranscriberJobsForCounts, fetchTranscriberStatus, fetchTranscriberPaymentHistory, fetchAvailableDirectJobsCount]); // REMOVED fetchActiveDirectUploadJobsCount from dependencies
 
+  const handleLevelChanged = useCallback((data) => {
+    console.log('TranscriberDashboard Real-time: Transcriber level changed!', data);
+    const { message, type } = describeLevelChange(data);
+    showToast(message, type);
+    playNotificationSound();
+    fetchTranscriberStatus();
+    fetchAvailableDirectJobsCount();
+  }, [showToast, playNotificationSound, fetchTranscriberStatus, fetchAvailableDirectJobsCount]);
+
 
   useEffect(() => {
     console.log('TranscriberDashboard: Main useEffect. isAuthReady:', isAuthReady, 'user:', user, 'authLoading:', authLoading);
@@ -294,16 +256,8 @@ const TranscriberDashboard = () => {
 
     setLoading(true);
 
-    const token = localStorage.getItem('token');
-    if (!token) {
-        console.warn("TranscriberDashboard: Token missing from localStorage despite isAuthenticated being true. Forcing logout.");
-        logout();
-        return;
-    }
-
     const fetches = [
         fetchAllTranscriberJobsForCounts(), 
-        fetchUnreadMessageCount().catch(e => { console.error("Error in fetchUnreadMessageCount:", e); return 0; }),
         fetchTranscriberPaymentHistory().catch(e => { console.error("Error in fetchTranscriberPaymentHistory:", e); return 0; }),
         // fetchActiveDirectUploadJobsCount().catch(e => { console.error("Error in fetchActiveDirectUploadJobsCount:", e); return 0; }), // REMOVED
         fetchAvailableDirectJobsCount().catch(e => { console.error("Error in fetchAvailableDirectJobsCount:", e); return 0; }),
@@ -324,13 +278,13 @@ const TranscriberDashboard = () => {
     socket.on('negotiation_rejected', handleNegotiationUpdate);
     socket.on('negotiation_countered', handleNegotiationUpdate);
     socket.on('negotiation_cancelled', handleNegotiationUpdate);
-    socket.on('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
     socket.on('newChatMessage', handleNewChatMessage);
     socket.on('job_completed', handleJobCompleted); 
     socket.on('job_hired', handleJobHired); 
     socket.on('new_direct_job_available', handleNewDirectJobAvailable);
     socket.on('direct_job_status_update', handleDirectJobStatusUpdate);
     socket.on('direct_job_completed_transcriber_side', handleDirectJobCompletedTranscriberSide); 
+    socket.on('transcriber_level_changed', handleLevelChanged);
 
 
     return () => {
@@ -340,17 +294,17 @@ const TranscriberDashboard = () => {
       socket.off('negotiation_rejected', handleNegotiationUpdate);
       socket.off('negotiation_countered', handleNegotiationUpdate);
       socket.off('negotiation_cancelled', handleNegotiationUpdate);
-      socket.off('unreadMessageCountUpdate', handleUnreadMessageCountUpdate);
       socket.off('newChatMessage', handleNewChatMessage);
       socket.off('job_completed', handleJobCompleted);
       socket.off('job_hired', handleJobHired);
       socket.off('new_direct_job_available', handleNewDirectJobAvailable);
       socket.off('direct_job_status_update', handleDirectJobStatusUpdate);
       socket.off('direct_job_completed_transcriber_side', handleDirectJobCompletedTranscriberSide);
+      socket.off('transcriber_level_changed', handleLevelChanged);
       socket.off('connect', onSocketConnect); 
       disconnectSocket();
     };
-  }, [isAuthReady, user?.id, navigate, logout, showToast, fetchAllTranscriberJobsForCounts, fetchUnreadMessageCount, fetchTranscriberPaymentHistory, fetchAvailableDirectJobsCount, playNotificationSound, handleNegotiationUpdate, handleUnreadMessageCountUpdate, handleNewChatMessage, handleJobCompleted, handleJobHired, handleNewDirectJobAvailable, handleDirectJobStatusUpdate, handleSocketConnect, updateUser, isAuthenticated, authLoading, user, handleDirectJobCompletedTranscriberSide]); // UPDATED: Removed fetchActiveDirectUploadJobsCount from dependencies
+  }, [isAuthReady, user?.id, navigate, logout, showToast, fetchAllTranscriberJobsForCounts, fetchTranscriberPaymentHistory, fetchAvailableDirectJobsCount, playNotificationSound, handleNegotiationUpdate, handleNewChatMessage, handleJobCompleted, handleJobHired, handleNewDirectJobAvailable, handleDirectJobStatusUpdate, handleSocketConnect, updateUser, isAuthenticated, authLoading, user, handleDirectJobCompletedTranscriberSide, handleLevelChanged]); // UPDATED: Removed fetchActiveDirectUploadJobsCount from dependencies
 
 
   const handleLogout = useCallback(async () => {
@@ -430,6 +384,12 @@ const TranscriberDashboard = () => {
                             <p>View and manage your direct messages.</p>
                         </Link>
 
+                        <Link to="/messages/search" className="dashboard-card">
+                            <div className="card-icon">🔎</div>
+                            <h3>Search Messages</h3>
+                            <p>Find a client's instruction in any of your chats.</p>
+                        </Link>
+
                         {/* NEW: Link to separate active direct upload jobs */}
                         <Link to="/transcriber-direct-upload-jobs" className="dashboard-card">
                             <div className="card-icon">📝</div>
@@ -477,6 +437,14 @@ const TranscriberDashboard = () => {
                             <p>Browse and take direct upload jobs from clients.</p>
                             </Link>
                         )}
+
+                        {isProofreader(user) && (
+                            <Link to="/proofreader/queue" className="dashboard-card">
+                            <div className="card-icon">🔍</div>
+                            <h3>QA Queue</h3>
+                            <p>Proofread completed jobs and score transcribers before release.</p>
+                            </Link>
+                        )}
                         
                         <Link to="/trainee/materials" className="dashboard-card"> 
                             <div className="card-icon">📚</div>
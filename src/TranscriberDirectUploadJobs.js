@@ -1,20 +1,31 @@
 // src/TranscriberDirectUploadJobs.js - Handles ONLY Direct Upload Jobs for Transcribers
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom'; // Removed useLocation import
 import Toast from './Toast';
 import Modal from './Modal';
 import DirectUploadJobCard from './DirectUploadJobCard';
+import TranscriptChecklist from './transcription/TranscriptChecklist';
+import { validateTranscript, hasFailedChecks } from './transcription/transcriptValidation';
+import { getTranscriptDraft } from './api/transcripts';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import {
+    getActiveDirectUploadJobs,
+    deleteDirectUploadJob,
+    downloadDirectUploadFile,
+    cancelDirectUploadJob,
+    submitDirectUploadJob
+} from './api/directUploads';
 import './TranscriberDirectUploadJobs.css';
 
 import { connectSocket, disconnectSocket } from './ChatService';
 import { useAuth } from './contexts/AuthContext';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 // --- Component Definition ---
 const TranscriberDirectUploadJobs = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [directUploadJobs, setDirectUploadJobs] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -30,6 +41,10 @@ const TranscriberDirectUploadJobs = () => {
     const [submitDirectJobConfirmation, setSubmitDirectJobConfirmation] = useState(false);
     const [selectedJobId, setSelectedJobId] = useState(null); // The ID of the job to be submitted
     const [modalLoading, setModalLoading] = useState(false);
+    // Pre-submission check of the workspace transcript against the job's requirements
+    const [transcriptChecks, setTranscriptChecks] = useState(null);
+    const [transcriptChecksLoading, setTranscriptChecksLoading] = useState(false);
+    const [submitDespiteFailedChecks, setSubmitDespiteFailedChecks] = useState(false);
 
     // NEW: State for Cancel Job Modal
     const [showCancelJobModal, setShowCancelJobModal] = useState(false);
@@ -54,26 +69,15 @@ const TranscriberDirectUploadJobs = () => {
 
     // Fetch ONLY direct upload jobs for the current transcriber
     const fetchDirectUploadJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            if (isAuthenticated) {
-                console.warn("TranscriberDirectUploadJobs: Token or userId missing for API call despite authenticated state. Forcing logout.");
-                logout();
-            }
-            return Promise.reject(new Error('Authentication token or userId missing.'));
-        }
+        if (!user?.id) return;
 
         setLoading(true);
         try {
-            // UPDATED: Call the new endpoint for a single active job
-            const directUploadResponse = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/active`, { 
-                headers: { 'Authorization': `Bearer ${token}` }
+            // UPDATED: Call the new endpoint for a single active job; a failed response means no job
+            const directUploadData = await getActiveDirectUploadJobs({ signal: getSignal() }).catch(error => {
+                if (isAbortError(error) || error.isNetworkError) throw error;
+                return { job: null }; // Expect a single job or null
             });
-            
-            let directUploadData = { job: null }; // Expect a single job or null
-            if (directUploadResponse.ok) {
-                directUploadData = await directUploadResponse.json();
-            }
 
             const fetchedDirectUploadJob = directUploadData.job; // Get the single job
             
@@ -118,12 +122,13 @@ const TranscriberDirectUploadJobs = () => {
                 showToast('No active direct upload job assigned to you.', 'info'); // UPDATED message
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Network error while fetching direct upload jobs:", error);
             showToast('Network error while fetching direct upload job.ᐟ', 'error'); // UPDATED message
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast, user?.id]); 
+    }, [getSignal, showToast, user?.id]); 
 
 
     useEffect(() => {
@@ -253,75 +258,56 @@ const TranscriberDirectUploadJobs = () => {
         }
 
         try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
-                return;
-            }
-
-            let apiUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}`; 
-            
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Direct upload job deleted successfully!ᐟ', 'success');
-                fetchDirectUploadJobs(); 
-            } else {
-                showToast(data.error || 'Failed to delete direct upload job.ᐟ', 'error');
-            }
+            await deleteDirectUploadJob(jobId, { signal: getSignal() });
+            showToast('Direct upload job deleted successfully!ᐟ', 'success');
+            fetchDirectUploadJobs(); 
         } catch (error) {
-            showToast('Network error. Please try again.ᐟ', 'error');
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error. Please try again.ᐟ' : error.message || 'Failed to delete direct upload job.ᐟ', 'error');
         }
-    }, [showToast, fetchDirectUploadJobs, logout]);
+    }, [showToast, fetchDirectUploadJobs, getSignal]);
 
     const handleDownloadFile = useCallback(async (jobId, fileName, jobType) => { 
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.ᐟ', 'error');
-            logout();
-            return;
-        }
         if (jobType !== 'direct_upload') { 
             showToast('Only direct upload job files can be downloaded from this view.ᐟ', 'error');
             return;
         }
 
         try {
-            const downloadUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`;
-            
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            await downloadDirectUploadFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...ᐟ`, 'success');
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.ᐟ' : error.message || `Failed to download ${fileName}.ᐟ`, 'error');
+        }
+    }, [getSignal, showToast]);
 
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...ᐟ`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.ᐟ`, 'error');
-            }
+    // The check the submit modal is waiting for ({ jobId }); responses to any earlier check are stale
+    const pendingCheckRef = useRef(null);
+
+    const checkTranscript = useCallback(async (jobId) => {
+        const job = directUploadJobs.find(j => j.id === jobId);
+        const check = { jobId };
+        pendingCheckRef.current = check;
+        setTranscriptChecks(null);
+        setTranscriptChecksLoading(true);
+        try {
+            const { draft } = await getTranscriptDraft('direct_upload', jobId, { signal: getSignal() });
+            if (pendingCheckRef.current !== check) return;
+            setTranscriptChecks(validateTranscript(draft?.content, {
+                specialRequirements: job?.special_requirements || [],
+                timestampIntervalSeconds: job?.timestamp_interval_seconds,
+                durationSeconds: job?.audio_length_minutes ? job.audio_length_minutes * 60 : undefined,
+            }));
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.ᐟ', 'error');
+            if (isAbortError(error) || pendingCheckRef.current !== check) return;
+            console.error('Error loading transcript for checks:', error);
+            showToast(error.isNetworkError ? 'Network error while checking your transcript.' : error.message || 'Could not check your transcript.', 'error');
+        } finally {
+            if (pendingCheckRef.current === check) setTranscriptChecksLoading(false);
         }
-    }, [showToast, logout]);
+    }, [directUploadJobs, getSignal, showToast]);
 
     // --- Modal Handlers for Transcriber Direct Upload Jobs ---
     const openSubmitDirectJobModal = useCallback((jobId) => {
@@ -329,7 +315,9 @@ const TranscriberDirectUploadJobs = () => {
         setShowSubmitDirectJobModal(true);
         setSubmitDirectJobComment(''); 
         setSubmitDirectJobConfirmation(false); 
-    }, []);
+        setSubmitDespiteFailedChecks(false);
+        checkTranscript(jobId);
+    }, [checkTranscript]);
 
     const closeSubmitDirectJobModal = useCallback(() => {
         setShowSubmitDirectJobModal(false);
@@ -337,6 +325,10 @@ const TranscriberDirectUploadJobs = () => {
         setModalLoading(false);
         setSubmitDirectJobComment('');
         setSubmitDirectJobConfirmation(false);
+        pendingCheckRef.current = null;
+        setTranscriptChecks(null);
+        setTranscriptChecksLoading(false);
+        setSubmitDespiteFailedChecks(false);
     }, []);
 
     // NEW: Open Cancel Job Modal
@@ -355,30 +347,19 @@ const TranscriberDirectUploadJobs = () => {
     // NEW: Handle Cancel Job API Call
     const confirmCancelDirectJob = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/${jobToCancelId}/cancel`, {
-                method: 'PUT',
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Job successfully cancelled and returned to available jobs.ᐟ', 'success');
-                closeCancelJobModal();
-                fetchDirectUploadJobs(); // Re-fetch to update the list
-            } else {
-                showToast(data.error || 'Failed to cancel job.ᐟ', 'error');
-            }
+            const data = await cancelDirectUploadJob(jobToCancelId, { signal: getSignal() });
+            showToast(data.message || 'Job successfully cancelled and returned to available jobs.ᐟ', 'success');
+            closeCancelJobModal();
+            fetchDirectUploadJobs(); // Re-fetch to update the list
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error cancelling direct upload job:', error);
-            showToast('Network error while cancelling direct upload job.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error while cancelling direct upload job.ᐟ' : error.message || 'Failed to cancel job.ᐟ', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [jobToCancelId, logout, showToast, closeCancelJobModal, fetchDirectUploadJobs]);
+    }, [jobToCancelId, getSignal, showToast, closeCancelJobModal, fetchDirectUploadJobs]);
 
 
     // --- API Action to Submit Direct Upload Job ---
@@ -387,35 +368,24 @@ const TranscriberDirectUploadJobs = () => {
             showToast('Please confirm that you are sure the job is complete.ᐟ', 'error');
             return;
         }
+        if (transcriptChecks && hasFailedChecks(transcriptChecks) && !submitDespiteFailedChecks) {
+            showToast('Fix the failed transcript checks, or confirm that you want to submit anyway.', 'error');
+            return;
+        }
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/${selectedJobId}/complete`, {
-                method: 'PUT',
-                headers: { 
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ transcriberComment: submitDirectJobComment }) 
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Direct upload job submitted successfully! Waiting for client review.ᐟ', 'success');
-                closeSubmitDirectJobModal();
-                fetchDirectUploadJobs(); 
-            } else {
-                showToast(data.error || 'Failed to submit direct upload job.ᐟ', 'error');
-            }
+            const data = await submitDirectUploadJob(selectedJobId, { transcriberComment: submitDirectJobComment }, { signal: getSignal() });
+            showToast(data.message || 'Direct upload job submitted successfully! Waiting for client review.ᐟ', 'success');
+            closeSubmitDirectJobModal();
+            fetchDirectUploadJobs(); 
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error submitting direct upload job:', error);
-            showToast('Network error while submitting direct upload job.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error while submitting direct upload job.ᐟ' : error.message || 'Failed to submit direct upload job.ᐟ', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedJobId, submitDirectJobComment, submitDirectJobConfirmation, logout, showToast, closeSubmitDirectJobModal, fetchDirectUploadJobs]);
+    }, [selectedJobId, submitDirectJobComment, submitDirectJobConfirmation, transcriptChecks, submitDespiteFailedChecks, getSignal, showToast, closeSubmitDirectJobModal, fetchDirectUploadJobs]);
 
 
     if (authLoading || !isAuthenticated || !user) {
@@ -500,6 +470,18 @@ const TranscriberDirectUploadJobs = () => {
                     submitText="Submit Job"
                     loading={modalLoading}
                 >
+                    <h4>Transcript Checks</h4>
+                    <TranscriptChecklist checks={transcriptChecks} loading={transcriptChecksLoading} />
+                    {transcriptChecks && hasFailedChecks(transcriptChecks) && (
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '15px' }}>
+                            <input
+                                type="checkbox"
+                                checked={submitDespiteFailedChecks}
+                                onChange={(e) => setSubmitDespiteFailedChecks(e.target.checked)}
+                            />
+                            Some checks failed. I have reviewed them and want to submit anyway.
+                        </label>
+                    )}
                     <p>Please provide any final comments for the client and confirm job completion.</p>
                     <textarea
                         value={submitDirectJobComment}
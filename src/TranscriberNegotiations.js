@@ -8,8 +8,17 @@ import './TranscriberNegotiations.css';
 
 import { connectSocket, disconnectSocket } from './ChatService';
 import { useAuth } from './contexts/AuthContext';
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getUser } from './api/users';
+import {
+    getTranscriberNegotiations,
+    acceptNegotiation,
+    counterNegotiation,
+    rejectNegotiation,
+    deleteNegotiation,
+    downloadNegotiationFile
+} from './api/negotiations';
 
 // Helper function to format timestamp robustly for display
 const formatDisplayTimestamp = (isoTimestamp) => {
@@ -31,6 +40,7 @@ const TranscriberNegotiations = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const location = useLocation();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [negotiationJobs, setNegotiationJobs] = useState([]); // Renamed from allJobs
     const [loading, setLoading] = useState(true);
@@ -71,48 +81,33 @@ const TranscriberNegotiations = () => {
     }, []);
 
     const fetchTranscriberDetailedStatus = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
+        if (!user?.id) {
             setTranscriberCurrentJobId(null);
             return;
         }
 
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/users/${user.id}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (response.ok && data.user) {
-                setTranscriberCurrentJobId(data.user.current_job_id || null);
-            } else {
-                console.error('Failed to fetch transcriber detailed status:', data.error);
-                setTranscriberCurrentJobId(null);
-            }
+            const data = await getUser(user.id, { signal: getSignal() });
+            setTranscriberCurrentJobId(data.user?.current_job_id || null);
         } catch (error) {
-            console.error('Network error fetching transcriber detailed status:', error);
+            if (isAbortError(error)) return;
+            console.error('Failed to fetch transcriber detailed status:', error);
             setTranscriberCurrentJobId(null);
         }
-    }, [user?.id, setTranscriberCurrentJobId]);
+    }, [user?.id, getSignal, setTranscriberCurrentJobId]);
 
 
     // Refactored: fetchNegotiationJobs to ONLY fetch negotiation jobs
     const fetchNegotiationJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token || !user?.id) {
-            if (isAuthenticated) {
-                console.warn("TranscriberNegotiations: Token or userId missing for API call despite authenticated state. Forcing logout.");
-                logout();
-            }
-            return Promise.reject(new Error('Authentication token or userId missing.'));
-        }
+        if (!user?.id) return;
 
         setLoading(true);
         try {
-            const negotiationResponse = await fetch(`${BACKEND_API_URL}/api/transcriber/negotiations`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            // A failed response shows an empty list rather than an error
+            const negotiationData = await getTranscriberNegotiations({ signal: getSignal() }).catch(error => {
+                if (isAbortError(error) || error.isNetworkError) throw error;
+                return { negotiations: [] };
             });
-            
-            const negotiationData = await (negotiationResponse.ok ? negotiationResponse.json() : Promise.resolve({ negotiations: [] }));
 
             const fetchedNegotiations = negotiationData.negotiations || [];
             
@@ -153,12 +148,13 @@ const TranscriberNegotiations = () => {
                 showToast('No negotiation jobs found.', 'info');
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Network error while fetching negotiation jobs:", error);
             showToast('Network error while fetching negotiation jobs.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast, user?.id]); 
+    }, [getSignal, showToast, user?.id]); 
 
 
     useEffect(() => {
@@ -291,37 +287,20 @@ const TranscriberNegotiations = () => {
 
     const confirmAcceptNegotiation = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/accept`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Negotiation accepted! Job is now active.', 'success');
-                closeAcceptModal();
-                fetchNegotiationJobs(); // Re-fetch only negotiation jobs
-                fetchTranscriberDetailedStatus();
-            } else {
-                showToast(data.error || 'Failed to accept negotiation.', 'error');
-            }
+            const data = await acceptNegotiation(selectedNegotiationId, { signal: getSignal() });
+            showToast(data.message || 'Negotiation accepted! Job is now active.', 'success');
+            closeAcceptModal();
+            fetchNegotiationJobs(); // Re-fetch only negotiation jobs
+            fetchTranscriberDetailedStatus();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error accepting negotiation:', error);
-            showToast('Network error while accepting negotiation.', 'error');
+            showToast(error.isNetworkError ? 'Network error while accepting negotiation.' : error.message || 'Failed to accept negotiation.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, showToast, closeAcceptModal, fetchNegotiationJobs, logout, fetchTranscriberDetailedStatus]);
+    }, [selectedNegotiationId, showToast, closeAcceptModal, fetchNegotiationJobs, getSignal, fetchTranscriberDetailedStatus]);
 
     const confirmCounterNegotiation = useCallback(async () => {
         setModalLoading(true);
@@ -331,78 +310,42 @@ const TranscriberNegotiations = () => {
             return;
         }
 
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/counter`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    proposed_price_usd: parseFloat(counterOfferData.proposedPrice),
-                    transcriber_response: counterOfferData.transcriberResponse
-                })
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Counter-offer sent! Awaiting client response.', 'success');
-                closeCounterModal();
-                fetchNegotiationJobs(); // Re-fetch only negotiation jobs
-                fetchTranscriberDetailedStatus();
-            } else {
-                showToast(data.error || 'Failed to send counter-offer.', 'error');
-            }
+            const data = await counterNegotiation(selectedNegotiationId, {
+                proposed_price_usd: parseFloat(counterOfferData.proposedPrice),
+                transcriber_response: counterOfferData.transcriberResponse
+            }, { signal: getSignal() });
+            showToast(data.message || 'Counter-offer sent! Awaiting client response.', 'success');
+            closeCounterModal();
+            fetchNegotiationJobs(); // Re-fetch only negotiation jobs
+            fetchTranscriberDetailedStatus();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error submitting counter-offer:', error);
-            showToast('Network error while submitting counter-offer.', 'error');
+            showToast(error.isNetworkError ? 'Network error while submitting counter-offer.' : error.message || 'Failed to send counter-offer.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, counterOfferData, showToast, closeCounterModal, fetchNegotiationJobs, logout, fetchTranscriberDetailedStatus]);
+    }, [selectedNegotiationId, counterOfferData, showToast, closeCounterModal, fetchNegotiationJobs, getSignal, fetchTranscriberDetailedStatus]);
 
     const confirmRejectNegotiation = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/negotiations/${selectedNegotiationId}/reject`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    reason: rejectReason || 'Transcriber rejected the offer.ᐟ'
-                })
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast(data.message || 'Negotiation rejected!.ᐟ', 'success');
-                closeRejectModal();
-                fetchNegotiationJobs(); // Re-fetch only negotiation jobs
-                fetchTranscriberDetailedStatus();
-            } else {
-                showToast(data.error || 'Failed to reject negotiation.', 'error');
-            }
+            const data = await rejectNegotiation(selectedNegotiationId, {
+                reason: rejectReason || 'Transcriber rejected the offer.ᐟ'
+            }, { signal: getSignal() });
+            showToast(data.message || 'Negotiation rejected!.ᐟ', 'success');
+            closeRejectModal();
+            fetchNegotiationJobs(); // Re-fetch only negotiation jobs
+            fetchTranscriberDetailedStatus();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error rejecting negotiation:', error);
-            showToast('Network error while rejecting negotiation.', 'error');
+            showToast(error.isNetworkError ? 'Network error while rejecting negotiation.' : error.message || 'Failed to reject negotiation.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedNegotiationId, rejectReason, showToast, closeRejectModal, fetchNegotiationJobs, logout, fetchTranscriberDetailedStatus]);
+    }, [selectedNegotiationId, rejectReason, showToast, closeRejectModal, fetchNegotiationJobs, getSignal, fetchTranscriberDetailedStatus]);
 
     // Removed: handleSubmitJob (as it's not needed for transcribers in negotiation jobs)
 
@@ -448,76 +391,31 @@ const TranscriberNegotiations = () => {
         }
 
         try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
-                return;
-            }
-
-            let apiUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}`;
-            
-            const response = await fetch(apiUrl, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok) {
-                showToast('Negotiation job deleted successfully!ᐟ', 'success');
-                fetchNegotiationJobs(); // Re-fetch only negotiation jobs
-                fetchTranscriberDetailedStatus();
-            } else {
-                showToast(data.error || 'Failed to delete negotiation job', 'error');
-            }
+            await deleteNegotiation(jobId, { signal: getSignal() });
+            showToast('Negotiation job deleted successfully!ᐟ', 'success');
+            fetchNegotiationJobs(); // Re-fetch only negotiation jobs
+            fetchTranscriberDetailedStatus();
         } catch (error) {
-            showToast('Network error. Please try again.ᐟ', 'error');
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error. Please try again.ᐟ' : error.message || 'Failed to delete negotiation job', 'error');
         }
-    }, [showToast, fetchNegotiationJobs, logout, fetchTranscriberDetailedStatus]);
+    }, [showToast, fetchNegotiationJobs, getSignal, fetchTranscriberDetailedStatus]);
 
     const handleDownloadFile = useCallback(async (jobId, fileName, jobType) => { 
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
         if (jobType !== 'negotiation') { // Only allow download for negotiation jobs here
             showToast('Only negotiation job files can be downloaded from this view.', 'error');
             return;
         }
 
         try {
-            const downloadUrl = `${BACKEND_API_URL}/api/negotiations/${jobId}/download/${fileName}`;
-            
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await downloadNegotiationFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
     if (authLoading || !isAuthenticated || !user) {
@@ -1,15 +1,18 @@
 // src/TranscriberOtherJobs.js
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal';
 import { useAuth } from './contexts/AuthContext';
 import { connectSocket } from './ChatService';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTranscriberLevel } from './api/users';
+import { getAvailableDirectUploadJobs, takeDirectUploadJob, downloadDirectUploadFile } from './api/directUploads';
+import { getLevelLabel, isJobAllowedForLevel, describeLevelChange } from './levels/transcriberLevels';
 import './TranscriberOtherJobs.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 // Helper function to format timestamp robustly for display (ensuring consistency across components)
 const formatDisplayTimestamp = (isoTimestamp) => {
     if (!isoTimestamp) return 'N/A';
@@ -26,10 +29,12 @@ const formatDisplayTimestamp = (isoTimestamp) => {
 };
 
 const TranscriberOtherJobs = () => {
-    const { user, isAuthenticated, authLoading, logout } = useAuth();
+    const { user, isAuthenticated, authLoading, logout, updateUser } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     const [availableJobs, setAvailableJobs] = useState([]);
+    const [levelAccess, setLevelAccess] = useState({ level: '', jobAccess: null });
     const [loading, setLoading] = useState(true);
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
 
@@ -48,47 +53,50 @@ const TranscriberOtherJobs = () => {
     }, []);
 
     const fetchAvailableJobs = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("TranscriberOtherJobs: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/available`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
+            const data = await getAvailableDirectUploadJobs({ signal: getSignal() });
 
             // NEW LOG: Log the raw data received from the backend
             console.log("[TranscriberOtherJobs] Raw data from /api/transcriber/direct-jobs/available:", data);
 
-            if (response.ok) {
-                setAvailableJobs(data.jobs || []);
-                if (data.jobs?.length === 0) {
-                    showToast('No direct upload jobs available for you right now.', 'info');
-                }
-            } else {
-                if (response.status === 409) {
-                    showToast(data.error || 'You are not eligible to view these jobs due to your current status.', 'error');
-                } else if (response.status === 403) {
-                    showToast('You must be a 4-star or 5-star transcriber to access these jobs.', 'error');
-                } else {
-                    showToast(data.error || 'Failed to load available jobs.', 'error');
-                }
+            setAvailableJobs(data.jobs || []);
+            if (data.jobs?.length === 0) {
+                showToast('No direct upload jobs available for you right now.', 'info');
             }
         } catch (error) {
-            console.error('Network error fetching available jobs:', error);
-            showToast('Network error while fetching available jobs.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error fetching available jobs:', error);
+            if (error.isNetworkError) {
+                showToast('Network error while fetching available jobs.', 'error');
+            } else if (error.status === 409) {
+                showToast(error.data?.error || 'You are not eligible to view these jobs due to your current status.', 'error');
+            } else if (error.status === 403) {
+                showToast('You must be a 4-star or 5-star transcriber to access these jobs.', 'error');
+            } else {
+                showToast(error.message || 'Failed to load available jobs.', 'error');
+            }
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [getSignal, showToast]);
+
+    // The backend only offers jobs the transcriber's level allows; filtering here as well keeps the
+    // list right when a job_access change lands between refreshes.
+    const fetchLevelAccess = useCallback(async () => {
+        try {
+            const data = await getTranscriberLevel({ signal: getSignal() });
+            setLevelAccess({ level: data.level, jobAccess: data.job_access || null });
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error fetching transcriber level:', error);
+        }
+    }, [getSignal]);
+
+    const visibleJobs = useMemo(
+        () => availableJobs.filter((job) => isJobAllowedForLevel(job, levelAccess.jobAccess)),
+        [availableJobs, levelAccess.jobAccess]
+    );
 
     useEffect(() => {
         if (authLoading) return;
@@ -100,7 +108,8 @@ const TranscriberOtherJobs = () => {
         }
 
         fetchAvailableJobs();
-    }, [isAuthenticated, authLoading, user, navigate, fetchAvailableJobs]);
+        fetchLevelAccess();
+    }, [isAuthenticated, authLoading, user, navigate, fetchAvailableJobs, fetchLevelAccess]);
 
 
     // --- Socket.IO Event Listeners for Real-time Updates ---
@@ -141,19 +150,29 @@ const TranscriberOtherJobs = () => {
             fetchAvailableJobs(); // Refresh the list to include the newly available job
         };
 
+        const handleLevelChanged = (data) => {
+            console.log('TranscriberOtherJobs Real-time: Transcriber level changed!', data);
+            const { message, type } = describeLevelChange(data);
+            showToast(message, type);
+            updateUser();
+            fetchLevelAccess();
+            fetchAvailableJobs(); // The feed depends on the level
+        };
 
         socket.on('new_direct_job_available', handleNewDirectJobAvailable);
         socket.on('direct_job_status_update', handleDirectJobStatusUpdate);
         socket.on('direct_upload_job_taken', handleDirectJobTaken);
         socket.on('direct_upload_job_available_again', handleDirectUploadJobAvailableAgain); // NEW: Listener
+        socket.on('transcriber_level_changed', handleLevelChanged);
 
         return () => {
             socket.off('new_direct_job_available', handleNewDirectJobAvailable);
             socket.off('direct_job_status_update', handleDirectJobStatusUpdate);
             socket.off('direct_upload_job_taken', handleDirectJobTaken);
             socket.off('direct_upload_job_available_again', handleDirectUploadJobAvailableAgain); // NEW: Cleanup
+            socket.off('transcriber_level_changed', handleLevelChanged);
         };
-    }, [user?.id, isAuthenticated, fetchAvailableJobs, showToast]);
+    }, [user?.id, isAuthenticated, fetchAvailableJobs, fetchLevelAccess, updateUser, showToast]);
 
 
     // --- Modal Handlers ---
@@ -172,70 +191,36 @@ const TranscriberOtherJobs = () => {
     // --- API Actions ---
     const confirmTakeJob = useCallback(async () => {
         setModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/direct-jobs/${selectedJobId}/take`, {
-                method: 'PUT',
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Job successfully taken! You are now working on this job.', 'success');
-                closeTakeJobModal();
-                navigate('/transcriber-dashboard'); // Redirect to dashboard to show active job
+            const data = await takeDirectUploadJob(selectedJobId, { signal: getSignal() });
+            showToast(data.message || 'Job successfully taken! You are now working on this job.', 'success');
+            closeTakeJobModal();
+            navigate('/transcriber-dashboard'); // Redirect to dashboard to show active job
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error taking job:', error);
+            if (error.isNetworkError) {
+                showToast('Network error while taking job.', 'error');
             } else {
-                showToast(data.error || 'Failed to take job. This job might have been taken by another transcriber.', 'error');
+                showToast(error.message || 'Failed to take job. This job might have been taken by another transcriber.', 'error');
                 fetchAvailableJobs(); // Refresh the list if taking failed (e.g., job already taken)
             }
-        } catch (error) {
-            console.error('Error taking job:', error);
-            showToast('Network error while taking job.', 'error');
         } finally {
             setModalLoading(false);
         }
-    }, [selectedJobId, logout, navigate, showToast, closeTakeJobModal, fetchAvailableJobs]);
+    }, [selectedJobId, getSignal, navigate, showToast, closeTakeJobModal, fetchAvailableJobs]);
 
     // NEW: Handle file download with authentication token
     const handleDownloadFile = useCallback(async (jobId, fileName) => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const downloadUrl = `${BACKEND_API_URL}/api/direct-jobs/${jobId}/download/${fileName}`;
-            const response = await fetch(downloadUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = fileName;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                window.URL.revokeObjectURL(url);
-                showToast(`Downloading ${fileName}...`, 'success');
-            } else {
-                const errorData = await response.json();
-                showToast(errorData.error || `Failed to download ${fileName}.`, 'error');
-            }
+            await downloadDirectUploadFile(jobId, fileName, { signal: getSignal() });
+            showToast(`Downloading ${fileName}...`, 'success');
         } catch (error) {
-            console.error('Network error during file download:', error);
-            showToast('Network error during file download. Please try again.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error during file download:', error);
+            showToast(error.isNetworkError ? 'Network error during file download. Please try again.' : error.message || `Failed to download ${fileName}.`, 'error');
         }
-    }, [showToast, logout]);
+    }, [getSignal, showToast]);
 
 
     // Helper function to format status text for display
@@ -275,13 +260,19 @@ const TranscriberOtherJobs = () => {
                         <div className="header-text">
                             <h2>Available Direct Upload Jobs</h2>
                             <p>Browse jobs posted directly by clients and take them if you qualify.</p>
+                            {levelAccess.level && (
+                                <p className="level-access-note">
+                                    Showing jobs open to your level: <strong>{getLevelLabel(levelAccess.level)}</strong>
+                                    {availableJobs.length > visibleJobs.length && ` (${availableJobs.length - visibleJobs.length} more need a higher level)`}
+                                </p>
+                            )}
                         </div>
                         <Link to="/transcriber-dashboard" className="back-to-dashboard-btn">
                             ← Back to Dashboard
                         </Link>
                     </div>
 
-                    {availableJobs.length === 0 ? (
+                    {visibleJobs.length === 0 ? (
                         <p className="no-data-message">No direct upload jobs available for you right now.</p>
                     ) : (
                         <div className="jobs-table-container">
@@ -319,7 +310,7 @@ const TranscriberOtherJobs = () => {
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    {availableJobs.map(job => (
+                                    {visibleJobs.map(job => (
                                         <tr key={job.id}>
                                             <td>{job.id.substring(0, 8)}...</td>
                                             <td>{job.client?.full_name || 'N/A'}</td>
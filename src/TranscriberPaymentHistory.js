@@ -3,13 +3,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast'; 
 import { useAuth } from './contexts/AuthContext';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTranscriberPayments } from './api/users';
 import './TranscriberPaymentHistory.css'; 
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const TranscriberPaymentHistory = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
+    const getSignal = useAbortSignal();
 
     // State to hold only the summary values for the cards
     const [totalEarned, setTotalEarned] = useState(0);
@@ -26,46 +28,27 @@ const TranscriberPaymentHistory = () => {
     }, []);
 
     const fetchTranscriberPayouts = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("TranscriberPaymentHistory: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
             // This endpoint now returns separated completed and upcoming payments
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/payments`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                // Set summary values directly for the cards
-                setTotalEarned(data.summary?.totalEarned || 0);
-                setUpcomingPayout(data.summary?.upcomingPayout || 0);
-
-                if (data.summary?.totalEarned === 0 && data.summary?.upcomingPayout === 0) {
-                    showToast('No payment history or upcoming payouts found yet.', 'info');
-                } else if (data.summary?.upcomingPayout === 0 && data.summary?.totalEarned > 0) {
-                    showToast('No upcoming payouts found, but you have past earnings.', 'info');
-                }
-            } else {
-                showToast(data.error || 'Failed to load payment history.', 'error');
+            const data = await getTranscriberPayments({ signal: getSignal() });
+            // Set summary values directly for the cards
+            setTotalEarned(data.summary?.totalEarned || 0);
+            setUpcomingPayout(data.summary?.upcomingPayout || 0);
+
+            if (data.summary?.totalEarned === 0 && data.summary?.upcomingPayout === 0) {
+                showToast('No payment history or upcoming payouts found yet.', 'info');
+            } else if (data.summary?.upcomingPayout === 0 && data.summary?.totalEarned > 0) {
+                showToast('No upcoming payouts found, but you have past earnings.', 'info');
             }
         } catch (error) {
-            console.error('Network error fetching payment history:', error);
-            showToast('Network error while fetching payment history.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error fetching payment history:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching payment history.' : error.message || 'Failed to load payment history.', 'error');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, showToast]);
+    }, [showToast, getSignal]);
 
     useEffect(() => {
         if (authLoading) return;
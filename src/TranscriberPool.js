@@ -6,9 +6,11 @@ import Toast from './Toast';
 import './TranscriberPool.css';
 
 import { useAuth } from './contexts/AuthContext';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getAvailableTranscribers } from './api/users';
+import { uploadNegotiationTempFile, createNegotiation } from './api/negotiations';
 
-// Define the backend URL constant for API calls within this component
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 const MAX_FILE_SIZE_MB = 500; // Define max file size for client-side validation
 
 const TranscriberPool = () => {
@@ -32,6 +34,7 @@ const TranscriberPool = () => {
     type: 'success'
   });
   const navigate = useNavigate();
+  const getSignal = useAbortSignal();
 
   const showToast = useCallback((message, type = 'success') => {
     setToast({
@@ -49,43 +52,28 @@ const TranscriberPool = () => {
   }, []);
 
   const fetchAvailableTranscribers = useCallback(async () => {
-    const token = localStorage.getItem('token');
-    if (!token) {
-      setLoading(false);
-      return;
-    }
-
     setLoading(true);
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/transcribers/available`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      const data = await response.json();
-      if (response.ok) {
-        // Filter out transcribers that are not truly available based on backend logic
-        const trulyAvailableTranscribers = data.transcribers.filter(transcriber =>
-            transcriber &&
-            transcriber.users &&
-            transcriber.users.full_name &&
-            typeof transcriber.users.full_name === 'string' &&
-            transcriber.id
-            // The backend's getAvailableTranscribers function now correctly filters by is_online and current_job_id
-            // So no additional filtering is strictly needed here unless frontend specific logic is required.
-        );
-        setTranscribers(trulyAvailableTranscribers);
-      } else {
-        showToast(data.error || 'Failed to load transcribers', 'error');
-      }
+      const data = await getAvailableTranscribers({ signal: getSignal() });
+      // Filter out transcribers that are not truly available based on backend logic
+      const trulyAvailableTranscribers = (data.transcribers || []).filter(transcriber =>
+          transcriber &&
+          transcriber.users &&
+          transcriber.users.full_name &&
+          typeof transcriber.users.full_name === 'string' &&
+          transcriber.id
+          // The backend's getAvailableTranscribers function now correctly filters by is_online and current_job_id
+          // So no additional filtering is strictly needed here unless frontend specific logic is required.
+      );
+      setTranscribers(trulyAvailableTranscribers);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("Fetch transcribers error:", error);
-      showToast('Network error. Please try again.', 'error');
+      showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to load transcribers', 'error');
     } finally {
       setLoading(false);
     }
-  }, [showToast]);
+  }, [getSignal, showToast]);
 
   useEffect(() => {
     if (authLoading) {
@@ -142,46 +130,24 @@ const TranscriberPool = () => {
 
   const uploadFileForNegotiation = useCallback(async (file) => {
     setNegotiationData(prev => ({ ...prev, isUploadingFile: true, uploadedFileUrl: null }));
-    const token = localStorage.getItem('token');
-    if (!token) {
-        showToast('Authentication token missing. Please log in again.', 'error');
-        setNegotiationData(prev => ({ ...prev, isUploadingFile: false }));
-        return null;
-    }
-
     const formData = new FormData();
     formData.append('negotiationFile', file);
 
     try {
-        const response = await fetch(`${BACKEND_API_URL}/api/negotiations/temp-upload`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            body: formData
-        });
-
-        const data = await response.json();
-        if (response.ok) {
-            showToast('File uploaded successfully!', 'success');
-            setNegotiationData(prev => ({ ...prev, uploadedFileUrl: data.fileUrl, isUploadingFile: false }));
-            return data.fileUrl;
-        } else {
-            showToast(data.error || 'Failed to upload file.', 'error');
-            setNegotiationData(prev => ({ ...prev, selectedFile: null, uploadedFileUrl: null, isUploadingFile: false }));
-            const fileInput = document.getElementById('negotiationFileInput');
-            if (fileInput) fileInput.value = '';
-            return null;
-        }
+        const data = await uploadNegotiationTempFile(formData, { signal: getSignal() });
+        showToast('File uploaded successfully!', 'success');
+        setNegotiationData(prev => ({ ...prev, uploadedFileUrl: data.fileUrl, isUploadingFile: false }));
+        return data.fileUrl;
     } catch (error) {
+        if (isAbortError(error)) return null;
         console.error("File upload error:", error);
-        showToast('Network error during file upload. Please try again.', 'error');
+        showToast(error.isNetworkError ? 'Network error during file upload. Please try again.' : error.message || 'Failed to upload file.', 'error');
         setNegotiationData(prev => ({ ...prev, selectedFile: null, uploadedFileUrl: null, isUploadingFile: false }));
         const fileInput = document.getElementById('negotiationFileInput');
         if (fileInput) fileInput.value = '';
         return null;
     }
-  }, [showToast]);
+  }, [getSignal, showToast]);
 
 
   const handleNegotiationChange = useCallback(async (e) => {
@@ -227,12 +193,6 @@ const TranscriberPool = () => {
 
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      if (!token) {
-        logout();
-        return;
-      }
-
       const postData = {
         transcriber_id: selectedTranscriber.id,
         requirements: negotiationData.requirements,
@@ -241,32 +201,20 @@ const TranscriberPool = () => {
         negotiation_file_url: negotiationData.uploadedFileUrl // Pass the URL, not the file object
       };
 
-      const response = await fetch(`${BACKEND_API_URL}/api/negotiations/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json', // Now sending JSON
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(postData)
-      });
-
-      const data = await response.json();
-      if (response.ok) {
-        showToast('Negotiation request sent successfully! Redirecting...', 'success');
-        closeNegotiation();
-        setTimeout(() => {
-          navigate('/client-negotiations');
-        }, 2000);
-      } else {
-        showToast(data.error || 'Failed to send negotiation request', 'error');
-      }
+      await createNegotiation(postData, { signal: getSignal() });
+      showToast('Negotiation request sent successfully! Redirecting...', 'success');
+      closeNegotiation();
+      setTimeout(() => {
+        navigate('/client-negotiations');
+      }, 2000);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("Submit negotiation error:", error);
-      showToast('Network error. Please try again.', 'error');
+      showToast(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Failed to send negotiation request', 'error');
     } finally {
       setLoading(false);
     }
-  }, [negotiationData, selectedTranscriber, showToast, closeNegotiation, navigate, logout]);
+  }, [negotiationData, selectedTranscriber, showToast, closeNegotiation, navigate, getSignal]);
 
   const getBadgeColor = useCallback((badge) => {
     const colors = {
@@ -5,14 +5,16 @@ import { Link, useNavigate, useParams } from 'react-router-dom';
 import Toast from './Toast';
 import Modal from './Modal'; // NEW: Import Modal component for edit form
 import { useAuth } from './contexts/AuthContext';
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getUser, getUserRatings, updateTranscriberProfile } from './api/users';
 import './TranscriberProfile.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const TranscriberProfile = () => {
     const { user, isAuthenticated, authLoading, logout } = useAuth();
     const navigate = useNavigate();
     const { transcriberId: profileId } = useParams(); // Get transcriber ID from URL params
+    const getSignal = useAbortSignal();
 
     const [profileData, setProfileData] = useState(null);
     const [ratings, setRatings] = useState([]);
@@ -35,38 +37,26 @@ const TranscriberProfile = () => {
     }, []);
 
     const fetchTranscriberProfile = useCallback(async () => {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            if (isAuthenticated) {
-                console.warn("TranscriberProfile: Token missing despite authenticated state. Forcing logout.");
-                logout();
-            }
-            setLoading(false);
-            return;
-        }
-
         setLoading(true);
         try {
+            const signal = getSignal();
             // Fetch transcriber's main user data and profile data
             // Ensure mpesa_number and paypal_email are fetched here
-            const userResponse = await fetch(`${BACKEND_API_URL}/api/users/${profileId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const userData = await userResponse.json();
+            const userData = await getUser(profileId, { signal });
 
-            if (!userResponse.ok || !userData.user) {
-                showToast(userData.error || 'Failed to load transcriber profile.', 'error');
+            if (!userData.user) {
+                showToast('Failed to load transcriber profile.', 'error');
                 navigate('/transcriber-dashboard'); // Redirect if profile not found
                 return;
             }
 
             // Fetch transcriber's ratings
-            const ratingsResponse = await fetch(`${BACKEND_API_URL}/api/ratings/transcriber/${profileId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            const ratingsData = await getUserRatings('transcriber', profileId, { signal }).catch(error => {
+                if (isAbortError(error)) throw error;
+                return { error: error.message };
             });
-            const ratingsData = await ratingsResponse.json();
 
-            if (ratingsResponse.ok) {
+            if (!ratingsData.error) {
                 setProfileData({
                     ...userData.user,
                     average_rating: ratingsData.averageRating || 0, // Use the fetched average rating
@@ -101,13 +91,14 @@ const TranscriberProfile = () => {
             }
 
         } catch (error) {
-            console.error('Network error fetching transcriber profile/ratings:', error);
-            showToast('Network error while fetching profile data.', 'error');
+            if (isAbortError(error)) return;
+            console.error('Error fetching transcriber profile/ratings:', error);
+            showToast(error.isNetworkError ? 'Network error while fetching profile data.' : error.message || 'Failed to load transcriber profile.', 'error');
             navigate('/transcriber-dashboard');
         } finally {
             setLoading(false);
         }
-    }, [isAuthenticated, logout, navigate, profileId, showToast, user?.id]); // Added user.id to dependencies
+    }, [getSignal, navigate, profileId, showToast, user?.id]); // Added user.id to dependencies
 
 
     useEffect(() => {
@@ -157,41 +148,22 @@ const TranscriberProfile = () => {
 
     const submitEditProfile = useCallback(async () => {
         setEditModalLoading(true);
-        const token = localStorage.getItem('token');
-        if (!token) {
-            showToast('Authentication token missing. Please log in again.', 'error');
-            logout();
-            return;
-        }
-
         try {
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber-profile/${profileId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    mpesa_number: editMpesaNumber, // FIX: Send as mpesa_number (backend expects this on transcriber-profile update)
-                    paypal_email: editPaypalEmail // FIX: Send as paypal_email (backend expects this on transcriber-profile update)
-                })
-            });
-            const data = await response.json();
-
-            if (response.ok) {
-                showToast(data.message || 'Profile updated successfully!', 'success');
-                closeEditProfileModal();
-                fetchTranscriberProfile(); // Re-fetch profile to show updated details
-            } else {
-                showToast(data.error || 'Failed to update profile.', 'error');
-            }
+            const data = await updateTranscriberProfile(profileId, {
+                mpesa_number: editMpesaNumber, // FIX: Send as mpesa_number (backend expects this on transcriber-profile update)
+                paypal_email: editPaypalEmail // FIX: Send as paypal_email (backend expects this on transcriber-profile update)
+            }, { signal: getSignal() });
+            showToast(data.message || 'Profile updated successfully!', 'success');
+            closeEditProfileModal();
+            fetchTranscriberProfile(); // Re-fetch profile to show updated details
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error submitting profile update:', error);
-            showToast('Network error while updating profile.', 'error');
+            showToast(error.isNetworkError ? 'Network error while updating profile.' : error.message || 'Failed to update profile.', 'error');
         } finally {
             setEditModalLoading(false);
         }
-    }, [profileId, editMpesaNumber, editPaypalEmail, showToast, logout, closeEditProfileModal, fetchTranscriberProfile]);
+    }, [profileId, editMpesaNumber, editPaypalEmail, showToast, getSignal, closeEditProfileModal, fetchTranscriberProfile]);
 
 
     if (authLoading || !isAuthenticated || !user || loading || !profileData) {
@@ -1,36 +1,45 @@
 // src/TranscriberTest.js
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './TranscriberTest.css';
 import { useAuth } from './contexts/AuthContext';
-import { BACKEND_API_URL } from './config'; // NEW: Import BACKEND_API_URL
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTranscriberStatus } from './api/users';
+import useAssessmentSession from './assessment/useAssessmentSession';
+import { formatDuration, getCountdownLevel } from './assessment/assessmentTimer';
 
 const TranscriberTest = () => {
-  const { user, isAuthenticated, authLoading, logout } = useAuth();
+  const { user, isAuthenticated, authLoading } = useAuth();
 
-  const [currentSection, setCurrentSection] = useState('instructions');
-  const [testData, setTestData] = useState({
-    grammarAnswers: {},
-    transcriptionText: ''
-  });
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const navigate = useNavigate();
-
-  // Grammar questions (memoized for performance)
-  const grammarQuestions = useMemo(() => [
-    { id: 1, question: "Choose the correct sentence.", options: ["Their going to the store", "They're going to the store", "There going to the store"], correct: 1 },
-    { id: 2, question: "Which word is spelled correctly?", options: ["Recieve", "Receive", "Receeve"], correct: 1 },
-    { id: 3, question: "Choose the correct punctuation.", options: ["Hello, how are you today?", "Hello how are you today.", "Hello; how are you today"], correct: 0 },
-    { id: 4, question: "Select the proper capitalization.", options: ["i went to New york last Summer", "I went to new york last summer", "I went to New York last summer"], correct: 2 },
-    { id: 5, question: "Choose the correct verb form.", options: ["She don't like coffee", "She doesn't like coffee", "She doesn't likes coffee"], correct: 1 },
-    { id: 6, question: "Identify the misspelled word.", options: ["Separate", "Definite", "recieve"], correct: 2 },
-    { id: 7, question: "Which sentence uses proper comma placement?", options: ["I like coffee, tea, and juice.", "I like coffee tea, and juice.", "I like coffee, tea and juice."], correct: 0 },
-    { id: 8, question: "Choose the word that means 'to affect'.", options: ["Effect", "Affect", "Efect"], correct: 1 },
-    { id: 9, question: "Complete the sentence: 'The book is ______ the table.'", options: ["on", "in", "at"], correct: 0 },
-    { id: 10, question: "Which sentence is grammatically correct?", options: ["Me and John went to the park.", "John and I went to the park.", "John and me went to the park."], correct: 1 }
-  ], []);
+  const getSignal = useAbortSignal();
+
+  // The test is drawn from the admin question bank and scored by the backend, so the questions
+  // arrive without their answers and the clip without its reference transcript. The session is
+  // timed by the server and autosaved, so a reload picks up where the applicant left off.
+  const {
+    assessment,
+    loadError: assessmentError,
+    load: loadAssessment,
+    section: currentSection,
+    goToSection,
+    start: startTest,
+    grammarAnswers,
+    setGrammarAnswer,
+    transcriptionText,
+    setTranscriptionText,
+    remainingSeconds,
+    saveStatus,
+    submitState,
+    submit,
+  } = useAssessmentSession();
+  const grammarQuestions = assessment?.grammar_questions || [];
+  const transcriptionClip = assessment?.transcription_clip;
+  const timeIsUp = remainingSeconds === 0;
 
   // --- Role Enforcement based on AuthContext state ---
   useEffect(() => {
@@ -63,20 +72,15 @@ const TranscriberTest = () => {
     console.log('TranscriberTest: User is an authenticated transcriber. Checking test status...');
     const checkTestStatusAndRedirect = async () => {
         try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                console.error('TranscriberTest: Token missing for API call despite authenticated state. Forcing logout.');
-                logout();
-                return;
-            }
-            // CORRECTED: Use BACKEND_API_URL
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/status`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            // If the status check itself is refused, still show the test; the backend guards submissions
+            const statusData = await getTranscriberStatus({ signal: getSignal() }).catch((statusError) => {
+                if (isAbortError(statusError) || statusError.isNetworkError) throw statusError;
+                console.warn('TranscriberTest: Could not check test status:', statusError.message);
+                return {};
             });
-            const statusData = await response.json();
             console.log('TranscriberTest: API statusData (delayed):', statusData);
 
-            if (response.ok && statusData.has_submitted_test) {
+            if (statusData.has_submitted_test) {
                 console.log('TranscriberTest: Test already submitted. Redirecting based on submission status.');
                 if (statusData.test_submission?.status === 'pending') {
                     navigate('/transcriber-waiting');
@@ -90,7 +94,10 @@ const TranscriberTest = () => {
                 console.groupEnd();
                 return;
             }
+
+            await loadAssessment();
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('TranscriberTest: Error checking test status:', error);
         } finally {
             setLoading(false);
@@ -101,97 +108,48 @@ const TranscriberTest = () => {
 
     checkTestStatusAndRedirect();
 
-  }, [isAuthenticated, authLoading, user, navigate, logout]);
-
+  }, [isAuthenticated, authLoading, user, navigate, loadAssessment, getSignal]);
 
-  const handleGrammarAnswer = useCallback((questionId, answerIndex) => {
-    setTestData((prev) => ({
-      ...prev,
-      grammarAnswers: {
-        ...prev.grammarAnswers,
-        [questionId]: answerIndex
-      }
-    }));
-  }, []);
 
   const handleTranscriptionChange = useCallback((e) => {
-    setTestData((prev) => ({
-      ...prev,
-      transcriptionText: e.target.value
-    }));
-  }, []);
-
-  const calculateGrammarScore = useCallback(() => {
-    let correct = 0;
-    grammarQuestions.forEach(q => {
-      if (testData.grammarAnswers[q.id] === q.correct) {
-        correct++;
-      }
-    });
-    return (correct / grammarQuestions.length) * 100;
-  }, [testData.grammarAnswers, grammarQuestions]);
+    setTranscriptionText(e.target.value);
+  }, [setTranscriptionText]);
 
   // Renamed handleSubmit to handleTestSubmit to be more specific
-  const handleTestSubmit = useCallback(async () => {
+  const handleTestSubmit = useCallback(() => {
     // Check if all grammar questions are answered
-    if (Object.keys(testData.grammarAnswers).length < grammarQuestions.length) {
+    if (Object.keys(grammarAnswers).length < assessment.grammar_questions.length) {
       setMessage('Please answer all grammar questions');
       return;
     }
 
     // Check if transcription text is provided
-    if (!testData.transcriptionText.trim()) {
+    if (!transcriptionText.trim()) {
       setMessage('Please complete the transcription task');
       return;
     }
 
-    setLoading(true);
     setMessage(''); // Clear previous messages
+    // Grammar is scored by the backend against the bank's answers
+    submit();
+  }, [assessment, grammarAnswers, transcriptionText, submit]);
 
-    try {
-      const grammarScore = calculateGrammarScore();
-      const token = localStorage.getItem('token');
-
-      if (!token) {
-        console.error("TranscriberTest: Token missing for submission.");
-        logout();
-        return;
-      }
-
-      // Make the API call to the backend
-      // CORRECTED: Use BACKEND_API_URL
-      const response = await fetch(`${BACKEND_API_URL}/api/transcriber/submit-test`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          grammar_score: grammarScore,
-          transcription_text: testData.transcriptionText
-        })
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setMessage('Test submitted successfully! Redirecting...');
-        // Clear form data after successful submission if needed
-        setTestData({ grammarAnswers: {}, transcriptionText: '' });
-
-        setTimeout(() => {
-          navigate('/transcriber-waiting');
-        }, 2000);
-      } else {
-        setMessage(data.error || 'Test submission failed');
-      }
-    } catch (error) {
-      setMessage('Network error. Please try again.');
-      console.error("Test submission network error:", error);
-    } finally {
-      setLoading(false);
+  // Manual and time-up submissions both end up here
+  useEffect(() => {
+    if (submitState.status === 'submitted') {
+      setMessage(submitState.auto
+        ? 'Time is up. Your answers were submitted automatically. Redirecting...'
+        : 'Test submitted successfully! Redirecting...');
+      const timeoutId = setTimeout(() => {
+        navigate('/transcriber-waiting');
+      }, 2000);
+      return () => clearTimeout(timeoutId);
+    }
+    if (submitState.status === 'error') {
+      setMessage(submitState.error);
     }
-  }, [calculateGrammarScore, grammarQuestions, testData.grammarAnswers, testData.transcriptionText, navigate, logout, setMessage, setLoading]); // Added dependencies
+    return undefined;
+  }, [submitState, navigate]);
 
   if (authLoading) {
     return <div className="loading-container">Loading authentication...</div>;
@@ -204,7 +162,10 @@ const TranscriberTest = () => {
   }
 
   if (loading) {
-    return <div className="loading-container">Submitting test...</div>;
+    return <div className="loading-container">Loading your test...</div>;
+  }
+  if (submitState.status === 'submitting') {
+    return <div className="loading-container">{submitState.auto ? 'Time is up. Submitting your answers...' : 'Submitting test...'}</div>;
   }
 
   return (
@@ -212,6 +173,16 @@ const TranscriberTest = () => {
       <header className="test-header">
         <h1 className="test-title">Transcriber Assessment Test</h1>
         <p className="welcome-message">Welcome {user.full_name}!</p>
+        {currentSection !== 'instructions' && remainingSeconds !== null && (
+          <div className="test-session-bar">
+            <span className={`test-countdown ${getCountdownLevel(remainingSeconds)}`}>
+              ⏱ {timeIsUp ? 'Time is up' : `${formatDuration(remainingSeconds)} left`}
+            </span>
+            <span className={`test-save-status ${saveStatus}`}>
+              {{ unsaved: 'Unsaved changes', saving: 'Saving...', saved: 'Answers saved', error: 'Could not save. Retrying shortly.' }[saveStatus]}
+            </span>
+          </div>
+        )}
       </header>
 
       <div className="test-content">
@@ -221,9 +192,15 @@ const TranscriberTest = () => {
             <div className="instructions-content">
               <h3 className="sub-section-title">This test consists of two parts:</h3>
               <ol>
-                <li><strong>Grammar Test:</strong> 10 multiple choice questions testing basic English grammar</li>
+                <li><strong>Grammar Test:</strong> {grammarQuestions.length || 'A set of'} multiple choice questions testing basic English grammar</li>
                 <li><strong>Transcription Task:</strong> Listen to a short audio and transcribe it following our guidelines</li>
               </ol>
+              {assessment?.time_limit_minutes > 0 && (
+                <p>
+                  <strong>Time limit:</strong> {assessment.time_limit_minutes} minutes for both parts, starting when you click "Start Test".
+                  Your answers are saved as you go and are submitted automatically when the time runs out.
+                </p>
+              )}
 
               <br/><br/><br/>
               <h3 className="sub-section-title"><u><strong>GUIDELINES:</strong></u></h3>
@@ -390,7 +367,8 @@ const TranscriberTest = () => {
 
               <p className="note-text"><strong>Note:</strong> Your test will be reviewed by our team. You'll be notified of the results within 24 hours.</p>
             </div>
-            <button onClick={() => setCurrentSection('grammar')} className="start-test-btn">
+            {assessmentError && <p className="message error">{assessmentError}</p>}
+            <button onClick={startTest} className="start-test-btn" disabled={!assessment}>
               Start Test
             </button>
           </div>
@@ -411,8 +389,9 @@ const TranscriberTest = () => {
                           type="radio"
                           name={`question_${q.id}`}
                           value={optionIndex}
-                          onChange={() => handleGrammarAnswer(q.id, optionIndex)}
-                          checked={testData.grammarAnswers[q.id] === optionIndex}
+                          onChange={() => setGrammarAnswer(q.id, optionIndex)}
+                          checked={grammarAnswers[q.id] === optionIndex}
+                          disabled={timeIsUp}
                         />
                         <span>{option}</span>
                       </label>
@@ -421,7 +400,7 @@ const TranscriberTest = () => {
                 </div>
               ))}
             </div>
-            <button onClick={() => setCurrentSection('transcription')} className="next-btn">
+            <button onClick={() => goToSection('transcription')} className="next-btn">
               Next: Transcription Task
             </button>
           </div>
@@ -440,9 +419,9 @@ const TranscriberTest = () => {
                 and use our editor <a href="https://typemywordz.ai/transcription-editor" target="_blank" rel="noopener noreferrer" style={{ color: '#007bff', textDecoration: 'underline' }}>https://typemywordz.ai/transcription-editor</a> for easy and quick transcription.
               </p>
 
-              {/* NEW: Placeholder for audio element */}
+              {transcriptionClip?.instructions && <p className="audio-instructions">{transcriptionClip.instructions}</p>}
               <div className="audio-player-container">
-                <audio controls src="/sample_audio_for_test.mp3"> {/* Placeholder source */}
+                <audio controls src={transcriptionClip?.audio_url}>
                   Your browser does not support the audio element.
                 </audio>
               </div>
@@ -450,8 +429,9 @@ const TranscriberTest = () => {
               <div className="transcription-input">
                 <label className="transcription-label">Your Transcription:</label>
                 <textarea
-                  value={testData.transcriptionText}
+                  value={transcriptionText}
                   onChange={handleTranscriptionChange}
+                  readOnly={timeIsUp}
                   placeholder="Type your transcription here..."
                   rows="10"
                 />
@@ -459,12 +439,13 @@ const TranscriberTest = () => {
             </div>
 
             <div className="test-actions">
-              <button onClick={() => setCurrentSection('grammar')} className="back-btn">
+              <button onClick={() => goToSection('grammar')} className="back-btn">
                 Back to Grammar
               </button>
               {/* FIX: Corrected onClick handler to call handleTestSubmit */}
-              <button onClick={handleTestSubmit} className="submit-btn" disabled={loading}>
-                {loading ? 'Submitting...' : 'Submit Test'}
+              {/* After a failed time-up submission, the applicant can still send what they have */}
+              <button onClick={timeIsUp ? () => submit({ auto: true }) : handleTestSubmit} className="submit-btn">
+                Submit Test
               </button>
             </div>
           </div>
@@ -1,15 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import './TranscriberWaiting.css';
 import { useAuth } from './contexts/AuthContext';
-import { BACKEND_API_URL } from './config'; // NEW: Import BACKEND_API_URL
+import { isAbortError } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getTranscriberStatus } from './api/users';
+import { requestAssessmentRetake } from './api/assessment';
+import { formatRetakeWait } from './assessment/retakePolicy';
 
 const TranscriberWaiting = () => {
   const { user, isAuthenticated, authLoading, logout } = useAuth();
 
   const [loading, setLoading] = useState(true);
+  // Latest attempt and retake window, shown to rejected applicants
+  const [rejection, setRejection] = useState(null);
+  const [retakeLoading, setRetakeLoading] = useState(false);
+  const [retakeError, setRetakeError] = useState('');
 
   const navigate = useNavigate();
+  const getSignal = useAbortSignal();
 
   useEffect(() => {
     if (authLoading) {
@@ -34,41 +43,26 @@ const TranscriberWaiting = () => {
 
     const checkTestStatusAndRedirect = async () => {
         try {
-            const token = localStorage.getItem('token');
-            if (!token) {
-                logout();
+            const statusData = await getTranscriberStatus({ signal: getSignal() });
+
+            if (!statusData.has_submitted_test) {
+                console.log('TranscriberWaiting: Test not submitted. Redirecting to /transcriber-test.');
+                navigate('/transcriber-test');
+                return;
+            }
+            if (statusData.user_status === 'active_transcriber' || statusData.user_level === 'proofreader') {
+                console.log('TranscriberWaiting: Test approved. Redirecting to /transcriber-dashboard.');
+                navigate('/transcriber-dashboard');
                 return;
             }
-            // CORRECTED: Use BACKEND_API_URL
-            const response = await fetch(`${BACKEND_API_URL}/api/transcriber/status`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const statusData = await response.json();
-
-            if (response.ok) {
-                if (!statusData.has_submitted_test) {
-                    console.log('TranscriberWaiting: Test not submitted. Redirecting to /transcriber-test.');
-                    navigate('/transcriber-test');
-                    return;
-                }
-                if (statusData.user_status === 'active_transcriber' || statusData.user_level === 'proofreader') {
-                    console.log('TranscriberWaiting: Test approved. Redirecting to /transcriber-dashboard.');
-                    navigate('/transcriber-dashboard');
-                    return;
-                }
-                if (statusData.test_submission?.status === 'rejected') {
-                    console.log('TranscriberWaiting: Test rejected. Redirecting to home.');
-                    navigate('/');
-                    return;
-                }
-                console.log('TranscriberWaiting: User is correctly on waiting page.');
-
-            } else {
-                console.error('TranscriberWaiting: Failed to check transcriber status:', statusData.error);
-                navigate('/');
+            if (statusData.test_submission?.status === 'rejected') {
+                console.log('TranscriberWaiting: Test rejected. Showing feedback and retake date.');
+                setRejection({ submission: statusData.test_submission, retake: statusData.retake });
                 return;
             }
+            console.log('TranscriberWaiting: User is correctly on waiting page.');
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('TranscriberWaiting: Error checking test status:', error);
             navigate('/');
             return;
@@ -79,7 +73,21 @@ const TranscriberWaiting = () => {
 
     checkTestStatusAndRedirect();
 
-  }, [isAuthenticated, authLoading, user, navigate, logout]);
+  }, [isAuthenticated, authLoading, user, navigate, getSignal]);
+
+  const handleRetake = useCallback(async () => {
+    setRetakeLoading(true);
+    setRetakeError('');
+    try {
+      // The backend draws a fresh test; TranscriberTest picks it up as the current attempt
+      await requestAssessmentRetake();
+      navigate('/transcriber-test');
+    } catch (error) {
+      console.error('TranscriberWaiting: Error requesting a retake:', error);
+      setRetakeError(error.isNetworkError ? 'Network error. Please try again.' : error.message || 'Could not start a new attempt.');
+      setRetakeLoading(false);
+    }
+  }, [navigate]);
 
 
   if (authLoading) {
@@ -110,6 +118,52 @@ const TranscriberWaiting = () => {
 
       <main className="waiting-main">
         <div className="waiting-content">
+          {rejection ? (
+          <div className="status-card rejected">
+            <div className="status-icon">
+              <div className="hourglass">📋</div>
+            </div>
+
+            <h2>Your Test Was Not Approved</h2>
+            <p className="status-message">
+              Thank you for taking attempt {rejection.submission.attempt_number || 1}
+              {rejection.retake?.max_attempts > 0 && ` of ${rejection.retake.max_attempts}`} of the transcriber assessment.
+              Unfortunately it did not meet our standard this time.
+            </p>
+
+            <div className="info-section feedback-section">
+              <h3>Reviewer feedback</h3>
+              <p>{rejection.submission.rejection_reason || 'No specific feedback was given for this attempt.'}</p>
+            </div>
+
+            <div className="timeline-section">
+              <h3>Retaking the test</h3>
+              {!rejection.retake?.available_at ? (
+                <p>You have used all your attempts, so the test cannot be retaken.</p>
+              ) : rejection.retake.can_retake_now ? (
+                <>
+                  <p>You can take a new test now. You will get a fresh set of questions and a new audio clip.</p>
+                  <button onClick={handleRetake} className="home-btn retake-btn" disabled={retakeLoading}>
+                    {retakeLoading ? 'Preparing your test...' : 'Retake Test'}
+                  </button>
+                  {retakeError && <p className="retake-error">{retakeError}</p>}
+                </>
+              ) : (
+                <p>
+                  You can retake the test {formatRetakeWait(rejection.retake.available_at)}, on{' '}
+                  <strong>{new Date(rejection.retake.available_at).toLocaleString()}</strong>.
+                  Use the time to review the feedback above and the guidelines.
+                </p>
+              )}
+            </div>
+
+            <div className="action-buttons">
+              <Link to="/guidelines" className="home-btn">
+                Review Guidelines
+              </Link>
+            </div>
+          </div>
+          ) : (
           <div className="status-card">
             <div className="status-icon">
               <div className="hourglass">⏳</div>
@@ -153,6 +207,7 @@ const TranscriberWaiting = () => {
               </Link>
             </div>
           </div>
+          )}
         </div>
       </main>
     </div>
@@ -1,13 +1,31 @@
 // frontend/client/src/UserChat.js - UPDATED for robust timestamp handling and consistent formatting
 
-import React, { useEffect, useState, useCallback, useRef } from 'react';
+import React, { useEffect, useState, useCallback, useRef, useMemo } from 'react';
 import { useParams, Link, useNavigate, useLocation } from 'react-router-dom'; // NEW: Import useLocation
 import { useAuth } from './contexts/AuthContext';
 import Toast from './Toast';
 import './ClientDashboard.css'; 
-import { connectSocket, disconnectSocket, sendMessage, uploadChatAttachment } from './ChatService';
-
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { connectSocket, disconnectSocket } from './ChatService';
+import useChatPresence from './chat/useChatPresence';
+import useChatOutbox from './chat/useChatOutbox';
+import OutboxActions from './chat/OutboxActions';
+import TypingIndicator from './chat/TypingIndicator';
+import ReadReceipt from './chat/ReadReceipt';
+import useChatHistoryScroll from './chat/useChatHistoryScroll';
+import { CHAT_PAGE_SIZE, mergeMessages } from './chat/chatHistory';
+import { isAbortError, getBackendFileUrl } from './api/apiClient';
+import useAbortSignal from './api/useAbortSignal';
+import { getJobMessages, getUserChatMessages } from './api/chat';
+import { getDirectUploadJob } from './api/directUploads';
+import { getUser } from './api/users';
+import './chat/ChatHistory.css';
+import useMessageFocus from './chat/useMessageFocus';
+import { getFocusMessageId } from './chat/messageSearch';
+import './chat/ChatSearch.css';
+import useMessageActions from './chat/useMessageActions';
+import ChatMessageText from './chat/ChatMessageText';
+import MessageActionButtons from './chat/MessageActionButtons';
+import ReplyQuote from './chat/ReplyQuote';
 const MAX_CHAT_FILE_SIZE_MB = 500; 
 
 // Helper function to format timestamp robustly for display
@@ -40,11 +58,13 @@ const UserChat = () => {
     const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
     const [chatPartner, setChatPartner] = useState(null);
     const [jobDetails, setJobDetails] = useState(null); // NEW: State for job details if it's a job chat
+    const [olderCursor, setOlderCursor] = useState(null); // next_cursor of the oldest page loaded
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const getSignal = useAbortSignal();
+    const historyLoadedRef = useRef(false);
 
     const [selectedFile, setSelectedFile] = useState(null);
-    const [isUploadingFile, setIsUploadingFile] = useState(false);
 
-    const messagesEndRef = useRef(null);
     const fileInputRef = useRef(null); 
     const audioRef = useRef(null); 
 
@@ -89,26 +109,17 @@ const UserChat = () => {
                 return;
             }
 
-            const token = localStorage.getItem('token');
-            if (!token) { logout(); return; }
-
             console.log('UserChat: Fetching details for chat identifier:', currentChatIdentifier, 'isJobChat:', isJobChat);
             try {
-                let response;
-                let data;
+                const signal = getSignal();
 
                 if (isJobChat) {
                     // UPDATED: Use the new non-admin endpoint to fetch job details
-                    const endpoint = `${BACKEND_API_URL}/api/direct-jobs/${currentChatIdentifier}`;
-
-                    response = await fetch(endpoint, {
-                        headers: { 'Authorization': `Bearer ${token}` }
-                    });
-                    data = await response.json();
+                    const data = await getDirectUploadJob(currentChatIdentifier, { signal });
 
                     if (!isMounted) return; // NEW: Check isMounted immediately after async operation
 
-                    if (response.ok && data.job) { // Ensure data.job matches backend response structure
+                    if (data.job) { // Ensure data.job matches backend response structure
                         setJobDetails(data.job);
                         // Determine chat partner from job details
                         if (user.user_type === 'client') {
@@ -117,30 +128,27 @@ const UserChat = () => {
                             setChatPartner(data.job.client); // Transcriber chats with client
                         }
                     } else {
-                        console.error(`UserChat: Failed to fetch job details for chat. Response OK: ${response.ok}, Data: `, data);
-                        showToast(data.error || 'Job details not found for chat or access denied.ᐟ', 'error');
+                        console.error('UserChat: Failed to fetch job details for chat. Data: ', data);
+                        showToast('Job details not found for chat or access denied.ᐟ', 'error');
                         navigate(user.user_type === 'client' ? '/client-dashboard' : '/transcriber-dashboard');
                     }
                 } else {
                     // Direct message chat, fetch partner details
-                    response = await fetch(`${BACKEND_API_URL}/api/users/${currentChatIdentifier}`, {
-                        headers: { 'Authorization': `Bearer ${token}` }
-                    });
-                    data = await response.json();
+                    const data = await getUser(currentChatIdentifier, { signal });
 
                     if (!isMounted) return; // NEW: Check isMounted immediately after async operation
 
-                    if (response.ok && data.user) {
+                    if (data.user) {
                         setChatPartner(data.user);
                     } else {
-                        showToast(data.error || 'Chat partner not found.ᐟ', 'error');
+                        showToast('Chat partner not found.ᐟ', 'error');
                         navigate(user.user_type === 'client' ? '/client-dashboard' : '/transcriber-dashboard');
                     }
                 }
             } catch (error) {
-                if (!isMounted) return; // NEW: Check isMounted in catch block too
+                if (!isMounted || isAbortError(error)) return; // NEW: Check isMounted in catch block too
                 console.error('Error fetching chat partner/job details:ᐟ', error);
-                showToast('Network error fetching chat details.ᐟ', 'error');
+                showToast(error.isNetworkError ? 'Network error fetching chat details.ᐟ' : error.message || 'Chat details not found or access denied.ᐟ', 'error');
                 navigate(user.user_type === 'client' ? '/client-dashboard' : '/transcriber-dashboard');
             } finally {
                 if (isMounted) {
@@ -150,10 +158,32 @@ const UserChat = () => {
         };
         fetchDetails();
         return () => { isMounted = false; };
-    }, [isAuthReady, user, currentChatIdentifier, isJobChat, navigate, logout, showToast]);
+    }, [isAuthReady, user, currentChatIdentifier, isJobChat, navigate, getSignal, showToast]);
 
 
-    // UPDATED: Fetch chat history based on chat type
+    // Each conversation starts from its own newest page
+    useEffect(() => {
+        historyLoadedRef.current = false;
+        setMessages([]);
+        setOlderCursor(null);
+    }, [currentChatIdentifier]);
+
+    const formatChatMessage = useCallback((msg) => ({
+        ...msg,
+        sender_name: msg.sender_id === user.id ? user.full_name : chatPartner?.full_name || jobDetails?.client?.full_name || jobDetails?.transcriber?.full_name || 'Admin', // Dynamic sender name
+        text: msg.content,
+        sent_at: msg.timestamp, // Raw time, used to order pages and socket arrivals
+        // Format timestamp immediately upon fetching or receiving
+        timestamp: formatDisplayTimestamp(msg.timestamp),
+    }), [user, chatPartner, jobDetails]);
+
+    // UPDATED: Fetch chat history based on chat type, one page at a time (newest page first)
+    const fetchMessagePage = useCallback((before) => {
+        const options = { params: { limit: CHAT_PAGE_SIZE, before: before || undefined }, signal: getSignal() };
+        // Job chats use /api/messages/:jobId, direct user chats /api/user/chat/messages/:chatId
+        return isJobChat ? getJobMessages(currentChatIdentifier, options) : getUserChatMessages(currentChatIdentifier, options);
+    }, [isJobChat, currentChatIdentifier, getSignal]);
+
     const fetchChatHistory = useCallback(async () => {
         if (!user || !currentChatIdentifier || (!chatPartner && !jobDetails)) { // Ensure relevant details are loaded
             console.warn('UserChat: fetchChatHistory called before user, chatPartner, or jobDetails are available.ᐟ');
@@ -161,47 +191,39 @@ const UserChat = () => {
             return;
         }
 
-        const token = localStorage.getItem('token');
-        if (!token) { logout(); return; }
-
-        console.log('UserChat: Fetching historical chat messages. Chat Identifier:', currentChatIdentifier, 'isJobChat:', isJobChat);
+        console.log('UserChat: Fetching latest chat messages. Chat Identifier:', currentChatIdentifier, 'isJobChat:', isJobChat);
         try {
-            let response;
-            if (isJobChat) {
-                // For job chats, use the /api/messages/:jobId endpoint
-                response = await fetch(`${BACKEND_API_URL}/api/messages/${currentChatIdentifier}`, { 
-                    headers: { 'Authorization': `Bearer ${token}` }
-                });
-            } else {
-                // For direct user chats, use the /api/user/chat/messages/:chatId endpoint
-                response = await fetch(`${BACKEND_API_URL}/api/user/chat/messages/${currentChatIdentifier}`, { 
-                    headers: { 'Authorization': `Bearer ${token}` }
-                });
-            }
-            
-            const data = await response.json();
-
-            if (response.ok && data.messages) {
-                const formattedMessages = data.messages.map(msg => ({
-                    ...msg,
-                    sender_name: msg.sender_id === user.id ? user.full_name : chatPartner?.full_name || jobDetails?.client?.full_name || jobDetails?.transcriber?.full_name || 'Admin', // Dynamic sender name
-                    text: msg.content,
-                    // Format timestamp immediately upon fetching
-                    timestamp: formatDisplayTimestamp(msg.timestamp), 
-                    file_url: msg.file_url, 
-                    file_name: msg.file_name 
-                }));
-                setMessages(formattedMessages);
-            } else {
-                showToast(data.error || 'Failed to fetch chat messages.ᐟ', 'error');
+            const data = await fetchMessagePage(null);
+            // Merge rather than replace: this also runs on reconnect, after older pages or socket messages are shown
+            setMessages((prevMessages) => mergeMessages(prevMessages, (data.messages || []).map(formatChatMessage)));
+            if (!historyLoadedRef.current) {
+                historyLoadedRef.current = true;
+                setOlderCursor(data.next_cursor ?? null);
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching chat messages:ᐟ', error);
-            showToast('Network error fetching chat messages.ᐟ', 'error');
+            showToast(error.isNetworkError ? 'Network error fetching chat messages.ᐟ' : error.message || 'Failed to fetch chat messages.ᐟ', 'error');
         } finally {
             setLoading(false);
         }
-    }, [user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, logout, showToast]);
+    }, [user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, fetchMessagePage, formatChatMessage, showToast]);
+
+    const loadOlderMessages = useCallback(async () => {
+        if (!olderCursor || loadingOlder) return;
+        setLoadingOlder(true);
+        try {
+            const data = await fetchMessagePage(olderCursor);
+            setMessages((prevMessages) => mergeMessages(prevMessages, (data.messages || []).map(formatChatMessage)));
+            setOlderCursor(data.next_cursor ?? null);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error fetching earlier chat messages:ᐟ', error);
+            showToast(error.isNetworkError ? 'Network error loading earlier messages.ᐟ' : error.message || 'Failed to load earlier messages.ᐟ', 'error');
+        } finally {
+            setLoadingOlder(false);
+        }
+    }, [olderCursor, loadingOlder, fetchMessagePage, formatChatMessage, showToast]);
 
 
     const handleNewChatMessage = useCallback((msg) => {
@@ -230,43 +252,14 @@ const UserChat = () => {
                 return prevMessages;
             }
 
-            // Deduplicate: Check if a message with the same ID already exists
-            if (prevMessages.some(m => m.id === msg.id)) {
-                console.log('UserChat: Received duplicate message, ignoring.ᐟ ', msg);
-                return prevMessages;
-            }
-
-            // Check if there's an optimistic message that this server message should replace
-            const updatedMessages = prevMessages.map(m =>
-                m.isOptimistic && m.sender_id === msg.sender_id && m.content === msg.content &&
-                m.receiver_id === msg.receiver_id && (m.file_url === msg.file_url || (!m.file_url && !msg.file_url))
-                    ? { ...msg, isOptimistic: false, timestamp: formatDisplayTimestamp(msg.timestamp) } // Replace optimistic with real message, format timestamp
-                    : m
-            );
-
-            // If no optimistic message was replaced, or if it's a new message entirely
-            if (!updatedMessages.some(m => m.id === msg.id && !m.isOptimistic)) {
-                if (msg.sender_id !== currentLoggedInUser.id) {
-                    playNotificationSound();
-                }
-                const newMessageObj = {
-                    id: msg.id,
-                    sender_id: msg.sender_id,
-                    receiver_id: msg.receiver_id,
-                    content: msg.content,
-                    text: msg.content, 
-                    // Format timestamp immediately upon receiving
-                    timestamp: formatDisplayTimestamp(msg.timestamp), 
-                    sender_name: (msg.sender_id === currentLoggedInUser.id) ? currentLoggedInUser.full_name : (chatPartner?.full_name || jobDetails?.client?.full_name || jobDetails?.transcriber?.full_name || 'Admin'),
-                    file_url: msg.file_url,
-                    file_name: msg.file_name
-                };
-                console.log('UserChat: Adding new message to chat:ᐟ ', newMessageObj);
-                return [...updatedMessages, newMessageObj];
+            // Merge by ID: drops duplicates, replaces the matching optimistic message and keeps send order
+            const mergedMessages = mergeMessages(prevMessages, [formatChatMessage(msg)]);
+            if (mergedMessages !== prevMessages && msg.sender_id !== currentLoggedInUser.id) {
+                playNotificationSound();
             }
-            return updatedMessages; 
+            return mergedMessages;
         });
-    }, [user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, playNotificationSound]);
+    }, [user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, formatChatMessage, playNotificationSound]);
 
 
     useEffect(() => {
@@ -315,10 +308,33 @@ const UserChat = () => {
         };
     }, [isAuthReady, user, chatPartner, jobDetails, currentChatIdentifier, isJobChat, fetchChatHistory, handleNewChatMessage]); // Added jobDetails to dependencies
 
+    // Typing and read receipts go to the other party: the job's client or transcriber, or the direct chat partner
+    const partnerId = isJobChat ? (user?.user_type === 'client' ? jobDetails?.transcriber_id : jobDetails?.client_id) : chatPartner?.id;
+    const chatTarget = useMemo(() => (
+        partnerId ? { partnerId, jobId: isJobChat ? currentChatIdentifier : undefined } : null
+    ), [partnerId, isJobChat, currentChatIdentifier]);
+    const { isPartnerTyping, notifyTyping, stopTyping } = useChatPresence({ target: chatTarget, userId: user?.id, messages, setMessages });
+    const {
+        pendingMessages, queue: queueOutgoingMessage, resend: resendMessage, discard: discardMessage,
+    } = useChatOutbox({ target: chatTarget, userId: user?.id, messages });
+    const {
+        replyTo, startReply, cancelReply, editingId, startEdit, cancelEdit, saveEdit, savingEdit, deleteMessage,
+    } = useMessageActions({ target: chatTarget, setMessages, showToast });
+    // Queued messages follow the delivered ones until the server copy arrives
+    const threadMessages = useMemo(
+        () => (pendingMessages.length ? [...messages, ...pendingMessages.map(formatChatMessage)] : messages),
+        [messages, pendingMessages, formatChatMessage]
+    );
+
 
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    const { containerRef: messagesDisplayRef, handleScroll: handleMessagesScroll } = useChatHistoryScroll({
+        messages: threadMessages, canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages,
+    });
+    // Opened from a search result: bring the matching message into view
+    const focusedMessageId = useMessageFocus({
+        messageId: getFocusMessageId(location.search), messages: threadMessages, containerRef: messagesDisplayRef,
+        canLoadOlder: Boolean(olderCursor) && !loadingOlder, loadOlder: loadOlderMessages,
+    });
 
 
     const triggerFileInput = useCallback(() => {
@@ -326,11 +342,13 @@ const UserChat = () => {
     }, []);
 
     // UPDATED: sendMessage now handles job-specific chats
+    // Messages go through the outbox, which uploads any attachment, sends and retries until delivered
     const handleSendMessage = useCallback(async (fileToUpload = null) => {
         const messageToSend = newMessage.trim();
         const file = fileToUpload || selectedFile;
 
         if (messageToSend === '' && !file) return;
+        stopTyping();
 
         if (!user || (!chatPartner && !jobDetails)) {
             console.error('UserChat: Attempted to send message before user, chatPartner or jobDetails are available.ᐟ');
@@ -338,71 +356,22 @@ const UserChat = () => {
             return;
         }
 
-        let fileUrl = null;
-        let fileName = null;
-        let tempMessageId;
-
-        if (file) {
-            setIsUploadingFile(true);
-            try {
-                const uploadResponse = await uploadChatAttachment(file, user.id); 
-                fileUrl = uploadResponse.fileUrl;
-                fileName = file.name;
-                showToast('File uploaded successfully!ᐟ', 'success');
-            } catch (error) {
-                console.error('UserChat: Error uploading file:ᐟ', error);
-                showToast(`Failed to upload file: ${error.message || 'Network error.'}ᐟ`, 'error');
-                setIsUploadingFile(false);
-                setSelectedFile(null);
-                if (fileInputRef.current) fileInputRef.current.value = '';
-                return; 
-            } finally {
-                setIsUploadingFile(false);
-            }
-        }
-
-        try {
-            tempMessageId = `temp-${Date.now()}`;
-            const optimisticMessage = {
-                id: tempMessageId,
-                sender_id: user.id,
-                receiver_id: isJobChat ? (user.user_type === 'client' ? jobDetails.transcriber_id : jobDetails.client_id) : currentChatIdentifier, // Dynamic receiver for job chat
-                content: messageToSend,
-                text: messageToSend, 
-                // Format timestamp immediately upon creation for optimistic message
-                timestamp: formatDisplayTimestamp(new Date().toISOString()),
-                sender_name: user.full_name,
-                file_url: fileUrl, 
-                file_name: fileName,
-                isOptimistic: true, 
-            };
-            setMessages((prevMessages) => [...prevMessages, optimisticMessage]);
-
-            await sendMessage({
-                senderId: user.id,
-                receiverId: isJobChat ? (user.user_type === 'client' ? jobDetails.transcriber_id : jobDetails.client_id) : currentChatIdentifier, // Dynamic receiver
-                negotiationId: null, // Direct Upload doesn't use negotiationId
-                directUploadJobId: isJobChat ? currentChatIdentifier : null, // Pass jobId for direct upload chats
-                messageText: messageToSend,
-                timestamp: new Date().toISOString(), // Still send ISO string to backend
-                senderUserType: user.user_type,
-                fileUrl: fileUrl,
-                fileName: fileName,
-            });
-
-            setNewMessage('');
-            setSelectedFile(null);
-            if (fileInputRef.current) fileInputRef.current.value = '';
-            console.log('UserChat: Message sent successfully via ChatService.ᐟ');
-
-        } catch (error) {
-            console.error('UserChat: Error sending message:ᐟ', error);
-            showToast(error.message || 'Network error sending message.ᐟ', 'error');
-            if (tempMessageId) {
-                setMessages((prevMessages) => prevMessages.filter(msg => msg.id !== tempMessageId));
-            }
-        }
-    }, [newMessage, selectedFile, user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, showToast]); // Added jobDetails to dependencies
+        await queueOutgoingMessage({
+            senderId: user.id,
+            receiverId: isJobChat ? (user.user_type === 'client' ? jobDetails.transcriber_id : jobDetails.client_id) : currentChatIdentifier, // Dynamic receiver
+            negotiationId: null, // Direct Upload doesn't use negotiationId
+            directUploadJobId: isJobChat ? currentChatIdentifier : null, // Pass jobId for direct upload chats
+            messageText: messageToSend,
+            timestamp: new Date().toISOString(), // Still send ISO string to backend
+            senderUserType: user.user_type,
+            replyTo,
+        }, file);
+
+        setNewMessage('');
+        setSelectedFile(null);
+        cancelReply();
+        if (fileInputRef.current) fileInputRef.current.value = '';
+    }, [newMessage, selectedFile, user, currentChatIdentifier, isJobChat, chatPartner, jobDetails, showToast, stopTyping, queueOutgoingMessage, replyTo, cancelReply]); // Added jobDetails to dependencies
 
 
     const handleFileChange = useCallback((e) => {
@@ -436,7 +405,7 @@ const UserChat = () => {
 
     const renderFileAttachment = (fileUrl, fileName) => {
         if (!fileUrl) return null;
-        const fullFileUrl = `${BACKEND_API_URL}${fileUrl}`; 
+        const fullFileUrl = getBackendFileUrl(fileUrl); 
         const fileExtension = fileName ? fileName.split('.').pop().toLowerCase() : '';
 
         if (['jpg', 'jpeg', 'png', 'gif'].includes(fileExtension)) {
@@ -483,34 +452,50 @@ const UserChat = () => {
                 <div className="dashboard-content">
                     <h2>{chatTitle}</h2> {/* UPDATED: Dynamic title */}
                     <div className="chat-window">
-                        <div className="messages-display">
-                            {messages.length === 0 ? (
+                        <div className="messages-display chat-history" ref={messagesDisplayRef} onScroll={handleMessagesScroll}>
+                            {loadingOlder && <p className="chat-history-status">Loading earlier messages...</p>}
+                            {!olderCursor && messages.length > 0 && <p className="chat-history-status">Start of the conversation</p>}
+                            {threadMessages.length === 0 ? (
                                 <p className="no-data-message">Start chat by typing a message below!ᐟ</p>
                             ) : (
-                                messages.map(msg => (
-                                    <div key={msg.id} className={`chat-message ${msg.sender_id === user.id ? 'my-message' : 'partner-message'}`}>
+                                threadMessages.map(msg => (
+                                    <div
+                                        key={msg.id}
+                                        data-message-id={msg.id}
+                                        className={`chat-message ${msg.sender_id === user.id ? 'my-message' : 'partner-message'}${msg.id === focusedMessageId ? ' search-focus' : ''}`}
+                                    >
                                         <div className="message-header">
                                             <strong>{msg.sender_id === user.id ? 'Me' : (chatPartner?.full_name || jobDetails?.client?.full_name || jobDetails?.transcriber?.full_name || 'Admin')}</strong> {/* UPDATED: Dynamic sender name */}
                                             <span>
                                                 {msg.timestamp} {/* Use the pre-formatted timestamp directly */}
+                                                <ReadReceipt message={msg} userId={user.id} />
                                             </span> 
                                         </div>
-                                        {msg.content && <p>{msg.content}</p>}
+                                        <ChatMessageText
+                                            message={msg}
+                                            userId={user.id}
+                                            isEditing={msg.id === editingId}
+                                            saving={savingEdit}
+                                            onSave={saveEdit}
+                                            onCancel={cancelEdit}
+                                        />
                                         {msg.file_url && renderFileAttachment(msg.file_url, msg.file_name)}
+                                        <OutboxActions message={msg} onResend={resendMessage} onDiscard={discardMessage} />
+                                        <MessageActionButtons message={msg} userId={user.id} onReply={startReply} onEdit={startEdit} onDelete={deleteMessage} />
                                     </div>
                                 ))
                             )}
-                            <div ref={messagesEndRef} />
+                            <TypingIndicator isTyping={isPartnerTyping} name={chatPartner?.full_name} />
                         </div>
                         <div className="message-input-area">
+                            {replyTo && <ReplyQuote reply={replyTo} userId={user.id} onCancel={cancelReply} />}
                             <div className="input-controls">
                                 <textarea
                                     value={newMessage}
-                                    onChange={(e) => setNewMessage(e.target.value)}
+                                    onChange={(e) => { setNewMessage(e.target.value); notifyTyping(); }}
                                     onKeyPress={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSendMessage(); } }}
                                     placeholder="Type your message...ᐟ"
                                     rows="3"
-                                    disabled={isUploadingFile}
                                 ></textarea>
                                 <div className="message-actions">
                                     <input
@@ -523,7 +508,6 @@ const UserChat = () => {
                                     <button
                                         onClick={triggerFileInput}
                                         className="attach-file-btn"
-                                        disabled={isUploadingFile}
                                         title="Attach File"
                                     >
                                         📎
@@ -537,9 +521,9 @@ const UserChat = () => {
                                     <button
                                         onClick={() => handleSendMessage()}
                                         className="send-message-btn"
-                                        disabled={isUploadingFile || (newMessage.trim() === '' && !selectedFile)}
+                                        disabled={newMessage.trim() === '' && !selectedFile}
                                     >
-                                        {isUploadingFile ? 'Uploading...ᐟ' : 'Send'}
+                                        Send
                                     </button>
                                 </div>
                             </div>
@@ -1,10 +1,9 @@
 import React, { useState, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from './Toast';
+import { registerUser } from './api/auth';
 import './Register.css';
 
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
 const WorkerRegister = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -51,31 +50,20 @@ const WorkerRegister = () => {
     console.log('WorkerRegister: Attempting to submit registration with data:', formData);
 
     try {
-      const response = await fetch(`${BACKEND_API_URL}/api/auth/register`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
-
-      console.log('WorkerRegister: Received response from backend:', response);
-      const data = await response.json();
+      const data = await registerUser(formData);
       console.log('WorkerRegister: Parsed response data:', data);
 
-      if (response.ok) {
-        showToast('Registration successful! Redirecting to login...', 'success');
-        setFormData({ email: '', password: '', full_name: '', phone: '', user_type: 'transcriber' });
+      showToast('Registration successful! Redirecting to login...', 'success');
+      setFormData({ email: '', password: '', full_name: '', phone: '', user_type: 'transcriber' });
 
-        setTimeout(() => {
-          navigate('/login');
-        }, 2000);
-      } else {
-        showToast(data.error || 'Registration failed', 'error');
-      }
+      setTimeout(() => {
+        navigate('/login');
+      }, 2000);
     } catch (error) {
-      console.error('WorkerRegister: Network error during worker registration:', error);
-      showToast('Network error. Please try again. If this persists, check your network connection or try again later.', 'error');
+      console.error('WorkerRegister: Error during worker registration:', error);
+      showToast(error.isNetworkError
+        ? 'Network error. Please try again. If this persists, check your network connection or try again later.'
+        : error.message || 'Registration failed', 'error');
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,262 @@
+// src/api/admin.js
+// Endpoints for the /api/admin route family.
+
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * @typedef {object} PricingRule
+ * @property {string} id
+ * @property {string} name
+ * @property {string} audio_quality - excellent | good | standard | difficult
+ * @property {string} deadline_type - flexible | standard | urgent
+ * @property {string[]} special_requirements
+ * @property {number} min_duration_minutes
+ * @property {number|null} max_duration_minutes - Exclusive upper bound; null means no limit.
+ * @property {number} price_per_minute_usd
+ * @property {boolean} is_active
+ */
+
+// --- Dashboard stats ---
+
+export const getPendingTestsCount = (options) => apiGet('/api/admin/stats/pending-tests', options);
+export const getActiveJobsCount = (options) => apiGet('/api/admin/stats/active-jobs', options);
+export const getDisputesCount = (options) => apiGet('/api/admin/stats/disputes', options);
+export const getTotalUsersCount = (options) => apiGet('/api/admin/stats/total-users', options);
+
+// --- Users ---
+
+/** @returns {Promise<{ users: object[] }>} */
+export const getAdminUsers = (search = '', options) => apiGet('/api/admin/users', { ...options, params: { search } });
+
+export const getAdminUser = (userId, options) => apiGet(`/api/admin/users/${userId}`, options);
+
+export const deleteAdminUser = (userId, options) => apiDelete(`/api/admin/users/${userId}`, options);
+
+/** @param {{ ratedUserId: string, ratedUserType: string, score: number, comment: string }} rating */
+export const rateUser = (rating, options) => apiPost('/api/admin/ratings', rating, options);
+
+export const completeTraineeTraining = (traineeId, options) => apiPut(`/api/admin/trainee/${traineeId}/complete-training`, undefined, options);
+
+// --- Transcriber tests ---
+
+/**
+ * @typedef {object} TranscriberTestSubmission
+ * @property {string} id
+ * @property {string} user_id
+ * @property {number} attempt_number - 1 for the applicant's first test.
+ * @property {{ full_name: string, email: string }} users
+ * @property {number} grammar_score - Scored by the backend from the applicant's answers.
+ * @property {string} status - pending | approved | rejected
+ * @property {string} transcription_text
+ * @property {string|null} reference_transcript - Reference transcript of the clip the applicant was given, used for automatic scoring.
+ * @property {string|null} rejection_reason - Reviewer feedback, shown to the applicant.
+ * @property {string|null} reviewed_at
+ * @property {string|null} retake_available_at - For rejected attempts: when the applicant may retake,
+ *   or null when they have no attempts left.
+ * @property {string} created_at
+ * @property {string|null} started_at - When the timed session started; null for tests taken before sessions were timed.
+ * @property {number|null} time_limit_minutes
+ * @property {{ grammar?: number, transcription?: number }|null} section_seconds - Time spent on each section.
+ * @property {boolean} auto_submitted - Submitted because the time limit ran out.
+ */
+
+/** @returns {Promise<{ submissions: TranscriberTestSubmission[] }>} Every attempt by every applicant. */
+export const getTranscriberTestSubmissions = (options) => apiGet('/api/admin/transcriber-tests', options);
+
+/** @returns {Promise<{ submission: TranscriberTestSubmission }>} */
+export const getTranscriberTestSubmission = (submissionId, options) => apiGet(`/api/admin/transcriber-tests/${submissionId}`, options);
+
+export const approveTranscriberTest = (submissionId, transcriberId, options) =>
+  apiPut(`/api/admin/transcriber-tests/${submissionId}/approve`, { transcriberId }, options);
+
+export const rejectTranscriberTest = (submissionId, transcriberId, reason, options) =>
+  apiPut(`/api/admin/transcriber-tests/${submissionId}/reject`, { transcriberId, reason }, options);
+
+// --- Assessment question bank ---
+
+/**
+ * @typedef {object} AssessmentQuestion
+ * @property {string} id
+ * @property {string} type - grammar | transcription
+ * @property {string} category - See GRAMMAR_CATEGORIES / CLIP_CATEGORIES in src/assessment/questionBank.js.
+ * @property {boolean} is_active - Only active questions are drawn into new tests.
+ * @property {string} [question] - Grammar questions only.
+ * @property {string[]} [options] - Grammar questions only.
+ * @property {number} [correct_option_index] - Grammar questions only.
+ * @property {string} [title] - Transcription clips only.
+ * @property {string} [instructions] - Transcription clips only.
+ * @property {string} [reference_transcript] - Transcription clips only; submissions are scored against it.
+ * @property {string} [audio_url] - Transcription clips only.
+ * @property {string} [audio_file_name] - Transcription clips only.
+ * @property {string} created_at
+ */
+
+/**
+ * @param {{ type?: string, category?: string }} [filters]
+ * @returns {Promise<{ questions: AssessmentQuestion[] }>}
+ */
+export const getAssessmentQuestions = (filters, options) => apiGet('/api/admin/assessment/questions', { ...options, params: filters });
+
+/**
+ * @param {object|FormData} question - JSON for grammar questions, multipart with an `audio` file for clips
+ *   (see toQuestionPayload in src/assessment/questionBank.js).
+ * @returns {Promise<{ question: AssessmentQuestion }>}
+ */
+export const createAssessmentQuestion = (question, options) => apiPost('/api/admin/assessment/questions', question, options);
+
+/** @returns {Promise<{ question: AssessmentQuestion }>} */
+export const updateAssessmentQuestion = (questionId, question, options) =>
+  apiPut(`/api/admin/assessment/questions/${questionId}`, question, options);
+
+export const deleteAssessmentQuestion = (questionId, options) => apiDelete(`/api/admin/assessment/questions/${questionId}`, options);
+
+/**
+ * @typedef {object} AssessmentSettings
+ * @property {number} grammar_question_count - Grammar questions drawn into each test.
+ * @property {number} retake_cooldown_days - Wait after a rejection before the applicant can retake.
+ * @property {number} max_attempts - Attempts allowed per applicant; 0 for no limit.
+ */
+
+/** @returns {Promise<{ settings: AssessmentSettings }>} */
+export const getAssessmentSettings = (options) => apiGet('/api/admin/assessment/settings', options);
+
+/** @param {Partial<AssessmentSettings>} settings - Only the fields sent are changed. */
+export const updateAssessmentSettings = (settings, options) => apiPut('/api/admin/assessment/settings', settings, options);
+
+// --- Transcriber levels ---
+
+/**
+ * @typedef {object} TranscriberLevelSettings
+ * @property {Object<string, import('../levels/transcriberLevels').LevelCriteria>} criteria - Keyed by level, for every level above the entry level.
+ * @property {Object<string, import('../levels/transcriberLevels').LevelJobAccess>} job_access - Keyed by level.
+ */
+
+/** @returns {Promise<{ settings: TranscriberLevelSettings }>} */
+export const getTranscriberLevelSettings = (options) => apiGet('/api/admin/transcriber-levels/settings', options);
+
+/** @param {TranscriberLevelSettings} settings */
+export const updateTranscriberLevelSettings = (settings, options) => apiPut('/api/admin/transcriber-levels/settings', settings, options);
+
+/**
+ * @typedef {object} TranscriberLevelRecord
+ * @property {string} id
+ * @property {string} full_name
+ * @property {string} email
+ * @property {string} transcriber_user_level
+ * @property {import('../levels/transcriberLevels').LevelStats} stats - Over all completed negotiation and direct upload jobs.
+ */
+
+/** @returns {Promise<{ transcribers: TranscriberLevelRecord[] }>} Active transcribers with their level stats. */
+export const getTranscriberLevelStats = (options) => apiGet('/api/admin/transcriber-levels/stats', options);
+
+/**
+ * Promotes or demotes a transcriber. The backend records the change and emits transcriber_level_changed
+ * to them.
+ * @param {{ level: string, reason?: string }} change
+ * @returns {Promise<{ message: string, user: object }>}
+ */
+export const setTranscriberLevel = (userId, change, options) => apiPut(`/api/admin/users/${userId}/level`, change, options);
+
+// --- Jobs and disputes ---
+
+export const getAdminNegotiationJobs = (options) => apiGet('/api/admin/jobs', options);
+
+export const getAdminNegotiationJob = (jobId, options) => apiGet(`/api/admin/jobs/${jobId}`, options);
+
+export const getAdminDirectUploadJobs = (options) => apiGet('/api/admin/direct-upload-jobs', options);
+
+export const getAdminDirectUploadJob = (jobId, options) => apiGet(`/api/admin/direct-upload-jobs/${jobId}`, options);
+
+export const deleteAdminDirectUploadJob = (jobId, options) => apiDelete(`/api/admin/direct-jobs/${jobId}`, options);
+
+export const getAllDisputes = (options) => apiGet('/api/admin/disputes/all', options);
+
+/**
+ * A job chat message as kept for dispute review: deleted messages keep their last text, and every
+ * earlier version is listed.
+ * @typedef {import('./chat').ChatMessage & { edits: { content: string, replaced_at: string }[] }} DisputeChatMessage
+ */
+
+/**
+ * Full chat of the job under dispute, oldest first, including edit history and deleted messages.
+ * @returns {Promise<{ messages: DisputeChatMessage[] }>}
+ */
+export const getDisputeMessages = (disputeId, options) => apiGet(`/api/admin/disputes/${disputeId}/messages`, options);
+
+/** @returns {Promise<{ settings: { qa_enabled: boolean } }>} */
+export const getQaSettings = (options) => apiGet('/api/admin/qa/settings', options);
+
+/**
+ * Turns the proofreading stage on or off. It applies to jobs completed from then on; jobs already
+ * in QA stay there until released.
+ * @param {{ qa_enabled: boolean }} settings
+ */
+export const updateQaSettings = (settings, options) => apiPut('/api/admin/qa/settings', settings, options);
+
+/** Releases a job stuck in QA to the client with the transcriber's original transcript. */
+export const skipQaReview = (jobId, options) => apiPut(`/api/admin/direct-jobs/${jobId}/skip-qa`, {}, options);
+
+// --- Payments ---
+
+export const getAdminPayments = (options) => apiGet('/api/admin/payments', options);
+
+export const getTranscriberUpcomingPayouts = (transcriberId, options) => apiGet(`/api/admin/transcriber/${transcriberId}/upcoming-payouts`, options);
+
+export const markPaymentPaid = (paymentId, options) => apiPut(`/api/admin/payments/${paymentId}/mark-paid`, undefined, options);
+
+// --- Settings ---
+
+/**
+ * transcriber_share_percent is the share of the client price paid to the transcriber (0-100).
+ * @returns {Promise<{ settings: { id?: string, pricing_rules?: PricingRule[], pricing_version?: PricingRuleVersion, transcriber_share_percent?: number } }>}
+ */
+export const getAdminSettings = (options) => apiGet('/api/admin/settings', options);
+
+/**
+ * Saves the rules as a new pricing version. Without effective_from the version takes effect
+ * immediately; with a future date it is scheduled and the current version stays live until then.
+ * @param {{ id?: string, pricing_rules: PricingRule[], effective_from?: string, change_note?: string }} settings
+ * @returns {Promise<{ message: string, settings: { id: string } }>}
+ */
+export const updateAdminSettings = (settings, options) => apiPut('/api/admin/settings', settings, options);
+
+// --- Pricing rule versions ---
+
+/**
+ * @typedef {object} PricingRuleVersion
+ * @property {string} id
+ * @property {number} version_number
+ * @property {PricingRule[]} pricing_rules
+ * @property {string} status - active | scheduled | superseded | cancelled
+ * @property {string} created_at
+ * @property {string} effective_from
+ * @property {{ id: string, full_name: string }} created_by
+ * @property {string} [change_note]
+ * @property {number} [rolled_back_from] - version_number this version restored, for rollbacks
+ */
+
+/** @returns {Promise<{ versions: PricingRuleVersion[] }>} Newest first. */
+export const getPricingRuleVersions = (options) => apiGet('/api/admin/settings/pricing-versions', options);
+
+/**
+ * Publishes a copy of an earlier version's rules as a new version.
+ * @param {{ effective_from?: string, change_note?: string }} [schedule] - Omit effective_from to roll back immediately.
+ * @returns {Promise<{ version: PricingRuleVersion }>}
+ */
+export const rollbackPricingRuleVersion = (versionId, schedule, options) =>
+  apiPost(`/api/admin/settings/pricing-versions/${versionId}/rollback`, schedule || {}, options);
+
+/** Cancels a version that is scheduled but not yet in effect. */
+export const cancelScheduledPricingRuleVersion = (versionId, options) =>
+  apiDelete(`/api/admin/settings/pricing-versions/${versionId}`, options);
+
+// --- Training materials ---
+
+export const getTrainingMaterials = (options) => apiGet('/api/admin/training-materials', options);
+
+/** @param {{ title: string, description: string, link: string, order_index: number }} material */
+export const createTrainingMaterial = (material, options) => apiPost('/api/admin/training-materials', material, options);
+
+export const updateTrainingMaterial = (materialId, material, options) => apiPut(`/api/admin/training-materials/${materialId}`, material, options);
+
+export const deleteTrainingMaterial = (materialId, options) => apiDelete(`/api/admin/training-materials/${materialId}`, options);
@@ -0,0 +1,217 @@
+// src/api/apiClient.js
+// Shared authenticated HTTP client. Every endpoint module in src/api builds on apiRequest()
+// so token handling, JSON parsing, error shapes and 401 logout behave the same on every page.
+
+import { BACKEND_API_URL } from '../config';
+
+const NETWORK_ERROR_MESSAGE = 'Network error. Please check your internet connection and try again.';
+
+let unauthorizedHandler = null;
+let unauthorizedHandlerRunning = false;
+let tokenRefreshHandler = null;
+
+/**
+ * Normalised error thrown by apiRequest for every failure mode.
+ * - status: HTTP status code (0 for network failures and aborted requests)
+ * - data: parsed response body, if any
+ * - isNetworkError: the request never reached the server
+ * - isAborted: the request was cancelled through its AbortSignal
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null, isNetworkError = false, isAborted = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.isNetworkError = isNetworkError;
+    this.isAborted = isAborted;
+  }
+}
+
+/**
+ * Returns true when the error came from a cancelled request (e.g. the component unmounted).
+ * Callers should silently ignore these instead of showing a toast.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => Boolean(error && (error.isAborted || error.name === 'AbortError'));
+
+/**
+ * Registers the function called when an authenticated request comes back 401.
+ * AuthProvider registers its session-expiry handler (logout + redirect to /login) here on mount.
+ * @param {Function|null} handler
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Registers the function used to renew an expired session before giving up on a 401.
+ * It must resolve to true when a new token has been stored, false otherwise.
+ * AuthProvider registers its refreshSession() here on mount.
+ * @param {Function|null} handler
+ */
+export const setTokenRefreshHandler = (handler) => {
+  tokenRefreshHandler = handler;
+};
+
+const tryRefreshToken = async () => {
+  if (!tokenRefreshHandler) return false;
+  try {
+    return Boolean(await tokenRefreshHandler());
+  } catch (error) {
+    console.error('apiClient: Token refresh handler failed:', error);
+    return false;
+  }
+};
+
+const notifyUnauthorized = async () => {
+  if (!unauthorizedHandler || unauthorizedHandlerRunning) return;
+  unauthorizedHandlerRunning = true;
+  try {
+    await unauthorizedHandler();
+  } catch (error) {
+    console.error('apiClient: Unauthorized handler failed:', error);
+  } finally {
+    unauthorizedHandlerRunning = false;
+  }
+};
+
+const buildUrl = (path, params) => {
+  const url = `${BACKEND_API_URL}${path}`;
+  if (!params) return url;
+
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return query ? `${url}?${query}` : url;
+};
+
+/**
+ * Absolute URL of a file the backend serves without authentication, such as a chat attachment's file_url.
+ * @param {string} path - Path beginning with /
+ * @returns {string}
+ */
+export const getBackendFileUrl = (path) => `${BACKEND_API_URL}${path}`;
+
+const parseBody = async (response, responseType) => {
+  if (responseType === 'blob' && response.ok) {
+    return response.blob();
+  }
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text };
+  }
+};
+
+/**
+ * Performs a request against the backend API.
+ * @param {string} path - Path beginning with /api/...
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object|FormData} [options.body] - Plain objects are sent as JSON, FormData is sent as multipart.
+ * @param {object} [options.params] - Query string parameters; empty values are skipped.
+ * @param {AbortSignal} [options.signal] - Cancels the request (see useAbortSignal).
+ * @param {boolean} [options.auth=true] - Attach the bearer token and treat 401 as an expired session.
+ * @param {boolean} [options.handleUnauthorized=true] - On 401, try one token refresh and retry, then call the unauthorized handler.
+ * @param {'json'|'blob'} [options.responseType='json']
+ * @param {object} [options.headers] - Extra headers.
+ * @returns {Promise<any>} The parsed response body (or a Blob for responseType 'blob').
+ * @throws {ApiError}
+ */
+export const apiRequest = async (path, {
+  method = 'GET',
+  body,
+  params,
+  signal,
+  auth = true,
+  handleUnauthorized = true,
+  responseType = 'json',
+  headers = {},
+  isRetry = false,
+} = {}) => {
+  const requestHeaders = { ...headers };
+
+  if (auth) {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      if (handleUnauthorized) await notifyUnauthorized();
+      throw new ApiError('Authentication token missing. Please log in again.', { status: 401 });
+    }
+    requestHeaders['Authorization'] = `Bearer ${token}`;
+  }
+
+  let requestBody = body;
+  if (body !== undefined && body !== null && !(body instanceof FormData)) {
+    requestHeaders['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(body);
+  }
+
+  let response;
+  try {
+    response = await fetch(buildUrl(path, params), {
+      method,
+      headers: requestHeaders,
+      body: requestBody,
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw new ApiError('Request cancelled.', { isAborted: true });
+    }
+    console.error(`apiClient: Network error on ${method} ${path}:`, error);
+    throw new ApiError(NETWORK_ERROR_MESSAGE, { isNetworkError: true });
+  }
+
+  let data;
+  try {
+    data = await parseBody(response, responseType);
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw new ApiError('Request cancelled.', { isAborted: true });
+    }
+    data = {};
+  }
+
+  if (!response.ok) {
+    const message = data?.error || data?.message || `Request failed with status ${response.status}.`;
+    if (response.status === 401 && auth && handleUnauthorized) {
+      if (!isRetry && await tryRefreshToken()) {
+        console.log(`apiClient: ${method} ${path} returned 401. Session refreshed, retrying once.`);
+        return apiRequest(path, { method, body, params, signal, auth, handleUnauthorized, responseType, headers, isRetry: true });
+      }
+      console.warn(`apiClient: ${method} ${path} returned 401. Logging out.`);
+      await notifyUnauthorized();
+    }
+    throw new ApiError(message, { status: response.status, data });
+  }
+
+  return data;
+};
+
+export const apiGet = (path, options) => apiRequest(path, { ...options, method: 'GET' });
+export const apiPost = (path, body, options) => apiRequest(path, { ...options, method: 'POST', body });
+export const apiPut = (path, body, options) => apiRequest(path, { ...options, method: 'PUT', body });
+export const apiDelete = (path, options) => apiRequest(path, { ...options, method: 'DELETE' });
+
+/**
+ * Fetches a file as a Blob and triggers a browser download for it.
+ * @param {string} path
+ * @param {string} fileName - Name used for the saved file.
+ * @param {object} [options] - Same options as apiRequest.
+ */
+export const downloadFile = async (path, fileName, options) => {
+  const blob = await apiRequest(path, { ...options, responseType: 'blob' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
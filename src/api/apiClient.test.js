@@ -0,0 +1,222 @@
+import { renderHook } from '@testing-library/react';
+import {
+  ApiError,
+  apiGet,
+  apiPost,
+  isAbortError,
+  setUnauthorizedHandler,
+  setTokenRefreshHandler,
+} from './apiClient';
+import useAbortSignal from './useAbortSignal';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const authHeader = (call) => call[1].headers.Authorization;
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  localStorage.setItem('token', 'token-a');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setUnauthorizedHandler(null);
+  setTokenRefreshHandler(null);
+  localStorage.clear();
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('apiRequest error normalisation', () => {
+  it('sends the bearer token and a JSON body, and returns the parsed response', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { ok: true }));
+
+    await expect(apiPost('/api/things', { name: 'a' })).resolves.toEqual({ ok: true });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toMatch(/\/api\/things$/);
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({ Authorization: 'Bearer token-a', 'Content-Type': 'application/json' });
+    expect(init.body).toBe('{"name":"a"}');
+  });
+
+  it('skips empty query parameters', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+
+    await apiGet('/api/users', { params: { search: 'ann lee', role: '', page: 0, filter: null } });
+    expect(fetch.mock.calls[0][0]).toMatch(/\/api\/users\?search=ann%20lee&page=0$/);
+  });
+
+  it('takes the message from the error body and keeps the status and data', async () => {
+    fetch.mockResolvedValue(jsonResponse(409, { error: 'Job already taken.' }));
+
+    const error = await apiGet('/api/jobs').catch(e => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toBe('Job already taken.');
+    expect(error.status).toBe(409);
+    expect(error.data).toEqual({ error: 'Job already taken.' });
+    expect(error.isNetworkError).toBe(false);
+    expect(error.isAborted).toBe(false);
+  });
+
+  it('falls back to the body message, plain text, then the status', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(400, { message: 'Bad input.' }));
+    await expect(apiGet('/api/a')).rejects.toMatchObject({ message: 'Bad input.', status: 400 });
+
+    fetch.mockResolvedValueOnce(jsonResponse(502, 'Bad Gateway'));
+    await expect(apiGet('/api/b')).rejects.toMatchObject({ message: 'Bad Gateway', status: 502 });
+
+    fetch.mockResolvedValueOnce(jsonResponse(500));
+    await expect(apiGet('/api/c')).rejects.toMatchObject({ message: 'Request failed with status 500.', status: 500 });
+  });
+
+  it('reports a failed fetch as a network error', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await apiGet('/api/jobs').catch(e => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.isNetworkError).toBe(true);
+    expect(error.status).toBe(0);
+    expect(error.message).toMatch(/network error/i);
+  });
+
+  it('reports a cancelled fetch as aborted, not as a network error', async () => {
+    fetch.mockRejectedValue(new DOMException('The user aborted a request.', 'AbortError'));
+
+    const error = await apiGet('/api/jobs').catch(e => e);
+    expect(error.isAborted).toBe(true);
+    expect(error.isNetworkError).toBe(false);
+    expect(isAbortError(error)).toBe(true);
+  });
+});
+
+describe('apiRequest session handling', () => {
+  it('logs out without calling the server when there is no token', async () => {
+    localStorage.removeItem('token');
+    const onUnauthorized = jest.fn();
+    setUnauthorizedHandler(onUnauthorized);
+
+    await expect(apiGet('/api/jobs')).rejects.toMatchObject({ status: 401 });
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('sends public requests without a token', async () => {
+    localStorage.removeItem('token');
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+
+    await apiPost('/api/auth/login', {}, { auth: false });
+    expect(authHeader(fetch.mock.calls[0])).toBeUndefined();
+  });
+
+  it('refreshes the session on a 401 and retries once with the new token', async () => {
+    const onUnauthorized = jest.fn();
+    setUnauthorizedHandler(onUnauthorized);
+    setTokenRefreshHandler(jest.fn(async () => {
+      localStorage.setItem('token', 'token-b');
+      return true;
+    }));
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Token expired.' }))
+      .mockResolvedValueOnce(jsonResponse(200, { jobs: [] }));
+
+    await expect(apiGet('/api/jobs')).resolves.toEqual({ jobs: [] });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(authHeader(fetch.mock.calls[0])).toBe('Bearer token-a');
+    expect(authHeader(fetch.mock.calls[1])).toBe('Bearer token-b');
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('logs out when the retried request is still unauthorized', async () => {
+    const onUnauthorized = jest.fn();
+    const refresh = jest.fn().mockResolvedValue(true);
+    setUnauthorizedHandler(onUnauthorized);
+    setTokenRefreshHandler(refresh);
+    fetch.mockResolvedValue(jsonResponse(401, { error: 'Token expired.' }));
+
+    await expect(apiGet('/api/jobs')).rejects.toMatchObject({ status: 401, message: 'Token expired.' });
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs out when the refresh fails or throws', async () => {
+    const onUnauthorized = jest.fn();
+    setUnauthorizedHandler(onUnauthorized);
+    fetch.mockResolvedValue(jsonResponse(401, {}));
+
+    setTokenRefreshHandler(jest.fn().mockResolvedValue(false));
+    await expect(apiGet('/api/jobs')).rejects.toMatchObject({ status: 401 });
+
+    setTokenRefreshHandler(jest.fn().mockRejectedValue(new Error('refresh endpoint down')));
+    await expect(apiGet('/api/jobs')).rejects.toMatchObject({ status: 401 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(onUnauthorized).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves a 401 to the caller when handleUnauthorized is off', async () => {
+    const onUnauthorized = jest.fn();
+    const refresh = jest.fn().mockResolvedValue(true);
+    setUnauthorizedHandler(onUnauthorized);
+    setTokenRefreshHandler(refresh);
+    fetch.mockResolvedValue(jsonResponse(401, { error: 'Wrong password.' }));
+
+    await expect(apiPost('/api/auth/change-password', {}, { handleUnauthorized: false }))
+      .rejects.toMatchObject({ status: 401, message: 'Wrong password.' });
+    expect(refresh).not.toHaveBeenCalled();
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+});
+
+describe('isAbortError', () => {
+  it('recognises cancelled requests only', () => {
+    expect(isAbortError(new ApiError('Request cancelled.', { isAborted: true }))).toBe(true);
+    expect(isAbortError(new DOMException('aborted', 'AbortError'))).toBe(true);
+    expect(isAbortError(new ApiError('Network error.', { isNetworkError: true }))).toBe(false);
+    expect(isAbortError(new Error('boom'))).toBe(false);
+    expect(isAbortError(null)).toBe(false);
+    expect(isAbortError(undefined)).toBe(false);
+  });
+});
+
+describe('useAbortSignal', () => {
+  it('hands out one live signal while mounted and aborts it on unmount', () => {
+    const { result, unmount } = renderHook(() => useAbortSignal());
+
+    const signal = result.current();
+    expect(signal.aborted).toBe(false);
+    expect(result.current()).toBe(signal);
+
+    unmount();
+    expect(signal.aborted).toBe(true);
+    // Late calls after unmount get the aborted signal, so their requests never start
+    expect(result.current().aborted).toBe(true);
+  });
+
+  it('keeps the same getter across renders', () => {
+    const { result, rerender } = renderHook(() => useAbortSignal());
+    const getSignal = result.current;
+
+    rerender();
+    expect(result.current).toBe(getSignal);
+  });
+
+  it('cancels a request that is in flight when the component unmounts', async () => {
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    }));
+    const { result, unmount } = renderHook(() => useAbortSignal());
+
+    const request = apiGet('/api/jobs', { signal: result.current() });
+    unmount();
+
+    const error = await request.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+// src/api/assessment.js
+// Endpoints for the transcriber entry assessment. The backend draws each applicant's test from the
+// admin question bank and scores it, so these payloads never carry correct answers or reference
+// transcripts.
+
+import { apiGet, apiPost, apiPut } from './apiClient';
+
+/**
+ * @typedef {object} AssessmentProgress
+ * @property {Object<string, number>} grammar_answers - Question id -> chosen option index.
+ * @property {string} transcription_text
+ * @property {string} current_section - grammar | transcription
+ * @property {Object<string, number>} section_seconds - Seconds spent on each section so far.
+ * @property {string} [section_entered_at] - Server time section_seconds was last brought up to date;
+ *   the current section has been running since then.
+ */
+
+/**
+ * @typedef {object} AssignedAssessment
+ * @property {string} id
+ * @property {{ id: string, question: string, options: string[] }[]} grammar_questions - In the order to show them.
+ * @property {{ id: string, title: string, instructions: string, audio_url: string }} transcription_clip
+ * @property {number} time_limit_minutes
+ * @property {string|null} started_at - Recorded by the server when the applicant starts; null before that.
+ * @property {string|null} expires_at - started_at plus the time limit. The backend submits the session
+ *   itself once this passes, even if the browser was closed.
+ * @property {string} server_time - The server's clock when it answered, to correct the countdown.
+ * @property {AssessmentProgress|null} progress - Last autosaved answers, restored after a reload.
+ */
+
+/**
+ * Returns the applicant's test, drawing a new one from the question bank on the first call.
+ * Later calls return the same test, so reloading the page does not reshuffle it.
+ * @returns {Promise<{ assessment: AssignedAssessment }>}
+ */
+export const getAssignedAssessment = (options) => apiGet('/api/transcriber/assessment', options);
+
+/**
+ * Opens a new attempt for a rejected applicant whose cooldown has passed. The backend draws a fresh
+ * test and refuses (403) while the cooldown runs or when no attempts are left.
+ * @returns {Promise<{ assessment: AssignedAssessment }>}
+ */
+export const requestAssessmentRetake = (options) => apiPost('/api/transcriber/assessment/retake', {}, options);
+
+/**
+ * Starts the clock. Starting an already started session returns it unchanged.
+ * @returns {Promise<{ assessment: AssignedAssessment }>}
+ */
+export const startAssessment = (assessmentId, options) => apiPost(`/api/transcriber/assessment/${assessmentId}/start`, {}, options);
+
+/**
+ * @param {AssessmentProgress} progress
+ * @returns {Promise<{ saved_at: string }>}
+ */
+export const saveAssessmentProgress = (assessmentId, progress, options) =>
+  apiPut(`/api/transcriber/assessment/${assessmentId}/progress`, progress, options);
+
+/**
+ * @param {{ grammar_answers: Object<string, number>, transcription_text: string, section_seconds: Object<string, number>, auto_submitted: boolean }} answers -
+ *   grammar_answers maps question id to the chosen option index. auto_submitted marks a submission
+ *   made because time ran out.
+ */
+export const submitAssessment = (assessmentId, answers, options) =>
+  apiPost(`/api/transcriber/assessment/${assessmentId}/submit`, answers, options);
@@ -0,0 +1,39 @@
+// src/api/auth.js
+// Endpoints for the /api/auth route family. These run before (or instead of) a valid session,
+// so none of them go through the 401 logout/refresh handling in apiClient.
+
+import { apiPost } from './apiClient';
+
+const PUBLIC = { auth: false, handleUnauthorized: false };
+
+/**
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise<{ token: string, refreshToken?: string, user: object }>}
+ */
+export const loginUser = (credentials, options) => apiPost('/api/auth/login', credentials, { ...options, ...PUBLIC });
+
+/**
+ * @param {{ email: string, password: string, full_name: string, user_type: string, phone?: string }} registration
+ * @returns {Promise<{ message: string, token?: string, user?: object }>} Trainee sign-ups are logged in straight away and get a token.
+ */
+export const registerUser = (registration, options) => apiPost('/api/auth/register', registration, { ...options, ...PUBLIC });
+
+export const requestPasswordReset = (email, options) => apiPost('/api/auth/forgot-password', { email }, { ...options, ...PUBLIC });
+
+/** @param {{ token: string, newPassword: string }} reset - token is the one from the emailed reset link. */
+export const resetPassword = (reset, options) => apiPost('/api/auth/reset-password', reset, { ...options, ...PUBLIC });
+
+/**
+ * Exchanges the current session for a fresh token. The current (possibly expired) access token is
+ * sent as the bearer token, and the refresh token issued at login is sent in the body when there is one.
+ * @returns {Promise<{ token: string, refreshToken?: string, user?: object }>}
+ */
+export const refreshSession = (options) => {
+  const token = localStorage.getItem('token');
+  const refreshToken = localStorage.getItem('refreshToken');
+  return apiPost('/api/auth/refresh-token', refreshToken ? { refreshToken } : {}, {
+    ...options,
+    ...PUBLIC,
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+  });
+};
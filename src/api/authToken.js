@@ -0,0 +1,49 @@
+// src/api/authToken.js
+// Helpers for reading the expiry out of the JWT stored in localStorage. The payload is only
+// decoded, never verified: the backend remains the authority on whether a token is valid.
+
+/**
+ * Decodes the payload segment of a JWT.
+ * @param {string} token
+ * @returns {object|null} The payload, or null if the token is not a readable JWT.
+ */
+export const decodeTokenPayload = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  const segments = token.split('.');
+  if (segments.length !== 3) return null;
+
+  try {
+    const base64 = segments[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    const json = decodeURIComponent(
+      atob(padded)
+        .split('')
+        .map((char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .join('')
+    );
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn('authToken: Could not decode token payload.', error);
+    return null;
+  }
+};
+
+/**
+ * @param {string} token
+ * @returns {number|null} Expiry as a millisecond timestamp, or null when the token has no exp claim.
+ */
+export const getTokenExpiry = (token) => {
+  const payload = decodeTokenPayload(token);
+  if (!payload || typeof payload.exp !== 'number') return null;
+  return payload.exp * 1000;
+};
+
+/**
+ * @param {string} token
+ * @param {number} [marginMs=0] - Treat the token as expired this many milliseconds early.
+ * @returns {boolean} True when the token has an exp claim that has passed. Tokens without exp never expire here.
+ */
+export const isTokenExpired = (token, marginMs = 0) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - marginMs <= Date.now();
+};
@@ -0,0 +1,68 @@
+import { decodeTokenPayload, getTokenExpiry, isTokenExpired } from './authToken';
+
+// Builds an unsigned JWT the way the backend lays one out: base64url segments joined by dots
+const base64Url = (text) => btoa(unescape(encodeURIComponent(text))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const makeToken = (payload) => `${base64Url('{"alg":"HS256","typ":"JWT"}')}.${base64Url(JSON.stringify(payload))}.signature`;
+
+const NOW = Date.parse('2026-10-01T10:00:00Z');
+const inSeconds = (seconds) => (NOW + seconds * 1000) / 1000;
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('decodeTokenPayload', () => {
+  it('reads base64url payloads, including unpadded and non-ASCII ones', () => {
+    expect(decodeTokenPayload(makeToken({ userId: 'u1', exp: 1 }))).toEqual({ userId: 'u1', exp: 1 });
+    expect(decodeTokenPayload(makeToken({ full_name: 'Zoë Ñúñez ~?>' }))).toEqual({ full_name: 'Zoë Ñúñez ~?>' });
+  });
+
+  it('returns null for tokens that are not readable JWTs', () => {
+    expect(decodeTokenPayload(undefined)).toBeNull();
+    expect(decodeTokenPayload('')).toBeNull();
+    expect(decodeTokenPayload(12345)).toBeNull();
+    expect(decodeTokenPayload('only.two')).toBeNull();
+    expect(decodeTokenPayload('a.b.c.d')).toBeNull();
+    expect(decodeTokenPayload('header.***.signature')).toBeNull();
+    expect(decodeTokenPayload(`header.${base64Url('not json')}.signature`)).toBeNull();
+  });
+});
+
+describe('getTokenExpiry', () => {
+  it('converts the exp claim from seconds to milliseconds', () => {
+    expect(getTokenExpiry(makeToken({ exp: inSeconds(60) }))).toBe(NOW + 60000);
+  });
+
+  it('returns null without a numeric exp claim', () => {
+    expect(getTokenExpiry(makeToken({ userId: 'u1' }))).toBeNull();
+    expect(getTokenExpiry(makeToken({ exp: String(inSeconds(60)) }))).toBeNull();
+    expect(getTokenExpiry(makeToken({ exp: null }))).toBeNull();
+    expect(getTokenExpiry('not-a-token')).toBeNull();
+  });
+});
+
+describe('isTokenExpired', () => {
+  it('treats the token as expired from the moment exp is reached', () => {
+    expect(isTokenExpired(makeToken({ exp: inSeconds(1) }))).toBe(false);
+    expect(isTokenExpired(makeToken({ exp: inSeconds(0) }))).toBe(true);
+    expect(isTokenExpired(makeToken({ exp: inSeconds(-60) }))).toBe(true);
+  });
+
+  it('expires the token early by the margin, to allow for clock skew', () => {
+    const token = makeToken({ exp: inSeconds(60) });
+    expect(isTokenExpired(token, 30000)).toBe(false);
+    expect(isTokenExpired(token, 60000)).toBe(true);
+    expect(isTokenExpired(token, 90000)).toBe(true);
+  });
+
+  it('never expires tokens without an exp claim or that cannot be read', () => {
+    expect(isTokenExpired(makeToken({ userId: 'u1' }), 60000)).toBe(false);
+    expect(isTokenExpired('malformed')).toBe(false);
+    expect(isTokenExpired(null)).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+// src/api/chat.js
+// Endpoints for the chat route family: direct user/admin chats, job chats and attachments.
+// Socket handling stays in ChatService.js; this module only covers the HTTP side.
+
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} id
+ * @property {string} sender_id
+ * @property {string} receiver_id
+ * @property {string} [content]
+ * @property {string} [file_url]
+ * @property {string} [file_name]
+ * @property {string} timestamp
+ * @property {string|null} [read_at] - When the receiver read it; set through read receipts.
+ * @property {string|null} [edited_at] - Last edit by the sender; shown as "edited".
+ * @property {string|null} [deleted_at] - Set when the sender deleted it; content and file are then null.
+ * @property {import('../chat/messageActions').ReplyPreview|null} [reply_to] - The message this one replies to.
+ */
+
+/**
+ * Message history is paged newest first. Pass `params: { limit, before }` in the options, with
+ * `before` set to the previous response's `next_cursor` to get the page before it; `next_cursor` is
+ * null once the start of the conversation is reached. Each page is in send order.
+ * @typedef {{ messages: ChatMessage[], next_cursor: string|null }} ChatMessagePage
+ */
+
+/**
+ * A message matched by search, with the conversation it belongs to. Job and training-room hits carry
+ * their job_id or training_room_id; direct chat hits are identified by their two participants.
+ * @typedef {object} ChatSearchHit
+ * @property {string} id
+ * @property {string} [content]
+ * @property {string} [file_name]
+ * @property {string} timestamp
+ * @property {string} sender_id
+ * @property {string} sender_name
+ * @property {string} receiver_id
+ * @property {string} receiver_name
+ * @property {'direct'|'negotiation'|'direct_upload'|'training'} conversation_type
+ * @property {string|null} [job_id]
+ * @property {string|null} [job_status] - Status of the job for job chat hits.
+ * @property {string|null} [training_room_id]
+ */
+
+/**
+ * Full-text search over the signed-in user's own conversations. Pass `params: { q, limit }`.
+ * @returns {Promise<{ results: ChatSearchHit[] }>} Best matches first.
+ */
+export const searchMessages = (options) => apiGet('/api/chat/search', options);
+
+/**
+ * Admin search across every user's conversations. Pass `params: { q, limit }`.
+ * @returns {Promise<{ results: ChatSearchHit[] }>}
+ */
+export const searchAllMessages = (options) => apiGet('/api/admin/chat/search', options);
+
+/** @returns {Promise<{ count: number }>} */
+export const getUnreadMessageCount = (options) => apiGet('/api/user/chat/unread-count', options);
+
+/** @returns {Promise<ChatMessagePage>} */
+export const getUserChatMessages = (otherUserId, options) => apiGet(`/api/user/chat/messages/${otherUserId}`, options);
+
+/** @returns {Promise<ChatMessagePage>} */
+export const getAdminChatMessages = (userId, options) => apiGet(`/api/admin/chat/messages/${userId}`, options);
+
+export const getAdminChatList = (options) => apiGet('/api/admin/chat/list', options);
+
+/** @returns {Promise<ChatMessagePage>} */
+export const getJobMessages = (jobId, options) => apiGet(`/api/messages/${jobId}`, options);
+
+/**
+ * Send payloads also accept `replyToMessageId`, the ID of the message being replied to.
+ * @param {{ receiverId: string, messageText?: string, fileUrl?: string, fileName?: string, trainingRoomId?: string, timestamp?: string, clientMessageId?: string }} payload
+ */
+export const sendUserChatMessage = (payload, options) => apiPost('/api/user/chat/send-message', payload, options);
+
+/** @param {{ receiverId: string, messageText?: string, fileUrl?: string, fileName?: string, trainingRoomId?: string, timestamp?: string, clientMessageId?: string }} payload */
+export const sendAdminChatMessage = (payload, options) => apiPost('/api/admin/chat/send-message', payload, options);
+
+/** @param {{ receiverId: string, jobId: string, messageText?: string, fileUrl?: string, fileName?: string, timestamp?: string, clientMessageId?: string }} payload */
+export const sendJobMessage = (payload, options) => apiPost('/api/messages/job/send', payload, options);
+
+/**
+ * Changes the text of the user's own message within the edit window (403 once it has passed). Both
+ * participants also receive the result as a `messageUpdated` socket event.
+ * @param {string} messageId
+ * @param {{ content: string }} change
+ * @returns {Promise<{ message: ChatMessage }>}
+ */
+export const editChatMessage = (messageId, change, options) => apiPut(`/api/chat/messages/${messageId}`, change, options);
+
+/**
+ * Deletes the user's own message for both participants, within the edit window. Admins can still
+ * read it in the dispute history.
+ * @returns {Promise<{ message: ChatMessage }>}
+ */
+export const deleteChatMessage = (messageId, options) => apiDelete(`/api/chat/messages/${messageId}`, options);
+
+/**
+ * @param {File} file
+ * @returns {Promise<{ fileUrl: string, fileName: string }>}
+ */
+export const uploadChatAttachment = (file, options) => {
+  const formData = new FormData();
+  formData.append('chatAttachment', file); // Key expected by the backend
+  return apiPost('/api/chat/upload-attachment', formData, options);
+};
@@ -0,0 +1,130 @@
+// src/api/directUploads.js
+// Endpoints for the direct-upload route family: quotes and job creation, client and
+// transcriber job lists, payments and file downloads.
+
+import { apiGet, apiPost, apiPut, apiDelete, downloadFile } from './apiClient';
+
+/**
+ * @typedef {object} DirectUploadJob
+ * @property {string} id
+ * @property {string} status - pending_review | available_for_transcriber | taken | in_progress | awaiting_qa | qa_in_progress
+ *   | completed | client_completed | cancelled. awaiting_qa and qa_in_progress only occur while the QA stage is on.
+ * @property {string} file_name
+ * @property {number} quote_amount
+ * @property {number} agreed_deadline_hours
+ * @property {string[]} [special_requirements]
+ * @property {number} [audio_length_minutes]
+ * @property {number} [timestamp_interval_seconds] - How often the client wants timestamps, if they said.
+ * @property {string|null} [order_id] - Set when the job was created as part of a multi-file order.
+ * @property {number} [pricing_version_number] - Pricing rule version that produced the quote.
+ * @property {string} [pricing_rule_name] - Name of the matched rule within that version.
+ * @property {{ id: string, full_name: string }|null} [qa_reviewer] - Proofreader who claimed the job.
+ * @property {number|null} [qa_score] - 1-5 score the proofreader gave the transcriber.
+ * @property {string|null} [qa_notes]
+ * @property {string|null} [qa_released_at]
+ */
+
+/**
+ * Several direct-upload jobs (one per file) bought with a single payment.
+ * @typedef {object} DirectUploadOrder
+ * @property {string} id
+ * @property {number} total_amount - Sum of the jobs' quote_amount, in USD.
+ * @property {DirectUploadJob[]} jobs
+ */
+
+/**
+ * @typedef {object} QuoteDetails
+ * @property {number} quote_amount
+ * @property {number} price_per_minute_usd
+ * @property {number} audio_length_minutes
+ * @property {number} agreed_deadline_hours
+ * @property {string} audio_quality_param
+ * @property {string} deadline_type_param
+ * @property {string[]} special_requirements
+ */
+
+/**
+ * @param {FormData} formData - uploadId (a completed session from api/uploads.js), instructionFiles, clientInstructions,
+ *   audioQualityParam, deadlineTypeParam, specialRequirements
+ * @returns {Promise<{ quoteDetails: QuoteDetails }>}
+ */
+export const getDirectUploadQuote = (formData, options) => apiPost('/api/direct-upload/job/quote', formData, options);
+
+/**
+ * Active pricing rules, for the instant estimate shown before the file is uploaded.
+ * @returns {Promise<{ pricing_rules: import('./admin').PricingRule[] }>}
+ */
+export const getDirectUploadPricingRules = (options) => apiGet('/api/direct-upload/pricing-rules', options);
+
+/**
+ * @param {FormData} formData - The quote fields plus quote_amount, pricePerMinuteUsd, agreedDeadlineHours and jobType.
+ * @returns {Promise<{ job: DirectUploadJob }>}
+ */
+export const createDirectUploadJob = (formData, options) => apiPost('/api/direct-upload/job', formData, options);
+
+// --- Multi-file orders ---
+
+/**
+ * @param {FormData} formData - One uploadIds entry per file, plus the same option fields as a single quote.
+ * @returns {Promise<{ orderQuote: { items: Array<QuoteDetails & { upload_id: string, file_name: string }>, total_amount: number } }>}
+ */
+export const getDirectUploadOrderQuote = (formData, options) => apiPost('/api/direct-upload/orders/quote', formData, options);
+
+/**
+ * Creates one job per uploaded file, all sharing a new order ID and awaiting a single payment.
+ * @param {FormData} formData - The order quote fields plus total_amount.
+ * @returns {Promise<{ order: DirectUploadOrder }>}
+ */
+export const createDirectUploadOrder = (formData, options) => apiPost('/api/direct-upload/orders', formData, options);
+
+/** @param {{ orderId: string, amount: number, email: string, paymentMethod: string, fullName: string, mobileNumber?: string }} payload */
+export const initializeDirectUploadOrderPayment = (orderId, payload, options) => apiPost(`/api/direct-upload/orders/${orderId}/payment/initialize`, payload, options);
+
+export const verifyDirectUploadOrderPayment = (orderId, reference, paymentMethod = 'paystack', options) =>
+  apiGet(`/api/direct-upload/orders/${orderId}/payment/verify/${reference}`, { ...options, params: { paymentMethod } });
+
+/** @returns {Promise<{ job: DirectUploadJob }>} */
+export const getDirectUploadJob = (jobId, options) => apiGet(`/api/direct-jobs/${jobId}`, options);
+
+/** Removes the job from the caller's own list. */
+export const deleteDirectUploadJob = (jobId, options) => apiDelete(`/api/direct-jobs/${jobId}`, options);
+
+// --- Client side ---
+
+/** @returns {Promise<{ jobs: DirectUploadJob[] }>} */
+export const getClientDirectUploadJobs = (options) => apiGet('/api/client/direct-jobs', options);
+
+/** @param {{ clientFeedbackComment: string, clientFeedbackRating: number }} feedback */
+export const completeClientDirectUploadJob = (jobId, feedback, options) => apiPut(`/api/client/direct-jobs/${jobId}/complete`, feedback, options);
+
+// --- Transcriber side ---
+
+/** @returns {Promise<{ jobs: DirectUploadJob[] }>} */
+export const getAvailableDirectUploadJobs = (options) => apiGet('/api/transcriber/direct-jobs/available', options);
+
+/** @returns {Promise<{ job: DirectUploadJob|null }>} The transcriber works one direct upload job at a time. */
+export const getActiveDirectUploadJobs = (options) => apiGet('/api/transcriber/direct-jobs/active', options);
+
+/** @returns {Promise<{ jobs: DirectUploadJob[] }>} */
+export const getDirectUploadJobHistory = (options) => apiGet('/api/transcriber/direct-jobs/history', options);
+
+export const takeDirectUploadJob = (jobId, options) => apiPut(`/api/transcriber/direct-jobs/${jobId}/take`, {}, options);
+
+export const cancelDirectUploadJob = (jobId, options) => apiPut(`/api/transcriber/direct-jobs/${jobId}/cancel`, {}, options);
+
+/** @param {{ transcriberComment: string }} submission */
+export const submitDirectUploadJob = (jobId, submission, options) => apiPut(`/api/transcriber/direct-jobs/${jobId}/complete`, submission, options);
+
+// --- Payments ---
+
+/** @param {{ jobId: string, amount: number, email: string, paymentMethod: string, fullName: string, mobileNumber?: string }} payload */
+export const initializeDirectUploadPayment = (jobId, payload, options) => apiPost(`/api/direct-uploads/${jobId}/payment/initialize`, payload, options);
+
+export const verifyDirectUploadPayment = (jobId, reference, paymentMethod = 'paystack', options) =>
+  apiGet(`/api/direct-uploads/${jobId}/payment/verify/${reference}`, { ...options, params: { paymentMethod } });
+
+export const verifyDirectUploadKorapayPayment = (jobId, reference, options) =>
+  apiPost('/api/direct-uploads/payment/verify-korapay', { reference, relatedJobId: jobId, paymentMethod: 'korapay' }, options);
+
+export const downloadDirectUploadFile = (jobId, fileName, options) =>
+  downloadFile(`/api/direct-jobs/${jobId}/download/${fileName}`, fileName, options);
@@ -0,0 +1,64 @@
+// src/api/negotiations.js
+// Endpoints for the /api/negotiations route family (client and transcriber sides).
+
+import { apiGet, apiPost, apiPut, apiDelete, downloadFile } from './apiClient';
+
+/**
+ * @typedef {object} Negotiation
+ * @property {string} id
+ * @property {string} status - pending | transcriber_counter | client_counter | accepted_awaiting_payment | hired | completed | rejected | cancelled
+ * @property {number} agreed_price_usd
+ * @property {number} deadline_hours
+ * @property {string} [negotiation_files]
+ */
+
+/** @returns {Promise<{ negotiations: Negotiation[] }>} */
+export const getClientNegotiations = (options) => apiGet('/api/negotiations/client', options);
+
+/** @returns {Promise<{ negotiations: Negotiation[] }>} */
+export const getTranscriberNegotiations = (options) => apiGet('/api/transcriber/negotiations', options);
+
+/**
+ * Uploads the negotiation audio before the request is created.
+ * @param {FormData} formData
+ */
+export const uploadNegotiationTempFile = (formData, options) => apiPost('/api/negotiations/temp-upload', formData, options);
+
+/** @param {object} negotiationData - Request payload built by TranscriberPool. */
+export const createNegotiation = (negotiationData, options) => apiPost('/api/negotiations/create', negotiationData, options);
+
+export const deleteNegotiation = (negotiationId, options) => apiDelete(`/api/negotiations/${negotiationId}`, options);
+
+// --- Transcriber responses ---
+
+export const acceptNegotiation = (negotiationId, options) => apiPut(`/api/negotiations/${negotiationId}/accept`, {}, options);
+
+/** @param {{ proposed_price_usd: number, transcriber_response: string }} counterOffer */
+export const counterNegotiation = (negotiationId, counterOffer, options) => apiPut(`/api/negotiations/${negotiationId}/counter`, counterOffer, options);
+
+/** @param {{ reason: string }} rejection */
+export const rejectNegotiation = (negotiationId, rejection, options) => apiPut(`/api/negotiations/${negotiationId}/reject`, rejection, options);
+
+// --- Client responses to a transcriber counter-offer ---
+
+export const clientAcceptCounter = (negotiationId, options) => apiPut(`/api/negotiations/${negotiationId}/client/accept-counter`, {}, options);
+
+/** @param {{ client_response: string }} rejection */
+export const clientRejectCounter = (negotiationId, rejection, options) => apiPut(`/api/negotiations/${negotiationId}/client/reject-counter`, rejection, options);
+
+/** @param {{ proposed_price_usd: number, client_response: string }} counterOffer */
+export const clientCounterBack = (negotiationId, counterOffer, options) => apiPut(`/api/negotiations/${negotiationId}/client/counter-back`, counterOffer, options);
+
+/** @param {{ clientFeedbackComment: string, clientFeedbackRating: number }} feedback */
+export const completeNegotiation = (negotiationId, feedback, options) => apiPut(`/api/negotiations/${negotiationId}/complete`, feedback, options);
+
+// --- Payments ---
+
+/** @param {{ jobId: string, amount: number, email: string, paymentMethod: string, fullName: string, mobileNumber?: string }} payload */
+export const initializeNegotiationPayment = (negotiationId, payload, options) => apiPost(`/api/negotiations/${negotiationId}/payment/initialize`, payload, options);
+
+export const verifyNegotiationPayment = (negotiationId, reference, paymentMethod = 'paystack', options) =>
+  apiGet(`/api/negotiations/${negotiationId}/payment/verify/${reference}`, { ...options, params: { paymentMethod } });
+
+export const downloadNegotiationFile = (negotiationId, fileName, options) =>
+  downloadFile(`/api/negotiations/${negotiationId}/download/${fileName}`, fileName, options);
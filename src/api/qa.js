@@ -0,0 +1,45 @@
+// src/api/qa.js
+// Endpoints for the proofreading (QA) stage of direct-upload jobs, used by proofreader-level
+// transcribers. See src/qa/qaReview.js for how jobs move through the stage.
+
+import { apiGet, apiPut } from './apiClient';
+
+/**
+ * @typedef {object} QaReview
+ * @property {import('./directUploads').DirectUploadJob} job - Includes transcriber { id, full_name }.
+ * @property {string} original_transcript - The transcript as the transcriber submitted it.
+ * @property {string|null} proofread_content - The proofreader's last saved version; null before the first save.
+ * @property {string} claimed_at
+ * @property {string|null} saved_at
+ */
+
+/** @returns {Promise<{ jobs: import('./directUploads').DirectUploadJob[] }>} Jobs in awaiting_qa, oldest first. */
+export const getQaQueue = (options) => apiGet('/api/qa/direct-jobs/queue', options);
+
+/** @returns {Promise<{ jobs: import('./directUploads').DirectUploadJob[] }>} Jobs the proofreader has claimed or released. */
+export const getMyQaReviews = (options) => apiGet('/api/qa/direct-jobs/mine', options);
+
+/**
+ * Claims a job for review. The backend answers 409 if another proofreader claimed it first, and
+ * refuses proofreaders reviewing their own transcription.
+ */
+export const claimQaReview = (jobId, options) => apiPut(`/api/qa/direct-jobs/${jobId}/claim`, {}, options);
+
+/** Puts a claimed job back in the queue for another proofreader. */
+export const unclaimQaReview = (jobId, options) => apiPut(`/api/qa/direct-jobs/${jobId}/unclaim`, {}, options);
+
+/** @returns {Promise<{ review: QaReview }>} Only for the proofreader who claimed the job. */
+export const getQaReview = (jobId, options) => apiGet(`/api/qa/direct-jobs/${jobId}`, options);
+
+/**
+ * @param {{ content: string }} draft
+ * @returns {Promise<{ saved_at: string }>}
+ */
+export const saveQaDraft = (jobId, draft, options) => apiPut(`/api/qa/direct-jobs/${jobId}/draft`, draft, options);
+
+/**
+ * Delivers the proofread transcript to the client and records the transcriber's score.
+ * @param {{ content: string, transcriber_score: number, notes: string, edit_rate: number }} release -
+ *   edit_rate is the percentage of the original's words the proofreader changed.
+ */
+export const releaseQaReview = (jobId, release, options) => apiPut(`/api/qa/direct-jobs/${jobId}/release`, release, options);
@@ -0,0 +1,26 @@
+// src/api/trainee.js
+// Endpoints for the trainee route family: status, training materials, the training room and the training fee.
+
+import { apiGet, apiPost } from './apiClient';
+
+/** @returns {Promise<{ status: string, trainer_id?: string }>} */
+export const getTraineeStatus = (options) => apiGet('/api/trainee/status', options);
+
+export const getTraineeMaterials = (options) => apiGet('/api/trainee/materials', options);
+
+/** Paged like the chat endpoints. @returns {Promise<import('./chat').ChatMessagePage>} */
+export const getTrainingRoomMessages = (trainingRoomId, options) => apiGet(`/api/trainee/training-room/messages/${trainingRoomId}`, options);
+
+/** @param {FormData} formData */
+export const uploadTrainingRoomAttachment = (formData, options) => apiPost('/api/trainee/training-room/upload-attachment', formData, options);
+
+// --- Training fee payment ---
+
+/** @param {{ amount: number, email: string, paymentMethod: string, fullName: string, mobileNumber?: string }} payload */
+export const initializeTrainingPayment = (payload, options) => apiPost('/api/training/payment/initialize', payload, options);
+
+export const verifyTrainingPayment = (reference, relatedJobId, paymentMethod = 'paystack', options) =>
+  apiGet(`/api/training/payment/verify/${reference}`, { ...options, params: { relatedJobId, paymentMethod } });
+
+export const verifyTrainingKorapayPayment = (reference, options) =>
+  apiPost('/api/training/payment/verify-korapay', { reference }, options);
@@ -0,0 +1,43 @@
+// src/api/transcripts.js
+// Endpoints for job transcripts: the working draft edited in the transcription workspace, a
+// short-lived URL for streaming the job's media, and the delivered transcript clients export.
+// jobType is 'direct_upload' or 'negotiation'.
+
+import { apiGet, apiPut } from './apiClient';
+
+/**
+ * @typedef {object} TranscriptDraft
+ * @property {string} content
+ * @property {number} revision - Incremented by the server on every save.
+ * @property {string|null} updated_at
+ */
+
+/** @returns {Promise<{ draft: TranscriptDraft }>} An empty draft (revision 0) if nothing has been saved yet. */
+export const getTranscriptDraft = (jobType, jobId, options) => apiGet(`/api/transcripts/${jobType}/${jobId}/draft`, options);
+
+/**
+ * Saves the draft. The server rejects the save with 409 if `revision` is not the latest, which
+ * means the draft was changed elsewhere (e.g. in another tab) since it was loaded; the 409 body
+ * carries the server's current `draft`.
+ * @param {{ content: string, revision: number }} draft
+ * @returns {Promise<{ draft: TranscriptDraft }>}
+ */
+export const saveTranscriptDraft = (jobType, jobId, draft, options) => apiPut(`/api/transcripts/${jobType}/${jobId}/draft`, draft, options);
+
+/**
+ * Media elements cannot send the Authorization header, so the server hands out a signed URL instead.
+ * @returns {Promise<{ url: string, expires_at: string }>}
+ */
+export const getJobMediaUrl = (jobType, jobId, options) => apiGet(`/api/transcripts/${jobType}/${jobId}/media-url`, options);
+
+/**
+ * @typedef {object} DeliveredTranscript
+ * @property {string} content - Transcript text as written in the workspace ([hh:mm:ss] and 'Speaker:' prefixes).
+ * @property {string} file_name - The job's media file name.
+ * @property {number|null} duration_seconds - Media length, if known.
+ * @property {string[]} special_requirements - What the client ordered; empty for negotiation jobs.
+ * @property {string} submitted_at
+ */
+
+/** @returns {Promise<{ transcript: DeliveredTranscript }>} The transcript as submitted for a completed job. */
+export const getJobTranscript = (jobType, jobId, options) => apiGet(`/api/transcripts/${jobType}/${jobId}`, options);
@@ -0,0 +1,45 @@
+// src/api/uploads.js
+// Endpoints for chunked, resumable file uploads. A session is opened for a file, chunks are sent
+// one at a time (in any order, re-sending is harmless), and completing the session turns it into a
+// stored upload whose ID other endpoints accept in place of the file itself.
+
+import { apiGet, apiPost, apiPut, apiDelete } from './apiClient';
+
+/**
+ * @typedef {object} UploadSession
+ * @property {string} uploadId
+ * @property {number} chunkSize - Bytes per chunk; the server may override the requested size.
+ * @property {number} totalChunks
+ * @property {number[]} uploadedChunks - Indexes of the chunks the server already holds.
+ * @property {string} status - uploading | completed
+ */
+
+/**
+ * Opens an upload session.
+ * @param {{ fileName: string, fileSize: number, mimeType: string, chunkSize: number, purpose: string }} details
+ * @returns {Promise<UploadSession>}
+ */
+export const createUploadSession = (details, options) => apiPost('/api/uploads', details, options);
+
+/** @returns {Promise<UploadSession>} The session, including which chunks have already arrived. */
+export const getUploadSession = (uploadId, options) => apiGet(`/api/uploads/${uploadId}`, options);
+
+/**
+ * @param {string} uploadId
+ * @param {number} index - Zero-based chunk index.
+ * @param {Blob} chunk
+ * @returns {Promise<{ uploadedChunks: number }>}
+ */
+export const uploadChunk = (uploadId, index, chunk, options) => {
+  const formData = new FormData();
+  formData.append('chunk', chunk);
+  return apiPut(`/api/uploads/${uploadId}/chunks/${index}`, formData, options);
+};
+
+/**
+ * Assembles the chunks into the stored file.
+ * @returns {Promise<{ upload: { id: string, file_name: string, file_size: number, mime_type: string } }>}
+ */
+export const completeUploadSession = (uploadId, options) => apiPost(`/api/uploads/${uploadId}/complete`, {}, options);
+
+export const cancelUploadSession = (uploadId, options) => apiDelete(`/api/uploads/${uploadId}`, options);
@@ -0,0 +1,41 @@
+// src/api/useAbortSignal.js
+
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Returns a getter for an AbortSignal that is aborted when the component unmounts.
+ * Pass the signal to any api/* call so in-flight requests are cancelled on navigation;
+ * the resulting ApiError has isAborted set and should be ignored (see isAbortError).
+ *
+ * Usage:
+ *   const getSignal = useAbortSignal();
+ *   const data = await getAdminUsers(search, { signal: getSignal() });
+ *
+ * @returns {() => AbortSignal}
+ */
+const useAbortSignal = () => {
+  const controllerRef = useRef(null);
+  const isMountedRef = useRef(false);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    // StrictMode re-runs effects after a simulated unmount, so replace an aborted controller.
+    if (!controllerRef.current || controllerRef.current.signal.aborted) {
+      controllerRef.current = new AbortController();
+    }
+    return () => {
+      isMountedRef.current = false;
+      controllerRef.current.abort();
+    };
+  }, []);
+
+  return useCallback(() => {
+    // Before the first effect runs there is no controller yet; after unmount the aborted one is kept.
+    if (!controllerRef.current || (isMountedRef.current && controllerRef.current.signal.aborted)) {
+      controllerRef.current = new AbortController();
+    }
+    return controllerRef.current.signal;
+  }, []);
+};
+
+export default useAbortSignal;
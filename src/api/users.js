@@ -0,0 +1,49 @@
+// src/api/users.js
+// Endpoints shared by every role: the user record, profiles and ratings, transcriber status and payment history.
+
+import { apiGet, apiPut } from './apiClient';
+
+/** @returns {Promise<{ user: object }>} */
+export const getUser = (userId, options) => apiGet(`/api/users/${userId}`, options);
+
+/** @returns {Promise<{ transcribers: object[] }>} Online transcribers without a current job, for the client's pool. */
+export const getAvailableTranscribers = (options) => apiGet('/api/transcribers/available', options);
+
+/**
+ * @param {'client'|'transcriber'} role - Which side of their jobs the ratings were given for.
+ * @returns {Promise<{ ratings: object[], averageRating?: number }>}
+ */
+export const getUserRatings = (role, userId, options) => apiGet(`/api/ratings/${role}/${userId}`, options);
+
+/** @param {{ full_name: string, phone: string }} profile */
+export const updateClientProfile = (userId, profile, options) => apiPut(`/api/client-profile/${userId}`, profile, options);
+
+/** @param {{ mpesa_number: string, paypal_email: string }} profile - Where the transcriber's payouts go. */
+export const updateTranscriberProfile = (userId, profile, options) => apiPut(`/api/transcriber-profile/${userId}`, profile, options);
+
+/**
+ * @typedef {object} TranscriberStatus
+ * @property {string} user_status - The transcriber_status, e.g. pending_assessment | rejected | active_transcriber
+ * @property {string} [user_level]
+ * @property {boolean} has_submitted_test - Whether the current attempt has been submitted.
+ * @property {{ status: string, rejection_reason: string|null, reviewed_at: string|null, attempt_number: number }|null} test_submission -
+ *   The latest attempt.
+ * @property {{ available_at: string|null, can_retake_now: boolean, attempts_used: number, max_attempts: number }|null} retake -
+ *   Set after a rejection. available_at is null when no attempts are left; max_attempts is 0 for no limit.
+ */
+
+/** @returns {Promise<TranscriberStatus>} */
+export const getTranscriberStatus = (options) => apiGet('/api/transcriber/status', options);
+
+/**
+ * The signed-in transcriber's level and the jobs it allows.
+ * @returns {Promise<{ level: string, job_access: import('../levels/transcriberLevels').LevelJobAccess }>}
+ */
+export const getTranscriberLevel = (options) => apiGet('/api/transcriber/level', options);
+
+/** @returns {Promise<{ message: string, isOnline: boolean }>} */
+export const setTranscriberOnlineStatus = (isOnline, options) => apiPut('/api/transcriber/set-online-status', { isOnline }, options);
+
+export const getTranscriberPayments = (options) => apiGet('/api/transcriber/payments', options);
+
+export const getClientPayments = (options) => apiGet('/api/client/payments', options);
@@ -0,0 +1,421 @@
+// src/assessment/AdminQuestionBank.js
+// Admin page for the transcriber assessment question bank: create, edit, categorise and retire
+// grammar questions and transcription audio clips, and set how many grammar questions each test draws.
+// Route: /admin/assessment-questions
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import Toast from '../Toast';
+import Modal from '../Modal';
+import { useAuth } from '../contexts/AuthContext';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import {
+    getAssessmentQuestions,
+    createAssessmentQuestion,
+    updateAssessmentQuestion,
+    deleteAssessmentQuestion,
+    getAssessmentSettings,
+    updateAssessmentSettings,
+} from '../api/admin';
+import {
+    QUESTION_TYPES,
+    MAX_GRAMMAR_OPTIONS,
+    DEFAULT_GRAMMAR_QUESTION_COUNT,
+    getCategories,
+    getCategoryLabel,
+    createQuestionDraft,
+    validateQuestionDraft,
+    toQuestionPayload,
+    getBankCoverageWarnings,
+} from './questionBank';
+import '../AdminManagement.css';
+import './AdminQuestionBank.css';
+
+const errorMessage = (error, fallback) => (error.isNetworkError ? 'Network error. Please try again.' : error.message || fallback);
+
+const AdminQuestionBank = () => {
+    const { user, logout } = useAuth();
+    const getSignal = useAbortSignal();
+
+    const [questions, setQuestions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [typeFilter, setTypeFilter] = useState('');
+    const [categoryFilter, setCategoryFilter] = useState('');
+    const [grammarQuestionCount, setGrammarQuestionCount] = useState(DEFAULT_GRAMMAR_QUESTION_COUNT);
+    const [savedGrammarQuestionCount, setSavedGrammarQuestionCount] = useState(DEFAULT_GRAMMAR_QUESTION_COUNT);
+    const [settingsSaving, setSettingsSaving] = useState(false);
+    const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+
+    // Create/Edit modal
+    const [draft, setDraft] = useState(null);
+    const [editingQuestion, setEditingQuestion] = useState(null);
+    const [questionModalLoading, setQuestionModalLoading] = useState(false);
+
+    // Delete confirmation modal
+    const [questionToDelete, setQuestionToDelete] = useState(null);
+    const [deleteModalLoading, setDeleteModalLoading] = useState(false);
+
+    const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
+    const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
+
+    const fetchQuestions = useCallback(async () => {
+        try {
+            const data = await getAssessmentQuestions(undefined, { signal: getSignal() });
+            setQuestions(data.questions || []);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to load the question bank.'), 'error');
+        }
+    }, [getSignal, showToast]);
+
+    useEffect(() => {
+        const loadPage = async () => {
+            setLoading(true);
+            try {
+                const [, settingsData] = await Promise.all([
+                    fetchQuestions(),
+                    getAssessmentSettings({ signal: getSignal() }),
+                ]);
+                const count = settingsData.settings?.grammar_question_count || DEFAULT_GRAMMAR_QUESTION_COUNT;
+                setGrammarQuestionCount(count);
+                setSavedGrammarQuestionCount(count);
+            } catch (error) {
+                if (isAbortError(error)) return;
+                showToast(errorMessage(error, 'Failed to load the assessment settings.'), 'error');
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadPage();
+    }, [fetchQuestions, getSignal, showToast]);
+
+    const visibleQuestions = useMemo(() => questions.filter((question) => (
+        (!typeFilter || question.type === typeFilter) && (!categoryFilter || question.category === categoryFilter)
+    )), [questions, typeFilter, categoryFilter]);
+
+    const coverageWarnings = useMemo(
+        () => getBankCoverageWarnings(questions, savedGrammarQuestionCount),
+        [questions, savedGrammarQuestionCount]
+    );
+
+    const handleTypeFilterChange = useCallback((event) => {
+        setTypeFilter(event.target.value);
+        setCategoryFilter('');
+    }, []);
+
+    const handleSaveSettings = useCallback(async () => {
+        const count = Number(grammarQuestionCount);
+        if (!Number.isInteger(count) || count < 1) {
+            showToast('Each test needs at least one grammar question.', 'error');
+            return;
+        }
+        setSettingsSaving(true);
+        try {
+            await updateAssessmentSettings({ grammar_question_count: count }, { signal: getSignal() });
+            setSavedGrammarQuestionCount(count);
+            showToast('Test composition saved. It applies to tests drawn from now on.');
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to save the test composition.'), 'error');
+        } finally {
+            setSettingsSaving(false);
+        }
+    }, [grammarQuestionCount, getSignal, showToast]);
+
+    // --- Create/Edit Question Handlers ---
+    const openCreateModal = useCallback((type) => {
+        setEditingQuestion(null);
+        setDraft(createQuestionDraft(type));
+    }, []);
+
+    const openEditModal = useCallback((question) => {
+        setEditingQuestion(question);
+        setDraft(createQuestionDraft(question.type, question));
+    }, []);
+
+    const closeQuestionModal = useCallback(() => {
+        setDraft(null);
+        setEditingQuestion(null);
+        setQuestionModalLoading(false);
+    }, []);
+
+    const updateDraft = useCallback((changes) => setDraft((prev) => ({ ...prev, ...changes })), []);
+
+    const updateOption = useCallback((index, value) => {
+        setDraft((prev) => ({ ...prev, options: prev.options.map((option, i) => (i === index ? value : option)) }));
+    }, []);
+
+    const removeOption = useCallback((index) => {
+        setDraft((prev) => {
+            let correctIndex = prev.correct_option_index;
+            if (index === correctIndex) correctIndex = 0;
+            else if (index < correctIndex) correctIndex -= 1;
+            return { ...prev, options: prev.options.filter((_, i) => i !== index), correct_option_index: correctIndex };
+        });
+    }, []);
+
+    const handleSubmitQuestion = useCallback(async () => {
+        const problem = validateQuestionDraft(draft, !editingQuestion);
+        if (problem) {
+            showToast(problem, 'error');
+            return;
+        }
+        setQuestionModalLoading(true);
+        try {
+            const payload = toQuestionPayload(draft);
+            if (editingQuestion) {
+                await updateAssessmentQuestion(editingQuestion.id, payload, { signal: getSignal() });
+            } else {
+                await createAssessmentQuestion(payload, { signal: getSignal() });
+            }
+            showToast(editingQuestion ? 'Question updated.' : 'Question added to the bank.');
+            closeQuestionModal();
+            fetchQuestions();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, `Failed to ${editingQuestion ? 'update' : 'create'} the question.`), 'error');
+            setQuestionModalLoading(false);
+        }
+    }, [draft, editingQuestion, getSignal, showToast, closeQuestionModal, fetchQuestions]);
+
+    // --- Delete Question Handlers ---
+    const closeDeleteModal = useCallback(() => {
+        setQuestionToDelete(null);
+        setDeleteModalLoading(false);
+    }, []);
+
+    const handleDeleteQuestion = useCallback(async () => {
+        setDeleteModalLoading(true);
+        try {
+            await deleteAssessmentQuestion(questionToDelete.id, { signal: getSignal() });
+            showToast('Question deleted.');
+            closeDeleteModal();
+            fetchQuestions();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to delete the question.'), 'error');
+            setDeleteModalLoading(false);
+        }
+    }, [questionToDelete, getSignal, showToast, closeDeleteModal, fetchQuestions]);
+
+    if (loading) {
+        return (
+            <div className="admin-management-container">
+                <div className="loading-spinner">Loading question bank...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-management-container">
+            <header className="admin-management-header">
+                <div className="header-content">
+                    <h1>Assessment Question Bank</h1>
+                    <div className="user-info">
+                        <span>Welcome, {user?.full_name || 'Admin'}!</span>
+                        <button onClick={logout} className="logout-btn">Logout</button>
+                    </div>
+                </div>
+            </header>
+            <main className="admin-management-main">
+                <div className="back-link-container">
+                    <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
+                </div>
+
+                <div className="admin-content-section">
+                    <h2>Test Composition</h2>
+                    <p>Every applicant gets a test drawn at random from the active questions: this many grammar questions and one transcription clip.</p>
+                    <div className="question-bank-settings">
+                        <label htmlFor="grammarQuestionCount">Grammar questions per test:</label>
+                        <input
+                            id="grammarQuestionCount"
+                            type="number"
+                            min="1"
+                            value={grammarQuestionCount}
+                            onChange={(e) => setGrammarQuestionCount(e.target.value)}
+                        />
+                        <button
+                            onClick={handleSaveSettings}
+                            disabled={settingsSaving || Number(grammarQuestionCount) === savedGrammarQuestionCount}
+                        >
+                            {settingsSaving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                    {coverageWarnings.length > 0 && (
+                        <ul className="question-bank-warnings">
+                            {coverageWarnings.map((warning) => <li key={warning}>⚠️ {warning}</li>)}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="admin-content-section">
+                    <h2>Questions ({questions.length})</h2>
+                    <div className="question-bank-toolbar">
+                        <select value={typeFilter} onChange={handleTypeFilterChange} aria-label="Filter by type">
+                            <option value="">All types</option>
+                            {Object.entries(QUESTION_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                        </select>
+                        <select
+                            value={categoryFilter}
+                            onChange={(e) => setCategoryFilter(e.target.value)}
+                            disabled={!typeFilter}
+                            aria-label="Filter by category"
+                        >
+                            <option value="">All categories</option>
+                            {typeFilter && getCategories(typeFilter).map((category) => (
+                                <option key={category.id} value={category.id}>{category.label}</option>
+                            ))}
+                        </select>
+                        <button onClick={() => openCreateModal('grammar')} className="add-new-btn">+ Grammar Question</button>
+                        <button onClick={() => openCreateModal('transcription')} className="add-new-btn">+ Transcription Clip</button>
+                    </div>
+
+                    {visibleQuestions.length === 0 ? (
+                        <p className="no-data-message">No questions match. Add grammar questions and clips to build the bank.</p>
+                    ) : (
+                        <div className="users-list-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Type</th>
+                                        <th>Category</th>
+                                        <th>Question / Clip</th>
+                                        <th>Answer</th>
+                                        <th>Status</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {visibleQuestions.map((question) => (
+                                        <tr key={question.id} className={question.is_active ? '' : 'inactive-question'}>
+                                            <td>{QUESTION_TYPES[question.type] || question.type}</td>
+                                            <td>{getCategoryLabel(question.type, question.category)}</td>
+                                            <td>{question.type === 'grammar' ? question.question : question.title}</td>
+                                            <td>
+                                                {question.type === 'grammar'
+                                                    ? question.options?.[question.correct_option_index]
+                                                    : question.audio_url && <audio controls preload="none" src={question.audio_url} />}
+                                            </td>
+                                            <td>{question.is_active ? 'Active' : 'Retired'}</td>
+                                            <td>
+                                                <button onClick={() => openEditModal(question)} className="edit-btn">Edit</button>
+                                                <button onClick={() => setQuestionToDelete(question)} className="delete-btn">Delete</button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </main>
+
+            {draft && (
+                <Modal
+                    show={Boolean(draft)}
+                    title={`${editingQuestion ? 'Edit' : 'New'} ${QUESTION_TYPES[draft.type]}`}
+                    onClose={closeQuestionModal}
+                    onSubmit={handleSubmitQuestion}
+                    submitText={editingQuestion ? 'Save Changes' : 'Add to Bank'}
+                    loading={questionModalLoading}
+                >
+                    <div className="form-group">
+                        <label htmlFor="questionCategory">Category:</label>
+                        <select id="questionCategory" value={draft.category} onChange={(e) => updateDraft({ category: e.target.value })}>
+                            {getCategories(draft.type).map((category) => (
+                                <option key={category.id} value={category.id}>{category.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {draft.type === 'grammar' ? (
+                        <>
+                            <div className="form-group">
+                                <label htmlFor="questionText">Question:</label>
+                                <textarea id="questionText" rows="2" value={draft.question} onChange={(e) => updateDraft({ question: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label>Answer options (select the correct one):</label>
+                                {draft.options.map((option, index) => (
+                                    <div key={index} className="question-option-row">
+                                        <input
+                                            type="radio"
+                                            name="correctOption"
+                                            checked={draft.correct_option_index === index}
+                                            onChange={() => updateDraft({ correct_option_index: index })}
+                                            aria-label={`Option ${index + 1} is correct`}
+                                        />
+                                        <input
+                                            type="text"
+                                            value={option}
+                                            onChange={(e) => updateOption(index, e.target.value)}
+                                            placeholder={`Option ${index + 1}`}
+                                        />
+                                        <button type="button" onClick={() => removeOption(index)} disabled={draft.options.length <= 2} aria-label={`Remove option ${index + 1}`}>✕</button>
+                                    </div>
+                                ))}
+                                {draft.options.length < MAX_GRAMMAR_OPTIONS && (
+                                    <button type="button" className="add-option-btn" onClick={() => updateDraft({ options: [...draft.options, ''] })}>
+                                        + Add Option
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div className="form-group">
+                                <label htmlFor="clipTitle">Title:</label>
+                                <input id="clipTitle" type="text" value={draft.title} onChange={(e) => updateDraft({ title: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="clipAudio">Audio file:</label>
+                                {draft.audio_file_name && !draft.audioFile && <p className="current-clip-file">Current file: {draft.audio_file_name}</p>}
+                                <input id="clipAudio" type="file" accept="audio/*" onChange={(e) => updateDraft({ audioFile: e.target.files[0] || null })} />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="clipInstructions">Instructions shown to applicants:</label>
+                                <textarea id="clipInstructions" rows="3" value={draft.instructions} onChange={(e) => updateDraft({ instructions: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="clipReference">Reference transcript (never shown to applicants):</label>
+                                <textarea id="clipReference" rows="8" value={draft.reference_transcript} onChange={(e) => updateDraft({ reference_transcript: e.target.value })} />
+                            </div>
+                        </>
+                    )}
+
+                    <div className="form-group">
+                        <label>
+                            <input type="checkbox" checked={draft.is_active} onChange={(e) => updateDraft({ is_active: e.target.checked })} />
+                            {' '}Active (can be drawn into new tests)
+                        </label>
+                    </div>
+                </Modal>
+            )}
+
+            {questionToDelete && (
+                <Modal
+                    show={Boolean(questionToDelete)}
+                    title="Delete Question?"
+                    onClose={closeDeleteModal}
+                    onSubmit={handleDeleteQuestion}
+                    submitText="Confirm Delete"
+                    loading={deleteModalLoading}
+                >
+                    <p>Delete "{questionToDelete.type === 'grammar' ? questionToDelete.question : questionToDelete.title}" from the bank?</p>
+                    <p>Tests already taken keep their copy. To stop using a question but keep it for reference, edit it and untick Active instead.</p>
+                </Modal>
+            )}
+
+            <Toast
+                message={toast.message}
+                type={toast.type}
+                isVisible={toast.isVisible}
+                onClose={hideToast}
+                duration={toast.type === 'error' ? 4000 : 3000}
+            />
+        </div>
+    );
+};
+
+export default AdminQuestionBank;
@@ -0,0 +1,98 @@
+// src/assessment/TranscriptionScoreReport.js
+// Score breakdown and coloured word-level diff of a test transcript against the reference, for
+// reviewers in AdminTranscriberTestDetails.
+
+import React from 'react';
+import { SCORE_WEIGHTS } from './transcriptScoring';
+import './TranscriptionScoreReport.css';
+
+const scoreClass = (value) => {
+    if (value >= 90) return 'score-good';
+    if (value >= 75) return 'score-fair';
+    return 'score-poor';
+};
+
+const formatTagList = (tags) => tags.map(({ tag, count }) => (count > 1 ? `${tag} ×${count}` : tag)).join(', ');
+
+const DiffToken = ({ op }) => {
+    switch (op.type) {
+        case 'substitute':
+            return (
+                <span className="diff-token diff-substitute" title={`Reference: ${op.ref.raw}`}>
+                    <del>{op.ref.raw}</del> <ins>{op.hyp.raw}</ins>
+                </span>
+            );
+        case 'delete':
+            return <del className="diff-token diff-missing" title="Missed word">{op.ref.raw}</del>;
+        case 'insert':
+            return <ins className="diff-token diff-extra" title="Extra word">{op.hyp.raw}</ins>;
+        default: {
+            const formatIssue = op.punctuationMismatch || op.caseMismatch;
+            return (
+                <span
+                    className={`diff-token ${formatIssue ? 'diff-format' : ''}`}
+                    title={formatIssue ? `Reference: ${op.ref.raw}` : undefined}
+                >
+                    {op.hyp.raw}
+                </span>
+            );
+        }
+    }
+};
+
+/**
+ * @param {object} props
+ * @param {import('./transcriptScoring').TranscriptionScore} props.score
+ */
+const TranscriptionScoreReport = ({ score }) => {
+    const metrics = [
+        { label: 'Word accuracy', value: score.wordAccuracy, weight: SCORE_WEIGHTS.wordAccuracy, note: `WER ${score.wer}%` },
+        { label: 'Punctuation', value: score.punctuation, weight: SCORE_WEIGHTS.punctuation },
+        { label: 'Capitalisation', value: score.capitalisation, weight: SCORE_WEIGHTS.capitalisation },
+        { label: 'Tag usage', value: score.tags.accuracy, weight: SCORE_WEIGHTS.tags },
+    ];
+
+    return (
+        <div className="transcription-score-report">
+            <div className="score-summary">
+                <div className={`overall-score ${scoreClass(score.overall)}`}>
+                    <span className="overall-value">{score.overall}%</span>
+                    <span className="overall-label">Transcription Score</span>
+                </div>
+                <div className="score-metrics">
+                    {metrics.map(({ label, value, weight, note }) => (
+                        <div key={label} className="score-metric">
+                            <span className="metric-label">{label} <small>({Math.round(weight * 100)}%)</small></span>
+                            <span className={`metric-value ${scoreClass(value)}`}>{value}%</span>
+                            {note && <small>{note}</small>}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <p className="score-counts">
+                {score.counts.referenceWords} reference words: {score.counts.substitutions} wrong,
+                {' '}{score.counts.deletions} missed, {score.counts.insertions} extra.
+                {score.tags.missing.length > 0 && <> Missing tags: {formatTagList(score.tags.missing)}.</>}
+                {score.tags.unexpected.length > 0 && <> Unexpected tags: {formatTagList(score.tags.unexpected)}.</>}
+            </p>
+
+            <div className="diff-legend">
+                <span className="diff-substitute"><del>reference</del> <ins>submitted</ins></span>
+                <span className="diff-missing">missed</span>
+                <span className="diff-extra">extra</span>
+                <span className="diff-format">punctuation or case differs</span>
+            </div>
+            <div className="word-diff">
+                {score.diff.map((op, index) => (
+                    // Ops have no identity of their own; the diff is always rendered as a whole
+                    <React.Fragment key={index}>
+                        <DiffToken op={op} />{' '}
+                    </React.Fragment>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TranscriptionScoreReport;
@@ -0,0 +1,66 @@
+// src/assessment/assessmentTimer.js
+// Clock helpers for timed assessment sessions. The backend records when a session started and when
+// it expires; the browser only counts down towards that deadline, corrected for the difference
+// between its clock and the server's, so changing the device clock does not buy extra time.
+
+export const ASSESSMENT_SECTIONS = ['grammar', 'transcription'];
+
+/**
+ * Milliseconds to add to Date.now() to get the server's time.
+ * @param {string} serverTime - ISO timestamp the server sent with the session.
+ * @param {number} receivedAt - Date.now() when the response arrived.
+ */
+export const getClockOffset = (serverTime, receivedAt) => {
+    const serverMs = Date.parse(serverTime);
+    return Number.isNaN(serverMs) ? 0 : serverMs - receivedAt;
+};
+
+/**
+ * @param {string} expiresAt - ISO timestamp the session ends.
+ * @param {number} clockOffset - From getClockOffset.
+ * @param {number} [now=Date.now()]
+ * @returns {number} Whole seconds left, never below 0.
+ */
+export const getRemainingSeconds = (expiresAt, clockOffset, now = Date.now()) => (
+    Math.max(Math.ceil((Date.parse(expiresAt) - (now + clockOffset)) / 1000), 0)
+);
+
+/**
+ * The Date.now() time a saved section entry corresponds to, so a reload keeps counting the current
+ * section from its last checkpoint instead of from the reload.
+ * @param {string} [sectionEnteredAt] - ISO server time saved with the progress.
+ * @param {number} clockOffset - From getClockOffset.
+ * @param {number} [now=Date.now()] - Also the fallback when nothing usable was saved.
+ */
+export const getSectionEnteredAt = (sectionEnteredAt, clockOffset, now = Date.now()) => {
+    const serverMs = Date.parse(sectionEnteredAt);
+    return Number.isNaN(serverMs) ? now : Math.min(serverMs - clockOffset, now);
+};
+
+/** 75 -> '01:15', 3725 -> '1:02:05' */
+export const formatDuration = (totalSeconds) => {
+    const seconds = Math.max(Math.round(totalSeconds || 0), 0);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
+
+/**
+ * Adds time to one section's running total without mutating the original.
+ * @param {Object<string, number>} sectionSeconds - Seconds spent per section so far.
+ * @param {string} section - Time spent outside ASSESSMENT_SECTIONS (e.g. instructions) is not counted.
+ * @param {number} seconds
+ */
+export const addSectionTime = (sectionSeconds, section, seconds) => {
+    if (!ASSESSMENT_SECTIONS.includes(section) || !(seconds > 0)) return sectionSeconds;
+    return { ...sectionSeconds, [section]: (sectionSeconds[section] || 0) + seconds };
+};
+
+/** Countdown colour: 'normal', then 'warning' in the last 5 minutes and 'critical' in the last minute. */
+export const getCountdownLevel = (remainingSeconds) => {
+    if (remainingSeconds <= 60) return 'critical';
+    if (remainingSeconds <= 300) return 'warning';
+    return 'normal';
+};
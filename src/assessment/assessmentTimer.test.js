@@ -0,0 +1,69 @@
+import { getClockOffset, getRemainingSeconds, getSectionEnteredAt, formatDuration, addSectionTime, getCountdownLevel } from './assessmentTimer';
+
+describe('getClockOffset', () => {
+    it('measures how far the browser clock is behind the server', () => {
+        const receivedAt = Date.parse('2026-01-01T10:00:00Z');
+        expect(getClockOffset('2026-01-01T10:00:30Z', receivedAt)).toBe(30000);
+        expect(getClockOffset('not a date', receivedAt)).toBe(0);
+    });
+});
+
+describe('getRemainingSeconds', () => {
+    const expiresAt = '2026-01-01T11:00:00Z';
+
+    it('counts down to the server deadline using the corrected clock', () => {
+        const now = Date.parse('2026-01-01T10:59:00Z');
+        expect(getRemainingSeconds(expiresAt, 0, now)).toBe(60);
+        // The browser clock runs 30s behind the server, so there is less time left than it thinks
+        expect(getRemainingSeconds(expiresAt, 30000, now)).toBe(30);
+    });
+
+    it('rounds partial seconds up and never goes below zero', () => {
+        expect(getRemainingSeconds(expiresAt, 0, Date.parse('2026-01-01T10:59:59.500Z'))).toBe(1);
+        expect(getRemainingSeconds(expiresAt, 0, Date.parse('2026-01-01T11:05:00Z'))).toBe(0);
+    });
+});
+
+describe('getSectionEnteredAt', () => {
+    const now = Date.parse('2026-10-01T10:05:00Z');
+
+    it('converts the saved server time to the local clock', () => {
+        expect(getSectionEnteredAt('2026-10-01T10:02:00Z', 60000, now)).toBe(Date.parse('2026-10-01T10:01:00Z'));
+    });
+
+    it('never starts the section in the future and falls back to now', () => {
+        expect(getSectionEnteredAt('2026-10-01T10:09:00Z', 0, now)).toBe(now);
+        expect(getSectionEnteredAt(undefined, 0, now)).toBe(now);
+    });
+});
+
+describe('formatDuration', () => {
+    it('formats minutes and seconds, adding hours only when needed', () => {
+        expect(formatDuration(75)).toBe('01:15');
+        expect(formatDuration(3725)).toBe('1:02:05');
+        expect(formatDuration(undefined)).toBe('00:00');
+    });
+});
+
+describe('addSectionTime', () => {
+    it('adds to the section total without mutating the input', () => {
+        const totals = { grammar: 10 };
+        expect(addSectionTime(totals, 'grammar', 5)).toEqual({ grammar: 15 });
+        expect(addSectionTime(totals, 'transcription', 3)).toEqual({ grammar: 10, transcription: 3 });
+        expect(totals).toEqual({ grammar: 10 });
+    });
+
+    it('ignores the instructions page and non-positive durations', () => {
+        const totals = { grammar: 10 };
+        expect(addSectionTime(totals, 'instructions', 5)).toBe(totals);
+        expect(addSectionTime(totals, 'grammar', 0)).toBe(totals);
+    });
+});
+
+describe('getCountdownLevel', () => {
+    it('escalates in the last five minutes and the last minute', () => {
+        expect(getCountdownLevel(301)).toBe('normal');
+        expect(getCountdownLevel(300)).toBe('warning');
+        expect(getCountdownLevel(60)).toBe('critical');
+    });
+});
@@ -0,0 +1,135 @@
+// src/assessment/questionBank.js
+// Question types, categories and draft handling for the transcriber assessment question bank that
+// admins manage in AdminQuestionBank. The backend draws each applicant's test from the active
+// questions in the bank and scores it, so correct answers and reference transcripts only ever travel
+// over admin endpoints.
+
+export const QUESTION_TYPES = {
+    grammar: 'Grammar question',
+    transcription: 'Transcription clip',
+};
+
+export const GRAMMAR_CATEGORIES = [
+    { id: 'spelling', label: 'Spelling' },
+    { id: 'punctuation', label: 'Punctuation' },
+    { id: 'capitalisation', label: 'Capitalisation' },
+    { id: 'homophones', label: 'Homophones (their/there, affect/effect)' },
+    { id: 'verb_agreement', label: 'Verb agreement' },
+    { id: 'pronouns', label: 'Pronouns' },
+    { id: 'prepositions', label: 'Prepositions' },
+];
+
+export const CLIP_CATEGORIES = [
+    { id: 'clear_audio', label: 'Clear audio, one speaker' },
+    { id: 'multiple_speakers', label: 'Multiple speakers' },
+    { id: 'accents', label: 'Accents' },
+    { id: 'background_noise', label: 'Background noise' },
+    { id: 'technical_terms', label: 'Technical terms' },
+];
+
+export const MIN_GRAMMAR_OPTIONS = 2;
+export const MAX_GRAMMAR_OPTIONS = 5;
+export const DEFAULT_GRAMMAR_QUESTION_COUNT = 10;
+
+/** @param {'grammar'|'transcription'} type */
+export const getCategories = (type) => (type === 'transcription' ? CLIP_CATEGORIES : GRAMMAR_CATEGORIES);
+
+export const getCategoryLabel = (type, categoryId) => (
+    getCategories(type).find((category) => category.id === categoryId)?.label || categoryId || 'Uncategorised'
+);
+
+/**
+ * Editable form state for a question. Existing clips keep their audio unless a new file is chosen.
+ * @param {'grammar'|'transcription'} type
+ * @param {import('../api/admin').AssessmentQuestion} [question] - Omit for a new question.
+ */
+export const createQuestionDraft = (type, question) => ({
+    type,
+    category: question?.category || getCategories(type)[0].id,
+    is_active: question ? question.is_active : true,
+    question: question?.question || '',
+    options: question?.options?.length ? [...question.options] : ['', '', ''],
+    correct_option_index: question?.correct_option_index ?? 0,
+    title: question?.title || '',
+    instructions: question?.instructions || '',
+    reference_transcript: question?.reference_transcript || '',
+    audio_file_name: question?.audio_file_name || '',
+    audioFile: null,
+});
+
+/**
+ * @param {ReturnType<typeof createQuestionDraft>} draft
+ * @param {boolean} isNew - New clips need an audio file; edited ones can keep theirs.
+ * @returns {string} The first problem found, or '' when the draft can be saved.
+ */
+export const validateQuestionDraft = (draft, isNew) => {
+    if (!getCategories(draft.type).some((category) => category.id === draft.category)) {
+        return 'Choose a category.';
+    }
+    if (draft.type === 'grammar') {
+        const options = draft.options.map((option) => option.trim());
+        if (!draft.question.trim()) return 'Enter the question text.';
+        if (options.length < MIN_GRAMMAR_OPTIONS) return `Add at least ${MIN_GRAMMAR_OPTIONS} answer options.`;
+        if (options.some((option) => !option)) return 'Answer options cannot be empty.';
+        if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+            return 'Answer options must all be different.';
+        }
+        if (!Number.isInteger(draft.correct_option_index) || !options[draft.correct_option_index]) {
+            return 'Mark the correct answer.';
+        }
+        return '';
+    }
+    if (!draft.title.trim()) return 'Enter a title for the clip.';
+    if (!draft.reference_transcript.trim()) return 'Enter the reference transcript used to score submissions.';
+    if (isNew && !draft.audioFile) return 'Choose the audio file for the clip.';
+    if (draft.audioFile && !draft.audioFile.type.startsWith('audio/')) return 'The clip must be an audio file.';
+    return '';
+};
+
+/**
+ * Request body for create/update. Clips are sent as multipart so the audio can travel with them.
+ * @param {ReturnType<typeof createQuestionDraft>} draft
+ * @returns {object|FormData}
+ */
+export const toQuestionPayload = (draft) => {
+    if (draft.type === 'grammar') {
+        return {
+            type: 'grammar',
+            category: draft.category,
+            is_active: draft.is_active,
+            question: draft.question.trim(),
+            options: draft.options.map((option) => option.trim()),
+            correct_option_index: draft.correct_option_index,
+        };
+    }
+    const formData = new FormData();
+    formData.append('type', 'transcription');
+    formData.append('category', draft.category);
+    formData.append('is_active', String(draft.is_active));
+    formData.append('title', draft.title.trim());
+    formData.append('instructions', draft.instructions.trim());
+    formData.append('reference_transcript', draft.reference_transcript.trim());
+    if (draft.audioFile) formData.append('audio', draft.audioFile);
+    return formData;
+};
+
+/**
+ * Checks the active bank can fill a test: the draw needs at least `grammarQuestionCount` active
+ * grammar questions and one active clip.
+ * @param {import('../api/admin').AssessmentQuestion[]} questions
+ * @param {number} grammarQuestionCount
+ * @returns {string[]} Warnings to show above the bank; empty when a test can be drawn.
+ */
+export const getBankCoverageWarnings = (questions, grammarQuestionCount) => {
+    const active = questions.filter((question) => question.is_active);
+    const grammar = active.filter((question) => question.type === 'grammar').length;
+    const clips = active.filter((question) => question.type === 'transcription').length;
+    const warnings = [];
+    if (grammar < grammarQuestionCount) {
+        warnings.push(`Each test draws ${grammarQuestionCount} grammar questions but only ${grammar} are active.`);
+    }
+    if (clips === 0) {
+        warnings.push('There is no active transcription clip, so no test can be drawn.');
+    }
+    return warnings;
+};
@@ -0,0 +1,93 @@
+import { createQuestionDraft, validateQuestionDraft, toQuestionPayload, getBankCoverageWarnings } from './questionBank';
+
+const grammarDraft = (overrides) => ({
+    ...createQuestionDraft('grammar'),
+    question: 'Choose the correct sentence.',
+    options: ["Their going", "They're going", 'There going'],
+    correct_option_index: 1,
+    ...overrides,
+});
+
+const clipDraft = (overrides) => ({
+    ...createQuestionDraft('transcription'),
+    title: 'Two speakers, café noise',
+    reference_transcript: 'John: Hello there.',
+    audioFile: new File(['data'], 'clip.mp3', { type: 'audio/mpeg' }),
+    ...overrides,
+});
+
+describe('createQuestionDraft', () => {
+    it('starts new questions active in the first category of their type', () => {
+        expect(createQuestionDraft('grammar')).toEqual(expect.objectContaining({ category: 'spelling', is_active: true, options: ['', '', ''] }));
+        expect(createQuestionDraft('transcription').category).toBe('clear_audio');
+    });
+
+    it('copies an existing question without sharing its options array', () => {
+        const question = { type: 'grammar', category: 'pronouns', is_active: false, question: 'Q', options: ['a', 'b'], correct_option_index: 1 };
+        const draft = createQuestionDraft('grammar', question);
+        expect(draft).toEqual(expect.objectContaining({ category: 'pronouns', is_active: false, correct_option_index: 1 }));
+        draft.options[0] = 'changed';
+        expect(question.options[0]).toBe('a');
+    });
+});
+
+describe('validateQuestionDraft', () => {
+    it('accepts a complete grammar question', () => {
+        expect(validateQuestionDraft(grammarDraft(), true)).toBe('');
+    });
+
+    it('rejects empty, duplicate or unmarked grammar options', () => {
+        expect(validateQuestionDraft(grammarDraft({ options: ['a', ' '] }), true)).toBe('Answer options cannot be empty.');
+        expect(validateQuestionDraft(grammarDraft({ options: ['Yes', 'yes '] }), true)).toBe('Answer options must all be different.');
+        expect(validateQuestionDraft(grammarDraft({ correct_option_index: 3 }), true)).toBe('Mark the correct answer.');
+        expect(validateQuestionDraft(grammarDraft({ options: ['only one'] }), true)).toBe('Add at least 2 answer options.');
+    });
+
+    it('requires audio for new clips only', () => {
+        expect(validateQuestionDraft(clipDraft(), true)).toBe('');
+        expect(validateQuestionDraft(clipDraft({ audioFile: null }), true)).toBe('Choose the audio file for the clip.');
+        expect(validateQuestionDraft(clipDraft({ audioFile: null }), false)).toBe('');
+        expect(validateQuestionDraft(clipDraft({ audioFile: new File(['x'], 'notes.txt', { type: 'text/plain' }) }), false)).toBe('The clip must be an audio file.');
+    });
+
+    it('requires a reference transcript for clips', () => {
+        expect(validateQuestionDraft(clipDraft({ reference_transcript: '  ' }), true)).toMatch(/reference transcript/);
+    });
+});
+
+describe('toQuestionPayload', () => {
+    it('sends grammar questions as trimmed JSON', () => {
+        expect(toQuestionPayload(grammarDraft({ question: ' Q? ', options: [' a ', 'b'], correct_option_index: 0 }))).toEqual({
+            type: 'grammar',
+            category: 'spelling',
+            is_active: true,
+            question: 'Q?',
+            options: ['a', 'b'],
+            correct_option_index: 0,
+        });
+    });
+
+    it('sends clips as multipart with the audio only when one was chosen', () => {
+        const payload = toQuestionPayload(clipDraft());
+        expect(payload).toBeInstanceOf(FormData);
+        expect(payload.get('reference_transcript')).toBe('John: Hello there.');
+        expect(payload.get('audio').name).toBe('clip.mp3');
+        expect(toQuestionPayload(clipDraft({ audioFile: null })).has('audio')).toBe(false);
+    });
+});
+
+describe('getBankCoverageWarnings', () => {
+    const grammar = (isActive) => ({ type: 'grammar', is_active: isActive });
+    const clip = (isActive) => ({ type: 'transcription', is_active: isActive });
+
+    it('warns when the active bank cannot fill a test', () => {
+        expect(getBankCoverageWarnings([grammar(true), grammar(false), clip(false)], 2)).toEqual([
+            'Each test draws 2 grammar questions but only 1 are active.',
+            'There is no active transcription clip, so no test can be drawn.',
+        ]);
+    });
+
+    it('is quiet when a test can be drawn', () => {
+        expect(getBankCoverageWarnings([grammar(true), grammar(true), clip(true)], 2)).toEqual([]);
+    });
+});
@@ -0,0 +1,68 @@
+// src/assessment/retakePolicy.js
+// Retake rules for rejected transcriber applicants. Admins set a cooldown after each rejection and an
+// optional cap on attempts; the backend enforces both and reports when an applicant may retake, so
+// these helpers only group and describe attempts for AdminTranscriberTests and TranscriberWaiting.
+
+export const DEFAULT_RETAKE_POLICY = {
+    retake_cooldown_days: 14,
+    // 0 means applicants can keep retaking after each cooldown.
+    max_attempts: 3,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} rejectedAt - ISO timestamp of the rejection.
+ * @param {number} cooldownDays
+ * @returns {Date} When the applicant may start another attempt.
+ */
+export const getRetakeDate = (rejectedAt, cooldownDays) => new Date(Date.parse(rejectedAt) + Math.max(cooldownDays || 0, 0) * DAY_MS);
+
+/**
+ * @param {number} attemptsUsed
+ * @param {number} maxAttempts - 0 for no limit.
+ */
+export const hasAttemptsLeft = (attemptsUsed, maxAttempts) => !maxAttempts || attemptsUsed < maxAttempts;
+
+/**
+ * Describes how long until a retake opens, in whole days rounded up.
+ * @param {string|Date} availableAt
+ * @param {number} [now=Date.now()]
+ * @returns {string} 'now', 'tomorrow' or 'in N days'
+ */
+export const formatRetakeWait = (availableAt, now = Date.now()) => {
+    const days = Math.ceil((new Date(availableAt).getTime() - now) / DAY_MS);
+    if (days <= 0) return 'now';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+};
+
+/**
+ * @typedef {object} ApplicantAttempts
+ * @property {string} userId
+ * @property {{ full_name: string, email: string }} user
+ * @property {import('../api/admin').TranscriberTestSubmission} latest - Most recent attempt.
+ * @property {import('../api/admin').TranscriberTestSubmission[]} attempts - Newest first, including latest.
+ */
+
+/**
+ * Groups test submissions by applicant so each applicant appears once with their attempt history.
+ * Applicants are ordered by their most recent attempt, newest first.
+ * @param {import('../api/admin').TranscriberTestSubmission[]} submissions
+ * @returns {ApplicantAttempts[]}
+ */
+export const groupAttemptsByApplicant = (submissions) => {
+    const byUser = new Map();
+    submissions.forEach((submission) => {
+        const userId = submission.user_id;
+        if (!byUser.has(userId)) byUser.set(userId, []);
+        byUser.get(userId).push(submission);
+    });
+
+    return [...byUser.entries()]
+        .map(([userId, attempts]) => {
+            const sorted = [...attempts].sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+            return { userId, user: sorted[0].users, latest: sorted[0], attempts: sorted };
+        })
+        .sort((a, b) => Date.parse(b.latest.created_at) - Date.parse(a.latest.created_at));
+};
@@ -0,0 +1,42 @@
+import { getRetakeDate, hasAttemptsLeft, formatRetakeWait, groupAttemptsByApplicant } from './retakePolicy';
+
+describe('getRetakeDate', () => {
+    it('adds the cooldown to the rejection time', () => {
+        expect(getRetakeDate('2026-03-01T12:00:00Z', 14).toISOString()).toBe('2026-03-15T12:00:00.000Z');
+        expect(getRetakeDate('2026-03-01T12:00:00Z', 0).toISOString()).toBe('2026-03-01T12:00:00.000Z');
+    });
+});
+
+describe('hasAttemptsLeft', () => {
+    it('treats 0 as no limit', () => {
+        expect(hasAttemptsLeft(2, 3)).toBe(true);
+        expect(hasAttemptsLeft(3, 3)).toBe(false);
+        expect(hasAttemptsLeft(10, 0)).toBe(true);
+    });
+});
+
+describe('formatRetakeWait', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+
+    it('rounds partial days up', () => {
+        expect(formatRetakeWait('2026-03-01T11:00:00Z', now)).toBe('now');
+        expect(formatRetakeWait('2026-03-01T18:00:00Z', now)).toBe('tomorrow');
+        expect(formatRetakeWait('2026-03-04T13:00:00Z', now)).toBe('in 4 days');
+    });
+});
+
+describe('groupAttemptsByApplicant', () => {
+    const attempt = (id, userId, createdAt) => ({ id, user_id: userId, users: { full_name: userId }, created_at: createdAt });
+
+    it('lists each applicant once with attempts newest first, most recently active applicant first', () => {
+        const groups = groupAttemptsByApplicant([
+            attempt('a1', 'ann', '2026-01-01T00:00:00Z'),
+            attempt('b1', 'bob', '2026-01-05T00:00:00Z'),
+            attempt('a2', 'ann', '2026-02-01T00:00:00Z'),
+        ]);
+        expect(groups.map((group) => group.userId)).toEqual(['ann', 'bob']);
+        expect(groups[0].latest.id).toBe('a2');
+        expect(groups[0].attempts.map((item) => item.id)).toEqual(['a2', 'a1']);
+        expect(groups[1].attempts).toHaveLength(1);
+    });
+});
@@ -0,0 +1,207 @@
+// src/assessment/transcriptScoring.js
+// Scores a transcriber's test transcript against the reference transcript: word error rate from a
+// word-level alignment, punctuation and capitalisation accuracy on the aligned words, and how well the
+// guideline tags ([inaudible 00:00:00], [crosstalk], ...) match. The alignment doubles as the diff
+// reviewers see in AdminTranscriberTestDetails.
+
+// Share of the overall score each component contributes.
+export const SCORE_WEIGHTS = {
+    wordAccuracy: 0.7,
+    punctuation: 0.1,
+    capitalisation: 0.1,
+    tags: 0.1,
+};
+
+const TOKEN_PATTERN = /\[[^\]]*\]|[^\s[\]]+/g;
+const TIMESTAMP_TOKEN_PATTERN = /^\[\d{1,2}:[0-5]\d:[0-5]\d\]$/;
+const TAG_TIMESTAMP_PATTERN = /\s+\d{1,2}:[0-5]\d:[0-5]\d(?=\])/;
+const EDGE_PUNCTUATION_PATTERN = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+const isTag = (raw) => raw.startsWith('[');
+
+/**
+ * @typedef {object} Token
+ * @property {string} raw - As written, including punctuation and case.
+ * @property {string} word - Lower-cased without edge punctuation; tags lose their position.
+ */
+
+/** @returns {Token[]} Words and tags, without standalone [hh:mm:ss] timestamps. */
+export const tokenize = (text) => (text || '')
+    .match(TOKEN_PATTERN)
+    ?.filter((raw) => !TIMESTAMP_TOKEN_PATTERN.test(raw))
+    .map((raw) => ({
+        raw,
+        word: isTag(raw)
+            ? raw.replace(TAG_TIMESTAMP_PATTERN, '').toLowerCase()
+            : raw.replace(EDGE_PUNCTUATION_PATTERN, '').toLowerCase(),
+    }))
+    .filter((token) => token.word !== '') || [];
+
+const EQUAL = 0;
+const SUBSTITUTE = 1;
+const DELETE = 2;
+const INSERT = 3;
+
+/**
+ * Minimum-edit alignment of two token lists (Levenshtein with backtrace).
+ * @returns {{ type: 'equal'|'substitute'|'delete'|'insert', ref: Token|null, hyp: Token|null }[]}
+ *   'delete' is a reference word the transcriber missed, 'insert' an extra word they added.
+ */
+export const alignTokens = (reference, hypothesis) => {
+    const rows = reference.length + 1;
+    const cols = hypothesis.length + 1;
+    const moves = new Uint8Array(rows * cols);
+    let previous = new Uint32Array(cols);
+    let current = new Uint32Array(cols);
+
+    for (let j = 0; j < cols; j += 1) {
+        previous[j] = j;
+        moves[j] = INSERT;
+    }
+    for (let i = 1; i < rows; i += 1) {
+        current[0] = i;
+        moves[i * cols] = DELETE;
+        for (let j = 1; j < cols; j += 1) {
+            const same = reference[i - 1].word === hypothesis[j - 1].word;
+            const diagonal = previous[j - 1] + (same ? 0 : 1);
+            const up = previous[j] + 1;
+            const left = current[j - 1] + 1;
+            if (diagonal <= up && diagonal <= left) {
+                current[j] = diagonal;
+                moves[i * cols + j] = same ? EQUAL : SUBSTITUTE;
+            } else if (up <= left) {
+                current[j] = up;
+                moves[i * cols + j] = DELETE;
+            } else {
+                current[j] = left;
+                moves[i * cols + j] = INSERT;
+            }
+        }
+        [previous, current] = [current, previous];
+    }
+
+    const ops = [];
+    let i = rows - 1;
+    let j = cols - 1;
+    while (i > 0 || j > 0) {
+        const move = moves[i * cols + j];
+        if (move === EQUAL || move === SUBSTITUTE) {
+            ops.push({ type: move === EQUAL ? 'equal' : 'substitute', ref: reference[i - 1], hyp: hypothesis[j - 1] });
+            i -= 1;
+            j -= 1;
+        } else if (move === DELETE) {
+            ops.push({ type: 'delete', ref: reference[i - 1], hyp: null });
+            i -= 1;
+        } else {
+            ops.push({ type: 'insert', ref: null, hyp: hypothesis[j - 1] });
+            j -= 1;
+        }
+    }
+    return ops.reverse();
+};
+
+const edgePunctuation = (raw) => (raw.match(EDGE_PUNCTUATION_PATTERN) || []).join('');
+const letterCase = (raw) => raw.replace(/[^\p{L}]/gu, '');
+const hasUpperCase = (raw) => /\p{Lu}/u.test(raw);
+
+// A ratio as a percentage, or 100 when there was nothing to get wrong.
+const percentage = (correct, total) => (total === 0 ? 100 : Math.round((correct / total) * 1000) / 10);
+
+const countTags = (tokens) => tokens.filter((token) => isTag(token.raw)).reduce((counts, token) => {
+    counts[token.word] = (counts[token.word] || 0) + 1;
+    return counts;
+}, {});
+
+const compareTags = (reference, hypothesis) => {
+    const expected = countTags(reference);
+    const used = countTags(hypothesis);
+    const names = [...new Set([...Object.keys(expected), ...Object.keys(used)])];
+    let matched = 0;
+    const missing = [];
+    const unexpected = [];
+    names.forEach((name) => {
+        const want = expected[name] || 0;
+        const got = used[name] || 0;
+        matched += Math.min(want, got);
+        if (want > got) missing.push({ tag: name, count: want - got });
+        if (got > want) unexpected.push({ tag: name, count: got - want });
+    });
+    const expectedTotal = Object.values(expected).reduce((sum, count) => sum + count, 0);
+    const usedTotal = Object.values(used).reduce((sum, count) => sum + count, 0);
+    return { accuracy: percentage(matched, Math.max(expectedTotal, usedTotal)), missing, unexpected };
+};
+
+/**
+ * @typedef {object} TranscriptionScore
+ * @property {number} overall - 0-100, weighted by SCORE_WEIGHTS.
+ * @property {number} wer - Word error rate as a percentage; can exceed 100 with many extra words.
+ * @property {number} wordAccuracy - 100 - WER, floored at 0.
+ * @property {number} punctuation - Percentage of aligned words with matching edge punctuation.
+ * @property {number} capitalisation - Percentage of correctly transcribed words with matching case.
+ * @property {{ accuracy: number, missing: {tag: string, count: number}[], unexpected: {tag: string, count: number}[] }} tags
+ * @property {{ referenceWords: number, substitutions: number, deletions: number, insertions: number }} counts
+ * @property {ReturnType<typeof alignTokens>} diff - Each op also carries `punctuationMismatch` and `caseMismatch`.
+ */
+
+/**
+ * @param {string} referenceText
+ * @param {string} submittedText
+ * @returns {TranscriptionScore}
+ */
+export const scoreTranscription = (referenceText, submittedText) => {
+    const reference = tokenize(referenceText);
+    const hypothesis = tokenize(submittedText);
+    const ops = alignTokens(reference, hypothesis);
+
+    const counts = { referenceWords: reference.length, substitutions: 0, deletions: 0, insertions: 0 };
+    let punctuationChecked = 0;
+    let punctuationCorrect = 0;
+    let caseChecked = 0;
+    let caseCorrect = 0;
+
+    const diff = ops.map((op) => {
+        if (op.type === 'substitute') counts.substitutions += 1;
+        if (op.type === 'delete') counts.deletions += 1;
+        if (op.type === 'insert') counts.insertions += 1;
+        if (op.type !== 'equal' && op.type !== 'substitute') return op;
+        if (isTag(op.ref.raw) || isTag(op.hyp.raw)) return op;
+
+        let punctuationMismatch = false;
+        const refPunctuation = edgePunctuation(op.ref.raw);
+        const hypPunctuation = edgePunctuation(op.hyp.raw);
+        if (refPunctuation || hypPunctuation) {
+            punctuationChecked += 1;
+            punctuationMismatch = refPunctuation !== hypPunctuation;
+            if (!punctuationMismatch) punctuationCorrect += 1;
+        }
+
+        let caseMismatch = false;
+        if (op.type === 'equal' && (hasUpperCase(op.ref.raw) || hasUpperCase(op.hyp.raw))) {
+            caseChecked += 1;
+            caseMismatch = letterCase(op.ref.raw) !== letterCase(op.hyp.raw);
+            if (!caseMismatch) caseCorrect += 1;
+        }
+        return { ...op, punctuationMismatch, caseMismatch };
+    });
+
+    const errors = counts.substitutions + counts.deletions + counts.insertions;
+    let wer = 0;
+    if (reference.length > 0) {
+        wer = Math.round((errors / reference.length) * 1000) / 10;
+    } else if (hypothesis.length > 0) {
+        wer = 100;
+    }
+    const wordAccuracy = Math.max(Math.round((100 - wer) * 10) / 10, 0);
+    const punctuation = percentage(punctuationCorrect, punctuationChecked);
+    const capitalisation = percentage(caseCorrect, caseChecked);
+    const tags = compareTags(reference, hypothesis);
+
+    const overall = Math.round((
+        wordAccuracy * SCORE_WEIGHTS.wordAccuracy
+        + punctuation * SCORE_WEIGHTS.punctuation
+        + capitalisation * SCORE_WEIGHTS.capitalisation
+        + tags.accuracy * SCORE_WEIGHTS.tags
+    ) * 10) / 10;
+
+    return { overall, wer, wordAccuracy, punctuation, capitalisation, tags, counts, diff };
+};
@@ -0,0 +1,68 @@
+import { tokenize, alignTokens, scoreTranscription } from './transcriptScoring';
+
+const words = (text) => tokenize(text).map((token) => token.word);
+
+describe('tokenize', () => {
+    it('lower-cases words, strips edge punctuation and keeps tags whole', () => {
+        expect(words('[00:00:03] John: Hello, [background noise] it\'s me!')).toEqual(['john', 'hello', '[background noise]', 'it\'s', 'me']);
+    });
+
+    it('drops the position from timed tags so they compare by name', () => {
+        expect(words('[inaudible 00:02:12]')).toEqual(['[inaudible]']);
+    });
+
+    it('handles empty input', () => {
+        expect(tokenize('')).toEqual([]);
+        expect(tokenize(null)).toEqual([]);
+    });
+});
+
+describe('alignTokens', () => {
+    it('reports substitutions, missed words and extra words', () => {
+        const ops = alignTokens(tokenize('the quick brown fox'), tokenize('the quick red fox jumps'));
+        expect(ops.map((op) => op.type)).toEqual(['equal', 'equal', 'substitute', 'equal', 'insert']);
+
+        const missed = alignTokens(tokenize('a b c'), tokenize('a c'));
+        expect(missed.map((op) => op.type)).toEqual(['equal', 'delete', 'equal']);
+    });
+});
+
+describe('scoreTranscription', () => {
+    it('scores a perfect transcript at 100', () => {
+        const text = 'John: I went to New York. [laughter]';
+        const score = scoreTranscription(text, text);
+        expect(score).toEqual(expect.objectContaining({ overall: 100, wer: 0, punctuation: 100, capitalisation: 100 }));
+        expect(score.tags.accuracy).toBe(100);
+    });
+
+    it('computes word error rate from substitutions, deletions and insertions', () => {
+        const score = scoreTranscription('one two three four', 'one too three four five');
+        expect(score.counts).toEqual({ referenceWords: 4, substitutions: 1, deletions: 0, insertions: 1 });
+        expect(score.wer).toBe(50);
+        expect(score.wordAccuracy).toBe(50);
+    });
+
+    it('checks punctuation and capitalisation on words that were heard correctly', () => {
+        const score = scoreTranscription('I went to New York, then home.', 'i went to new york then home.');
+        expect(score.wer).toBe(0);
+        // 'York,' lost its comma; 'home.' kept its full stop
+        expect(score.punctuation).toBe(50);
+        // 'I', 'New' and 'York' were all lower-cased
+        expect(score.capitalisation).toBe(0);
+        const york = score.diff.find((op) => op.ref?.word === 'york');
+        expect(york).toEqual(expect.objectContaining({ punctuationMismatch: true, caseMismatch: true }));
+    });
+
+    it('lists missing and unexpected tags', () => {
+        const score = scoreTranscription('Hi [crosstalk] there [inaudible 00:00:04]', 'Hi there [laughs] [inaudible 00:00:05]');
+        expect(score.tags.missing).toEqual([{ tag: '[crosstalk]', count: 1 }]);
+        expect(score.tags.unexpected).toEqual([{ tag: '[laughs]', count: 1 }]);
+        expect(score.tags.accuracy).toBe(50);
+    });
+
+    it('weights the components into the overall score', () => {
+        const score = scoreTranscription('one two three four', 'one two three');
+        // 75% word accuracy, everything else perfect
+        expect(score.overall).toBe(82.5);
+    });
+});
@@ -0,0 +1,251 @@
+// src/assessment/useAssessmentSession.js
+// State of a transcriber's timed assessment session for TranscriberTest: loads the assigned test,
+// starts the server-side clock, counts down to the server's deadline, autosaves answers and the time
+// spent per section, restores them after a reload and submits automatically when time runs out.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getAssignedAssessment, startAssessment, saveAssessmentProgress, submitAssessment } from '../api/assessment';
+import { getClockOffset, getRemainingSeconds, getSectionEnteredAt, addSectionTime } from './assessmentTimer';
+
+const AUTOSAVE_INTERVAL_MS = 15000;
+
+const errorMessage = (error, fallback) => (error.isNetworkError ? 'Network error. Please check your connection.' : error.message || fallback);
+
+/**
+ * @returns {{
+ *   assessment: import('../api/assessment').AssignedAssessment|null, loadError: string, load: () => Promise<void>,
+ *   section: 'instructions'|'grammar'|'transcription', goToSection: (section: string) => void, start: () => Promise<void>,
+ *   grammarAnswers: Object<string, number>, setGrammarAnswer: (questionId: string, optionIndex: number) => void,
+ *   transcriptionText: string, setTranscriptionText: (text: string) => void,
+ *   remainingSeconds: number|null, saveStatus: 'idle'|'unsaved'|'saving'|'saved'|'error', lastSavedAt: string|null,
+ *   submitState: { status: 'idle'|'submitting'|'submitted'|'error', error: string, auto: boolean },
+ *   submit: (options?: { auto?: boolean }) => Promise<void>
+ * }}
+ */
+const useAssessmentSession = () => {
+    const [assessment, setAssessment] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [section, setSection] = useState('instructions');
+    const [grammarAnswers, setGrammarAnswers] = useState({});
+    const [transcriptionText, setTranscriptionTextState] = useState('');
+    const [remainingSeconds, setRemainingSeconds] = useState(null);
+    const [saveStatus, setSaveStatus] = useState('idle');
+    const [lastSavedAt, setLastSavedAt] = useState(null);
+    const [submitState, setSubmitState] = useState({ status: 'idle', error: '', auto: false });
+
+    // Refs hold the latest values for the autosave interval, the countdown and the unmount flush.
+    const assessmentRef = useRef(null);
+    const clockOffsetRef = useRef(0);
+    const answersRef = useRef({ grammar_answers: {}, transcription_text: '' });
+    const sectionRef = useRef('instructions');
+    const sectionSecondsRef = useRef({});
+    const sectionEnteredAtRef = useRef(Date.now());
+    const dirtyRef = useRef(false);
+    const savingRef = useRef(false);
+    const submittedRef = useRef(false);
+    const autoSubmitAttemptedRef = useRef(false);
+
+    const isRunning = Boolean(assessment?.started_at) && submitState.status !== 'submitted';
+
+    // Moves the time spent on the current section since the last checkpoint into its total.
+    const recordSectionTime = useCallback(() => {
+        const now = Date.now();
+        sectionSecondsRef.current = addSectionTime(
+            sectionSecondsRef.current,
+            sectionRef.current,
+            Math.round((now - sectionEnteredAtRef.current) / 1000)
+        );
+        sectionEnteredAtRef.current = now;
+    }, []);
+
+    const buildProgress = useCallback(() => {
+        recordSectionTime();
+        return {
+            ...answersRef.current,
+            current_section: sectionRef.current,
+            section_seconds: sectionSecondsRef.current,
+            section_entered_at: new Date(sectionEnteredAtRef.current + clockOffsetRef.current).toISOString(),
+        };
+    }, [recordSectionTime]);
+
+    const applySession = useCallback((session, receivedAt) => {
+        assessmentRef.current = session;
+        clockOffsetRef.current = getClockOffset(session.server_time, receivedAt);
+        setAssessment(session);
+        if (!session.started_at) return;
+
+        const progress = session.progress || {};
+        answersRef.current = {
+            grammar_answers: progress.grammar_answers || {},
+            transcription_text: progress.transcription_text || '',
+        };
+        sectionSecondsRef.current = progress.section_seconds || {};
+        sectionRef.current = progress.current_section === 'transcription' ? 'transcription' : 'grammar';
+        sectionEnteredAtRef.current = getSectionEnteredAt(progress.section_entered_at, clockOffsetRef.current);
+        setGrammarAnswers(answersRef.current.grammar_answers);
+        setTranscriptionTextState(answersRef.current.transcription_text);
+        setSection(sectionRef.current);
+        setRemainingSeconds(getRemainingSeconds(session.expires_at, clockOffsetRef.current));
+    }, []);
+
+    const load = useCallback(async () => {
+        setLoadError('');
+        try {
+            const { assessment: session } = await getAssignedAssessment();
+            applySession(session, Date.now());
+        } catch (error) {
+            console.error('useAssessmentSession: Failed to load the assessment:', error);
+            setLoadError(errorMessage(error, 'Failed to load your test.'));
+        }
+    }, [applySession]);
+
+    const saveProgress = useCallback(async () => {
+        const session = assessmentRef.current;
+        if (!session?.started_at || submittedRef.current || savingRef.current) return;
+        savingRef.current = true;
+        dirtyRef.current = false;
+        setSaveStatus('saving');
+        try {
+            const { saved_at: savedAt } = await saveAssessmentProgress(session.id, buildProgress());
+            setLastSavedAt(savedAt || new Date().toISOString());
+            setSaveStatus(dirtyRef.current ? 'unsaved' : 'saved');
+        } catch (error) {
+            console.error('useAssessmentSession: Failed to save progress:', error);
+            dirtyRef.current = true;
+            setSaveStatus('error');
+        } finally {
+            savingRef.current = false;
+        }
+    }, [buildProgress]);
+
+    const start = useCallback(async () => {
+        const session = assessmentRef.current;
+        if (!session) return;
+        if (session.started_at) {
+            sectionRef.current = 'grammar';
+            setSection('grammar');
+            return;
+        }
+        try {
+            const { assessment: started } = await startAssessment(session.id);
+            applySession(started, Date.now());
+        } catch (error) {
+            console.error('useAssessmentSession: Failed to start the assessment:', error);
+            setLoadError(errorMessage(error, 'Failed to start your test.'));
+        }
+    }, [applySession]);
+
+    const goToSection = useCallback((nextSection) => {
+        recordSectionTime();
+        sectionRef.current = nextSection;
+        setSection(nextSection);
+        // Section changes are checkpoints, so a reload lands on the section the applicant was on
+        dirtyRef.current = true;
+        saveProgress();
+    }, [recordSectionTime, saveProgress]);
+
+    const markDirty = useCallback(() => {
+        dirtyRef.current = true;
+        setSaveStatus('unsaved');
+    }, []);
+
+    const setGrammarAnswer = useCallback((questionId, optionIndex) => {
+        const next = { ...answersRef.current.grammar_answers, [questionId]: optionIndex };
+        answersRef.current = { ...answersRef.current, grammar_answers: next };
+        setGrammarAnswers(next);
+        markDirty();
+    }, [markDirty]);
+
+    const setTranscriptionText = useCallback((text) => {
+        answersRef.current = { ...answersRef.current, transcription_text: text };
+        setTranscriptionTextState(text);
+        markDirty();
+    }, [markDirty]);
+
+    const submit = useCallback(async ({ auto = false } = {}) => {
+        const session = assessmentRef.current;
+        if (!session || submittedRef.current) return;
+        submittedRef.current = true;
+        setSubmitState({ status: 'submitting', error: '', auto });
+        const { grammar_answers: grammarAnswersToSend, transcription_text: textToSend, section_seconds: sectionSeconds } = buildProgress();
+        try {
+            await submitAssessment(session.id, {
+                grammar_answers: grammarAnswersToSend,
+                transcription_text: textToSend,
+                section_seconds: sectionSeconds,
+                auto_submitted: auto,
+            });
+            dirtyRef.current = false;
+            setSubmitState({ status: 'submitted', error: '', auto });
+        } catch (error) {
+            console.error('useAssessmentSession: Failed to submit the assessment:', error);
+            submittedRef.current = false;
+            setSubmitState({ status: 'error', error: errorMessage(error, 'Test submission failed.'), auto });
+        }
+    }, [buildProgress]);
+
+    // Countdown to the server's deadline; submits whatever has been answered when it reaches zero.
+    // If that submission fails the applicant can retry by hand; the backend closes the session either way.
+    useEffect(() => {
+        if (!isRunning || !assessment.expires_at) return undefined;
+        const tick = () => {
+            const remaining = getRemainingSeconds(assessment.expires_at, clockOffsetRef.current);
+            setRemainingSeconds(remaining);
+            if (remaining === 0 && !autoSubmitAttemptedRef.current) {
+                autoSubmitAttemptedRef.current = true;
+                submit({ auto: true });
+            }
+        };
+        tick();
+        const intervalId = setInterval(tick, 1000);
+        return () => clearInterval(intervalId);
+    }, [isRunning, assessment, submit]);
+
+    useEffect(() => {
+        if (!isRunning) return undefined;
+        const intervalId = setInterval(() => {
+            if (dirtyRef.current) saveProgress();
+        }, AUTOSAVE_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [isRunning, saveProgress]);
+
+    // Warn before closing the tab with unsaved answers, and flush them when leaving the page.
+    useEffect(() => {
+        if (!isRunning) return undefined;
+        const handleBeforeUnload = (event) => {
+            if (dirtyRef.current) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => {
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            const session = assessmentRef.current;
+            if (dirtyRef.current && !submittedRef.current && !savingRef.current && session) {
+                saveAssessmentProgress(session.id, buildProgress())
+                    .catch((flushError) => console.warn('useAssessmentSession: Could not save progress on leaving:', flushError.message));
+            }
+        };
+    }, [isRunning, buildProgress]);
+
+    return {
+        assessment,
+        loadError,
+        load,
+        section,
+        goToSection,
+        start,
+        grammarAnswers,
+        setGrammarAnswer,
+        transcriptionText,
+        setTranscriptionText,
+        remainingSeconds,
+        saveStatus,
+        lastSavedAt,
+        submitState,
+        submit,
+    };
+};
+
+export default useAssessmentSession;
@@ -0,0 +1,59 @@
+// src/chat/ChatMessageText.js
+// Text of a chat message with its reply quote and "edited" marker, a placeholder once it has been
+// deleted, or an inline form while the sender edits it.
+
+import React, { useState, useEffect } from 'react';
+import ReplyQuote from './ReplyQuote';
+import './MessageActions.css';
+
+const EditForm = ({ message, saving, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(message.content || '');
+
+    useEffect(() => {
+        setDraft(message.content || '');
+    }, [message.id, message.content]);
+
+    return (
+        <form className="message-edit-form" onSubmit={(e) => { e.preventDefault(); onSave(message.id, draft); }}>
+            <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Escape') onCancel(); }}
+                rows="2"
+                autoFocus
+                disabled={saving}
+            />
+            <div className="message-edit-actions">
+                <button type="submit" disabled={saving || !draft.trim()}>{saving ? 'Saving...' : 'Save'}</button>
+                <button type="button" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * @param {{
+ *   message: object, userId: string, className?: string,
+ *   isEditing?: boolean, saving?: boolean,
+ *   onSave?: (messageId: string, content: string) => void, onCancel?: () => void,
+ * }} props
+ */
+const ChatMessageText = ({ message, userId, className, isEditing = false, saving = false, onSave, onCancel }) => (
+    <>
+        {message.reply_to && <ReplyQuote reply={message.reply_to} userId={userId} />}
+        {message.deleted_at ? (
+            <p className={`message-deleted ${className || ''}`}>This message was deleted</p>
+        ) : isEditing ? (
+            <EditForm message={message} saving={saving} onSave={onSave} onCancel={onCancel} />
+        ) : (
+            message.content && (
+                <p className={className}>
+                    {message.content}
+                    {message.edited_at && <span className="message-edited" title={new Date(message.edited_at).toLocaleString()}> (edited)</span>}
+                </p>
+            )
+        )}
+    </>
+);
+
+export default ChatMessageText;
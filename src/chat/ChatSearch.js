@@ -0,0 +1,132 @@
+// src/chat/ChatSearch.js
+// Search box and results for chat messages, grouped by conversation. Each hit links to the chat page
+// that shows it, scrolled to the message. Admins can search every user's conversations.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { searchMessages, searchAllMessages } from '../api/chat';
+import {
+    MIN_SEARCH_LENGTH,
+    groupSearchResults,
+    getConversationTitle,
+    getSearchResultLink,
+    getSnippet,
+    splitOnMatches,
+} from './messageSearch';
+import './ChatSearch.css';
+
+const SEARCH_DELAY_MS = 300;
+const SEARCH_LIMIT = 100;
+
+const formatDisplayTimestamp = (isoTimestamp) => (
+    isoTimestamp ? new Date(isoTimestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : ''
+);
+
+const Highlighted = ({ text, query }) => splitOnMatches(text, query).map((part, index) => (
+    part.match ? <mark key={index}>{part.text}</mark> : <React.Fragment key={index}>{part.text}</React.Fragment>
+));
+
+/**
+ * @param {{ user: { id: string, user_type: string }, allUsers?: boolean }} props - allUsers searches
+ *   every user's conversations (admins only).
+ */
+const ChatSearch = ({ user, allUsers = false }) => {
+    const getSignal = useAbortSignal();
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [searchedQuery, setSearchedQuery] = useState('');
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState('');
+
+    // Searches once typing pauses; a newer query discards the answer to an older one
+    useEffect(() => {
+        const trimmed = query.trim();
+        if (trimmed.length < MIN_SEARCH_LENGTH) {
+            setResults([]);
+            setSearchedQuery('');
+            setSearching(false);
+            setError('');
+            return undefined;
+        }
+
+        let isCurrent = true;
+        setSearching(true);
+        const timer = setTimeout(async () => {
+            const search = allUsers ? searchAllMessages : searchMessages;
+            try {
+                const data = await search({ params: { q: trimmed, limit: SEARCH_LIMIT }, signal: getSignal() });
+                if (!isCurrent) return;
+                setResults(data.results || []);
+                setSearchedQuery(trimmed);
+                setError('');
+            } catch (searchError) {
+                if (isAbortError(searchError) || !isCurrent) return;
+                setError(searchError.isNetworkError ? 'Network error. Please try again.' : searchError.message || 'Search failed.');
+            } finally {
+                if (isCurrent) setSearching(false);
+            }
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            isCurrent = false;
+            clearTimeout(timer);
+        };
+    }, [query, allUsers, getSignal]);
+
+    const conversations = useMemo(() => groupSearchResults(results), [results]);
+
+    return (
+        <div className="chat-search">
+            <input
+                type="search"
+                className="chat-search-input"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder={allUsers ? 'Search all users\' messages...' : 'Search your messages...'}
+                aria-label="Search messages"
+            />
+            {searching && <p className="chat-search-status">Searching...</p>}
+            {!searching && error && <p className="chat-search-status">{error}</p>}
+            {!searching && !error && searchedQuery && conversations.length === 0 && (
+                <p className="chat-search-status">No messages match "{searchedQuery}".</p>
+            )}
+            {!searching && !error && conversations.length > 0 && (
+                <p className="chat-search-status">
+                    {results.length} message{results.length === 1 ? '' : 's'} in {conversations.length} conversation{conversations.length === 1 ? '' : 's'}
+                </p>
+            )}
+
+            {conversations.map((conversation) => (
+                <section key={conversation.key} className="chat-search-conversation">
+                    <h3>{getConversationTitle(conversation, user.id)}</h3>
+                    <ul>
+                        {conversation.hits.map((hit) => {
+                            const link = getSearchResultLink(conversation, hit, user);
+                            const body = (
+                                <>
+                                    <div className="chat-search-hit-meta">
+                                        <strong>{hit.sender_id === user.id ? 'Me' : hit.sender_name}</strong>
+                                        <span>{formatDisplayTimestamp(hit.timestamp)}</span>
+                                    </div>
+                                    <p>
+                                        <Highlighted text={getSnippet(hit.content || hit.file_name, searchedQuery)} query={searchedQuery} />
+                                    </p>
+                                    {!link && <span className="chat-search-view-only">Conversation between other users (view only)</span>}
+                                </>
+                            );
+                            return (
+                                <li key={hit.id}>
+                                    {link ? <Link to={link} className="chat-search-hit">{body}</Link> : <div className="chat-search-hit">{body}</div>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </section>
+            ))}
+        </div>
+    );
+};
+
+export default ChatSearch;
@@ -0,0 +1,65 @@
+// src/chat/DisputeChatLog.js
+// Read-only job chat for dispute review. Unlike the chat windows it shows what was deleted and
+// every earlier version of an edited message.
+
+import React from 'react';
+import { getEditTimeline } from './messageActions';
+import './MessageActions.css';
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const historySummary = (message) => {
+    const editCount = message.edits?.length || 0;
+    const parts = [];
+    if (editCount) parts.push(`Edited ${editCount} time${editCount === 1 ? '' : 's'}`);
+    if (message.deleted_at) parts.push(`Deleted ${formatTime(message.deleted_at)}`);
+    return parts.join(' · ');
+};
+
+/**
+ * @param {{
+ *   messages: import('../api/admin').DisputeChatMessage[],
+ *   senderNames: Record<string, string>,
+ * }} props
+ */
+const DisputeChatLog = ({ messages, senderNames }) => {
+    if (messages.length === 0) {
+        return <p className="no-data-message">No chat messages for this job.</p>;
+    }
+
+    return (
+        <ul className="dispute-chat-log">
+            {messages.map((message) => {
+                const summary = historySummary(message);
+                return (
+                    <li key={message.id} className={message.deleted_at ? 'deleted' : undefined}>
+                        <div className="dispute-chat-header">
+                            <strong>{senderNames[message.sender_id] || 'Admin'}</strong>
+                            <span>{formatTime(message.timestamp)}</span>
+                        </div>
+                        {message.reply_to && (
+                            <p className="dispute-chat-reply">↪ Reply to: {message.reply_to.content || message.reply_to.file_name || 'a deleted message'}</p>
+                        )}
+                        {message.content && <p>{message.content}</p>}
+                        {message.file_name && <p>📎 {message.file_name}</p>}
+                        {summary && (
+                            <details className="dispute-chat-history">
+                                <summary>{summary}</summary>
+                                <ol>
+                                    {getEditTimeline(message).map((version) => (
+                                        <li key={version.label}>
+                                            <span>{version.label} · {formatTime(version.at)}</span>
+                                            {version.content !== null && <p>{version.content}</p>}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </details>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default DisputeChatLog;
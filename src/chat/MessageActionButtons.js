@@ -0,0 +1,27 @@
+// src/chat/MessageActionButtons.js
+// Reply / Edit / Delete buttons on a chat message. Edit and Delete show only on the user's own
+// messages while the edit window is open.
+
+import React from 'react';
+import { canModifyMessage } from './messageActions';
+import './MessageActions.css';
+
+/**
+ * @param {{
+ *   message: object, userId: string,
+ *   onReply: (message: object) => void, onEdit: (message: object) => void, onDelete: (messageId: string) => void,
+ * }} props
+ */
+const MessageActionButtons = ({ message, userId, onReply, onEdit, onDelete }) => {
+    if (message.isOptimistic || message.deleted_at) return null;
+    const canModify = canModifyMessage(message, userId);
+    return (
+        <div className="message-action-buttons">
+            <button type="button" onClick={() => onReply(message)}>Reply</button>
+            {canModify && <button type="button" onClick={() => onEdit(message)}>Edit</button>}
+            {canModify && <button type="button" className="delete" onClick={() => onDelete(message.id)}>Delete</button>}
+        </div>
+    );
+};
+
+export default MessageActionButtons;
@@ -0,0 +1,47 @@
+// src/chat/MessageSearchPage.js
+// Message search for clients, transcribers and trainees across their direct, job and training-room
+// chats. Admins search from AdminMessageList instead.
+// Route: /messages/search
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getHomePath } from '../routes/routePolicies';
+import ChatSearch from './ChatSearch';
+import '../transcription/TranscriptionWorkspace.css';
+
+const MessageSearchPage = () => {
+    const { user, logout } = useAuth();
+
+    return (
+        <div className="transcription-workspace-container">
+            <header className="transcription-workspace-header">
+                <div className="header-content">
+                    <h1>Search Messages</h1>
+                    <div className="user-profile-actions">
+                        <span className="welcome-text-badge">Welcome, <strong>{user?.full_name}</strong>!</span>
+                        <button onClick={logout} className="logout-btn">
+                            Logout
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="transcription-workspace-main">
+                <div className="page-header">
+                    <div className="header-text">
+                        <h2>Find a Message</h2>
+                        <p>Search every conversation you are part of. Select a result to open the chat at that message.</p>
+                    </div>
+                    <Link to={getHomePath(user)} className="back-to-dashboard-btn">
+                        ← Back to Dashboard
+                    </Link>
+                </div>
+
+                {user && <ChatSearch user={user} />}
+            </main>
+        </div>
+    );
+};
+
+export default MessageSearchPage;
@@ -0,0 +1,25 @@
+// src/chat/OutboxActions.js
+// Extra lines under a chat message that is still in the outbox: the name of an attachment that has not
+// been uploaded yet and, once the outbox gives up, the reason with Resend / Discard buttons.
+
+import React from 'react';
+import './ChatPresence.css';
+
+/** @param {{ message: object, onResend: (id: string) => void, onDiscard: (id: string) => void }} props */
+const OutboxActions = ({ message, onResend, onDiscard }) => {
+    if (!message.outboxStatus) return null;
+    return (
+        <>
+            {!message.file_url && message.file_name && <p className="outbox-file">📎 {message.file_name}</p>}
+            {message.outboxStatus === 'failed' && (
+                <div className="outbox-actions">
+                    <span className="outbox-error">Not sent{message.outboxError ? `: ${message.outboxError}` : ''}</span>
+                    <button type="button" onClick={() => onResend(message.id)}>Resend</button>
+                    <button type="button" className="discard" onClick={() => onDiscard(message.id)}>Discard</button>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default OutboxActions;
@@ -0,0 +1,28 @@
+// src/chat/ReadReceipt.js
+// Delivery ticks on the user's own chat messages: one grey tick once sent, two blue ticks once seen,
+// a warning sign when the outbox gave up on it.
+
+import React from 'react';
+import { getReceiptStatus } from './chatPresence';
+import './ChatPresence.css';
+
+const RECEIPTS = {
+    sending: { ticks: '🕓', label: 'Sending' },
+    failed: { ticks: '⚠', label: 'Not sent' },
+    sent: { ticks: '✓', label: 'Sent' },
+    seen: { ticks: '✓✓', label: 'Seen' },
+};
+
+/** @param {{ message: object, userId: string }} props */
+const ReadReceipt = ({ message, userId }) => {
+    const status = getReceiptStatus(message, userId);
+    if (!status) return null;
+    const { ticks, label } = RECEIPTS[status];
+    return (
+        <span className={`read-receipt ${status}`} title={label} aria-label={label}>
+            {ticks}
+        </span>
+    );
+};
+
+export default ReadReceipt;
@@ -0,0 +1,30 @@
+// src/chat/ReplyQuote.js
+// Quoted preview of the message a reply answers: inside the reply in the thread, and above the
+// message box while a reply is being written (with a button to cancel it).
+
+import React from 'react';
+import './MessageActions.css';
+
+/**
+ * @param {{ reply: import('./messageActions').ReplyPreview, userId: string, onCancel?: () => void }} props
+ */
+const ReplyQuote = ({ reply, userId, onCancel }) => {
+    const author = reply.sender_id === userId ? 'You' : reply.sender_name || 'Your chat partner';
+    let preview = reply.content;
+    if (reply.deleted) preview = 'This message was deleted';
+    else if (!preview && reply.file_name) preview = `📎 ${reply.file_name}`;
+
+    return (
+        <div className={`reply-quote${onCancel ? ' composing' : ''}`}>
+            <div className="reply-quote-body">
+                <strong>{onCancel ? `Replying to ${author}` : author}</strong>
+                <span className={reply.deleted ? 'reply-quote-deleted' : undefined}>{preview}</span>
+            </div>
+            {onCancel && (
+                <button type="button" className="reply-quote-cancel" onClick={onCancel} aria-label="Cancel reply">✕</button>
+            )}
+        </div>
+    );
+};
+
+export default ReplyQuote;
@@ -0,0 +1,18 @@
+// src/chat/TypingIndicator.js
+// "Name is typing..." line shown under a chat's messages while the partner is typing.
+
+import React from 'react';
+import './ChatPresence.css';
+
+/** @param {{ isTyping: boolean, name?: string }} props */
+const TypingIndicator = ({ isTyping, name }) => {
+    if (!isTyping) return null;
+    return (
+        <div className="typing-indicator" aria-live="polite">
+            <span>{name || 'Your chat partner'} is typing</span>
+            <span className="typing-dots" aria-hidden="true"><span /><span /><span /></span>
+        </div>
+    );
+};
+
+export default TypingIndicator;
@@ -0,0 +1,105 @@
+// src/chat/chatHistory.js
+// Paged chat history. The message endpoints return the newest page first and a `next_cursor` for the
+// page before it; pages and socket arrivals are merged into one list ordered by send time.
+
+import { applyMessageUpdate } from './messageActions';
+
+export const CHAT_PAGE_SIZE = 50;
+
+/** Start loading the previous page when the reader scrolls within this distance of the top. */
+export const LOAD_OLDER_THRESHOLD_PX = 80;
+
+// Chat windows replace `timestamp` with a display string, so ordering uses the raw `sent_at`.
+const sentTime = (message) => {
+    const time = new Date(message.sent_at ?? message.timestamp).getTime();
+    return Number.isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+};
+
+const isSameMessage = (optimistic, message) => (
+    optimistic.sender_id === message.sender_id
+    && optimistic.content === message.content
+    && (optimistic.file_url || null) === (message.file_url || null)
+);
+
+/**
+ * Merges a page of history (or a single socket message) into the messages already shown. Messages
+ * are matched by ID so a page that overlaps socket arrivals adds no duplicates, and a server copy
+ * replaces the optimistic message it confirms. A re-fetched message brings its read time and any edit
+ * or delete into the shown copy, and an edited or deleted message also updates the quoted previews
+ * of replies to it.
+ * @param {object[]} existing
+ * @param {object[]} incoming
+ * @returns {object[]} Messages in send order; `existing` itself when nothing was added or changed.
+ */
+export const mergeMessages = (existing, incoming) => {
+    if (incoming.length === 0) return existing;
+    const byId = new Map(existing.map((message) => [message.id, message]));
+    // Edited or deleted messages added or changed by this merge, applied to reply previews at the end
+    const updates = [];
+    let changed = false;
+
+    incoming.forEach((message) => {
+        const current = byId.get(message.id);
+        if (current) {
+            let next = current;
+            if (current.read_at !== message.read_at && message.read_at) {
+                next = { ...next, read_at: message.read_at };
+            }
+            // Edits and deletes made while this window was disconnected
+            if ((current.edited_at || null) !== (message.edited_at || null) || (current.deleted_at || null) !== (message.deleted_at || null)) {
+                updates.push(message);
+            }
+            if (next !== current) {
+                byId.set(message.id, next);
+                changed = true;
+            }
+            return;
+        }
+        const optimistic = [...byId.values()].find((candidate) => candidate.isOptimistic && isSameMessage(candidate, message));
+        if (optimistic) byId.delete(optimistic.id);
+        byId.set(message.id, message);
+        if (message.edited_at || message.deleted_at) updates.push(message);
+        changed = true;
+    });
+
+    if (!changed && updates.length === 0) return existing;
+    // Array.prototype.sort is stable, so messages sent in the same millisecond keep their order
+    const merged = [...byId.values()].sort((a, b) => sentTime(a) - sentTime(b));
+    return updates.reduce(applyMessageUpdate, merged);
+};
+
+/**
+ * A page cursor plus the send time of the oldest message loaded so far, for one of several
+ * separately paged sources shown as a single timeline.
+ * @typedef {{ cursor: string|null, oldestSentAt: number|null }} HistorySource
+ */
+
+/**
+ * Send time of the oldest message in a page.
+ * @param {object[]} messages
+ * @returns {number|null} null for an empty page.
+ */
+export const getOldestSentTime = (messages) => (
+    messages.length ? Math.min(...messages.map(sentTime)) : null
+);
+
+/**
+ * How far back a timeline merged from several sources is complete. Before the newest of the
+ * sources' oldest loaded messages, a source that still has pages may be missing messages, so
+ * showing another source's older messages there would leave gaps. Fully loaded sources do not limit it.
+ * @param {HistorySource[]} sources
+ * @returns {number} Epoch ms; -Infinity once no source has more pages.
+ */
+export const getCompleteSince = (sources) => sources.reduce((since, source) => (
+    source.cursor !== null && source.oldestSentAt !== null ? Math.max(since, source.oldestSentAt) : since
+), -Infinity);
+
+/**
+ * The messages to show from a merged timeline: those sent since it is complete.
+ * @param {object[]} messages
+ * @param {number} since - From getCompleteSince.
+ * @returns {object[]}
+ */
+export const trimToCompleteHistory = (messages, since) => (
+    since === -Infinity ? messages : messages.filter((message) => sentTime(message) >= since)
+);
@@ -0,0 +1,90 @@
+import { mergeMessages, getOldestSentTime, getCompleteSince, trimToCompleteHistory } from './chatHistory';
+
+const message = (id, minute, extra = {}) => ({
+    id,
+    sender_id: 'u1',
+    content: `message ${id}`,
+    sent_at: `2026-10-01T10:${String(minute).padStart(2, '0')}:00Z`,
+    ...extra,
+});
+
+describe('mergeMessages', () => {
+    it('puts an older page before the messages already shown', () => {
+        const shown = [message('m3', 3), message('m4', 4)];
+        const merged = mergeMessages(shown, [message('m1', 1), message('m2', 2)]);
+        expect(merged.map((m) => m.id)).toEqual(['m1', 'm2', 'm3', 'm4']);
+    });
+
+    it('skips messages that are already shown, such as socket arrivals overlapping a page', () => {
+        const shown = [message('m2', 2), message('m3', 3)];
+        expect(mergeMessages(shown, [message('m3', 3)])).toBe(shown);
+        expect(mergeMessages(shown, [message('m1', 1), message('m2', 2)]).map((m) => m.id)).toEqual(['m1', 'm2', 'm3']);
+    });
+
+    it('replaces the optimistic copy of a message once the server version arrives', () => {
+        const optimistic = message('temp-1', 5, { content: 'hello', isOptimistic: true });
+        const merged = mergeMessages([message('m1', 1), optimistic], [message('m5', 5, { content: 'hello' })]);
+        expect(merged.map((m) => m.id)).toEqual(['m1', 'm5']);
+    });
+
+    it('takes a read time from a re-fetched page without replacing the shown message', () => {
+        const shown = [message('m1', 1, { read_at: null, timestamp: '10:01' })];
+        const merged = mergeMessages(shown, [message('m1', 1, { read_at: '2026-10-01T11:00:00Z' })]);
+        expect(merged[0]).toEqual({ ...shown[0], read_at: '2026-10-01T11:00:00Z' });
+    });
+
+    it('takes an edit or delete from a re-fetched page', () => {
+        const shown = [message('m1', 1, { timestamp: '10:01' })];
+        const [edited] = mergeMessages(shown, [message('m1', 1, { content: 'fixed', edited_at: '2026-10-01T10:03:00Z' })]);
+        expect(edited).toMatchObject({ content: 'fixed', edited_at: '2026-10-01T10:03:00Z', timestamp: '10:01' });
+        const [deleted] = mergeMessages(shown, [message('m1', 1, { content: null, deleted_at: '2026-10-01T10:04:00Z' })]);
+        expect(deleted).toMatchObject({ content: null, deleted_at: '2026-10-01T10:04:00Z' });
+    });
+
+    it('updates the quoted previews of replies to an edited or deleted message', () => {
+        const reply = message('m2', 2, { reply_to: { id: 'm1', sender_id: 'u1', content: 'message m1', deleted: false } });
+        const shown = [message('m1', 1), reply];
+        const [, afterEdit] = mergeMessages(shown, [message('m1', 1, { content: 'fixed', edited_at: '2026-10-01T10:03:00Z' })]);
+        expect(afterEdit.reply_to).toMatchObject({ content: 'fixed', deleted: false });
+        const [, afterDelete] = mergeMessages(shown, [message('m1', 1, { content: null, deleted_at: '2026-10-01T10:04:00Z' })]);
+        expect(afterDelete.reply_to).toMatchObject({ content: '', deleted: true });
+    });
+
+    it('updates reply previews when an older page brings the edited original', () => {
+        const reply = message('m2', 2, { reply_to: { id: 'm1', sender_id: 'u1', content: 'before', deleted: false } });
+        const [, updated] = mergeMessages([reply], [message('m1', 1, { content: 'after', edited_at: '2026-10-01T10:03:00Z' })]);
+        expect(updated.reply_to.content).toBe('after');
+    });
+
+    it('falls back to the raw timestamp and keeps unparseable times at the end', () => {
+        const merged = mergeMessages([{ id: 'a', timestamp: 'not a date' }], [{ id: 'b', timestamp: '2026-10-01T10:00:00Z' }]);
+        expect(merged.map((m) => m.id)).toEqual(['b', 'a']);
+    });
+});
+
+describe('merged timelines', () => {
+    const at = (minute) => new Date(`2026-10-01T10:${String(minute).padStart(2, '0')}:00Z`).getTime();
+
+    it('finds the oldest send time of a page', () => {
+        expect(getOldestSentTime([message('m3', 3), message('m1', 1)])).toBe(at(1));
+        expect(getOldestSentTime([])).toBeNull();
+    });
+
+    it('is complete from the newest oldest-loaded point of sources with more pages', () => {
+        expect(getCompleteSince([
+            { cursor: 'room-c', oldestSentAt: at(20) },
+            { cursor: 'direct-c', oldestSentAt: at(5) },
+        ])).toBe(at(20));
+        expect(getCompleteSince([
+            { cursor: null, oldestSentAt: at(20) },
+            { cursor: 'direct-c', oldestSentAt: at(5) },
+        ])).toBe(at(5));
+        expect(getCompleteSince([{ cursor: null, oldestSentAt: at(20) }, { cursor: null, oldestSentAt: null }])).toBe(-Infinity);
+    });
+
+    it('hides messages from before the point the timeline is complete', () => {
+        const shown = [message('d1', 5), message('r1', 20), message('d2', 25)];
+        expect(trimToCompleteHistory(shown, at(20)).map((m) => m.id)).toEqual(['r1', 'd2']);
+        expect(trimToCompleteHistory(shown, -Infinity)).toBe(shown);
+    });
+});
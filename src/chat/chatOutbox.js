@@ -0,0 +1,192 @@
+// src/chat/chatOutbox.js
+// Outbox for outgoing chat messages. Every message is queued in IndexedDB before it is sent, so a
+// dropped connection no longer loses the text: the entry shows as "sending" in the thread, is retried
+// with backoff (and straight away when the socket reconnects or the browser comes back online) and,
+// once retries run out or the server rejects it, shows as "failed" until the user resends or discards it.
+
+import { sendMessage, uploadChatAttachment } from '../ChatService';
+import { loadOutboxEntries, saveOutboxEntry, deleteOutboxEntry } from './outboxStore';
+import { getChatKey, recordFailedAttempt } from './outboxPolicy';
+
+/** @type {Map<string, import('./outboxPolicy').OutboxEntry>|null} */
+let entries = null;
+let loadPromise = null;
+let flushing = false;
+let flushAgain = false;
+let retryTimer = null;
+// Only the signed-in user's entries are sent: requests carry their token, so sending another
+// account's leftovers from a shared browser would post them under the wrong name. Entries stay
+// stored after their author logs out and are sent when that author signs in again.
+let activeSenderId = null;
+const listeners = new Set();
+
+const loadEntries = () => {
+    if (!loadPromise) {
+        loadPromise = loadOutboxEntries()
+            .catch((error) => {
+                console.warn('chatOutbox: Could not read the stored outbox:', error);
+                return [];
+            })
+            .then((stored) => {
+                entries = new Map(stored.map((entry) => [entry.id, entry]));
+            });
+    }
+    return loadPromise;
+};
+
+const notify = () => {
+    const snapshot = [...entries.values()];
+    listeners.forEach((listener) => listener(snapshot));
+};
+
+const putEntry = async (entry) => {
+    entries.set(entry.id, entry);
+    notify();
+    try {
+        await saveOutboxEntry(entry);
+    } catch (error) {
+        console.warn('chatOutbox: Could not persist an outbox entry; it is kept for this session only:', error);
+    }
+};
+
+const removeEntry = async (id) => {
+    entries.delete(id);
+    notify();
+    try {
+        await deleteOutboxEntry(id);
+    } catch (error) {
+        console.warn('chatOutbox: Could not remove a stored outbox entry:', error);
+    }
+};
+
+const isSendable = (entry) => entry.status === 'sending' && entry.messageData.senderId === activeSenderId;
+
+const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    const waiting = [...entries.values()].filter(isSendable);
+    if (waiting.length === 0) return;
+    const nextAttemptAt = Math.min(...waiting.map((entry) => entry.nextAttemptAt));
+    retryTimer = setTimeout(() => flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+};
+
+const attemptSend = async (entry) => {
+    let current = entry;
+    try {
+        if (current.file) {
+            // Upload once; a retry after a failed send reuses the uploaded file
+            const upload = await uploadChatAttachment(current.file);
+            current = {
+                ...current,
+                file: null,
+                messageData: { ...current.messageData, fileUrl: upload.fileUrl, fileName: upload.fileName || current.file.name },
+            };
+            await putEntry(current);
+            // The author may have logged out while the file was uploading
+            if (!isSendable(current)) return;
+        }
+        await sendMessage({ ...current.messageData, clientMessageId: current.id });
+        await removeEntry(current.id);
+    } catch (error) {
+        console.warn(`chatOutbox: Attempt ${current.attempts + 1} to send ${current.id} failed:`, error.message);
+        await putEntry(recordFailedAttempt(current, error, Date.now()));
+    }
+};
+
+/**
+ * Sends every queued entry that is due. Safe to call at any time; overlapping calls are folded
+ * into one pass.
+ * @param {{ immediate?: boolean }} [options] - immediate skips the backoff wait, as after a reconnect.
+ */
+export const flushOutbox = async ({ immediate = false } = {}) => {
+    await loadEntries();
+    if (flushing) {
+        flushAgain = true;
+        return;
+    }
+    flushing = true;
+    try {
+        do {
+            flushAgain = false;
+            const due = [...entries.values()]
+                .filter((entry) => isSendable(entry) && (immediate || entry.nextAttemptAt <= Date.now()))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            // Oldest first, one at a time, so the partner receives messages in the order they were written
+            for (const entry of due) {
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) break;
+                // Stops the pass if the sender changed (logout) while an earlier entry was being sent
+                if (!isSendable(entry)) break;
+                await attemptSend(entry);
+            }
+        } while (flushAgain);
+    } finally {
+        flushing = false;
+        scheduleRetry();
+    }
+};
+
+/**
+ * Sets whose entries the outbox sends, and sends any that were left from an earlier session.
+ * @param {string|null} userId - The signed-in user, or null on logout to stop sending and retrying.
+ */
+export const setOutboxSender = (userId) => {
+    activeSenderId = userId || null;
+    if (!activeSenderId) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        return Promise.resolve();
+    }
+    return flushOutbox();
+};
+
+/**
+ * Queues a message and starts sending it.
+ * @param {import('./chatPresence').ChatTarget} target - The chat it is sent from.
+ * @param {object} messageData - The sendMessage payload.
+ * @param {File|null} [file] - Attachment to upload before sending.
+ * @returns {Promise<string>} The entry ID, which the thread uses as the pending message's ID.
+ */
+export const queueMessage = async (target, messageData, file = null) => {
+    await loadEntries();
+    const entry = {
+        id: `temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        chatKey: getChatKey(target),
+        messageData,
+        file,
+        status: 'sending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString(),
+        error: '',
+    };
+    await putEntry(entry);
+    flushOutbox();
+    return entry.id;
+};
+
+/** Puts a failed entry back in the queue with a fresh set of attempts. */
+export const resendOutboxMessage = async (id) => {
+    await loadEntries();
+    const entry = entries.get(id);
+    if (!entry) return;
+    await putEntry({ ...entry, status: 'sending', attempts: 0, nextAttemptAt: Date.now(), error: '' });
+    flushOutbox();
+};
+
+export const discardOutboxMessage = async (id) => {
+    await loadEntries();
+    await removeEntry(id);
+    scheduleRetry();
+};
+
+/**
+ * Calls the listener with all entries now and after every change.
+ * @param {(entries: import('./outboxPolicy').OutboxEntry[]) => void} listener
+ * @returns {() => void} Unsubscribe.
+ */
+export const subscribeToOutbox = (listener) => {
+    listeners.add(listener);
+    loadEntries().then(() => {
+        if (listeners.has(listener)) listener([...entries.values()]);
+    });
+    return () => listeners.delete(listener);
+};
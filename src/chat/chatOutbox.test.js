@@ -0,0 +1,85 @@
+jest.mock('../ChatService', () => ({ sendMessage: jest.fn(), uploadChatAttachment: jest.fn() }));
+jest.mock('./outboxStore', () => ({
+    loadOutboxEntries: jest.fn(),
+    saveOutboxEntry: jest.fn(),
+    deleteOutboxEntry: jest.fn(),
+}));
+
+const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+
+// Lets the outbox's promise chains run to completion while timers stay faked
+const settle = () => new Promise((resolve) => realSetImmediate(resolve));
+
+const target = { partnerId: 'user-b', jobId: 'j1' };
+const messageFrom = (senderId, messageText = 'hello') => ({ senderId, receiverId: 'user-x', jobId: 'j1', messageText });
+
+let outbox;
+let chatService;
+
+beforeEach(() => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    outbox = require('./chatOutbox');
+    chatService = require('../ChatService');
+    const store = require('./outboxStore');
+    store.loadOutboxEntries.mockResolvedValue([]);
+    store.saveOutboxEntry.mockResolvedValue();
+    store.deleteOutboxEntry.mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('chat outbox after logout', () => {
+    it('stops retrying and keeps the entries until their author signs in again', async () => {
+        chatService.sendMessage.mockRejectedValueOnce({ isNetworkError: true, message: 'offline' });
+
+        await outbox.setOutboxSender('user-a');
+        await outbox.queueMessage(target, messageFrom('user-a'));
+        await settle();
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        expect(jest.getTimerCount()).toBe(1);
+
+        await outbox.setOutboxSender(null);
+        expect(jest.getTimerCount()).toBe(0);
+
+        // Another account on the same browser must not send user-a's message with its own token
+        chatService.sendMessage.mockResolvedValue({});
+        await outbox.setOutboxSender('user-b');
+        await settle();
+        jest.runOnlyPendingTimers();
+        await settle();
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        expect(jest.getTimerCount()).toBe(0);
+
+        // Signing back in resumes the backoff where it stopped
+        await outbox.setOutboxSender('user-a');
+        expect(jest.getTimerCount()).toBe(1);
+        jest.runOnlyPendingTimers();
+        await settle();
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(2);
+        expect(chatService.sendMessage.mock.calls[1][0]).toMatchObject({ senderId: 'user-a', messageText: 'hello' });
+    });
+
+    it('ends a send pass that is underway when the user logs out', async () => {
+        let finishFirstSend;
+        chatService.sendMessage.mockImplementationOnce(() => new Promise((resolve) => { finishFirstSend = resolve; }));
+        chatService.sendMessage.mockResolvedValue({});
+
+        await outbox.queueMessage(target, messageFrom('user-a', 'first'));
+        await outbox.queueMessage(target, messageFrom('user-a', 'second'));
+        outbox.setOutboxSender('user-a');
+        await settle();
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+
+        await outbox.setOutboxSender(null);
+        finishFirstSend({});
+        await settle();
+
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+});
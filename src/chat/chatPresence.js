@@ -0,0 +1,127 @@
+// src/chat/chatPresence.js
+// Read receipts and typing state for the chat windows (UserChat, AdminChat, TraineeTrainingRoom and the
+// NegotiationCard inline chat). The socket side lives in ChatService; this module holds the rules for
+// matching events to an open chat, which messages count as unread and how typing is announced.
+
+/** Stop announcing typing after this long without a keystroke. */
+export const TYPING_IDLE_MS = 3000;
+/** Re-announce typing this often while the user keeps typing, so the partner's indicator stays up. */
+export const TYPING_REFRESH_MS = 4000;
+/** Hide the partner's indicator if no typing event arrives for this long (covers a lost typingStop). */
+export const TYPING_TIMEOUT_MS = 7000;
+
+/**
+ * The chat a window has open. Job chats are keyed by the job, training-room chats by the room and
+ * direct chats by the other user.
+ * @typedef {object} ChatTarget
+ * @property {string} partnerId - The other participant; receives typing and read events.
+ * @property {string} [jobId] - Negotiation or direct-upload job the chat belongs to.
+ * @property {string} [trainingRoomId]
+ */
+
+/**
+ * Whether a typing or read event from another user belongs to the chat that is open.
+ * @param {ChatTarget|null} target
+ * @param {{ userId: string, jobId?: string|null, trainingRoomId?: string|null }} event - userId is the
+ *   user who typed or read.
+ * @returns {boolean}
+ */
+export const isEventForChat = (target, event) => {
+    if (!target?.partnerId || !event) return false;
+    if (target.jobId) return event.jobId === target.jobId;
+    if (target.trainingRoomId) return event.trainingRoomId === target.trainingRoomId;
+    return !event.jobId && !event.trainingRoomId && event.userId === target.partnerId;
+};
+
+const isPendingMessage = (message) => message.isOptimistic || String(message.id).startsWith('temp-');
+
+/**
+ * IDs of messages sent to the user that they have not read yet.
+ * @param {object[]} messages - Chat messages with sender_id, receiver_id and read_at.
+ * @param {string} userId
+ * @returns {string[]}
+ */
+export const getUnreadMessageIds = (messages, userId) => messages
+    .filter((message) => message.receiver_id === userId && message.sender_id !== userId && !message.read_at && !isPendingMessage(message))
+    .map((message) => message.id);
+
+/**
+ * Marks the given messages as read. Returns the same array when nothing changes so state setters
+ * can skip a re-render.
+ * @param {object[]} messages
+ * @param {{ messageIds: string[], readAt: string }} receipt
+ * @returns {object[]}
+ */
+export const applyReadReceipt = (messages, { messageIds, readAt }) => {
+    const ids = new Set(messageIds);
+    let changed = false;
+    const updated = messages.map((message) => {
+        if (!ids.has(message.id) || message.read_at) return message;
+        changed = true;
+        return { ...message, read_at: readAt };
+    });
+    return changed ? updated : messages;
+};
+
+/**
+ * Delivery state of a message the user sent, or null for messages they received.
+ * @param {object} message
+ * @param {string} userId
+ * @returns {'sending'|'failed'|'sent'|'seen'|null}
+ */
+export const getReceiptStatus = (message, userId) => {
+    if (message.sender_id !== userId) return null;
+    if (message.outboxStatus === 'failed') return 'failed';
+    if (isPendingMessage(message)) return 'sending';
+    return message.read_at ? 'seen' : 'sent';
+};
+
+/**
+ * How an unread badge changes in response to a chat socket event, so the count can follow read
+ * receipts instead of being re-fetched after every message.
+ * @param {'newChatMessage'|'messagesRead'} eventName
+ * @param {object} data - The event payload.
+ * @param {string} userId
+ * @returns {number}
+ */
+export const getUnreadCountChange = (eventName, data, userId) => {
+    if (eventName === 'newChatMessage') {
+        return data.receiver_id === userId && data.sender_id !== userId ? 1 : 0;
+    }
+    if (eventName === 'messagesRead') {
+        return data.readerId === userId ? -(data.messageIds?.length || 0) : 0;
+    }
+    return 0;
+};
+
+/**
+ * Turns keystrokes into typingStart/typingStop announcements: one start when typing begins, a
+ * refresh every TYPING_REFRESH_MS while it continues and a stop after TYPING_IDLE_MS of quiet.
+ * @param {(isTyping: boolean) => void} announce
+ * @param {{ idleMs?: number, refreshMs?: number, now?: () => number }} [options]
+ * @returns {{ keystroke: () => void, stop: () => void }}
+ */
+export const createTypingNotifier = (announce, { idleMs = TYPING_IDLE_MS, refreshMs = TYPING_REFRESH_MS, now = Date.now } = {}) => {
+    let idleTimer = null;
+    let lastAnnouncedAt = null;
+
+    const stop = () => {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        if (lastAnnouncedAt === null) return;
+        lastAnnouncedAt = null;
+        announce(false);
+    };
+
+    const keystroke = () => {
+        const currentTime = now();
+        if (lastAnnouncedAt === null || currentTime - lastAnnouncedAt >= refreshMs) {
+            lastAnnouncedAt = currentTime;
+            announce(true);
+        }
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(stop, idleMs);
+    };
+
+    return { keystroke, stop };
+};
@@ -0,0 +1,92 @@
+import { isEventForChat, getUnreadMessageIds, applyReadReceipt, getReceiptStatus, getUnreadCountChange, createTypingNotifier } from './chatPresence';
+
+describe('isEventForChat', () => {
+    it('matches job and training-room chats by their ID and direct chats by the other user', () => {
+        expect(isEventForChat({ partnerId: 'u2', jobId: 'j1' }, { userId: 'u2', jobId: 'j1' })).toBe(true);
+        expect(isEventForChat({ partnerId: 'u2', jobId: 'j1' }, { userId: 'u2', jobId: 'j2' })).toBe(false);
+        expect(isEventForChat({ partnerId: 'u2', trainingRoomId: 'r1' }, { userId: 'u2', trainingRoomId: 'r1' })).toBe(true);
+        expect(isEventForChat({ partnerId: 'u2' }, { userId: 'u2' })).toBe(true);
+        // The same partner typing in a job chat is not typing in the direct chat
+        expect(isEventForChat({ partnerId: 'u2' }, { userId: 'u2', jobId: 'j1' })).toBe(false);
+        expect(isEventForChat(null, { userId: 'u2' })).toBe(false);
+    });
+});
+
+describe('getUnreadMessageIds', () => {
+    it('returns received messages without a read time, skipping pending ones', () => {
+        const messages = [
+            { id: 'm1', sender_id: 'u2', receiver_id: 'u1', read_at: null },
+            { id: 'm2', sender_id: 'u2', receiver_id: 'u1', read_at: '2026-10-01T10:00:00Z' },
+            { id: 'm3', sender_id: 'u1', receiver_id: 'u2', read_at: null },
+            { id: 'temp-1', sender_id: 'u2', receiver_id: 'u1', isOptimistic: true },
+        ];
+        expect(getUnreadMessageIds(messages, 'u1')).toEqual(['m1']);
+    });
+});
+
+describe('applyReadReceipt', () => {
+    it('sets read_at on the listed messages and keeps the array when nothing changes', () => {
+        const messages = [{ id: 'm1', read_at: null }, { id: 'm2', read_at: null }];
+        const updated = applyReadReceipt(messages, { messageIds: ['m2'], readAt: 'now' });
+        expect(updated).toEqual([{ id: 'm1', read_at: null }, { id: 'm2', read_at: 'now' }]);
+        expect(applyReadReceipt(updated, { messageIds: ['m2', 'm9'], readAt: 'later' })).toBe(updated);
+    });
+});
+
+describe('getReceiptStatus', () => {
+    it('reports sending, sent and seen for own messages only', () => {
+        expect(getReceiptStatus({ id: 'temp-1', sender_id: 'u1', isOptimistic: true }, 'u1')).toBe('sending');
+        expect(getReceiptStatus({ id: 'm1', sender_id: 'u1', read_at: null }, 'u1')).toBe('sent');
+        expect(getReceiptStatus({ id: 'm1', sender_id: 'u1', read_at: 'now' }, 'u1')).toBe('seen');
+        expect(getReceiptStatus({ id: 'm2', sender_id: 'u2' }, 'u1')).toBeNull();
+    });
+
+    it('reports failed for an outbox message that was not sent', () => {
+        expect(getReceiptStatus({ id: 'temp-1', sender_id: 'u1', isOptimistic: true, outboxStatus: 'failed' }, 'u1')).toBe('failed');
+    });
+});
+
+describe('getUnreadCountChange', () => {
+    it('counts incoming messages up and the user\'s own read receipts down', () => {
+        expect(getUnreadCountChange('newChatMessage', { sender_id: 'u2', receiver_id: 'u1' }, 'u1')).toBe(1);
+        expect(getUnreadCountChange('newChatMessage', { sender_id: 'u1', receiver_id: 'u2' }, 'u1')).toBe(0);
+        expect(getUnreadCountChange('messagesRead', { readerId: 'u1', messageIds: ['m1', 'm2'] }, 'u1')).toBe(-2);
+        // The partner reading the user's messages does not touch the user's badge
+        expect(getUnreadCountChange('messagesRead', { readerId: 'u2', messageIds: ['m1'] }, 'u1')).toBe(0);
+    });
+});
+
+describe('createTypingNotifier', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('announces the start once, refreshes while typing and stops after going idle', () => {
+        let clock = 0;
+        const announce = jest.fn();
+        const notifier = createTypingNotifier(announce, { idleMs: 3000, refreshMs: 4000, now: () => clock });
+
+        notifier.keystroke();
+        clock = 1000;
+        notifier.keystroke();
+        expect(announce.mock.calls).toEqual([[true]]);
+
+        clock = 4500;
+        notifier.keystroke();
+        expect(announce.mock.calls).toEqual([[true], [true]]);
+
+        jest.advanceTimersByTime(3000);
+        expect(announce.mock.calls).toEqual([[true], [true], [false]]);
+    });
+
+    it('stops immediately when asked and only once', () => {
+        const announce = jest.fn();
+        const notifier = createTypingNotifier(announce);
+        notifier.stop();
+        expect(announce).not.toHaveBeenCalled();
+
+        notifier.keystroke();
+        notifier.stop();
+        jest.runAllTimers();
+        expect(announce.mock.calls).toEqual([[true], [false]]);
+    });
+});
@@ -0,0 +1,115 @@
+// src/chat/messageActions.js
+// Editing, deleting and replying to chat messages: who may change a message and until when, how an
+// edit or delete from the server is applied to an open thread, the quoted preview a reply carries,
+// and the version history admins read when a job goes to dispute.
+
+/** Senders can edit or delete a message for this long after sending it. The server enforces the same window. */
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const REPLY_PREVIEW_LENGTH = 120;
+
+/**
+ * Quoted preview stored with a reply.
+ * @typedef {object} ReplyPreview
+ * @property {string} id
+ * @property {string} sender_id
+ * @property {string} [sender_name]
+ * @property {string} [content] - Shortened.
+ * @property {string} [file_name]
+ * @property {boolean} [deleted]
+ */
+
+const shorten = (text) => (
+    text && text.length > REPLY_PREVIEW_LENGTH ? `${text.slice(0, REPLY_PREVIEW_LENGTH).trimEnd()}…` : text || ''
+);
+
+const sentTime = (message) => new Date(message.sent_at ?? message.timestamp).getTime();
+
+/**
+ * Whether the user can still edit or delete a message: their own, delivered, not deleted and sent
+ * within the edit window.
+ * @param {object} message
+ * @param {string} userId
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const canModifyMessage = (message, userId, now = Date.now()) => {
+    if (message.sender_id !== userId || message.isOptimistic || message.deleted_at) return false;
+    const sentAt = sentTime(message);
+    return !Number.isNaN(sentAt) && now - sentAt <= MESSAGE_EDIT_WINDOW_MS;
+};
+
+/**
+ * @param {object} message
+ * @returns {ReplyPreview}
+ */
+export const getReplyPreview = (message) => ({
+    id: message.id,
+    sender_id: message.sender_id,
+    sender_name: message.sender_name,
+    content: shorten(message.content),
+    file_name: message.file_name || null,
+    deleted: Boolean(message.deleted_at),
+});
+
+/**
+ * A reply preview brought up to date with an edit or delete of the message it quotes.
+ * @param {ReplyPreview|null} preview
+ * @param {{ id: string, content?: string|null, deleted_at?: string|null }} update
+ * @returns {ReplyPreview|null} `preview` itself when it quotes another message.
+ */
+export const updateReplyPreview = (preview, update) => {
+    if (preview?.id !== update.id) return preview;
+    const deleted = Boolean(update.deleted_at);
+    return { ...preview, content: deleted ? '' : shorten(update.content), deleted };
+};
+
+/**
+ * Applies an edited or deleted message (from the edit/delete response or the `messageUpdated`
+ * socket event) to a thread, including the quoted previews of replies to it.
+ * @param {object[]} messages
+ * @param {{ id: string, content?: string|null, edited_at?: string|null, deleted_at?: string|null }} update
+ * @returns {object[]} `messages` itself when the message is not in the thread.
+ */
+export const applyMessageUpdate = (messages, update) => {
+    const deleted = Boolean(update.deleted_at);
+    let changed = false;
+    const updated = messages.map((message) => {
+        if (message.id === update.id) {
+            changed = true;
+            return {
+                ...message,
+                content: deleted ? null : update.content,
+                file_url: deleted ? null : message.file_url,
+                file_name: deleted ? null : message.file_name,
+                edited_at: update.edited_at ?? message.edited_at ?? null,
+                deleted_at: update.deleted_at ?? null,
+            };
+        }
+        if (message.reply_to?.id === update.id) {
+            changed = true;
+            return { ...message, reply_to: updateReplyPreview(message.reply_to, update) };
+        }
+        return message;
+    });
+    return changed ? updated : messages;
+};
+
+/**
+ * Every version of a message for the dispute view, oldest first: the original, each edit and the
+ * deletion if there was one.
+ * @param {import('../api/admin').DisputeChatMessage} message
+ * @returns {{ label: string, content: string|null, at: string }[]}
+ */
+export const getEditTimeline = (message) => {
+    const edits = message.edits || [];
+    const versions = [...edits.map((edit) => edit.content), message.content];
+    const times = [message.timestamp, ...edits.map((edit) => edit.replaced_at)];
+    const timeline = versions.map((content, index) => ({
+        label: index === 0 ? 'Original' : `Edit ${index}`,
+        content,
+        at: times[index],
+    }));
+    if (message.deleted_at) timeline.push({ label: 'Deleted', content: null, at: message.deleted_at });
+    return timeline;
+};
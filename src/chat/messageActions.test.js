@@ -0,0 +1,123 @@
+import {
+    MESSAGE_EDIT_WINDOW_MS,
+    canModifyMessage,
+    getReplyPreview,
+    applyMessageUpdate,
+    updateReplyPreview,
+    getEditTimeline,
+} from './messageActions';
+
+const SENT_AT = '2026-10-01T10:00:00.000Z';
+const sentAt = new Date(SENT_AT).getTime();
+
+const message = (id, extra = {}) => ({
+    id,
+    sender_id: 'u1',
+    sender_name: 'Uma',
+    content: `message ${id}`,
+    sent_at: SENT_AT,
+    timestamp: '01/10/2026, 10:00',
+    ...extra,
+});
+
+describe('canModifyMessage', () => {
+    it('allows the sender within the edit window', () => {
+        expect(canModifyMessage(message('m1'), 'u1', sentAt + 60 * 1000)).toBe(true);
+        expect(canModifyMessage(message('m1'), 'u1', sentAt + MESSAGE_EDIT_WINDOW_MS)).toBe(true);
+    });
+
+    it('refuses once the window has passed', () => {
+        expect(canModifyMessage(message('m1'), 'u1', sentAt + MESSAGE_EDIT_WINDOW_MS + 1)).toBe(false);
+    });
+
+    it('refuses other users, pending and deleted messages', () => {
+        expect(canModifyMessage(message('m1'), 'u2', sentAt)).toBe(false);
+        expect(canModifyMessage(message('temp-1', { isOptimistic: true }), 'u1', sentAt)).toBe(false);
+        expect(canModifyMessage(message('m1', { deleted_at: SENT_AT }), 'u1', sentAt)).toBe(false);
+    });
+
+    it('falls back to the raw timestamp when there is no sent_at', () => {
+        expect(canModifyMessage({ id: 'm1', sender_id: 'u1', timestamp: SENT_AT }, 'u1', sentAt + 1000)).toBe(true);
+    });
+});
+
+describe('getReplyPreview', () => {
+    it('shortens long messages', () => {
+        const preview = getReplyPreview(message('m1', { content: 'x'.repeat(300) }));
+        expect(preview.content.length).toBe(121);
+        expect(preview.content.endsWith('…')).toBe(true);
+        expect(preview).toMatchObject({ id: 'm1', sender_id: 'u1', sender_name: 'Uma', deleted: false });
+    });
+
+    it('keeps the attachment name of a file-only message', () => {
+        expect(getReplyPreview(message('m1', { content: '', file_name: 'brief.pdf' }))).toMatchObject({ content: '', file_name: 'brief.pdf' });
+    });
+});
+
+describe('applyMessageUpdate', () => {
+    it('applies an edit and marks the message as edited', () => {
+        const thread = [message('m1'), message('m2')];
+        const updated = applyMessageUpdate(thread, { id: 'm2', content: 'fixed', edited_at: '2026-10-01T10:05:00Z' });
+        expect(updated[1]).toMatchObject({ content: 'fixed', edited_at: '2026-10-01T10:05:00Z', deleted_at: null });
+        expect(updated[0]).toBe(thread[0]);
+    });
+
+    it('clears the text and attachment of a deleted message', () => {
+        const [deleted] = applyMessageUpdate([message('m1', { file_url: '/f.pdf', file_name: 'f.pdf' })], {
+            id: 'm1', content: null, deleted_at: '2026-10-01T10:05:00Z',
+        });
+        expect(deleted).toMatchObject({ content: null, file_url: null, file_name: null, deleted_at: '2026-10-01T10:05:00Z' });
+    });
+
+    it('updates the quoted preview of replies to the changed message', () => {
+        const reply = message('m2', { reply_to: { id: 'm1', sender_id: 'u1', content: 'old' } });
+        const [, edited] = applyMessageUpdate([message('m1'), reply], { id: 'm1', content: 'new', edited_at: 'now' });
+        expect(edited.reply_to).toMatchObject({ content: 'new', deleted: false });
+        const [, removed] = applyMessageUpdate([message('m1'), reply], { id: 'm1', deleted_at: 'now' });
+        expect(removed.reply_to).toMatchObject({ content: '', deleted: true });
+    });
+
+    it('returns the same thread for a message from another chat', () => {
+        const thread = [message('m1')];
+        expect(applyMessageUpdate(thread, { id: 'other', content: 'x' })).toBe(thread);
+    });
+});
+
+describe('updateReplyPreview', () => {
+    const preview = { id: 'm1', sender_id: 'u1', content: 'old', deleted: false };
+
+    it('takes the edited text or marks the quote deleted', () => {
+        expect(updateReplyPreview(preview, { id: 'm1', content: 'new' })).toMatchObject({ content: 'new', deleted: false });
+        expect(updateReplyPreview(preview, { id: 'm1', deleted_at: 'now' })).toMatchObject({ content: '', deleted: true });
+    });
+
+    it('leaves a preview of another message, or none, unchanged', () => {
+        expect(updateReplyPreview(preview, { id: 'm2', content: 'x' })).toBe(preview);
+        expect(updateReplyPreview(null, { id: 'm1', content: 'x' })).toBeNull();
+    });
+});
+
+describe('getEditTimeline', () => {
+    it('lists the original, each edit and the deletion in order', () => {
+        const timeline = getEditTimeline({
+            id: 'm1',
+            content: 'third',
+            timestamp: '2026-10-01T10:00:00Z',
+            edits: [
+                { content: 'first', replaced_at: '2026-10-01T10:02:00Z' },
+                { content: 'second', replaced_at: '2026-10-01T10:04:00Z' },
+            ],
+            deleted_at: '2026-10-01T10:09:00Z',
+        });
+        expect(timeline).toEqual([
+            { label: 'Original', content: 'first', at: '2026-10-01T10:00:00Z' },
+            { label: 'Edit 1', content: 'second', at: '2026-10-01T10:02:00Z' },
+            { label: 'Edit 2', content: 'third', at: '2026-10-01T10:04:00Z' },
+            { label: 'Deleted', content: null, at: '2026-10-01T10:09:00Z' },
+        ]);
+    });
+
+    it('has a single entry for a message that was never changed', () => {
+        expect(getEditTimeline({ id: 'm1', content: 'hi', timestamp: 't' })).toEqual([{ label: 'Original', content: 'hi', at: 't' }]);
+    });
+});
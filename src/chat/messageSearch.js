@@ -0,0 +1,194 @@
+// src/chat/messageSearch.js
+// Message search results: grouping hits by conversation, working out where each conversation is
+// opened for the searching user, and cutting highlighted snippets around the matched words.
+
+/** Shortest query sent to the server. */
+export const MIN_SEARCH_LENGTH = 2;
+
+/** Query parameter naming the message a chat page scrolls to and highlights. */
+export const FOCUS_MESSAGE_PARAM = 'message';
+
+/** Query parameter naming the negotiation whose card holds the focused message on the negotiations pages. */
+export const FOCUS_NEGOTIATION_PARAM = 'negotiation';
+
+const SNIPPET_RADIUS = 60;
+
+const COMPLETED_JOB_STATUSES = ['completed', 'client_completed'];
+
+/**
+ * @param {string} search - location.search of the chat page.
+ * @returns {string|null}
+ */
+export const getFocusMessageId = (search) => new URLSearchParams(search || '').get(FOCUS_MESSAGE_PARAM);
+
+/**
+ * The focused message for one card on a negotiations page. Only the card of the linked negotiation
+ * gets it, so the other cards do not page through their history looking for it.
+ * @param {string} search - location.search of the negotiations page.
+ * @param {string} negotiationId
+ * @returns {string|null}
+ */
+export const getNegotiationFocusMessageId = (search, negotiationId) => {
+    const params = new URLSearchParams(search || '');
+    return params.get(FOCUS_NEGOTIATION_PARAM) === String(negotiationId) ? params.get(FOCUS_MESSAGE_PARAM) : null;
+};
+
+const getConversationKey = (hit) => {
+    switch (hit.conversation_type) {
+        case 'negotiation':
+        case 'direct_upload':
+            return `${hit.conversation_type}:${hit.job_id}`;
+        case 'training':
+            return `training:${hit.training_room_id}`;
+        default:
+            return `direct:${[hit.sender_id, hit.receiver_id].sort().join(':')}`;
+    }
+};
+
+const getTime = (hit) => {
+    const time = new Date(hit.timestamp).getTime();
+    return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * @typedef {object} SearchConversation
+ * @property {string} key
+ * @property {'direct'|'negotiation'|'direct_upload'|'training'} type
+ * @property {string|null} jobId
+ * @property {string|null} jobStatus
+ * @property {string|null} trainingRoomId
+ * @property {{ id: string, name: string }[]} participants
+ * @property {import('../api/chat').ChatSearchHit[]} hits - Newest first.
+ */
+
+/**
+ * Groups hits by the conversation they were found in, most recently matched conversation first.
+ * @param {import('../api/chat').ChatSearchHit[]} hits
+ * @returns {SearchConversation[]}
+ */
+export const groupSearchResults = (hits) => {
+    const groups = new Map();
+    hits.forEach((hit) => {
+        const key = getConversationKey(hit);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                type: hit.conversation_type || 'direct',
+                jobId: hit.job_id || null,
+                jobStatus: hit.job_status || null,
+                trainingRoomId: hit.training_room_id || null,
+                participants: [],
+                hits: [],
+            });
+        }
+        const group = groups.get(key);
+        group.hits.push(hit);
+        [[hit.sender_id, hit.sender_name], [hit.receiver_id, hit.receiver_name]].forEach(([id, name]) => {
+            if (id && !group.participants.some((participant) => participant.id === id)) {
+                group.participants.push({ id, name: name || 'Unknown user' });
+            }
+        });
+    });
+
+    const conversations = [...groups.values()];
+    conversations.forEach((group) => group.hits.sort((a, b) => getTime(b) - getTime(a)));
+    return conversations.sort((a, b) => getTime(b.hits[0]) - getTime(a.hits[0]));
+};
+
+const CONVERSATION_LABELS = {
+    direct: 'Direct chat',
+    negotiation: 'Negotiation chat',
+    direct_upload: 'Direct upload job chat',
+    training: 'Training room',
+};
+
+/**
+ * Heading for a conversation: the other participant for the user's own chats, both participants
+ * for chats an admin is searching from outside.
+ * @param {SearchConversation} conversation
+ * @param {string} viewerId
+ * @returns {string}
+ */
+export const getConversationTitle = (conversation, viewerId) => {
+    const others = conversation.participants.filter((participant) => participant.id !== viewerId);
+    const names = (others.length ? others : conversation.participants).map((participant) => participant.name).join(' ↔ ');
+    const label = CONVERSATION_LABELS[conversation.type] || CONVERSATION_LABELS.direct;
+    const jobSuffix = conversation.jobId ? ` #${conversation.jobId.substring(0, 8)}` : '';
+    return `${label}${jobSuffix} with ${names}`;
+};
+
+/**
+ * Where a hit opens for the searching user, with the message to scroll to, or null when the user
+ * has no page showing that conversation: an admin looking at a chat between two other users, or
+ * at a job chat, which no admin page shows as a thread.
+ * @param {SearchConversation} conversation
+ * @param {import('../api/chat').ChatSearchHit} hit
+ * @param {{ id: string, user_type: string }} viewer
+ * @returns {string|null}
+ */
+export const getSearchResultLink = (conversation, hit, viewer) => {
+    const focus = `?${FOCUS_MESSAGE_PARAM}=${encodeURIComponent(hit.id)}`;
+    const partner = conversation.participants.find((participant) => participant.id !== viewer.id);
+    const isParticipant = conversation.participants.some((participant) => participant.id === viewer.id);
+
+    if (viewer.user_type === 'admin') {
+        if (conversation.type === 'negotiation' || conversation.type === 'direct_upload') return null;
+        if (conversation.type === 'training') return `/admin/training-room/${conversation.trainingRoomId}${focus}`;
+        return isParticipant && partner ? `/admin/chat/${partner.id}${focus}` : null;
+    }
+    if (viewer.user_type === 'trainee') {
+        // Trainees see their room and their direct chat with the trainer on one page
+        return `/trainee/training-room/${conversation.trainingRoomId || viewer.id}${focus}`;
+    }
+    if (conversation.type === 'direct_upload') return `/chat/direct-upload/${conversation.jobId}${focus}`;
+    if (conversation.type === 'negotiation') {
+        // The negotiations page lists hired and completed jobs under separate filters
+        const status = COMPLETED_JOB_STATUSES.includes(conversation.jobStatus) ? 'completed' : 'active';
+        const negotiation = `${FOCUS_NEGOTIATION_PARAM}=${encodeURIComponent(conversation.jobId)}`;
+        return `/${viewer.user_type === 'client' ? 'client' : 'transcriber'}-negotiations?status=${status}&${negotiation}&${focus.slice(1)}`;
+    }
+    if (!partner) return null;
+    return `/${viewer.user_type === 'client' ? 'client' : 'transcriber'}/chat/${partner.id}${focus}`;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getTermsPattern = (query) => {
+    const terms = (query || '').trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+    return terms.length ? new RegExp(`(${terms.join('|')})`, 'gi') : null;
+};
+
+/**
+ * Part of a long message around its first match, so results stay short.
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [radius]
+ * @returns {string}
+ */
+export const getSnippet = (text, query, radius = SNIPPET_RADIUS) => {
+    const content = text || '';
+    if (content.length <= radius * 2) return content;
+    const pattern = getTermsPattern(query);
+    const matchIndex = pattern ? content.search(pattern) : -1;
+    const center = matchIndex === -1 ? 0 : matchIndex;
+    const start = Math.max(0, center - radius);
+    const end = Math.min(content.length, start + radius * 2);
+    return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+};
+
+/**
+ * Splits text into matched and unmatched parts for highlighting. Every query word is matched on
+ * its own, ignoring case.
+ * @param {string} text
+ * @param {string} query
+ * @returns {{ text: string, match: boolean }[]}
+ */
+export const splitOnMatches = (text, query) => {
+    const content = text || '';
+    const pattern = getTermsPattern(query);
+    if (!pattern || !content) return content ? [{ text: content, match: false }] : [];
+    return content
+        .split(pattern)
+        .filter(Boolean)
+        .map((part) => ({ text: part, match: new RegExp(`^(?:${pattern.source})$`, 'i').test(part) }));
+};
@@ -0,0 +1,160 @@
+import {
+    getFocusMessageId,
+    getNegotiationFocusMessageId,
+    groupSearchResults,
+    getConversationTitle,
+    getSearchResultLink,
+    getSnippet,
+    splitOnMatches,
+} from './messageSearch';
+
+const hit = (id, minute, extra = {}) => ({
+    id,
+    content: `message ${id}`,
+    timestamp: `2026-10-01T10:${String(minute).padStart(2, '0')}:00Z`,
+    sender_id: 'client1',
+    sender_name: 'Cara Client',
+    receiver_id: 'tr1',
+    receiver_name: 'Tom Transcriber',
+    conversation_type: 'direct',
+    job_id: null,
+    training_room_id: null,
+    ...extra,
+});
+
+describe('getFocusMessageId', () => {
+    it('reads the message to scroll to from the query string', () => {
+        expect(getFocusMessageId('?message=m42')).toBe('m42');
+        expect(getFocusMessageId('')).toBeNull();
+    });
+});
+
+describe('getNegotiationFocusMessageId', () => {
+    it('gives the message only to the card of the linked negotiation', () => {
+        const search = '?status=active&negotiation=j2&message=m1';
+        expect(getNegotiationFocusMessageId(search, 'j2')).toBe('m1');
+        expect(getNegotiationFocusMessageId(search, 'j3')).toBeNull();
+        expect(getNegotiationFocusMessageId('?status=active&message=m1', 'j2')).toBeNull();
+        expect(getNegotiationFocusMessageId('', 'j2')).toBeNull();
+    });
+});
+
+describe('groupSearchResults', () => {
+    it('groups a direct chat regardless of who sent each hit', () => {
+        const groups = groupSearchResults([
+            hit('m1', 1),
+            hit('m2', 2, { sender_id: 'tr1', sender_name: 'Tom Transcriber', receiver_id: 'client1', receiver_name: 'Cara Client' }),
+        ]);
+        expect(groups).toHaveLength(1);
+        expect(groups[0].hits.map((h) => h.id)).toEqual(['m2', 'm1']);
+        expect(groups[0].participants.map((p) => p.id)).toEqual(['client1', 'tr1']);
+    });
+
+    it('keeps job and training-room chats apart from the direct chat between the same people', () => {
+        const groups = groupSearchResults([
+            hit('m1', 1),
+            hit('m2', 2, { conversation_type: 'direct_upload', job_id: 'job-a' }),
+            hit('m3', 3, { conversation_type: 'negotiation', job_id: 'job-b' }),
+            hit('m4', 4, { conversation_type: 'training', training_room_id: 'room1' }),
+        ]);
+        expect(groups.map((g) => g.key)).toEqual(['training:room1', 'negotiation:job-b', 'direct_upload:job-a', 'direct:client1:tr1']);
+    });
+
+    it('orders conversations by their latest hit', () => {
+        const groups = groupSearchResults([
+            hit('m1', 1, { conversation_type: 'direct_upload', job_id: 'job-a' }),
+            hit('m2', 5),
+            hit('m3', 9, { conversation_type: 'direct_upload', job_id: 'job-a' }),
+        ]);
+        expect(groups.map((g) => g.hits[0].id)).toEqual(['m3', 'm2']);
+    });
+});
+
+describe('getConversationTitle', () => {
+    const [direct] = groupSearchResults([hit('m1', 1)]);
+
+    it('names the other participant in the user\'s own chats', () => {
+        expect(getConversationTitle(direct, 'client1')).toBe('Direct chat with Tom Transcriber');
+    });
+
+    it('names both participants for an admin searching from outside', () => {
+        expect(getConversationTitle(direct, 'admin1')).toBe('Direct chat with Cara Client ↔ Tom Transcriber');
+    });
+
+    it('includes the short job ID for job chats', () => {
+        const [job] = groupSearchResults([hit('m1', 1, { conversation_type: 'direct_upload', job_id: 'abcdef123456' })]);
+        expect(getConversationTitle(job, 'client1')).toBe('Direct upload job chat #abcdef12 with Tom Transcriber');
+    });
+});
+
+describe('getSearchResultLink', () => {
+    const client = { id: 'client1', user_type: 'client' };
+    const transcriber = { id: 'tr1', user_type: 'transcriber' };
+    const admin = { id: 'admin1', user_type: 'admin' };
+    const linkFor = (viewer, extra) => {
+        const [group] = groupSearchResults([hit('m1', 1, extra)]);
+        return getSearchResultLink(group, group.hits[0], viewer);
+    };
+
+    it('opens direct chats in UserChat from the viewer\'s side', () => {
+        expect(linkFor(client)).toBe('/client/chat/tr1?message=m1');
+        expect(linkFor(transcriber)).toBe('/transcriber/chat/client1?message=m1');
+    });
+
+    it('opens job chats on their chat page or the negotiations list', () => {
+        expect(linkFor(client, { conversation_type: 'direct_upload', job_id: 'j1' })).toBe('/chat/direct-upload/j1?message=m1');
+        expect(linkFor(transcriber, { conversation_type: 'negotiation', job_id: 'j2', job_status: 'hired' }))
+            .toBe('/transcriber-negotiations?status=active&negotiation=j2&message=m1');
+        expect(linkFor(client, { conversation_type: 'negotiation', job_id: 'j2', job_status: 'client_completed' }))
+            .toBe('/client-negotiations?status=completed&negotiation=j2&message=m1');
+    });
+
+    it('opens an admin\'s own chats in AdminChat and other users\' and job chats nowhere', () => {
+        expect(linkFor(admin, { sender_id: 'admin1', receiver_id: 'tr1' })).toBe('/admin/chat/tr1?message=m1');
+        expect(linkFor(admin)).toBeNull();
+        expect(linkFor(admin, { conversation_type: 'direct_upload', job_id: 'j1' })).toBeNull();
+        expect(linkFor(admin, { conversation_type: 'negotiation', job_id: 'j1' })).toBeNull();
+        expect(linkFor(admin, { conversation_type: 'training', training_room_id: 'room1' })).toBe('/admin/training-room/room1?message=m1');
+    });
+
+    it('sends trainees to their training room', () => {
+        const trainee = { id: 'trainee1', user_type: 'trainee' };
+        expect(linkFor(trainee, { sender_id: 'trainee1', receiver_id: 'admin1' })).toBe('/trainee/training-room/trainee1?message=m1');
+    });
+});
+
+describe('getSnippet', () => {
+    it('returns short messages whole', () => {
+        expect(getSnippet('Please use British spelling', 'british')).toBe('Please use British spelling');
+    });
+
+    it('cuts long messages around the first match', () => {
+        const text = `${'a'.repeat(100)} speaker labels ${'b'.repeat(100)}`;
+        const snippet = getSnippet(text, 'labels', 20);
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('labels');
+    });
+});
+
+describe('splitOnMatches', () => {
+    it('marks every query word, ignoring case', () => {
+        expect(splitOnMatches('Use British spelling and timestamps', 'british TIMESTAMPS')).toEqual([
+            { text: 'Use ', match: false },
+            { text: 'British', match: true },
+            { text: ' spelling and ', match: false },
+            { text: 'timestamps', match: true },
+        ]);
+    });
+
+    it('treats regular expression characters in the query literally', () => {
+        expect(splitOnMatches('Costs $5 (USD)', '(usd)')).toEqual([
+            { text: 'Costs $5 ', match: false },
+            { text: '(USD)', match: true },
+        ]);
+    });
+
+    it('returns nothing for empty text', () => {
+        expect(splitOnMatches('', 'x')).toEqual([]);
+    });
+});
@@ -0,0 +1,109 @@
+// src/chat/outboxPolicy.js
+// Rules for the chat outbox: which failures are worth retrying, how long to back off between
+// attempts and which queued entries belong to (and are still missing from) an open chat.
+
+/** Automatic attempts before an entry is marked failed and left for the user to resend or discard. */
+export const MAX_SEND_ATTEMPTS = 6;
+
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} id - Also sent as clientMessageId so the backend can ignore a resent duplicate.
+ * @property {string} chatKey - See getChatKey.
+ * @property {object} messageData - The sendMessage payload (senderId, receiverId, messageText, job or room IDs,
+ *   and the replyTo preview when replying).
+ * @property {File|null} file - Attachment still to upload; cleared once uploaded.
+ * @property {'sending'|'failed'} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt - Epoch ms of the next automatic attempt.
+ * @property {string} createdAt - ISO time the user sent it; shown as the message time.
+ * @property {string} error - Last failure, shown on failed entries.
+ */
+
+/**
+ * Stable key for the chat an entry was sent from.
+ * @param {import('./chatPresence').ChatTarget} target
+ * @returns {string}
+ */
+export const getChatKey = (target) => {
+    if (target.jobId) return `job:${target.jobId}`;
+    if (target.trainingRoomId) return `training:${target.trainingRoomId}`;
+    return `user:${target.partnerId}`;
+};
+
+/**
+ * Network failures and server-side errors may succeed later; a rejected request (4xx) will not.
+ * @param {import('../api/apiClient').ApiError} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+    if (error?.isNetworkError || !error?.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+};
+
+/**
+ * Exponential backoff with up to 20% jitter, so clients that reconnect together do not retry in step.
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds to wait before the next attempt.
+ */
+export const getRetryDelay = (attempts, random = Math.random) => {
+    const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+    return Math.round(delay * (1 + random() * 0.2));
+};
+
+/**
+ * The entry after a failed attempt: scheduled for a retry, or failed for good.
+ * @param {OutboxEntry} entry
+ * @param {import('../api/apiClient').ApiError} error
+ * @param {number} now
+ * @returns {OutboxEntry}
+ */
+export const recordFailedAttempt = (entry, error, now) => {
+    const attempts = entry.attempts + 1;
+    const message = error?.isNetworkError ? 'No connection' : error?.message || 'Could not send';
+    if (!isRetryableError(error) || attempts >= MAX_SEND_ATTEMPTS) {
+        return { ...entry, attempts, status: 'failed', error: message };
+    }
+    return { ...entry, attempts, status: 'sending', nextAttemptAt: now + getRetryDelay(attempts), error: message };
+};
+
+/**
+ * Queued entries for the open chat, as thread messages. Entries the server has already echoed back
+ * (the socket can deliver the message before the send request resolves) are left out.
+ * @param {OutboxEntry[]} entries
+ * @param {import('./chatPresence').ChatTarget|null} target
+ * @param {string} userId
+ * @param {object[]} messages - Messages already in the thread.
+ * @returns {object[]}
+ */
+export const getPendingMessages = (entries, target, userId, messages) => {
+    if (!target) return [];
+    const chatKey = getChatKey(target);
+    const isDelivered = (entry) => messages.some((message) => (
+        !message.isOptimistic
+        && message.sender_id === userId
+        && (message.content || '') === (entry.messageData.messageText || '')
+        && new Date(message.sent_at ?? message.timestamp).getTime() >= new Date(entry.createdAt).getTime() - 1000
+    ));
+
+    return entries
+        .filter((entry) => entry.chatKey === chatKey && entry.messageData.senderId === userId && !isDelivered(entry))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map((entry) => ({
+            id: entry.id,
+            sender_id: userId,
+            receiver_id: entry.messageData.receiverId,
+            content: entry.messageData.messageText || '',
+            file_url: entry.messageData.fileUrl || null,
+            file_name: entry.messageData.fileName || entry.file?.name || null,
+            reply_to: entry.messageData.replyTo || null,
+            sent_at: entry.createdAt,
+            timestamp: entry.createdAt,
+            isOptimistic: true,
+            outboxStatus: entry.status,
+            outboxError: entry.error,
+        }));
+};
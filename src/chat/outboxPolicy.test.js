@@ -0,0 +1,102 @@
+import {
+    MAX_SEND_ATTEMPTS,
+    getChatKey,
+    isRetryableError,
+    getRetryDelay,
+    recordFailedAttempt,
+    getPendingMessages,
+} from './outboxPolicy';
+
+const entry = (extra = {}) => ({
+    id: 'temp-1',
+    chatKey: 'job:j1',
+    messageData: { senderId: 'u1', receiverId: 'u2', jobId: 'j1', messageText: 'hello' },
+    file: null,
+    status: 'sending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    createdAt: '2026-10-01T10:05:00.000Z',
+    error: '',
+    ...extra,
+});
+
+describe('getChatKey', () => {
+    it('keys job, training room and direct chats separately', () => {
+        expect(getChatKey({ partnerId: 'u2', jobId: 'j1' })).toBe('job:j1');
+        expect(getChatKey({ partnerId: 'u2', trainingRoomId: 'r1' })).toBe('training:r1');
+        expect(getChatKey({ partnerId: 'u2' })).toBe('user:u2');
+    });
+});
+
+describe('isRetryableError', () => {
+    it('retries network and server errors but not rejected requests', () => {
+        expect(isRetryableError({ isNetworkError: true })).toBe(true);
+        expect(isRetryableError(new Error('socket closed'))).toBe(true);
+        expect(isRetryableError({ status: 503 })).toBe(true);
+        expect(isRetryableError({ status: 429 })).toBe(true);
+        expect(isRetryableError({ status: 400 })).toBe(false);
+        expect(isRetryableError({ status: 403 })).toBe(false);
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('doubles the delay per attempt up to a cap', () => {
+        const noJitter = () => 0;
+        expect(getRetryDelay(1, noJitter)).toBe(2000);
+        expect(getRetryDelay(2, noJitter)).toBe(4000);
+        expect(getRetryDelay(3, noJitter)).toBe(8000);
+        expect(getRetryDelay(20, noJitter)).toBe(60000);
+    });
+
+    it('adds at most 20% jitter', () => {
+        expect(getRetryDelay(1, () => 0.999)).toBeLessThanOrEqual(2400);
+        expect(getRetryDelay(1, () => 0.5)).toBe(2200);
+    });
+});
+
+describe('recordFailedAttempt', () => {
+    it('schedules a retry after a network failure', () => {
+        const next = recordFailedAttempt(entry(), { isNetworkError: true }, 1000);
+        expect(next).toMatchObject({ status: 'sending', attempts: 1, error: 'No connection' });
+        expect(next.nextAttemptAt).toBeGreaterThanOrEqual(3000);
+    });
+
+    it('fails at once when the server rejects the message', () => {
+        const next = recordFailedAttempt(entry(), { status: 403, message: 'Not a participant' }, 1000);
+        expect(next).toMatchObject({ status: 'failed', attempts: 1, error: 'Not a participant' });
+    });
+
+    it('fails once the automatic attempts run out', () => {
+        const next = recordFailedAttempt(entry({ attempts: MAX_SEND_ATTEMPTS - 1 }), { status: 502 }, 1000);
+        expect(next.status).toBe('failed');
+    });
+});
+
+describe('getPendingMessages', () => {
+    const target = { partnerId: 'u2', jobId: 'j1' };
+
+    it('shows queued entries for the open chat as optimistic messages', () => {
+        const entries = [entry(), entry({ id: 'temp-2', chatKey: 'job:j9' }), entry({ id: 'temp-3', status: 'failed', error: 'No connection' })];
+        const pending = getPendingMessages(entries, target, 'u1', []);
+        expect(pending.map((m) => [m.id, m.outboxStatus])).toEqual([['temp-1', 'sending'], ['temp-3', 'failed']]);
+        expect(pending[0]).toMatchObject({ sender_id: 'u1', content: 'hello', isOptimistic: true, sent_at: '2026-10-01T10:05:00.000Z' });
+    });
+
+    it("leaves out another account's entries from a shared browser", () => {
+        expect(getPendingMessages([entry()], target, 'u3', [])).toEqual([]);
+    });
+
+    it('hides an entry once the server copy is in the thread', () => {
+        const delivered = { id: 'm1', sender_id: 'u1', content: 'hello', sent_at: '2026-10-01T10:05:01Z' };
+        expect(getPendingMessages([entry()], target, 'u1', [delivered])).toEqual([]);
+    });
+
+    it('does not mistake an earlier message with the same text for the delivered copy', () => {
+        const earlier = { id: 'm0', sender_id: 'u1', content: 'hello', sent_at: '2026-10-01T09:00:00Z' };
+        expect(getPendingMessages([entry()], target, 'u1', [earlier])).toHaveLength(1);
+    });
+
+    it('returns nothing without an open chat', () => {
+        expect(getPendingMessages([entry()], null, 'u1', [])).toEqual([]);
+    });
+});
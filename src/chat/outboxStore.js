@@ -0,0 +1,61 @@
+// src/chat/outboxStore.js
+// IndexedDB persistence for the chat outbox, so queued messages and their attachments survive a
+// reload or a closed tab. Falls back to memory when IndexedDB is unavailable (private browsing in
+// some browsers); the outbox still works for the session.
+
+const DB_NAME = 'chat-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('outboxStore: IndexedDB unavailable, keeping the outbox in memory:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+    const transaction = db.transaction(STORE_NAME, mode);
+    return requestToPromise(operation(transaction.objectStore(STORE_NAME)));
+};
+
+/** @returns {Promise<object[]>} Every stored outbox entry. */
+export const loadOutboxEntries = async () => {
+    const entries = await withStore('readonly', (store) => store.getAll());
+    return entries ?? [...memoryStore.values()];
+};
+
+/** Inserts or replaces an entry. Files and Blobs are stored as-is (IndexedDB clones them). */
+export const saveOutboxEntry = async (entry) => {
+    memoryStore.set(entry.id, entry);
+    await withStore('readwrite', (store) => store.put(entry));
+};
+
+export const deleteOutboxEntry = async (id) => {
+    memoryStore.delete(id);
+    await withStore('readwrite', (store) => store.delete(id));
+};
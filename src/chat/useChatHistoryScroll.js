@@ -0,0 +1,54 @@
+// src/chat/useChatHistoryScroll.js
+// Scrolling for a paged chat window: follows new messages at the bottom, asks for the previous page
+// when the reader nears the top and keeps the same messages in view after that page is prepended.
+
+import { useCallback, useLayoutEffect, useRef } from 'react';
+import { LOAD_OLDER_THRESHOLD_PX } from './chatHistory';
+
+/**
+ * @param {{ messages: object[], canLoadOlder: boolean, loadOlder: () => void }} history
+ * @returns {{ containerRef: import('react').RefObject<HTMLElement>, handleScroll: () => void }}
+ *   Attach both to the scrolling messages element.
+ */
+const useChatHistoryScroll = ({ messages, canLoadOlder, loadOlder }) => {
+    const containerRef = useRef(null);
+    // Scroll geometry captured when an older page was requested
+    const anchorRef = useRef(null);
+    const edgesRef = useRef({ firstId: null, lastId: null });
+
+    const handleScroll = useCallback(() => {
+        const container = containerRef.current;
+        if (!container || !canLoadOlder || container.scrollTop > LOAD_OLDER_THRESHOLD_PX) return;
+        anchorRef.current = { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+        loadOlder();
+    }, [canLoadOlder, loadOlder]);
+
+    // Layout effect so the position is corrected before the prepended page is painted
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        const firstId = messages[0]?.id ?? null;
+        const lastId = messages[messages.length - 1]?.id ?? null;
+        const previous = edgesRef.current;
+        edgesRef.current = { firstId, lastId };
+        if (!container) return;
+
+        if (lastId !== previous.lastId) {
+            // A new message (or the first page): show the bottom of the conversation
+            container.scrollTop = container.scrollHeight;
+        } else if (firstId !== previous.firstId && anchorRef.current) {
+            const { scrollHeight, scrollTop } = anchorRef.current;
+            container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+            anchorRef.current = null;
+        }
+    }, [messages]);
+
+    // A first page too short to scroll would otherwise never trigger the next one
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (container && canLoadOlder && container.scrollHeight <= container.clientHeight) handleScroll();
+    }, [messages, canLoadOlder, handleScroll]);
+
+    return { containerRef, handleScroll };
+};
+
+export default useChatHistoryScroll;
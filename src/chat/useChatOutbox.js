@@ -0,0 +1,58 @@
+// src/chat/useChatOutbox.js
+// Outbox for an open chat window: queues what the user sends, lists the entries still waiting (or
+// failed) so the thread can show them, and flushes the queue as soon as the socket reconnects or the
+// browser comes back online.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getSocketInstance } from '../ChatService';
+import {
+    subscribeToOutbox, setOutboxSender, flushOutbox, queueMessage, resendOutboxMessage, discardOutboxMessage,
+} from './chatOutbox';
+import { getPendingMessages } from './outboxPolicy';
+
+/**
+ * Call after the component has connected its socket. `target` must be memoised (or null while the
+ * chat is still loading).
+ * @param {{ target: import('./chatPresence').ChatTarget|null, userId: string|undefined, messages: object[] }} chat
+ * @returns {{
+ *   pendingMessages: object[],
+ *   queue: (messageData: object, file?: File|null) => Promise<string>,
+ *   resend: (id: string) => void,
+ *   discard: (id: string) => void,
+ * }} pendingMessages are optimistic thread messages carrying outboxStatus ('sending'|'failed') and outboxError.
+ */
+const useChatOutbox = ({ target, userId, messages }) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => subscribeToOutbox(setEntries), []);
+
+    // AuthContext clears the sender on logout; a signed-out window must not resume someone else's queue
+    useEffect(() => {
+        setOutboxSender(userId || null);
+    }, [userId]);
+
+    // Re-subscribed when the chat finishes loading, by which time the component's socket exists
+    useEffect(() => {
+        const socket = getSocketInstance();
+        const flushNow = () => flushOutbox({ immediate: true });
+        socket?.on('connect', flushNow);
+        window.addEventListener('online', flushNow);
+        return () => {
+            socket?.off('connect', flushNow);
+            window.removeEventListener('online', flushNow);
+        };
+    }, [target]);
+
+    const pendingMessages = useMemo(
+        () => getPendingMessages(entries, target, userId, messages),
+        [entries, target, userId, messages]
+    );
+
+    const queue = useCallback((messageData, file = null) => queueMessage(target, messageData, file), [target]);
+    const resend = useCallback((id) => { resendOutboxMessage(id); }, []);
+    const discard = useCallback((id) => { discardOutboxMessage(id); }, []);
+
+    return { pendingMessages, queue, resend, discard };
+};
+
+export default useChatOutbox;
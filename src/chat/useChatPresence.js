@@ -0,0 +1,100 @@
+// src/chat/useChatPresence.js
+// Typing indicators and read receipts for an open chat window. Announces the user's typing, shows
+// the partner's, acknowledges received messages while the window is visible and applies the
+// partner's receipts to the user's own messages so they show as seen.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getSocketInstance, sendTypingState, sendReadReceipt } from '../ChatService';
+import { TYPING_TIMEOUT_MS, isEventForChat, getUnreadMessageIds, applyReadReceipt, createTypingNotifier } from './chatPresence';
+
+/**
+ * Call after the component has connected its socket. `target` must be memoised (or null while the
+ * chat is still loading) because every change re-subscribes.
+ * @param {{
+ *   target: import('./chatPresence').ChatTarget|null, userId: string|undefined,
+ *   messages: object[], setMessages: (update: (messages: object[]) => object[]) => void
+ * }} chat
+ * @returns {{ isPartnerTyping: boolean, notifyTyping: () => void, stopTyping: () => void }}
+ */
+const useChatPresence = ({ target, userId, messages, setMessages }) => {
+    const [isPartnerTyping, setIsPartnerTyping] = useState(false);
+    const notifierRef = useRef(null);
+    // Receipts already sent, so re-renders before the server echoes read_at do not resend them
+    const sentReceiptIdsRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!target) return undefined;
+        const notifier = createTypingNotifier((isTyping) => sendTypingState(target, isTyping));
+        notifierRef.current = notifier;
+        return () => {
+            notifier.stop();
+            notifierRef.current = null;
+        };
+    }, [target]);
+
+    const notifyTyping = useCallback(() => notifierRef.current?.keystroke(), []);
+    const stopTyping = useCallback(() => notifierRef.current?.stop(), []);
+
+    useEffect(() => {
+        const socket = getSocketInstance();
+        if (!socket || !target || !userId) return undefined;
+        let hideTimer = null;
+
+        const handleUserTyping = (data) => {
+            if (data.userId === userId || !isEventForChat(target, data)) return;
+            clearTimeout(hideTimer);
+            setIsPartnerTyping(Boolean(data.isTyping));
+            if (data.isTyping) {
+                hideTimer = setTimeout(() => setIsPartnerTyping(false), TYPING_TIMEOUT_MS);
+            }
+        };
+
+        const handleMessagesRead = (data) => {
+            if (data.readerId === userId || !isEventForChat(target, { ...data, userId: data.readerId })) return;
+            setMessages((prevMessages) => applyReadReceipt(prevMessages, data));
+        };
+
+        // A message from the partner ends their typing even if the typingStop is still in flight
+        const handleNewChatMessage = (msg) => {
+            if (msg.sender_id !== target.partnerId) return;
+            clearTimeout(hideTimer);
+            setIsPartnerTyping(false);
+        };
+
+        socket.on('userTyping', handleUserTyping);
+        socket.on('messagesRead', handleMessagesRead);
+        socket.on('newChatMessage', handleNewChatMessage);
+        return () => {
+            clearTimeout(hideTimer);
+            socket.off('userTyping', handleUserTyping);
+            socket.off('messagesRead', handleMessagesRead);
+            socket.off('newChatMessage', handleNewChatMessage);
+            setIsPartnerTyping(false);
+        };
+    }, [target, userId, setMessages]);
+
+    useEffect(() => {
+        if (!target || !userId) return undefined;
+        const socket = getSocketInstance();
+
+        // Only a visible window counts as reading; a background tab acknowledges once it is shown.
+        const markVisibleMessagesRead = () => {
+            if (document.visibilityState !== 'visible') return;
+            const unreadIds = getUnreadMessageIds(messages, userId).filter((id) => !sentReceiptIdsRef.current.has(id));
+            if (unreadIds.length === 0 || !sendReadReceipt(target, unreadIds)) return;
+            unreadIds.forEach((id) => sentReceiptIdsRef.current.add(id));
+        };
+
+        markVisibleMessagesRead();
+        document.addEventListener('visibilitychange', markVisibleMessagesRead);
+        socket?.on('connect', markVisibleMessagesRead);
+        return () => {
+            document.removeEventListener('visibilitychange', markVisibleMessagesRead);
+            socket?.off('connect', markVisibleMessagesRead);
+        };
+    }, [target, userId, messages]);
+
+    return { isPartnerTyping, notifyTyping, stopTyping };
+};
+
+export default useChatPresence;
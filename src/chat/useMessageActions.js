@@ -0,0 +1,99 @@
+// src/chat/useMessageActions.js
+// Reply, edit and delete for an open chat window. Keeps the message being replied to and the one
+// being edited, calls the edit/delete endpoints and applies `messageUpdated` socket events, so an
+// edit made by either participant (or in another tab) shows in the thread.
+
+import { useState, useEffect, useCallback } from 'react';
+import { getSocketInstance } from '../ChatService';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { editChatMessage, deleteChatMessage } from '../api/chat';
+import { applyMessageUpdate, getReplyPreview, updateReplyPreview } from './messageActions';
+
+const errorMessage = (error, fallback) => {
+    if (error.isNetworkError) return 'Network error. Please try again.';
+    if (error.status === 403) return 'This message can no longer be changed.';
+    return error.message || fallback;
+};
+
+/**
+ * Call after the component has connected its socket. `target` must be memoised (or null while the
+ * chat is still loading); switching chats clears the reply and edit in progress.
+ * @param {{
+ *   target: import('./chatPresence').ChatTarget|null,
+ *   setMessages: (update: (messages: object[]) => object[]) => void,
+ *   showToast: (message: string, type?: string) => void,
+ * }} chat
+ */
+const useMessageActions = ({ target, setMessages, showToast }) => {
+    const getSignal = useAbortSignal();
+    const [replyTo, setReplyTo] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [savingEdit, setSavingEdit] = useState(false);
+
+    useEffect(() => {
+        setReplyTo(null);
+        setEditingId(null);
+    }, [target]);
+
+    useEffect(() => {
+        const socket = getSocketInstance();
+        if (!socket || !target) return undefined;
+        const handleMessageUpdated = (update) => {
+            setMessages((prevMessages) => applyMessageUpdate(prevMessages, update));
+            // The reply being written quotes the message too
+            setReplyTo((prevReplyTo) => updateReplyPreview(prevReplyTo, update));
+        };
+        socket.on('messageUpdated', handleMessageUpdated);
+        return () => {
+            socket.off('messageUpdated', handleMessageUpdated);
+        };
+    }, [target, setMessages]);
+
+    const startReply = useCallback((message) => {
+        setEditingId(null);
+        setReplyTo(getReplyPreview(message));
+    }, []);
+    const cancelReply = useCallback(() => setReplyTo(null), []);
+
+    const startEdit = useCallback((message) => {
+        setReplyTo(null);
+        setEditingId(message.id);
+    }, []);
+    const cancelEdit = useCallback(() => setEditingId(null), []);
+
+    const saveEdit = useCallback(async (messageId, content) => {
+        const trimmed = content.trim();
+        if (!trimmed) {
+            showToast('A message cannot be empty. Delete it instead.', 'error');
+            return;
+        }
+        setSavingEdit(true);
+        try {
+            const data = await editChatMessage(messageId, { content: trimmed }, { signal: getSignal() });
+            setMessages((prevMessages) => applyMessageUpdate(prevMessages, data.message));
+            setEditingId(null);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to edit the message.'), 'error');
+        } finally {
+            setSavingEdit(false);
+        }
+    }, [getSignal, setMessages, showToast]);
+
+    const deleteMessage = useCallback(async (messageId) => {
+        if (!window.confirm('Delete this message for everyone in the chat?')) return;
+        try {
+            const data = await deleteChatMessage(messageId, { signal: getSignal() });
+            setMessages((prevMessages) => applyMessageUpdate(prevMessages, data.message));
+            setReplyTo((prevReplyTo) => updateReplyPreview(prevReplyTo, data.message));
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to delete the message.'), 'error');
+        }
+    }, [getSignal, setMessages, showToast]);
+
+    return { replyTo, startReply, cancelReply, editingId, startEdit, cancelEdit, saveEdit, savingEdit, deleteMessage };
+};
+
+export default useMessageActions;
@@ -0,0 +1,42 @@
+// src/chat/useMessageFocus.js
+// Scrolls a chat window to the message a search result linked to (?message=<id>), loading older
+// pages until it turns up, and reports it so the window can highlight it.
+
+import { useState, useEffect, useRef } from 'react';
+
+// Upper bound on pages fetched while looking for the message, in case it was deleted
+const MAX_FOCUS_PAGES = 20;
+
+/**
+ * Call after the chat's scroll hooks so the jump to the message wins over their scroll to the
+ * bottom. Each rendered message needs a data-message-id attribute.
+ * @param {{
+ *   messageId: string|null, messages: object[], containerRef: import('react').RefObject<HTMLElement>,
+ *   canLoadOlder?: boolean, loadOlder?: () => void
+ * }} focus
+ * @returns {string|null} The focused message's ID once it has been found.
+ */
+const useMessageFocus = ({ messageId, messages, containerRef, canLoadOlder = false, loadOlder }) => {
+    const [focusedId, setFocusedId] = useState(null);
+    const handledIdRef = useRef(null);
+    const pagesLoadedRef = useRef(0);
+
+    useEffect(() => {
+        if (!messageId || handledIdRef.current === messageId) return;
+        if (messages.some((message) => message.id === messageId)) {
+            handledIdRef.current = messageId;
+            pagesLoadedRef.current = 0;
+            setFocusedId(messageId);
+            containerRef.current?.querySelector(`[data-message-id="${messageId}"]`)?.scrollIntoView({ block: 'center' });
+            return;
+        }
+        if (canLoadOlder && loadOlder && pagesLoadedRef.current < MAX_FOCUS_PAGES) {
+            pagesLoadedRef.current += 1;
+            loadOlder();
+        }
+    }, [messageId, messages, containerRef, canLoadOlder, loadOlder]);
+
+    return focusedId;
+};
+
+export default useMessageFocus;
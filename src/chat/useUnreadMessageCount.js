@@ -0,0 +1,58 @@
+// src/chat/useUnreadMessageCount.js
+// Unread-message badge for the dashboards. The count is fetched once and then follows the chat
+// socket: incoming messages add to it and the user's own read receipts (from any open chat window or
+// device) take away from it.
+
+import { useState, useEffect } from 'react';
+import { connectSocket } from '../ChatService';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getUnreadMessageCount } from '../api/chat';
+import { getUnreadCountChange } from './chatPresence';
+
+/**
+ * @param {string|undefined} userId
+ * @returns {number}
+ */
+const useUnreadMessageCount = (userId) => {
+    const getSignal = useAbortSignal();
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        if (!userId) return;
+        const fetchCount = async () => {
+            try {
+                const data = await getUnreadMessageCount({ signal: getSignal() });
+                if (typeof data.count === 'number') setCount(data.count);
+            } catch (error) {
+                if (isAbortError(error)) return;
+                console.error('Failed to fetch unread message count:', error);
+            }
+        };
+        fetchCount();
+    }, [userId, getSignal]);
+
+    useEffect(() => {
+        if (!userId) return undefined;
+        const socket = connectSocket(userId);
+        if (!socket) return undefined;
+
+        const applyChange = (eventName) => (data) => {
+            const change = getUnreadCountChange(eventName, data, userId);
+            if (change !== 0) setCount((prevCount) => Math.max(0, prevCount + change));
+        };
+        const handleNewChatMessage = applyChange('newChatMessage');
+        const handleMessagesRead = applyChange('messagesRead');
+
+        socket.on('newChatMessage', handleNewChatMessage);
+        socket.on('messagesRead', handleMessagesRead);
+        return () => {
+            socket.off('newChatMessage', handleNewChatMessage);
+            socket.off('messagesRead', handleMessagesRead);
+        };
+    }, [userId]);
+
+    return count;
+};
+
+export default useUnreadMessageCount;
@@ -1,9 +1,18 @@
 // frontend/client/src/contexts/AuthContext.js
 
 import React, { createContext, useState, useEffect, useCallback, useRef, useContext } from 'react';
+import { setUnauthorizedHandler, setTokenRefreshHandler } from '../api/apiClient';
+import { getUser, setTranscriberOnlineStatus } from '../api/users';
+import { refreshSession as requestSessionRefresh } from '../api/auth';
+import { getTokenExpiry, isTokenExpired } from '../api/authToken';
+import { setOutboxSender } from '../chat/chatOutbox';
 
 const AuthContext = createContext(null);
-const BACKEND_API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// Refresh the session this long before the JWT's exp claim so requests never go out with a stale token.
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// setTimeout overflows above ~24.8 days; tokens living longer than that are simply refreshed early.
+const MAX_TIMER_DELAY_MS = 2147483647;
 
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -18,7 +27,10 @@ export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authLoading, setAuthLoading] = useState(true);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null); // ms timestamp from the JWT exp claim, null if unknown
+  const [sessionExpired, setSessionExpired] = useState(false); // True after a failed refresh; ProtectedRoute forwards it to /login
   const isMounted = useRef(true); // Still useful for general cleanup
+  const refreshPromiseRef = useRef(null); // Shares one in-flight refresh between the timer, checkAuth and 401 retries
 
   // CRITICAL FIX: Use refs for setters to bypass stale closure/unmounted component issues for checkAuth
   const setUserRef = useRef(setUser);
@@ -34,6 +46,49 @@ export const AuthProvider = ({ children }) => {
     setIsAuthReadyRef.current = setIsAuthReady;
   }, [setUser, setIsAuthenticated, setAuthLoading, setIsAuthReady]);
 
+  const clearStoredSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+  }, []);
+
+  // Exchanges the current token for a fresh one. Resolves to true when a new token was stored.
+  const refreshSession = useCallback(() => {
+    if (refreshPromiseRef.current) {
+      return refreshPromiseRef.current;
+    }
+
+    refreshPromiseRef.current = (async () => {
+      console.log('AuthContext: refreshSession - requesting a new token.');
+      try {
+        const data = await requestSessionRefresh();
+        if (!data.token) {
+          console.warn('refreshSession: Response did not include a token.');
+          return false;
+        }
+
+        localStorage.setItem('token', data.token);
+        if (data.refreshToken) {
+          localStorage.setItem('refreshToken', data.refreshToken);
+        }
+        if (data.user) {
+          const { is_available, ...userWithoutTransientStates } = data.user;
+          localStorage.setItem('user', JSON.stringify(userWithoutTransientStates));
+          setUserRef.current(userWithoutTransientStates);
+        }
+        setTokenExpiresAt(getTokenExpiry(data.token));
+        console.log('refreshSession: Token refreshed. New expiry:', new Date(getTokenExpiry(data.token) || Date.now()).toLocaleTimeString());
+        return true;
+      } catch (error) {
+        console.warn('refreshSession: Failed to refresh session:', error.message);
+        return false;
+      } finally {
+        refreshPromiseRef.current = null;
+      }
+    })();
+
+    return refreshPromiseRef.current;
+  }, []);
 
   const checkAuth = useCallback(async () => {
     console.groupCollapsed('AuthContext: checkAuth triggered (START)');
@@ -67,16 +122,30 @@ export const AuthProvider = ({ children }) => {
             console.log('checkAuth: Found valid user data. User=', currentUser); // Log the filtered user
         } else {
           console.warn('checkAuth: Invalid user data in localStorage. Clearing.');
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          clearStoredSession();
         }
       } catch (error) {
         console.error('checkAuth: Error parsing user data from localStorage:', error);
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearStoredSession();
       }
     }
 
+    // A token whose exp claim has passed is only usable if it can be refreshed.
+    if (currentIsAuthenticated && isTokenExpired(token)) {
+      console.warn('checkAuth: Stored token has expired. Attempting silent refresh.');
+      const refreshed = await refreshSession();
+      if (refreshed) {
+        currentUser = JSON.parse(localStorage.getItem('user')) || currentUser;
+      } else {
+        console.warn('checkAuth: Refresh failed. Clearing expired session.');
+        clearStoredSession();
+        currentUser = null;
+        currentIsAuthenticated = false;
+        setSessionExpired(true);
+      }
+    }
+    setTokenExpiresAt(currentIsAuthenticated ? getTokenExpiry(localStorage.getItem('token')) : null);
+
     // CRITICAL FIX: Use refs to update state.
     // This ensures state is updated even if the component is in a transient unmounted state.
     // For checkAuth, we *must* propagate the result to the context consumers.
@@ -87,7 +156,7 @@ export const AuthProvider = ({ children }) => {
     console.log('checkAuth: State updated via refs. isAuthenticated=', currentIsAuthenticated, 'isAuthReady=TRUE (END)');
 
     console.groupEnd();
-  }, []);
+  }, [clearStoredSession, refreshSession]);
 
   // RENAMED & REFINED: updateUser function to fetch the latest user data from the server
   // This function now also directly updates the context's user state.
@@ -114,18 +183,7 @@ export const AuthProvider = ({ children }) => {
                 console.groupEnd();
                 return;
             }
-            const response = await fetch(`${BACKEND_API_URL}/api/users/${user.id}`, { // Use current user ID if available
-                method: 'GET',
-                headers: {
-                'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch user data');
-            }
-
-            const userData = await response.json();
+            const userData = await getUser(user.id); // Use current user ID if available
             console.log('updateUser: Received fresh user data:', userData);
             fetchedUser = userData.user;
             
@@ -158,34 +216,28 @@ export const AuthProvider = ({ children }) => {
 
     try {
         console.log(`callSetTranscriberOnlineStatusBackend: Attempting to set transcriber ${user.id} to is_online: ${isOnlineStatus}`);
-        const response = await fetch(`${BACKEND_API_URL}/api/transcriber/set-online-status`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ isOnline: isOnlineStatus })
-        });
-
-        const data = await response.json();
-
-        if (response.ok) {
-            console.log(`callSetTranscriberOnlineStatusBackend: Backend responded: ${data.message}`);
-            // If the backend forces offline (e.g., due to active job), update frontend user state
-            if (data.isOnline !== isOnlineStatus) {
-                console.warn(`callSetTranscriberOnlineStatusBackend: Backend set status to ${data.isOnline} (expected ${isOnlineStatus}). Refreshing user data.`);
-                await updateUser(); // Force a refresh to get the actual status from DB
-            } else {
-                // If backend confirms the requested status, update local user state
-                setUserRef.current(prevUser => ({ ...prevUser, is_online: data.isOnline }));
-            }
+        // handleUnauthorized is off: this runs inside logout(), which is itself the 401 handler.
+        const data = await setTranscriberOnlineStatus(isOnlineStatus, { handleUnauthorized: false });
+
+        console.log(`callSetTranscriberOnlineStatusBackend: Backend responded: ${data.message}`);
+        // If the backend forces offline (e.g., due to active job), update frontend user state
+        if (data.isOnline !== isOnlineStatus) {
+            console.warn(`callSetTranscriberOnlineStatusBackend: Backend set status to ${data.isOnline} (expected ${isOnlineStatus}). Refreshing user data.`);
+            await updateUser(); // Force a refresh to get the actual status from DB
         } else {
-            console.error(`callSetTranscriberOnlineStatusBackend: Failed to update online status: ${data.error}`);
-            // Even if failed, try to update local user state to reflect potential backend change
-            await updateUser();
+            // If backend confirms the requested status, update local user state
+            setUserRef.current(prevUser => ({ ...prevUser, is_online: data.isOnline }));
         }
     } catch (error) {
-        console.error('callSetTranscriberOnlineStatusBackend: Network error or unexpected error:', error);
+        if (error.isNetworkError) {
+            console.error('callSetTranscriberOnlineStatusBackend: Network error or unexpected error:', error);
+            return;
+        }
+        console.error(`callSetTranscriberOnlineStatusBackend: Failed to update online status: ${error.message}`);
+        // Even if failed, try to update local user state to reflect potential backend change
+        if (error.status !== 401) {
+            await updateUser();
+        }
     }
   }, [user, updateUser]); // Added updateUser to dependencies
 
@@ -214,11 +266,18 @@ export const AuthProvider = ({ children }) => {
   }, [user, isAuthenticated, authLoading, isAuthReady]);
 
 
-  const login = useCallback(async (token, userData) => { // Made async to await updateUser
+  const login = useCallback(async (token, userData, refreshToken = null) => { // Made async to await updateUser
     console.groupCollapsed('AuthContext: login triggered (START)');
     console.log('login: Received token and user data for:', userData?.full_name);
 
     localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
+    setTokenExpiresAt(getTokenExpiry(token));
+    setSessionExpired(false);
     // CRITICAL FIX: Filter out 'is_available' before storing in localStorage during login
     // The is_online status will be explicitly managed by setTranscriberOnlineStatusBackend
     const { is_available, ...userWithoutTransientStates } = userData;
@@ -248,8 +307,10 @@ export const AuthProvider = ({ children }) => {
         await callSetTranscriberOnlineStatusBackend(false);
     }
 
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearStoredSession();
+    setTokenExpiresAt(null);
+    // Stop sending this user's queued chat messages; they go out when the same user signs in again
+    setOutboxSender(null);
     console.log('logout: localStorage cleared immediately.');
 
     // CRITICAL FIX: Reset user state and auth flags immediately on logout
@@ -260,7 +321,41 @@ export const AuthProvider = ({ children }) => {
 
     console.log('logout: User state reset and authentication flags set. (END)');
     console.groupEnd();
-  }, [user, callSetTranscriberOnlineStatusBackend]); // Added user and callSetTranscriberOnlineStatusBackend to dependency
+  }, [user, callSetTranscriberOnlineStatusBackend, clearStoredSession]); // Added user and callSetTranscriberOnlineStatusBackend to dependency
+
+  // Called when the session cannot be renewed. Logging out flips isAuthenticated, so ProtectedRoute
+  // sends the user to /login with their current location in state.from (and sessionExpired set).
+  const handleSessionExpired = useCallback(async () => {
+    console.warn('AuthContext: Session expired and could not be refreshed. Logging out.');
+    await logout();
+    setSessionExpired(true);
+  }, [logout]);
+
+  // Route 401 responses from the shared API client (src/api) through refresh, then session expiry.
+  useEffect(() => {
+    setTokenRefreshHandler(refreshSession);
+    setUnauthorizedHandler(handleSessionExpired);
+    return () => {
+      setTokenRefreshHandler(null);
+      setUnauthorizedHandler(null);
+    };
+  }, [refreshSession, handleSessionExpired]);
+
+  // Schedule a silent refresh shortly before the current token lapses.
+  useEffect(() => {
+    if (!isAuthenticated || !tokenExpiresAt) return undefined;
+
+    const delay = Math.min(Math.max(tokenExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0), MAX_TIMER_DELAY_MS);
+    console.log(`AuthContext: Token refresh scheduled in ${Math.round(delay / 1000)}s.`);
+    const timer = setTimeout(async () => {
+      const refreshed = await refreshSession();
+      if (!refreshed) {
+        handleSessionExpired();
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, tokenExpiresAt, refreshSession, handleSessionExpired]);
 
 
   const authContextValue = {
@@ -268,10 +363,12 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     authLoading,
     isAuthReady,
+    sessionExpired,
     login,
     logout,
     checkAuth,
-    updateUser // Expose updateUser (which replaces refreshUserData)
+    updateUser, // Expose updateUser (which replaces refreshUserData)
+    refreshSession
   };
 
   return (
@@ -0,0 +1,253 @@
+// src/levels/AdminTranscriberLevels.js
+// Admin page for transcriber levels: the completed jobs, rating and dispute rate needed to reach each
+// level, and the jobs each level may take. Suggestions based on these criteria appear in AdminUsers.
+// Route: /admin/transcriber-levels
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Toast from '../Toast';
+import { useAuth } from '../contexts/AuthContext';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getTranscriberLevelSettings, updateTranscriberLevelSettings } from '../api/admin';
+import {
+    TRANSCRIBER_LEVELS,
+    AUDIO_QUALITIES,
+    DEFAULT_LEVEL_CRITERIA,
+    DEFAULT_JOB_ACCESS,
+    validateLevelSettings,
+} from './transcriberLevels';
+import '../AdminManagement.css';
+import './AdminTranscriberLevels.css';
+
+const errorMessage = (error, fallback) => (error.isNetworkError ? 'Network error. Please try again.' : error.message || fallback);
+
+// Empty inputs become null so validation can flag them, except the audio limit where null means no limit.
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+const AdminTranscriberLevels = () => {
+    const { user, logout } = useAuth();
+    const getSignal = useAbortSignal();
+
+    const [criteria, setCriteria] = useState(DEFAULT_LEVEL_CRITERIA);
+    const [jobAccess, setJobAccess] = useState(DEFAULT_JOB_ACCESS);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+
+    const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
+    const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
+
+    useEffect(() => {
+        const loadSettings = async () => {
+            try {
+                const { settings } = await getTranscriberLevelSettings({ signal: getSignal() });
+                setCriteria({ ...DEFAULT_LEVEL_CRITERIA, ...settings?.criteria });
+                setJobAccess({ ...DEFAULT_JOB_ACCESS, ...settings?.job_access });
+            } catch (error) {
+                if (isAbortError(error)) return;
+                showToast(errorMessage(error, 'Failed to load the level settings.'), 'error');
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadSettings();
+    }, [getSignal, showToast]);
+
+    const updateCriterion = useCallback((level, field, value) => {
+        setCriteria((prev) => ({ ...prev, [level]: { ...prev[level], [field]: value } }));
+    }, []);
+
+    const updateAccess = useCallback((level, field, value) => {
+        setJobAccess((prev) => ({ ...prev, [level]: { ...prev[level], [field]: value } }));
+    }, []);
+
+    const toggleQuality = useCallback((level, quality) => {
+        setJobAccess((prev) => {
+            const qualities = prev[level].audio_qualities;
+            const next = qualities.includes(quality) ? qualities.filter((item) => item !== quality) : [...qualities, quality];
+            return { ...prev, [level]: { ...prev[level], audio_qualities: next } };
+        });
+    }, []);
+
+    const handleSave = useCallback(async () => {
+        const settings = { criteria, job_access: jobAccess };
+        const validationError = validateLevelSettings(settings);
+        if (validationError) {
+            showToast(validationError, 'error');
+            return;
+        }
+        setSaving(true);
+        try {
+            await updateTranscriberLevelSettings(settings, { signal: getSignal() });
+            showToast('Level settings saved. Job feeds follow the new rules straight away.');
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to save the level settings.'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    }, [criteria, jobAccess, getSignal, showToast]);
+
+    if (loading) {
+        return (
+            <div className="admin-management-container">
+                <div className="loading-spinner">Loading level settings...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-management-container">
+            <header className="admin-management-header">
+                <div className="header-content">
+                    <h1>Transcriber Levels</h1>
+                    <div className="user-info">
+                        <span>Welcome, {user?.full_name || 'Admin'}!</span>
+                        <button onClick={logout} className="logout-btn">Logout</button>
+                    </div>
+                </div>
+            </header>
+            <main className="admin-management-main">
+                <div className="back-link-container">
+                    <Link to="/admin-dashboard" className="back-link">← Back to Admin Dashboard</Link>
+                </div>
+
+                <div className="admin-content-section">
+                    <h2>Promotion Criteria</h2>
+                    <p>
+                        Transcribers who meet the criteria for the next level are suggested for promotion on the{' '}
+                        <Link to="/admin/users">Manage Users</Link> page; those who fall below their current level's criteria are suggested for demotion.
+                        Levels only change when an admin confirms.
+                    </p>
+                    <div className="users-list-table">
+                        <table className="level-settings-table">
+                            <thead>
+                                <tr>
+                                    <th>Level</th>
+                                    <th>Min. Completed Jobs</th>
+                                    <th>Min. Average Rating</th>
+                                    <th>Max. Dispute Rate (%)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {TRANSCRIBER_LEVELS.slice(1).map(({ value, label }) => (
+                                    <tr key={value}>
+                                        <td>{label}</td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="1"
+                                                aria-label={`${label} minimum completed jobs`}
+                                                value={criteria[value].min_completed_jobs ?? ''}
+                                                onChange={(e) => updateCriterion(value, 'min_completed_jobs', toNumber(e.target.value))}
+                                            />
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="5"
+                                                step="0.1"
+                                                aria-label={`${label} minimum average rating`}
+                                                value={criteria[value].min_average_rating ?? ''}
+                                                onChange={(e) => updateCriterion(value, 'min_average_rating', toNumber(e.target.value))}
+                                            />
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="100"
+                                                step="0.5"
+                                                aria-label={`${label} maximum dispute rate`}
+                                                value={criteria[value].max_dispute_rate == null ? '' : Math.round(criteria[value].max_dispute_rate * 1000) / 10}
+                                                onChange={(e) => {
+                                                    const percent = toNumber(e.target.value);
+                                                    updateCriterion(value, 'max_dispute_rate', percent == null ? null : percent / 100);
+                                                }}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div className="admin-content-section">
+                    <h2>Job Access</h2>
+                    <p>Direct upload jobs outside a level's limits are hidden from transcribers at that level.</p>
+                    <div className="users-list-table">
+                        <table className="level-settings-table">
+                            <thead>
+                                <tr>
+                                    <th>Level</th>
+                                    <th>Max. Audio Length (mins)</th>
+                                    <th>Audio Quality</th>
+                                    <th>Shortest Turnaround (hrs)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {TRANSCRIBER_LEVELS.map(({ value, label }) => (
+                                    <tr key={value}>
+                                        <td>{label}</td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                placeholder="No limit"
+                                                aria-label={`${label} maximum audio length`}
+                                                value={jobAccess[value].max_audio_minutes ?? ''}
+                                                onChange={(e) => updateAccess(value, 'max_audio_minutes', toNumber(e.target.value))}
+                                            />
+                                        </td>
+                                        <td>
+                                            <div className="level-quality-options">
+                                                {AUDIO_QUALITIES.map((quality) => (
+                                                    <label key={quality}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={jobAccess[value].audio_qualities.includes(quality)}
+                                                            onChange={() => toggleQuality(value, quality)}
+                                                        />
+                                                        {quality}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                aria-label={`${label} shortest turnaround`}
+                                                value={jobAccess[value].min_deadline_hours ?? ''}
+                                                onChange={(e) => updateAccess(value, 'min_deadline_hours', toNumber(e.target.value))}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="level-settings-actions">
+                        <button onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : 'Save Level Settings'}
+                        </button>
+                    </div>
+                </div>
+            </main>
+
+            <Toast
+                message={toast.message}
+                type={toast.type}
+                isVisible={toast.isVisible}
+                onClose={hideToast}
+                duration={toast.type === 'error' ? 4000 : 3000}
+            />
+        </div>
+    );
+};
+
+export default AdminTranscriberLevels;
@@ -0,0 +1,45 @@
+// src/levels/LevelSuggestions.js
+// Lists transcribers whose stats call for a promotion or demotion, for AdminUsers. Suggestions are
+// computed from the admin's level criteria; nothing changes until an admin reviews and confirms one.
+
+import React from 'react';
+import { getLevelLabel, formatDisputeRate } from './transcriberLevels';
+import './LevelSuggestions.css';
+
+/**
+ * @param {{
+ *   suggestions: { transcriber: import('../api/admin').TranscriberLevelRecord, suggestion: import('./transcriberLevels').LevelSuggestion }[],
+ *   onReview: (transcriber: import('../api/admin').TranscriberLevelRecord, level: string) => void
+ * }} props
+ */
+const LevelSuggestions = ({ suggestions, onReview }) => {
+    if (suggestions.length === 0) {
+        return <p className="no-data-message">No promotions or demotions are suggested right now.</p>;
+    }
+
+    return (
+        <ul className="level-suggestions">
+            {suggestions.map(({ transcriber, suggestion }) => {
+                const { stats } = transcriber;
+                return (
+                    <li key={transcriber.id}>
+                        <span className={`suggestion-direction ${suggestion.direction}`}>{suggestion.direction}</span>
+                        <strong>{transcriber.full_name}</strong>
+                        <span>
+                            {getLevelLabel(transcriber.transcriber_user_level)} → {getLevelLabel(suggestion.level)}
+                        </span>
+                        <span className="suggestion-stats">
+                            {stats.completed_jobs} jobs · rating {stats.average_rating == null ? 'n/a' : stats.average_rating.toFixed(1)} · {formatDisputeRate(stats.dispute_rate)} disputed
+                        </span>
+                        <button onClick={() => onReview(transcriber, suggestion.level)}>Review</button>
+                        {suggestion.reasons.length > 0 && (
+                            <p className="suggestion-reasons">Below current level: {suggestion.reasons.join('; ')}</p>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default LevelSuggestions;
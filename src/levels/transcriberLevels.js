@@ -0,0 +1,171 @@
+// src/levels/transcriberLevels.js
+// Transcriber levels, the criteria admins set for reaching each one and the jobs each level may take.
+// The backend stores a transcriber's level in transcriber_user_level, enforces job access and emits
+// transcriber_level_changed when an admin promotes or demotes someone; these helpers turn level stats
+// into suggestions for AdminUsers and filter the job feed in TranscriberOtherJobs.
+
+/** Lowest to highest. */
+export const TRANSCRIBER_LEVELS = [
+    { value: 'transcriber', label: 'Transcriber' },
+    { value: 'senior_transcriber', label: 'Senior Transcriber' },
+    { value: 'proofreader', label: 'Proofreader' },
+];
+
+export const AUDIO_QUALITIES = ['excellent', 'good', 'standard', 'difficult'];
+
+/**
+ * @typedef {object} LevelCriteria
+ * @property {number} min_completed_jobs
+ * @property {number} min_average_rating - Out of 5.
+ * @property {number} max_dispute_rate - Share of completed jobs that were disputed, 0-1.
+ */
+
+/**
+ * @typedef {object} LevelJobAccess
+ * @property {number|null} max_audio_minutes - null for no limit.
+ * @property {string[]} audio_qualities - Audio qualities the level may take.
+ * @property {number} min_deadline_hours - Jobs with a shorter turnaround need a higher level.
+ */
+
+/**
+ * Criteria for reaching each level above the entry level. A transcriber who drops below the
+ * criteria of their current level is suggested for demotion.
+ * @type {Object<string, LevelCriteria>}
+ */
+export const DEFAULT_LEVEL_CRITERIA = {
+    senior_transcriber: { min_completed_jobs: 25, min_average_rating: 4.0, max_dispute_rate: 0.1 },
+    proofreader: { min_completed_jobs: 75, min_average_rating: 4.5, max_dispute_rate: 0.05 },
+};
+
+/** @type {Object<string, LevelJobAccess>} */
+export const DEFAULT_JOB_ACCESS = {
+    transcriber: { max_audio_minutes: 60, audio_qualities: ['excellent', 'good', 'standard'], min_deadline_hours: 24 },
+    senior_transcriber: { max_audio_minutes: 180, audio_qualities: AUDIO_QUALITIES, min_deadline_hours: 12 },
+    proofreader: { max_audio_minutes: null, audio_qualities: AUDIO_QUALITIES, min_deadline_hours: 0 },
+};
+
+const ENTRY_LEVEL = TRANSCRIBER_LEVELS[0].value;
+
+/** @returns {number} Position in TRANSCRIBER_LEVELS; unknown or missing levels count as the entry level. */
+export const getLevelRank = (level) => Math.max(TRANSCRIBER_LEVELS.findIndex((item) => item.value === level), 0);
+
+export const getLevelLabel = (level) => TRANSCRIBER_LEVELS[getLevelRank(level)].label;
+
+/** @param {number} rate - 0-1 */
+export const formatDisputeRate = (rate) => `${((rate || 0) * 100).toFixed(1)}%`;
+
+/**
+ * @typedef {object} LevelStats
+ * @property {number} completed_jobs
+ * @property {number|null} average_rating - null until the transcriber has been rated.
+ * @property {number} dispute_rate - 0-1
+ */
+
+/**
+ * @param {LevelStats} stats
+ * @param {LevelCriteria} criteria
+ * @returns {string[]} One line per criterion the stats fall short of; empty when all are met.
+ */
+export const getUnmetCriteria = (stats, criteria) => {
+    const unmet = [];
+    if ((stats.completed_jobs || 0) < criteria.min_completed_jobs) {
+        unmet.push(`${stats.completed_jobs || 0} of ${criteria.min_completed_jobs} completed jobs`);
+    }
+    if (stats.average_rating == null || stats.average_rating < criteria.min_average_rating) {
+        unmet.push(`rating ${stats.average_rating == null ? 'n/a' : stats.average_rating.toFixed(1)} below ${criteria.min_average_rating.toFixed(1)}`);
+    }
+    if ((stats.dispute_rate || 0) > criteria.max_dispute_rate) {
+        unmet.push(`dispute rate ${formatDisputeRate(stats.dispute_rate)} above ${formatDisputeRate(criteria.max_dispute_rate)}`);
+    }
+    return unmet;
+};
+
+/**
+ * @typedef {object} LevelSuggestion
+ * @property {'promote'|'demote'} direction
+ * @property {string} level - The suggested level.
+ * @property {string[]} reasons - Unmet criteria, for demotions.
+ */
+
+/**
+ * Suggests the next level up when the transcriber meets its criteria, or the next level down when
+ * they no longer meet the criteria of their current level. Promotions go one level at a time so an
+ * admin reviews each step.
+ * @param {string} currentLevel
+ * @param {LevelStats} stats
+ * @param {Object<string, LevelCriteria>} [criteria=DEFAULT_LEVEL_CRITERIA]
+ * @returns {LevelSuggestion|null}
+ */
+export const getLevelSuggestion = (currentLevel, stats, criteria = DEFAULT_LEVEL_CRITERIA) => {
+    const rank = getLevelRank(currentLevel);
+    const current = TRANSCRIBER_LEVELS[rank].value;
+
+    if (current !== ENTRY_LEVEL && criteria[current]) {
+        const reasons = getUnmetCriteria(stats, criteria[current]);
+        if (reasons.length > 0) {
+            return { direction: 'demote', level: TRANSCRIBER_LEVELS[rank - 1].value, reasons };
+        }
+    }
+
+    const next = TRANSCRIBER_LEVELS[rank + 1];
+    if (next && criteria[next.value] && getUnmetCriteria(stats, criteria[next.value]).length === 0) {
+        return { direction: 'promote', level: next.value, reasons: [] };
+    }
+    return null;
+};
+
+/**
+ * Toast for the transcriber_level_changed socket event.
+ * @param {{ previousLevel: string, newLevel: string, reason?: string }} change
+ * @returns {{ message: string, type: 'success'|'info' }}
+ */
+export const describeLevelChange = ({ previousLevel, newLevel, reason }) => {
+    const promoted = getLevelRank(newLevel) > getLevelRank(previousLevel);
+    const headline = promoted
+        ? `Congratulations! You have been promoted to ${getLevelLabel(newLevel)}.`
+        : `Your level has changed to ${getLevelLabel(newLevel)}.`;
+    return { message: reason ? `${headline} ${reason}` : headline, type: promoted ? 'success' : 'info' };
+};
+
+/**
+ * @param {{ audio_length_minutes?: number, audio_quality_param?: string, agreed_deadline_hours?: number }} job
+ * @param {LevelJobAccess} access
+ * @returns {boolean}
+ */
+export const isJobAllowedForLevel = (job, access) => {
+    if (!access) return true;
+    if (access.max_audio_minutes != null && (job.audio_length_minutes || 0) > access.max_audio_minutes) return false;
+    if (job.audio_quality_param && !access.audio_qualities.includes(job.audio_quality_param)) return false;
+    if (job.agreed_deadline_hours != null && job.agreed_deadline_hours < access.min_deadline_hours) return false;
+    return true;
+};
+
+/**
+ * @param {{ criteria: Object<string, LevelCriteria>, job_access: Object<string, LevelJobAccess> }} settings
+ * @returns {string} An error message, or '' when the settings can be saved.
+ */
+export const validateLevelSettings = ({ criteria, job_access: jobAccess }) => {
+    for (const { value, label } of TRANSCRIBER_LEVELS.slice(1)) {
+        const levelCriteria = criteria[value];
+        if (!levelCriteria) return `${label} needs promotion criteria.`;
+        if (!Number.isInteger(levelCriteria.min_completed_jobs) || levelCriteria.min_completed_jobs < 0) {
+            return `${label}: completed jobs must be a whole number of 0 or more.`;
+        }
+        if (!(levelCriteria.min_average_rating >= 0 && levelCriteria.min_average_rating <= 5)) {
+            return `${label}: the minimum rating must be between 0 and 5.`;
+        }
+        if (!(levelCriteria.max_dispute_rate >= 0 && levelCriteria.max_dispute_rate <= 1)) {
+            return `${label}: the dispute rate must be between 0% and 100%.`;
+        }
+    }
+    for (const { value, label } of TRANSCRIBER_LEVELS) {
+        const access = jobAccess[value];
+        if (!access) return `${label} needs job access rules.`;
+        if (access.max_audio_minutes != null && !(access.max_audio_minutes > 0)) {
+            return `${label}: the audio length limit must be above 0, or empty for no limit.`;
+        }
+        if (!(access.min_deadline_hours >= 0)) return `${label}: the shortest turnaround must be 0 hours or more.`;
+        if (access.audio_qualities.length === 0) return `${label} must allow at least one audio quality.`;
+    }
+    return '';
+};
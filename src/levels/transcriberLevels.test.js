@@ -0,0 +1,87 @@
+import { getLevelRank, getLevelLabel, getUnmetCriteria, getLevelSuggestion, isJobAllowedForLevel, DEFAULT_JOB_ACCESS, validateLevelSettings, describeLevelChange } from './transcriberLevels';
+
+const criteria = {
+    senior_transcriber: { min_completed_jobs: 25, min_average_rating: 4.0, max_dispute_rate: 0.1 },
+    proofreader: { min_completed_jobs: 75, min_average_rating: 4.5, max_dispute_rate: 0.05 },
+};
+
+describe('getLevelRank', () => {
+    it('treats unknown and missing levels as the entry level', () => {
+        expect(getLevelRank('proofreader')).toBe(2);
+        expect(getLevelRank(undefined)).toBe(0);
+        expect(getLevelLabel('')).toBe('Transcriber');
+    });
+});
+
+describe('getUnmetCriteria', () => {
+    it('lists each criterion that is not met', () => {
+        expect(getUnmetCriteria({ completed_jobs: 30, average_rating: 4.2, dispute_rate: 0.02 }, criteria.senior_transcriber)).toEqual([]);
+        expect(getUnmetCriteria({ completed_jobs: 10, average_rating: null, dispute_rate: 0.2 }, criteria.senior_transcriber)).toEqual([
+            '10 of 25 completed jobs',
+            'rating n/a below 4.0',
+            'dispute rate 20.0% above 10.0%',
+        ]);
+    });
+});
+
+describe('getLevelSuggestion', () => {
+    it('suggests the next level once its criteria are met', () => {
+        expect(getLevelSuggestion('transcriber', { completed_jobs: 100, average_rating: 4.9, dispute_rate: 0 }, criteria))
+            .toEqual({ direction: 'promote', level: 'senior_transcriber', reasons: [] });
+        expect(getLevelSuggestion('transcriber', { completed_jobs: 5, average_rating: 4.9, dispute_rate: 0 }, criteria)).toBeNull();
+    });
+
+    it('suggests a demotion when the current level criteria are no longer met', () => {
+        const suggestion = getLevelSuggestion('proofreader', { completed_jobs: 100, average_rating: 4.8, dispute_rate: 0.08 }, criteria);
+        expect(suggestion.direction).toBe('demote');
+        expect(suggestion.level).toBe('senior_transcriber');
+        expect(suggestion.reasons).toEqual(['dispute rate 8.0% above 5.0%']);
+    });
+
+    it('never suggests anything above the top level', () => {
+        expect(getLevelSuggestion('proofreader', { completed_jobs: 500, average_rating: 5, dispute_rate: 0 }, criteria)).toBeNull();
+    });
+});
+
+describe('describeLevelChange', () => {
+    it('congratulates on promotions and appends the admin note', () => {
+        expect(describeLevelChange({ previousLevel: 'senior_transcriber', newLevel: 'proofreader', reason: 'Great work.' })).toEqual({
+            message: 'Congratulations! You have been promoted to Proofreader. Great work.',
+            type: 'success',
+        });
+        expect(describeLevelChange({ previousLevel: 'proofreader', newLevel: 'senior_transcriber' })).toEqual({
+            message: 'Your level has changed to Senior Transcriber.',
+            type: 'info',
+        });
+    });
+});
+
+describe('isJobAllowedForLevel', () => {
+    const job = { audio_length_minutes: 90, audio_quality_param: 'difficult', agreed_deadline_hours: 12 };
+
+    it('checks length, audio quality and turnaround against the level', () => {
+        expect(isJobAllowedForLevel(job, DEFAULT_JOB_ACCESS.transcriber)).toBe(false);
+        expect(isJobAllowedForLevel(job, DEFAULT_JOB_ACCESS.senior_transcriber)).toBe(true);
+        expect(isJobAllowedForLevel({ ...job, agreed_deadline_hours: 6 }, DEFAULT_JOB_ACCESS.senior_transcriber)).toBe(false);
+        expect(isJobAllowedForLevel({ ...job, audio_length_minutes: 600 }, DEFAULT_JOB_ACCESS.proofreader)).toBe(true);
+    });
+
+    it('allows everything when no access rules are known', () => {
+        expect(isJobAllowedForLevel(job, null)).toBe(true);
+    });
+});
+
+describe('validateLevelSettings', () => {
+    const settings = { criteria, job_access: DEFAULT_JOB_ACCESS };
+
+    it('accepts the defaults', () => {
+        expect(validateLevelSettings(settings)).toBe('');
+    });
+
+    it('rejects out-of-range criteria and empty job access', () => {
+        expect(validateLevelSettings({ ...settings, criteria: { ...criteria, proofreader: { ...criteria.proofreader, min_average_rating: 6 } } }))
+            .toBe('Proofreader: the minimum rating must be between 0 and 5.');
+        expect(validateLevelSettings({ ...settings, job_access: { ...DEFAULT_JOB_ACCESS, transcriber: { ...DEFAULT_JOB_ACCESS.transcriber, audio_qualities: [] } } }))
+            .toBe('Transcriber must allow at least one audio quality.');
+    });
+});
@@ -0,0 +1,48 @@
+// src/payments/PaymentMethodModal.js
+// Payment method picker shown before checkout. Spread usePayment().paymentModalProps onto it.
+
+import React from 'react';
+import Modal from '../Modal';
+import PaymentMethodOptions from './PaymentMethodOptions';
+
+export const formatUsd = (amount) => (amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const PaymentMethodModal = ({
+    target,
+    paymentMethod,
+    onPaymentMethodChange,
+    mobileNumber,
+    onMobileNumberChange,
+    readyMethods,
+    loading,
+    onClose,
+    onSubmit,
+}) => {
+    if (!target) {
+        return null;
+    }
+
+    return (
+        <Modal
+            show={Boolean(target)}
+            title={target.title || `Choose Payment Method for Job: ${target.relatedJobId?.substring(0, 8)}...`}
+            onClose={onClose}
+            onSubmit={onSubmit}
+            submitText={`Pay Now (USD ${formatUsd(target.amount)})`}
+            loading={loading}
+        >
+            <p className="modal-intro-text">Select your preferred payment method to complete your order securely.</p>
+            <PaymentMethodOptions
+                paymentMethod={paymentMethod}
+                onPaymentMethodChange={onPaymentMethodChange}
+                mobileNumber={mobileNumber}
+                onMobileNumberChange={onMobileNumberChange}
+                readyMethods={readyMethods}
+                disabled={loading}
+                idPrefix="payment-modal"
+            />
+        </Modal>
+    );
+};
+
+export default PaymentMethodModal;
@@ -0,0 +1,75 @@
+// src/payments/PaymentMethodOptions.js
+// Gateway radio buttons plus the optional mobile number field, rendered from the provider registry.
+// Used inside PaymentMethodModal and inline on TrainingPayment.
+
+import React from 'react';
+import { PAYMENT_PROVIDERS, getPaymentProvider } from './paymentProviders';
+import './PaymentMethodModal.css';
+
+const PaymentMethodOptions = ({
+    paymentMethod,
+    onPaymentMethodChange,
+    mobileNumber,
+    onMobileNumberChange,
+    readyMethods = [],
+    disabled = false,
+    idPrefix = 'payment',
+}) => {
+    const selectedProvider = getPaymentProvider(paymentMethod);
+
+    return (
+        <div className="payment-method-options">
+            <div className="payment-options">
+                {PAYMENT_PROVIDERS.map((provider) => {
+                    const isReady = readyMethods.includes(provider.id);
+                    return (
+                        <label
+                            key={provider.id}
+                            className={`payment-option ${paymentMethod === provider.id ? 'selected' : ''} ${isReady ? '' : 'unavailable'}`}
+                        >
+                            <input
+                                type="radio"
+                                name={`${idPrefix}-method`}
+                                value={provider.id}
+                                checked={paymentMethod === provider.id}
+                                onChange={() => onPaymentMethodChange(provider.id)}
+                                disabled={disabled || !isReady}
+                            />
+                            <div className="option-content">
+                                <div className="option-header">
+                                    <span className="option-icon">{provider.icon}</span>
+                                    <span className="option-name">{provider.name}</span>
+                                </div>
+                                <span className="option-description">
+                                    {isReady ? provider.description : 'Loading...'}
+                                </span>
+                            </div>
+                        </label>
+                    );
+                })}
+            </div>
+
+            {selectedProvider?.collectsMobileNumber && (
+                <div className="mobile-input-section">
+                    <label htmlFor={`${idPrefix}-mobile-number`} className="input-label">
+                        📱 Mobile Number (Optional for {selectedProvider.name})
+                    </label>
+                    <input
+                        type="tel"
+                        id={`${idPrefix}-mobile-number`}
+                        className="mobile-input"
+                        placeholder="e.g., +254712345678"
+                        value={mobileNumber}
+                        onChange={(e) => onMobileNumberChange(e.target.value)}
+                        disabled={disabled}
+                    />
+                    <small className="input-hint">
+                        Enter your mobile number for faster mobile money payments
+                    </small>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PaymentMethodOptions;
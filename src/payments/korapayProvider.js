@@ -0,0 +1,117 @@
+// src/payments/korapayProvider.js
+// KoraPay adapter. Checkout runs in KoraPay's inline modal, so the transaction is verified from
+// its onSuccess callback instead of through /payment-callback.
+
+const KORAPAY_SDK_ID = 'korapay-sdk';
+const KORAPAY_SDK_URL = 'https://korablobstorage.blob.core.windows.net/modal-bucket/korapay-collections.min.js';
+// KoraPay's modal throws if the page reacts before it has finished tearing itself down.
+const KORAPAY_CLOSE_DELAY_MS = 500;
+
+let sdkPromise = null;
+
+/**
+ * Loads the KoraPay SDK once per page load. The script is never removed again, so every page
+ * that takes payments shares the same instance.
+ * @returns {Promise<object>} window.Korapay
+ */
+export const loadKorapaySdk = () => {
+  if (window.Korapay) return Promise.resolve(window.Korapay);
+  if (sdkPromise) return sdkPromise;
+
+  sdkPromise = new Promise((resolve, reject) => {
+    let script = document.getElementById(KORAPAY_SDK_ID);
+    if (!script) {
+      script = document.createElement('script');
+      script.id = KORAPAY_SDK_ID;
+      script.src = KORAPAY_SDK_URL;
+      script.async = true;
+      document.body.appendChild(script);
+    }
+
+    script.addEventListener('load', () => {
+      if (window.Korapay) {
+        console.log('[korapayProvider] KoraPay SDK loaded successfully');
+        resolve(window.Korapay);
+      } else {
+        sdkPromise = null;
+        reject(new Error('KoraPay did not initialise. Please refresh the page and try again.'));
+      }
+    });
+    script.addEventListener('error', () => {
+      console.error('[korapayProvider] Failed to load KoraPay SDK');
+      script.remove();
+      sdkPromise = null; // Allow a later attempt to retry the download
+      reject(new Error('Failed to load KoraPay payment system. Please refresh the page.'));
+    });
+  });
+
+  return sdkPromise;
+};
+
+const closeKorapayModal = () => {
+  if (window.Korapay && typeof window.Korapay.close === 'function') {
+    try {
+      window.Korapay.close();
+    } catch (error) {
+      console.error('[korapayProvider] Error closing KoraPay modal:', error);
+    }
+  }
+};
+
+/** @type {import('./paymentProviders').PaymentProvider} */
+const korapayProvider = {
+  id: 'korapay',
+  name: 'KoraPay',
+  icon: '📱',
+  description: 'Mobile Money, Card, Bank Transfer',
+  collectsMobileNumber: true,
+
+  load: loadKorapaySdk,
+
+  start: async (initData, { user, showToast, onSuccess, onCancel, onFailed }) => {
+    const korapayData = initData?.korapayData;
+    if (!korapayData) {
+      throw new Error(initData?.error || 'Failed to initiate KoraPay payment. Missing data from server.');
+    }
+
+    const Korapay = await loadKorapaySdk();
+    // KoraPay can fire onSuccess more than once, and fires onClose after a success too.
+    let settled = false;
+
+    showToast('Opening KoraPay payment modal...', 'info');
+    Korapay.initialize({
+      ...korapayData,
+      customer: {
+        ...korapayData.customer,
+        name: korapayData.customer?.name || user?.full_name,
+        email: korapayData.customer?.email || user?.email,
+      },
+      onClose: () => {
+        if (settled) return;
+        settled = true;
+        console.log('[korapayProvider] KoraPay modal closed by user');
+        setTimeout(onCancel, KORAPAY_CLOSE_DELAY_MS);
+      },
+      onSuccess: (response) => {
+        if (settled) {
+          console.warn('[korapayProvider] Ignoring duplicate KoraPay onSuccess callback.');
+          return;
+        }
+        settled = true;
+        console.log('[korapayProvider] KoraPay payment successful:', response);
+        closeKorapayModal();
+        setTimeout(() => onSuccess(response?.reference), KORAPAY_CLOSE_DELAY_MS);
+      },
+      onFailed: (response) => {
+        if (settled) return;
+        settled = true;
+        console.error('[korapayProvider] KoraPay payment failed:', response);
+        onFailed(new Error('Payment failed. Please try again or contact support.'));
+      },
+    });
+
+    return { redirected: false };
+  },
+};
+
+export default korapayProvider;
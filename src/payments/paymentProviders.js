@@ -0,0 +1,39 @@
+// src/payments/paymentProviders.js
+// Registry of payment gateways. Adding a gateway means writing one adapter that implements
+// PaymentProvider and listing it here; the payment modal, usePayment and PaymentCallback pick it up.
+
+import paystackProvider from './paystackProvider';
+import korapayProvider from './korapayProvider';
+
+/**
+ * @typedef {object} PaymentCheckoutHandlers
+ * @property {object} user - The paying user (full_name, email).
+ * @property {Function} showToast - (message, type) progress messages for the user.
+ * @property {(reference: string) => void} onSuccess - Inline checkout finished; verify this reference.
+ * @property {() => void} onCancel - The user closed the checkout.
+ * @property {(error: Error) => void} onFailed - The gateway reported a failed payment.
+ */
+
+/**
+ * @typedef {object} PaymentProvider
+ * @property {string} id - Sent to the backend as paymentMethod.
+ * @property {string} name
+ * @property {string} icon
+ * @property {string} description - Channels offered, shown under the name.
+ * @property {boolean} [collectsMobileNumber] - Show the optional mobile number field.
+ * @property {() => Promise<any>} [load] - Loads the gateway SDK; the option stays disabled until it resolves.
+ * @property {(initData: object, handlers: PaymentCheckoutHandlers) => Promise<{ redirected: boolean }>} start
+ *   Starts checkout from the backend's initialize response. Redirecting gateways leave the page and are
+ *   verified by PaymentCallback; inline gateways call handlers.onSuccess with the transaction reference.
+ */
+
+/** @type {PaymentProvider[]} */
+export const PAYMENT_PROVIDERS = [paystackProvider, korapayProvider];
+
+export const DEFAULT_PAYMENT_METHOD = paystackProvider.id;
+
+/**
+ * @param {string} id
+ * @returns {PaymentProvider|null}
+ */
+export const getPaymentProvider = (id) => PAYMENT_PROVIDERS.find((provider) => provider.id === id) || null;
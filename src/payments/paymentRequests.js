@@ -0,0 +1,136 @@
+// src/payments/paymentRequests.js
+// The one place that knows which backend endpoints initialise and verify a payment for each kind of
+// purchase. Pages and PaymentCallback.js only ever call initializePayment() and verifyPayment().
+
+import { initializeNegotiationPayment, verifyNegotiationPayment } from '../api/negotiations';
+import {
+  initializeDirectUploadPayment,
+  verifyDirectUploadPayment,
+  verifyDirectUploadKorapayPayment,
+  initializeDirectUploadOrderPayment,
+  verifyDirectUploadOrderPayment,
+} from '../api/directUploads';
+import { initializeTrainingPayment, verifyTrainingPayment, verifyTrainingKorapayPayment } from '../api/trainee';
+
+/**
+ * What a payment is for, matching the jobType query parameter the backend puts on /payment-callback.
+ * `verify` holds the generic verification call plus any gateway-specific endpoint, keyed by provider id.
+ */
+const PAYMENT_JOB_TYPES = {
+  negotiation: {
+    initialize: (relatedJobId, payload, options) =>
+      initializeNegotiationPayment(relatedJobId, { ...payload, jobId: relatedJobId, negotiationId: relatedJobId }, options),
+    verify: {
+      default: ({ relatedJobId, reference, paymentMethod }, options) =>
+        verifyNegotiationPayment(relatedJobId, reference, paymentMethod, options),
+    },
+  },
+  direct_upload: {
+    initialize: (relatedJobId, payload, options) =>
+      initializeDirectUploadPayment(relatedJobId, { ...payload, jobId: relatedJobId }, options),
+    verify: {
+      default: ({ relatedJobId, reference, paymentMethod }, options) =>
+        verifyDirectUploadPayment(relatedJobId, reference, paymentMethod, options),
+      korapay: ({ relatedJobId, reference }, options) => verifyDirectUploadKorapayPayment(relatedJobId, reference, options),
+    },
+  },
+  // relatedJobId is the order ID; one payment covers every job in the order.
+  direct_upload_order: {
+    initialize: (relatedJobId, payload, options) =>
+      initializeDirectUploadOrderPayment(relatedJobId, { ...payload, orderId: relatedJobId }, options),
+    verify: {
+      default: ({ relatedJobId, reference, paymentMethod }, options) =>
+        verifyDirectUploadOrderPayment(relatedJobId, reference, paymentMethod, options),
+    },
+  },
+  training: {
+    initialize: (relatedJobId, payload, options) => initializeTrainingPayment(payload, options),
+    verify: {
+      default: ({ relatedJobId, reference, paymentMethod }, options) =>
+        verifyTrainingPayment(reference, relatedJobId, paymentMethod, options),
+      korapay: ({ reference }, options) => verifyTrainingKorapayPayment(reference, options),
+    },
+  },
+};
+
+/**
+ * @param {string} jobType
+ * @returns {boolean}
+ */
+export const isPaymentJobType = (jobType) => Object.prototype.hasOwnProperty.call(PAYMENT_JOB_TYPES, jobType);
+
+const getJobType = (jobType) => {
+  if (!isPaymentJobType(jobType)) {
+    throw new Error(`Unknown job type "${jobType}" for payment.`);
+  }
+  return PAYMENT_JOB_TYPES[jobType];
+};
+
+/**
+ * Strips spaces, dashes and brackets from a mobile number. Returns '' for blank input.
+ * @param {string} mobileNumber
+ * @returns {string}
+ */
+export const normalizeMobileNumber = (mobileNumber) => (mobileNumber || '').replace(/[\s\-()]/g, '');
+
+/**
+ * The mobile number is optional; when given it must look like an international number.
+ * @param {string} mobileNumber
+ * @returns {boolean}
+ */
+export const isValidMobileNumber = (mobileNumber) => {
+  const normalized = normalizeMobileNumber(mobileNumber);
+  return normalized === '' || /^\+?\d{7,15}$/.test(normalized);
+};
+
+/**
+ * Asks the backend to open a transaction with the chosen gateway.
+ * @param {object} request
+ * @param {'negotiation'|'direct_upload'|'direct_upload_order'|'training'} request.jobType
+ * @param {string} [request.relatedJobId] - Negotiation, direct upload job or order ID (not used for training).
+ * @param {number} request.amount - Amount in USD.
+ * @param {string} request.paymentMethod - Provider id.
+ * @param {object} request.user - The paying user.
+ * @param {string} [request.mobileNumber]
+ * @param {object} [options] - apiRequest options.
+ * @returns {Promise<object>} The initialize response, handed to the provider's start().
+ */
+export const initializePayment = ({ jobType, relatedJobId, amount, paymentMethod, user, mobileNumber }, options) => {
+  const payload = {
+    amount,
+    email: user.email,
+    fullName: user.full_name,
+    paymentMethod,
+  };
+  const normalizedMobileNumber = normalizeMobileNumber(mobileNumber);
+  if (normalizedMobileNumber) {
+    payload.mobileNumber = normalizedMobileNumber;
+  }
+  return getJobType(jobType).initialize(relatedJobId, payload, options);
+};
+
+/**
+ * Verifies a completed transaction with the backend. Used both after inline checkouts and by
+ * PaymentCallback.js after a redirect. Resolves with the backend response, throws on failure.
+ * @param {object} request
+ * @param {'negotiation'|'direct_upload'|'direct_upload_order'|'training'} request.jobType
+ * @param {string} [request.relatedJobId]
+ * @param {string} request.reference - The gateway's transaction reference.
+ * @param {string} [request.paymentMethod='paystack']
+ * @param {object} [options] - apiRequest options.
+ * @returns {Promise<object>}
+ */
+export const verifyPayment = async ({ jobType, relatedJobId, reference, paymentMethod = 'paystack' }, options) => {
+  if (!reference) {
+    throw new Error('Missing payment reference. Please contact support.');
+  }
+  const { verify } = getJobType(jobType);
+  const verifyWith = verify[paymentMethod] || verify.default;
+  const data = await verifyWith({ relatedJobId, reference, paymentMethod }, options);
+
+  // Some verification endpoints answer 200 with success: false for a declined transaction.
+  if (data?.success === false) {
+    throw new Error(data.error || data.message || 'Payment verification failed. Please contact support.');
+  }
+  return data;
+};
@@ -0,0 +1,23 @@
+// src/payments/paystackProvider.js
+// Paystack adapter. Checkout happens on Paystack's hosted page; Paystack then redirects the
+// browser to /payment-callback, where PaymentCallback.js verifies the transaction.
+
+/** @type {import('./paymentProviders').PaymentProvider} */
+const paystackProvider = {
+  id: 'paystack',
+  name: 'Paystack',
+  icon: '💳',
+  description: 'Card, Mobile Money, Bank Transfer, Pesalink',
+
+  start: async (initData, { showToast }) => {
+    const authorizationUrl = initData?.data?.authorization_url;
+    if (!authorizationUrl) {
+      throw new Error(initData?.error || 'Failed to initiate Paystack payment. Please try again.');
+    }
+    showToast('Redirecting to Paystack...', 'info');
+    window.location.href = authorizationUrl;
+    return { redirected: true };
+  },
+};
+
+export default paystackProvider;
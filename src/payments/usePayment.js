@@ -0,0 +1,170 @@
+// src/payments/usePayment.js
+// Drives a checkout from method selection to verification so pages only decide what happens
+// once a payment is verified. Pair it with PaymentMethodModal or PaymentMethodOptions.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { PAYMENT_PROVIDERS, DEFAULT_PAYMENT_METHOD, getPaymentProvider } from './paymentProviders';
+import { initializePayment, verifyPayment, isValidMobileNumber } from './paymentRequests';
+
+/**
+ * @typedef {object} PaymentTarget
+ * @property {'negotiation'|'direct_upload'|'training'} jobType
+ * @property {string} [relatedJobId]
+ * @property {number} amount - Amount in USD.
+ * @property {string} [title] - Modal title; defaults to one built from relatedJobId.
+ */
+
+/**
+ * @param {object} params
+ * @param {object} params.user - The paying user from AuthContext.
+ * @param {Function} params.showToast
+ * @param {(target: PaymentTarget, data: object) => (void|Promise<void>)} [params.onVerified] - Called once an inline payment is verified.
+ * @param {(target: PaymentTarget) => void} [params.onCancelled] - Called when checkout is closed or fails.
+ */
+const usePayment = ({ user, showToast, onVerified, onCancelled }) => {
+  const [paymentTarget, setPaymentTarget] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState(DEFAULT_PAYMENT_METHOD);
+  const [mobileNumber, setMobileNumber] = useState('');
+  const [processing, setProcessing] = useState(false);
+  // Providers with an SDK stay unavailable until it has loaded.
+  const [readyMethods, setReadyMethods] = useState(() => PAYMENT_PROVIDERS.filter((provider) => !provider.load).map((provider) => provider.id));
+
+  // Keep the latest callbacks without restarting an in-flight checkout when they change.
+  const callbacksRef = useRef({ onVerified, onCancelled, showToast });
+  useEffect(() => {
+    callbacksRef.current = { onVerified, onCancelled, showToast };
+  }, [onVerified, onCancelled, showToast]);
+
+  useEffect(() => {
+    let active = true;
+    PAYMENT_PROVIDERS.filter((provider) => provider.load).forEach((provider) => {
+      provider.load()
+        .then(() => {
+          if (active) setReadyMethods((prev) => (prev.includes(provider.id) ? prev : [...prev, provider.id]));
+        })
+        .catch((error) => {
+          if (active) callbacksRef.current.showToast(error.message, 'error');
+        });
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const openPayment = useCallback((target) => {
+    setPaymentTarget(target);
+    setPaymentMethod(DEFAULT_PAYMENT_METHOD);
+    setMobileNumber('');
+    setProcessing(false);
+  }, []);
+
+  const closePayment = useCallback(() => {
+    setPaymentTarget(null);
+    setProcessing(false);
+  }, []);
+
+  /**
+   * Initialises the payment with the selected gateway and hands over to its checkout.
+   * @param {PaymentTarget} [target=paymentTarget] - Pass a target directly when not using the modal.
+   */
+  const submitPayment = useCallback(async (target = paymentTarget) => {
+    const toast = callbacksRef.current.showToast;
+    const provider = getPaymentProvider(paymentMethod);
+
+    if (!target || !provider) {
+      toast('Job or payment method not selected.', 'error');
+      return;
+    }
+    if (!user?.email) {
+      toast('User email missing. Please contact support.', 'error');
+      return;
+    }
+    if (typeof target.amount !== 'number' || !(target.amount > 0)) {
+      toast('Invalid payment amount. Please refresh the page and try again.', 'error');
+      return;
+    }
+    if (provider.collectsMobileNumber && !isValidMobileNumber(mobileNumber)) {
+      toast('Please enter a valid mobile number, e.g. +254712345678, or leave it blank.', 'error');
+      return;
+    }
+
+    const finish = () => {
+      setProcessing(false);
+      setPaymentTarget(null);
+    };
+    const cancel = (message, type) => {
+      callbacksRef.current.showToast(message, type);
+      finish();
+      callbacksRef.current.onCancelled?.(target);
+    };
+
+    setProcessing(true);
+    try {
+      const initData = await initializePayment({
+        jobType: target.jobType,
+        relatedJobId: target.relatedJobId,
+        amount: target.amount,
+        paymentMethod: provider.id,
+        user,
+        mobileNumber: provider.collectsMobileNumber ? mobileNumber : '',
+      });
+
+      await provider.start(initData, {
+        user,
+        showToast: toast,
+        onSuccess: async (reference) => {
+          callbacksRef.current.showToast('Payment successful! Verifying...', 'success');
+          try {
+            const data = await verifyPayment({
+              jobType: target.jobType,
+              relatedJobId: target.relatedJobId,
+              reference,
+              paymentMethod: provider.id,
+            });
+            finish();
+            await callbacksRef.current.onVerified?.(target, data);
+          } catch (error) {
+            console.error(`usePayment: Verifying ${provider.id} payment ${reference} failed:`, error);
+            callbacksRef.current.showToast(error.isNetworkError
+              ? 'Error verifying payment. Please contact support with your transaction reference.'
+              : error.message || 'Payment verification failed. Please contact support.', 'error');
+            finish();
+          }
+        },
+        onCancel: () => cancel('Payment cancelled. You can try again when ready.', 'info'),
+        onFailed: (error) => cancel(error.message, 'error'),
+      });
+    } catch (error) {
+      console.error(`usePayment: Failed to start ${provider.id} payment:`, error);
+      toast(error.message || 'Failed to initiate payment. Please try again.', 'error');
+      setProcessing(false);
+    }
+  }, [paymentTarget, paymentMethod, mobileNumber, user]);
+
+  return {
+    paymentTarget,
+    paymentMethod,
+    setPaymentMethod,
+    mobileNumber,
+    setMobileNumber,
+    processing,
+    readyMethods,
+    openPayment,
+    closePayment,
+    submitPayment,
+    // Spread onto <PaymentMethodModal />
+    paymentModalProps: {
+      target: paymentTarget,
+      paymentMethod,
+      onPaymentMethodChange: setPaymentMethod,
+      mobileNumber,
+      onMobileNumberChange: setMobileNumber,
+      readyMethods,
+      loading: processing,
+      onClose: closePayment,
+      onSubmit: () => submitPayment(),
+    },
+  };
+};
+
+export default usePayment;
@@ -0,0 +1,163 @@
+// src/pricing/PricingSimulator.js
+// Admin "what if" panel for AdminSettings: prices a sample job with the draft rules being edited,
+// and compares draft prices against the saved rules across a range of durations.
+
+import React, { useState, useMemo } from 'react';
+import { AUDIO_QUALITIES, DEADLINE_TYPES, SPECIAL_REQUIREMENTS } from './pricingRules';
+import { simulateQuote, buildPriceDeltaTable, resolveSharePercent } from './pricingSimulation';
+import { formatUsd } from '../payments/PaymentMethodModal';
+import './PricingSimulator.css';
+
+const toLabel = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+const formatPrice = (amount) => (amount === null ? 'No rule' : `USD ${formatUsd(amount)}`);
+
+const formatSplit = (amount) => (amount === null ? 'Set a transcriber share to see this' : `USD ${formatUsd(amount)}`);
+
+const formatDelta = ({ delta, deltaPercent, saved, draft }) => {
+    if (saved === null && draft === null) return '—';
+    if (saved === null) return 'Newly priced';
+    if (draft === null) return 'No longer priced';
+    if (delta === 0) return 'No change';
+    const sign = delta > 0 ? '+' : '−';
+    return `${sign}USD ${formatUsd(Math.abs(delta))}${deltaPercent !== null ? ` (${sign}${Math.abs(deltaPercent)}%)` : ''}`;
+};
+
+const SimulationResult = ({ title, result }) => (
+    <div className="simulation-result">
+        <h5>{title}</h5>
+        {result ? (
+            <>
+                <p><strong>Matched rule:</strong> {result.rule.name || 'Unnamed rule'} (USD {formatUsd(result.pricePerMinuteUsd)}/min)</p>
+                <p><strong>Client price:</strong> USD {formatUsd(result.clientPrice)}</p>
+                <p><strong>Transcriber pay:</strong> {formatSplit(result.transcriberPay)}</p>
+                <p><strong>Platform margin:</strong> {formatSplit(result.platformMargin)}</p>
+            </>
+        ) : (
+            <p className="no-match">No active rule matches this job, so it could not be quoted.</p>
+        )}
+    </div>
+);
+
+/**
+ * @param {object} props
+ * @param {number|null} props.transcriberSharePercent - The platform's share setting from the backend; the
+ *   panel starts from it and can try other values without saving them.
+ */
+const PricingSimulator = ({ draftRules, savedRules, transcriberSharePercent: savedSharePercent }) => {
+    const [durationMinutes, setDurationMinutes] = useState(30);
+    const [audioQuality, setAudioQuality] = useState('standard');
+    const [deadlineType, setDeadlineType] = useState('standard');
+    const [specialRequirements, setSpecialRequirements] = useState([]);
+    const [shareInput, setShareInput] = useState(null); // raw field text; null or '' follows the saved setting
+    const transcriberSharePercent = resolveSharePercent(shareInput, savedSharePercent);
+
+    const job = useMemo(
+        () => ({ audioQuality, deadlineType, specialRequirements, durationMinutes: Number(durationMinutes) }),
+        [audioQuality, deadlineType, specialRequirements, durationMinutes]
+    );
+    const draftResult = useMemo(() => simulateQuote(draftRules, job, transcriberSharePercent), [draftRules, job, transcriberSharePercent]);
+    const savedResult = useMemo(() => simulateQuote(savedRules, job, transcriberSharePercent), [savedRules, job, transcriberSharePercent]);
+    const deltaRows = useMemo(() => buildPriceDeltaTable(draftRules, savedRules, job), [draftRules, savedRules, job]);
+    const hasChanges = deltaRows.some((row) => row.saved !== row.draft);
+
+    const toggleRequirement = (requirement, checked) => {
+        setSpecialRequirements((prev) => (checked ? [...prev, requirement] : prev.filter((item) => item !== requirement)));
+    };
+
+    return (
+        <div className="pricing-simulator">
+            <h3>Pricing Simulator</h3>
+            <p>Try a sample job against the rules above. Unsaved edits are included and compared with the saved rules.</p>
+
+            <div className="simulator-inputs">
+                <div className="form-group">
+                    <label htmlFor="simulator-duration">Duration (Minutes):</label>
+                    <input
+                        id="simulator-duration"
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={durationMinutes}
+                        onChange={(e) => setDurationMinutes(e.target.value)}
+                    />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="simulator-quality">Audio Quality:</label>
+                    <select id="simulator-quality" value={audioQuality} onChange={(e) => setAudioQuality(e.target.value)}>
+                        {AUDIO_QUALITIES.map((quality) => <option key={quality} value={quality}>{toLabel(quality)}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="simulator-deadline">Deadline Type:</label>
+                    <select id="simulator-deadline" value={deadlineType} onChange={(e) => setDeadlineType(e.target.value)}>
+                        {DEADLINE_TYPES.map((type) => <option key={type} value={type}>{toLabel(type)}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="simulator-share">Transcriber Share (%):</label>
+                    <input
+                        id="simulator-share"
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={shareInput ?? savedSharePercent ?? ''}
+                        onChange={(e) => setShareInput(e.target.value)}
+                    />
+                    {savedSharePercent == null && <small className="help-text">No share is set on the server.</small>}
+                    {shareInput === '' && savedSharePercent != null && (
+                        <small className="help-text">Using the saved share of {savedSharePercent}%.</small>
+                    )}
+                </div>
+                <div className="form-group special-requirements-group">
+                    <label>Special Requirements:</label>
+                    <div className="checkbox-group">
+                        {SPECIAL_REQUIREMENTS.map((requirement) => (
+                            <label key={requirement}>
+                                <input
+                                    type="checkbox"
+                                    checked={specialRequirements.includes(requirement)}
+                                    onChange={(e) => toggleRequirement(requirement, e.target.checked)}
+                                />
+                                {toLabel(requirement)}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <div className="simulation-results">
+                <SimulationResult title="With your edits" result={draftResult} />
+                <SimulationResult title="Currently saved" result={savedResult} />
+            </div>
+
+            <h4>Draft vs Saved Prices</h4>
+            {!hasChanges && <p className="help-text">Your edits do not change any of these prices.</p>}
+            <table className="price-delta-table">
+                <thead>
+                    <tr>
+                        <th>Duration</th>
+                        <th>Saved</th>
+                        <th>Draft</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {deltaRows.map((row) => (
+                        <tr
+                            key={row.durationMinutes}
+                            className={row.saved === row.draft ? '' : row.draft === null || (row.delta !== null && row.delta > 0) ? 'price-up' : 'price-down'}
+                        >
+                            <td>{row.durationMinutes} min</td>
+                            <td>{formatPrice(row.saved)}</td>
+                            <td>{formatPrice(row.draft)}</td>
+                            <td>{formatDelta(row)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default PricingSimulator;
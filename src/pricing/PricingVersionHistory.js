@@ -0,0 +1,179 @@
+// src/pricing/PricingVersionHistory.js
+// Version history of the pricing rule set for AdminSettings: who published each version and when,
+// a diff against the live version it replaced, rollback (now or on a date) and cancelling scheduled versions.
+
+import React, { useState } from 'react';
+import Modal from '../Modal';
+import { diffPricingRules, isEmptyDiff, getReplacedVersion, PRICING_RULE_FIELD_LABELS } from './pricingRuleDiff';
+import './PricingVersionHistory.css';
+
+const formatDateTime = (isoTimestamp) => (isoTimestamp ? new Date(isoTimestamp).toLocaleString() : 'N/A');
+
+const formatValue = (value) => {
+    if (value === null) return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+};
+
+const ruleName = (rule) => rule.name || 'Unnamed rule';
+
+const VersionDiff = ({ diff }) => {
+    if (isEmptyDiff(diff)) {
+        return <p>No rule changes compared with the previous version.</p>;
+    }
+    return (
+        <div className="version-diff">
+            {diff.added.map((rule) => (
+                <p key={`added-${rule.id}`} className="diff-added">+ Added {ruleName(rule)}</p>
+            ))}
+            {diff.removed.map((rule) => (
+                <p key={`removed-${rule.id}`} className="diff-removed">− Removed {ruleName(rule)}</p>
+            ))}
+            {diff.changed.map(({ rule, changes }) => (
+                <div key={`changed-${rule.id}`} className="diff-changed">
+                    <p>~ Changed {ruleName(rule)}</p>
+                    <ul>
+                        {changes.map(({ field, before, after }) => (
+                            <li key={field}>
+                                {PRICING_RULE_FIELD_LABELS[field]}: <del>{formatValue(before)}</del> → <ins>{formatValue(after)}</ins>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * @param {object} props
+ * @param {import('../api/admin').PricingRuleVersion[]} props.versions - Newest first.
+ * @param {boolean} props.loading
+ * @param {(version: object, effectiveFrom: string|undefined) => Promise<boolean>} props.onRollback - Resolves true on success.
+ * @param {(version: object) => void} props.onCancelScheduled
+ */
+const PricingVersionHistory = ({ versions, loading, onRollback, onCancelScheduled }) => {
+    const [diffVersionId, setDiffVersionId] = useState(null);
+    const [rollbackVersion, setRollbackVersion] = useState(null);
+    const [rollbackWhen, setRollbackWhen] = useState('now');
+    const [rollbackDate, setRollbackDate] = useState('');
+    const [rollingBack, setRollingBack] = useState(false);
+    const [rollbackError, setRollbackError] = useState('');
+
+    const openRollback = (version) => {
+        setRollbackVersion(version);
+        setRollbackWhen('now');
+        setRollbackDate('');
+        setRollbackError('');
+    };
+
+    const closeRollback = () => {
+        setRollbackVersion(null);
+        setRollingBack(false);
+    };
+
+    const submitRollback = async () => {
+        if (rollbackWhen === 'scheduled' && !rollbackDate) {
+            setRollbackError('Pick the date and time the rollback should take effect.');
+            return;
+        }
+        setRollbackError('');
+        const effectiveFrom = rollbackWhen === 'scheduled' && rollbackDate ? new Date(rollbackDate).toISOString() : undefined;
+        setRollingBack(true);
+        const succeeded = await onRollback(rollbackVersion, effectiveFrom);
+        setRollingBack(false);
+        if (succeeded) closeRollback();
+    };
+
+    return (
+        <div className="pricing-version-history">
+            <h3>Pricing Version History</h3>
+            <p>Every save publishes a new version. Jobs record the version that priced them.</p>
+
+            {loading ? (
+                <p>Loading version history...</p>
+            ) : versions.length === 0 ? (
+                <p className="no-data-message">No saved versions yet.</p>
+            ) : (
+                <ul className="version-list">
+                    {versions.map((version) => {
+                        const previousVersion = getReplacedVersion(versions, version);
+                        const isDiffOpen = diffVersionId === version.id;
+                        return (
+                            <li key={version.id} className={`version-item ${version.status}`}>
+                                <div className="version-summary">
+                                    <strong>v{version.version_number}</strong>
+                                    <span className={`version-status ${version.status}`}>{version.status}</span>
+                                    <span>
+                                        by {version.created_by?.full_name || 'Unknown'} on {formatDateTime(version.created_at)}
+                                    </span>
+                                    {version.status === 'scheduled' && (
+                                        <span className="version-schedule">takes effect {formatDateTime(version.effective_from)}</span>
+                                    )}
+                                    {version.rolled_back_from && (
+                                        <span className="version-rollback-note">rollback to v{version.rolled_back_from}</span>
+                                    )}
+                                </div>
+                                {version.change_note && <p className="version-note">“{version.change_note}”</p>}
+                                <div className="version-actions">
+                                    <button type="button" onClick={() => setDiffVersionId(isDiffOpen ? null : version.id)}>
+                                        {isDiffOpen ? 'Hide Changes' : `View Changes${previousVersion ? ` vs v${previousVersion.version_number}` : ''}`}
+                                    </button>
+                                    {version.status === 'superseded' && (
+                                        <button type="button" onClick={() => openRollback(version)}>Roll Back to This Version</button>
+                                    )}
+                                    {version.status === 'scheduled' && (
+                                        <button type="button" className="cancel-version-btn" onClick={() => onCancelScheduled(version)}>
+                                            Cancel Scheduled Version
+                                        </button>
+                                    )}
+                                </div>
+                                {isDiffOpen && (
+                                    <VersionDiff diff={diffPricingRules(previousVersion?.pricing_rules || [], version.pricing_rules || [])} />
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {rollbackVersion && (
+                <Modal
+                    show={Boolean(rollbackVersion)}
+                    title={`Roll Back to v${rollbackVersion.version_number}`}
+                    onClose={closeRollback}
+                    onSubmit={submitRollback}
+                    submitText={rollbackWhen === 'scheduled' ? 'Schedule Rollback' : 'Roll Back Now'}
+                    loading={rollingBack}
+                >
+                    <p>The rules from v{rollbackVersion.version_number} will be published as a new version. Existing jobs keep the prices they were quoted.</p>
+                    <div className="form-group">
+                        <label>
+                            <input type="radio" name="rollback-when" checked={rollbackWhen === 'now'} onChange={() => setRollbackWhen('now')} />
+                            Take effect immediately
+                        </label>
+                        <label>
+                            <input type="radio" name="rollback-when" checked={rollbackWhen === 'scheduled'} onChange={() => setRollbackWhen('scheduled')} />
+                            Take effect on a date
+                        </label>
+                    </div>
+                    {rollbackWhen === 'scheduled' && (
+                        <div className="form-group">
+                            <label htmlFor="rollback-date">Effective From:</label>
+                            <input
+                                id="rollback-date"
+                                type="datetime-local"
+                                value={rollbackDate}
+                                onChange={(e) => setRollbackDate(e.target.value)}
+                                required
+                            />
+                        </div>
+                    )}
+                    {rollbackError && <p className="rollback-error">{rollbackError}</p>}
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+export default PricingVersionHistory;
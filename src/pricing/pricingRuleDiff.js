@@ -0,0 +1,94 @@
+// src/pricing/pricingRuleDiff.js
+// Field-level differences between two pricing rule sets, matched by rule id, and which version a
+// given version is compared with. Used by the version history in AdminSettings.
+
+const COMPARED_FIELDS = [
+    'name',
+    'audio_quality',
+    'deadline_type',
+    'special_requirements',
+    'min_duration_minutes',
+    'max_duration_minutes',
+    'price_per_minute_usd',
+    'is_active',
+];
+
+export const PRICING_RULE_FIELD_LABELS = {
+    name: 'Name',
+    audio_quality: 'Audio quality',
+    deadline_type: 'Deadline type',
+    special_requirements: 'Special requirements',
+    min_duration_minutes: 'Min duration',
+    max_duration_minutes: 'Max duration',
+    price_per_minute_usd: 'Price per minute (USD)',
+    is_active: 'Active',
+};
+
+// Treats null/undefined/'' alike and ignores the order of special requirements.
+const normalize = (field, value) => {
+    if (value === undefined || value === '') return null;
+    if (field === 'special_requirements') return [...(value || [])].sort().join(', ');
+    if (field === 'min_duration_minutes' || field === 'max_duration_minutes' || field === 'price_per_minute_usd') {
+        return value === null ? null : Number(value);
+    }
+    return value;
+};
+
+/**
+ * @param {import('../api/admin').PricingRule[]} previousRules
+ * @param {import('../api/admin').PricingRule[]} nextRules
+ * @returns {{
+ *   added: object[],
+ *   removed: object[],
+ *   changed: Array<{ rule: object, changes: Array<{ field: string, before: *, after: * }> }>
+ * }}
+ */
+export const diffPricingRules = (previousRules = [], nextRules = []) => {
+    const previousById = new Map(previousRules.map((rule) => [rule.id, rule]));
+    const nextIds = new Set(nextRules.map((rule) => rule.id));
+
+    const added = nextRules.filter((rule) => !previousById.has(rule.id));
+    const removed = previousRules.filter((rule) => !nextIds.has(rule.id));
+    const changed = nextRules
+        .filter((rule) => previousById.has(rule.id))
+        .map((rule) => {
+            const previous = previousById.get(rule.id);
+            const changes = COMPARED_FIELDS
+                .map((field) => ({ field, before: normalize(field, previous[field]), after: normalize(field, rule[field]) }))
+                .filter(({ before, after }) => before !== after);
+            return { rule, changes };
+        })
+        .filter(({ changes }) => changes.length > 0);
+
+    return { added, removed, changed };
+};
+
+export const isEmptyDiff = ({ added, removed, changed }) => added.length === 0 && removed.length === 0 && changed.length === 0;
+
+// Versions that were live at some point; scheduled and cancelled versions never replaced anything
+const TOOK_EFFECT_STATUSES = ['active', 'superseded'];
+
+const effectiveTime = (version) => new Date(version.effective_from || version.created_at).getTime();
+
+/**
+ * The version a version replaced (or, if scheduled or cancelled, would have replaced): the latest
+ * version that took effect before it. Versions in between that were cancelled or are still
+ * scheduled are skipped, since their rules were never live.
+ * @param {import('../api/admin').PricingRuleVersion[]} versions
+ * @param {import('../api/admin').PricingRuleVersion} version
+ * @returns {import('../api/admin').PricingRuleVersion|null}
+ */
+export const getReplacedVersion = (versions, version) => versions
+    .filter((candidate) => (
+        candidate.id !== version.id
+        && TOOK_EFFECT_STATUSES.includes(candidate.status)
+        && (effectiveTime(candidate) < effectiveTime(version)
+            || (effectiveTime(candidate) === effectiveTime(version) && candidate.version_number < version.version_number))
+    ))
+    .reduce((latest, candidate) => (
+        !latest
+        || effectiveTime(candidate) > effectiveTime(latest)
+        || (effectiveTime(candidate) === effectiveTime(latest) && candidate.version_number > latest.version_number)
+            ? candidate
+            : latest
+    ), null);
@@ -0,0 +1,67 @@
+import { diffPricingRules, isEmptyDiff, getReplacedVersion } from './pricingRuleDiff';
+
+const rule = (overrides) => ({
+    name: 'Standard',
+    audio_quality: 'standard',
+    deadline_type: 'standard',
+    special_requirements: [],
+    min_duration_minutes: 0,
+    max_duration_minutes: null,
+    price_per_minute_usd: 1,
+    is_active: true,
+    ...overrides,
+});
+
+describe('diffPricingRules', () => {
+    it('reports added, removed and changed rules by id', () => {
+        const diff = diffPricingRules(
+            [rule({ id: 'kept' }), rule({ id: 'dropped' })],
+            [rule({ id: 'kept', price_per_minute_usd: 1.5, is_active: false }), rule({ id: 'new' })],
+        );
+        expect(diff.added.map(r => r.id)).toEqual(['new']);
+        expect(diff.removed.map(r => r.id)).toEqual(['dropped']);
+        expect(diff.changed).toEqual([{
+            rule: expect.objectContaining({ id: 'kept' }),
+            changes: [
+                { field: 'price_per_minute_usd', before: 1, after: 1.5 },
+                { field: 'is_active', before: true, after: false },
+            ],
+        }]);
+    });
+
+    it('ignores formatting-only differences', () => {
+        const diff = diffPricingRules(
+            [rule({ id: 'a', special_requirements: ['timestamps', 'full_verbatim'], max_duration_minutes: '', price_per_minute_usd: '1.50' })],
+            [rule({ id: 'a', special_requirements: ['full_verbatim', 'timestamps'], max_duration_minutes: null, price_per_minute_usd: 1.5 })],
+        );
+        expect(isEmptyDiff(diff)).toBe(true);
+    });
+});
+
+describe('getReplacedVersion', () => {
+    const version = (versionNumber, status, effectiveFrom) => ({
+        id: `v${versionNumber}`,
+        version_number: versionNumber,
+        status,
+        created_at: '2026-09-01T00:00:00Z',
+        effective_from: effectiveFrom,
+    });
+    // Newest first, as the history lists them
+    const versions = [
+        version(5, 'scheduled', '2026-12-01T00:00:00Z'),
+        version(4, 'cancelled', '2026-11-01T00:00:00Z'),
+        version(3, 'active', '2026-10-01T00:00:00Z'),
+        version(2, 'scheduled', '2026-11-15T00:00:00Z'),
+        version(1, 'superseded', '2026-09-01T00:00:00Z'),
+    ];
+
+    it('compares with the live version it replaced, skipping cancelled and scheduled ones', () => {
+        expect(getReplacedVersion(versions, versions[0]).id).toBe('v3');
+        expect(getReplacedVersion(versions, versions[1]).id).toBe('v3');
+        expect(getReplacedVersion(versions, versions[2]).id).toBe('v1');
+    });
+
+    it('returns null for the first version that took effect', () => {
+        expect(getReplacedVersion(versions, versions[4])).toBeNull();
+    });
+});
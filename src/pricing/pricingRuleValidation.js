@@ -0,0 +1,141 @@
+// src/pricing/pricingRuleValidation.js
+// Checks a set of pricing rules before AdminSettings saves them. Uses the matching semantics in
+// pricingRules.js: ranges are [min, max) minutes, rules are grouped by audio_quality, deadline_type
+// and their set of special requirements, and only active rules take part in overlap/gap/coverage
+// checks.
+//
+// Errors block saving: invalid prices or ranges, and overlapping active rules for the same
+// combination (the backend would pick one of them arbitrarily).
+// Warnings are shown but do not block saving: gaps in the duration coverage of a quality/deadline
+// pair, and pairs no active rule prices at all. Jobs falling into either cannot be quoted.
+// Gap and coverage checks look at rules without special requirements, since those are the ones
+// every job can fall back to.
+
+import { AUDIO_QUALITIES, DEADLINE_TYPES, isRuleActive, normaliseRequirements } from './pricingRules';
+
+/**
+ * @typedef {object} PricingRuleIssue
+ * @property {'invalid_price'|'invalid_range'|'overlap'|'gap'|'missing_coverage'} type
+ * @property {string[]} ruleIds - Rules the issue is about (empty for missing coverage).
+ * @property {string} message
+ */
+
+const toMaxMinutes = (rule) => (
+    rule.max_duration_minutes === null || rule.max_duration_minutes === undefined || rule.max_duration_minutes === ''
+        ? Infinity
+        : Number(rule.max_duration_minutes)
+);
+
+const formatMinutes = (minutes) => (minutes === Infinity ? 'no limit' : `${minutes} min`);
+
+export const describeRule = (rule, index) => `"${rule.name || `Rule ${index + 1}`}"`;
+
+const describeCombination = (audioQuality, deadlineType, specialRequirements = []) => {
+    const base = `${audioQuality} quality / ${deadlineType} deadline`;
+    return specialRequirements.length > 0 ? `${base} with ${specialRequirements.join(', ')}` : base;
+};
+
+const getCombinationKey = (rule) => [
+    rule.audio_quality,
+    rule.deadline_type,
+    JSON.stringify(normaliseRequirements(rule.special_requirements)),
+].join('|');
+
+/**
+ * @param {import('../api/admin').PricingRule[]} rules
+ * @returns {{ errors: PricingRuleIssue[], warnings: PricingRuleIssue[] }}
+ */
+export const validatePricingRules = (rules) => {
+    const errors = [];
+    const warnings = [];
+    const indexById = new Map(rules.map((rule, index) => [rule.id, index]));
+    const label = (rule) => describeRule(rule, indexById.get(rule.id));
+
+    // Per-rule checks
+    rules.forEach((rule) => {
+        const price = Number(rule.price_per_minute_usd);
+        if (!Number.isFinite(price) || price < 0) {
+            errors.push({ type: 'invalid_price', ruleIds: [rule.id], message: `${label(rule)} has a negative or missing price per minute.` });
+        } else if (price === 0 && isRuleActive(rule)) {
+            warnings.push({ type: 'invalid_price', ruleIds: [rule.id], message: `${label(rule)} is active with a price of 0, so matching jobs would be free.` });
+        }
+
+        const min = Number(rule.min_duration_minutes) || 0;
+        const max = toMaxMinutes(rule);
+        if (min < 0) {
+            errors.push({ type: 'invalid_range', ruleIds: [rule.id], message: `${label(rule)} has a negative minimum duration.` });
+        } else if (!(max > min)) {
+            errors.push({ type: 'invalid_range', ruleIds: [rule.id], message: `${label(rule)} has a maximum duration (${formatMinutes(max)}) that is not above its minimum (${min} min).` });
+        }
+    });
+
+    const activeRules = rules.filter(isRuleActive);
+
+    // Overlaps: two active rules for the same combination whose ranges intersect
+    const rulesByCombination = new Map();
+    activeRules.forEach((rule) => {
+        const key = getCombinationKey(rule);
+        rulesByCombination.set(key, [...(rulesByCombination.get(key) || []), rule]);
+    });
+    rulesByCombination.forEach((group) => {
+        for (let i = 0; i < group.length; i += 1) {
+            for (let j = i + 1; j < group.length; j += 1) {
+                const a = group[i];
+                const b = group[j];
+                const start = Math.max(Number(a.min_duration_minutes) || 0, Number(b.min_duration_minutes) || 0);
+                const end = Math.min(toMaxMinutes(a), toMaxMinutes(b));
+                if (start < end) {
+                    errors.push({
+                        type: 'overlap',
+                        ruleIds: [a.id, b.id],
+                        message: `${label(a)} and ${label(b)} both price ${describeCombination(a.audio_quality, a.deadline_type, a.special_requirements)} jobs from ${start} min to ${formatMinutes(end)}.`,
+                    });
+                }
+            }
+        }
+    });
+
+    // Coverage and gaps for every quality/deadline pair, using the rules without special requirements
+    AUDIO_QUALITIES.forEach((audioQuality) => {
+        DEADLINE_TYPES.forEach((deadlineType) => {
+            const baseRules = activeRules
+                .filter((rule) => (
+                    rule.audio_quality === audioQuality
+                    && rule.deadline_type === deadlineType
+                    && normaliseRequirements(rule.special_requirements).length === 0
+                    && toMaxMinutes(rule) > (Number(rule.min_duration_minutes) || 0)
+                ))
+                .sort((a, b) => (Number(a.min_duration_minutes) || 0) - (Number(b.min_duration_minutes) || 0));
+
+            const pair = describeCombination(audioQuality, deadlineType);
+            if (baseRules.length === 0) {
+                warnings.push({ type: 'missing_coverage', ruleIds: [], message: `No active rule prices ${pair} jobs, so they cannot be quoted.` });
+                return;
+            }
+
+            let coveredUntil = 0;
+            let previousRule = null;
+            baseRules.forEach((rule) => {
+                const min = Number(rule.min_duration_minutes) || 0;
+                if (min > coveredUntil) {
+                    warnings.push({
+                        type: 'gap',
+                        ruleIds: previousRule ? [previousRule.id, rule.id] : [rule.id],
+                        message: `${pair} jobs from ${coveredUntil} min to ${min} min are not covered by any rule.`,
+                    });
+                }
+                coveredUntil = Math.max(coveredUntil, toMaxMinutes(rule));
+                previousRule = rule;
+            });
+            if (coveredUntil !== Infinity) {
+                warnings.push({
+                    type: 'gap',
+                    ruleIds: [previousRule.id],
+                    message: `${pair} jobs of ${coveredUntil} min or longer are not covered by any rule.`,
+                });
+            }
+        });
+    });
+
+    return { errors, warnings };
+};
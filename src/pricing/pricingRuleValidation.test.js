@@ -0,0 +1,117 @@
+import { validatePricingRules } from './pricingRuleValidation';
+import { AUDIO_QUALITIES, DEADLINE_TYPES } from './pricingRules';
+
+const rule = (overrides) => ({
+    name: overrides.id,
+    audio_quality: 'standard',
+    deadline_type: 'standard',
+    special_requirements: [],
+    min_duration_minutes: 0,
+    max_duration_minutes: null,
+    price_per_minute_usd: 1,
+    is_active: true,
+    ...overrides,
+});
+
+// One open-ended base rule for every quality/deadline pair, so coverage warnings stay out of the way
+const FULL_COVERAGE = AUDIO_QUALITIES.flatMap(audioQuality => DEADLINE_TYPES.map(deadlineType => (
+    rule({ id: `${audioQuality}-${deadlineType}`, audio_quality: audioQuality, deadline_type: deadlineType })
+)));
+const withCoverage = (...rules) => [
+    ...FULL_COVERAGE.filter(base => !rules.some(r => r.audio_quality === base.audio_quality && r.deadline_type === base.deadline_type)),
+    ...rules,
+];
+
+const types = (issues) => issues.map(issue => issue.type);
+
+describe('validatePricingRules', () => {
+    it('accepts contiguous ranges that cover every pair', () => {
+        const result = validatePricingRules(withCoverage(
+            rule({ id: 'short', max_duration_minutes: 30 }),
+            rule({ id: 'long', min_duration_minutes: 30 }),
+        ));
+        expect(result).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('reports overlapping active rules for the same combination as errors', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'a', max_duration_minutes: 40 }),
+            rule({ id: 'b', min_duration_minutes: 30 }),
+        ));
+        expect(types(errors)).toEqual(['overlap']);
+        expect(errors[0].ruleIds).toEqual(['a', 'b']);
+        expect(errors[0].message).toContain('from 30 min to 40 min');
+    });
+
+    it('ignores overlaps with inactive rules or different special requirements', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'base' }),
+            rule({ id: 'off', is_active: false }),
+            rule({ id: 'timestamps', special_requirements: ['timestamps'] }),
+        ));
+        expect(errors).toEqual([]);
+    });
+
+    it('treats requirement order as irrelevant when grouping rules', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'a', special_requirements: ['timestamps', 'full_verbatim'] }),
+            rule({ id: 'b', special_requirements: ['full_verbatim', 'timestamps'] }),
+        ));
+        expect(types(errors)).toEqual(['overlap']);
+    });
+
+    it('compares requirement sets of the same size by their members', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'a', special_requirements: ['timestamps', 'full_verbatim'] }),
+            rule({ id: 'b', special_requirements: ['timestamps', 'speaker_labels'] }),
+            rule({ id: 'c', special_requirements: ['speaker_labels'] }),
+            rule({ id: 'd', special_requirements: ['full_verbatim'] }),
+        ));
+        expect(errors).toEqual([]);
+    });
+
+    it('normalises case, spacing and duplicates before comparing requirement sets', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'a', special_requirements: ['Timestamps ', 'full_verbatim', 'timestamps'] }),
+            rule({ id: 'b', special_requirements: ['full_verbatim', 'timestamps'] }),
+        ));
+        expect(types(errors)).toEqual(['overlap']);
+        expect(errors[0].ruleIds).toEqual(['a', 'b']);
+    });
+
+    it('warns about a free rule unless it is switched off', () => {
+        const { is_active: omitted, ...unflagged } = rule({ id: 'unflagged', deadline_type: 'urgent', price_per_minute_usd: 0 });
+        const { warnings } = validatePricingRules(withCoverage(
+            rule({ id: 'free', price_per_minute_usd: 0 }),
+            unflagged,
+            rule({ id: 'off', audio_quality: 'good', price_per_minute_usd: 0, is_active: false }),
+        ));
+        const freeRuleIds = warnings.filter(warning => warning.type === 'invalid_price').flatMap(warning => warning.ruleIds);
+        expect(freeRuleIds).toEqual(['free', 'unflagged']);
+    });
+
+    it('reports negative prices and inverted ranges as errors', () => {
+        const { errors } = validatePricingRules(withCoverage(
+            rule({ id: 'negative', price_per_minute_usd: -1 }),
+            rule({ id: 'inverted', deadline_type: 'urgent', min_duration_minutes: 60, max_duration_minutes: 30 }),
+        ));
+        expect(types(errors)).toEqual(expect.arrayContaining(['invalid_price', 'invalid_range']));
+    });
+
+    it('warns about gaps between ranges and a bounded last range', () => {
+        const { errors, warnings } = validatePricingRules(withCoverage(
+            rule({ id: 'first', max_duration_minutes: 30 }),
+            rule({ id: 'second', min_duration_minutes: 45, max_duration_minutes: 120 }),
+        ));
+        expect(errors).toEqual([]);
+        expect(warnings.map(w => w.message)).toEqual([
+            expect.stringContaining('from 30 min to 45 min'),
+            expect.stringContaining('120 min or longer'),
+        ]);
+    });
+
+    it('warns about pairs without any active base rule', () => {
+        const { warnings } = validatePricingRules([rule({ id: 'only' })]);
+        expect(types(warnings).filter(type => type === 'missing_coverage')).toHaveLength(AUDIO_QUALITIES.length * DEADLINE_TYPES.length - 1);
+    });
+});
@@ -0,0 +1,94 @@
+// src/pricing/pricingRules.js
+// Client-side mirror of how the backend prices a direct-upload job from the pricing_rules edited in
+// AdminSettings. Used for instant estimates only: the quote from /api/direct-upload/job/quote is
+// always the price the client pays.
+//
+// A rule applies to a job when:
+// - it is active and its audio_quality and deadline_type equal the job's selections
+// - min_duration_minutes <= duration < max_duration_minutes (a null max means no upper limit)
+// - every special requirement listed on the rule was selected for the job (a rule with none
+//   applies regardless of the job's requirements)
+// When several rules apply, the one listing the most special requirements wins.
+// Special requirements are compared after normaliseRequirements(), the same way
+// pricingRuleValidation.js compares them.
+
+export const AUDIO_QUALITIES = ['excellent', 'good', 'standard', 'difficult'];
+export const DEADLINE_TYPES = ['flexible', 'standard', 'urgent'];
+export const SPECIAL_REQUIREMENTS = ['timestamps', 'full_verbatim', 'speaker_identification', 'clean_verbatim'];
+
+// Estimates within a cent of the server quote are treated as equal.
+const QUOTE_TOLERANCE_USD = 0.01;
+
+export const roundUsd = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Trimmed, lower-cased, de-duplicated and sorted requirements, so two lists compare by what they contain.
+ * @param {string[]} [specialRequirements]
+ * @returns {string[]}
+ */
+export const normaliseRequirements = (specialRequirements = []) => (
+    [...new Set((specialRequirements || []).map((requirement) => String(requirement).trim().toLowerCase()).filter(Boolean))].sort()
+);
+
+/** A rule is active unless it is explicitly switched off. */
+export const isRuleActive = (rule) => rule.is_active !== false;
+
+export const isDurationInRule = (rule, durationMinutes) => {
+    const min = Number(rule.min_duration_minutes) || 0;
+    const max = rule.max_duration_minutes === null || rule.max_duration_minutes === undefined || rule.max_duration_minutes === ''
+        ? Infinity
+        : Number(rule.max_duration_minutes);
+    return durationMinutes >= min && durationMinutes < max;
+};
+
+/**
+ * @param {import('../api/admin').PricingRule[]} rules
+ * @param {{ audioQuality: string, deadlineType: string, specialRequirements?: string[], durationMinutes: number }} job
+ * @returns {import('../api/admin').PricingRule|null}
+ */
+export const findMatchingPricingRule = (rules, { audioQuality, deadlineType, specialRequirements = [], durationMinutes }) => {
+    const selected = normaliseRequirements(specialRequirements);
+    const candidates = (rules || [])
+        .map((rule) => ({ rule, requirements: normaliseRequirements(rule.special_requirements) }))
+        .filter(({ rule, requirements }) => (
+            isRuleActive(rule)
+            && rule.audio_quality === audioQuality
+            && rule.deadline_type === deadlineType
+            && isDurationInRule(rule, durationMinutes)
+            && requirements.every((requirement) => selected.includes(requirement))
+        ));
+
+    const best = candidates.reduce((current, candidate) => (
+        !current || candidate.requirements.length > current.requirements.length ? candidate : current
+    ), null);
+    return best ? best.rule : null;
+};
+
+/**
+ * @returns {{ rule: import('../api/admin').PricingRule, durationMinutes: number, pricePerMinuteUsd: number, amount: number }|null}
+ *   Null when the duration is unknown or no rule covers the selections.
+ */
+export const estimateQuote = (rules, job) => {
+    if (!Number.isFinite(job.durationMinutes) || job.durationMinutes <= 0) {
+        return null;
+    }
+    const rule = findMatchingPricingRule(rules, job);
+    if (!rule) {
+        return null;
+    }
+    const pricePerMinuteUsd = Number(rule.price_per_minute_usd) || 0;
+    return {
+        rule,
+        durationMinutes: job.durationMinutes,
+        pricePerMinuteUsd,
+        amount: roundUsd(pricePerMinuteUsd * job.durationMinutes),
+    };
+};
+
+/**
+ * @returns {{ differs: boolean, difference: number }} difference is server minus estimate, in USD.
+ */
+export const compareQuoteToEstimate = (serverAmount, estimatedAmount) => {
+    const difference = roundUsd((Number(serverAmount) || 0) - (Number(estimatedAmount) || 0));
+    return { differs: Math.abs(difference) >= QUOTE_TOLERANCE_USD, difference };
+};
@@ -0,0 +1,92 @@
+import { findMatchingPricingRule, estimateQuote, compareQuoteToEstimate, isDurationInRule, normaliseRequirements } from './pricingRules';
+
+const rule = (overrides) => ({
+    id: overrides.id,
+    audio_quality: 'standard',
+    deadline_type: 'standard',
+    special_requirements: [],
+    min_duration_minutes: 0,
+    max_duration_minutes: null,
+    price_per_minute_usd: 1,
+    is_active: true,
+    ...overrides,
+});
+
+const RULES = [
+    rule({ id: 'short', max_duration_minutes: 30, price_per_minute_usd: 1.5 }),
+    rule({ id: 'long', min_duration_minutes: 30, price_per_minute_usd: 1.2 }),
+    rule({ id: 'timestamps', special_requirements: ['timestamps'], price_per_minute_usd: 2 }),
+    rule({ id: 'urgent', deadline_type: 'urgent', price_per_minute_usd: 3 }),
+    rule({ id: 'inactive', audio_quality: 'difficult', is_active: false }),
+];
+
+const job = (overrides) => ({ audioQuality: 'standard', deadlineType: 'standard', specialRequirements: [], durationMinutes: 10, ...overrides });
+
+describe('isDurationInRule', () => {
+    it('includes the minimum and excludes the maximum', () => {
+        const bounded = rule({ min_duration_minutes: 10, max_duration_minutes: 20 });
+        expect(isDurationInRule(bounded, 10)).toBe(true);
+        expect(isDurationInRule(bounded, 19.9)).toBe(true);
+        expect(isDurationInRule(bounded, 20)).toBe(false);
+        expect(isDurationInRule(rule({ max_duration_minutes: null }), 10000)).toBe(true);
+    });
+});
+
+describe('normaliseRequirements', () => {
+    it('trims, lower-cases, de-duplicates and sorts', () => {
+        expect(normaliseRequirements([' Timestamps', 'full_verbatim', 'timestamps ', ''])).toEqual(['full_verbatim', 'timestamps']);
+        expect(normaliseRequirements(undefined)).toEqual([]);
+        expect(normaliseRequirements(null)).toEqual([]);
+    });
+});
+
+describe('findMatchingPricingRule', () => {
+    it('picks the rule covering the duration', () => {
+        expect(findMatchingPricingRule(RULES, job({ durationMinutes: 10 })).id).toBe('short');
+        expect(findMatchingPricingRule(RULES, job({ durationMinutes: 45 })).id).toBe('long');
+    });
+
+    it('prefers the rule matching the most selected special requirements', () => {
+        expect(findMatchingPricingRule(RULES, job({ specialRequirements: ['timestamps'] })).id).toBe('timestamps');
+    });
+
+    it('ignores rules requiring options the client did not select', () => {
+        expect(findMatchingPricingRule(RULES, job({ specialRequirements: ['clean_verbatim'] })).id).toBe('short');
+    });
+
+    it('compares requirements the same way the rule validator does', () => {
+        const rules = [...RULES, rule({ id: 'messy', special_requirements: ['Full_Verbatim ', 'full_verbatim'], price_per_minute_usd: 2.5 })];
+        expect(findMatchingPricingRule(rules, job({ specialRequirements: ['full_verbatim'] })).id).toBe('messy');
+        expect(findMatchingPricingRule(RULES, job({ specialRequirements: [' TIMESTAMPS'] })).id).toBe('timestamps');
+    });
+
+    it('treats a rule without is_active as active', () => {
+        const { is_active: omitted, ...unflagged } = rule({ id: 'unflagged', audio_quality: 'excellent' });
+        expect(findMatchingPricingRule([unflagged], job({ audioQuality: 'excellent' })).id).toBe('unflagged');
+    });
+
+    it('matches on deadline type and skips inactive rules', () => {
+        expect(findMatchingPricingRule(RULES, job({ deadlineType: 'urgent' })).id).toBe('urgent');
+        expect(findMatchingPricingRule(RULES, job({ audioQuality: 'difficult' }))).toBeNull();
+    });
+});
+
+describe('estimateQuote', () => {
+    it('multiplies the rule price by the duration, rounded to cents', () => {
+        expect(estimateQuote(RULES, job({ durationMinutes: 12.345 }))).toMatchObject({ pricePerMinuteUsd: 1.5, amount: 18.52 });
+    });
+
+    it('returns null without a duration or a matching rule', () => {
+        expect(estimateQuote(RULES, job({ durationMinutes: NaN }))).toBeNull();
+        expect(estimateQuote(RULES, job({ durationMinutes: 0 }))).toBeNull();
+        expect(estimateQuote(RULES, job({ audioQuality: 'excellent' }))).toBeNull();
+    });
+});
+
+describe('compareQuoteToEstimate', () => {
+    it('flags differences of a cent or more', () => {
+        expect(compareQuoteToEstimate(18.52, 18.52)).toEqual({ differs: false, difference: 0 });
+        expect(compareQuoteToEstimate(20, 18.52)).toEqual({ differs: true, difference: 1.48 });
+        expect(compareQuoteToEstimate(18, 18.52).difference).toBe(-0.52);
+    });
+});
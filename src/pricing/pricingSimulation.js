@@ -0,0 +1,68 @@
+// src/pricing/pricingSimulation.js
+// What-if calculations for the pricing simulator in AdminSettings: the price a job would get under
+// a set of rules, the transcriber's share of it, and how draft rules change prices compared with the
+// saved ones.
+
+import { estimateQuote, roundUsd } from './pricingRules';
+
+// Durations (minutes) compared in the draft vs saved table
+export const SAMPLE_DURATIONS_MINUTES = [1, 5, 10, 15, 30, 45, 60, 90, 120, 180, 240];
+
+/**
+ * The transcriber share the simulator prices with. A blank input follows the saved setting; anything
+ * else is clamped to 0-100 here, so the field itself keeps exactly what the admin typed.
+ * @param {string|null} input - Raw value of the share field; null or '' when nothing was typed.
+ * @param {number|null} savedSharePercent
+ * @returns {number|null}
+ */
+export const resolveSharePercent = (input, savedSharePercent) => {
+    const typed = input === null || String(input).trim() === '' ? NaN : Number(input);
+    if (!Number.isFinite(typed)) {
+        return Number.isFinite(savedSharePercent) ? savedSharePercent : null;
+    }
+    return Math.min(Math.max(typed, 0), 100);
+};
+
+/**
+ * @param {import('../api/admin').PricingRule[]} rules
+ * @param {{ audioQuality: string, deadlineType: string, specialRequirements?: string[], durationMinutes: number }} job
+ * @param {number|null} transcriberSharePercent - null when the share is not known.
+ * @returns {{ rule: object, pricePerMinuteUsd: number, clientPrice: number, transcriberPay: number|null, platformMargin: number|null }|null}
+ *   transcriberPay and platformMargin are null without a share.
+ */
+export const simulateQuote = (rules, job, transcriberSharePercent) => {
+    const estimate = estimateQuote(rules, job);
+    if (!estimate) {
+        return null;
+    }
+    const hasShare = Number.isFinite(transcriberSharePercent);
+    const transcriberPay = hasShare ? roundUsd(estimate.amount * (transcriberSharePercent / 100)) : null;
+    return {
+        rule: estimate.rule,
+        pricePerMinuteUsd: estimate.pricePerMinuteUsd,
+        clientPrice: estimate.amount,
+        transcriberPay,
+        platformMargin: hasShare ? roundUsd(estimate.amount - transcriberPay) : null,
+    };
+};
+
+/**
+ * Prices the same job at each sample duration under the saved and the draft rules.
+ * @returns {Array<{ durationMinutes: number, saved: number|null, draft: number|null, delta: number|null, deltaPercent: number|null }>}
+ *   saved/draft are null where no rule matches; delta is draft minus saved and only set when both exist.
+ */
+export const buildPriceDeltaTable = (draftRules, savedRules, job, durations = SAMPLE_DURATIONS_MINUTES) => (
+    durations.map((durationMinutes) => {
+        const saved = estimateQuote(savedRules, { ...job, durationMinutes })?.amount ?? null;
+        const draft = estimateQuote(draftRules, { ...job, durationMinutes })?.amount ?? null;
+        const hasBoth = saved !== null && draft !== null;
+        const delta = hasBoth ? roundUsd(draft - saved) : null;
+        return {
+            durationMinutes,
+            saved,
+            draft,
+            delta,
+            deltaPercent: hasBoth && saved > 0 ? Math.round((delta / saved) * 1000) / 10 : null,
+        };
+    })
+);
@@ -0,0 +1,67 @@
+import { simulateQuote, buildPriceDeltaTable, resolveSharePercent } from './pricingSimulation';
+
+const rule = (overrides) => ({
+    audio_quality: 'standard',
+    deadline_type: 'standard',
+    special_requirements: [],
+    min_duration_minutes: 0,
+    max_duration_minutes: null,
+    price_per_minute_usd: 1,
+    is_active: true,
+    ...overrides,
+});
+
+const JOB = { audioQuality: 'standard', deadlineType: 'standard', specialRequirements: [] };
+
+describe('resolveSharePercent', () => {
+    it('follows the saved setting while the field is blank', () => {
+        expect(resolveSharePercent(null, 60)).toBe(60);
+        expect(resolveSharePercent('', 60)).toBe(60);
+        expect(resolveSharePercent('  ', 60)).toBe(60);
+        expect(resolveSharePercent('', null)).toBeNull();
+    });
+
+    it('uses a typed value, including 0, clamped to 0-100', () => {
+        expect(resolveSharePercent('0', 60)).toBe(0);
+        expect(resolveSharePercent('72.5', 60)).toBe(72.5);
+        expect(resolveSharePercent('150', 60)).toBe(100);
+        expect(resolveSharePercent('-5', 60)).toBe(0);
+    });
+
+    it('ignores text that is not a number', () => {
+        expect(resolveSharePercent('-', 60)).toBe(60);
+        expect(resolveSharePercent('abc', null)).toBeNull();
+    });
+});
+
+describe('simulateQuote', () => {
+    it('splits the client price into transcriber pay and platform margin', () => {
+        const result = simulateQuote([rule({ id: 'a', price_per_minute_usd: 1.25 })], { ...JOB, durationMinutes: 10 }, 80);
+        expect(result).toMatchObject({ clientPrice: 12.5, transcriberPay: 10, platformMargin: 2.5 });
+        expect(result.rule.id).toBe('a');
+    });
+
+    it('returns null when no rule matches', () => {
+        expect(simulateQuote([rule({ id: 'a', deadline_type: 'urgent' })], { ...JOB, durationMinutes: 10 }, 80)).toBeNull();
+    });
+
+    it('prices the job but leaves the split empty without a transcriber share', () => {
+        const result = simulateQuote([rule({ id: 'a' })], { ...JOB, durationMinutes: 10 }, null);
+        expect(result).toMatchObject({ clientPrice: 10, transcriberPay: null, platformMargin: null });
+    });
+});
+
+describe('buildPriceDeltaTable', () => {
+    it('compares draft and saved prices per duration', () => {
+        const saved = [rule({ id: 'a', price_per_minute_usd: 1 })];
+        const draft = [
+            rule({ id: 'a', max_duration_minutes: 30, price_per_minute_usd: 1 }),
+            rule({ id: 'b', min_duration_minutes: 30, max_duration_minutes: 60, price_per_minute_usd: 0.9 }),
+        ];
+        expect(buildPriceDeltaTable(draft, saved, JOB, [10, 40, 90])).toEqual([
+            { durationMinutes: 10, saved: 10, draft: 10, delta: 0, deltaPercent: 0 },
+            { durationMinutes: 40, saved: 40, draft: 36, delta: -4, deltaPercent: -10 },
+            { durationMinutes: 90, saved: 90, draft: null, delta: null, deltaPercent: null },
+        ]);
+    });
+});
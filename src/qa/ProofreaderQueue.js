@@ -0,0 +1,251 @@
+// src/qa/ProofreaderQueue.js
+// QA queue for proofreader-level transcribers: completed direct-upload jobs awaiting review, which a
+// proofreader claims before reviewing, and the reviews they have claimed or released.
+// Route: /proofreader/queue
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import Toast from '../Toast';
+import { useAuth } from '../contexts/AuthContext';
+import { connectSocket } from '../ChatService';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getQaQueue, getMyQaReviews, claimQaReview, unclaimQaReview } from '../api/qa';
+import { QA_STATUSES } from './qaReview';
+import '../transcription/TranscriptionWorkspace.css';
+import './ProofreaderQueue.css';
+
+const errorMessage = (error, fallback) => (error.isNetworkError ? 'Network error. Please try again.' : error.message || fallback);
+
+const formatDisplayTimestamp = (isoTimestamp) => (
+    isoTimestamp ? new Date(isoTimestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : 'N/A'
+);
+
+const ProofreaderQueue = () => {
+    const { user, logout } = useAuth();
+    const navigate = useNavigate();
+    const getSignal = useAbortSignal();
+
+    const [queue, setQueue] = useState([]);
+    const [myReviews, setMyReviews] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyJobId, setBusyJobId] = useState(null);
+    const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+
+    const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
+    const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
+
+    const fetchQueues = useCallback(async () => {
+        try {
+            const signal = getSignal();
+            const [queueData, mineData] = await Promise.all([getQaQueue({ signal }), getMyQaReviews({ signal })]);
+            setQueue(queueData.jobs || []);
+            setMyReviews(mineData.jobs || []);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to load the QA queue.'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [getSignal, showToast]);
+
+    useEffect(() => {
+        fetchQueues();
+    }, [fetchQueues]);
+
+    // Other proofreaders claim jobs and transcribers complete new ones while the page is open.
+    useEffect(() => {
+        if (!user?.id) return undefined;
+        const socket = connectSocket(user.id);
+        if (!socket) return undefined;
+
+        const handleQueueUpdated = (data) => {
+            console.log('ProofreaderQueue Real-time: QA queue updated!', data);
+            fetchQueues();
+        };
+
+        socket.on('qa_queue_updated', handleQueueUpdated);
+        return () => {
+            socket.off('qa_queue_updated', handleQueueUpdated);
+        };
+    }, [user?.id, fetchQueues]);
+
+    const handleClaim = useCallback(async (jobId) => {
+        setBusyJobId(jobId);
+        try {
+            await claimQaReview(jobId, { signal: getSignal() });
+            navigate(`/proofreader/review/${jobId}`);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(error.status === 409 ? 'Another proofreader has just claimed this job.' : errorMessage(error, 'Failed to claim the job.'), 'error');
+            setBusyJobId(null);
+            fetchQueues();
+        }
+    }, [getSignal, navigate, showToast, fetchQueues]);
+
+    const handleUnclaim = useCallback(async (jobId) => {
+        setBusyJobId(jobId);
+        try {
+            await unclaimQaReview(jobId, { signal: getSignal() });
+            showToast('The job is back in the queue.', 'info');
+            fetchQueues();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to return the job to the queue.'), 'error');
+        } finally {
+            setBusyJobId(null);
+        }
+    }, [getSignal, showToast, fetchQueues]);
+
+    const claimedReviews = myReviews.filter((job) => job.status === 'qa_in_progress');
+    const releasedReviews = myReviews.filter((job) => job.status !== 'qa_in_progress');
+
+    return (
+        <div className="transcription-workspace-container">
+            <header className="transcription-workspace-header">
+                <div className="header-content">
+                    <h1>QA Queue</h1>
+                    <div className="user-profile-actions">
+                        <span className="welcome-text-badge">Welcome, <strong>{user?.full_name}</strong>!</span>
+                        <button onClick={logout} className="logout-btn">
+                            Logout
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="transcription-workspace-main">
+                <div className="page-header">
+                    <div className="header-text">
+                        <h2>Proofreading</h2>
+                        <p>Claim a completed job, correct the transcript, score the transcriber and release it to the client.</p>
+                    </div>
+                    <Link to="/transcriber-dashboard" className="back-to-dashboard-btn">
+                        ← Back to Dashboard
+                    </Link>
+                </div>
+
+                {loading ? (
+                    <p>Loading QA queue...</p>
+                ) : (
+                    <>
+                        <section className="qa-queue-section">
+                            <h3>Your Reviews in Progress ({claimedReviews.length})</h3>
+                            {claimedReviews.length === 0 ? (
+                                <p className="no-data-message">You have no reviews in progress.</p>
+                            ) : (
+                                <table className="qa-queue-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Job ID</th>
+                                            <th>File Name</th>
+                                            <th>Transcriber</th>
+                                            <th>Audio (mins)</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {claimedReviews.map((job) => (
+                                            <tr key={job.id}>
+                                                <td>{job.id.substring(0, 8)}...</td>
+                                                <td>{job.file_name}</td>
+                                                <td>{job.transcriber?.full_name || 'N/A'}</td>
+                                                <td>{job.audio_length_minutes?.toFixed(1) ?? 'N/A'}</td>
+                                                <td className="qa-queue-actions">
+                                                    <Link to={`/proofreader/review/${job.id}`} className="qa-open-btn">Open Review</Link>
+                                                    <button onClick={() => handleUnclaim(job.id)} disabled={busyJobId === job.id}>
+                                                        Return to Queue
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </section>
+
+                        <section className="qa-queue-section">
+                            <h3>Awaiting QA ({queue.length})</h3>
+                            {queue.length === 0 ? (
+                                <p className="no-data-message">No jobs are waiting for review.</p>
+                            ) : (
+                                <table className="qa-queue-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Job ID</th>
+                                            <th>File Name</th>
+                                            <th>Transcriber</th>
+                                            <th>Audio (mins)</th>
+                                            <th>Requirements</th>
+                                            <th>Submitted</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {queue.map((job) => (
+                                            <tr key={job.id}>
+                                                <td>{job.id.substring(0, 8)}...</td>
+                                                <td>{job.file_name}</td>
+                                                <td>{job.transcriber?.full_name || 'N/A'}</td>
+                                                <td>{job.audio_length_minutes?.toFixed(1) ?? 'N/A'}</td>
+                                                <td>{job.special_requirements?.length > 0 ? job.special_requirements.join(', ') : 'None'}</td>
+                                                <td>{formatDisplayTimestamp(job.completed_at)}</td>
+                                                <td className="qa-queue-actions">
+                                                    {job.transcriber_id === user?.id ? (
+                                                        <span className="qa-own-job">Your transcription</span>
+                                                    ) : (
+                                                        <button onClick={() => handleClaim(job.id)} disabled={busyJobId !== null}>
+                                                            {busyJobId === job.id ? 'Claiming...' : 'Claim'}
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </section>
+
+                        {releasedReviews.length > 0 && (
+                            <section className="qa-queue-section">
+                                <h3>Recently Released</h3>
+                                <table className="qa-queue-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Job ID</th>
+                                            <th>File Name</th>
+                                            <th>Transcriber</th>
+                                            <th>Score</th>
+                                            <th>Released</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {releasedReviews.map((job) => (
+                                            <tr key={job.id}>
+                                                <td>{job.id.substring(0, 8)}...</td>
+                                                <td>{job.file_name}</td>
+                                                <td>{job.transcriber?.full_name || 'N/A'}</td>
+                                                <td>{job.qa_score ? `${job.qa_score}/5` : QA_STATUSES[job.status] || 'N/A'}</td>
+                                                <td>{formatDisplayTimestamp(job.qa_released_at)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </section>
+                        )}
+                    </>
+                )}
+            </main>
+
+            <Toast
+                message={toast.message}
+                type={toast.type}
+                isVisible={toast.isVisible}
+                onClose={hideToast}
+                duration={toast.type === 'error' ? 4000 : 3000}
+            />
+        </div>
+    );
+};
+
+export default ProofreaderQueue;
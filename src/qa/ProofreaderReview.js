@@ -0,0 +1,309 @@
+// src/qa/ProofreaderReview.js
+// Review page for a claimed QA job: the job audio, an editor holding the proofread transcript, the
+// edits shown as tracked changes against the transcriber's submission, and the score and notes the
+// proofreader releases the job with.
+// Route: /proofreader/review/:jobId
+
+import React, { useState, useEffect, useCallback, useMemo, useRef, useDeferredValue } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import Toast from '../Toast';
+import Modal from '../Modal';
+import { useAuth } from '../contexts/AuthContext';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getQaReview, saveQaDraft, releaseQaReview } from '../api/qa';
+import { getJobMediaUrl } from '../api/transcripts';
+import TrackedChanges from './TrackedChanges';
+import { getTrackedChanges, summarizeChanges } from './transcriptDiff';
+import { QA_SCORE_OPTIONS, suggestQaScore, validateQaRelease } from './qaReview';
+import '../transcription/TranscriptionWorkspace.css';
+import './ProofreaderReview.css';
+
+const AUTOSAVE_INTERVAL_MS = 30000;
+
+const errorMessage = (error, fallback) => (error.isNetworkError ? 'Network error. Please try again.' : error.message || fallback);
+
+const ProofreaderReview = () => {
+    const { jobId } = useParams();
+    const { user, logout } = useAuth();
+    const navigate = useNavigate();
+    const getSignal = useAbortSignal();
+
+    const [review, setReview] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [mediaUrl, setMediaUrl] = useState('');
+    const [content, setContent] = useState('');
+    const [saveStatus, setSaveStatus] = useState('saved');
+    const [score, setScore] = useState(null);
+    const [notes, setNotes] = useState('');
+    const [showReleaseModal, setShowReleaseModal] = useState(false);
+    const [releasing, setReleasing] = useState(false);
+    const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+
+    const contentRef = useRef('');
+    const dirtyRef = useRef(false);
+    const savingRef = useRef(false);
+    const mediaRetriedRef = useRef(false);
+
+    const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
+    const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
+
+    const isEditable = review?.job.status === 'qa_in_progress';
+    const original = review?.original_transcript || '';
+
+    // Diffing a long transcript on every keystroke would make typing lag; let React defer it.
+    const deferredContent = useDeferredValue(content);
+    const trackedLines = useMemo(() => getTrackedChanges(original, deferredContent), [original, deferredContent]);
+    const changeSummary = useMemo(() => summarizeChanges(trackedLines, original), [trackedLines, original]);
+    const suggestedScore = suggestQaScore(changeSummary.editRate);
+
+    const fetchMediaUrl = useCallback(async () => {
+        try {
+            const { url } = await getJobMediaUrl('direct_upload', jobId, { signal: getSignal() });
+            setMediaUrl(url);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to load the job audio.'), 'error');
+        }
+    }, [jobId, getSignal, showToast]);
+
+    // The signed URL expires during long reviews; fetch a fresh one once per failure.
+    const handleMediaError = useCallback(() => {
+        if (mediaRetriedRef.current) return;
+        mediaRetriedRef.current = true;
+        fetchMediaUrl();
+    }, [fetchMediaUrl]);
+
+    useEffect(() => {
+        const loadReview = async () => {
+            try {
+                const { review: loaded } = await getQaReview(jobId, { signal: getSignal() });
+                const initialContent = loaded.proofread_content ?? loaded.original_transcript ?? '';
+                contentRef.current = initialContent;
+                setContent(initialContent);
+                setReview(loaded);
+                fetchMediaUrl();
+            } catch (error) {
+                if (isAbortError(error)) return;
+                setLoadError(errorMessage(error, 'Failed to load this review.'));
+            }
+        };
+        loadReview();
+    }, [jobId, getSignal, fetchMediaUrl]);
+
+    const saveDraft = useCallback(async () => {
+        if (!dirtyRef.current || savingRef.current) return;
+        savingRef.current = true;
+        dirtyRef.current = false;
+        setSaveStatus('saving');
+        try {
+            await saveQaDraft(jobId, { content: contentRef.current });
+            setSaveStatus(dirtyRef.current ? 'unsaved' : 'saved');
+        } catch (error) {
+            console.error('ProofreaderReview: Failed to save the draft:', error);
+            dirtyRef.current = true;
+            setSaveStatus('error');
+        } finally {
+            savingRef.current = false;
+        }
+    }, [jobId]);
+
+    useEffect(() => {
+        if (!isEditable) return undefined;
+        const intervalId = setInterval(saveDraft, AUTOSAVE_INTERVAL_MS);
+        const handleBeforeUnload = (event) => {
+            if (dirtyRef.current) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => {
+            clearInterval(intervalId);
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            if (dirtyRef.current && !savingRef.current) {
+                saveQaDraft(jobId, { content: contentRef.current })
+                    .catch((flushError) => console.warn('ProofreaderReview: Could not save the draft on leaving:', flushError.message));
+            }
+        };
+    }, [isEditable, saveDraft, jobId]);
+
+    const handleContentChange = useCallback((event) => {
+        contentRef.current = event.target.value;
+        dirtyRef.current = true;
+        setContent(event.target.value);
+        setSaveStatus('unsaved');
+    }, []);
+
+    const openReleaseModal = useCallback(() => {
+        const validationError = validateQaRelease({ content, transcriber_score: score, notes });
+        if (validationError) {
+            showToast(validationError, 'error');
+            return;
+        }
+        setShowReleaseModal(true);
+    }, [content, score, notes, showToast]);
+
+    const handleRelease = useCallback(async () => {
+        setReleasing(true);
+        try {
+            await releaseQaReview(jobId, {
+                content,
+                transcriber_score: score,
+                notes: notes.trim(),
+                // Measured on the exact text released, not the deferred copy the panel shows
+                edit_rate: summarizeChanges(getTrackedChanges(original, content), original).editRate,
+            }, { signal: getSignal() });
+            dirtyRef.current = false;
+            navigate('/proofreader/queue');
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(errorMessage(error, 'Failed to release the job.'), 'error');
+            setReleasing(false);
+            setShowReleaseModal(false);
+        }
+    }, [jobId, original, content, score, notes, getSignal, navigate, showToast]);
+
+    const saveStatusText = {
+        saved: 'All changes saved',
+        unsaved: 'Unsaved changes',
+        saving: 'Saving...',
+        error: 'Could not save. Your edits are kept here; try again.',
+    }[saveStatus];
+
+    return (
+        <div className="transcription-workspace-container">
+            <header className="transcription-workspace-header">
+                <div className="header-content">
+                    <h1>QA Review</h1>
+                    <div className="user-profile-actions">
+                        <span className="welcome-text-badge">Welcome, <strong>{user?.full_name}</strong>!</span>
+                        <button onClick={logout} className="logout-btn">
+                            Logout
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="transcription-workspace-main">
+                <div className="page-header">
+                    <div className="header-text">
+                        <h2>{review ? review.job.file_name : 'Loading review...'}</h2>
+                        {review && (
+                            <p>
+                                Transcribed by {review.job.transcriber?.full_name || 'N/A'}
+                                {review.job.special_requirements?.length > 0 && ` · Requirements: ${review.job.special_requirements.join(', ')}`}
+                            </p>
+                        )}
+                    </div>
+                    <Link to="/proofreader/queue" className="back-to-dashboard-btn">
+                        ← Back to QA Queue
+                    </Link>
+                </div>
+
+                {loadError && <p className="workspace-error">{loadError}</p>}
+
+                {review && (
+                    <>
+                        {!isEditable && <p className="workspace-notice">This review has been released and is read-only.</p>}
+                        {review.job.client_instructions && (
+                            <p className="workspace-notice">Client instructions: {review.job.client_instructions}</p>
+                        )}
+
+                        <section className="workspace-player">
+                            {mediaUrl ? (
+                                <audio
+                                    src={mediaUrl}
+                                    controls
+                                    preload="metadata"
+                                    onLoadedMetadata={() => { mediaRetriedRef.current = false; }}
+                                    onError={handleMediaError}
+                                />
+                            ) : (
+                                <p>Loading audio...</p>
+                            )}
+                        </section>
+
+                        <section className="workspace-editor">
+                            <div className={`save-status ${saveStatus}`}>
+                                {saveStatusText}
+                                {isEditable && (
+                                    <button type="button" onClick={saveDraft} disabled={saveStatus === 'saved' || saveStatus === 'saving'}>
+                                        Save Now
+                                    </button>
+                                )}
+                            </div>
+                            <textarea
+                                value={content}
+                                onChange={handleContentChange}
+                                readOnly={!isEditable}
+                                spellCheck
+                            />
+                        </section>
+
+                        <section className="qa-review-panel">
+                            <h3>Tracked Changes</h3>
+                            <TrackedChanges lines={trackedLines} summary={changeSummary} />
+                        </section>
+
+                        {isEditable && (
+                            <section className="qa-review-panel qa-score-form">
+                                <h3>Score the Transcriber</h3>
+                                <div className="qa-score-options">
+                                    {QA_SCORE_OPTIONS.map((option) => (
+                                        <label key={option.value} className={option.value === suggestedScore ? 'suggested' : ''}>
+                                            <input
+                                                type="radio"
+                                                name="qaScore"
+                                                value={option.value}
+                                                checked={score === option.value}
+                                                onChange={() => setScore(option.value)}
+                                            />
+                                            {option.label}
+                                            {option.value === suggestedScore && <span className="qa-suggested-tag">suggested by your edits</span>}
+                                        </label>
+                                    ))}
+                                </div>
+                                <label htmlFor="qaNotes">Notes for the transcriber and admins:</label>
+                                <textarea
+                                    id="qaNotes"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    placeholder="e.g., 'Speaker labels swapped after 00:12:30; several missed [inaudible] tags.'"
+                                    rows="3"
+                                />
+                                <div className="qa-review-actions">
+                                    <button type="button" onClick={openReleaseModal}>Release to Client</button>
+                                </div>
+                            </section>
+                        )}
+                    </>
+                )}
+            </main>
+
+            {showReleaseModal && (
+                <Modal
+                    show={showReleaseModal}
+                    title="Release to Client?"
+                    onClose={() => setShowReleaseModal(false)}
+                    onSubmit={handleRelease}
+                    submitText="Release"
+                    loading={releasing}
+                >
+                    <p>The client will receive your proofread transcript and the transcriber will see a score of <strong>{score}/5</strong>.</p>
+                    <p>{changeSummary.changedLines} line{changeSummary.changedLines === 1 ? '' : 's'} edited ({changeSummary.editRate}% of the original). You cannot edit the transcript after releasing it.</p>
+                </Modal>
+            )}
+
+            <Toast
+                message={toast.message}
+                type={toast.type}
+                isVisible={toast.isVisible}
+                onClose={hideToast}
+                duration={toast.type === 'error' ? 5000 : 3000}
+            />
+        </div>
+    );
+};
+
+export default ProofreaderReview;
@@ -0,0 +1,52 @@
+// src/qa/TrackedChanges.js
+// Renders the proofreader's edits to a transcript as tracked changes: deletions struck through in
+// red, insertions underlined in green. Unchanged lines can be collapsed to show only the edits.
+
+import React, { useState } from 'react';
+import './TrackedChanges.css';
+
+/**
+ * @param {{
+ *   lines: import('./transcriptDiff').TrackedLine[],
+ *   summary: ReturnType<typeof import('./transcriptDiff').summarizeChanges>
+ * }} props
+ */
+const TrackedChanges = ({ lines, summary }) => {
+    const [changesOnly, setChangesOnly] = useState(false);
+    const visibleLines = changesOnly
+        ? lines.map((line, index) => ({ line, number: index + 1 })).filter(({ line }) => line.type !== 'equal')
+        : lines.map((line, index) => ({ line, number: index + 1 }));
+
+    return (
+        <div className="tracked-changes">
+            <div className="tracked-changes-summary">
+                <span>{summary.changedLines} line{summary.changedLines === 1 ? '' : 's'} edited</span>
+                <span className="insert">+{summary.insertedWords} words</span>
+                <span className="delete">−{summary.deletedWords} words</span>
+                <span>{summary.editRate}% of the original changed</span>
+                <label>
+                    <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+                    Edited lines only
+                </label>
+            </div>
+            {visibleLines.length === 0 ? (
+                <p className="tracked-changes-empty">No edits yet.</p>
+            ) : (
+                <ol className="tracked-changes-lines">
+                    {visibleLines.map(({ line, number }) => (
+                        <li key={number} value={number} className={`tracked-line ${line.type}`}>
+                            {line.segments.map((segment, index) => {
+                                const separator = index > 0 ? ' ' : '';
+                                if (segment.type === 'insert') return <React.Fragment key={index}>{separator}<ins>{segment.text}</ins></React.Fragment>;
+                                if (segment.type === 'delete') return <React.Fragment key={index}>{separator}<del>{segment.text}</del></React.Fragment>;
+                                return <React.Fragment key={index}>{separator}{segment.text}</React.Fragment>;
+                            })}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default TrackedChanges;
@@ -0,0 +1,49 @@
+// src/qa/qaReview.js
+// The optional proofreading (QA) stage for direct-upload jobs. When an admin turns QA on, a job the
+// transcriber completes goes to awaiting_qa instead of straight to the client; a proofreader-level
+// transcriber claims it (qa_in_progress), corrects the transcript, scores the original transcriber
+// and releases it, which moves the job to completed for the client as before.
+
+import { PROOFREADER_LEVELS } from '../routes/routePolicies';
+
+export const QA_STATUSES = {
+    awaiting_qa: 'Awaiting QA',
+    qa_in_progress: 'In QA Review',
+};
+
+export const isQaStatus = (status) => Object.prototype.hasOwnProperty.call(QA_STATUSES, status);
+
+export const isProofreader = (user) => user?.user_type === 'transcriber' && PROOFREADER_LEVELS.includes(user.transcriber_user_level);
+
+export const QA_SCORE_OPTIONS = [
+    { value: 5, label: '5 - Publishable as submitted' },
+    { value: 4, label: '4 - Minor fixes' },
+    { value: 3, label: '3 - Several errors' },
+    { value: 2, label: '2 - Many errors or missed guidelines' },
+    { value: 1, label: '1 - Largely rewritten' },
+];
+
+/**
+ * Suggests a score from how much of the original the proofreader had to change, as a starting point.
+ * @param {number} editRate - Percentage of original words deleted or replaced.
+ * @returns {number} 1-5
+ */
+export const suggestQaScore = (editRate) => {
+    if (editRate <= 1) return 5;
+    if (editRate <= 3) return 4;
+    if (editRate <= 8) return 3;
+    if (editRate <= 20) return 2;
+    return 1;
+};
+
+/**
+ * @param {{ content: string, transcriber_score: number|null, notes: string }} release
+ * @returns {string} An error message, or '' when the review can be released.
+ */
+export const validateQaRelease = ({ content, transcriber_score: score, notes }) => {
+    if (!content?.trim()) return 'The proofread transcript is empty.';
+    if (!QA_SCORE_OPTIONS.some((option) => option.value === score)) return 'Score the original transcriber before releasing.';
+    // Low scores feed into the transcriber's level review, so they need a reason.
+    if (score <= 2 && !notes?.trim()) return 'Add a note explaining a score of 2 or lower.';
+    return '';
+};
@@ -0,0 +1,36 @@
+import { isQaStatus, isProofreader, suggestQaScore, validateQaRelease } from './qaReview';
+
+describe('isQaStatus', () => {
+    it('recognises only the QA statuses', () => {
+        expect(isQaStatus('awaiting_qa')).toBe(true);
+        expect(isQaStatus('qa_in_progress')).toBe(true);
+        expect(isQaStatus('completed')).toBe(false);
+    });
+});
+
+describe('isProofreader', () => {
+    it('requires a transcriber at proofreader level', () => {
+        expect(isProofreader({ user_type: 'transcriber', transcriber_user_level: 'proofreader' })).toBe(true);
+        expect(isProofreader({ user_type: 'transcriber', transcriber_user_level: 'senior_transcriber' })).toBe(false);
+        expect(isProofreader(null)).toBe(false);
+    });
+});
+
+describe('suggestQaScore', () => {
+    it('lowers the suggestion as the edit rate grows', () => {
+        expect(suggestQaScore(0)).toBe(5);
+        expect(suggestQaScore(2.5)).toBe(4);
+        expect(suggestQaScore(8)).toBe(3);
+        expect(suggestQaScore(15)).toBe(2);
+        expect(suggestQaScore(40)).toBe(1);
+    });
+});
+
+describe('validateQaRelease', () => {
+    it('needs a transcript, a score and a note for low scores', () => {
+        expect(validateQaRelease({ content: ' ', transcriber_score: 5, notes: '' })).toBe('The proofread transcript is empty.');
+        expect(validateQaRelease({ content: 'text', transcriber_score: null, notes: '' })).toBe('Score the original transcriber before releasing.');
+        expect(validateQaRelease({ content: 'text', transcriber_score: 2, notes: '' })).toBe('Add a note explaining a score of 2 or lower.');
+        expect(validateQaRelease({ content: 'text', transcriber_score: 4, notes: '' })).toBe('');
+    });
+});
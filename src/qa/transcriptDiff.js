@@ -0,0 +1,143 @@
+// src/qa/transcriptDiff.js
+// Tracked changes between a transcriber's submitted transcript and the proofread version. Lines are
+// aligned first and only changed lines are compared word by word, which keeps long transcripts cheap
+// to diff. Unlike the assessment scorer, punctuation and case edits count as changes here.
+
+import { alignTokens } from '../assessment/transcriptScoring';
+
+/**
+ * @typedef {object} ChangeSegment
+ * @property {'equal'|'insert'|'delete'} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {object} TrackedLine
+ * @property {'equal'|'changed'|'insert'|'delete'} type
+ * @property {ChangeSegment[]} segments - In reading order; join with spaces to render the line.
+ */
+
+const asTokens = (items) => items.map((raw) => ({ raw, word: raw }));
+const splitWords = (line) => line.split(/\s+/).filter(Boolean);
+
+// Word-level diff of one changed line. A run of edits between two unchanged words becomes one
+// deletion followed by one insertion, which reads better than alternating single words.
+const diffWords = (originalLine, revisedLine) => {
+    const segments = [];
+    let deleted = [];
+    let inserted = [];
+    const flush = () => {
+        if (deleted.length > 0) segments.push({ type: 'delete', text: deleted.join(' ') });
+        if (inserted.length > 0) segments.push({ type: 'insert', text: inserted.join(' ') });
+        deleted = [];
+        inserted = [];
+    };
+
+    alignTokens(asTokens(splitWords(originalLine)), asTokens(splitWords(revisedLine))).forEach((op) => {
+        if (op.type === 'equal') {
+            flush();
+            const last = segments[segments.length - 1];
+            if (last?.type === 'equal') {
+                last.text = `${last.text} ${op.ref.raw}`;
+            } else {
+                segments.push({ type: 'equal', text: op.ref.raw });
+            }
+            return;
+        }
+        if (op.ref) deleted.push(op.ref.raw);
+        if (op.hyp) inserted.push(op.hyp.raw);
+    });
+    flush();
+    return segments;
+};
+
+// Longest-common-subsequence alignment of lines. Unlike the word alignment this never pairs two
+// different lines by itself; changed lines are paired afterwards, in order, within each edited block.
+const alignLines = (originalLines, revisedLines) => {
+    const rows = originalLines.length + 1;
+    const cols = revisedLines.length + 1;
+    const lengths = new Uint32Array(rows * cols);
+    for (let i = originalLines.length - 1; i >= 0; i -= 1) {
+        for (let j = revisedLines.length - 1; j >= 0; j -= 1) {
+            lengths[i * cols + j] = originalLines[i] === revisedLines[j]
+                ? lengths[(i + 1) * cols + j + 1] + 1
+                : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+        }
+    }
+
+    const blocks = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        const paired = Math.min(removed.length, added.length);
+        for (let k = 0; k < paired; k += 1) blocks.push({ type: 'changed', original: removed[k], revised: added[k] });
+        removed.slice(paired).forEach((line) => blocks.push({ type: 'delete', original: line }));
+        added.slice(paired).forEach((line) => blocks.push({ type: 'insert', revised: line }));
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < originalLines.length || j < revisedLines.length) {
+        if (i < originalLines.length && j < revisedLines.length && originalLines[i] === revisedLines[j]) {
+            flush();
+            blocks.push({ type: 'equal', original: originalLines[i] });
+            i += 1;
+            j += 1;
+        } else if (j >= revisedLines.length || (i < originalLines.length && lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+            removed.push(originalLines[i]);
+            i += 1;
+        } else {
+            added.push(revisedLines[j]);
+            j += 1;
+        }
+    }
+    flush();
+    return blocks;
+};
+
+/**
+ * @param {string} original - The transcript as the transcriber submitted it.
+ * @param {string} revised - The proofread transcript.
+ * @returns {TrackedLine[]}
+ */
+export const getTrackedChanges = (original, revised) => (
+    alignLines((original || '').split('\n'), (revised || '').split('\n')).map((block) => {
+        switch (block.type) {
+            case 'equal':
+                return { type: 'equal', segments: [{ type: 'equal', text: block.original }] };
+            case 'delete':
+                return { type: 'delete', segments: [{ type: 'delete', text: block.original }] };
+            case 'insert':
+                return { type: 'insert', segments: [{ type: 'insert', text: block.revised }] };
+            default:
+                return { type: 'changed', segments: diffWords(block.original, block.revised) };
+        }
+    })
+);
+
+const countWords = (text) => splitWords(text).length;
+
+/**
+ * @param {TrackedLine[]} lines
+ * @param {string} original - Used for the share of the original's words that were changed.
+ * @returns {{ insertedWords: number, deletedWords: number, changedLines: number, editRate: number }}
+ *   editRate is the percentage of original words deleted or replaced, 0-100.
+ */
+export const summarizeChanges = (lines, original) => {
+    let insertedWords = 0;
+    let deletedWords = 0;
+    let changedLines = 0;
+    lines.forEach((line) => {
+        if (line.type === 'equal') return;
+        changedLines += 1;
+        line.segments.forEach((segment) => {
+            if (segment.type === 'insert') insertedWords += countWords(segment.text);
+            if (segment.type === 'delete') deletedWords += countWords(segment.text);
+        });
+    });
+    const originalWords = countWords(original || '');
+    const editRate = originalWords === 0 ? 0 : Math.min(Math.round((deletedWords / originalWords) * 1000) / 10, 100);
+    return { insertedWords, deletedWords, changedLines, editRate };
+};
@@ -0,0 +1,38 @@
+import { getTrackedChanges, summarizeChanges } from './transcriptDiff';
+
+describe('getTrackedChanges', () => {
+    it('keeps unchanged lines whole and diffs changed lines word by word', () => {
+        const lines = getTrackedChanges(
+            '[00:00:01] Speaker 1: hello there\nSecond line stays.',
+            '[00:00:01] Speaker 1: Hello there.\nSecond line stays.'
+        );
+        expect(lines).toEqual([
+            {
+                type: 'changed',
+                segments: [
+                    { type: 'equal', text: '[00:00:01] Speaker 1:' },
+                    { type: 'delete', text: 'hello there' },
+                    { type: 'insert', text: 'Hello there.' },
+                ],
+            },
+            { type: 'equal', segments: [{ type: 'equal', text: 'Second line stays.' }] },
+        ]);
+    });
+
+    it('marks added and removed lines', () => {
+        const lines = getTrackedChanges('a\nb\nc', 'a\nc\nd');
+        expect(lines.map((line) => line.type)).toEqual(['equal', 'delete', 'equal', 'insert']);
+    });
+});
+
+describe('summarizeChanges', () => {
+    it('counts edited words and the share of the original that changed', () => {
+        const original = 'one two three four five six seven eight nine ten';
+        const lines = getTrackedChanges(original, 'one two 3 four five six seven eight nine ten eleven');
+        expect(summarizeChanges(lines, original)).toEqual({ insertedWords: 2, deletedWords: 1, changedLines: 1, editRate: 10 });
+    });
+
+    it('reports no edits for identical text', () => {
+        expect(summarizeChanges(getTrackedChanges('same', 'same'), 'same').editRate).toBe(0);
+    });
+});
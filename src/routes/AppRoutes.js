@@ -50,6 +50,12 @@ import TranscriberOtherJobs from '../TranscriberOtherJobs';
 import TranscriberDirectUploadJobs from '../TranscriberDirectUploadJobs'; 
 // NEW: Import the new TranscriberCompletedDirectUploadJobs component
 import TranscriberCompletedDirectUploadJobs from '../TranscriberCompletedDirectUploadJobs';
+import TranscriptionWorkspace from '../transcription/TranscriptionWorkspace';
+import ProofreaderQueue from '../qa/ProofreaderQueue';
+import ProofreaderReview from '../qa/ProofreaderReview';
+import AdminQuestionBank from '../assessment/AdminQuestionBank';
+import AdminTranscriberLevels from '../levels/AdminTranscriberLevels';
+import MessageSearchPage from '../chat/MessageSearchPage';
 
 // NEW: Import Admin Oversight components
 import AdminPaymentHistory from '../AdminPaymentHistory'; 
@@ -97,7 +103,7 @@ const AppRoutes = () => {
                 <Route path="/guidelines" element={<GuidelinesPage />} /> 
 
 
-                {/* Protected Routes (Authenticated Users) */}
+                {/* Protected Routes (Authenticated Users) - access rules for each path are in routePolicies.js */}
                 <Route element={<ProtectedRoute />}>
 
                     {/* Client Routes */}
@@ -129,6 +135,9 @@ const AppRoutes = () => {
                     {/* <Route path="/transcriber-direct-upload-jobs/:status" element={<TranscriberDirectUploadJobs />} /> */}
                     {/* NEW: Route for TranscriberCompletedDirectUploadJobs */}
                     <Route path="/transcriber-completed-direct-upload-jobs" element={<TranscriberCompletedDirectUploadJobs />} />
+                    <Route path="/transcriber/workspace/:jobType/:jobId" element={<TranscriptionWorkspace />} />
+                    <Route path="/proofreader/queue" element={<ProofreaderQueue />} />
+                    <Route path="/proofreader/review/:jobId" element={<ProofreaderReview />} />
                     {/* NEW: Specific Chat Route for Direct Upload Jobs (Transcriber Side) */}
                     <Route path="/chat/direct-upload/:jobId" element={<UserChat />} />
 
@@ -138,6 +147,8 @@ const AppRoutes = () => {
                     {/* Admin Management Sub-Routes */}
                     <Route path="/admin/transcriber-tests" element={<AdminTranscriberTests />} />
                     <Route path="/admin/transcriber-tests/:submissionId" element={<AdminTranscriberTestDetails />} />
+                    <Route path="/admin/assessment-questions" element={<AdminQuestionBank />} />
+                    <Route path="/admin/transcriber-levels" element={<AdminTranscriberLevels />} />
                     <Route path="/admin/users" element={<AdminUsers />} />
                     <Route path="/admin/negotiation-jobs" element={<AdminNegotiationJobs />} /> {/* UPDATED: New path for negotiation jobs */}
                     <Route path="/admin/direct-upload-jobs" element={<AdminDirectUploadJobs />} /> {/* This path remains */}
@@ -165,6 +176,9 @@ const AppRoutes = () => {
                     <Route path="/trainee/materials" element={<TraineeTrainingMaterials />} />
                     <Route path="/trainee/training-room/:chatId" element={<TraineeTrainingRoom />} />
 
+                    {/* Message search for clients, transcribers and trainees (admins search from AdminMessageList) */}
+                    <Route path="/messages/search" element={<MessageSearchPage />} />
+
 
                 </Route>
 
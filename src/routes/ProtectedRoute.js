@@ -3,13 +3,15 @@
 import React from 'react'; // FIXED: Removed unused 'useEffect' import
 import { Navigate, Outlet, useLocation } from 'react-router-dom';
 import { useAuth } from '..//contexts/AuthContext';
+import { resolveRouteAccess } from './routePolicies';
 
 /**
  * ProtectedRoute component handles authentication and authorization checks.
  * It renders its children only if the user is authenticated AND authorized.
+ * Authorization rules (allowed user types, transcriber statuses, redirects) live in routePolicies.js.
  */
 const ProtectedRoute = () => {
-    const { isAuthenticated, user, isAuthReady } = useAuth();
+    const { isAuthenticated, user, isAuthReady, sessionExpired } = useAuth();
     const location = useLocation();
 
     // REMOVED: The useEffect that was calling refreshUserData() on payment callback.
@@ -25,81 +27,17 @@ const ProtectedRoute = () => {
         );
     }
 
-    // 2. Authentication Check: If not logged in, redirect to login page
+    // 2. Authentication Check: If not logged in, redirect to login page.
+    // Login sends the user back to state.from once they sign in again.
     if (!isAuthenticated) {
-        return <Navigate to="/login" replace state={{ from: location }} />;
+        return <Navigate to="/login" replace state={{ from: location, sessionExpired }} />;
     }
 
-    // Allow payment callback page to proceed without further checks
-    // This is important because the payment gateway might redirect here temporarily
-    // before the AuthContext has fully updated.
-    if (location.pathname.includes('payment-callback')) {
-        console.log('ProtectedRoute: Allowing payment callback page to proceed.');
-        return <Outlet />;
-    }
-
-    // 3. Role-based Redirection/Authorization Checks
-    // If the user IS authenticated, now check their specific role and status.
-
-    // CRITICAL FIX: Allow Admin to bypass specific role checks and redirect to admin dashboard
-    if (user?.user_type === 'admin') {
-        // Allow admin users to access '/admin-dashboard' and any path starting with '/admin/'
-        // If an admin is trying to access any non-admin specific route, redirect to admin dashboard
-        if (!location.pathname.startsWith('/admin')) {
-            console.log(`ProtectedRoute: Admin user (${user.full_name}) detected trying to access non-admin route ${location.pathname}. Redirecting to /admin-dashboard.`);
-            return <Navigate to="/admin-dashboard" replace />;
-        }
-        // If they are on an admin-specific path, proceed to render it.
-        return <Outlet />; // Admin has full access to the nested routes
-    }
-
-    // NEW: Handle Trainee-specific authorization
-    if (user?.user_type === 'trainee') {
-        const traineeDashboardPath = '/trainee-dashboard';
-        const trainingPaymentPath = '/training-payment';
-
-        // Check if trainee has paid for training
-        if (user.transcriber_status !== 'paid_training_fee') {
-            // If trainee has NOT paid, and is trying to access any page other than the payment page, redirect to payment
-            if (location.pathname !== trainingPaymentPath) {
-                console.log(`ProtectedRoute: Trainee user (${user.full_name}) has not paid for training. Redirecting to ${trainingPaymentPath}.`);
-                return <Navigate to={trainingPaymentPath} replace />;
-            }
-            // If they are on the payment path, and have not paid, allow them to proceed.
-            return <Outlet />;
-        } else { // user.transcriber_status === 'paid_training_fee'
-            // If trainee HAS paid, but tries to access the payment page again, redirect to dashboard
-            if (location.pathname === trainingPaymentPath) {
-                console.log(`ProtectedRoute: Trainee user (${user.full_name}) has paid for training. Redirecting from payment page to ${traineeDashboardPath}.`);
-                return <Navigate to={traineeDashboardPath} replace />;
-            }
-            // If they are on any other trainee-specific path (e.g., /trainee-dashboard, /trainee/materials), allow.
-            // If they try to access non-trainee routes, redirect to their dashboard.
-            if (!location.pathname.startsWith('/trainee')) {
-                 console.log(`ProtectedRoute: Trainee user (${user.full_name}) trying to access non-trainee route ${location.pathname}. Redirecting to ${traineeDashboardPath}.`);
-                 return <Navigate to={traineeDashboardPath} replace />;
-            }
-            return <Outlet />; // Trainee has paid and is on a trainee-specific path, allow.
-        }
-    }
-
-
-    // For non-admin, non-trainee users (i.e., 'client' or 'transcriber' in assessment phase), apply existing role-specific checks
-    const isTranscriber = user?.user_type === 'transcriber';
-    // FIX: Use transcriber_status from the user object
-    const isPendingTranscriber = user?.transcriber_status === 'pending_assessment'; 
-
-    if (isTranscriber && isPendingTranscriber) {
-        const testPath = '/transcriber-test';
-        const waitingPath = '/transcriber-waiting';
-
-        // If a pending transcriber is trying to access any protected route
-        // other than the test or waiting page, redirect them to the test.
-        // The test/waiting pages themselves will decide if they should be there.
-        if (location.pathname !== testPath && location.pathname !== waitingPath) {
-            console.log(`ProtectedRoute: Pending transcriber (${user.full_name}) detected. Redirecting to ${testPath}.`);
-            return <Navigate to={testPath} replace />;
-        }
+    // 3. Role/status authorization, driven by the policy table in routePolicies.js
+    const { allowed, redirectTo } = resolveRouteAccess(user, location.pathname);
+    if (!allowed) {
+        console.log(`ProtectedRoute: ${user?.user_type} user (${user?.full_name}) with status ${user?.transcriber_status || 'n/a'} may not access ${location.pathname}. Redirecting to ${redirectTo}.`);
+        return <Navigate to={redirectTo} replace />;
     }
 
     // 4. If authenticated and passed all authorization checks, render the child routes
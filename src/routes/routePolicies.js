@@ -0,0 +1,170 @@
+// src/routes/routePolicies.js
+// Access rules for every route rendered inside ProtectedRoute, declared as data next to AppRoutes.
+// When you add a protected <Route> in AppRoutes.js, add its policy here as well.
+//
+// Each policy has:
+// - path: the route pattern exactly as written in AppRoutes (':param' segments match any value)
+// - userTypes: user_type values allowed to open the page
+// - transcriberStatus: optional map of user_type -> allowed transcriber_status values. User types
+//   without an entry (e.g. clients on a shared chat page) are not status-checked.
+// - transcriberLevels: optional list of transcriber_user_level values a transcriber needs, checked
+//   after transcriberStatus. Other user types are not level-checked.
+// - redirectTo: optional target when the status or level check fails. Defaults to the user's home page.
+// A user whose user_type is not allowed is always sent to their home page (see getHomePath).
+
+export const ACTIVE_TRANSCRIBER_STATUSES = ['active_transcriber'];
+// Transcribers still going through (or rejected by) the entry assessment.
+export const ASSESSMENT_TRANSCRIBER_STATUSES = ['pending_assessment', 'rejected'];
+export const PAID_TRAINEE_STATUSES = ['paid_training_fee'];
+// Levels allowed to claim proofreading (QA) reviews.
+export const PROOFREADER_LEVELS = ['proofreader'];
+
+const ACTIVE_TRANSCRIBER = { transcriber: ACTIVE_TRANSCRIBER_STATUSES };
+const PAID_TRAINEE = { trainee: PAID_TRAINEE_STATUSES };
+
+export const ROUTE_POLICIES = [
+    // Client Routes
+    { path: '/client-dashboard', userTypes: ['client'] },
+    { path: '/client-negotiations', userTypes: ['client'] },
+    { path: '/transcriber-pool', userTypes: ['client'] },
+    { path: '/client/chat/:chatId', userTypes: ['client'] },
+    { path: '/client-payments', userTypes: ['client'] },
+    { path: '/client-jobs', userTypes: ['client'] },
+    { path: '/client-completed-jobs', userTypes: ['client'] },
+    { path: '/client-profile/:clientId', userTypes: ['client'] },
+    { path: '/client-direct-upload', userTypes: ['client'] },
+    // Direct upload job chat is shared by the client and the transcriber working the job
+    { path: '/chat/direct-upload/:jobId', userTypes: ['client', 'transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+
+    // Transcriber Routes
+    { path: '/transcriber-dashboard', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-negotiations', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-test', userTypes: ['transcriber'], transcriberStatus: { transcriber: ASSESSMENT_TRANSCRIBER_STATUSES } },
+    { path: '/transcriber-waiting', userTypes: ['transcriber'], transcriberStatus: { transcriber: ASSESSMENT_TRANSCRIBER_STATUSES } },
+    { path: '/transcriber/chat/:chatId', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-payments', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    // Clients open transcriber profiles from the pool and their negotiations
+    { path: '/transcriber-profile/:transcriberId', userTypes: ['transcriber', 'client'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-other-jobs', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-direct-upload-jobs', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber-completed-direct-upload-jobs', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/transcriber/workspace/:jobType/:jobId', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER },
+    { path: '/proofreader/queue', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER, transcriberLevels: PROOFREADER_LEVELS },
+    { path: '/proofreader/review/:jobId', userTypes: ['transcriber'], transcriberStatus: ACTIVE_TRANSCRIBER, transcriberLevels: PROOFREADER_LEVELS },
+
+    // Admin Routes
+    { path: '/admin-dashboard', userTypes: ['admin'] },
+    { path: '/admin/*', userTypes: ['admin'] },
+
+    // Trainee Routes
+    { path: '/trainee-dashboard', userTypes: ['trainee'], transcriberStatus: PAID_TRAINEE, redirectTo: '/training-payment' },
+    { path: '/trainee/materials', userTypes: ['trainee'], transcriberStatus: PAID_TRAINEE, redirectTo: '/training-payment' },
+    { path: '/trainee/training-room/:chatId', userTypes: ['trainee'], transcriberStatus: PAID_TRAINEE, redirectTo: '/training-payment' },
+
+    // Shared Routes
+    {
+        path: '/messages/search',
+        userTypes: ['client', 'transcriber', 'trainee'],
+        transcriberStatus: { ...ACTIVE_TRANSCRIBER, ...PAID_TRAINEE },
+    },
+];
+
+/**
+ * Matches a pathname against a route pattern. Supports ':param' segments and a trailing '/*'.
+ * @param {string} pattern
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export const matchesRoutePattern = (pattern, pathname) => {
+    const patternSegments = pattern.split('/').filter(Boolean);
+    const pathSegments = pathname.split('/').filter(Boolean);
+
+    const hasSplat = patternSegments[patternSegments.length - 1] === '*';
+    if (hasSplat) {
+        patternSegments.pop();
+        if (pathSegments.length < patternSegments.length) return false;
+    } else if (pathSegments.length !== patternSegments.length) {
+        return false;
+    }
+
+    return patternSegments.every((segment, index) => (
+        segment.startsWith(':') ? Boolean(pathSegments[index]) : segment === pathSegments[index]
+    ));
+};
+
+/**
+ * @param {string} pathname
+ * @param {Array<object>} [policies=ROUTE_POLICIES]
+ * @returns {object|null} The first policy whose path matches, or null.
+ */
+export const findRoutePolicy = (pathname, policies = ROUTE_POLICIES) => (
+    policies.find((policy) => matchesRoutePattern(policy.path, pathname)) || null
+);
+
+// Proofreaders are promoted transcribers and may use every page an active transcriber can.
+const hasAllowedStatus = (user, allowedStatuses) => (
+    allowedStatuses.includes(user.transcriber_status) ||
+    (user.transcriber_user_level === 'proofreader' && allowedStatuses.some((status) => ACTIVE_TRANSCRIBER_STATUSES.includes(status)))
+);
+
+/**
+ * The page a user lands on when they open a route they are not allowed to see.
+ * Mirrors the post-login redirects in Login.js.
+ * @param {object} user
+ * @returns {string}
+ */
+export const getHomePath = (user) => {
+    switch (user?.user_type) {
+        case 'admin':
+            return '/admin-dashboard';
+        case 'client':
+            return '/client-dashboard';
+        case 'trainee':
+            return hasAllowedStatus(user, PAID_TRAINEE_STATUSES) ? '/trainee-dashboard' : '/training-payment';
+        case 'transcriber':
+            if (hasAllowedStatus(user, ACTIVE_TRANSCRIBER_STATUSES)) return '/transcriber-dashboard';
+            if (user.transcriber_status === 'pending_assessment') return '/transcriber-test';
+            // Rejected applicants see their feedback and retake date there
+            if (user.transcriber_status === 'rejected') return '/transcriber-waiting';
+            return '/';
+        default:
+            return '/';
+    }
+};
+
+/**
+ * Decides whether an authenticated user may open a protected path.
+ * @param {object} user - The user from AuthContext.
+ * @param {string} pathname
+ * @param {Array<object>} [policies=ROUTE_POLICIES]
+ * @returns {{ allowed: boolean, redirectTo: string|null, policy: object|null }}
+ */
+export const resolveRouteAccess = (user, pathname, policies = ROUTE_POLICIES) => {
+    if (!user) {
+        return { allowed: false, redirectTo: '/login', policy: null };
+    }
+
+    const policy = findRoutePolicy(pathname, policies);
+    if (!policy) {
+        // Only reachable for protected routes missing from the table; authentication alone applies.
+        return { allowed: true, redirectTo: null, policy: null };
+    }
+
+    let redirectTo = null;
+    if (!policy.userTypes.includes(user.user_type)) {
+        redirectTo = getHomePath(user);
+    } else {
+        const allowedStatuses = policy.transcriberStatus?.[user.user_type];
+        const lacksLevel = user.user_type === 'transcriber' && policy.transcriberLevels
+            && !policy.transcriberLevels.includes(user.transcriber_user_level);
+        if ((allowedStatuses && !hasAllowedStatus(user, allowedStatuses)) || lacksLevel) {
+            redirectTo = policy.redirectTo || getHomePath(user);
+        }
+    }
+
+    if (!redirectTo) {
+        return { allowed: true, redirectTo: null, policy };
+    }
+    // Never redirect a user back onto the page they were just refused.
+    return { allowed: false, redirectTo: redirectTo === pathname ? '/' : redirectTo, policy };
+};
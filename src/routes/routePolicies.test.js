@@ -0,0 +1,208 @@
+import {
+    ROUTE_POLICIES,
+    findRoutePolicy,
+    getHomePath,
+    matchesRoutePattern,
+    resolveRouteAccess,
+} from './routePolicies';
+
+// One concrete path for every protected route in AppRoutes.js
+const CLIENT_PAGES = [
+    '/client-dashboard',
+    '/client-negotiations',
+    '/transcriber-pool',
+    '/client/chat/chat-1',
+    '/client-payments',
+    '/client-jobs',
+    '/client-completed-jobs',
+    '/client-direct-upload',
+];
+const TRANSCRIBER_PAGES = [
+    '/transcriber-dashboard',
+    '/transcriber-negotiations',
+    '/transcriber/chat/chat-1',
+    '/transcriber-payments',
+    '/transcriber-other-jobs',
+    '/transcriber-direct-upload-jobs',
+    '/transcriber-completed-direct-upload-jobs',
+    '/transcriber/workspace/direct_upload/job-1',
+    '/transcriber/workspace/negotiation/job-2',
+];
+const PROOFREADER_PAGES = ['/proofreader/queue', '/proofreader/review/job-1'];
+const ASSESSMENT_PAGES = ['/transcriber-test', '/transcriber-waiting'];
+const ADMIN_PAGES = [
+    '/admin-dashboard',
+    '/admin/transcriber-tests',
+    '/admin/transcriber-tests/submission-1',
+    '/admin/assessment-questions',
+    '/admin/transcriber-levels',
+    '/admin/users',
+    '/admin/jobs/job-1',
+    '/admin/settings',
+    '/admin/chat/user-1',
+    '/admin/payments/transcriber/user-2',
+    '/admin/training-room/chat-1',
+];
+const TRAINEE_PAGES = ['/trainee-dashboard', '/trainee/materials', '/trainee/training-room/chat-1'];
+const CLIENT_PROFILE = '/client-profile/user-1';
+const TRANSCRIBER_PROFILE = '/transcriber-profile/user-2';
+const DIRECT_UPLOAD_CHAT = '/chat/direct-upload/job-1';
+const MESSAGE_SEARCH = '/messages/search';
+
+const ALL_PAGES = [
+    ...CLIENT_PAGES,
+    ...TRANSCRIBER_PAGES,
+    ...PROOFREADER_PAGES,
+    ...ASSESSMENT_PAGES,
+    ...ADMIN_PAGES,
+    ...TRAINEE_PAGES,
+    CLIENT_PROFILE,
+    TRANSCRIBER_PROFILE,
+    DIRECT_UPLOAD_CHAT,
+    MESSAGE_SEARCH,
+];
+
+// Every role and transcriber_status combination, with the pages it may open and where it is sent otherwise.
+const USER_CASES = [
+    {
+        label: 'admin',
+        user: { id: 'a', user_type: 'admin' },
+        home: '/admin-dashboard',
+        allowed: ADMIN_PAGES,
+    },
+    {
+        label: 'client',
+        user: { id: 'c', user_type: 'client' },
+        home: '/client-dashboard',
+        allowed: [...CLIENT_PAGES, CLIENT_PROFILE, TRANSCRIBER_PROFILE, DIRECT_UPLOAD_CHAT, MESSAGE_SEARCH],
+    },
+    {
+        label: 'transcriber pending_assessment',
+        user: { id: 't1', user_type: 'transcriber', transcriber_status: 'pending_assessment' },
+        home: '/transcriber-test',
+        allowed: ASSESSMENT_PAGES,
+    },
+    {
+        label: 'transcriber rejected',
+        user: { id: 't2', user_type: 'transcriber', transcriber_status: 'rejected' },
+        home: '/transcriber-waiting',
+        allowed: ASSESSMENT_PAGES,
+    },
+    {
+        label: 'transcriber active_transcriber',
+        user: { id: 't3', user_type: 'transcriber', transcriber_status: 'active_transcriber' },
+        home: '/transcriber-dashboard',
+        allowed: [...TRANSCRIBER_PAGES, TRANSCRIBER_PROFILE, DIRECT_UPLOAD_CHAT, MESSAGE_SEARCH],
+    },
+    {
+        label: 'transcriber at proofreader level',
+        user: { id: 't4', user_type: 'transcriber', transcriber_status: null, transcriber_user_level: 'proofreader' },
+        home: '/transcriber-dashboard',
+        allowed: [...TRANSCRIBER_PAGES, ...PROOFREADER_PAGES, TRANSCRIBER_PROFILE, DIRECT_UPLOAD_CHAT, MESSAGE_SEARCH],
+    },
+    {
+        label: 'active transcriber at senior level',
+        user: { id: 't6', user_type: 'transcriber', transcriber_status: 'active_transcriber', transcriber_user_level: 'senior_transcriber' },
+        home: '/transcriber-dashboard',
+        allowed: [...TRANSCRIBER_PAGES, TRANSCRIBER_PROFILE, DIRECT_UPLOAD_CHAT, MESSAGE_SEARCH],
+    },
+    {
+        label: 'transcriber without a status',
+        user: { id: 't5', user_type: 'transcriber', transcriber_status: null },
+        home: '/',
+        allowed: [],
+    },
+    {
+        label: 'trainee pending_training_payment',
+        user: { id: 'tr1', user_type: 'trainee', transcriber_status: 'pending_training_payment' },
+        home: '/training-payment',
+        allowed: [],
+    },
+    {
+        label: 'trainee paid_training_fee',
+        user: { id: 'tr2', user_type: 'trainee', transcriber_status: 'paid_training_fee' },
+        home: '/trainee-dashboard',
+        allowed: [...TRAINEE_PAGES, MESSAGE_SEARCH],
+    },
+];
+
+const COMBINATIONS = USER_CASES.flatMap(({ label, user, home, allowed }) => (
+    ALL_PAGES.map((path) => [label, path, user, allowed.includes(path) ? null : home])
+));
+
+describe('resolveRouteAccess', () => {
+    test.each(COMBINATIONS)('%s opening %s', (label, path, user, expectedRedirect) => {
+        const result = resolveRouteAccess(user, path);
+        expect(result.allowed).toBe(expectedRedirect === null);
+        expect(result.redirectTo).toBe(expectedRedirect);
+    });
+
+    test('every protected page has a policy', () => {
+        ALL_PAGES.forEach((path) => {
+            expect(findRoutePolicy(path)).not.toBeNull();
+        });
+    });
+
+    test('sends a missing user to /login', () => {
+        expect(resolveRouteAccess(null, '/client-dashboard')).toEqual({ allowed: false, redirectTo: '/login', policy: null });
+    });
+
+    test('allows paths without a policy', () => {
+        expect(resolveRouteAccess({ user_type: 'client' }, '/not-in-the-table')).toMatchObject({ allowed: true, redirectTo: null });
+    });
+
+    test('uses the policy redirectTo when the status check fails', () => {
+        const policies = [{ path: '/reports', userTypes: ['transcriber'], transcriberStatus: { transcriber: ['active_transcriber'] }, redirectTo: '/transcriber-waiting' }];
+        const user = { user_type: 'transcriber', transcriber_status: 'pending_assessment' };
+        expect(resolveRouteAccess(user, '/reports', policies).redirectTo).toBe('/transcriber-waiting');
+    });
+
+    test('falls back to / instead of redirecting to the refused page', () => {
+        const policies = [{ path: '/reports', userTypes: ['trainee'], transcriberStatus: { trainee: ['paid_training_fee'] }, redirectTo: '/reports' }];
+        const user = { user_type: 'trainee', transcriber_status: 'pending_training_payment' };
+        expect(resolveRouteAccess(user, '/reports', policies).redirectTo).toBe('/');
+    });
+
+    test('does not status-check user types without an entry in transcriberStatus', () => {
+        const policy = ROUTE_POLICIES.find((p) => p.path === '/chat/direct-upload/:jobId');
+        expect(policy.transcriberStatus.client).toBeUndefined();
+        expect(resolveRouteAccess({ user_type: 'client' }, DIRECT_UPLOAD_CHAT).allowed).toBe(true);
+    });
+});
+
+describe('getHomePath', () => {
+    test.each(USER_CASES.map(({ label, user, home }) => [label, user, home]))('%s', (label, user, home) => {
+        expect(getHomePath(user)).toBe(home);
+    });
+
+    test('every home page is one the user may open', () => {
+        USER_CASES.forEach(({ user, home }) => {
+            expect(resolveRouteAccess(user, home).allowed).toBe(true);
+        });
+    });
+
+    test('unknown user types go to the landing page', () => {
+        expect(getHomePath({ user_type: 'guest' })).toBe('/');
+        expect(getHomePath(null)).toBe('/');
+    });
+});
+
+describe('matchesRoutePattern', () => {
+    test('matches static paths exactly', () => {
+        expect(matchesRoutePattern('/client-jobs', '/client-jobs')).toBe(true);
+        expect(matchesRoutePattern('/client-jobs', '/client-jobs/')).toBe(true);
+        expect(matchesRoutePattern('/client-jobs', '/client-jobs/extra')).toBe(false);
+        expect(matchesRoutePattern('/client-jobs', '/client')).toBe(false);
+    });
+
+    test('matches :param segments with any value', () => {
+        expect(matchesRoutePattern('/admin/jobs/:jobId', '/admin/jobs/123')).toBe(true);
+        expect(matchesRoutePattern('/admin/jobs/:jobId', '/admin/jobs')).toBe(false);
+    });
+
+    test('matches a trailing splat against any deeper path', () => {
+        expect(matchesRoutePattern('/admin/*', '/admin/users')).toBe(true);
+        expect(matchesRoutePattern('/admin/*', '/admin/payments/transcriber/1')).toBe(true);
+        expect(matchesRoutePattern('/admin/*', '/admin-dashboard')).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+// src/transcription/ShortcutSettings.js
+// Lets the transcriber rebind the workspace shortcuts: click a binding, then press the new combo.
+
+import React, { useState } from 'react';
+import { SHORTCUT_ACTIONS, eventToCombo, hasModifier, findShortcutConflict } from './workspaceShortcuts';
+
+const actionLabel = (actionId) => SHORTCUT_ACTIONS.find((action) => action.id === actionId)?.label || actionId;
+
+/**
+ * @param {object} props
+ * @param {Object<string, string>} props.shortcuts - Action ID to combo string.
+ * @param {(shortcuts: Object<string, string>) => void} props.onChange
+ * @param {() => void} props.onReset - Restores the default bindings.
+ */
+const ShortcutSettings = ({ shortcuts, onChange, onReset }) => {
+    const [listeningFor, setListeningFor] = useState(null);
+    const [captureError, setCaptureError] = useState('');
+
+    const handleCaptureKeyDown = (event, actionId) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+            setListeningFor(null);
+            setCaptureError('');
+            return;
+        }
+        const combo = eventToCombo(event);
+        if (!combo) return; // Still waiting for the non-modifier key
+
+        if (!hasModifier(combo)) {
+            setCaptureError('Include Ctrl, Alt or Meta so the shortcut does not get in the way of typing.');
+            return;
+        }
+        const conflict = findShortcutConflict(shortcuts, actionId, combo);
+        if (conflict) {
+            setCaptureError(`${combo} is already used for "${actionLabel(conflict)}".`);
+            return;
+        }
+        onChange({ ...shortcuts, [actionId]: combo });
+        setListeningFor(null);
+        setCaptureError('');
+    };
+
+    return (
+        <div className="shortcut-settings">
+            <table className="shortcut-table">
+                <tbody>
+                    {SHORTCUT_ACTIONS.map(({ id, label }) => (
+                        <tr key={id}>
+                            <td>{label}</td>
+                            <td>
+                                <button
+                                    type="button"
+                                    className={`shortcut-binding-btn ${listeningFor === id ? 'listening' : ''}`}
+                                    onClick={() => { setListeningFor(id); setCaptureError(''); }}
+                                    onKeyDown={listeningFor === id ? (event) => handleCaptureKeyDown(event, id) : undefined}
+                                    onBlur={() => { if (listeningFor === id) setListeningFor(null); }}
+                                >
+                                    {listeningFor === id ? 'Press keys… (Esc to cancel)' : shortcuts[id]}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {captureError && <p className="shortcut-error">{captureError}</p>}
+            <button type="button" className="reset-shortcuts-btn" onClick={onReset}>
+                Restore Defaults
+            </button>
+        </div>
+    );
+};
+
+export default ShortcutSettings;
@@ -0,0 +1,39 @@
+// src/transcription/TranscriptChecklist.js
+// Pass/fail list of the checks from transcriptValidation.js, shown before a transcript is submitted.
+
+import React from 'react';
+import './TranscriptChecklist.css';
+
+const STATUS_ICONS = { pass: '✅', fail: '❌', warning: '⚠️' };
+
+/**
+ * @param {object} props
+ * @param {import('./transcriptValidation').ValidationCheck[]|null} props.checks
+ * @param {boolean} props.loading
+ */
+const TranscriptChecklist = ({ checks, loading }) => {
+    if (loading) {
+        return <p className="transcript-checklist-note">Checking your transcript...</p>;
+    }
+    if (!checks) return null;
+
+    return (
+        <ul className="transcript-checklist">
+            {checks.map((item) => (
+                <li key={item.id} className={`checklist-item ${item.status}`}>
+                    <span className="checklist-icon">{STATUS_ICONS[item.status]}</span>
+                    <div>
+                        <span className="checklist-label">{item.label}</span>
+                        {item.details.length > 0 && (
+                            <ul className="checklist-details">
+                                {item.details.map((detail) => <li key={detail}>{detail}</li>)}
+                            </ul>
+                        )}
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default TranscriptChecklist;
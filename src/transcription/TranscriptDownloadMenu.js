@@ -0,0 +1,110 @@
+// src/transcription/TranscriptDownloadMenu.js
+// Download menu for a completed job's transcript. The transcript is fetched when the menu is first
+// opened and every format is generated in the browser by transcriptExport.js.
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getJobTranscript } from '../api/transcripts';
+import { parseTranscript } from './transcriptText';
+import { EXPORT_FORMATS, getAvailableFormats, exportTranscript, saveExport } from './transcriptExport';
+import './TranscriptDownloadMenu.css';
+
+/**
+ * @param {object} props
+ * @param {string} props.jobType - 'direct_upload' | 'negotiation'
+ * @param {string} props.jobId
+ * @param {(message: string, type?: string) => void} props.showToast
+ * @param {React.ReactNode} [props.label]
+ * @param {string} [props.buttonClassName]
+ */
+const TranscriptDownloadMenu = ({ jobType, jobId, showToast, label = 'Download Transcript', buttonClassName = 'action-btn download-btn' }) => {
+    const getSignal = useAbortSignal();
+    const [open, setOpen] = useState(false);
+    const [transcript, setTranscript] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [open]);
+
+    const availableFormats = useMemo(
+        () => (transcript ? getAvailableFormats(parseTranscript(transcript.content)) : []),
+        [transcript]
+    );
+
+    const handleToggle = async (e) => {
+        e.stopPropagation();
+        if (open) {
+            setOpen(false);
+            return;
+        }
+        setOpen(true);
+        if (transcript || loading) return;
+
+        setLoading(true);
+        try {
+            const data = await getJobTranscript(jobType, jobId, { signal: getSignal() });
+            setTranscript(data.transcript);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            setOpen(false);
+            if (error.status === 404) {
+                showToast('No transcript has been submitted for this job yet.', 'error');
+            } else {
+                showToast(error.isNetworkError ? 'Network error while loading the transcript.' : error.message || 'Failed to load the transcript.', 'error');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleExport = (e, format) => {
+        e.stopPropagation();
+        try {
+            const file = exportTranscript(format.id, transcript, jobId);
+            saveExport(file);
+            showToast(`Downloading ${file.fileName}...`, 'success');
+            setOpen(false);
+        } catch (error) {
+            console.error('TranscriptDownloadMenu: Export failed:', error);
+            showToast(error.message || 'Failed to export the transcript.', 'error');
+        }
+    };
+
+    return (
+        <div className="transcript-download-menu" ref={menuRef}>
+            <button type="button" onClick={handleToggle} className={buttonClassName} title="Download Transcript" aria-expanded={open}>
+                {label}
+            </button>
+            {open && (
+                <ul className="transcript-format-list">
+                    {loading && <li className="transcript-format-note">Loading transcript...</li>}
+                    {!loading && transcript && EXPORT_FORMATS.map((format) => {
+                        const available = availableFormats.includes(format);
+                        return (
+                            <li key={format.id}>
+                                <button
+                                    type="button"
+                                    onClick={(e) => handleExport(e, format)}
+                                    disabled={!available}
+                                    title={available ? undefined : 'Captions need a timestamped transcript.'}
+                                >
+                                    {format.label}
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TranscriptDownloadMenu;
@@ -0,0 +1,423 @@
+// src/transcription/TranscriptionWorkspace.js
+// In-browser transcription editor for a transcriber's active direct-upload or negotiation job:
+// streams the job media with speed control and rewind-on-pause, and autosaves the transcript draft.
+// Route: /transcriber/workspace/:jobType/:jobId
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import Toast from '../Toast';
+import { useAuth } from '../contexts/AuthContext';
+import { isAbortError } from '../api/apiClient';
+import useAbortSignal from '../api/useAbortSignal';
+import { getDirectUploadJob } from '../api/directUploads';
+import { getTranscriberNegotiations } from '../api/negotiations';
+import { getJobMediaUrl } from '../api/transcripts';
+import useTranscriptAutosave from './useTranscriptAutosave';
+import ShortcutSettings from './ShortcutSettings';
+import { DEFAULT_SHORTCUTS, eventToCombo, findShortcutAction, loadShortcuts, saveShortcuts } from './workspaceShortcuts';
+import { formatTimestamp, parseSpeakerNames, buildSpeakerLabel, insertAtCaret } from './transcriptText';
+import './TranscriptionWorkspace.css';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const SKIP_SECONDS = 5;
+const PREFERENCES_STORAGE_KEY = 'transcriptionPreferences';
+const DEFAULT_PREFERENCES = { playbackRate: 1, rewindOnPauseSeconds: 2 };
+
+const JOB_TYPES = {
+    direct_upload: {
+        label: 'Direct Upload Job',
+        backPath: '/transcriber-direct-upload-jobs',
+        activeStatuses: ['taken', 'in_progress'],
+        loadJob: async (jobId, signal) => (await getDirectUploadJob(jobId, { signal })).job,
+        fileName: (job) => job.file_name,
+        instructions: (job) => job.client_instructions,
+    },
+    negotiation: {
+        label: 'Negotiation Job',
+        backPath: '/transcriber-negotiations',
+        activeStatuses: ['hired', 'in_progress'],
+        loadJob: async (jobId, signal) => {
+            const { negotiations } = await getTranscriberNegotiations({ signal });
+            return (negotiations || []).find((negotiation) => String(negotiation.id) === String(jobId)) || null;
+        },
+        fileName: (job) => job.negotiation_files,
+        instructions: (job) => job.requirements,
+    },
+};
+
+const readPreferences = () => {
+    try {
+        return { ...DEFAULT_PREFERENCES, ...JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) };
+    } catch (error) {
+        return { ...DEFAULT_PREFERENCES };
+    }
+};
+
+const formatSavedTime = (isoTimestamp) => (isoTimestamp ? new Date(isoTimestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '');
+
+const SaveStatus = ({ autosave }) => {
+    const { status, error, lastSavedAt, saveNow, overwriteServerDraft, loadServerDraft } = autosave;
+    if (status === 'conflict') {
+        return (
+            <div className="save-status conflict">
+                <span>⚠️ {error}</span>
+                <button type="button" onClick={overwriteServerDraft}>Keep My Version</button>
+                <button type="button" onClick={loadServerDraft}>Load Saved Version</button>
+            </div>
+        );
+    }
+    if (status === 'error') {
+        return (
+            <div className="save-status error">
+                <span>❌ {error}</span>
+                <button type="button" onClick={saveNow}>Retry Save</button>
+            </div>
+        );
+    }
+    const text = {
+        loading: 'Loading draft...',
+        saving: 'Saving...',
+        unsaved: 'Unsaved changes',
+        saved: lastSavedAt ? `All changes saved at ${formatSavedTime(lastSavedAt)}` : 'No changes yet',
+    }[status];
+    return <div className={`save-status ${status}`}>{text}</div>;
+};
+
+const TranscriptionWorkspace = () => {
+    const { jobType, jobId } = useParams();
+    const { user, logout } = useAuth();
+    const getSignal = useAbortSignal();
+    const jobTypeConfig = JOB_TYPES[jobType];
+
+    const [job, setJob] = useState(null);
+    const [jobLoading, setJobLoading] = useState(true);
+    const [jobError, setJobError] = useState('');
+    const [mediaUrl, setMediaUrl] = useState('');
+    const [playbackRate, setPlaybackRate] = useState(() => readPreferences().playbackRate);
+    const [rewindOnPauseSeconds, setRewindOnPauseSeconds] = useState(() => readPreferences().rewindOnPauseSeconds);
+    const [speakerNamesInput, setSpeakerNamesInput] = useState('Speaker 1, Speaker 2');
+    const [nextSpeakerIndex, setNextSpeakerIndex] = useState(0);
+    const [shortcuts, setShortcuts] = useState(loadShortcuts);
+    const [showShortcutSettings, setShowShortcutSettings] = useState(false);
+    const [toast, setToast] = useState({ isVisible: false, message: '', type: 'success' });
+
+    const audioRef = useRef(null);
+    const editorRef = useRef(null);
+    const pendingCaretRef = useRef(null);
+    const resumeAtRef = useRef(null);
+
+    const autosave = useTranscriptAutosave(jobType, jobId);
+    const { content, setContent } = autosave;
+    const speakerNames = parseSpeakerNames(speakerNamesInput);
+    const isEditable = Boolean(job && jobTypeConfig?.activeStatuses.includes(job.status));
+    const readOnly = !isEditable || autosave.status === 'loading';
+
+    const showToast = useCallback((message, type = 'success') => setToast({ isVisible: true, message, type }), []);
+    const hideToast = useCallback(() => setToast((prev) => ({ ...prev, isVisible: false })), []);
+
+    const fetchMediaUrl = useCallback(async () => {
+        try {
+            const { url } = await getJobMediaUrl(jobType, jobId, { signal: getSignal() });
+            setMediaUrl(url);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            showToast(error.isNetworkError ? 'Network error while loading the job audio.' : error.message || 'Failed to load the job audio.', 'error');
+        }
+    }, [jobType, jobId, getSignal, showToast]);
+
+    useEffect(() => {
+        if (!jobTypeConfig) {
+            setJobError('Unknown job type.');
+            setJobLoading(false);
+            return;
+        }
+        const loadJob = async () => {
+            setJobLoading(true);
+            try {
+                const loadedJob = await jobTypeConfig.loadJob(jobId, getSignal());
+                if (!loadedJob) {
+                    setJobError('This job could not be found among your jobs.');
+                    return;
+                }
+                setJob(loadedJob);
+                fetchMediaUrl();
+            } catch (error) {
+                if (isAbortError(error)) return;
+                setJobError(error.isNetworkError ? 'Network error while loading the job.' : error.message || 'Failed to load the job.');
+            } finally {
+                setJobLoading(false);
+            }
+        };
+        loadJob();
+    }, [jobTypeConfig, jobId, getSignal, fetchMediaUrl]);
+
+    useEffect(() => {
+        if (audioRef.current) audioRef.current.playbackRate = playbackRate;
+    }, [playbackRate, mediaUrl]);
+
+    useEffect(() => {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify({ playbackRate, rewindOnPauseSeconds }));
+    }, [playbackRate, rewindOnPauseSeconds]);
+
+    // Put the caret back after a programmatic insertion, once the new text has rendered.
+    useEffect(() => {
+        if (pendingCaretRef.current === null || !editorRef.current) return;
+        editorRef.current.focus();
+        editorRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+        pendingCaretRef.current = null;
+    }, [content]);
+
+    // The signed URL expires; when playback fails, fetch a fresh one and continue where it stopped.
+    const handleMediaError = useCallback(() => {
+        if (resumeAtRef.current !== null) return;
+        resumeAtRef.current = audioRef.current?.currentTime || 0;
+        fetchMediaUrl();
+    }, [fetchMediaUrl]);
+
+    const handleMediaLoaded = useCallback(() => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        audio.playbackRate = playbackRate;
+        if (resumeAtRef.current !== null) {
+            audio.currentTime = resumeAtRef.current;
+            resumeAtRef.current = null;
+        }
+    }, [playbackRate]);
+
+    const handlePause = useCallback(() => {
+        const audio = audioRef.current;
+        if (!audio || audio.ended || audio.seeking || rewindOnPauseSeconds <= 0) return;
+        audio.currentTime = Math.max(audio.currentTime - rewindOnPauseSeconds, 0);
+    }, [rewindOnPauseSeconds]);
+
+    const insertText = useCallback((insertion, options) => {
+        const editor = editorRef.current;
+        if (!editor || readOnly) return;
+        const result = insertAtCaret(content, editor.selectionStart, editor.selectionEnd, insertion, options);
+        pendingCaretRef.current = result.caret;
+        setContent(result.text);
+    }, [content, setContent, readOnly]);
+
+    const changeSpeed = useCallback((direction) => {
+        setPlaybackRate((current) => {
+            const index = PLAYBACK_RATES.indexOf(current);
+            const nextIndex = Math.min(Math.max((index === -1 ? 2 : index) + direction, 0), PLAYBACK_RATES.length - 1);
+            return PLAYBACK_RATES[nextIndex];
+        });
+    }, []);
+
+    const runAction = useCallback((actionId) => {
+        const audio = audioRef.current;
+        switch (actionId) {
+            case 'playPause':
+                if (!audio) return;
+                if (audio.paused) {
+                    audio.play().catch((error) => console.warn('TranscriptionWorkspace: Playback failed:', error.message));
+                } else {
+                    audio.pause();
+                }
+                break;
+            case 'rewind':
+                if (audio) audio.currentTime = Math.max(audio.currentTime - SKIP_SECONDS, 0);
+                break;
+            case 'forward':
+                if (audio) audio.currentTime = Math.min(audio.currentTime + SKIP_SECONDS, audio.duration || Infinity);
+                break;
+            case 'speedDown':
+                changeSpeed(-1);
+                break;
+            case 'speedUp':
+                changeSpeed(1);
+                break;
+            case 'insertTimestamp':
+                insertText(formatTimestamp(audio?.currentTime));
+                break;
+            case 'insertSpeaker': {
+                // Nothing is inserted into a read-only transcript, so the speaker cycle stays put
+                if (readOnly) return;
+                if (speakerNames.length === 0) {
+                    showToast('Add at least one speaker name first.', 'error');
+                    return;
+                }
+                const speaker = speakerNames[nextSpeakerIndex % speakerNames.length];
+                insertText(buildSpeakerLabel(audio?.currentTime, speaker), { onNewLine: true });
+                setNextSpeakerIndex((nextSpeakerIndex + 1) % speakerNames.length);
+                break;
+            }
+            default:
+                break;
+        }
+    }, [changeSpeed, insertText, readOnly, speakerNames, nextSpeakerIndex, showToast]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            const combo = eventToCombo(event);
+            const actionId = combo && findShortcutAction(shortcuts, combo);
+            if (!actionId) return;
+            event.preventDefault();
+            runAction(actionId);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [shortcuts, runAction]);
+
+    const handleShortcutsChange = useCallback((nextShortcuts) => {
+        setShortcuts(nextShortcuts);
+        saveShortcuts(nextShortcuts);
+    }, []);
+
+    const handleInsertSpeaker = (index) => {
+        if (readOnly) return;
+        insertText(buildSpeakerLabel(audioRef.current?.currentTime, speakerNames[index]), { onNewLine: true });
+        setNextSpeakerIndex((index + 1) % speakerNames.length);
+    };
+
+    const shortcutHint = (actionId) => (shortcuts[actionId] ? ` (${shortcuts[actionId]})` : '');
+
+    if (jobLoading) {
+        return <div className="loading-container">Loading workspace...</div>;
+    }
+
+    const backPath = jobTypeConfig?.backPath || '/transcriber-dashboard';
+
+    return (
+        <div className="transcription-workspace-container">
+            <header className="transcription-workspace-header">
+                <div className="header-content">
+                    <h1>Transcription Workspace</h1>
+                    <div className="user-profile-actions">
+                        <span className="welcome-text-badge">Welcome, <strong>{user?.full_name}</strong>!</span>
+                        <button onClick={logout} className="logout-btn">
+                            Logout
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="transcription-workspace-main">
+                <div className="page-header">
+                    <div className="header-text">
+                        <h2>{jobTypeConfig?.label || 'Job'} {job ? `— ${jobTypeConfig.fileName(job) || jobId}` : ''}</h2>
+                        {job && jobTypeConfig.instructions(job) && <p>{jobTypeConfig.instructions(job)}</p>}
+                    </div>
+                    <Link to={backPath} className="back-to-dashboard-btn">
+                        ← Back to Jobs
+                    </Link>
+                </div>
+
+                {jobError ? (
+                    <p className="workspace-error">{jobError}</p>
+                ) : (
+                    <>
+                        {!isEditable && (
+                            <p className="workspace-notice">
+                                This job is no longer active, so the transcript is read-only.
+                            </p>
+                        )}
+
+                        <section className="workspace-player">
+                            {mediaUrl ? (
+                                <audio
+                                    ref={audioRef}
+                                    src={mediaUrl}
+                                    controls
+                                    preload="metadata"
+                                    onLoadedMetadata={handleMediaLoaded}
+                                    onPause={handlePause}
+                                    onError={handleMediaError}
+                                />
+                            ) : (
+                                <p>Loading audio...</p>
+                            )}
+                            <div className="player-controls">
+                                <button type="button" onClick={() => runAction('rewind')}>⏪ {SKIP_SECONDS}s{shortcutHint('rewind')}</button>
+                                <button type="button" onClick={() => runAction('playPause')}>⏯ Play / Pause{shortcutHint('playPause')}</button>
+                                <button type="button" onClick={() => runAction('forward')}>{SKIP_SECONDS}s ⏩{shortcutHint('forward')}</button>
+                                <label>
+                                    Speed
+                                    <select value={playbackRate} onChange={(e) => setPlaybackRate(Number(e.target.value))}>
+                                        {PLAYBACK_RATES.map((rate) => (
+                                            <option key={rate} value={rate}>{rate}x</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label>
+                                    Rewind on pause
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="10"
+                                        step="0.5"
+                                        value={rewindOnPauseSeconds}
+                                        onChange={(e) => setRewindOnPauseSeconds(Math.min(Math.max(Number(e.target.value) || 0, 0), 10))}
+                                    />
+                                    s
+                                </label>
+                            </div>
+                        </section>
+
+                        <section className="workspace-tools">
+                            <button type="button" onClick={() => runAction('insertTimestamp')} disabled={!isEditable}>
+                                Insert Timestamp{shortcutHint('insertTimestamp')}
+                            </button>
+                            <label className="speaker-names-input">
+                                Speakers (comma-separated)
+                                <input
+                                    type="text"
+                                    value={speakerNamesInput}
+                                    onChange={(e) => { setSpeakerNamesInput(e.target.value); setNextSpeakerIndex(0); }}
+                                />
+                            </label>
+                            <div className="speaker-buttons">
+                                {speakerNames.map((name, index) => (
+                                    <button
+                                        key={`${name}-${index}`}
+                                        type="button"
+                                        className={index === nextSpeakerIndex % speakerNames.length ? 'next-speaker' : ''}
+                                        onClick={() => handleInsertSpeaker(index)}
+                                        disabled={!isEditable}
+                                    >
+                                        {name}
+                                    </button>
+                                ))}
+                            </div>
+                            <button type="button" className="toggle-shortcuts-btn" onClick={() => setShowShortcutSettings((prev) => !prev)}>
+                                {showShortcutSettings ? 'Hide Shortcuts' : 'Keyboard Shortcuts'}
+                            </button>
+                        </section>
+
+                        {showShortcutSettings && (
+                            <ShortcutSettings
+                                shortcuts={shortcuts}
+                                onChange={handleShortcutsChange}
+                                onReset={() => handleShortcutsChange({ ...DEFAULT_SHORTCUTS })}
+                            />
+                        )}
+
+                        <section className="workspace-editor">
+                            <SaveStatus autosave={autosave} />
+                            <textarea
+                                ref={editorRef}
+                                value={content}
+                                onChange={(e) => setContent(e.target.value)}
+                                readOnly={readOnly}
+                                placeholder="Start typing the transcript..."
+                                spellCheck
+                            />
+                        </section>
+                    </>
+                )}
+            </main>
+
+            <Toast
+                message={toast.message}
+                type={toast.type}
+                isVisible={toast.isVisible}
+                onClose={hideToast}
+                duration={toast.type === 'error' ? 5000 : 3000}
+            />
+        </div>
+    );
+};
+
+export default TranscriptionWorkspace;
@@ -0,0 +1,140 @@
+// src/transcription/docxWriter.js
+// Builds a minimal .docx (a ZIP of WordprocessingML parts) in the browser, so transcript exports do
+// not need a server round trip or a document library. Entries are stored uncompressed.
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+    + '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+    + '</Relationships>';
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed ZIP archive.
+ * @param {{ name: string, data: Uint8Array }[]} files
+ * @returns {Uint8Array}
+ */
+export const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(8, 0, true); // Stored, no compression
+        local.setUint16(12, 0x0021, true); // 1980-01-01, the earliest DOS date
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(14, 0x0021, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
+
+// XML 1.0 does not allow most control characters, even escaped.
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+export const escapeXml = (text) => String(text)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const runXml = ({ text, bold = false, color, size }) => {
+    const properties = [
+        bold ? '<w:b/>' : '',
+        color ? `<w:color w:val="${color}"/>` : '',
+        size ? `<w:sz w:val="${size}"/>` : '',
+    ].join('');
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+};
+
+/**
+ * @typedef {object} DocxRun
+ * @property {string} text
+ * @property {boolean} [bold]
+ * @property {string} [color] - Hex without '#', e.g. '666666'.
+ * @property {number} [size] - In half-points (24 = 12pt).
+ */
+
+/**
+ * @param {DocxRun[][]} paragraphs - Each paragraph is a list of runs.
+ * @returns {Uint8Array} The .docx file contents.
+ */
+export const buildDocx = (paragraphs) => {
+    const body = paragraphs.map((runs) => `<w:p>${runs.map(runXml).join('')}</w:p>`).join('');
+    const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+        + `<w:body>${body}<w:sectPr/></w:body></w:document>`;
+
+    const encoder = new TextEncoder();
+    return createZip([
+        { name: '[Content_Types].xml', data: encoder.encode(CONTENT_TYPES_XML) },
+        { name: '_rels/.rels', data: encoder.encode(ROOT_RELS_XML) },
+        { name: 'word/document.xml', data: encoder.encode(documentXml) },
+    ]);
+};
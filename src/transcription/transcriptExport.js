@@ -0,0 +1,208 @@
+// src/transcription/transcriptExport.js
+// Turns a delivered transcript into downloadable .docx, .srt, .vtt, .txt or .json files in the
+// browser. Timestamps and speaker labels are kept or dropped according to the special requirements
+// the client ordered; caption formats are only offered when the transcript has timestamps.
+
+import { parseTranscript, stripTimestamps, formatTimestamp } from './transcriptText';
+import { buildDocx } from './docxWriter';
+
+// How long the final caption stays up when the media duration is unknown.
+const LAST_CUE_SECONDS = 5;
+const CAPTION_LINE_LENGTH = 42;
+
+export const EXPORT_FORMATS = [
+    { id: 'docx', label: 'Word (.docx)', extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    { id: 'srt', label: 'SubRip captions (.srt)', extension: 'srt', mimeType: 'application/x-subrip', needsTimestamps: true },
+    { id: 'vtt', label: 'WebVTT captions (.vtt)', extension: 'vtt', mimeType: 'text/vtt', needsTimestamps: true },
+    { id: 'txt', label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain;charset=utf-8' },
+    { id: 'json', label: 'JSON (.json)', extension: 'json', mimeType: 'application/json' },
+];
+
+/**
+ * Jobs without special requirements (e.g. negotiation jobs) keep whatever the transcriber wrote.
+ * @param {string[]} [specialRequirements]
+ * @returns {{ includeTimestamps: boolean, includeSpeakers: boolean }}
+ */
+export const getExportOptions = (specialRequirements) => {
+    if (!Array.isArray(specialRequirements) || specialRequirements.length === 0) {
+        return { includeTimestamps: true, includeSpeakers: true };
+    }
+    return {
+        includeTimestamps: specialRequirements.includes('timestamps'),
+        includeSpeakers: specialRequirements.includes('speaker_identification'),
+    };
+};
+
+export const hasTimestamps = (segments) => segments.some((segment) => segment.start !== null);
+
+export const getAvailableFormats = (segments) => EXPORT_FORMATS.filter((format) => !format.needsTimestamps || hasTimestamps(segments));
+
+/**
+ * Groups segments into timed cues: a timestamped line starts a cue, untimed lines join the cue before
+ * them, and each cue ends where the next begins.
+ * @param {import('./transcriptText').TranscriptSegment[]} segments
+ * @param {number} [durationSeconds] - Media length, used to end the final cue.
+ * @returns {{ start: number, end: number, speaker: string|null, text: string }[]}
+ */
+export const buildCues = (segments, durationSeconds) => {
+    const cues = [];
+    segments.forEach(({ start, speaker, text }) => {
+        const cleanText = stripTimestamps(text);
+        const current = cues[cues.length - 1];
+        if (start === null && current) {
+            current.text = [current.text, cleanText].filter(Boolean).join(' ');
+        } else {
+            cues.push({ start: start === null ? 0 : start, speaker, text: cleanText });
+        }
+    });
+    return cues
+        .filter((cue) => cue.text)
+        .map((cue, index, list) => {
+            const next = list[index + 1];
+            let end;
+            if (next) {
+                end = Math.max(next.start, cue.start + 1);
+            } else {
+                end = durationSeconds > cue.start ? durationSeconds : cue.start + LAST_CUE_SECONDS;
+            }
+            return { ...cue, end };
+        });
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/** @returns {string} 'hh:mm:ss' + separator + 'mmm' */
+export const formatCueTime = (seconds, separator) => {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+// Captions are easier to read in lines of about 42 characters.
+const wrapCaption = (text) => {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach((word) => {
+        if (line && (line.length + 1 + word.length) > CAPTION_LINE_LENGTH) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines.join('\n');
+};
+
+export const toSrt = (segments, { includeSpeakers }, durationSeconds) => buildCues(segments, durationSeconds)
+    .map((cue, index) => {
+        const text = includeSpeakers && cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text;
+        return `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${wrapCaption(text)}\n`;
+    })
+    .join('\n');
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toVtt = (segments, { includeSpeakers }, durationSeconds) => {
+    const cues = buildCues(segments, durationSeconds).map((cue) => {
+        const text = wrapCaption(escapeVtt(cue.text));
+        const voiced = includeSpeakers && cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${text}` : text;
+        return `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${voiced}\n`;
+    });
+    return ['WEBVTT\n', ...cues].join('\n');
+};
+
+const segmentPrefix = ({ start, speaker }, { includeTimestamps, includeSpeakers }) => ({
+    timestamp: includeTimestamps && start !== null ? `${formatTimestamp(start)} ` : '',
+    speaker: includeSpeakers && speaker ? `${speaker}: ` : '',
+});
+
+const segmentBody = (segment, { includeTimestamps }) => (includeTimestamps ? segment.text : stripTimestamps(segment.text));
+
+export const toPlainText = (segments, options) => segments
+    .map((segment) => {
+        const prefix = segmentPrefix(segment, options);
+        return `${prefix.timestamp}${prefix.speaker}${segmentBody(segment, options)}`;
+    })
+    .join('\n') + '\n';
+
+/** JSON keeps every field regardless of the options, for clients who post-process the transcript. */
+export const toJson = (segments, { jobId, fileName }, durationSeconds) => JSON.stringify({
+    job_id: jobId,
+    file_name: fileName,
+    exported_at: new Date().toISOString(),
+    segments: segments.map((segment, index) => {
+        let end = null;
+        if (segment.start !== null) {
+            const next = segments.slice(index + 1).find((candidate) => candidate.start !== null);
+            if (next) {
+                end = Math.max(next.start, segment.start);
+            } else {
+                end = durationSeconds > segment.start ? durationSeconds : segment.start + LAST_CUE_SECONDS;
+            }
+        }
+        return { start: segment.start, end, speaker: segment.speaker, text: segment.text };
+    }),
+}, null, 2);
+
+export const toDocx = (segments, options, title) => buildDocx([
+    [{ text: title, bold: true, size: 32 }],
+    ...segments.map((segment) => {
+        const prefix = segmentPrefix(segment, options);
+        return [
+            prefix.timestamp && { text: prefix.timestamp, color: '666666' },
+            prefix.speaker && { text: prefix.speaker, bold: true },
+            { text: segmentBody(segment, options) },
+        ].filter(Boolean);
+    }),
+]);
+
+const baseName = (fileName, jobId) => {
+    const name = (fileName || `job-${jobId}`).replace(/\.[^.]+$/, '');
+    return `${name}-transcript`;
+};
+
+/**
+ * @param {string} formatId - One of EXPORT_FORMATS' ids.
+ * @param {{ content: string, duration_seconds?: number, special_requirements?: string[], file_name?: string }} transcript
+ * @param {string} jobId
+ * @returns {{ data: string|Uint8Array, fileName: string, mimeType: string }}
+ */
+export const exportTranscript = (formatId, transcript, jobId) => {
+    const format = EXPORT_FORMATS.find((candidate) => candidate.id === formatId);
+    if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+    const segments = parseTranscript(transcript.content);
+    if (format.needsTimestamps && !hasTimestamps(segments)) {
+        throw new Error('This transcript has no timestamps, so it cannot be exported as captions.');
+    }
+    const options = getExportOptions(transcript.special_requirements);
+    const duration = transcript.duration_seconds;
+
+    const renderers = {
+        docx: () => toDocx(segments, options, transcript.file_name || `Job ${jobId}`),
+        srt: () => toSrt(segments, options, duration),
+        vtt: () => toVtt(segments, options, duration),
+        txt: () => toPlainText(segments, options),
+        json: () => toJson(segments, { jobId, fileName: transcript.file_name }, duration),
+    };
+    return {
+        data: renderers[format.id](),
+        fileName: `${baseName(transcript.file_name, jobId)}.${format.extension}`,
+        mimeType: format.mimeType,
+    };
+};
+
+/** Saves an export through a temporary object URL, the same way api/apiClient's downloadFile does. */
+export const saveExport = ({ data, fileName, mimeType }) => {
+    const url = window.URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,125 @@
+import { TextEncoder, TextDecoder } from 'util';
+import {
+    getExportOptions,
+    getAvailableFormats,
+    buildCues,
+    toSrt,
+    toVtt,
+    toPlainText,
+    toJson,
+    exportTranscript,
+} from './transcriptExport';
+import { crc32 } from './docxWriter';
+import { parseTranscript } from './transcriptText';
+
+// jsdom does not provide TextEncoder, which the .docx writer uses.
+global.TextEncoder = TextEncoder;
+
+const CONTENT = '[00:00:01] Host: Welcome to the show.\n[00:00:04] Guest: Thanks <3\nIt is good [00:00:05] to be here.';
+const ALL = { includeTimestamps: true, includeSpeakers: true };
+
+describe('getExportOptions', () => {
+    it('follows the ordered special requirements', () => {
+        expect(getExportOptions(['timestamps', 'clean_verbatim'])).toEqual({ includeTimestamps: true, includeSpeakers: false });
+        expect(getExportOptions(['speaker_identification'])).toEqual({ includeTimestamps: false, includeSpeakers: true });
+    });
+
+    it('keeps everything when no requirements were ordered', () => {
+        expect(getExportOptions(undefined)).toEqual(ALL);
+        expect(getExportOptions([])).toEqual(ALL);
+    });
+});
+
+describe('getAvailableFormats', () => {
+    it('only offers captions for timestamped transcripts', () => {
+        expect(getAvailableFormats(parseTranscript(CONTENT)).map(f => f.id)).toEqual(['docx', 'srt', 'vtt', 'txt', 'json']);
+        expect(getAvailableFormats(parseTranscript('Host: Hello')).map(f => f.id)).toEqual(['docx', 'txt', 'json']);
+    });
+});
+
+describe('buildCues', () => {
+    it('joins untimed lines to the cue before them and ends each cue at the next', () => {
+        expect(buildCues(parseTranscript(CONTENT), 30)).toEqual([
+            { start: 1, end: 4, speaker: 'Host', text: 'Welcome to the show.' },
+            { start: 4, end: 30, speaker: 'Guest', text: 'Thanks <3 It is good to be here.' },
+        ]);
+    });
+
+    it('gives the last cue a default length without a media duration', () => {
+        expect(buildCues(parseTranscript('[00:01:00] Hi'))[0].end).toBe(65);
+    });
+});
+
+describe('toSrt', () => {
+    it('numbers cues and uses comma milliseconds', () => {
+        expect(toSrt(parseTranscript(CONTENT), ALL, 30)).toBe(
+            '1\n00:00:01,000 --> 00:00:04,000\nHost: Welcome to the show.\n\n'
+            + '2\n00:00:04,000 --> 00:00:30,000\nGuest: Thanks <3 It is good to be here.\n'
+        );
+    });
+
+    it('wraps long captions and can leave out speakers', () => {
+        const srt = toSrt(parseTranscript('[00:00:00] A: one two three four five six seven eight nine ten eleven twelve'), { includeSpeakers: false }, 5);
+        expect(srt).toBe('1\n00:00:00,000 --> 00:00:05,000\none two three four five six seven eight\nnine ten eleven twelve\n');
+    });
+});
+
+describe('toVtt', () => {
+    it('writes a WEBVTT header, voice tags and escaped text', () => {
+        expect(toVtt(parseTranscript(CONTENT), ALL, 30)).toBe(
+            'WEBVTT\n\n00:00:01.000 --> 00:00:04.000\n<v Host>Welcome to the show.\n\n'
+            + '00:00:04.000 --> 00:00:30.000\n<v Guest>Thanks &lt;3 It is good to be here.\n'
+        );
+    });
+});
+
+describe('toPlainText', () => {
+    it('keeps timestamps and speakers only when requested', () => {
+        const segments = parseTranscript(CONTENT);
+        expect(toPlainText(segments, ALL)).toBe(`${CONTENT}\n`);
+        expect(toPlainText(segments, { includeTimestamps: false, includeSpeakers: true }))
+            .toBe('Host: Welcome to the show.\nGuest: Thanks <3\nIt is good to be here.\n');
+        expect(toPlainText(segments, { includeTimestamps: false, includeSpeakers: false }))
+            .toBe('Welcome to the show.\nThanks <3\nIt is good to be here.\n');
+    });
+});
+
+describe('toJson', () => {
+    it('lists every segment with start and end times', () => {
+        const parsed = JSON.parse(toJson(parseTranscript(CONTENT), { jobId: 'job-1', fileName: 'show.mp3' }, 30));
+        expect(parsed.job_id).toBe('job-1');
+        expect(parsed.segments).toEqual([
+            { start: 1, end: 4, speaker: 'Host', text: 'Welcome to the show.' },
+            { start: 4, end: 30, speaker: 'Guest', text: 'Thanks <3' },
+            { start: null, end: null, speaker: null, text: 'It is good [00:00:05] to be here.' },
+        ]);
+    });
+});
+
+describe('exportTranscript', () => {
+    const transcript = { content: CONTENT, file_name: 'show.final.mp3', duration_seconds: 30, special_requirements: [] };
+
+    it('names the file after the media file', () => {
+        const file = exportTranscript('vtt', transcript, 'job-1');
+        expect(file.fileName).toBe('show.final-transcript.vtt');
+        expect(file.mimeType).toBe('text/vtt');
+    });
+
+    it('builds a .docx as a ZIP archive', () => {
+        const { data } = exportTranscript('docx', transcript, 'job-1');
+        expect(String.fromCharCode(data[0], data[1])).toBe('PK');
+        const text = new TextDecoder().decode(data);
+        expect(text).toContain('word/document.xml');
+        expect(text).toContain('Thanks &lt;3');
+    });
+
+    it('refuses captions for a transcript without timestamps', () => {
+        expect(() => exportTranscript('srt', { content: 'Hello' }, 'job-1')).toThrow(/no timestamps/);
+    });
+});
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    });
+});
@@ -0,0 +1,87 @@
+// src/transcription/transcriptText.js
+// Text helpers for the transcription editor and exports: timestamps, speaker labels, inserting at the
+// caret and parsing a transcript into segments.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * @param {number} seconds - Playhead position.
+ * @returns {string} e.g. '[00:01:05]'
+ */
+export const formatTimestamp = (seconds) => {
+    const total = Math.max(Math.floor(Number(seconds) || 0), 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    return `[${pad(hours)}:${pad(minutes)}:${pad(total % 60)}]`;
+};
+
+/** Splits the comma-separated speaker setting into names, dropping blanks. */
+export const parseSpeakerNames = (value) => (value || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/** @returns {string} e.g. '[00:01:05] Interviewer: ' */
+export const buildSpeakerLabel = (seconds, speakerName) => `${formatTimestamp(seconds)} ${speakerName}: `;
+
+/**
+ * Inserts `insertion` in place of the selection [selectionStart, selectionEnd).
+ * With `onNewLine`, the insertion starts a new line unless the caret is already at the start of one.
+ * @returns {{ text: string, caret: number }} The new text and where the caret belongs after the insertion.
+ */
+export const insertAtCaret = (text, selectionStart, selectionEnd, insertion, { onNewLine = false } = {}) => {
+    const before = text.slice(0, selectionStart);
+    const after = text.slice(selectionEnd);
+    let inserted = insertion;
+    if (onNewLine && before.length > 0 && !before.endsWith('\n')) {
+        inserted = `\n${inserted}`;
+    } else if (!onNewLine && before.length > 0 && !/\s$/.test(before)) {
+        inserted = ` ${inserted}`;
+    }
+    if (!onNewLine && after.length > 0 && !/^\s/.test(after)) {
+        inserted = `${inserted} `;
+    }
+    return { text: before + inserted + after, caret: before.length + inserted.length };
+};
+
+const TIMESTAMP_PATTERN = /\[(\d{1,2}):([0-5]\d):([0-5]\d)\]/g;
+const LEADING_TIMESTAMP_PATTERN = /^\[(\d{1,2}):([0-5]\d):([0-5]\d)\]\s*/;
+// Up to four words followed by a colon, e.g. 'Speaker 2: ' or 'Dr. Mensah: '
+const LEADING_SPEAKER_PATTERN = /^([\p{L}\p{N}][\p{L}\p{N}.'-]*(?: [\p{L}\p{N}.'-]+){0,3}):\s+/u;
+
+/** Removes [hh:mm:ss] markers from within a line of text. */
+export const stripTimestamps = (text) => text.replace(TIMESTAMP_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+
+/**
+ * @typedef {object} TranscriptSegment
+ * @property {number|null} start - Seconds, from a leading [hh:mm:ss] marker.
+ * @property {string|null} speaker
+ * @property {string} text
+ */
+
+/**
+ * Splits transcript text as written in the workspace into one segment per non-empty line, taking a
+ * leading timestamp and a leading 'Name:' speaker label off each line.
+ * @param {string} content
+ * @returns {TranscriptSegment[]}
+ */
+export const parseTranscript = (content) => (content || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+        let rest = line;
+        let start = null;
+        let speaker = null;
+        const timestampMatch = rest.match(LEADING_TIMESTAMP_PATTERN);
+        if (timestampMatch) {
+            start = Number(timestampMatch[1]) * 3600 + Number(timestampMatch[2]) * 60 + Number(timestampMatch[3]);
+            rest = rest.slice(timestampMatch[0].length);
+        }
+        const speakerMatch = rest.match(LEADING_SPEAKER_PATTERN);
+        if (speakerMatch) {
+            speaker = speakerMatch[1];
+            rest = rest.slice(speakerMatch[0].length);
+        }
+        return { start, speaker, text: rest.trim() };
+    });
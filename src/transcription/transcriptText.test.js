@@ -0,0 +1,63 @@
+import { formatTimestamp, parseSpeakerNames, buildSpeakerLabel, insertAtCaret, parseTranscript, stripTimestamps } from './transcriptText';
+
+describe('formatTimestamp', () => {
+    it('formats the playhead as [hh:mm:ss]', () => {
+        expect(formatTimestamp(0)).toBe('[00:00:00]');
+        expect(formatTimestamp(65.9)).toBe('[00:01:05]');
+        expect(formatTimestamp(3 * 3600 + 7)).toBe('[03:00:07]');
+    });
+
+    it('treats missing or negative positions as zero', () => {
+        expect(formatTimestamp(undefined)).toBe('[00:00:00]');
+        expect(formatTimestamp(-4)).toBe('[00:00:00]');
+    });
+});
+
+describe('parseSpeakerNames', () => {
+    it('splits on commas and drops blanks', () => {
+        expect(parseSpeakerNames(' Interviewer, Guest ,, ')).toEqual(['Interviewer', 'Guest']);
+        expect(parseSpeakerNames('')).toEqual([]);
+    });
+});
+
+describe('buildSpeakerLabel', () => {
+    it('prefixes the speaker with the timestamp', () => {
+        expect(buildSpeakerLabel(12, 'Guest')).toBe('[00:00:12] Guest: ');
+    });
+});
+
+describe('insertAtCaret', () => {
+    it('replaces the selection and puts the caret after the insertion', () => {
+        expect(insertAtCaret('hello world', 6, 11, 'there')).toEqual({ text: 'hello there', caret: 11 });
+    });
+
+    it('pads inline insertions with spaces when they touch other words', () => {
+        expect(insertAtCaret('ab', 1, 1, '[00:00:01]')).toEqual({ text: 'a [00:00:01] b', caret: 13 });
+    });
+
+    it('starts a new line for line insertions unless already at the start of one', () => {
+        expect(insertAtCaret('first', 5, 5, 'S1: ', { onNewLine: true })).toEqual({ text: 'first\nS1: ', caret: 10 });
+        expect(insertAtCaret('first\n', 6, 6, 'S1: ', { onNewLine: true })).toEqual({ text: 'first\nS1: ', caret: 10 });
+        expect(insertAtCaret('', 0, 0, 'S1: ', { onNewLine: true })).toEqual({ text: 'S1: ', caret: 4 });
+    });
+});
+
+describe('parseTranscript', () => {
+    it('takes leading timestamps and speaker labels off each line', () => {
+        expect(parseTranscript('[00:00:05] Interviewer: Welcome.\n\n[00:01:02] Dr. Mensah: Thanks [00:01:04] for having me.\nA plain line')).toEqual([
+            { start: 5, speaker: 'Interviewer', text: 'Welcome.' },
+            { start: 62, speaker: 'Dr. Mensah', text: 'Thanks [00:01:04] for having me.' },
+            { start: null, speaker: null, text: 'A plain line' },
+        ]);
+    });
+
+    it('does not treat a sentence with a colon as a speaker label', () => {
+        expect(parseTranscript('The plan was simple and clear: leave early.')[0].speaker).toBeNull();
+    });
+});
+
+describe('stripTimestamps', () => {
+    it('removes inline markers and the extra space they leave', () => {
+        expect(stripTimestamps('Thanks [00:01:04] for having me.')).toBe('Thanks for having me.');
+    });
+});
@@ -0,0 +1,190 @@
+// src/transcription/transcriptValidation.js
+// Pre-submission checks of a transcript against the job's special requirements and the tag rules in
+// GuidelinesPage: timestamp coverage, consistent speaker labels, allowed tags, verbatim style and
+// leftover placeholder text. Each check passes, fails or only warns.
+
+import { parseTranscript, formatTimestamp } from './transcriptText';
+
+// Guidelines allow any interval; two minutes is used when the client did not give one.
+export const DEFAULT_TIMESTAMP_INTERVAL_SECONDS = 120;
+const INTERVAL_TOLERANCE_SECONDS = 5;
+const MAX_LISTED_ISSUES = 3;
+
+// Tags from GuidelinesPage. `timed` tags must carry the position, e.g. [inaudible 00:01:02].
+export const GUIDELINE_TAGS = {
+    unintelligible: { timed: true },
+    inaudible: { timed: true },
+    pause: { timed: true },
+    silence: { ownLine: true },
+    laughs: {},
+    laughter: { ownLine: true },
+    crosstalk: {},
+    'background noise': { ownLine: true },
+    'foreign language': {},
+};
+
+const BRACKET_PATTERN = /\[([^\]]*)\]/g;
+const TIMESTAMP_ONLY_PATTERN = /^\d{1,2}:[0-5]\d:[0-5]\d$/;
+const TIMED_TAG_PATTERN = /^([a-z ]+?)\s+(\d{1,2}:[0-5]\d:[0-5]\d)$/;
+const FILLER_PATTERN = /\b(um+|uh+|er+|erm|hmm+|mm+)\b/gi;
+const STAMMER_PATTERN = /\b(\w{1,4})-\1\b/gi;
+const PLACEHOLDER_PATTERNS = [/\b(TODO|TBD|FIXME|XXX)\b/, /\?{3,}/, /lorem ipsum/i, /\[\s*(\.{3}|…)?\s*\]/, /<[^>]*>/];
+
+/**
+ * @typedef {object} ValidationCheck
+ * @property {string} id
+ * @property {string} label
+ * @property {'pass'|'fail'|'warning'} status
+ * @property {string[]} details - Why the check did not pass, at most a few examples.
+ */
+
+const check = (id, label, failures, warnings = []) => {
+    if (failures.length > 0) return { id, label, status: 'fail', details: failures.slice(0, MAX_LISTED_ISSUES) };
+    if (warnings.length > 0) return { id, label, status: 'warning', details: warnings.slice(0, MAX_LISTED_ISSUES) };
+    return { id, label, status: 'pass', details: [] };
+};
+
+const lineLabel = (index) => `line ${index + 1}`;
+
+const describeInterval = (seconds) => (seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds} s`);
+
+const checkTimestamps = (segments, intervalSeconds, durationSeconds) => {
+    const label = `Timestamps at least every ${describeInterval(intervalSeconds)} and at each speaker change`;
+    const timed = segments.filter((segment) => segment.start !== null);
+    if (timed.length === 0) {
+        return check('timestamps', label, ['No [hh:mm:ss] timestamps found.']);
+    }
+
+    const failures = [];
+    const limit = intervalSeconds + INTERVAL_TOLERANCE_SECONDS;
+    if (timed[0].start > limit) {
+        failures.push(`The first timestamp is ${formatTimestamp(timed[0].start)}.`);
+    }
+    timed.slice(1).forEach((segment, index) => {
+        const previous = timed[index];
+        if (segment.start < previous.start) {
+            failures.push(`${formatTimestamp(segment.start)} comes after ${formatTimestamp(previous.start)}.`);
+        } else if (segment.start - previous.start > limit) {
+            failures.push(`Gap from ${formatTimestamp(previous.start)} to ${formatTimestamp(segment.start)}.`);
+        }
+    });
+    const last = timed[timed.length - 1].start;
+    if (durationSeconds && durationSeconds - last > limit) {
+        failures.push(`No timestamps after ${formatTimestamp(last)} (the audio ends at ${formatTimestamp(durationSeconds)}).`);
+    }
+
+    let previousSpeaker = null;
+    segments.forEach((segment) => {
+        if (!segment.speaker) return;
+        if (previousSpeaker && segment.speaker !== previousSpeaker && segment.start === null) {
+            failures.push(`Change to ${segment.speaker} has no timestamp.`);
+        }
+        previousSpeaker = segment.speaker;
+    });
+    return check('timestamps', label, failures);
+};
+
+const normaliseSpeaker = (name) => name.toLowerCase().replace(/[\s.]/g, '');
+
+const checkSpeakers = (segments) => {
+    const label = 'Speaker labels present and consistent';
+    const speakers = [...new Set(segments.map((segment) => segment.speaker).filter(Boolean))];
+    if (speakers.length === 0) {
+        return check('speakers', label, ['No "Name:" speaker labels found.']);
+    }
+
+    const variants = {};
+    speakers.forEach((speaker) => {
+        const key = normaliseSpeaker(speaker);
+        variants[key] = [...(variants[key] || []), speaker];
+    });
+    const failures = Object.values(variants)
+        .filter((names) => names.length > 1)
+        .map((names) => `Same speaker written differently: ${names.map((name) => `"${name}"`).join(', ')}.`);
+
+    // Tag-only lines such as [laughter] or [crosstalk] are allowed to stand without a speaker.
+    const unlabelled = segments.filter((segment) => !segment.speaker && segment.text.replace(BRACKET_PATTERN, '').trim() !== '');
+    const warnings = unlabelled.length > 0 ? [`${unlabelled.length} line(s) have no speaker label, e.g. "${unlabelled[0].text.slice(0, 40)}".`] : [];
+    return check('speakers', label, failures, warnings);
+};
+
+const checkTags = (lines) => {
+    const failures = [];
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        [...trimmed.matchAll(BRACKET_PATTERN)].forEach(([whole, inner]) => {
+            const tag = inner.trim().toLowerCase();
+            if (TIMESTAMP_ONLY_PATTERN.test(tag) || tag === '' || tag === '...' || tag === '…') return;
+
+            const timedMatch = tag.match(TIMED_TAG_PATTERN);
+            const name = timedMatch ? timedMatch[1] : tag;
+            const rule = GUIDELINE_TAGS[name];
+            if (!rule) {
+                failures.push(`${whole} on ${lineLabel(index)} is not a guideline tag.`);
+            } else if (rule.timed && !timedMatch) {
+                failures.push(`${whole} on ${lineLabel(index)} needs a position, e.g. [${name} 00:01:23].`);
+            } else if (rule.ownLine && trimmed.replace(/^\[\d{1,2}:[0-5]\d:[0-5]\d\]\s*/, '') !== whole) {
+                failures.push(`${whole} on ${lineLabel(index)} belongs on its own line.`);
+            }
+        });
+    });
+    return check('tags', 'Only guideline tags, used as the guidelines describe', failures);
+};
+
+const checkVerbatim = (content, specialRequirements) => {
+    const fillers = content.match(FILLER_PATTERN) || [];
+    const stammers = content.match(STAMMER_PATTERN) || [];
+    if (specialRequirements.includes('clean_verbatim')) {
+        const failures = [];
+        if (fillers.length > 0) failures.push(`${fillers.length} filler word(s) found, e.g. "${fillers[0]}".`);
+        if (stammers.length > 0) failures.push(`${stammers.length} stammer(s) or repetition(s) found, e.g. "${stammers[0]}".`);
+        return check('verbatim', 'Clean verbatim: no fillers, stutters or repetitions', failures);
+    }
+    // Full verbatim keeps fillers, but a transcript without any is usually a cleaned one.
+    const warnings = fillers.length === 0 && stammers.length === 0
+        ? ['No filler words or stammers found. Make sure nothing was cleaned up.']
+        : [];
+    return check('verbatim', 'Full verbatim: fillers, stutters and repetitions kept', [], warnings);
+};
+
+const checkPlaceholders = (lines) => {
+    const failures = [];
+    lines.forEach((line, index) => {
+        const pattern = PLACEHOLDER_PATTERNS.find((candidate) => candidate.test(line));
+        if (pattern) failures.push(`"${line.match(pattern)[0]}" on ${lineLabel(index)}.`);
+    });
+    return check('placeholders', 'No leftover placeholder text', failures);
+};
+
+/**
+ * @param {string} content - Transcript text as written in the workspace.
+ * @param {object} [job]
+ * @param {string[]} [job.specialRequirements]
+ * @param {number} [job.timestampIntervalSeconds]
+ * @param {number} [job.durationSeconds]
+ * @returns {ValidationCheck[]}
+ */
+export const validateTranscript = (content, { specialRequirements = [], timestampIntervalSeconds, durationSeconds } = {}) => {
+    const text = content || '';
+    if (text.trim() === '') {
+        return [check('content', 'Transcript is not empty', ['The transcript is empty.'])];
+    }
+
+    const lines = text.split(/\r?\n/);
+    const segments = parseTranscript(text);
+    const checks = [];
+    if (specialRequirements.includes('timestamps')) {
+        checks.push(checkTimestamps(segments, timestampIntervalSeconds || DEFAULT_TIMESTAMP_INTERVAL_SECONDS, durationSeconds));
+    }
+    if (specialRequirements.includes('speaker_identification')) {
+        checks.push(checkSpeakers(segments));
+    }
+    checks.push(checkTags(lines));
+    if (specialRequirements.includes('clean_verbatim') || specialRequirements.includes('full_verbatim')) {
+        checks.push(checkVerbatim(text, specialRequirements));
+    }
+    checks.push(checkPlaceholders(lines));
+    return checks;
+};
+
+export const hasFailedChecks = (checks) => checks.some((item) => item.status === 'fail');
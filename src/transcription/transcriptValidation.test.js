@@ -0,0 +1,100 @@
+import { validateTranscript, hasFailedChecks } from './transcriptValidation';
+
+const byId = (checks) => Object.fromEntries(checks.map((item) => [item.id, item]));
+
+const GOOD = [
+    '[00:00:00] Host: Welcome to the show.',
+    '[00:01:30] Guest: Thanks for having me.',
+    '[laughter]',
+    '[00:03:00] Host: Tell us about [inaudible 00:03:04] the project.',
+].join('\n');
+
+describe('validateTranscript', () => {
+    it('fails an empty transcript outright', () => {
+        const checks = validateTranscript('   ');
+        expect(checks).toEqual([expect.objectContaining({ id: 'content', status: 'fail' })]);
+    });
+
+    it('only runs requirement checks the job ordered', () => {
+        expect(validateTranscript(GOOD).map((item) => item.id)).toEqual(['tags', 'placeholders']);
+        expect(validateTranscript(GOOD, { specialRequirements: ['timestamps', 'speaker_identification', 'clean_verbatim'] }).map((item) => item.id))
+            .toEqual(['timestamps', 'speakers', 'tags', 'verbatim', 'placeholders']);
+    });
+
+    it('passes a transcript that follows the guidelines', () => {
+        const checks = validateTranscript(GOOD, { specialRequirements: ['timestamps', 'speaker_identification', 'clean_verbatim'] });
+        expect(checks.every((item) => item.status === 'pass')).toBe(true);
+        expect(hasFailedChecks(checks)).toBe(false);
+    });
+
+    describe('timestamps', () => {
+        const timestamps = (content, options) => byId(validateTranscript(content, { specialRequirements: ['timestamps'], ...options })).timestamps;
+
+        it('fails gaps longer than the interval', () => {
+            const result = timestamps('[00:00:00] A: one\n[00:05:00] B: two', { timestampIntervalSeconds: 60 });
+            expect(result.status).toBe('fail');
+            expect(result.label).toContain('every 1 min');
+            expect(result.details).toEqual(['Gap from [00:00:00] to [00:05:00].']);
+        });
+
+        it('fails when the end of the audio is not covered', () => {
+            expect(timestamps('[00:00:00] A: one', { durationSeconds: 600 }).details[0]).toMatch(/No timestamps after \[00:00:00\]/);
+        });
+
+        it('fails out-of-order timestamps and untimed speaker changes', () => {
+            expect(timestamps('[00:01:00] A: one\n[00:00:30] B: two\nA: three').details).toEqual([
+                '[00:00:30] comes after [00:01:00].',
+                'Change to A has no timestamp.',
+            ]);
+        });
+    });
+
+    describe('speakers', () => {
+        const speakers = (content) => byId(validateTranscript(content, { specialRequirements: ['speaker_identification'] })).speakers;
+
+        it('fails the same speaker written differently', () => {
+            expect(speakers('Speaker 1: hi\nspeaker1: hello').details).toEqual(['Same speaker written differently: "Speaker 1", "speaker1".']);
+        });
+
+        it('warns about lines without a label but not about tag-only lines', () => {
+            expect(speakers('John: hi\n[crosstalk]').status).toBe('pass');
+            expect(speakers('John: hi\nand then he left').status).toBe('warning');
+        });
+    });
+
+    describe('tags', () => {
+        const tags = (content) => byId(validateTranscript(content)).tags;
+
+        it('fails tags that are not in the guidelines or miss their position', () => {
+            expect(tags('A: [music] and [inaudible]').details).toEqual([
+                '[music] on line 1 is not a guideline tag.',
+                '[inaudible] on line 1 needs a position, e.g. [inaudible 00:01:23].',
+            ]);
+        });
+
+        it('fails own-line tags used inline', () => {
+            expect(tags('John: That was funny [laughter]').details).toEqual(['[laughter] on line 1 belongs on its own line.']);
+            expect(tags('[00:00:10] [silence]').status).toBe('pass');
+        });
+    });
+
+    describe('verbatim', () => {
+        const verbatim = (content, requirement) => byId(validateTranscript(content, { specialRequirements: [requirement] })).verbatim;
+
+        it('fails fillers and stammers in clean verbatim', () => {
+            expect(verbatim('I went, um, for some co-co-coffee.', 'clean_verbatim').details).toEqual([
+                '1 filler word(s) found, e.g. "um".',
+                '1 stammer(s) or repetition(s) found, e.g. "co-co".',
+            ]);
+        });
+
+        it('warns when a full verbatim transcript looks cleaned', () => {
+            expect(verbatim('I went for some coffee.', 'full_verbatim').status).toBe('warning');
+            expect(verbatim('I went, uh, for some coffee.', 'full_verbatim').status).toBe('pass');
+        });
+    });
+
+    it('flags leftover placeholder text', () => {
+        expect(byId(validateTranscript('A: hello TODO\nB: [...]')).placeholders.details).toEqual(['"TODO" on line 1.', '"[...]" on line 2.']);
+    });
+});
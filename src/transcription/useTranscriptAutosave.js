@@ -0,0 +1,151 @@
+// src/transcription/useTranscriptAutosave.js
+// Loads a job's transcript draft and saves edits back to the server a couple of seconds after the
+// transcriber stops typing. Saves carry the draft revision, so an edit made elsewhere in the meantime
+// surfaces as a conflict instead of being silently overwritten.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { isAbortError } from '../api/apiClient';
+import { getTranscriptDraft, saveTranscriptDraft } from '../api/transcripts';
+
+const AUTOSAVE_DELAY_MS = 2000;
+
+/**
+ * @param {string} jobType - 'direct_upload' | 'negotiation'
+ * @param {string} jobId
+ * @returns {{
+ *   content: string, setContent: (content: string) => void,
+ *   status: 'loading'|'saved'|'unsaved'|'saving'|'error'|'conflict',
+ *   error: string|null, lastSavedAt: string|null,
+ *   saveNow: () => Promise<void>, overwriteServerDraft: () => Promise<void>, loadServerDraft: () => Promise<void>
+ * }}
+ */
+const useTranscriptAutosave = (jobType, jobId) => {
+    const [content, setContentState] = useState('');
+    const [status, setStatus] = useState('loading');
+    const [error, setError] = useState(null);
+    const [lastSavedAt, setLastSavedAt] = useState(null);
+
+    // Refs hold the latest values for the debounced save and the unmount flush.
+    const contentRef = useRef('');
+    const savedContentRef = useRef('');
+    const revisionRef = useRef(0);
+    const conflictRevisionRef = useRef(null);
+    const timerRef = useRef(null);
+    const savingRef = useRef(false);
+
+    const loadServerDraft = useCallback(async (signal) => {
+        setStatus('loading');
+        setError(null);
+        try {
+            const { draft } = await getTranscriptDraft(jobType, jobId, { signal });
+            const serverContent = draft?.content || '';
+            contentRef.current = serverContent;
+            savedContentRef.current = serverContent;
+            revisionRef.current = draft?.revision || 0;
+            conflictRevisionRef.current = null;
+            setContentState(serverContent);
+            setLastSavedAt(draft?.updated_at || null);
+            setStatus('saved');
+        } catch (loadError) {
+            if (isAbortError(loadError)) return;
+            console.error('useTranscriptAutosave: Failed to load draft:', loadError);
+            setError(loadError.isNetworkError ? 'Network error while loading the transcript draft.' : loadError.message || 'Failed to load the transcript draft.');
+            setStatus('error');
+        }
+    }, [jobType, jobId]);
+
+    const save = useCallback(async (revision = revisionRef.current) => {
+        clearTimeout(timerRef.current);
+        if (savingRef.current) return;
+        const sentContent = contentRef.current;
+        if (sentContent === savedContentRef.current && conflictRevisionRef.current === null) {
+            setStatus('saved');
+            return;
+        }
+
+        savingRef.current = true;
+        setStatus('saving');
+        try {
+            const { draft } = await saveTranscriptDraft(jobType, jobId, { content: sentContent, revision });
+            revisionRef.current = draft.revision;
+            savedContentRef.current = sentContent;
+            conflictRevisionRef.current = null;
+            setLastSavedAt(draft.updated_at || new Date().toISOString());
+            setError(null);
+            if (contentRef.current === sentContent) {
+                setStatus('saved');
+            } else {
+                // More typing arrived while the request was in flight
+                setStatus('unsaved');
+                timerRef.current = setTimeout(() => save(), AUTOSAVE_DELAY_MS);
+            }
+        } catch (saveError) {
+            if (saveError.status === 409) {
+                conflictRevisionRef.current = saveError.data?.draft?.revision ?? revisionRef.current;
+                setError('This transcript was changed somewhere else since you opened it.');
+                setStatus('conflict');
+            } else {
+                console.error('useTranscriptAutosave: Failed to save draft:', saveError);
+                setError(saveError.isNetworkError ? 'Network error. Your changes are kept here and will be saved on your next edit.' : saveError.message || 'Failed to save the transcript draft.');
+                setStatus('error');
+            }
+        } finally {
+            savingRef.current = false;
+        }
+    }, [jobType, jobId]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadServerDraft(controller.signal);
+        return () => controller.abort();
+    }, [loadServerDraft]);
+
+    const setContent = useCallback((nextContent) => {
+        contentRef.current = nextContent;
+        setContentState(nextContent);
+        // While in conflict, the transcriber has to choose which version wins before anything is saved.
+        if (conflictRevisionRef.current !== null) return;
+        setStatus('unsaved');
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => save(), AUTOSAVE_DELAY_MS);
+    }, [save]);
+
+    /** Keeps the local text and replaces the server's newer draft with it. */
+    const overwriteServerDraft = useCallback(() => {
+        const revision = conflictRevisionRef.current;
+        if (revision === null) return save();
+        return save(revision);
+    }, [save]);
+
+    // Warn before closing the tab with unsaved text, and flush pending edits when leaving the page.
+    useEffect(() => {
+        const handleBeforeUnload = (event) => {
+            if (contentRef.current !== savedContentRef.current) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => {
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            clearTimeout(timerRef.current);
+            if (contentRef.current !== savedContentRef.current && conflictRevisionRef.current === null && !savingRef.current) {
+                saveTranscriptDraft(jobType, jobId, { content: contentRef.current, revision: revisionRef.current })
+                    .catch((flushError) => console.warn('useTranscriptAutosave: Could not save draft on leaving:', flushError.message));
+            }
+        };
+    }, [jobType, jobId]);
+
+    return {
+        content,
+        setContent,
+        status,
+        error,
+        lastSavedAt,
+        saveNow: () => save(),
+        overwriteServerDraft,
+        loadServerDraft: () => loadServerDraft(),
+    };
+};
+
+export default useTranscriptAutosave;
@@ -0,0 +1,90 @@
+// src/transcription/workspaceShortcuts.js
+// Keyboard shortcuts for the transcription workspace. Bindings are stored as combo strings such as
+// 'Ctrl+Space' or 'Alt+T' and each transcriber's own bindings are kept in localStorage.
+
+const SHORTCUTS_STORAGE_KEY = 'transcriptionShortcuts';
+
+export const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Play / Pause' },
+    { id: 'rewind', label: 'Skip back' },
+    { id: 'forward', label: 'Skip forward' },
+    { id: 'speedDown', label: 'Slower' },
+    { id: 'speedUp', label: 'Faster' },
+    { id: 'insertTimestamp', label: 'Insert timestamp' },
+    { id: 'insertSpeaker', label: 'Insert next speaker label' },
+];
+
+// Every default uses a modifier so that plain typing in the editor never triggers an action.
+export const DEFAULT_SHORTCUTS = {
+    playPause: 'Ctrl+Space',
+    rewind: 'Alt+,',
+    forward: 'Alt+.',
+    speedDown: 'Alt+[',
+    speedUp: 'Alt+]',
+    insertTimestamp: 'Alt+T',
+    insertSpeaker: 'Alt+S',
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+// Alt changes event.key on some layouts (Alt+T is '†' on macOS), so the physical key is used instead.
+const CODE_NAMES = {
+    Space: 'Space',
+    Comma: ',',
+    Period: '.',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: '\'',
+    Minus: '-',
+    Equal: '=',
+};
+
+const keyName = (event) => {
+    if (CODE_NAMES[event.code]) return CODE_NAMES[event.code];
+    if (/^Key[A-Z]$/.test(event.code || '')) return event.code.slice(3);
+    if (/^Digit[0-9]$/.test(event.code || '')) return event.code.slice(5);
+    return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+};
+
+/**
+ * Turns a keydown event into a combo string, or null while only modifiers are held.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export const eventToCombo = (event) => {
+    if (MODIFIER_KEYS.includes(event.key)) return null;
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    parts.push(keyName(event));
+    return parts.join('+');
+};
+
+/** Bindings without a modifier (other than Shift) would swallow ordinary typing in the editor. */
+export const hasModifier = (combo) => /^(Ctrl|Alt|Meta)\+/.test(combo);
+
+/** @returns {string|null} The action already bound to `combo`, ignoring `actionId` itself. */
+export const findShortcutConflict = (shortcuts, actionId, combo) => {
+    const conflict = Object.keys(shortcuts).find((id) => id !== actionId && shortcuts[id] === combo);
+    return conflict || null;
+};
+
+/** @returns {string|null} The action bound to `combo`. */
+export const findShortcutAction = (shortcuts, combo) => findShortcutConflict(shortcuts, null, combo);
+
+export const loadShortcuts = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY)) || {};
+        return { ...DEFAULT_SHORTCUTS, ...stored };
+    } catch (error) {
+        return { ...DEFAULT_SHORTCUTS };
+    }
+};
+
+export const saveShortcuts = (shortcuts) => {
+    localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(shortcuts));
+};
@@ -0,0 +1,45 @@
+import { eventToCombo, hasModifier, findShortcutConflict, loadShortcuts, saveShortcuts, DEFAULT_SHORTCUTS } from './workspaceShortcuts';
+
+const keydown = (overrides) => ({ ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...overrides });
+
+describe('eventToCombo', () => {
+    it('joins modifiers and the physical key', () => {
+        expect(eventToCombo(keydown({ ctrlKey: true, key: ' ', code: 'Space' }))).toBe('Ctrl+Space');
+        expect(eventToCombo(keydown({ altKey: true, key: '†', code: 'KeyT' }))).toBe('Alt+T');
+        expect(eventToCombo(keydown({ altKey: true, key: '“', code: 'BracketLeft' }))).toBe('Alt+[');
+        expect(eventToCombo(keydown({ ctrlKey: true, shiftKey: true, key: '!', code: 'Digit1' }))).toBe('Ctrl+Shift+1');
+    });
+
+    it('returns null while only a modifier is held', () => {
+        expect(eventToCombo(keydown({ altKey: true, key: 'Alt', code: 'AltLeft' }))).toBeNull();
+    });
+});
+
+describe('hasModifier', () => {
+    it('requires Ctrl, Alt or Meta', () => {
+        expect(hasModifier('Alt+T')).toBe(true);
+        expect(hasModifier('Shift+T')).toBe(false);
+        expect(hasModifier('T')).toBe(false);
+    });
+});
+
+describe('findShortcutConflict', () => {
+    it('finds another action bound to the same combo', () => {
+        expect(findShortcutConflict(DEFAULT_SHORTCUTS, 'rewind', 'Alt+T')).toBe('insertTimestamp');
+        expect(findShortcutConflict(DEFAULT_SHORTCUTS, 'insertTimestamp', 'Alt+T')).toBeNull();
+    });
+});
+
+describe('loadShortcuts', () => {
+    afterEach(() => localStorage.clear());
+
+    it('falls back to the defaults for actions without a stored binding', () => {
+        saveShortcuts({ playPause: 'Alt+P' });
+        expect(loadShortcuts()).toEqual({ ...DEFAULT_SHORTCUTS, playPause: 'Alt+P' });
+    });
+
+    it('ignores unreadable stored bindings', () => {
+        localStorage.setItem('transcriptionShortcuts', '{not json');
+        expect(loadShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+    });
+});
@@ -0,0 +1,57 @@
+// src/uploads/MediaFileUpload.js
+// One selected media file: uploads it in resumable chunks, reads its duration locally and reports
+// both to the parent through onChange. Rendered once per file, so multi-file orders get an
+// independent upload (and pause/resume controls) for every file.
+
+import React, { useEffect } from 'react';
+import useChunkedUpload from './useChunkedUpload';
+import UploadProgress from './UploadProgress';
+import probeMediaDuration from './probeMediaDuration';
+
+/**
+ * @param {object} props
+ * @param {string} props.fileKey - Stable key for the file, passed back to onChange/onRemove.
+ * @param {File} props.file
+ * @param {string} props.purpose - See useChunkedUpload.
+ * @param {import('./uploadPool').UploadPool} [props.pool] - Limits how many of the order's files upload at once.
+ * @param {(fileKey: string, changes: { uploadId?: string|null, durationSeconds?: number|null, probing?: boolean }) => void} props.onChange
+ * @param {(fileKey: string) => void} props.onRemove
+ * @param {React.ReactNode} [props.children] - Extra details shown under the progress bar (e.g. the estimate line).
+ */
+const MediaFileUpload = ({ fileKey, file, purpose, pool, onChange, onRemove, children }) => {
+    const upload = useChunkedUpload({ purpose, pool });
+    const { start, cancel, status, uploadId } = upload;
+
+    useEffect(() => {
+        start(file);
+    }, [file, start]);
+
+    useEffect(() => {
+        onChange(fileKey, { uploadId: status === 'completed' ? uploadId : null });
+    }, [fileKey, status, uploadId, onChange]);
+
+    useEffect(() => {
+        let isCurrent = true;
+        onChange(fileKey, { probing: true, durationSeconds: null });
+        probeMediaDuration(file).then((durationSeconds) => {
+            if (isCurrent) onChange(fileKey, { probing: false, durationSeconds });
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [fileKey, file, onChange]);
+
+    const handleRemove = () => {
+        cancel();
+        onRemove(fileKey);
+    };
+
+    return (
+        <div className="media-file-upload">
+            <UploadProgress upload={upload} onRemove={handleRemove} />
+            {children}
+        </div>
+    );
+};
+
+export default MediaFileUpload;
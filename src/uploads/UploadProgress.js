@@ -0,0 +1,59 @@
+// src/uploads/UploadProgress.js
+// Progress bar and pause/resume/retry controls for a useChunkedUpload() upload.
+
+import React from 'react';
+import './UploadProgress.css';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const UploadProgress = ({ upload, onRemove }) => {
+    const { status, fileName, uploadedBytes, totalBytes, percent, retryAttempt, error, pause, resume } = upload;
+
+    if (status === 'idle') {
+        return null;
+    }
+
+    const statusText = {
+        queued: 'Waiting for other files to finish...',
+        uploading: retryAttempt > 0 ? `Connection problem, retrying (attempt ${retryAttempt + 1})...` : 'Uploading...',
+        paused: 'Paused',
+        completed: 'Upload complete',
+        error: error,
+    }[status];
+
+    return (
+        <div className={`upload-progress ${status}`}>
+            <div className="upload-progress-header">
+                <span className="upload-progress-file">📄 {fileName}</span>
+                {onRemove && (
+                    <button type="button" onClick={onRemove} className="remove-file-btn" title="Remove file">✕</button>
+                )}
+            </div>
+            <div
+                className="upload-progress-track"
+                role="progressbar"
+                aria-valuenow={percent}
+                aria-valuemin={0}
+                aria-valuemax={100}
+            >
+                <div className="upload-progress-fill" style={{ width: `${percent}%` }}></div>
+            </div>
+            <div className="upload-progress-footer">
+                <span className="upload-progress-status">
+                    {statusText} · {formatMegabytes(uploadedBytes)} of {formatMegabytes(totalBytes)} ({percent}%)
+                </span>
+                {(status === 'uploading' || status === 'queued') && (
+                    <button type="button" onClick={pause} className="upload-progress-btn">Pause</button>
+                )}
+                {status === 'paused' && (
+                    <button type="button" onClick={resume} className="upload-progress-btn">Resume</button>
+                )}
+                {status === 'error' && (
+                    <button type="button" onClick={resume} className="upload-progress-btn">Retry</button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default UploadProgress;
@@ -0,0 +1,40 @@
+// src/uploads/probeMediaDuration.js
+// Reads a media file's duration in the browser from its metadata, without uploading it.
+
+const PROBE_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * @param {File} file - An audio or video file.
+ * @returns {Promise<number|null>} Duration in seconds, or null when the browser cannot decode the file.
+ */
+const probeMediaDuration = (file) => new Promise((resolve) => {
+    const element = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+    const objectUrl = URL.createObjectURL(file);
+    let timer = null;
+
+    const finish = (duration) => {
+        clearTimeout(timer);
+        element.removeAttribute('src');
+        element.load();
+        URL.revokeObjectURL(objectUrl);
+        resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+    };
+
+    element.preload = 'metadata';
+    element.onloadedmetadata = () => {
+        if (Number.isFinite(element.duration)) {
+            finish(element.duration);
+            return;
+        }
+        // Some recordings (e.g. MediaRecorder WebM) report Infinity until the browser seeks to the end.
+        element.ondurationchange = () => {
+            if (Number.isFinite(element.duration)) finish(element.duration);
+        };
+        element.currentTime = Number.MAX_SAFE_INTEGER;
+    };
+    element.onerror = () => finish(null);
+    timer = setTimeout(() => finish(null), PROBE_TIMEOUT_MS);
+    element.src = objectUrl;
+});
+
+export default probeMediaDuration;
@@ -0,0 +1,61 @@
+// src/uploads/uploadPool.js
+// Caps how many chunked uploads run at once. A multi-file order can hold dozens of files; sending
+// them all in parallel on a slow link makes every one of them time out, so the rest wait for a slot.
+
+import { ApiError } from '../api/apiClient';
+
+/** Files of one order uploading at the same time. */
+export const MAX_PARALLEL_UPLOADS = 3;
+
+/**
+ * @typedef {object} UploadPool
+ * @property {(signal?: AbortSignal) => Promise<() => void>} acquire - Resolves with a release
+ *   function once a slot is free; rejects with an aborted ApiError if the signal aborts first.
+ */
+
+/**
+ * @param {number} [limit=MAX_PARALLEL_UPLOADS]
+ * @returns {UploadPool}
+ */
+export const createUploadPool = (limit = MAX_PARALLEL_UPLOADS) => {
+  let active = 0;
+  const waiting = [];
+
+  // Frees the slot once, however many times it is called
+  const createRelease = () => {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active -= 1;
+      grantSlots();
+    };
+  };
+
+  const grantSlots = () => {
+    while (active < limit && waiting.length > 0) {
+      const { resolve, signal, handleAbort } = waiting.shift();
+      signal?.removeEventListener('abort', handleAbort);
+      active += 1;
+      resolve(createRelease());
+    }
+  };
+
+  const acquire = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ApiError('Request cancelled.', { isAborted: true }));
+      return;
+    }
+    const entry = { resolve, signal };
+    entry.handleAbort = () => {
+      const index = waiting.indexOf(entry);
+      if (index !== -1) waiting.splice(index, 1);
+      reject(new ApiError('Request cancelled.', { isAborted: true }));
+    };
+    signal?.addEventListener('abort', entry.handleAbort, { once: true });
+    waiting.push(entry);
+    grantSlots();
+  });
+
+  return { acquire };
+};
@@ -0,0 +1,47 @@
+import { createUploadPool } from './uploadPool';
+import { isAbortError } from '../api/apiClient';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createUploadPool', () => {
+  it('runs up to the limit at once and starts the next upload as a slot frees', async () => {
+    const pool = createUploadPool(2);
+    const started = [];
+    const releases = {};
+    ['a', 'b', 'c', 'd'].forEach((name) => pool.acquire().then((release) => {
+      started.push(name);
+      releases[name] = release;
+    }));
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+
+    releases.a();
+    releases.a(); // releasing twice frees one slot only
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    releases.b();
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('drops a waiting upload whose signal aborts, without using a slot', async () => {
+    const pool = createUploadPool(1);
+    const release = await pool.acquire();
+    const controller = new AbortController();
+    const waiting = pool.acquire(controller.signal);
+    const next = pool.acquire();
+    controller.abort();
+    expect(isAbortError(await waiting.catch((error) => error))).toBe(true);
+
+    release();
+    await expect(next).resolves.toEqual(expect.any(Function));
+  });
+
+  it('rejects at once when the signal has already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const error = await createUploadPool(1).acquire(controller.signal).catch((caught) => caught);
+    expect(isAbortError(error)).toBe(true);
+  });
+});
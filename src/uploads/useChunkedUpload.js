@@ -0,0 +1,249 @@
+// src/uploads/useChunkedUpload.js
+// Uploads a large file in chunks through src/api/uploads.js, with per-chunk retry, progress,
+// pause/resume and resumption after a page reload. The session ID for an unfinished file is kept in
+// localStorage, so picking the same file again continues from the chunks the server already has.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ApiError, isAbortError } from '../api/apiClient';
+import {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  cancelUploadSession,
+} from '../api/uploads';
+
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB keeps each request short on slow links
+const MAX_CHUNK_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+const SESSIONS_STORAGE_KEY = 'chunkedUploadSessions';
+
+const INITIAL_STATE = {
+  status: 'idle', // idle | queued | uploading | paused | completed | error
+  fileName: null,
+  uploadId: null,
+  uploadedBytes: 0,
+  totalBytes: 0,
+  retryAttempt: 0, // > 0 while a chunk is being retried
+  error: null,
+};
+
+const getFileFingerprint = (purpose, file) => `${purpose}:${file.name}:${file.size}:${file.lastModified}`;
+
+const readStoredSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const storeSessionId = (fingerprint, uploadId) => {
+  const sessions = readStoredSessions();
+  if (uploadId) {
+    sessions[fingerprint] = uploadId;
+  } else {
+    delete sessions[fingerprint];
+  }
+  localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+};
+
+const abortedError = () => new ApiError('Request cancelled.', { isAborted: true });
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortedError());
+  }, { once: true });
+});
+
+// Rather than burning retries while the device is offline, hold the upload until it reconnects.
+const waitForOnline = (signal) => {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const handleOnline = () => {
+      signal.removeEventListener('abort', handleAbort);
+      resolve();
+    };
+    const handleAbort = () => {
+      window.removeEventListener('online', handleOnline);
+      reject(abortedError());
+    };
+    window.addEventListener('online', handleOnline, { once: true });
+    signal.addEventListener('abort', handleAbort, { once: true });
+  });
+};
+
+// Network failures, timeouts, rate limits and server errors are worth retrying; other 4xx are not.
+const isRetryable = (error) => error.isNetworkError || error.status === 408 || error.status === 429 || error.status >= 500;
+
+const getChunkBytes = (index, chunkSize, fileSize) => Math.min(chunkSize, fileSize - index * chunkSize);
+
+/**
+ * @param {object} [config]
+ * @param {string} config.purpose - What the upload is for (e.g. 'direct_upload'); sent to the server and part of the resume key.
+ * @param {number} [config.chunkSize=DEFAULT_CHUNK_SIZE]
+ * @param {import('./uploadPool').UploadPool} [config.pool] - Shared with the other files of an order;
+ *   the upload stays queued until the pool has a free slot.
+ */
+const useChunkedUpload = ({ purpose, chunkSize = DEFAULT_CHUNK_SIZE, pool } = {}) => {
+  const [state, setState] = useState(INITIAL_STATE);
+  const controllerRef = useRef(null);
+  const fileRef = useRef(null);
+  const sessionRef = useRef(null);
+
+  // Leaving the page pauses the upload; the stored session lets it resume on the next visit.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const openSession = useCallback(async (file, signal) => {
+    const fingerprint = getFileFingerprint(purpose, file);
+    const knownUploadId = sessionRef.current?.uploadId || readStoredSessions()[fingerprint];
+
+    if (knownUploadId) {
+      try {
+        return await getUploadSession(knownUploadId, { signal });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`useChunkedUpload: Could not resume upload ${knownUploadId}, starting a new one.`, error.message);
+        storeSessionId(fingerprint, null);
+      }
+    }
+
+    const session = await createUploadSession({
+      fileName: file.name,
+      fileSize: file.size,
+      mimeType: file.type,
+      chunkSize,
+      purpose,
+    }, { signal });
+    storeSessionId(fingerprint, session.uploadId);
+    return session;
+  }, [purpose, chunkSize]);
+
+  const sendChunk = useCallback(async (session, file, index, signal) => {
+    const start = index * session.chunkSize;
+    const chunk = file.slice(start, start + session.chunkSize);
+
+    for (let attempt = 1; ; attempt += 1) {
+      await waitForOnline(signal);
+      try {
+        await uploadChunk(session.uploadId, index, chunk, { signal });
+        if (attempt > 1) setState((prev) => ({ ...prev, retryAttempt: 0 }));
+        return;
+      } catch (error) {
+        if (isAbortError(error) || !isRetryable(error) || attempt >= MAX_CHUNK_ATTEMPTS) {
+          throw error;
+        }
+        const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+        console.warn(`useChunkedUpload: Chunk ${index} failed (attempt ${attempt}/${MAX_CHUNK_ATTEMPTS}). Retrying in ${delay}ms.`, error.message);
+        setState((prev) => ({ ...prev, retryAttempt: attempt }));
+        await wait(delay, signal);
+      }
+    }
+  }, []);
+
+  const run = useCallback(async (file) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    setState((prev) => ({ ...prev, status: pool ? 'queued' : 'uploading', fileName: file.name, totalBytes: file.size, retryAttempt: 0, error: null }));
+
+    let releaseSlot = null;
+    try {
+      if (pool) {
+        releaseSlot = await pool.acquire(signal);
+        setState((prev) => ({ ...prev, status: 'uploading' }));
+      }
+      const session = await openSession(file, signal);
+      sessionRef.current = session;
+
+      const uploaded = new Set(session.uploadedChunks || []);
+      const totalChunks = session.totalChunks || Math.max(Math.ceil(file.size / session.chunkSize), 1);
+      let uploadedBytes = [...uploaded].reduce((sum, index) => sum + getChunkBytes(index, session.chunkSize, file.size), 0);
+      setState((prev) => ({ ...prev, uploadId: session.uploadId, uploadedBytes }));
+
+      if (session.status !== 'completed') {
+        for (let index = 0; index < totalChunks; index += 1) {
+          if (uploaded.has(index)) continue;
+          await sendChunk(session, file, index, signal);
+          uploadedBytes += getChunkBytes(index, session.chunkSize, file.size);
+          const progressBytes = uploadedBytes;
+          setState((prev) => ({ ...prev, uploadedBytes: progressBytes }));
+        }
+      }
+
+      const result = await completeUploadSession(session.uploadId, { signal });
+      storeSessionId(getFileFingerprint(purpose, file), null);
+      setState((prev) => ({
+        ...prev,
+        status: 'completed',
+        uploadId: result.upload?.id || session.uploadId,
+        uploadedBytes: file.size,
+        retryAttempt: 0,
+      }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        // pause() and cancel() set the resulting status themselves
+        return;
+      }
+      console.error('useChunkedUpload: Upload failed:', error);
+      setState((prev) => ({
+        ...prev,
+        status: 'error',
+        retryAttempt: 0,
+        error: error.isNetworkError
+          ? 'Upload interrupted by a network error. Resume to continue from where it stopped.'
+          : error.message || 'Upload failed. Resume to try again.',
+      }));
+    } finally {
+      releaseSlot?.();
+    }
+  }, [openSession, sendChunk, purpose, pool]);
+
+  /** Starts uploading a newly selected file. */
+  const start = useCallback((file) => {
+    fileRef.current = file;
+    sessionRef.current = null;
+    setState({ ...INITIAL_STATE, fileName: file.name, totalBytes: file.size });
+    run(file);
+  }, [run]);
+
+  const pause = useCallback(() => {
+    controllerRef.current?.abort();
+    setState((prev) => (prev.status === 'uploading' || prev.status === 'queued' ? { ...prev, status: 'paused', retryAttempt: 0 } : prev));
+  }, []);
+
+  /** Continues a paused or failed upload from the chunks the server already holds. */
+  const resume = useCallback(() => {
+    if (fileRef.current) run(fileRef.current);
+  }, [run]);
+
+  /** Stops the upload and discards what the server has received so far. */
+  const cancel = useCallback(async () => {
+    controllerRef.current?.abort();
+    const file = fileRef.current;
+    const uploadId = sessionRef.current?.uploadId;
+    fileRef.current = null;
+    sessionRef.current = null;
+    setState(INITIAL_STATE);
+
+    if (file) storeSessionId(getFileFingerprint(purpose, file), null);
+    if (uploadId) {
+      try {
+        await cancelUploadSession(uploadId);
+      } catch (error) {
+        console.warn(`useChunkedUpload: Could not discard upload ${uploadId}:`, error.message);
+      }
+    }
+  }, [purpose]);
+
+  const percent = state.totalBytes > 0 ? Math.min(Math.round((state.uploadedBytes / state.totalBytes) * 100), 100) : 0;
+
+  return { ...state, percent, start, pause, resume, cancel };
+};
+
+export default useChunkedUpload;